@@ -23,11 +23,24 @@ import BarcodeScannerScreen from './screens/AddItem/BarcodeScannerScreen'; // Fo
 import StatisticsScreen from './screens/StatisticsScreen';
 import NotificationsScreen from './screens/NotificationsScreen';
 import ImagePickerScreen from './screens/AddItem/ImagePickerScreen';
+import BatchScanReviewScreen from './screens/AddItem/BatchScanReviewScreen';
+import PhotoImportScreen from './screens/AddItem/PhotoImportScreen';
 import FeedbackHistoryScreen from './screens/FeedbackHistoryScreen';
+import CurrencySettingsScreen from './screens/CurrencySettingsScreen';
+import CustomFieldsScreen from './screens/CustomFieldsScreen';
+import TagsScreen from './screens/TagsScreen';
+import TrashScreen from './screens/TrashScreen';
 import { AuthProvider, useAuth } from './context/AuthContext';
 import { ThemeProvider, useTheme } from './context/ThemeContext';
+import { SyncProvider } from './context/SyncContext';
+import { NotificationsProvider } from './context/NotificationsContext';
+import { CurrencyProvider } from './context/CurrencyContext';
 import AuthScreen from './screens/Auth';
 import CollectionItemsScreen from './screens/CollectionItemsScreen';
+import SmartCollectionScreen from './screens/SmartCollectionScreen';
+import WishlistScreen from './screens/WishlistScreen';
+import LocationsScreen from './screens/LocationsScreen';
+import LocationItemsScreen from './screens/LocationItemsScreen';
 import AllItemsScreen from './screens/AllItemsScreen';
 import EditItemScreen from './screens/EditItemScreen';
 import SelectExistingItemScreen from './screens/SelectExistingItemScreen';
@@ -37,6 +50,8 @@ import FindUsersScreen from './screens/FindUsersScreen';
 import PremiumFeaturesScreen from './screens/PremiumFeaturesScreen';
 import { initAnalytics, setUserProperties } from './lib/analytics';
 import * as Notifications from 'expo-notifications';
+import { scheduleLoanReminders, cancelLoanReminders } from './lib/loanReminders';
+import { purgeExpiredTrash } from './data';
 import env from './config/environment';
 import Constants from 'expo-constants';
 import { initSecureNetworking } from './utils/secureNetworking';
@@ -46,6 +61,7 @@ import { initSecurePayments } from './utils/securePayments';
 import { checkAndNotifyUpdates } from './utils/dependencyChecker';
 // Import ErrorBoundary component
 import ErrorBoundary from './components/ErrorBoundary';
+import UndoToast from './components/UndoToast';
 
 // Import theme
 import theme from './theme/theme';
@@ -53,6 +69,11 @@ import theme from './theme/theme';
 const Tab = createBottomTabNavigator();
 const Stack = createStackNavigator();
 
+// Toast types on top of the library's success, error and info
+const toastConfig = {
+  undo: (props) => <UndoToast {...props} />,
+};
+
 // Define transition animations for stack navigators
 const screenOptions = ({ theme }) => ({
   headerShown: false,
@@ -110,6 +131,10 @@ function CollectionsStack() {
       <Stack.Screen name="CollectionsMain" component={CollectionsScreen} />
       <Stack.Screen name="AllItems" component={AllItemsScreen} />
       <Stack.Screen name="CollectionItems" component={CollectionItemsScreen} />
+      <Stack.Screen name="SmartCollection" component={SmartCollectionScreen} />
+      <Stack.Screen name="Wishlist" component={WishlistScreen} />
+      <Stack.Screen name="Locations" component={LocationsScreen} />
+      <Stack.Screen name="LocationItems" component={LocationItemsScreen} />
       <Stack.Screen name="SelectExistingItem" component={SelectExistingItemScreen} />
       <Stack.Screen name="ItemDetail" component={ItemDetailScreen} />
       <Stack.Screen name="EditItem" component={EditItemScreen} />
@@ -141,6 +166,8 @@ function AddStack() {
       {/* Ensure AddStack uses the new BarcodeScannerScreen from AddItem folder */}
       <Stack.Screen name="BarcodeScannerScreen" component={AddItemBarcodeScannerScreen} />
       <Stack.Screen name="ImagePicker" component={ImagePickerScreen} />
+      <Stack.Screen name="BatchScanReview" component={BatchScanReviewScreen} />
+      <Stack.Screen name="PhotoImport" component={PhotoImportScreen} />
     </Stack.Navigator>
   );
 }
@@ -159,6 +186,10 @@ function ProfileStack() {
       <Stack.Screen name="FindUsers" component={FindUsersScreen} />
       <Stack.Screen name="PremiumFeatures" component={PremiumFeaturesScreen} />
       <Stack.Screen name="FeedbackHistory" component={FeedbackHistoryScreen} />
+      <Stack.Screen name="CurrencySettings" component={CurrencySettingsScreen} />
+      <Stack.Screen name="CustomFields" component={CustomFieldsScreen} />
+      <Stack.Screen name="Tags" component={TagsScreen} />
+      <Stack.Screen name="Trash" component={TrashScreen} />
     </Stack.Navigator>
   );
 }
@@ -303,6 +334,21 @@ const AppNavigator = () => {
     
     setupApp();
   }, [user]);
+
+  // Overdue loan reminders on this device are for whoever is signed in
+  useEffect(() => {
+    if (user) {
+      scheduleLoanReminders(user.id);
+    } else if (initialized) {
+      cancelLoanReminders();
+    }
+  }, [user?.id, initialized]);
+
+  // Trash older than the user's retention period is deleted for good here,
+  // since photos in storage have to go with it
+  useEffect(() => {
+    if (user) purgeExpiredTrash(user.id);
+  }, [user?.id]);
   
   const [showOnboarding, setShowOnboarding] = useState(false);
   const [checkingOnboarding, setCheckingOnboarding] = useState(true);
@@ -368,7 +414,13 @@ const App = () => {
   return (
     <AuthProvider>
       <ThemeProvider>
-        <AppWithTheme />
+        <SyncProvider>
+          <NotificationsProvider>
+            <CurrencyProvider>
+              <AppWithTheme />
+            </CurrencyProvider>
+          </NotificationsProvider>
+        </SyncProvider>
       </ThemeProvider>
     </AuthProvider>
   );
@@ -400,7 +452,7 @@ const AppWithTheme = () => {
       <NavigationContainer theme={navigationTheme}>
         <AppNavigator />
       </NavigationContainer>
-      <Toast />
+      <Toast config={toastConfig} />
     </ErrorBoundary>
   );
 };
@@ -0,0 +1,294 @@
+// components/AcquisitionFields.js
+import React, { useState, useEffect } from 'react';
+import { View, Text, TextInput, TouchableOpacity, Image, Alert, StyleSheet } from 'react-native';
+import * as ImagePicker from 'expo-image-picker';
+import { Ionicons } from '@expo/vector-icons';
+import { isValid, parseISO, isAfter } from 'date-fns';
+import { useTheme } from '../context/ThemeContext';
+import { getReceiptUrl, isLocalReceipt } from '../data';
+import { validateNumber } from '../utils/inputValidation';
+import { currencySymbol } from '../utils/money';
+import CurrencyPicker from './CurrencyPicker';
+
+const amountText = (amount) => (amount === null || amount === undefined ? '' : String(amount));
+
+/**
+ * Form values for AcquisitionFields from a saved acquisition (or none)
+ * @param {import('../data/acquisitions').Acquisition|null} acquisition
+ * @param {string} defaultCurrency - Used when there's no saved acquisition
+ * @returns {Object}
+ */
+export const acquisitionFormValues = (acquisition, defaultCurrency) => ({
+  purchase_price: amountText(acquisition?.purchase_price),
+  fees: amountText(acquisition?.fees),
+  currency: acquisition?.currency || defaultCurrency,
+  purchase_date: acquisition?.purchase_date || '',
+  source: acquisition?.source || '',
+  receipt_path: acquisition?.receipt_path || null,
+});
+
+/**
+ * Checks the purchase details entered in AcquisitionFields
+ * @param {Object} acquisition - The form values
+ * @returns {Object<string, string>} Field -> error message; empty when valid
+ */
+export const validateAcquisition = (acquisition) => {
+  const errors = {};
+  if (!acquisition) return errors;
+
+  ['purchase_price', 'fees'].forEach(field => {
+    if (acquisition[field] === null || acquisition[field] === undefined || acquisition[field] === '') return;
+    const result = validateNumber(acquisition[field], 0, 1000000);
+    if (!result.success) errors[field] = result.message;
+  });
+
+  if (acquisition.purchase_date) {
+    const date = parseISO(acquisition.purchase_date);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(acquisition.purchase_date) || !isValid(date)) {
+      errors.purchase_date = 'Use the format YYYY-MM-DD';
+    } else if (isAfter(date, new Date())) {
+      errors.purchase_date = 'Purchase date cannot be in the future';
+    }
+  }
+  return errors;
+};
+
+/**
+ * A URI an Image can show a receipt from. Uploaded receipts are private, so
+ * they're shown through a signed link; local ones as they are.
+ * @param {string|null} receiptPath - Acquisition receipt_path
+ * @returns {string|null}
+ */
+export const useReceiptUri = (receiptPath) => {
+  const [uri, setUri] = useState(null);
+
+  useEffect(() => {
+    if (!receiptPath || isLocalReceipt(receiptPath)) {
+      setUri(receiptPath || null);
+      return undefined;
+    }
+    let cancelled = false;
+    getReceiptUrl(receiptPath)
+      .then(url => { if (!cancelled) setUri(url); })
+      .catch(() => { if (!cancelled) setUri(null); });
+    return () => { cancelled = true; };
+  }, [receiptPath]);
+
+  return uri;
+};
+
+/**
+ * Form fields for what an item cost: price, fees, currency, date, seller and a
+ * receipt photo. The values are kept by the parent form.
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.acquisition - Current values, in the shape of an Acquisition
+ * @param {function(Object): void} props.onChange - Called with the fields that changed
+ * @param {Object<string, string>} [props.errors] - From validateAcquisition
+ */
+function AcquisitionFields({ acquisition, onChange, errors = {} }) {
+  const { theme } = useTheme();
+  const receiptUri = useReceiptUri(acquisition.receipt_path);
+
+  const inputStyle = [styles.input, {
+    backgroundColor: theme.colors.inputBackground,
+    color: theme.colors.inputText,
+    borderColor: theme.colors.inputBorder,
+  }];
+
+  // Amounts accept digits and one decimal point, like the item value
+  const setAmount = (field) => (text) => {
+    if (text === '' || /^\d*\.?\d*$/.test(text)) onChange({ [field]: text });
+  };
+
+  const pickReceipt = async (launch) => {
+    try {
+      const result = await launch({
+        mediaTypes: ImagePicker.MediaTypeOptions.Images,
+        quality: 0.8,
+      });
+      if (!result.canceled && result.assets && result.assets.length > 0) {
+        onChange({ receipt_path: result.assets[0].uri });
+      }
+    } catch (error) {
+      console.error('Receipt picker error:', error);
+      Alert.alert('Error', 'Could not add the receipt photo.');
+    }
+  };
+
+  const addReceipt = () => {
+    Alert.alert(
+      'Add Receipt',
+      'Choose an option',
+      [
+        { text: 'Camera', onPress: () => pickReceipt(ImagePicker.launchCameraAsync) },
+        { text: 'Gallery', onPress: () => pickReceipt(ImagePicker.launchImageLibraryAsync) },
+        { text: 'Cancel', style: 'cancel' },
+      ],
+      { cancelable: true }
+    );
+  };
+
+  const renderError = (field) => (
+    errors[field] ? <Text style={[styles.errorText, { color: theme.colors.error }]}>{errors[field]}</Text> : null
+  );
+
+  return (
+    <View>
+      <View style={styles.row}>
+        <View style={[styles.field, styles.rowField]}>
+          <Text style={[styles.label, { color: theme.colors.text }]}>
+            Purchase Price ({currencySymbol(acquisition.currency)})
+          </Text>
+          <TextInput
+            style={inputStyle}
+            placeholder="0.00"
+            value={acquisition.purchase_price}
+            onChangeText={setAmount('purchase_price')}
+            keyboardType="decimal-pad"
+            placeholderTextColor={theme.colors.inputPlaceholder}
+          />
+          {renderError('purchase_price')}
+        </View>
+        <View style={styles.field}>
+          <Text style={[styles.label, { color: theme.colors.text }]}>Shipping & Fees</Text>
+          <TextInput
+            style={inputStyle}
+            placeholder="0.00"
+            value={acquisition.fees}
+            onChangeText={setAmount('fees')}
+            keyboardType="decimal-pad"
+            placeholderTextColor={theme.colors.inputPlaceholder}
+          />
+          {renderError('fees')}
+        </View>
+      </View>
+      <CurrencyPicker
+        selected={acquisition.currency}
+        onSelect={code => onChange({ currency: code })}
+        style={styles.currencyPicker}
+      />
+
+      <View style={styles.field}>
+        <Text style={[styles.label, { color: theme.colors.text }]}>Purchase Date</Text>
+        <TextInput
+          style={inputStyle}
+          placeholder="YYYY-MM-DD"
+          value={acquisition.purchase_date || ''}
+          onChangeText={text => onChange({ purchase_date: text })}
+          keyboardType="numbers-and-punctuation"
+          maxLength={10}
+          placeholderTextColor={theme.colors.inputPlaceholder}
+        />
+        {renderError('purchase_date')}
+      </View>
+
+      <View style={styles.field}>
+        <Text style={[styles.label, { color: theme.colors.text }]}>Seller / Source</Text>
+        <TextInput
+          style={inputStyle}
+          placeholder="e.g., eBay, local card show"
+          value={acquisition.source || ''}
+          onChangeText={text => onChange({ source: text })}
+          maxLength={100}
+          placeholderTextColor={theme.colors.inputPlaceholder}
+        />
+      </View>
+
+      <View style={styles.field}>
+        <Text style={[styles.label, { color: theme.colors.text }]}>Receipt</Text>
+        {acquisition.receipt_path ? (
+          <View style={styles.receiptContainer}>
+            {receiptUri ? (
+              <Image source={{ uri: receiptUri }} style={styles.receipt} />
+            ) : (
+              <View style={[styles.receipt, styles.receiptPlaceholder, { backgroundColor: theme.colors.surface }]}>
+                <Ionicons name="receipt-outline" size={28} color={theme.colors.textSecondary} />
+              </View>
+            )}
+            <TouchableOpacity
+              style={styles.removeReceipt}
+              onPress={() => onChange({ receipt_path: null })}
+              accessibilityLabel="Remove receipt"
+            >
+              <Ionicons name="close-circle" size={24} color="rgba(0,0,0,0.7)" />
+            </TouchableOpacity>
+          </View>
+        ) : (
+          <TouchableOpacity
+            style={[styles.receiptButton, { borderColor: theme.colors.inputBorder }]}
+            onPress={addReceipt}
+          >
+            <Ionicons name="receipt-outline" size={20} color={theme.colors.primary} />
+            <Text style={[styles.receiptButtonText, { color: theme.colors.primary }]}>Add Receipt Photo</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  row: {
+    flexDirection: 'row',
+  },
+  field: {
+    flex: 1,
+    marginBottom: 12,
+  },
+  rowField: {
+    marginRight: 12,
+  },
+  label: {
+    fontSize: 14,
+    marginBottom: 6,
+    fontWeight: '500',
+  },
+  input: {
+    height: 44,
+    borderWidth: 1,
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    fontSize: 16,
+  },
+  currencyPicker: {
+    marginBottom: 12,
+  },
+  errorText: {
+    fontSize: 12,
+    marginTop: 4,
+  },
+  receiptContainer: {
+    alignSelf: 'flex-start',
+  },
+  receipt: {
+    width: 96,
+    height: 128,
+    borderRadius: 8,
+  },
+  receiptPlaceholder: {
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  removeReceipt: {
+    position: 'absolute',
+    top: -8,
+    right: -8,
+  },
+  receiptButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    borderWidth: 1,
+    borderStyle: 'dashed',
+    borderRadius: 8,
+    paddingVertical: 12,
+  },
+  receiptButtonText: {
+    fontSize: 14,
+    fontWeight: '600',
+    marginLeft: 8,
+  },
+});
+
+export default AcquisitionFields;
@@ -12,6 +12,7 @@ import { Ionicons } from '@expo/vector-icons';
 import { useTheme } from '../context/ThemeContext';
 import { useAuth } from '../context/AuthContext';
 import { supabase } from '../lib/supabase';
+import { getPhotoLinks } from '../data';
 import Toast from 'react-native-toast-message';
 
 /**
@@ -34,25 +35,16 @@ const AiFeedbackComponent = ({ itemId, analysisData, analyzedImageUri }) => {
         const filename = analyzedImageUri.split('/').pop();
         console.log('Extracted filename:', filename);
         
-        // Query the item_photos table to find the matching photo
-        const { data, error } = await supabase
-          .from('item_photos')
-          .select('id, image_id, images(url)')
-          .eq('item_id', itemId)
-          .order('created_at', { ascending: false });
+        // Find the matching photo among the item's photos
+        const links = await getPhotoLinks(itemId);
         
-        if (error) {
-          console.error('Error finding photo ID:', error);
-          return;
-        }
-        
-        if (data && data.length > 0) {
+        if (links.length > 0) {
           // Try to find an exact match first
-          let matchedPhoto = data.find(photo => photo.images?.url === analyzedImageUri);
+          let matchedPhoto = links.find(photo => photo.url === analyzedImageUri);
           
           // If no exact match, try to find a photo URL that contains the filename
           if (!matchedPhoto && filename) {
-            matchedPhoto = data.find(photo => photo.images?.url.includes(filename));
+            matchedPhoto = links.find(photo => photo.url?.includes(filename));
           }
           
           // If we found a match, store the photo ID
@@ -0,0 +1,119 @@
+// components/AttributeFields.js
+import React from 'react';
+import { View, Text, TextInput, TouchableOpacity, ScrollView, StyleSheet } from 'react-native';
+import { useTheme } from '../context/ThemeContext';
+
+/**
+ * Inputs for an item's category and custom fields, built from their definitions.
+ * Values are kept by the parent form as text.
+ *
+ * @param {Object} props - Component props
+ * @param {Array<import('../utils/fieldSchemas').FieldDefinition>} props.fields - From fieldsForCategory
+ * @param {Object<string, string>} props.values - Field key -> value
+ * @param {function(string, string|null): void} props.onChange - Called with a field key and its new value
+ * @param {Object<string, string>} [props.errors] - From validateAttributes
+ */
+function AttributeFields({ fields, values, onChange, errors = {} }) {
+  const { theme } = useTheme();
+
+  const inputStyle = [styles.input, {
+    backgroundColor: theme.colors.inputBackground,
+    color: theme.colors.inputText,
+    borderColor: theme.colors.inputBorder,
+  }];
+
+  const renderInput = (field) => {
+    const value = values[field.key] ?? '';
+
+    if (field.type === 'select') {
+      return (
+        <ScrollView horizontal showsHorizontalScrollIndicator={false} keyboardShouldPersistTaps="handled">
+          {field.options.map(option => {
+            const isSelected = option === value;
+            return (
+              <TouchableOpacity
+                key={option}
+                style={[
+                  styles.chip,
+                  { backgroundColor: theme.colors.surface, borderColor: theme.colors.divider },
+                  isSelected && { backgroundColor: theme.colors.primary + '20', borderColor: theme.colors.primary },
+                ]}
+                // Tapping the selected option clears it
+                onPress={() => onChange(field.key, isSelected ? null : option)}
+                accessibilityState={{ selected: isSelected }}
+              >
+                <Text style={[styles.chipText, { color: isSelected ? theme.colors.primary : theme.colors.textSecondary }]}>
+                  {option}
+                </Text>
+              </TouchableOpacity>
+            );
+          })}
+        </ScrollView>
+      );
+    }
+
+    const isNumeric = field.type === 'number' || field.type === 'year';
+    return (
+      <TextInput
+        style={inputStyle}
+        placeholder={field.placeholder || ''}
+        value={value}
+        onChangeText={text => onChange(field.key, text)}
+        keyboardType={field.type === 'year' ? 'number-pad' : isNumeric ? 'decimal-pad' : 'default'}
+        maxLength={field.type === 'year' ? 4 : field.maxLength || 100}
+        placeholderTextColor={theme.colors.inputPlaceholder}
+        accessibilityLabel={field.label}
+      />
+    );
+  };
+
+  return (
+    <View>
+      {fields.map(field => (
+        <View key={field.key} style={styles.field}>
+          <Text style={[styles.label, { color: theme.colors.text }]}>
+            {field.label}{field.required ? ' *' : ''}
+          </Text>
+          {renderInput(field)}
+          {errors[field.key] && (
+            <Text style={[styles.errorText, { color: theme.colors.error }]}>{errors[field.key]}</Text>
+          )}
+        </View>
+      ))}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  field: {
+    marginBottom: 12,
+  },
+  label: {
+    fontSize: 14,
+    marginBottom: 6,
+    fontWeight: '500',
+  },
+  input: {
+    height: 44,
+    borderWidth: 1,
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    fontSize: 16,
+  },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    borderWidth: 1,
+    marginRight: 8,
+  },
+  chipText: {
+    fontSize: 13,
+  },
+  errorText: {
+    fontSize: 12,
+    marginTop: 4,
+  },
+});
+
+export default AttributeFields;
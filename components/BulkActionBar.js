@@ -0,0 +1,317 @@
+// components/BulkActionBar.js
+import React, { useState } from 'react';
+import { View, Text, ScrollView, TouchableOpacity, ActivityIndicator, Alert, Share, StyleSheet } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import Toast from 'react-native-toast-message';
+import {
+  bulkUpdateItems,
+  bulkDeleteItems,
+  exportItemsCsv,
+  listCollections,
+  getCachedCollections,
+} from '../data';
+import { useTags } from '../hooks/useTags';
+import { useTheme } from '../context/ThemeContext';
+import { logExportData } from '../lib/analytics';
+import { handleError, ERROR_CATEGORIES } from '../utils/errorHandler';
+import { CONDITIONS } from '../utils/searchFilters';
+import { CATEGORIES } from '../screens/AddItem/constants';
+import { normalizeTags, MAX_TAGS_PER_ITEM } from '../utils/tags';
+import BulkEditModal from './BulkEditModal';
+import BulkProgressModal from './BulkProgressModal';
+
+const countLabel = (count) => `${count} ${count === 1 ? 'Item' : 'Items'}`;
+
+// Each item's tags after adding or removing some; null when they'd stay the same
+const tagChanges = ({ add, remove }) => (item) => {
+  const current = item.tags || [];
+  const tags = add
+    ? normalizeTags([...current, ...add])
+    : current.filter(tag => !remove.includes(tag));
+  if (tags.length === current.length) return null;
+  if (tags.length > MAX_TAGS_PER_ITEM) throw new Error(`Items can have up to ${MAX_TAGS_PER_ITEM} tags`);
+  return { tags };
+};
+
+/**
+ * Actions for the items selected in a list: move to a collection, tag, set
+ * condition or category, share or make private, export and delete. Edits and
+ * deletes run item by item through the sync queue with a progress dialog that
+ * lists any failures.
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.userId - The owner
+ * @param {Array<Object>} props.items - The selected items
+ * @param {function(): void} [props.onSelectAll] - Selects every item in the list; hidden if omitted
+ * @param {function(): void} props.onClear - Leaves selection mode
+ * @param {function(import('../data/bulkItems').BulkResult): void} props.onDone - Called once a
+ *   finished edit or delete is dismissed, so the list can reload
+ */
+function BulkActionBar({ userId, items, onSelectAll, onClear, onDone }) {
+  const { theme } = useTheme();
+  const { tags: knownTags } = useTags(userId);
+  const [editor, setEditor] = useState(null);
+  const [collections, setCollections] = useState([]);
+  const [progress, setProgress] = useState(null);
+  const [exporting, setExporting] = useState(false);
+
+  const runAction = async (label, run, targetItems) => {
+    setEditor(null);
+    setProgress({ label, run, done: 0, total: targetItems.length, result: null });
+    try {
+      const result = await run(targetItems, {
+        onProgress: done => setProgress(current => ({ ...current, done })),
+      });
+      setProgress(current => ({ ...current, result }));
+    } catch (error) {
+      setProgress(null);
+      handleError(
+        error,
+        'BulkActionBar.runAction',
+        error.category || ERROR_CATEGORIES.UNKNOWN,
+        'Unable to update these items. Please try again.'
+      );
+    }
+  };
+
+  const retryFailed = () => runAction(
+    progress.label,
+    progress.run,
+    progress.result.failed.filter(failure => !failure.conflict).map(failure => failure.item)
+  );
+
+  const closeProgress = () => {
+    const { result } = progress;
+    setProgress(null);
+    onDone(result);
+  };
+
+  const update = (label, changes) => runAction(
+    label,
+    (targetItems, options) => bulkUpdateItems(userId, targetItems, changes, options),
+    items
+  );
+
+  const openMove = async () => {
+    try {
+      let data;
+      try {
+        data = await listCollections(userId);
+      } catch (error) {
+        // Offline - fall back to the collections we last saw
+        if (error.category !== ERROR_CATEGORIES.NETWORK) throw error;
+        data = await getCachedCollections(userId);
+      }
+      setCollections(data);
+      setEditor('move');
+    } catch (error) {
+      handleError(
+        error,
+        'BulkActionBar.openMove',
+        error.category || ERROR_CATEGORIES.DATABASE,
+        'Unable to load collections. Please try again.'
+      );
+    }
+  };
+
+  const handleSharing = () => {
+    Alert.alert(
+      'Sharing',
+      `Change who can see ${countLabel(items.length).toLowerCase()}.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Make Private', onPress: () => update('Making private', { is_shared: false }) },
+        { text: 'Share', onPress: () => update('Sharing', { is_shared: true }) },
+      ]
+    );
+  };
+
+  const handleDelete = () => {
+    Alert.alert(
+      `Delete ${countLabel(items.length)}?`,
+      'They will be moved to the Trash, where you can restore them until it is emptied.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: () => runAction(
+            'Deleting',
+            (targetItems, options) => bulkDeleteItems(userId, targetItems, options),
+            items
+          ),
+        },
+      ]
+    );
+  };
+
+  const handleExport = async () => {
+    setExporting(true);
+    try {
+      const { url } = await exportItemsCsv(userId, items);
+      await Share.share({
+        message: `Here's your exported items data from CollectibleTrackerApp: ${url}`,
+        url,
+        title: 'Your Exported Data',
+      });
+      logExportData(items.length, 'csv');
+      Toast.show({
+        type: 'success',
+        text1: 'Export Successful',
+        text2: `${countLabel(items.length)} exported to CSV`,
+      });
+    } catch (error) {
+      handleError(
+        error,
+        'BulkActionBar.handleExport',
+        error.category || ERROR_CATEGORIES.UNKNOWN,
+        'Unable to export these items. Please try again.'
+      );
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const editors = {
+    move: {
+      title: `Move ${countLabel(items.length)}`,
+      options: [
+        { label: 'No Collection', value: null },
+        ...collections.map(collection => ({ label: collection.name, value: collection.id })),
+      ],
+      onApply: collectionId => update('Moving', { collection_id: collectionId }),
+    },
+    condition: {
+      title: 'Set Condition',
+      options: CONDITIONS.map(condition => ({ label: condition, value: condition })),
+      onApply: condition => update('Updating condition', { condition }),
+    },
+    category: {
+      title: 'Set Category',
+      options: CATEGORIES.map(category => ({ label: category, value: category })),
+      onApply: category => update('Updating category', { category }),
+    },
+    tags: {
+      title: `Tag ${countLabel(items.length)}`,
+      tags: true,
+      onApply: change => update('Updating tags', tagChanges(change)),
+    },
+  };
+
+  const actions = [
+    { key: 'move', icon: 'folder-outline', label: 'Move', onPress: openMove },
+    { key: 'tags', icon: 'pricetag-outline', label: 'Tag', onPress: () => setEditor('tags') },
+    { key: 'condition', icon: 'star-half-outline', label: 'Condition', onPress: () => setEditor('condition') },
+    { key: 'category', icon: 'grid-outline', label: 'Category', onPress: () => setEditor('category') },
+    { key: 'sharing', icon: 'people-outline', label: 'Sharing', onPress: handleSharing },
+    { key: 'export', icon: 'download-outline', label: 'Export', onPress: handleExport, busy: exporting },
+    { key: 'delete', icon: 'trash-outline', label: 'Delete', onPress: handleDelete, danger: true },
+  ];
+
+  const activeEditor = editor ? editors[editor] : null;
+
+  return (
+    <View style={[styles.container, { backgroundColor: theme.colors.surface, borderTopColor: theme.colors.divider }]}>
+      <View style={styles.header}>
+        <Text style={[styles.count, { color: theme.colors.text }]}>{items.length} selected</Text>
+        <View style={styles.headerActions}>
+          {onSelectAll && (
+            <TouchableOpacity onPress={onSelectAll} style={styles.headerButton}>
+              <Text style={[styles.headerButtonText, { color: theme.colors.primary }]}>Select All</Text>
+            </TouchableOpacity>
+          )}
+          <TouchableOpacity onPress={onClear} style={styles.headerButton}>
+            <Text style={[styles.headerButtonText, { color: theme.colors.primary }]}>Cancel</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+
+      <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.actions}>
+        {actions.map(action => {
+          const color = action.danger ? theme.colors.error : theme.colors.primary;
+          return (
+            <TouchableOpacity
+              key={action.key}
+              style={styles.action}
+              onPress={action.onPress}
+              disabled={items.length === 0 || exporting}
+              accessibilityLabel={`${action.label} selected items`}
+            >
+              {action.busy ? (
+                <ActivityIndicator size="small" color={color} style={styles.actionSpinner} />
+              ) : (
+                <Ionicons name={action.icon} size={22} color={items.length === 0 ? theme.colors.textTertiary : color} />
+              )}
+              <Text style={[styles.actionLabel, { color: theme.colors.textSecondary }]}>{action.label}</Text>
+            </TouchableOpacity>
+          );
+        })}
+      </ScrollView>
+
+      <BulkEditModal
+        visible={!!activeEditor}
+        title={activeEditor?.title || ''}
+        options={activeEditor?.options}
+        tags={!!activeEditor?.tags}
+        knownTags={knownTags}
+        onApply={value => activeEditor.onApply(value)}
+        onCancel={() => setEditor(null)}
+      />
+
+      <BulkProgressModal
+        visible={!!progress}
+        label={progress?.label || ''}
+        done={progress?.done || 0}
+        total={progress?.total || 0}
+        result={progress?.result || null}
+        onRetry={retryFailed}
+        onClose={closeProgress}
+      />
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    borderTopWidth: 1,
+    paddingTop: 8,
+    paddingBottom: 12,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    marginBottom: 8,
+  },
+  count: {
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  headerActions: {
+    flexDirection: 'row',
+  },
+  headerButton: {
+    marginLeft: 16,
+  },
+  headerButtonText: {
+    fontSize: 15,
+    fontWeight: '500',
+  },
+  actions: {
+    paddingHorizontal: 8,
+  },
+  action: {
+    alignItems: 'center',
+    width: 72,
+  },
+  actionSpinner: {
+    height: 22,
+  },
+  actionLabel: {
+    fontSize: 11,
+    marginTop: 4,
+  },
+});
+
+export default BulkActionBar;
@@ -0,0 +1,155 @@
+// components/BulkEditModal.js
+import React, { useState, useEffect } from 'react';
+import { View, Text, Modal, ScrollView, TouchableOpacity, StyleSheet } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { Typography, Button } from '../theme/styled';
+import { useTheme } from '../context/ThemeContext';
+import TagInput from './TagInput';
+
+/**
+ * Picks the value for a bulk edit: one of a list of options (a collection, a
+ * condition, a category), or tags to add to or remove from every item
+ *
+ * @param {Object} props - Component props
+ * @param {boolean} props.visible - Whether the modal is shown
+ * @param {string} props.title - e.g. "Move 3 Items"
+ * @param {Array<{label: string, value: *}>} [props.options] - Choices; picking one applies it
+ * @param {boolean} [props.tags] - Edit tags instead of picking an option
+ * @param {Array<{tag: string, count: number}>} [props.knownTags] - From useTags, for suggestions
+ * @param {function(*): void} props.onApply - Called with the option's value, or
+ *   `{add: Array<string>}` / `{remove: Array<string>}` for tags
+ * @param {function(): void} props.onCancel - Called when dismissed
+ */
+function BulkEditModal({ visible, title, options = [], tags = false, knownTags = [], onApply, onCancel }) {
+  const { theme, isDarkMode } = useTheme();
+  const [chosenTags, setChosenTags] = useState([]);
+  const [removing, setRemoving] = useState(false);
+
+  useEffect(() => {
+    if (!visible) return;
+    setChosenTags([]);
+    setRemoving(false);
+  }, [visible]);
+
+  const renderModeButton = (label, isRemove) => {
+    const active = removing === isRemove;
+    return (
+      <TouchableOpacity
+        style={[styles.modeButton, {
+          borderColor: theme.colors.primary,
+          backgroundColor: active ? theme.colors.primary : 'transparent',
+        }]}
+        onPress={() => setRemoving(isRemove)}
+        accessibilityState={{ selected: active }}
+      >
+        <Text style={[styles.modeText, { color: active ? theme.colors.textLight : theme.colors.primary }]}>{label}</Text>
+      </TouchableOpacity>
+    );
+  };
+
+  return (
+    <Modal animationType="slide" transparent visible={visible} onRequestClose={onCancel}>
+      <View style={styles.overlay}>
+        <View style={[styles.content, { backgroundColor: theme.colors.background }]}>
+          <Typography.H3 style={[styles.title, { color: isDarkMode ? '#FFFFFF' : theme.colors.text }]}>
+            {title}
+          </Typography.H3>
+
+          {tags ? (
+            <View>
+              <View style={styles.modeRow}>
+                {renderModeButton('Add Tags', false)}
+                {renderModeButton('Remove Tags', true)}
+              </View>
+              <TagInput tags={chosenTags} onChange={setChosenTags} knownTags={knownTags} />
+              <View style={styles.actions}>
+                <Button.Secondary title="Cancel" onPress={onCancel} style={styles.button} />
+                <Button.Primary
+                  title={removing ? 'Remove' : 'Add'}
+                  onPress={() => onApply(removing ? { remove: chosenTags } : { add: chosenTags })}
+                  style={styles.button}
+                  disabled={chosenTags.length === 0}
+                />
+              </View>
+            </View>
+          ) : (
+            <>
+              <ScrollView style={styles.optionList}>
+                {options.map(option => (
+                  <TouchableOpacity
+                    key={String(option.value)}
+                    style={[styles.option, { borderBottomColor: theme.colors.divider }]}
+                    onPress={() => onApply(option.value)}
+                  >
+                    <Text style={[styles.optionText, { color: theme.colors.text }]}>{option.label}</Text>
+                    <Ionicons name="chevron-forward" size={18} color={theme.colors.textSecondary} />
+                  </TouchableOpacity>
+                ))}
+              </ScrollView>
+              <Button.Secondary title="Cancel" onPress={onCancel} style={styles.cancelButton} />
+            </>
+          )}
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    justifyContent: 'center',
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    padding: 20,
+  },
+  content: {
+    borderRadius: 16,
+    padding: 20,
+    maxHeight: '80%',
+  },
+  title: {
+    marginBottom: 12,
+  },
+  optionList: {
+    flexGrow: 0,
+  },
+  option: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingVertical: 14,
+    borderBottomWidth: 1,
+  },
+  optionText: {
+    fontSize: 16,
+  },
+  modeRow: {
+    flexDirection: 'row',
+    marginBottom: 12,
+  },
+  modeButton: {
+    flex: 1,
+    alignItems: 'center',
+    paddingVertical: 8,
+    borderWidth: 1,
+    borderRadius: 8,
+    marginHorizontal: 4,
+  },
+  modeText: {
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  actions: {
+    flexDirection: 'row',
+    marginTop: 20,
+  },
+  button: {
+    flex: 1,
+    marginHorizontal: 4,
+  },
+  cancelButton: {
+    marginTop: 16,
+  },
+});
+
+export default BulkEditModal;
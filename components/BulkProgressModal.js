@@ -0,0 +1,177 @@
+// components/BulkProgressModal.js
+import React from 'react';
+import { View, Text, Modal, ScrollView, ActivityIndicator, StyleSheet } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { Typography, Button } from '../theme/styled';
+import { useTheme } from '../context/ThemeContext';
+
+/**
+ * Progress of a bulk action while it runs, then what happened to each item:
+ * how many were saved or are waiting to sync, and which failed and why
+ *
+ * @param {Object} props - Component props
+ * @param {boolean} props.visible - Whether the modal is shown
+ * @param {string} props.label - The action in progress, e.g. "Deleting"
+ * @param {number} props.done - Items processed so far
+ * @param {number} props.total - Items in the action
+ * @param {import('../data/bulkItems').BulkResult|null} props.result - Set once the action has finished
+ * @param {function(): void} props.onRetry - Runs the action again for failures that can be retried
+ * @param {function(): void} props.onClose - Called when dismissed after finishing
+ */
+function BulkProgressModal({ visible, label, done, total, result, onRetry, onClose }) {
+  const { theme, isDarkMode } = useTheme();
+  const retryable = result ? result.failed.filter(failure => !failure.conflict).length : 0;
+
+  const renderSummaryRow = (icon, color, text) => (
+    <View style={styles.summaryRow}>
+      <Ionicons name={icon} size={18} color={color} />
+      <Text style={[styles.summaryText, { color: theme.colors.text }]}>{text}</Text>
+    </View>
+  );
+
+  return (
+    <Modal animationType="fade" transparent visible={visible} onRequestClose={result ? onClose : () => {}}>
+      <View style={styles.overlay}>
+        <View style={[styles.content, { backgroundColor: theme.colors.background }]}>
+          {!result ? (
+            <>
+              <Typography.H3 style={[styles.title, { color: isDarkMode ? '#FFFFFF' : theme.colors.text }]}>
+                {label}...
+              </Typography.H3>
+              <View style={[styles.track, { backgroundColor: theme.colors.divider }]}>
+                <View
+                  style={[styles.fill, {
+                    backgroundColor: theme.colors.primary,
+                    width: `${total > 0 ? Math.round((done / total) * 100) : 0}%`,
+                  }]}
+                />
+              </View>
+              <View style={styles.countRow}>
+                <ActivityIndicator size="small" color={theme.colors.primary} />
+                <Typography.BodySmall style={[styles.countText, { color: theme.colors.textSecondary }]}>
+                  {done} of {total}
+                </Typography.BodySmall>
+              </View>
+            </>
+          ) : (
+            <>
+              <Typography.H3 style={[styles.title, { color: isDarkMode ? '#FFFFFF' : theme.colors.text }]}>
+                {result.failed.length > 0 ? 'Finished with Errors' : 'Done'}
+              </Typography.H3>
+              {result.succeeded.length > 0 && renderSummaryRow(
+                'checkmark-circle',
+                theme.colors.success,
+                `${result.succeeded.length} ${result.succeeded.length === 1 ? 'item' : 'items'} done`
+              )}
+              {result.queued.length > 0 && renderSummaryRow(
+                'cloud-upload-outline',
+                theme.colors.textSecondary,
+                `${result.queued.length} waiting to sync`
+              )}
+              {result.failed.length > 0 && renderSummaryRow(
+                'alert-circle',
+                theme.colors.error,
+                `${result.failed.length} failed`
+              )}
+
+              {result.failed.length > 0 && (
+                <ScrollView style={[styles.failures, { borderTopColor: theme.colors.divider }]}>
+                  {result.failed.map(failure => (
+                    <View key={String(failure.item.id)} style={styles.failure}>
+                      <Text style={[styles.failureName, { color: theme.colors.text }]} numberOfLines={1}>
+                        {failure.item.name}
+                      </Text>
+                      <Typography.Caption style={{ color: theme.colors.textSecondary }}>
+                        {failure.message}
+                      </Typography.Caption>
+                    </View>
+                  ))}
+                  {result.failed.some(failure => failure.conflict) && (
+                    <Typography.Caption style={[styles.hint, { color: theme.colors.textSecondary }]}>
+                      Open a conflicting item to choose which version to keep.
+                    </Typography.Caption>
+                  )}
+                </ScrollView>
+              )}
+
+              <View style={styles.actions}>
+                {retryable > 0 && (
+                  <Button.Secondary title={`Retry ${retryable}`} onPress={onRetry} style={styles.button} />
+                )}
+                <Button.Primary title="Close" onPress={onClose} style={styles.button} />
+              </View>
+            </>
+          )}
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    justifyContent: 'center',
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    padding: 20,
+  },
+  content: {
+    borderRadius: 16,
+    padding: 20,
+    maxHeight: '80%',
+  },
+  title: {
+    marginBottom: 12,
+  },
+  track: {
+    height: 6,
+    borderRadius: 3,
+    overflow: 'hidden',
+  },
+  fill: {
+    height: '100%',
+  },
+  countRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 12,
+  },
+  countText: {
+    marginLeft: 8,
+  },
+  summaryRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 6,
+  },
+  summaryText: {
+    fontSize: 15,
+    marginLeft: 8,
+  },
+  failures: {
+    flexGrow: 0,
+    marginTop: 8,
+    paddingTop: 8,
+    borderTopWidth: 1,
+  },
+  failure: {
+    paddingVertical: 6,
+  },
+  failureName: {
+    fontSize: 15,
+    fontWeight: '500',
+  },
+  hint: {
+    marginTop: 8,
+  },
+  actions: {
+    flexDirection: 'row',
+    marginTop: 20,
+  },
+  button: {
+    flex: 1,
+    marginHorizontal: 4,
+  },
+});
+
+export default BulkProgressModal;
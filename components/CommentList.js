@@ -16,11 +16,21 @@ import { Ionicons } from '@expo/vector-icons';
 import { format, formatDistanceToNow } from 'date-fns';
 import Toast from 'react-native-toast-message';
 import { supabase } from '../lib/supabase';
+import { subscribeToTable } from '../lib/realtime';
 import { useAuth } from '../context/AuthContext';
 import { sendPushNotification } from '../lib/notifications';
 import { logAddComment } from '../lib/analytics';
 import theme from '../theme/theme';
 
+// Comment columns plus the author's profile
+const COMMENT_COLUMNS = `
+  id,
+  text,
+  created_at,
+  user_id,
+  profiles!comments_profiles_fkey(username, avatar_url)
+`;
+
 const CommentList = ({ itemId, itemOwnerId }) => {
   const [comments, setComments] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -34,6 +44,43 @@ const CommentList = ({ itemId, itemOwnerId }) => {
     fetchComments();
   }, [itemId]);
 
+  // Show other people's comments as they're posted or removed
+  useEffect(() => {
+    const unsubscribeInserts = subscribeToTable(
+      { table: 'comments', event: 'INSERT', filter: `item_id=eq.${itemId}` },
+      async ({ new: row }) => {
+        // The change doesn't include the author's profile
+        const { data, error } = await supabase
+          .from('comments')
+          .select(COMMENT_COLUMNS)
+          .eq('id', row.id)
+          .maybeSingle();
+        if (error) {
+          console.error('Error loading new comment:', error.message);
+          return;
+        }
+        if (data) addComment(data);
+      }
+    );
+    // Deletes can't be filtered by item, but only carry the comment ID anyway
+    const unsubscribeDeletes = subscribeToTable(
+      { table: 'comments', event: 'DELETE' },
+      ({ old }) => setComments(current => current.filter(comment => comment.id !== old.id))
+    );
+
+    return () => {
+      unsubscribeInserts();
+      unsubscribeDeletes();
+    };
+  }, [itemId]);
+
+  // Appends a comment unless it's already shown (our own comments arrive twice)
+  const addComment = (comment) => {
+    setComments(current => (
+      current.some(existing => existing.id === comment.id) ? current : [...current, comment]
+    ));
+  };
+
   // Function to fetch comments from Supabase
   const fetchComments = async () => {
     try {
@@ -43,13 +90,7 @@ const CommentList = ({ itemId, itemOwnerId }) => {
       // Fetch comments with user profiles
       const { data, error } = await supabase
         .from('comments')
-        .select(`
-          id,
-          text,
-          created_at,
-          user_id,
-          profiles!comments_profiles_fkey(username, avatar_url)
-        `)
+        .select(COMMENT_COLUMNS)
         .eq('item_id', itemId)
         .order('created_at', { ascending: true });
 
@@ -94,13 +135,7 @@ const CommentList = ({ itemId, itemOwnerId }) => {
           user_id: user.id,
           text: commentText.trim(),
         })
-        .select(`
-          id,
-          text,
-          created_at,
-          user_id,
-          profiles!comments_profiles_fkey(username, avatar_url)
-        `)
+        .select(COMMENT_COLUMNS)
         .single();
 
       if (error) throw error;
@@ -108,7 +143,7 @@ const CommentList = ({ itemId, itemOwnerId }) => {
       console.log('Comment added successfully:', newComment);
 
       // Update local state with new comment
-      setComments([...comments, newComment]);
+      addComment(newComment);
       setCommentText(''); // Clear input field
 
       // Track comment event in analytics
@@ -0,0 +1,223 @@
+// components/CopiesCard.js
+import React, { useState, useEffect } from 'react';
+import { View, Image, TouchableOpacity, ActivityIndicator, Alert } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import Toast from 'react-native-toast-message';
+import { listCopies, saveCopy, deleteCopy } from '../data';
+import { useTheme } from '../context/ThemeContext';
+import { Typography, Button, Card, Layout, createThemedStyles } from '../theme/styled';
+import { handleError, ERROR_CATEGORIES } from '../utils/errorHandler';
+import { formatMoney } from '../utils/money';
+import { itemQuantity, describeCopy } from '../utils/copies';
+import CopyEditorModal from './CopyEditorModal';
+
+/**
+ * The copies of an item the user owns. Copies on record are listed with their
+ * own condition, grade and value; the rest are summed up in one line.
+ * @param {Object} props - Component props
+ * @param {Object} props.item - The item, with `quantity`
+ * @param {boolean} props.isOwner - Shows the add, edit and remove actions
+ * @param {function(): void} [props.onChange] - Called after a copy is saved or removed, e.g. to reload the item's quantity
+ */
+const CopiesCard = ({ item, isOwner, onChange }) => {
+  const { theme } = useTheme();
+  const [copies, setCopies] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [editing, setEditing] = useState(null);
+  const [editorVisible, setEditorVisible] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    listCopies(item.id)
+      .then(rows => { if (!cancelled) setCopies(rows); })
+      .catch(error => console.error('Error loading copies:', error.message))
+      .finally(() => { if (!cancelled) setLoading(false); });
+    return () => { cancelled = true; };
+  }, [item.id, item.quantity]);
+
+  const quantity = itemQuantity({ ...item, copies });
+  const untracked = quantity - copies.length;
+
+  const openEditor = (copy = null) => {
+    setEditing(copy);
+    setEditorVisible(true);
+  };
+
+  const handleSave = async (fields) => {
+    setSaving(true);
+    try {
+      const saved = await saveCopy(item.id, fields, editing);
+      setCopies(current => (editing
+        ? current.map(copy => (copy.id === saved.id ? saved : copy))
+        : [...current, saved]));
+      setEditorVisible(false);
+      onChange?.();
+    } catch (error) {
+      handleError(
+        error,
+        'CopiesCard.handleSave',
+        error.category || ERROR_CATEGORIES.DATABASE,
+        'Unable to save this copy. Please try again.'
+      );
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = (copy, index) => {
+    Alert.alert(
+      `Remove Copy ${index + 1}?`,
+      "You'll own one fewer of this item. Its photos are deleted too.",
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Remove',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await deleteCopy(copy);
+              setCopies(current => current.filter(row => row.id !== copy.id));
+              Toast.show({ type: 'success', text1: 'Copy Removed', position: 'bottom' });
+              onChange?.();
+            } catch (error) {
+              handleError(
+                error,
+                'CopiesCard.handleDelete',
+                error.category || ERROR_CATEGORIES.DATABASE,
+                'Unable to remove this copy. Please try again.'
+              );
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const renderCopy = (copy, index) => (
+    <TouchableOpacity
+      key={copy.id}
+      style={[styles.copyRow, { borderBottomColor: theme.colors.divider }]}
+      onPress={() => openEditor(copy)}
+      disabled={!isOwner}
+      accessibilityLabel={`Copy ${index + 1}`}
+    >
+      {copy.photos?.length > 0 ? (
+        <Image source={{ uri: copy.photos[0] }} style={styles.thumbnail} />
+      ) : (
+        <View style={[styles.thumbnail, styles.thumbnailPlaceholder, { backgroundColor: theme.colors.divider }]}>
+          <Ionicons name="image-outline" size={18} color={theme.colors.textSecondary} />
+        </View>
+      )}
+      <View style={styles.copyDetails}>
+        <Typography.Body style={{ color: theme.colors.text }}>
+          Copy {index + 1} · {describeCopy(copy, item.condition)}
+        </Typography.Body>
+        {!!copy.notes && (
+          <Typography.Caption style={{ color: theme.colors.textSecondary }} numberOfLines={1}>
+            {copy.notes}
+          </Typography.Caption>
+        )}
+      </View>
+      <Typography.Body style={[styles.copyValue, { color: theme.colors.text }]}>
+        {formatMoney(copy.value != null ? copy.value : item.value, item.currency)}
+      </Typography.Body>
+      {isOwner && (
+        <TouchableOpacity
+          onPress={() => handleDelete(copy, index)}
+          hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}
+          accessibilityLabel={`Remove copy ${index + 1}`}
+        >
+          <Ionicons name="trash-outline" size={18} color={theme.colors.error} />
+        </TouchableOpacity>
+      )}
+    </TouchableOpacity>
+  );
+
+  return (
+    <Card.Primary style={[styles.container, { backgroundColor: theme.colors.surface }]}>
+      <Layout.Row style={styles.header}>
+        <Typography.H3 style={{ color: theme.colors.text }}>Copies</Typography.H3>
+        <Typography.Body style={{ color: theme.colors.textSecondary }}>
+          {quantity} owned
+        </Typography.Body>
+      </Layout.Row>
+
+      {loading ? (
+        <ActivityIndicator color={theme.colors.primary} style={styles.loader} />
+      ) : (
+        <>
+          {copies.map(renderCopy)}
+          {untracked > 0 && (
+            <Typography.BodySmall style={[styles.untracked, { color: theme.colors.textSecondary }]}>
+              {copies.length === 0
+                ? `All ${quantity} share this item's condition and value.`
+                : `${untracked} more not described individually.`}
+            </Typography.BodySmall>
+          )}
+        </>
+      )}
+
+      {isOwner && (
+        <Button.Secondary title="Add Copy" onPress={() => openEditor()} style={styles.addButton} />
+      )}
+
+      <CopyEditorModal
+        visible={editorVisible}
+        copy={editing}
+        item={item}
+        saving={saving}
+        onSave={handleSave}
+        onCancel={() => setEditorVisible(false)}
+      />
+    </Card.Primary>
+  );
+};
+
+const styles = createThemedStyles((theme) => ({
+  container: {
+    padding: 16,
+    marginHorizontal: 16,
+    marginBottom: 16,
+  },
+  header: {
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  loader: {
+    marginVertical: 16,
+  },
+  copyRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+  },
+  thumbnail: {
+    width: 40,
+    height: 40,
+    borderRadius: 6,
+  },
+  thumbnailPlaceholder: {
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  copyDetails: {
+    flex: 1,
+    marginHorizontal: 10,
+  },
+  copyValue: {
+    fontWeight: theme.typography.fontWeight.bold,
+    marginRight: 10,
+  },
+  untracked: {
+    marginTop: 8,
+  },
+  addButton: {
+    marginTop: 12,
+  },
+}));
+
+export default CopiesCard;
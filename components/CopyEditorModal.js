@@ -0,0 +1,277 @@
+// components/CopyEditorModal.js
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  Image,
+  Modal,
+  ScrollView,
+  TouchableOpacity,
+  Alert,
+  StyleSheet,
+} from 'react-native';
+import * as ImagePicker from 'expo-image-picker';
+import { Ionicons } from '@expo/vector-icons';
+import { Typography, Button } from '../theme/styled';
+import { useTheme } from '../context/ThemeContext';
+import { CONDITIONS } from '../utils/searchFilters';
+import { currencySymbol } from '../utils/money';
+import { MAX_COPY_PHOTOS, validateCopy } from '../utils/copies';
+
+// Form values for a copy; amounts are edited as strings
+const copyFormValues = (copy) => ({
+  condition: copy?.condition || null,
+  value: copy?.value != null ? String(copy.value) : '',
+  grade: copy?.grade || '',
+  notes: copy?.notes || '',
+  photos: copy?.photos || [],
+});
+
+/**
+ * Adds or edits one copy of an item: its condition, value, grade, notes and photos
+ *
+ * @param {Object} props - Component props
+ * @param {boolean} props.visible - Whether the modal is shown
+ * @param {Object|null} props.copy - The copy being edited; null adds a new one
+ * @param {Object} props.item - The item, for its condition and currency
+ * @param {boolean} props.saving - Disables the buttons while saving
+ * @param {function(Object): void} props.onSave - Called with the copy's fields
+ * @param {function(): void} props.onCancel - Called when dismissed
+ */
+function CopyEditorModal({ visible, copy, item, saving = false, onSave, onCancel }) {
+  const { theme, isDarkMode } = useTheme();
+  const [form, setForm] = useState(copyFormValues(copy));
+  const [errors, setErrors] = useState({});
+
+  useEffect(() => {
+    if (visible) {
+      setForm(copyFormValues(copy));
+      setErrors({});
+    }
+  }, [visible, copy]);
+
+  const update = (fields) => setForm(current => ({ ...current, ...fields }));
+
+  const inputStyle = [styles.input, {
+    backgroundColor: theme.colors.inputBackground,
+    color: theme.colors.inputText,
+    borderColor: theme.colors.inputBorder,
+  }];
+
+  const addPhoto = async () => {
+    try {
+      const result = await ImagePicker.launchImageLibraryAsync({
+        mediaTypes: ImagePicker.MediaTypeOptions.Images,
+        quality: 0.8,
+      });
+      if (!result.canceled && result.assets && result.assets.length > 0) {
+        update({ photos: [...form.photos, result.assets[0].uri].slice(0, MAX_COPY_PHOTOS) });
+      }
+    } catch (error) {
+      console.error('Copy photo picker error:', error);
+      Alert.alert('Error', 'Could not add the photo.');
+    }
+  };
+
+  const handleSave = () => {
+    const fieldErrors = validateCopy(form);
+    setErrors(fieldErrors);
+    if (Object.keys(fieldErrors).length > 0) return;
+    onSave({ ...(copy && { id: copy.id }), ...form, value: form.value === '' ? null : form.value });
+  };
+
+  return (
+    <Modal animationType="slide" transparent visible={visible} onRequestClose={onCancel}>
+      <View style={styles.overlay}>
+        <View style={[styles.content, { backgroundColor: theme.colors.background }]}>
+          <ScrollView keyboardShouldPersistTaps="handled">
+            <Typography.H3 style={[styles.title, { color: isDarkMode ? '#FFFFFF' : theme.colors.text }]}>
+              {copy ? 'Edit Copy' : 'Add Copy'}
+            </Typography.H3>
+
+            <Text style={[styles.label, { color: theme.colors.text }]}>Condition</Text>
+            <View style={styles.chipRow}>
+              {CONDITIONS.map(condition => {
+                // No condition of its own means the item's condition
+                const isSelected = (form.condition || item.condition) === condition;
+                return (
+                  <TouchableOpacity
+                    key={condition}
+                    style={[
+                      styles.chip,
+                      { backgroundColor: theme.colors.surface, borderColor: theme.colors.divider },
+                      isSelected && { backgroundColor: theme.colors.primary + '20', borderColor: theme.colors.primary },
+                    ]}
+                    onPress={() => update({ condition })}
+                    accessibilityState={{ selected: isSelected }}
+                  >
+                    <Text style={[styles.chipText, { color: isSelected ? theme.colors.primary : theme.colors.textSecondary }]}>
+                      {condition}
+                    </Text>
+                  </TouchableOpacity>
+                );
+              })}
+            </View>
+
+            <Text style={[styles.label, { color: theme.colors.text }]}>Value ({currencySymbol(item.currency)})</Text>
+            <TextInput
+              style={inputStyle}
+              placeholder="Same as the item"
+              value={form.value}
+              onChangeText={text => {
+                if (text === '' || /^\d*\.?\d*$/.test(text)) update({ value: text });
+              }}
+              keyboardType="decimal-pad"
+              placeholderTextColor={theme.colors.inputPlaceholder}
+            />
+            {errors.value && <Text style={[styles.errorText, { color: theme.colors.error }]}>{errors.value}</Text>}
+
+            <Text style={[styles.label, { color: theme.colors.text }]}>Grade</Text>
+            <TextInput
+              style={inputStyle}
+              placeholder="e.g., PSA 9"
+              value={form.grade}
+              onChangeText={grade => update({ grade })}
+              maxLength={40}
+              placeholderTextColor={theme.colors.inputPlaceholder}
+            />
+
+            <Text style={[styles.label, { color: theme.colors.text }]}>Notes</Text>
+            <TextInput
+              style={[inputStyle, styles.notesInput]}
+              placeholder="e.g., Signed, small crease on the back"
+              value={form.notes}
+              onChangeText={notes => update({ notes })}
+              maxLength={500}
+              multiline
+              placeholderTextColor={theme.colors.inputPlaceholder}
+            />
+
+            <Text style={[styles.label, { color: theme.colors.text }]}>Photos</Text>
+            <View style={styles.photoRow}>
+              {form.photos.map(uri => (
+                <TouchableOpacity
+                  key={uri}
+                  onPress={() => update({ photos: form.photos.filter(photo => photo !== uri) })}
+                  accessibilityLabel="Remove photo"
+                >
+                  <Image source={{ uri }} style={styles.photo} />
+                  <View style={[styles.removeBadge, { backgroundColor: theme.colors.error }]}>
+                    <Ionicons name="close" size={12} color={theme.colors.textLight} />
+                  </View>
+                </TouchableOpacity>
+              ))}
+              {form.photos.length < MAX_COPY_PHOTOS && (
+                <TouchableOpacity
+                  style={[styles.photo, styles.addPhoto, { borderColor: theme.colors.divider }]}
+                  onPress={addPhoto}
+                  accessibilityLabel="Add photo"
+                >
+                  <Ionicons name="camera-outline" size={24} color={theme.colors.textSecondary} />
+                </TouchableOpacity>
+              )}
+            </View>
+
+            <View style={styles.actions}>
+              <Button.Secondary title="Cancel" onPress={onCancel} style={styles.button} disabled={saving} />
+              <Button.Primary
+                title={saving ? 'Saving...' : 'Save'}
+                onPress={handleSave}
+                style={styles.button}
+                disabled={saving}
+              />
+            </View>
+          </ScrollView>
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    justifyContent: 'center',
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    padding: 20,
+  },
+  content: {
+    borderRadius: 16,
+    padding: 20,
+    maxHeight: '90%',
+  },
+  title: {
+    marginBottom: 12,
+  },
+  label: {
+    fontSize: 14,
+    marginTop: 12,
+    marginBottom: 6,
+    fontWeight: '500',
+  },
+  input: {
+    height: 44,
+    borderWidth: 1,
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    fontSize: 16,
+  },
+  notesInput: {
+    height: 80,
+    paddingTop: 10,
+    textAlignVertical: 'top',
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  chip: {
+    paddingHorizontal: 16,
+    paddingVertical: 6,
+    borderRadius: 16,
+    borderWidth: 1,
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  chipText: {
+    fontSize: 13,
+  },
+  errorText: {
+    fontSize: 12,
+    marginTop: 4,
+  },
+  photoRow: {
+    flexDirection: 'row',
+  },
+  photo: {
+    width: 64,
+    height: 64,
+    borderRadius: 8,
+    marginRight: 8,
+  },
+  addPhoto: {
+    borderWidth: 1,
+    borderStyle: 'dashed',
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  removeBadge: {
+    position: 'absolute',
+    top: 2,
+    right: 10,
+    borderRadius: 8,
+    padding: 2,
+  },
+  actions: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginTop: 20,
+  },
+  button: {
+    flex: 1,
+    marginHorizontal: 4,
+  },
+});
+
+export default CopyEditorModal;
@@ -0,0 +1,63 @@
+// components/CurrencyPicker.js
+import React from 'react';
+import { ScrollView, TouchableOpacity, StyleSheet } from 'react-native';
+import { Typography } from '../theme/styled';
+import { useTheme } from '../context/ThemeContext';
+import { CURRENCIES } from '../utils/money';
+
+/**
+ * A row of currency chips
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.selected - The selected ISO 4217 code
+ * @param {function(string): void} props.onSelect - Called with the picked code
+ * @param {Object} [props.style] - Container style
+ */
+function CurrencyPicker({ selected, onSelect, style }) {
+  const { theme } = useTheme();
+
+  return (
+    <ScrollView
+      horizontal
+      showsHorizontalScrollIndicator={false}
+      contentContainerStyle={[styles.row, style]}
+      keyboardShouldPersistTaps="handled"
+    >
+      {CURRENCIES.map((currency) => {
+        const isSelected = currency.code === selected;
+        return (
+          <TouchableOpacity
+            key={currency.code}
+            style={[
+              styles.chip,
+              { backgroundColor: theme.colors.surface, borderColor: theme.colors.divider },
+              isSelected && { backgroundColor: theme.colors.primary + '20', borderColor: theme.colors.primary },
+            ]}
+            onPress={() => onSelect(currency.code)}
+            accessibilityLabel={currency.name}
+            accessibilityState={{ selected: isSelected }}
+          >
+            <Typography.Caption style={{ color: isSelected ? theme.colors.primary : theme.colors.textSecondary }}>
+              {currency.code}
+            </Typography.Caption>
+          </TouchableOpacity>
+        );
+      })}
+    </ScrollView>
+  );
+}
+
+const styles = StyleSheet.create({
+  row: {
+    paddingVertical: 4,
+  },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 4,
+    borderRadius: 16,
+    borderWidth: 1,
+    marginRight: 8,
+  },
+});
+
+export default CurrencyPicker;
@@ -0,0 +1,77 @@
+// components/FilterChips.js
+import React from 'react';
+import { ScrollView, TouchableOpacity, StyleSheet } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { Typography } from '../theme/styled';
+import { useTheme } from '../context/ThemeContext';
+
+/**
+ * A row of active filters; tapping a chip removes that filter
+ *
+ * @param {Object} props - Component props
+ * @param {Array<{key: string, label: string}>} props.chips - From describeFilters
+ * @param {function(string): void} props.onRemove - Called with the chip's key
+ * @param {function(): void} props.onClearAll - Shows a "Clear All" link when given
+ * @param {Object} props.style - Additional styles for the row
+ */
+function FilterChips({ chips, onRemove, onClearAll, style }) {
+  const { theme } = useTheme();
+
+  if (!chips || chips.length === 0) return null;
+
+  return (
+    <ScrollView
+      horizontal
+      showsHorizontalScrollIndicator={false}
+      style={style}
+      contentContainerStyle={styles.row}
+      keyboardShouldPersistTaps="handled"
+    >
+      {chips.map(chip => (
+        <TouchableOpacity
+          key={chip.key}
+          style={[styles.chip, { backgroundColor: theme.colors.primary + '20', borderColor: theme.colors.primary }]}
+          onPress={() => onRemove(chip.key)}
+          accessibilityLabel={`Remove filter ${chip.label}`}
+        >
+          <Typography.Caption style={[styles.label, { color: theme.colors.primary }]}>
+            {chip.label}
+          </Typography.Caption>
+          <Ionicons name="close" size={14} color={theme.colors.primary} />
+        </TouchableOpacity>
+      ))}
+      {onClearAll && (
+        <TouchableOpacity onPress={onClearAll} style={styles.clearAll}>
+          <Typography.Caption style={{ color: theme.colors.primary }}>Clear All</Typography.Caption>
+        </TouchableOpacity>
+      )}
+    </ScrollView>
+  );
+}
+
+const styles = StyleSheet.create({
+  row: {
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingVertical: 4,
+  },
+  chip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingLeft: 12,
+    paddingRight: 8,
+    paddingVertical: 4,
+    borderRadius: 16,
+    borderWidth: 1,
+    marginRight: 8,
+  },
+  label: {
+    marginRight: 4,
+  },
+  clearAll: {
+    paddingHorizontal: 8,
+    paddingVertical: 4,
+  },
+});
+
+export default FilterChips;
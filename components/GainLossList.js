@@ -0,0 +1,83 @@
+// components/GainLossList.js
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import { useTheme } from '../context/ThemeContext';
+import { formatMoney } from '../utils/money';
+
+/**
+ * Rows of unrealized gains and losses, each with what it cost
+ *
+ * @param {Object} props - Component props
+ * @param {Array<{key?: *, name: string, count?: number, cost: number, gain: number, currency: string}>} props.rows - From
+ *   gainBreakdown, or one per item (with the item ID as key)
+ * @param {number} [props.limit] - Show only the first rows
+ */
+function GainLossList({ rows, limit }) {
+  const { theme } = useTheme();
+  const shown = limit ? rows.slice(0, limit) : rows;
+
+  return (
+    <View>
+      {shown.map(row => {
+        const isLoss = row.gain < 0;
+        const percent = row.cost > 0 ? Math.round((row.gain / row.cost) * 100) : null;
+        return (
+          <View key={row.key ?? row.name} style={[styles.row, { borderBottomColor: theme.colors.divider }]}>
+            <View style={styles.labels}>
+              <Text style={[styles.name, { color: theme.colors.text }]} numberOfLines={1}>
+                {row.name}
+                {row.count !== undefined && <Text style={{ color: theme.colors.textSecondary }}> · {row.count}</Text>}
+              </Text>
+              <Text style={[styles.cost, { color: theme.colors.textSecondary }]}>
+                Cost {formatMoney(row.cost, row.currency)}
+              </Text>
+            </View>
+            <View style={styles.amounts}>
+              <Text style={[styles.gain, { color: isLoss ? theme.colors.error : theme.colors.success }]}>
+                {isLoss ? '-' : '+'}{formatMoney(Math.abs(row.gain), row.currency)}
+              </Text>
+              {percent !== null && (
+                <Text style={[styles.percent, { color: isLoss ? theme.colors.error : theme.colors.success }]}>
+                  {isLoss ? '' : '+'}{percent}%
+                </Text>
+              )}
+            </View>
+          </View>
+        );
+      })}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+  },
+  labels: {
+    flex: 1,
+    marginRight: 8,
+  },
+  name: {
+    fontSize: 14,
+  },
+  cost: {
+    fontSize: 12,
+    marginTop: 2,
+  },
+  amounts: {
+    alignItems: 'flex-end',
+  },
+  gain: {
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  percent: {
+    fontSize: 12,
+    marginTop: 2,
+  },
+});
+
+export default GainLossList;
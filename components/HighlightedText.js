@@ -0,0 +1,66 @@
+// components/HighlightedText.js
+import React from 'react';
+import { Text } from 'react-native';
+import { useTheme } from '../context/ThemeContext';
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Splits a search query into the words that get highlighted, the same way
+ * the search_items RPC splits it
+ * @param {string} query - What the user typed
+ * @returns {Array<string>}
+ */
+export const searchTerms = (query) => (query || '')
+  .toLowerCase()
+  .split(/[^a-z0-9\u00c0-\u024f]+/)
+  .filter(Boolean);
+
+/**
+ * Text with the parts matching search terms emphasized
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.text - The text to show
+ * @param {Array<string>} props.terms - Words to highlight (case-insensitive)
+ * @param {React.ComponentType} props.TextComponent - Renders the outer text, e.g. a Typography style
+ * @param {Object} props.style - Styles for the whole text
+ * @param {Object} props.highlightStyle - Styles for the matched parts
+ * @param {number} props.numberOfLines - Truncate after this many lines
+ */
+function HighlightedText({
+  text,
+  terms,
+  TextComponent = Text,
+  style,
+  highlightStyle,
+  numberOfLines,
+}) {
+  const { theme } = useTheme();
+  const content = text == null ? '' : String(text);
+  const words = [...new Set((terms || []).filter(Boolean))]
+    // Longer terms first, so "pokemon" wins over "pok"
+    .sort((a, b) => b.length - a.length)
+    .map(escapeRegExp);
+
+  if (words.length === 0 || !content) {
+    return <TextComponent style={style} numberOfLines={numberOfLines}>{content}</TextComponent>;
+  }
+
+  // The capture group keeps the matches in the split result, at odd indexes
+  const parts = content.split(new RegExp(`(${words.join('|')})`, 'gi'));
+
+  return (
+    <TextComponent style={style} numberOfLines={numberOfLines}>
+      {parts.map((part, index) => (index % 2 === 1 ? (
+        <Text
+          key={index}
+          style={[{ fontWeight: theme.typography.fontWeight.bold, color: theme.colors.primary }, highlightStyle]}
+        >
+          {part}
+        </Text>
+      ) : part))}
+    </TextComponent>
+  );
+}
+
+export default HighlightedText;
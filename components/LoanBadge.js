@@ -0,0 +1,48 @@
+// components/LoanBadge.js
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useTheme } from '../context/ThemeContext';
+import { isOverdue, loanStatusLabel } from '../utils/loans';
+
+/**
+ * "On loan" or "Overdue" pill for item lists; renders nothing for items at home
+ * @param {Object} props - Component props
+ * @param {Object|null} props.loan - The item's active loan, e.g. from useActiveLoans
+ * @param {Object} [props.style] - Extra container style
+ */
+function LoanBadge({ loan, style }) {
+  const { theme } = useTheme();
+  const label = loanStatusLabel(loan);
+  if (!label) return null;
+
+  const color = isOverdue(loan) ? theme.colors.error : theme.colors.primary;
+  return (
+    <View
+      style={[styles.badge, { borderColor: color, backgroundColor: color + '20' }, style]}
+      accessibilityLabel={`${label}, lent to ${loan.borrower_name}`}
+    >
+      <Ionicons name={isOverdue(loan) ? 'alert-circle-outline' : 'swap-horizontal-outline'} size={12} color={color} />
+      <Text style={[styles.text, { color }]}>{label}</Text>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  badge: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    alignSelf: 'flex-start',
+    borderWidth: 1,
+    borderRadius: 10,
+    paddingHorizontal: 6,
+    paddingVertical: 2,
+  },
+  text: {
+    fontSize: 11,
+    fontWeight: '600',
+    marginLeft: 3,
+  },
+});
+
+export default LoanBadge;
@@ -0,0 +1,237 @@
+// components/LoanCard.js
+import React, { useState, useEffect } from 'react';
+import { View, ActivityIndicator, Alert } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import Toast from 'react-native-toast-message';
+import { format, parseISO } from 'date-fns';
+import { listLoans, lendItem, updateLoan, returnLoan } from '../data';
+import { scheduleLoanReminders } from '../lib/loanReminders';
+import { useTheme } from '../context/ThemeContext';
+import { Typography, Button, Card, Layout, createThemedStyles } from '../theme/styled';
+import { handleError, ERROR_CATEGORIES } from '../utils/errorHandler';
+import { isActiveLoan, isOverdue, describeDue } from '../utils/loans';
+import LoanEditorModal from './LoanEditorModal';
+
+// Past loans listed under the current one
+const HISTORY_LIMIT = 5;
+
+const formatDay = (day) => format(parseISO(day), 'MMM d, yyyy');
+
+/**
+ * Who has an item and when it's due back, with the item's past loans. The
+ * owner can lend it, edit the loan and mark it returned; a linked borrower
+ * sees that it's lent to them. Renders nothing for anyone else.
+ * @param {Object} props - Component props
+ * @param {Object} props.item - The item
+ * @param {string|null} props.userId - The signed-in user
+ * @param {function(): void} [props.onChange] - Called after the item is lent or returned
+ */
+const LoanCard = ({ item, userId, onChange }) => {
+  const { theme } = useTheme();
+  const [loans, setLoans] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [editing, setEditing] = useState(null);
+  const [editorVisible, setEditorVisible] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const isOwner = !!userId && userId === item.user_id;
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    listLoans(item.id)
+      .then(rows => { if (!cancelled) setLoans(rows); })
+      .catch(error => console.error('Error loading loans:', error.message))
+      .finally(() => { if (!cancelled) setLoading(false); });
+    return () => { cancelled = true; };
+  }, [item.id]);
+
+  const activeLoan = loans.find(isActiveLoan) || null;
+  const pastLoans = loans.filter(loan => !isActiveLoan(loan)).slice(0, HISTORY_LIMIT);
+
+  // Reminders follow the loan's due date
+  const afterChange = () => {
+    scheduleLoanReminders(userId);
+    onChange?.();
+  };
+
+  const openEditor = (loan = null) => {
+    setEditing(loan);
+    setEditorVisible(true);
+  };
+
+  const handleSave = async (fields) => {
+    setSaving(true);
+    try {
+      const saved = editing ? await updateLoan(editing.id, fields) : await lendItem(item.id, fields);
+      setLoans(current => (editing
+        ? current.map(loan => (loan.id === saved.id ? saved : loan))
+        : [saved, ...current]));
+      setEditorVisible(false);
+      afterChange();
+    } catch (error) {
+      handleError(
+        error,
+        'LoanCard.handleSave',
+        error.category || ERROR_CATEGORIES.DATABASE,
+        error.code === '23505'
+          ? 'This item is already on loan. Mark it returned first.'
+          : 'Unable to save this loan. Please try again.'
+      );
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleReturn = () => {
+    Alert.alert(
+      'Mark as Returned?',
+      `${activeLoan.borrower_name} gave ${item.name} back. The loan stays in its history.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Returned',
+          onPress: async () => {
+            try {
+              const returned = await returnLoan(activeLoan.id);
+              setLoans(current => current.map(loan => (loan.id === returned.id ? returned : loan)));
+              Toast.show({ type: 'success', text1: 'Item Returned', position: 'bottom' });
+              afterChange();
+            } catch (error) {
+              handleError(
+                error,
+                'LoanCard.handleReturn',
+                error.category || ERROR_CATEGORIES.DATABASE,
+                'Unable to mark this loan returned. Please try again.'
+              );
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  if (!loading && !isOwner && !activeLoan) return null;
+
+  const renderActiveLoan = () => {
+    const overdue = isOverdue(activeLoan);
+    const lentToYou = activeLoan.borrower_id === userId;
+    return (
+      <View>
+        <Layout.Row style={styles.statusRow}>
+          <Ionicons
+            name={overdue ? 'alert-circle' : 'swap-horizontal'}
+            size={18}
+            color={overdue ? theme.colors.error : theme.colors.primary}
+          />
+          <Typography.Body style={[styles.statusText, { color: theme.colors.text }]}>
+            {lentToYou ? 'Lent to you' : `Lent to ${activeLoan.borrower_name}`} since {formatDay(activeLoan.lent_on)}
+          </Typography.Body>
+        </Layout.Row>
+        {!!activeLoan.due_on && (
+          <Typography.BodySmall style={{ color: overdue ? theme.colors.error : theme.colors.textSecondary }}>
+            {describeDue(activeLoan)} · due {formatDay(activeLoan.due_on)}
+          </Typography.BodySmall>
+        )}
+        {!!activeLoan.notes && (
+          <Typography.BodySmall style={[styles.notes, { color: theme.colors.textSecondary }]}>
+            {activeLoan.notes}
+          </Typography.BodySmall>
+        )}
+        {isOwner && (
+          <Layout.Row style={styles.actions}>
+            <Button.Secondary title="Edit" onPress={() => openEditor(activeLoan)} style={styles.actionButton} />
+            <Button.Primary title="Mark Returned" onPress={handleReturn} style={styles.actionButton} />
+          </Layout.Row>
+        )}
+      </View>
+    );
+  };
+
+  return (
+    <Card.Primary style={[styles.container, { backgroundColor: theme.colors.surface }]}>
+      <Typography.H3 style={[styles.title, { color: theme.colors.text }]}>Loan</Typography.H3>
+
+      {loading ? (
+        <ActivityIndicator color={theme.colors.primary} style={styles.loader} />
+      ) : (
+        <>
+          {activeLoan ? renderActiveLoan() : (
+            <>
+              <Typography.BodySmall style={{ color: theme.colors.textSecondary }}>
+                This item is at home.
+              </Typography.BodySmall>
+              <Button.Secondary title="Lend Item" onPress={() => openEditor()} style={styles.lendButton} />
+            </>
+          )}
+
+          {isOwner && pastLoans.length > 0 && (
+            <View style={[styles.history, { borderTopColor: theme.colors.divider }]}>
+              <Typography.Label style={{ color: theme.colors.textSecondary }}>Past Loans</Typography.Label>
+              {pastLoans.map(loan => (
+                <Typography.BodySmall key={loan.id} style={[styles.historyRow, { color: theme.colors.text }]}>
+                  {loan.borrower_name} · {formatDay(loan.lent_on)} – {format(new Date(loan.returned_at), 'MMM d, yyyy')}
+                </Typography.BodySmall>
+              ))}
+            </View>
+          )}
+        </>
+      )}
+
+      {isOwner && (
+        <LoanEditorModal
+          visible={editorVisible}
+          loan={editing}
+          userId={userId}
+          saving={saving}
+          onSave={handleSave}
+          onCancel={() => setEditorVisible(false)}
+        />
+      )}
+    </Card.Primary>
+  );
+};
+
+const styles = createThemedStyles((theme) => ({
+  container: {
+    padding: 16,
+    marginHorizontal: 16,
+    marginBottom: 16,
+  },
+  title: {
+    marginBottom: 8,
+  },
+  loader: {
+    marginVertical: 16,
+  },
+  statusRow: {
+    alignItems: 'center',
+    marginBottom: 4,
+  },
+  statusText: {
+    flex: 1,
+    marginLeft: 8,
+  },
+  notes: {
+    marginTop: 6,
+  },
+  actions: {
+    marginTop: 12,
+  },
+  actionButton: {
+    flex: 1,
+    marginHorizontal: 4,
+  },
+  lendButton: {
+    marginTop: 12,
+  },
+  history: {
+    marginTop: 16,
+    paddingTop: 12,
+    borderTopWidth: 1,
+  },
+  historyRow: {
+    marginTop: 4,
+  },
+}));
+
+export default LoanCard;
@@ -0,0 +1,299 @@
+// components/LoanEditorModal.js
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  Modal,
+  ScrollView,
+  TouchableOpacity,
+  ActivityIndicator,
+  StyleSheet,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { Typography, Button } from '../theme/styled';
+import { useTheme } from '../context/ThemeContext';
+import { searchProfiles, getProfilesByIds } from '../data';
+import { loanFormValues, validateLoan } from '../utils/loans';
+
+/**
+ * Lends an item or edits a loan: who has it, optionally linked to their
+ * account, when it went out, when it's due back and notes
+ *
+ * @param {Object} props - Component props
+ * @param {boolean} props.visible - Whether the modal is shown
+ * @param {Object|null} props.loan - The loan being edited; null lends the item
+ * @param {string} props.userId - The lender, left out of the user search
+ * @param {boolean} props.saving - Disables the buttons while saving
+ * @param {function(Object): void} props.onSave - Called with the loan's fields
+ * @param {function(): void} props.onCancel - Called when dismissed
+ */
+function LoanEditorModal({ visible, loan, userId, saving = false, onSave, onCancel }) {
+  const { theme, isDarkMode } = useTheme();
+  const [form, setForm] = useState(loanFormValues(loan));
+  const [errors, setErrors] = useState({});
+  const [linkedProfile, setLinkedProfile] = useState(null);
+  const [userQuery, setUserQuery] = useState('');
+  const [userResults, setUserResults] = useState([]);
+  const [searching, setSearching] = useState(false);
+
+  useEffect(() => {
+    if (!visible) return;
+    setForm(loanFormValues(loan));
+    setErrors({});
+    setLinkedProfile(null);
+    setUserQuery('');
+    setUserResults([]);
+    if (loan?.borrower_id) {
+      getProfilesByIds([loan.borrower_id])
+        .then(profiles => setLinkedProfile(profiles[loan.borrower_id] || null))
+        .catch(error => console.error('Error loading borrower profile:', error.message));
+    }
+  }, [visible, loan]);
+
+  // Searches as the user types, once they pause
+  useEffect(() => {
+    if (userQuery.trim().length < 2) {
+      setUserResults([]);
+      return undefined;
+    }
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      setSearching(true);
+      try {
+        const profiles = await searchProfiles(userQuery, { excludeUserId: userId, limit: 5 });
+        if (!cancelled) setUserResults(profiles);
+      } catch (error) {
+        console.error('Error searching users:', error.message);
+      } finally {
+        if (!cancelled) setSearching(false);
+      }
+    }, 300);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [userQuery, userId]);
+
+  const update = (fields) => setForm(current => ({ ...current, ...fields }));
+
+  const linkProfile = (profile) => {
+    setLinkedProfile(profile);
+    update({ borrower_id: profile.id, ...(!form.borrower_name.trim() && { borrower_name: profile.username || '' }) });
+    setUserQuery('');
+    setUserResults([]);
+  };
+
+  const unlinkProfile = () => {
+    setLinkedProfile(null);
+    update({ borrower_id: null });
+  };
+
+  const inputStyle = [styles.input, {
+    backgroundColor: theme.colors.inputBackground,
+    color: theme.colors.inputText,
+    borderColor: theme.colors.inputBorder,
+  }];
+
+  const handleSave = () => {
+    const fieldErrors = validateLoan(form);
+    setErrors(fieldErrors);
+    if (Object.keys(fieldErrors).length > 0) return;
+    onSave({ ...form, due_on: form.due_on || null });
+  };
+
+  const renderError = (field) => (
+    errors[field] ? <Text style={[styles.errorText, { color: theme.colors.error }]}>{errors[field]}</Text> : null
+  );
+
+  return (
+    <Modal animationType="slide" transparent visible={visible} onRequestClose={onCancel}>
+      <View style={styles.overlay}>
+        <View style={[styles.content, { backgroundColor: theme.colors.background }]}>
+          <ScrollView keyboardShouldPersistTaps="handled">
+            <Typography.H3 style={[styles.title, { color: isDarkMode ? '#FFFFFF' : theme.colors.text }]}>
+              {loan ? 'Edit Loan' : 'Lend Item'}
+            </Typography.H3>
+
+            <Text style={[styles.label, { color: theme.colors.text }]}>Borrower</Text>
+            <TextInput
+              style={inputStyle}
+              placeholder="e.g., Sam or City Museum"
+              value={form.borrower_name}
+              onChangeText={borrower_name => update({ borrower_name })}
+              maxLength={100}
+              placeholderTextColor={theme.colors.inputPlaceholder}
+            />
+            {renderError('borrower_name')}
+
+            <Text style={[styles.label, { color: theme.colors.text }]}>App User (Optional)</Text>
+            {form.borrower_id ? (
+              <View style={[styles.linkedUser, { borderColor: theme.colors.primary, backgroundColor: theme.colors.primary + '20' }]}>
+                <Ionicons name="person-circle-outline" size={18} color={theme.colors.primary} />
+                <Text style={[styles.linkedUserText, { color: theme.colors.primary }]} numberOfLines={1}>
+                  {linkedProfile?.username ? `@${linkedProfile.username}` : 'Linked account'}
+                </Text>
+                <TouchableOpacity
+                  onPress={unlinkProfile}
+                  hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}
+                  accessibilityLabel="Unlink account"
+                >
+                  <Ionicons name="close" size={18} color={theme.colors.primary} />
+                </TouchableOpacity>
+              </View>
+            ) : (
+              <>
+                <TextInput
+                  style={inputStyle}
+                  placeholder="Search by username"
+                  value={userQuery}
+                  onChangeText={setUserQuery}
+                  autoCapitalize="none"
+                  autoCorrect={false}
+                  placeholderTextColor={theme.colors.inputPlaceholder}
+                />
+                {searching && <ActivityIndicator size="small" color={theme.colors.primary} style={styles.searching} />}
+                {userResults.map(profile => (
+                  <TouchableOpacity
+                    key={profile.id}
+                    style={[styles.userResult, { borderBottomColor: theme.colors.divider }]}
+                    onPress={() => linkProfile(profile)}
+                  >
+                    <Ionicons name="person-outline" size={16} color={theme.colors.textSecondary} />
+                    <Text style={[styles.userResultText, { color: theme.colors.text }]}>@{profile.username}</Text>
+                  </TouchableOpacity>
+                ))}
+                <Typography.Caption style={[styles.hint, { color: theme.colors.textSecondary }]}>
+                  A linked borrower can see the loan too.
+                </Typography.Caption>
+              </>
+            )}
+
+            <Text style={[styles.label, { color: theme.colors.text }]}>Lent On</Text>
+            <TextInput
+              style={inputStyle}
+              placeholder="YYYY-MM-DD"
+              value={form.lent_on}
+              onChangeText={lent_on => update({ lent_on })}
+              keyboardType="numbers-and-punctuation"
+              maxLength={10}
+              placeholderTextColor={theme.colors.inputPlaceholder}
+            />
+            {renderError('lent_on')}
+
+            <Text style={[styles.label, { color: theme.colors.text }]}>Due Back (Optional)</Text>
+            <TextInput
+              style={inputStyle}
+              placeholder="YYYY-MM-DD"
+              value={form.due_on}
+              onChangeText={due_on => update({ due_on })}
+              keyboardType="numbers-and-punctuation"
+              maxLength={10}
+              placeholderTextColor={theme.colors.inputPlaceholder}
+            />
+            {renderError('due_on')}
+
+            <Text style={[styles.label, { color: theme.colors.text }]}>Notes</Text>
+            <TextInput
+              style={[inputStyle, styles.notesInput]}
+              placeholder="e.g., For the spring exhibition, insured by the museum"
+              value={form.notes}
+              onChangeText={notes => update({ notes })}
+              maxLength={500}
+              multiline
+              placeholderTextColor={theme.colors.inputPlaceholder}
+            />
+
+            <View style={styles.actions}>
+              <Button.Secondary title="Cancel" onPress={onCancel} style={styles.button} disabled={saving} />
+              <Button.Primary
+                title={saving ? 'Saving...' : loan ? 'Save' : 'Lend'}
+                onPress={handleSave}
+                style={styles.button}
+                disabled={saving}
+              />
+            </View>
+          </ScrollView>
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    justifyContent: 'center',
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    padding: 20,
+  },
+  content: {
+    borderRadius: 16,
+    padding: 20,
+    maxHeight: '90%',
+  },
+  title: {
+    marginBottom: 12,
+  },
+  label: {
+    fontSize: 14,
+    marginTop: 12,
+    marginBottom: 6,
+    fontWeight: '500',
+  },
+  input: {
+    height: 44,
+    borderWidth: 1,
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    fontSize: 16,
+  },
+  notesInput: {
+    height: 80,
+    paddingTop: 10,
+    textAlignVertical: 'top',
+  },
+  linkedUser: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderWidth: 1,
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    height: 44,
+  },
+  linkedUserText: {
+    flex: 1,
+    fontSize: 16,
+    marginHorizontal: 8,
+  },
+  searching: {
+    marginTop: 8,
+  },
+  userResult: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+  },
+  userResultText: {
+    fontSize: 15,
+    marginLeft: 8,
+  },
+  hint: {
+    marginTop: 4,
+  },
+  errorText: {
+    fontSize: 12,
+    marginTop: 4,
+  },
+  actions: {
+    flexDirection: 'row',
+    marginTop: 20,
+  },
+  button: {
+    flex: 1,
+    marginHorizontal: 4,
+  },
+});
+
+export default LoanEditorModal;
@@ -0,0 +1,170 @@
+// components/LocationPicker.js
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  Modal,
+  FlatList,
+  TouchableOpacity,
+  StyleSheet,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { Typography, Button } from '../theme/styled';
+import { useTheme } from '../context/ThemeContext';
+import { flattenLocationTree, locationIcon, locationPath } from '../utils/locations';
+
+/**
+ * A field showing the chosen storage location; tapping it opens the location
+ * tree to pick another
+ *
+ * @param {Object} props - Component props
+ * @param {Array<Object>} props.locations - The user's locations, from useLocations
+ * @param {number|null} props.selectedId - The chosen location
+ * @param {function(number|null): void} props.onSelect - Called with the picked location, or null
+ * @param {string} [props.noneLabel='No location'] - The option for no location
+ * @param {Array<number>} [props.disabledIds] - Locations that can't be picked, e.g. when moving a location
+ * @param {function(): void} [props.onManage] - Shows a link to the locations screen
+ */
+function LocationPicker({ locations, selectedId, onSelect, noneLabel = 'No location', disabledIds = [], onManage }) {
+  const { theme } = useTheme();
+  const [visible, setVisible] = useState(false);
+  const rows = [{ location: null, depth: 0 }, ...flattenLocationTree(locations)];
+
+  const pick = (locationId) => {
+    setVisible(false);
+    onSelect(locationId);
+  };
+
+  const renderRow = ({ item: { location, depth } }) => {
+    const id = location ? location.id : null;
+    const isSelected = id === (selectedId ?? null);
+    const isDisabled = id !== null && disabledIds.includes(id);
+    return (
+      <TouchableOpacity
+        style={[styles.row, { paddingLeft: 16 + depth * 20, borderBottomColor: theme.colors.divider }]}
+        onPress={() => pick(id)}
+        disabled={isDisabled}
+        accessibilityState={{ selected: isSelected, disabled: isDisabled }}
+      >
+        <Ionicons
+          name={location ? locationIcon(location.kind) : 'close-circle-outline'}
+          size={18}
+          color={isDisabled ? theme.colors.textTertiary : theme.colors.textSecondary}
+        />
+        <Text
+          style={[styles.rowText, { color: isDisabled ? theme.colors.textTertiary : theme.colors.text }]}
+          numberOfLines={1}
+        >
+          {location ? location.name : noneLabel}
+        </Text>
+        {isSelected && <Ionicons name="checkmark" size={18} color={theme.colors.primary} />}
+      </TouchableOpacity>
+    );
+  };
+
+  return (
+    <View>
+      <TouchableOpacity
+        style={[styles.field, {
+          backgroundColor: theme.colors.inputBackground,
+          borderColor: theme.colors.inputBorder,
+        }]}
+        onPress={() => setVisible(true)}
+        accessibilityRole="button"
+      >
+        <Ionicons name="location-outline" size={18} color={theme.colors.textSecondary} />
+        <Text
+          style={[styles.fieldText, { color: selectedId ? theme.colors.inputText : theme.colors.inputPlaceholder }]}
+          numberOfLines={1}
+        >
+          {(selectedId && locationPath(locations, selectedId)) || noneLabel}
+        </Text>
+        <Ionicons name="chevron-down" size={18} color={theme.colors.textSecondary} />
+      </TouchableOpacity>
+
+      <Modal animationType="slide" transparent visible={visible} onRequestClose={() => setVisible(false)}>
+        <View style={styles.overlay}>
+          <View style={[styles.content, { backgroundColor: theme.colors.background }]}>
+            <Typography.H3 style={[styles.title, { color: theme.colors.text }]}>Choose Location</Typography.H3>
+            <FlatList
+              data={rows}
+              renderItem={renderRow}
+              keyExtractor={({ location }) => (location ? String(location.id) : 'none')}
+              ListFooterComponent={locations.length === 0 ? (
+                <Typography.BodySmall style={[styles.emptyText, { color: theme.colors.textSecondary }]}>
+                  You haven't added any storage locations yet.
+                </Typography.BodySmall>
+              ) : null}
+            />
+            <View style={styles.actions}>
+              {onManage && (
+                <Button.Secondary
+                  title="Manage Locations"
+                  onPress={() => { setVisible(false); onManage(); }}
+                  style={styles.button}
+                />
+              )}
+              <Button.Primary title="Close" onPress={() => setVisible(false)} style={styles.button} />
+            </View>
+          </View>
+        </View>
+      </Modal>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  field: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    height: 44,
+    borderWidth: 1,
+    borderRadius: 8,
+    paddingHorizontal: 12,
+  },
+  fieldText: {
+    flex: 1,
+    fontSize: 16,
+    marginHorizontal: 8,
+  },
+  overlay: {
+    flex: 1,
+    justifyContent: 'flex-end',
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+  },
+  content: {
+    borderTopLeftRadius: 16,
+    borderTopRightRadius: 16,
+    paddingTop: 20,
+    maxHeight: '75%',
+  },
+  title: {
+    marginBottom: 8,
+    paddingHorizontal: 20,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 12,
+    paddingRight: 16,
+    borderBottomWidth: 1,
+  },
+  rowText: {
+    flex: 1,
+    fontSize: 16,
+    marginLeft: 10,
+  },
+  emptyText: {
+    padding: 16,
+  },
+  actions: {
+    flexDirection: 'row',
+    padding: 16,
+  },
+  button: {
+    flex: 1,
+    marginHorizontal: 4,
+  },
+});
+
+export default LocationPicker;
@@ -0,0 +1,56 @@
+// components/OfflineBanner.js
+import React from 'react';
+import { View, StyleSheet } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { Typography } from '../theme/styled';
+import { useTheme } from '../context/ThemeContext';
+import { useSync } from '../context/SyncContext';
+
+/**
+ * A strip shown above item lists when they come from the offline cache,
+ * or while changes are still waiting to be synced
+ *
+ * @param {Object} props - Component props
+ * @param {boolean} props.offline - Whether the last refresh couldn't reach the server
+ * @param {Object} props.style - Additional styles for the container
+ */
+function OfflineBanner({ offline, style }) {
+  const { theme } = useTheme();
+  const { pendingCount } = useSync();
+
+  if (!offline && pendingCount === 0) return null;
+
+  const message = offline
+    ? 'Offline - showing saved items'
+    : `Syncing ${pendingCount} ${pendingCount === 1 ? 'change' : 'changes'}...`;
+  const pendingText = offline && pendingCount > 0
+    ? ` · ${pendingCount} ${pendingCount === 1 ? 'change' : 'changes'} waiting`
+    : '';
+
+  return (
+    <View style={[styles.container, { backgroundColor: theme.colors.surface }, style]}>
+      <Ionicons
+        name={offline ? 'cloud-offline-outline' : 'cloud-upload-outline'}
+        size={16}
+        color={theme.colors.textSecondary}
+      />
+      <Typography.Caption style={[styles.text, { color: theme.colors.textSecondary }]}>
+        {message}{pendingText}
+      </Typography.Caption>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+  },
+  text: {
+    marginLeft: 8,
+  },
+});
+
+export default OfflineBanner;
@@ -0,0 +1,109 @@
+// components/PurchaseDetailsCard.js
+import React from 'react';
+import { View, Image } from 'react-native';
+import { format, parseISO } from 'date-fns';
+import { useTheme } from '../context/ThemeContext';
+import { useCurrency } from '../context/CurrencyContext';
+import { Typography, Card, Layout, createThemedStyles } from '../theme/styled';
+import { useReceiptUri } from './AcquisitionFields';
+import { acquisitionCost, unrealizedGain, formatMoney, normalizeCurrency } from '../utils/money';
+
+// Amounts are numbers from the server but strings while an edit waits to sync
+const hasAmount = (amount) => amount !== null && amount !== undefined && amount !== '';
+
+/**
+ * What the owner paid for an item and how its current value compares
+ * @param {Object} item - The item, with its `acquisition`
+ */
+const PurchaseDetailsCard = ({ item }) => {
+  const { theme } = useTheme();
+  const { rates } = useCurrency();
+  const { acquisition } = item;
+  const receiptUri = useReceiptUri(acquisition.receipt_path);
+
+  const cost = acquisitionCost(acquisition);
+  // Gain is shown in the item's own currency, like its value
+  const gain = unrealizedGain(item, normalizeCurrency(item.currency), rates);
+  const gainColor = gain && gain.gain < 0 ? theme.colors.error : theme.colors.success;
+
+  const hasPrice = hasAmount(acquisition.purchase_price);
+  const hasFees = hasAmount(acquisition.fees);
+  const rows = [
+    hasPrice && ['Price', formatMoney(acquisition.purchase_price, acquisition.currency)],
+    hasFees && ['Shipping & Fees', formatMoney(acquisition.fees, acquisition.currency)],
+    hasPrice && hasFees && ['Total Cost', formatMoney(cost.amount, cost.currency)],
+    acquisition.purchase_date && ['Purchased', format(parseISO(acquisition.purchase_date), 'MMM d, yyyy')],
+    acquisition.source && ['From', acquisition.source],
+  ].filter(Boolean);
+
+  return (
+    <Card.Primary style={[styles.container, { backgroundColor: theme.colors.surface }]}>
+      <Typography.H3 style={[styles.title, { color: theme.colors.text }]}>
+        Purchase Details
+      </Typography.H3>
+
+      {rows.map(([label, value]) => (
+        <Layout.Row key={label} style={styles.row}>
+          <Typography.Label style={{ color: theme.colors.textSecondary }}>{label}</Typography.Label>
+          <Typography.Body style={{ color: theme.colors.text }}>{value}</Typography.Body>
+        </Layout.Row>
+      ))}
+
+      {gain && (
+        <Layout.Row style={[styles.row, styles.gainRow, { borderTopColor: theme.colors.divider }]}>
+          <Typography.Label style={{ color: theme.colors.textSecondary }}>
+            {gain.gain < 0 ? 'Unrealized Loss' : 'Unrealized Gain'}
+          </Typography.Label>
+          <Typography.Body style={[styles.gainValue, { color: gainColor }]}>
+            {gain.gain < 0 ? '-' : '+'}{formatMoney(Math.abs(gain.gain), gain.currency)}
+            {gain.cost > 0 && ` (${gain.gain < 0 ? '' : '+'}${Math.round((gain.gain / gain.cost) * 100)}%)`}
+          </Typography.Body>
+        </Layout.Row>
+      )}
+
+      {receiptUri && (
+        <View style={styles.receiptContainer}>
+          <Typography.Label style={[styles.receiptLabel, { color: theme.colors.textSecondary }]}>Receipt</Typography.Label>
+          <Image source={{ uri: receiptUri }} style={styles.receipt} resizeMode="cover" />
+        </View>
+      )}
+    </Card.Primary>
+  );
+};
+
+const styles = createThemedStyles((theme) => ({
+  container: {
+    padding: 16,
+    marginHorizontal: 16,
+    marginBottom: 16,
+  },
+  title: {
+    marginBottom: 12,
+  },
+  row: {
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingVertical: 4,
+  },
+  gainRow: {
+    marginTop: 8,
+    paddingTop: 8,
+    borderTopWidth: 1,
+  },
+  gainValue: {
+    fontWeight: theme.typography.fontWeight.bold,
+  },
+  receiptContainer: {
+    marginTop: 12,
+  },
+  receiptLabel: {
+    marginBottom: 8,
+  },
+  receipt: {
+    width: 120,
+    height: 160,
+    borderRadius: 8,
+  },
+}));
+
+export default PurchaseDetailsCard;
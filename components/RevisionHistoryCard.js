@@ -0,0 +1,215 @@
+// components/RevisionHistoryCard.js
+import React, { useState, useEffect } from 'react';
+import { View, ActivityIndicator, Alert, TouchableOpacity } from 'react-native';
+import Toast from 'react-native-toast-message';
+import { format, parseISO } from 'date-fns';
+import { listItemRevisions, listCollections, getProfilesByIds, queueUpdateItem } from '../data';
+import { useTheme } from '../context/ThemeContext';
+import { Typography, Card, Layout, createThemedStyles } from '../theme/styled';
+import { handleError, ERROR_CATEGORIES } from '../utils/errorHandler';
+import { describeRevisionValue, revisionFields, revertChanges } from '../utils/revisions';
+import { normalizeCurrency } from '../utils/money';
+
+// Revisions listed before "Show all"
+const COLLAPSED_LIMIT = 5;
+
+const formatWhen = (timestamp) => format(parseISO(timestamp), 'MMM d, yyyy h:mm a');
+
+/**
+ * An item's history: every saved change with the fields it changed, newest
+ * first, ending with when the item was added. The owner can revert the item
+ * to any point in it.
+ * @param {Object} props - Component props
+ * @param {Object} props.item - The item; the history reloads when it's saved
+ * @param {string} props.userId - The signed-in user (the owner)
+ * @param {Array<Object>} [props.locations] - The user's locations, to name them in changes
+ * @param {function(): void} [props.onChange] - Called after a revert is saved
+ */
+const RevisionHistoryCard = ({ item, userId, locations = [], onChange }) => {
+  const { theme } = useTheme();
+  const [revisions, setRevisions] = useState([]);
+  const [collections, setCollections] = useState([]);
+  const [profiles, setProfiles] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [expanded, setExpanded] = useState(false);
+  const [reverting, setReverting] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    Promise.all([listItemRevisions(item.id), listCollections(userId)])
+      .then(async ([rows, userCollections]) => {
+        // Changes are normally the owner's own; anyone else is named
+        const others = await getProfilesByIds(rows.map(row => row.changed_by).filter(id => id !== userId));
+        if (cancelled) return;
+        setRevisions(rows);
+        setCollections(userCollections);
+        setProfiles(others);
+      })
+      .catch(error => console.error('Error loading item history:', error.message))
+      .finally(() => { if (!cancelled) setLoading(false); });
+    return () => { cancelled = true; };
+  }, [item.id, item.updated_at, userId]);
+
+  const describeAuthor = (changedBy) => {
+    if (changedBy === userId) return 'You';
+    if (!changedBy) return 'A deleted account';
+    return profiles[changedBy]?.username || 'Someone else';
+  };
+
+  // revisionId null goes back to the item as it was added
+  const handleRevert = (revisionId, when) => {
+    const changes = revertChanges(revisions, revisionId);
+    const undone = revisions.findIndex(revision => revision.id === revisionId);
+    const count = undone === -1 ? revisions.length : undone;
+
+    Alert.alert(
+      'Revert Item?',
+      `Go back to how this item was on ${when}? The ${count === 1 ? 'change' : `${count} changes`} saved since will be undone. Photos and purchase details are not affected.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Revert',
+          style: 'destructive',
+          onPress: async () => {
+            setReverting(true);
+            try {
+              const { synced } = await queueUpdateItem(userId, item, changes);
+              Toast.show({
+                type: 'success',
+                text1: 'Item Reverted',
+                text2: synced ? `Back to how it was on ${when}.` : 'The revert will sync when you\'re back online.',
+              });
+              onChange?.();
+            } catch (error) {
+              handleError(
+                error,
+                'RevisionHistoryCard.handleRevert',
+                error.category || ERROR_CATEGORIES.DATABASE,
+                'Unable to revert this item. Please try again.'
+              );
+            } finally {
+              setReverting(false);
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const renderRevertButton = (revisionId, when) => (
+    <TouchableOpacity onPress={() => handleRevert(revisionId, when)} disabled={reverting}>
+      <Typography.Caption style={[styles.revertText, { color: reverting ? theme.colors.textTertiary : theme.colors.primary }]}>
+        Revert to this
+      </Typography.Caption>
+    </TouchableOpacity>
+  );
+
+  const renderRevision = (revision, index) => {
+    const when = formatWhen(revision.created_at);
+    // Values in the currency the item had after this change
+    const currency = normalizeCurrency(revision.changes.currency?.to ?? item.currency);
+    return (
+      <View key={revision.id} style={[styles.entry, { borderBottomColor: theme.colors.divider }]}>
+        <Layout.Row style={styles.entryHeader}>
+          <Typography.Caption style={{ color: theme.colors.textSecondary }}>
+            {describeAuthor(revision.changed_by)} · {when}
+          </Typography.Caption>
+          {/* The newest revision is how the item is now */}
+          {index > 0 && renderRevertButton(revision.id, when)}
+        </Layout.Row>
+        {revisionFields(revision).map(({ field, label, from, to }) => (
+          <Typography.BodySmall key={field} style={[styles.change, { color: theme.colors.text }]}>
+            <Typography.BodySmall style={styles.changeLabel}>{label}: </Typography.BodySmall>
+            {describeRevisionValue(field, from, { collections, locations, currency })}
+            {' → '}
+            {describeRevisionValue(field, to, { collections, locations, currency })}
+          </Typography.BodySmall>
+        ))}
+      </View>
+    );
+  };
+
+  const renderContent = () => {
+    if (loading) {
+      return <ActivityIndicator color={theme.colors.primary} style={styles.loader} />;
+    }
+
+    const shown = expanded ? revisions : revisions.slice(0, COLLAPSED_LIMIT);
+    const added = formatWhen(item.created_at);
+    return (
+      <>
+        {shown.map(renderRevision)}
+        {revisions.length > shown.length ? (
+          <TouchableOpacity onPress={() => setExpanded(true)} style={styles.showAll}>
+            <Typography.BodySmall style={{ color: theme.colors.primary }}>
+              Show all {revisions.length} changes
+            </Typography.BodySmall>
+          </TouchableOpacity>
+        ) : (
+          <Layout.Row style={styles.entryHeader}>
+            <Typography.Caption style={{ color: theme.colors.textSecondary }}>
+              Added · {added}
+            </Typography.Caption>
+            {revisions.length > 0 && renderRevertButton(null, added)}
+          </Layout.Row>
+        )}
+        {revisions.length === 0 && (
+          <Typography.BodySmall style={[styles.emptyText, { color: theme.colors.textSecondary }]}>
+            No changes since this item was added.
+          </Typography.BodySmall>
+        )}
+      </>
+    );
+  };
+
+  return (
+    <Card.Primary style={[styles.container, { backgroundColor: theme.colors.surface }]}>
+      <Typography.H3 style={[styles.title, { color: theme.colors.text }]}>
+        History
+      </Typography.H3>
+      {renderContent()}
+    </Card.Primary>
+  );
+};
+
+const styles = createThemedStyles((theme) => ({
+  container: {
+    padding: 16,
+    marginHorizontal: 16,
+    marginBottom: 16,
+  },
+  title: {
+    marginBottom: 12,
+  },
+  loader: {
+    marginVertical: 16,
+  },
+  emptyText: {
+    marginTop: 8,
+  },
+  entry: {
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+  },
+  entryHeader: {
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 4,
+  },
+  revertText: {
+    fontWeight: theme.typography.fontWeight.bold,
+  },
+  change: {
+    marginTop: 2,
+  },
+  changeLabel: {
+    fontWeight: theme.typography.fontWeight.bold,
+  },
+  showAll: {
+    paddingVertical: 10,
+    alignItems: 'center',
+  },
+}));
+
+export default RevisionHistoryCard;
@@ -0,0 +1,108 @@
+// components/SaveSearchModal.js
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Modal,
+  TouchableWithoutFeedback,
+  Keyboard,
+  StyleSheet,
+} from 'react-native';
+import { Typography, Button, Input } from '../theme/styled';
+import { useTheme } from '../context/ThemeContext';
+
+/**
+ * Asks for a name before saving a search as a smart collection
+ *
+ * @param {Object} props - Component props
+ * @param {boolean} props.visible - Whether the modal is shown
+ * @param {string} props.title - Modal title
+ * @param {string} props.initialName - Prefilled name
+ * @param {string} [props.placeholder] - Example name shown while it's empty
+ * @param {string} props.summary - What's being saved, e.g. the active filters
+ * @param {boolean} props.saving - Disables the buttons while saving
+ * @param {function(string): void} props.onSave - Called with the trimmed name
+ * @param {function(): void} props.onCancel - Called when dismissed
+ */
+function SaveSearchModal({
+  visible,
+  title = 'Save as Smart Collection',
+  initialName = '',
+  placeholder = 'e.g. Mint Hot Wheels under $20',
+  summary,
+  saving = false,
+  onSave,
+  onCancel,
+}) {
+  const { theme, isDarkMode } = useTheme();
+  const [name, setName] = useState(initialName);
+
+  useEffect(() => {
+    if (visible) setName(initialName);
+  }, [visible, initialName]);
+
+  return (
+    <Modal animationType="slide" transparent visible={visible} onRequestClose={onCancel}>
+      <TouchableWithoutFeedback onPress={Keyboard.dismiss}>
+        <View style={styles.overlay}>
+          <View style={[styles.content, { backgroundColor: theme.colors.background }]}>
+            <Typography.H3 style={[styles.title, { color: isDarkMode ? '#FFFFFF' : theme.colors.text }]}>
+              {title}
+            </Typography.H3>
+            {!!summary && (
+              <Typography.BodySmall style={[styles.summary, { color: theme.colors.textSecondary }]}>
+                {summary}
+              </Typography.BodySmall>
+            )}
+            <Input.Primary
+              label="Name"
+              placeholder={placeholder}
+              value={name}
+              onChangeText={setName}
+              autoCapitalize="sentences"
+              maxLength={40}
+              autoFocus
+            />
+            <View style={styles.actions}>
+              <Button.Secondary title="Cancel" onPress={onCancel} style={styles.button} disabled={saving} />
+              <Button.Primary
+                title={saving ? 'Saving...' : 'Save'}
+                onPress={() => onSave(name.trim())}
+                style={styles.button}
+                disabled={saving || !name.trim()}
+              />
+            </View>
+          </View>
+        </View>
+      </TouchableWithoutFeedback>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    justifyContent: 'center',
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    padding: 20,
+  },
+  content: {
+    borderRadius: 16,
+    padding: 20,
+  },
+  title: {
+    marginBottom: 8,
+  },
+  summary: {
+    marginBottom: 16,
+  },
+  actions: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+  },
+  button: {
+    flex: 1,
+    marginHorizontal: 4,
+  },
+});
+
+export default SaveSearchModal;
@@ -0,0 +1,398 @@
+// components/SearchFilterPanel.js
+import React, { useState, useEffect } from 'react';
+import { View, ScrollView, TextInput, TouchableOpacity, StyleSheet } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { Typography } from '../theme/styled';
+import { useTheme } from '../context/ThemeContext';
+import { useCurrency } from '../context/CurrencyContext';
+import LocationPicker from './LocationPicker';
+import {
+  CONDITIONS,
+  SORT_OPTIONS,
+  effectiveSort,
+  parseFilterDate,
+} from '../utils/searchFilters';
+import { CATEGORIES } from '../screens/AddItem/constants';
+import { currencySymbol } from '../utils/money';
+
+const numberText = (value) => (value === null || value === undefined ? '' : String(value));
+
+const parseAmount = (text) => {
+  const amount = parseFloat(text.replace(/[^0-9.]/g, ''));
+  return Number.isNaN(amount) ? null : amount;
+};
+
+// A labelled row of single-choice chips
+function OptionRow({ label, options, selected, onSelect, colors }) {
+  return (
+    <View style={styles.section}>
+      <Typography.Label style={[styles.label, { color: colors.text }]}>{label}</Typography.Label>
+      <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.chipRow}>
+        {options.map((option) => {
+          const isSelected = option.value === selected;
+          return (
+            <TouchableOpacity
+              key={String(option.value)}
+              style={[
+                styles.chip,
+                { backgroundColor: colors.surface, borderColor: colors.divider },
+                isSelected && { backgroundColor: colors.primary + '20', borderColor: colors.primary },
+              ]}
+              onPress={() => onSelect(option.value)}
+            >
+              <Typography.Caption style={{ color: isSelected ? colors.primary : colors.textSecondary }}>
+                {option.label}
+              </Typography.Caption>
+            </TouchableOpacity>
+          );
+        })}
+      </ScrollView>
+    </View>
+  );
+}
+
+/**
+ * Every search filter and the sort order. Typed values (value range, dates,
+ * brand) are applied when editing ends, not on each keystroke.
+ *
+ * @param {Object} props - Component props
+ * @param {import('../utils/searchFilters').SearchFilters} props.filters - Current filters
+ * @param {function(Object): void} props.onChange - Called with the updated filters
+ * @param {Array<{id: number, name: string}>} props.collections - The user's collections
+ * @param {Array<{tag: string, count: number}>} props.tags - The user's tags, from useTags
+ * @param {Array<Object>} props.locations - The user's storage locations, from useLocations
+ */
+function SearchFilterPanel({ filters, onChange, collections = [], tags = [], locations = [] }) {
+  const { theme, isDarkMode } = useTheme();
+  const { displayCurrency } = useCurrency();
+  const colors = {
+    text: isDarkMode ? '#FFFFFF' : theme.colors.text,
+    textSecondary: isDarkMode ? '#E0E0E0' : theme.colors.textSecondary,
+    surface: isDarkMode ? '#111111' : theme.colors.surface,
+    divider: isDarkMode ? '#222222' : theme.colors.divider,
+    primary: theme.colors.primary,
+    error: theme.colors.error,
+  };
+
+  const [minValueText, setMinValueText] = useState(numberText(filters.minValue));
+  const [maxValueText, setMaxValueText] = useState(numberText(filters.maxValue));
+  const [addedAfterText, setAddedAfterText] = useState(filters.addedAfter || '');
+  const [addedBeforeText, setAddedBeforeText] = useState(filters.addedBefore || '');
+  const [brandText, setBrandText] = useState(filters.brand);
+  const [dateError, setDateError] = useState(null);
+
+  // Chips removed outside the panel clear the typed values too
+  useEffect(() => setMinValueText(numberText(filters.minValue)), [filters.minValue]);
+  useEffect(() => setMaxValueText(numberText(filters.maxValue)), [filters.maxValue]);
+  useEffect(() => setAddedAfterText(filters.addedAfter || ''), [filters.addedAfter]);
+  useEffect(() => setAddedBeforeText(filters.addedBefore || ''), [filters.addedBefore]);
+  useEffect(() => setBrandText(filters.brand), [filters.brand]);
+
+  const update = (changes) => onChange({ ...filters, ...changes });
+
+  const applyValueRange = () => {
+    update({ minValue: parseAmount(minValueText), maxValue: parseAmount(maxValueText) });
+  };
+
+  const applyDates = () => {
+    const addedAfter = addedAfterText.trim() ? parseFilterDate(addedAfterText) : null;
+    const addedBefore = addedBeforeText.trim() ? parseFilterDate(addedBeforeText) : null;
+    if ((addedAfterText.trim() && !addedAfter) || (addedBeforeText.trim() && !addedBefore)) {
+      setDateError('Use dates like 2024-01-31');
+      return;
+    }
+    setDateError(null);
+    update({ addedAfter, addedBefore });
+  };
+
+  const toggleCondition = (condition) => {
+    update({
+      conditions: filters.conditions.includes(condition)
+        ? filters.conditions.filter(c => c !== condition)
+        : [...filters.conditions, condition],
+    });
+  };
+
+  const toggleTag = (tag) => {
+    update({
+      tags: filters.tags.includes(tag)
+        ? filters.tags.filter(t => t !== tag)
+        : [...filters.tags, tag],
+    });
+  };
+
+  // Tags picked elsewhere (a chip on an item) may not be among the loaded ones
+  const tagOptions = [
+    ...filters.tags.filter(tag => !tags.some(known => known.tag === tag)).map(tag => ({ tag, count: null })),
+    ...tags,
+  ];
+
+  const inputStyle = [styles.input, { color: colors.text, backgroundColor: colors.surface, borderColor: colors.divider }];
+  const sortOptions = SORT_OPTIONS
+    .filter(option => option.key !== 'relevance' || filters.query)
+    .map(option => ({ value: option.key, label: option.label }));
+
+  return (
+    <ScrollView style={styles.container} nestedScrollEnabled keyboardShouldPersistTaps="handled">
+      <OptionRow
+        label="Sort by"
+        options={sortOptions}
+        selected={effectiveSort(filters)}
+        onSelect={sort => update({ sort })}
+        colors={colors}
+      />
+
+      <OptionRow
+        label="Category"
+        options={[{ value: null, label: 'All' }, ...CATEGORIES.map(category => ({ value: category, label: category }))]}
+        selected={filters.category}
+        onSelect={category => update({ category })}
+        colors={colors}
+      />
+
+      <View style={styles.section}>
+        <Typography.Label style={[styles.label, { color: colors.text }]}>Condition</Typography.Label>
+        <View style={styles.wrapRow}>
+          {CONDITIONS.map((condition) => {
+            const isSelected = filters.conditions.includes(condition);
+            const conditionColor =
+              condition === 'Mint' ? theme.colors.success :
+              condition === 'Used' ? theme.colors.warning :
+              theme.colors.error;
+
+            return (
+              <TouchableOpacity
+                key={condition}
+                style={[styles.conditionChip, { backgroundColor: isSelected ? conditionColor + '20' : colors.surface }]}
+                onPress={() => toggleCondition(condition)}
+              >
+                <View style={[
+                  styles.checkbox,
+                  { borderColor: colors.divider },
+                  isSelected && { backgroundColor: conditionColor, borderColor: conditionColor },
+                ]}>
+                  {isSelected && <Ionicons name="checkmark" size={14} color={theme.colors.textLight} />}
+                </View>
+                <Typography.Caption style={{ color: colors.text }}>{condition}</Typography.Caption>
+              </TouchableOpacity>
+            );
+          })}
+        </View>
+      </View>
+
+      <View style={styles.section}>
+        <Typography.Label style={[styles.label, { color: colors.text }]}>Value</Typography.Label>
+        <View style={styles.inputRow}>
+          <TextInput
+            style={inputStyle}
+            placeholder={`Min ${currencySymbol(displayCurrency)}`}
+            placeholderTextColor={colors.textSecondary}
+            keyboardType="decimal-pad"
+            value={minValueText}
+            onChangeText={setMinValueText}
+            onEndEditing={applyValueRange}
+          />
+          <Typography.Caption style={[styles.rangeDash, { color: colors.textSecondary }]}>–</Typography.Caption>
+          <TextInput
+            style={inputStyle}
+            placeholder={`Max ${currencySymbol(displayCurrency)}`}
+            placeholderTextColor={colors.textSecondary}
+            keyboardType="decimal-pad"
+            value={maxValueText}
+            onChangeText={setMaxValueText}
+            onEndEditing={applyValueRange}
+          />
+        </View>
+      </View>
+
+      <View style={styles.section}>
+        <Typography.Label style={[styles.label, { color: colors.text }]}>Date added</Typography.Label>
+        <View style={styles.inputRow}>
+          <TextInput
+            style={inputStyle}
+            placeholder="From (YYYY-MM-DD)"
+            placeholderTextColor={colors.textSecondary}
+            autoCapitalize="none"
+            value={addedAfterText}
+            onChangeText={setAddedAfterText}
+            onEndEditing={applyDates}
+          />
+          <Typography.Caption style={[styles.rangeDash, { color: colors.textSecondary }]}>–</Typography.Caption>
+          <TextInput
+            style={inputStyle}
+            placeholder="To (YYYY-MM-DD)"
+            placeholderTextColor={colors.textSecondary}
+            autoCapitalize="none"
+            value={addedBeforeText}
+            onChangeText={setAddedBeforeText}
+            onEndEditing={applyDates}
+          />
+        </View>
+        {dateError && (
+          <Typography.Caption style={[styles.error, { color: colors.error }]}>{dateError}</Typography.Caption>
+        )}
+      </View>
+
+      {collections.length > 0 && (
+        <OptionRow
+          label="Collection"
+          options={[{ value: null, label: 'Any' }, ...collections.map(c => ({ value: c.id, label: c.name }))]}
+          selected={filters.collectionId}
+          onSelect={collectionId => update({ collectionId })}
+          colors={colors}
+        />
+      )}
+
+      {locations.length > 0 && (
+        <View style={styles.section}>
+          <Typography.Label style={[styles.label, { color: colors.text }]}>Location</Typography.Label>
+          <LocationPicker
+            locations={locations}
+            selectedId={filters.locationId}
+            onSelect={locationId => update({ locationId })}
+            noneLabel="Anywhere"
+          />
+        </View>
+      )}
+
+      <OptionRow
+        label="Visibility"
+        options={[
+          { value: null, label: 'All' },
+          { value: true, label: 'Shared' },
+          { value: false, label: 'Private' },
+        ]}
+        selected={filters.shared}
+        onSelect={shared => update({ shared })}
+        colors={colors}
+      />
+
+      <OptionRow
+        label="Photos"
+        options={[
+          { value: null, label: 'Any' },
+          { value: true, label: 'With photos' },
+          { value: false, label: 'Without photos' },
+        ]}
+        selected={filters.hasPhotos}
+        onSelect={hasPhotos => update({ hasPhotos })}
+        colors={colors}
+      />
+
+      <OptionRow
+        label="Loans"
+        options={[
+          { value: null, label: 'Any' },
+          { value: true, label: 'On loan' },
+          { value: false, label: 'At home' },
+        ]}
+        selected={filters.onLoan}
+        onSelect={onLoan => update({ onLoan })}
+        colors={colors}
+      />
+
+      {tagOptions.length > 0 && (
+        <View style={styles.section}>
+          <Typography.Label style={[styles.label, { color: colors.text }]}>Tags (all selected)</Typography.Label>
+          <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.chipRow}>
+            {tagOptions.map(({ tag, count }) => {
+              const isSelected = filters.tags.includes(tag);
+              return (
+                <TouchableOpacity
+                  key={tag}
+                  style={[
+                    styles.chip,
+                    { backgroundColor: colors.surface, borderColor: colors.divider },
+                    isSelected && { backgroundColor: colors.primary + '20', borderColor: colors.primary },
+                  ]}
+                  onPress={() => toggleTag(tag)}
+                  accessibilityState={{ selected: isSelected }}
+                >
+                  <Typography.Caption style={{ color: isSelected ? colors.primary : colors.textSecondary }}>
+                    #{tag}{count !== null ? ` (${count})` : ''}
+                  </Typography.Caption>
+                </TouchableOpacity>
+              );
+            })}
+          </ScrollView>
+        </View>
+      )}
+
+      <View style={styles.section}>
+        <Typography.Label style={[styles.label, { color: colors.text }]}>Brand</Typography.Label>
+        <TextInput
+          style={inputStyle}
+          placeholder="Any brand"
+          placeholderTextColor={colors.textSecondary}
+          value={brandText}
+          onChangeText={setBrandText}
+          onEndEditing={() => update({ brand: brandText.trim() })}
+          returnKeyType="done"
+        />
+      </View>
+    </ScrollView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    paddingHorizontal: 16,
+  },
+  section: {
+    marginBottom: 12,
+  },
+  label: {
+    marginBottom: 8,
+  },
+  chipRow: {
+    paddingVertical: 4,
+  },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 4,
+    borderRadius: 16,
+    borderWidth: 1,
+    marginRight: 8,
+  },
+  wrapRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  conditionChip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 12,
+    paddingVertical: 4,
+    borderRadius: 16,
+    marginRight: 12,
+    marginBottom: 8,
+  },
+  checkbox: {
+    width: 18,
+    height: 18,
+    borderRadius: 4,
+    borderWidth: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginRight: 4,
+  },
+  inputRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  input: {
+    flex: 1,
+    height: 40,
+    borderWidth: 1,
+    borderRadius: 8,
+    paddingHorizontal: 12,
+  },
+  rangeDash: {
+    marginHorizontal: 8,
+  },
+  error: {
+    marginTop: 4,
+  },
+});
+
+export default SearchFilterPanel;
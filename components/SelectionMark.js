@@ -0,0 +1,45 @@
+// components/SelectionMark.js
+import React from 'react';
+import { View, StyleSheet } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useTheme } from '../context/ThemeContext';
+
+/**
+ * Round check in the corner of an item card while a list is in selection mode
+ * @param {Object} props - Component props
+ * @param {boolean} props.selected - Whether the item is selected
+ * @param {Object} [props.style] - Extra container style, e.g. to move it
+ */
+function SelectionMark({ selected, style }) {
+  const { theme } = useTheme();
+  return (
+    <View
+      style={[
+        styles.mark,
+        selected
+          ? { backgroundColor: theme.colors.primary, borderColor: theme.colors.primary }
+          : { backgroundColor: 'rgba(0, 0, 0, 0.25)', borderColor: '#FFFFFF' },
+        style,
+      ]}
+      accessibilityLabel={selected ? 'Selected' : 'Not selected'}
+    >
+      {selected && <Ionicons name="checkmark" size={16} color="#FFFFFF" />}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  mark: {
+    position: 'absolute',
+    top: 8,
+    left: 8,
+    width: 24,
+    height: 24,
+    borderRadius: 12,
+    borderWidth: 2,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+});
+
+export default SelectionMark;
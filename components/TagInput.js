@@ -0,0 +1,141 @@
+// components/TagInput.js
+import React, { useState } from 'react';
+import { View, Text, TextInput, TouchableOpacity, StyleSheet } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useTheme } from '../context/ThemeContext';
+import { normalizeTag, normalizeTags, suggestTags, MAX_TAGS_PER_ITEM, TAG_MAX_LENGTH } from '../utils/tags';
+
+/**
+ * Chips for an item's tags and a field to add more. The user's existing tags
+ * are suggested as they type; a comma or the return key adds what's typed.
+ *
+ * @param {Object} props - Component props
+ * @param {Array<string>} props.tags - The chosen tags, normalized
+ * @param {function(Array<string>): void} props.onChange - Called with the new list
+ * @param {Array<{tag: string, count: number}>} [props.knownTags] - From useTags, for suggestions
+ */
+function TagInput({ tags, onChange, knownTags = [] }) {
+  const { theme } = useTheme();
+  const [text, setText] = useState('');
+
+  const isFull = tags.length >= MAX_TAGS_PER_ITEM;
+  const suggestions = suggestTags(knownTags, text, tags);
+
+  const addTag = (value) => {
+    const tag = normalizeTag(value);
+    setText('');
+    if (!tag || tags.includes(tag) || isFull) return;
+    onChange([...tags, tag]);
+  };
+
+  const removeTag = (tag) => onChange(tags.filter(t => t !== tag));
+
+  const handleChangeText = (value) => {
+    // Typing a comma finishes the tag, as does pasting a list
+    if (value.includes(',')) {
+      const parts = value.split(',');
+      const updated = normalizeTags([...tags, ...parts.slice(0, -1)]).slice(0, MAX_TAGS_PER_ITEM);
+      if (updated.length > tags.length) onChange(updated);
+      setText(parts[parts.length - 1]);
+      return;
+    }
+    setText(value);
+  };
+
+  return (
+    <View>
+      {tags.length > 0 && (
+        <View style={styles.chipRow}>
+          {tags.map(tag => (
+            <TouchableOpacity
+              key={tag}
+              style={[styles.chip, { backgroundColor: theme.colors.primary + '20', borderColor: theme.colors.primary }]}
+              onPress={() => removeTag(tag)}
+              accessibilityLabel={`Remove tag ${tag}`}
+            >
+              <Text style={[styles.chipText, { color: theme.colors.primary }]}>{tag}</Text>
+              <Ionicons name="close" size={14} color={theme.colors.primary} />
+            </TouchableOpacity>
+          ))}
+        </View>
+      )}
+
+      <TextInput
+        style={[styles.input, {
+          backgroundColor: theme.colors.inputBackground,
+          color: theme.colors.inputText,
+          borderColor: theme.colors.inputBorder,
+        }]}
+        placeholder={isFull ? `Up to ${MAX_TAGS_PER_ITEM} tags` : 'Add a tag, e.g., vintage'}
+        value={text}
+        onChangeText={handleChangeText}
+        onSubmitEditing={() => addTag(text)}
+        editable={!isFull}
+        autoCapitalize="none"
+        autoCorrect={false}
+        blurOnSubmit={false}
+        returnKeyType="done"
+        maxLength={TAG_MAX_LENGTH + 2}
+        placeholderTextColor={theme.colors.inputPlaceholder}
+        accessibilityLabel="Add a tag"
+      />
+
+      {suggestions.length > 0 && (
+        <View style={[styles.suggestions, { backgroundColor: theme.colors.surface, borderColor: theme.colors.divider }]}>
+          {suggestions.map(tag => (
+            <TouchableOpacity key={tag} style={styles.suggestion} onPress={() => addTag(tag)}>
+              <Ionicons name="pricetag-outline" size={14} color={theme.colors.textSecondary} />
+              <Text style={[styles.suggestionText, { color: theme.colors.text }]}>{tag}</Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 4,
+  },
+  chip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 10,
+    paddingVertical: 4,
+    borderRadius: 16,
+    borderWidth: 1,
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  chipText: {
+    fontSize: 13,
+    marginRight: 4,
+  },
+  input: {
+    height: 44,
+    borderWidth: 1,
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    fontSize: 16,
+  },
+  suggestions: {
+    marginTop: 4,
+    borderWidth: 1,
+    borderRadius: 8,
+  },
+  suggestion: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+  },
+  suggestionText: {
+    fontSize: 14,
+    marginLeft: 8,
+  },
+});
+
+export default TagInput;
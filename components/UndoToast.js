@@ -0,0 +1,51 @@
+// components/UndoToast.js
+import React from 'react';
+import { TouchableOpacity, Text } from 'react-native';
+import { BaseToast } from 'react-native-toast-message';
+import { useTheme } from '../context/ThemeContext';
+import { createThemedStyles } from '../theme/styled';
+
+/**
+ * A success toast with an Undo button, registered as the 'undo' toast type:
+ * Toast.show({ type: 'undo', text1, text2, props: { onUndo } })
+ * @param {Object} props - Passed by react-native-toast-message
+ * @param {function(): void} props.hide - Closes the toast
+ * @param {{onUndo: function(): void}} props.props - Called when Undo is tapped
+ */
+const UndoToast = ({ hide, props, ...toastProps }) => {
+  const { theme } = useTheme();
+
+  const handleUndo = () => {
+    hide();
+    props?.onUndo?.();
+  };
+
+  return (
+    <BaseToast
+      {...toastProps}
+      style={[styles.toast, { borderLeftColor: theme.colors.success }]}
+      text2NumberOfLines={2}
+      renderTrailingIcon={() => (
+        <TouchableOpacity style={styles.undoButton} onPress={handleUndo} accessibilityRole="button">
+          <Text style={[styles.undoText, { color: theme.colors.primary }]}>Undo</Text>
+        </TouchableOpacity>
+      )}
+    />
+  );
+};
+
+const styles = createThemedStyles((theme) => ({
+  toast: {
+    borderLeftWidth: 5,
+  },
+  undoButton: {
+    justifyContent: 'center',
+    paddingHorizontal: 16,
+  },
+  undoText: {
+    fontSize: 15,
+    fontWeight: theme.typography.fontWeight.bold,
+  },
+}));
+
+export default UndoToast;
@@ -0,0 +1,79 @@
+// components/ValueBreakdownList.js
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import { useTheme } from '../context/ThemeContext';
+import { formatMoney } from '../utils/money';
+
+/**
+ * Group totals as labelled bars, scaled to the largest
+ *
+ * @param {Object} props - Component props
+ * @param {Array<{name: string, count: number, amount: number, currency: string}>} props.groups - From valueBreakdown
+ * @param {string} [props.color] - Bar color; defaults to the theme's primary
+ * @param {number} [props.limit] - Show only the most valuable groups
+ */
+function ValueBreakdownList({ groups, color, limit }) {
+  const { theme } = useTheme();
+  const shown = limit ? groups.slice(0, limit) : groups;
+  const largest = Math.max(...shown.map(group => group.amount), 0);
+
+  return (
+    <View>
+      {shown.map(group => (
+        <View key={group.name} style={styles.row}>
+          <View style={styles.labels}>
+            <Text style={[styles.name, { color: theme.colors.text }]} numberOfLines={1}>
+              {group.name}
+              <Text style={{ color: theme.colors.textSecondary }}> · {group.count}</Text>
+            </Text>
+            <Text style={[styles.amount, { color: theme.colors.text }]}>
+              {formatMoney(group.amount, group.currency)}
+            </Text>
+          </View>
+          <View style={[styles.track, { backgroundColor: theme.colors.divider }]}>
+            <View
+              style={[
+                styles.bar,
+                {
+                  backgroundColor: color || theme.colors.primary,
+                  width: `${largest > 0 ? (group.amount / largest) * 100 : 0}%`,
+                },
+              ]}
+            />
+          </View>
+        </View>
+      ))}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  row: {
+    marginBottom: 12,
+  },
+  labels: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: 4,
+  },
+  name: {
+    flex: 1,
+    fontSize: 14,
+    marginRight: 8,
+  },
+  amount: {
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  track: {
+    height: 6,
+    borderRadius: 3,
+    overflow: 'hidden',
+  },
+  bar: {
+    height: 6,
+    borderRadius: 3,
+  },
+});
+
+export default ValueBreakdownList;
@@ -0,0 +1,150 @@
+// components/ValueHistoryCard.js
+import React, { useState, useEffect } from 'react';
+import { View, ActivityIndicator, Dimensions } from 'react-native';
+import { LineChart } from 'react-native-chart-kit';
+import { format, parseISO } from 'date-fns';
+import { listValueHistory, VALUE_SOURCES } from '../data';
+import { useTheme } from '../context/ThemeContext';
+import { useCurrency } from '../context/CurrencyContext';
+import { Typography, Card, Layout, createThemedStyles } from '../theme/styled';
+import { itemValueTimeline, toValueChartData } from '../utils/valueTimeline';
+import { convertAmount, currencySymbol, formatMoney } from '../utils/money';
+
+// Most recent changes listed under the chart
+const MAX_LISTED = 5;
+
+/**
+ * An item's value over time: a chart of every recorded value and the latest
+ * changes with where each came from
+ * @param {number} itemId - The item ID
+ * @param {number|null} value - The item's current value; the history reloads when it changes
+ * @param {string} currency - The item's currency; the chart converts older values into it
+ */
+const ValueHistoryCard = ({ itemId, value, currency }) => {
+  const { theme, isDarkMode } = useTheme();
+  const { rates } = useCurrency();
+  const [history, setHistory] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const chartWidth = Dimensions.get('window').width - 64;
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    listValueHistory(itemId)
+      .then(entries => { if (!cancelled) setHistory(entries); })
+      .catch(error => console.error('Error loading value history:', error.message))
+      .finally(() => { if (!cancelled) setLoading(false); });
+    return () => { cancelled = true; };
+  }, [itemId, value, currency]);
+
+  // Values recorded in another currency, converted where there's a rate
+  const chartHistory = history.map(entry => ({
+    ...entry,
+    value: entry.value === null
+      ? null
+      : convertAmount(parseFloat(entry.value), entry.currency, currency, rates) ?? parseFloat(entry.value),
+  }));
+
+  const chartConfig = {
+    backgroundGradientFrom: theme.colors.surface,
+    backgroundGradientTo: theme.colors.surface,
+    color: (opacity = 1) => isDarkMode ? `rgba(255, 255, 255, ${opacity})` : `rgba(0, 0, 0, ${opacity})`,
+    labelColor: (opacity = 1) => isDarkMode ? `rgba(255, 255, 255, ${opacity})` : `rgba(0, 0, 0, ${opacity})`,
+    decimalPlaces: 0,
+    fillShadowGradient: theme.colors.primary,
+    fillShadowGradientOpacity: 0.2,
+  };
+
+  const renderContent = () => {
+    if (loading) {
+      return <ActivityIndicator color={theme.colors.primary} style={styles.loader} />;
+    }
+    if (history.length === 0) {
+      return (
+        <Typography.Body style={[styles.emptyText, { color: theme.colors.textSecondary }]}>
+          No value has been recorded for this item yet.
+        </Typography.Body>
+      );
+    }
+
+    return (
+      <>
+        {/* A line needs at least two points */}
+        {history.length > 1 && (
+          <LineChart
+            data={toValueChartData(itemValueTimeline(chartHistory), { color: () => theme.colors.primary })}
+            width={chartWidth}
+            height={180}
+            yAxisLabel={currencySymbol(currency)}
+            chartConfig={chartConfig}
+            verticalLabelRotation={30}
+            style={styles.chart}
+          />
+        )}
+        {history.slice(-MAX_LISTED).reverse().map(entry => (
+          <View key={entry.id} style={[styles.entry, { borderBottomColor: theme.colors.divider }]}>
+            <Layout.Row style={styles.entryRow}>
+              <Typography.Body style={[styles.entryValue, { color: theme.colors.text }]}>
+                {entry.value === null ? 'Cleared' : formatMoney(entry.value, entry.currency)}
+              </Typography.Body>
+              <Typography.Caption style={{ color: theme.colors.textSecondary }}>
+                {VALUE_SOURCES[entry.source] || entry.source} · {format(parseISO(entry.recorded_at), 'MMM d, yyyy')}
+              </Typography.Caption>
+            </Layout.Row>
+            {!!entry.note && (
+              <Typography.BodySmall style={[styles.entryNote, { color: theme.colors.textSecondary }]}>
+                {entry.note}
+              </Typography.BodySmall>
+            )}
+          </View>
+        ))}
+      </>
+    );
+  };
+
+  return (
+    <Card.Primary style={[styles.container, { backgroundColor: theme.colors.surface }]}>
+      <Typography.H3 style={[styles.title, { color: theme.colors.text }]}>
+        Value History
+      </Typography.H3>
+      {renderContent()}
+    </Card.Primary>
+  );
+};
+
+const styles = createThemedStyles((theme) => ({
+  container: {
+    padding: 16,
+    marginHorizontal: 16,
+    marginBottom: 16,
+  },
+  title: {
+    marginBottom: 12,
+  },
+  loader: {
+    marginVertical: 16,
+  },
+  emptyText: {
+    textAlign: 'center',
+  },
+  chart: {
+    borderRadius: 12,
+    marginBottom: 8,
+  },
+  entry: {
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+  },
+  entryRow: {
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  entryValue: {
+    fontWeight: theme.typography.fontWeight.bold,
+  },
+  entryNote: {
+    marginTop: 2,
+  },
+}));
+
+export default ValueHistoryCard;
@@ -0,0 +1,96 @@
+// components/WishlistCard.js
+import React from 'react';
+import { format, parseISO } from 'date-fns';
+import { useTheme } from '../context/ThemeContext';
+import { Typography, Button, Card, Layout, createThemedStyles } from '../theme/styled';
+import { formatMoney } from '../utils/money';
+import { isWanted, priorityLabel } from '../utils/wishlist';
+
+// Amounts are numbers from the server but strings while an edit waits to sync
+const hasAmount = (amount) => amount !== null && amount !== undefined && amount !== '';
+
+const formatDate = (timestamp) => format(parseISO(timestamp), 'MMM d, yyyy');
+
+/**
+ * A wishlist item's target and priority, or for an item that came off the
+ * wishlist, when it was wanted and when it was acquired
+ * @param {Object} props - Component props
+ * @param {Object} props.item - A wanted item, or an owned one with `acquired_at`
+ * @param {function(): void} [props.onAcquire] - Shows the Mark as Acquired button; owner only
+ */
+const WishlistCard = ({ item, onAcquire }) => {
+  const { theme } = useTheme();
+  const wanted = isWanted(item);
+  const hasTarget = hasAmount(item.target_price);
+
+  // How the current estimate compares with what the user wants to pay
+  const overTarget = wanted && hasTarget && hasAmount(item.value) && parseFloat(item.value) > 0
+    ? parseFloat(item.value) - parseFloat(item.target_price)
+    : null;
+
+  const rows = [
+    wanted && ['Priority', priorityLabel(item.priority)],
+    hasTarget && ['Target Price', formatMoney(item.target_price, item.currency)],
+    item.created_at && ['On Wishlist Since', formatDate(item.created_at)],
+    !wanted && item.acquired_at && ['Acquired', formatDate(item.acquired_at)],
+  ].filter(Boolean);
+
+  return (
+    <Card.Primary style={[styles.container, { backgroundColor: theme.colors.surface }]}>
+      <Typography.H3 style={[styles.title, { color: theme.colors.text }]}>
+        {wanted ? 'Wishlist' : 'From Your Wishlist'}
+      </Typography.H3>
+
+      {rows.map(([label, value]) => (
+        <Layout.Row key={label} style={styles.row}>
+          <Typography.Label style={{ color: theme.colors.textSecondary }}>{label}</Typography.Label>
+          <Typography.Body style={{ color: theme.colors.text }}>{value}</Typography.Body>
+        </Layout.Row>
+      ))}
+
+      {overTarget !== null && (
+        <Layout.Row style={[styles.row, styles.compareRow, { borderTopColor: theme.colors.divider }]}>
+          <Typography.Label style={{ color: theme.colors.textSecondary }}>Estimated Value</Typography.Label>
+          <Typography.Body style={[styles.compareValue, { color: overTarget > 0 ? theme.colors.error : theme.colors.success }]}>
+            {overTarget > 0
+              ? `${formatMoney(overTarget, item.currency)} over target`
+              : 'Within target'}
+          </Typography.Body>
+        </Layout.Row>
+      )}
+
+      {wanted && onAcquire && (
+        <Button.Primary title="Mark as Acquired" onPress={onAcquire} style={styles.acquireButton} />
+      )}
+    </Card.Primary>
+  );
+};
+
+const styles = createThemedStyles((theme) => ({
+  container: {
+    padding: 16,
+    marginHorizontal: 16,
+    marginBottom: 16,
+  },
+  title: {
+    marginBottom: 12,
+  },
+  row: {
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingVertical: 4,
+  },
+  compareRow: {
+    marginTop: 8,
+    paddingTop: 8,
+    borderTopWidth: 1,
+  },
+  compareValue: {
+    fontWeight: theme.typography.fontWeight.bold,
+  },
+  acquireButton: {
+    marginTop: 12,
+  },
+}));
+
+export default WishlistCard;
@@ -0,0 +1,101 @@
+// components/WishlistFields.js
+import React from 'react';
+import { View, Text, TextInput, TouchableOpacity, StyleSheet } from 'react-native';
+import { useTheme } from '../context/ThemeContext';
+import { PRIORITIES } from '../utils/wishlist';
+import { currencySymbol } from '../utils/money';
+
+/**
+ * Target price and priority inputs for a wishlist item
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.targetPrice - As typed
+ * @param {number} props.priority - 1 to 3
+ * @param {string} props.currency - The item's currency, for the price label
+ * @param {function({targetPrice?: string, priority?: number}): void} props.onChange - Called with the changed fields
+ * @param {string} [props.error] - From validateTargetPrice
+ */
+function WishlistFields({ targetPrice, priority, currency, onChange, error }) {
+  const { theme } = useTheme();
+
+  return (
+    <View>
+      <Text style={[styles.label, { color: theme.colors.text }]}>Target Price ({currencySymbol(currency)})</Text>
+      <TextInput
+        style={[styles.input, {
+          backgroundColor: theme.colors.inputBackground,
+          color: theme.colors.inputText,
+          borderColor: theme.colors.inputBorder,
+        }]}
+        placeholder="Most you'd pay, e.g., 40.00"
+        value={targetPrice}
+        onChangeText={text => {
+          if (text === '' || /^\d*\.?\d*$/.test(text)) onChange({ targetPrice: text });
+        }}
+        keyboardType="decimal-pad"
+        placeholderTextColor={theme.colors.inputPlaceholder}
+      />
+      {error && <Text style={[styles.errorText, { color: theme.colors.error }]}>{error}</Text>}
+
+      <Text style={[styles.label, styles.priorityLabel, { color: theme.colors.text }]}>Priority</Text>
+      <View style={styles.chipRow}>
+        {PRIORITIES.map(option => {
+          const isSelected = option.value === priority;
+          return (
+            <TouchableOpacity
+              key={option.value}
+              style={[
+                styles.chip,
+                { backgroundColor: theme.colors.surface, borderColor: theme.colors.divider },
+                isSelected && { backgroundColor: theme.colors.primary + '20', borderColor: theme.colors.primary },
+              ]}
+              onPress={() => onChange({ priority: option.value })}
+              accessibilityState={{ selected: isSelected }}
+            >
+              <Text style={[styles.chipText, { color: isSelected ? theme.colors.primary : theme.colors.textSecondary }]}>
+                {option.label}
+              </Text>
+            </TouchableOpacity>
+          );
+        })}
+      </View>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  label: {
+    fontSize: 14,
+    marginBottom: 6,
+    fontWeight: '500',
+  },
+  priorityLabel: {
+    marginTop: 12,
+  },
+  input: {
+    height: 44,
+    borderWidth: 1,
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    fontSize: 16,
+  },
+  chipRow: {
+    flexDirection: 'row',
+  },
+  chip: {
+    paddingHorizontal: 16,
+    paddingVertical: 6,
+    borderRadius: 16,
+    borderWidth: 1,
+    marginRight: 8,
+  },
+  chipText: {
+    fontSize: 13,
+  },
+  errorText: {
+    fontSize: 12,
+    marginTop: 4,
+  },
+});
+
+export default WishlistFields;
@@ -3,6 +3,8 @@ import React, { createContext, useState, useEffect, useContext } from 'react';
 import { supabase } from '../lib/supabase'; // Import the initialized client
 import { Session } from '@supabase/supabase-js'; // Import Session type if using TypeScript
 import { registerForPushNotificationsAsync, savePushToken } from '../lib/notifications';
+import { removeAllSubscriptions } from '../lib/realtime';
+import { clearPageCache } from '../data';
 import { saveSecurely, getSecurely, getSecureJSON, deleteSecurely, STORAGE_KEYS } from '../utils/secureStorage';
 import { getMFAFactors, isMFAEnabled, MFA_STORAGE_KEYS } from '../utils/mfaUtils';
 import { recordLoginAttempt } from '../utils/serverRateLimiter';
@@ -303,6 +305,9 @@ export const AuthProvider = ({ children }) => {
 
   const signOut = async () => {
     setLoading(true);
+    // Stop realtime updates before the session goes away, and drop the previous user's pages
+    await removeAllSubscriptions();
+    clearPageCache();
     const { error } = await supabase.auth.signOut();
     setLoading(false);
      if (error) {
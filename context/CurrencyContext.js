@@ -0,0 +1,120 @@
+// context/CurrencyContext.js
+import React, { createContext, useState, useEffect, useContext, useCallback } from 'react';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import {
+  DEFAULT_CURRENCY,
+  DEFAULT_EXCHANGE_RATES,
+  normalizeCurrency,
+  sumMoney,
+  formatMoney,
+  valueBreakdown,
+} from '../utils/money';
+
+// Both are device settings, like the theme
+const DISPLAY_CURRENCY_STORAGE_KEY = '@display_currency';
+const EXCHANGE_RATES_STORAGE_KEY = '@exchange_rates';
+
+const CurrencyContext = createContext({
+  displayCurrency: DEFAULT_CURRENCY,
+  rates: DEFAULT_EXCHANGE_RATES,
+  setDisplayCurrency: async (code) => {},
+  setExchangeRate: async (code, rate) => {},
+  resetExchangeRates: async () => {},
+  totalOf: (moneys) => ({ amount: 0, currency: DEFAULT_CURRENCY, missingRates: [] }),
+  breakdownOf: (items, groupOf) => [],
+  formatDisplay: (amount) => '',
+});
+
+export const CurrencyProvider = ({ children }) => {
+  const [displayCurrency, setDisplayCurrencyState] = useState(DEFAULT_CURRENCY);
+  const [rates, setRates] = useState(DEFAULT_EXCHANGE_RATES);
+
+  useEffect(() => {
+    const loadCurrencySettings = async () => {
+      try {
+        const [storedCurrency, storedRates] = await Promise.all([
+          AsyncStorage.getItem(DISPLAY_CURRENCY_STORAGE_KEY),
+          AsyncStorage.getItem(EXCHANGE_RATES_STORAGE_KEY),
+        ]);
+        if (storedCurrency) setDisplayCurrencyState(normalizeCurrency(storedCurrency));
+        // Stored rates override the defaults; currencies added later keep their default
+        if (storedRates) setRates({ ...DEFAULT_EXCHANGE_RATES, ...JSON.parse(storedRates) });
+      } catch (error) {
+        console.error('Error loading currency settings:', error);
+      }
+    };
+    loadCurrencySettings();
+  }, []);
+
+  const setDisplayCurrency = useCallback(async (code) => {
+    const currency = normalizeCurrency(code);
+    setDisplayCurrencyState(currency);
+    try {
+      await AsyncStorage.setItem(DISPLAY_CURRENCY_STORAGE_KEY, currency);
+    } catch (error) {
+      console.error('Error saving display currency:', error);
+    }
+  }, []);
+
+  const saveRates = async (nextRates) => {
+    setRates(nextRates);
+    try {
+      await AsyncStorage.setItem(EXCHANGE_RATES_STORAGE_KEY, JSON.stringify(nextRates));
+    } catch (error) {
+      console.error('Error saving exchange rates:', error);
+    }
+  };
+
+  // Rates are units of the currency per one DEFAULT_CURRENCY, which stays at 1
+  const setExchangeRate = useCallback(async (code, rate) => {
+    if (code === DEFAULT_CURRENCY || !(rate > 0)) return;
+    await saveRates({ ...rates, [code]: rate });
+  }, [rates]);
+
+  const resetExchangeRates = useCallback(async () => {
+    await saveRates(DEFAULT_EXCHANGE_RATES);
+  }, []);
+
+  // Total of mixed-currency amounts in the display currency
+  const totalOf = useCallback(
+    (moneys) => sumMoney(moneys, displayCurrency, rates),
+    [displayCurrency, rates]
+  );
+
+  // Item values grouped by groupOf(item), totalled in the display currency
+  const breakdownOf = useCallback(
+    (items, groupOf) => valueBreakdown(items, groupOf, displayCurrency, rates),
+    [displayCurrency, rates]
+  );
+
+  const formatDisplay = useCallback(
+    (amount) => formatMoney(amount, displayCurrency),
+    [displayCurrency]
+  );
+
+  return (
+    <CurrencyContext.Provider
+      value={{
+        displayCurrency,
+        rates,
+        setDisplayCurrency,
+        setExchangeRate,
+        resetExchangeRates,
+        totalOf,
+        breakdownOf,
+        formatDisplay,
+      }}
+    >
+      {children}
+    </CurrencyContext.Provider>
+  );
+};
+
+// Custom hook to use the currency context
+export const useCurrency = () => {
+  const context = useContext(CurrencyContext);
+  if (context === undefined) {
+    throw new Error('useCurrency must be used within a CurrencyProvider');
+  }
+  return context;
+};
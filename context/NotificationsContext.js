@@ -0,0 +1,144 @@
+// context/NotificationsContext.js
+import React, { createContext, useState, useEffect, useContext, useCallback, useMemo } from 'react';
+import { useAuth } from './AuthContext';
+import { subscribeToTable } from '../lib/realtime';
+import {
+  listNotifications,
+  markNotificationsRead,
+  deleteNotification as deleteNotificationRecord,
+} from '../data';
+
+// Shown to new users until their first real notification arrives
+const WELCOME_NOTIFICATION = {
+  id: 'welcome-1',
+  title: 'Welcome!',
+  message: 'Welcome to CollectibleTracker! Start by adding your first item.',
+  type: 'success',
+  read: false,
+  action: 'add',
+  actionData: {},
+};
+
+const isLocalNotification = (id) => typeof id === 'string' && id.startsWith('welcome-');
+
+const NotificationsContext = createContext({
+  notifications: [],
+  unreadCount: 0,
+  loading: false,
+  refreshNotifications: async () => {},
+  markAsRead: async (id) => {},
+  markAllAsRead: async () => {},
+  deleteNotification: async (id) => {},
+});
+
+export const NotificationsProvider = ({ children }) => {
+  const { user } = useAuth();
+  const userId = user?.id;
+  const [notifications, setNotifications] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  const refreshNotifications = useCallback(async () => {
+    if (!userId) return;
+    try {
+      setLoading(true);
+      const data = await listNotifications(userId);
+      setNotifications(data.length > 0
+        ? data
+        : [{ ...WELCOME_NOTIFICATION, created_at: new Date().toISOString() }]);
+    } catch (error) {
+      console.error('Error fetching notifications:', error.message);
+      throw error;
+    } finally {
+      setLoading(false);
+    }
+  }, [userId]);
+
+  // Load on sign-in, then keep the list live; clears when the user signs out
+  useEffect(() => {
+    if (!userId) {
+      setNotifications([]);
+      return undefined;
+    }
+
+    refreshNotifications().catch(() => {});
+
+    return subscribeToTable(
+      { table: 'notifications', filter: `user_id=eq.${userId}` },
+      ({ eventType, new: row, old }) => {
+        setNotifications((current) => {
+          if (eventType === 'INSERT') {
+            const real = current.filter(n => !isLocalNotification(n.id) && n.id !== row.id);
+            return [row, ...real];
+          }
+          if (eventType === 'UPDATE') {
+            return current.map(n => (n.id === row.id ? row : n));
+          }
+          return current.filter(n => n.id !== old.id);
+        });
+      }
+    );
+  }, [userId, refreshNotifications]);
+
+  const markAsRead = useCallback(async (id) => {
+    const notification = notifications.find(n => n.id === id);
+    if (!notification || notification.read) return;
+
+    setNotifications(current => current.map(n => (n.id === id ? { ...n, read: true } : n)));
+    if (isLocalNotification(id)) return;
+
+    try {
+      await markNotificationsRead([id]);
+    } catch (error) {
+      console.error('Error marking notification as read:', error.message);
+      setNotifications(current => current.map(n => (n.id === id ? { ...n, read: false } : n)));
+    }
+  }, [notifications]);
+
+  const markAllAsRead = useCallback(async () => {
+    const unreadIds = notifications.filter(n => !n.read).map(n => n.id);
+    if (unreadIds.length === 0) return;
+
+    setNotifications(current => current.map(n => ({ ...n, read: true })));
+    try {
+      await markNotificationsRead(unreadIds.filter(id => !isLocalNotification(id)));
+    } catch (error) {
+      setNotifications(current => current.map(n => (unreadIds.includes(n.id) ? { ...n, read: false } : n)));
+      throw error;
+    }
+  }, [notifications]);
+
+  const deleteNotification = useCallback(async (id) => {
+    if (!isLocalNotification(id)) {
+      await deleteNotificationRecord(id);
+    }
+    setNotifications(current => current.filter(n => n.id !== id));
+  }, []);
+
+  // Derived here so the header badge, the popup and the screen always agree
+  const unreadCount = useMemo(() => notifications.filter(n => !n.read).length, [notifications]);
+
+  return (
+    <NotificationsContext.Provider
+      value={{
+        notifications,
+        unreadCount,
+        loading,
+        refreshNotifications,
+        markAsRead,
+        markAllAsRead,
+        deleteNotification,
+      }}
+    >
+      {children}
+    </NotificationsContext.Provider>
+  );
+};
+
+// Custom hook to use the notifications context
+export const useNotifications = () => {
+  const context = useContext(NotificationsContext);
+  if (context === undefined) {
+    throw new Error('useNotifications must be used within a NotificationsProvider');
+  }
+  return context;
+};
@@ -0,0 +1,108 @@
+// context/SyncContext.js
+import React, { createContext, useState, useEffect, useContext, useCallback, useRef } from 'react';
+import { AppState } from 'react-native';
+import Toast from 'react-native-toast-message';
+import { useAuth } from './AuthContext';
+import {
+  flushQueue,
+  getQueue,
+  getConflicts,
+  subscribeToSync,
+  resolveConflict as resolveSyncConflict,
+} from '../data';
+
+// How often to retry while changes are waiting for a connection
+const RETRY_INTERVAL = 30 * 1000;
+
+const SyncContext = createContext({
+  pendingCount: 0,
+  conflicts: [],
+  syncNow: async () => {},
+  resolveConflict: async (operationId, keep) => {},
+});
+
+export const SyncProvider = ({ children }) => {
+  const { user } = useAuth();
+  const userId = user?.id;
+  const [pendingCount, setPendingCount] = useState(0);
+  const [conflicts, setConflicts] = useState([]);
+  const conflictCountRef = useRef(0);
+
+  const syncNow = useCallback(async () => {
+    if (!userId) return;
+    try {
+      await flushQueue(userId);
+    } catch (error) {
+      console.error('Error syncing offline changes:', error);
+    }
+  }, [userId]);
+
+  // Track the queue and tell the user when a change couldn't be applied
+  useEffect(() => {
+    if (!userId) {
+      setPendingCount(0);
+      setConflicts([]);
+      return undefined;
+    }
+
+    Promise.all([getQueue(userId), getConflicts(userId)]).then(([queue, storedConflicts]) => {
+      setPendingCount(queue.length);
+      setConflicts(storedConflicts);
+      conflictCountRef.current = storedConflicts.length;
+    });
+
+    return subscribeToSync((update) => {
+      if (update.userId !== userId) return;
+      setPendingCount(update.pending);
+      setConflicts(update.conflicts);
+
+      if (update.conflicts.length > conflictCountRef.current) {
+        Toast.show({
+          type: 'error',
+          text1: 'Sync Conflict',
+          text2: 'Some offline changes clashed with newer edits. Open the item to choose a version.',
+          position: 'bottom',
+        });
+      }
+      conflictCountRef.current = update.conflicts.length;
+    });
+  }, [userId]);
+
+  // Replay queued changes on sign-in and whenever the app comes back to the foreground
+  useEffect(() => {
+    if (!userId) return undefined;
+    syncNow();
+
+    const subscription = AppState.addEventListener('change', (state) => {
+      if (state === 'active') syncNow();
+    });
+    return () => subscription.remove();
+  }, [userId, syncNow]);
+
+  // There's no connectivity signal, so keep retrying while anything is waiting
+  useEffect(() => {
+    if (!userId || pendingCount === 0) return undefined;
+    const interval = setInterval(syncNow, RETRY_INTERVAL);
+    return () => clearInterval(interval);
+  }, [userId, pendingCount, syncNow]);
+
+  const resolveConflict = useCallback(
+    (operationId, keep) => resolveSyncConflict(userId, operationId, keep),
+    [userId]
+  );
+
+  return (
+    <SyncContext.Provider value={{ pendingCount, conflicts, syncNow, resolveConflict }}>
+      {children}
+    </SyncContext.Provider>
+  );
+};
+
+// Custom hook to use the sync context
+export const useSync = () => {
+  const context = useContext(SyncContext);
+  if (context === undefined) {
+    throw new Error('useSync must be used within a SyncProvider');
+  }
+  return context;
+};
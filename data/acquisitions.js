@@ -0,0 +1,158 @@
+// data/acquisitions.js
+import { supabase } from '../lib/supabase';
+import { sanitizeString } from '../utils/inputValidation';
+import { processImage } from '../utils/imageProcessingCache';
+import { normalizeImageUri } from '../utils/uriUtils';
+import { normalizeCurrency } from '../utils/money';
+import { unwrap, toDataError } from './errors';
+
+export const RECEIPT_BUCKET = 'receipts';
+
+// Receipts are private, so their links are short-lived and fetched when shown
+const RECEIPT_URL_EXPIRY = 60 * 60; // 1 hour
+
+/**
+ * What an item cost and where it came from. One row per item, readable by
+ * its owner only; embedded on items as `acquisition` when asked for.
+ * @typedef {Object} Acquisition
+ * @property {number} item_id
+ * @property {string} user_id
+ * @property {number|null} purchase_price
+ * @property {number|null} fees - Shipping and other costs on top of the price
+ * @property {string} currency - ISO 4217 code of purchase_price and fees
+ * @property {string|null} purchase_date - yyyy-MM-dd
+ * @property {string|null} source - Seller, shop or site
+ * @property {string|null} receipt_path - Object path in the receipts bucket, or a
+ *   local file URI while the receipt waits to be uploaded
+ * @property {string} created_at
+ * @property {string} updated_at
+ */
+
+// Embed for item queries; null for items without one and for other users' items
+export const ACQUISITION_EMBED = 'acquisition:item_acquisitions(*)';
+
+/**
+ * Whether a receipt_path is still a file on the device rather than an uploaded object
+ * @param {string|null} path
+ * @returns {boolean}
+ */
+export const isLocalReceipt = (path) => !!path && /^(file|content|ph|assets-library):/.test(path);
+
+const parseAmount = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const amount = parseFloat(value);
+  return Number.isNaN(amount) ? null : amount;
+};
+
+const sanitizeAcquisitionFields = (fields) => {
+  const { item_id, user_id, created_at, updated_at, ...sanitized } = fields;
+  if (sanitized.purchase_price !== undefined) sanitized.purchase_price = parseAmount(sanitized.purchase_price);
+  if (sanitized.fees !== undefined) sanitized.fees = parseAmount(sanitized.fees);
+  if (sanitized.currency !== undefined) sanitized.currency = normalizeCurrency(sanitized.currency);
+  if (sanitized.purchase_date !== undefined) sanitized.purchase_date = sanitized.purchase_date || null;
+  if (typeof sanitized.source === 'string') sanitized.source = sanitizeString(sanitized.source) || null;
+  return sanitized;
+};
+
+/**
+ * Whether any acquisition detail has been filled in
+ * @param {Partial<Acquisition>|null} acquisition
+ * @returns {boolean}
+ */
+export const hasAcquisitionDetails = (acquisition) => !!acquisition && [
+  acquisition.purchase_price,
+  acquisition.fees,
+  acquisition.purchase_date,
+  acquisition.source,
+  acquisition.receipt_path,
+].some(value => value !== null && value !== undefined && value !== '');
+
+/**
+ * Removes receipt photos from storage. Failures are logged, not thrown.
+ * @param {Array<string>} paths - Object paths in the receipts bucket
+ * @returns {Promise<boolean>} Whether the objects were removed
+ */
+export const removeReceipts = async (paths) => {
+  const validPaths = (paths || []).filter(Boolean);
+  if (validPaths.length === 0) return true;
+
+  const { error } = await supabase.storage.from(RECEIPT_BUCKET).remove(validPaths);
+  if (error) {
+    toDataError(error, 'acquisitions.removeReceipts');
+    return false;
+  }
+  return true;
+};
+
+/**
+ * Resizes a receipt photo and uploads it to the user's folder in the receipts bucket
+ * @param {string} uri - Local file URI
+ * @param {string} userId - The owner
+ * @returns {Promise<string>} The object path
+ */
+export const uploadReceipt = async (uri, userId) => {
+  const processedImage = await processImage(normalizeImageUri(uri), {
+    resize: { width: 1600, height: 1600 },
+    quality: 0.8,
+  });
+  const path = `${userId}/${Date.now()}.jpg`;
+
+  unwrap(
+    await supabase.storage
+      .from(RECEIPT_BUCKET)
+      .upload(path, { uri: processedImage.uri, type: 'image/jpeg' }),
+    'acquisitions.uploadReceipt'
+  );
+  return path;
+};
+
+/**
+ * A short-lived link to a receipt photo
+ * @param {string} path - Object path in the receipts bucket
+ * @returns {Promise<string>} Signed URL
+ */
+export const getReceiptUrl = async (path) => {
+  const signed = unwrap(
+    await supabase.storage.from(RECEIPT_BUCKET).createSignedUrl(path, RECEIPT_URL_EXPIRY),
+    'acquisitions.getReceiptUrl'
+  );
+  return signed.signedUrl;
+};
+
+/**
+ * Reads an item's receipt path, e.g. before the item is deleted (the row goes with it)
+ * @param {number} itemId - The item ID
+ * @returns {Promise<string|null>}
+ */
+export const getReceiptPath = async (itemId) => {
+  const row = unwrap(
+    await supabase.from('item_acquisitions').select('receipt_path').eq('item_id', itemId).maybeSingle(),
+    'acquisitions.getReceiptPath'
+  );
+  return row?.receipt_path || null;
+};
+
+/**
+ * Creates or replaces an item's acquisition details. A receipt that was
+ * replaced or removed is deleted from storage afterwards.
+ * @param {number} itemId - The item ID
+ * @param {Partial<Acquisition>} fields - Details to set; receipt_path must be uploaded already
+ * @returns {Promise<Acquisition>} The saved row
+ */
+export const saveAcquisition = async (itemId, fields) => {
+  const previousReceiptPath = await getReceiptPath(itemId);
+
+  const saved = unwrap(
+    await supabase
+      .from('item_acquisitions')
+      .upsert({ item_id: itemId, ...sanitizeAcquisitionFields(fields) }, { onConflict: 'item_id' })
+      .select()
+      .single(),
+    'acquisitions.saveAcquisition'
+  );
+
+  if (previousReceiptPath && previousReceiptPath !== saved.receipt_path) {
+    await removeReceipts([previousReceiptPath]);
+  }
+  return saved;
+};
@@ -0,0 +1,101 @@
+// data/bulkItems.js
+// Bulk actions go through the sync queue one item at a time, the same way a
+// single edit does: they work offline, and an item that was changed elsewhere
+// since the list loaded becomes a sync conflict instead of being overwritten.
+import { queueUpdateItem, queueDeleteItem, getConflicts, resolveItemId } from './syncQueue';
+
+/**
+ * @typedef {Object} BulkFailure
+ * @property {import('./items').Item} item - The item the action failed for
+ * @property {string} message - Why, for the user
+ * @property {boolean} conflict - Whether it was parked as a sync conflict; those are
+ *   resolved on the item's page rather than retried
+ */
+
+/**
+ * @typedef {Object} BulkResult
+ * @property {Array<import('./items').Item>} succeeded - Items the change reached the server for
+ * @property {Array<import('./items').Item>} queued - Items whose change waits for a connection
+ * @property {Array<BulkFailure>} failed - Items the change couldn't be applied to
+ */
+
+const CONFLICT_MESSAGES = {
+  changed: 'Changed on another device since the list loaded',
+  deleted: 'Already deleted on another device',
+};
+
+const sameItem = (conflict, item) => String(resolveItemId(conflict.operation.itemId)) === String(resolveItemId(item.id));
+
+/**
+ * Runs an action on items one after another, reporting progress. A failure
+ * doesn't stop the rest.
+ * @param {string} userId - The owner
+ * @param {Array<import('./items').Item>} items - The items, as the user last saw them
+ * @param {function(import('./items').Item): Promise<{synced: boolean}|null>} apply - Queues the
+ *   change for one item; null when the item needs no change
+ * @param {Object} [options]
+ * @param {function(number, number): void} [options.onProgress] - Called with (done, total) after each item
+ * @returns {Promise<BulkResult>}
+ */
+export const runBulkItemAction = async (userId, items, apply, { onProgress } = {}) => {
+  const result = { succeeded: [], queued: [], failed: [] };
+  const earlierConflicts = new Set((await getConflicts(userId)).map(conflict => conflict.operation.id));
+
+  for (const [index, item] of items.entries()) {
+    try {
+      const outcome = await apply(item);
+      const conflict = outcome && (await getConflicts(userId))
+        .find(parked => !earlierConflicts.has(parked.operation.id) && sameItem(parked, item));
+
+      if (conflict) {
+        earlierConflicts.add(conflict.operation.id);
+        result.failed.push({
+          item,
+          message: CONFLICT_MESSAGES[conflict.reason] || conflict.operation.lastError || 'Could not be saved',
+          conflict: true,
+        });
+      } else if (!outcome || outcome.synced) {
+        result.succeeded.push(item);
+      } else {
+        result.queued.push(item);
+      }
+    } catch (error) {
+      result.failed.push({ item, message: error.userMessage || error.message, conflict: false });
+    }
+    onProgress?.(index + 1, items.length);
+  }
+  return result;
+};
+
+/**
+ * Changes several items, offline if need be
+ * @param {string} userId - The owner
+ * @param {Array<import('./items').Item>} items - The items, as the user last saw them
+ * @param {Object|function(import('./items').Item): (Object|null)} changes - Item columns to set,
+ *   or a function giving each item's changes (null to leave it as it is; throw to fail it)
+ * @param {Object} [options] - See runBulkItemAction
+ * @returns {Promise<BulkResult>}
+ */
+export const bulkUpdateItems = (userId, items, changes, options) => runBulkItemAction(
+  userId,
+  items,
+  async (item) => {
+    const itemChanges = typeof changes === 'function' ? changes(item) : changes;
+    return itemChanges ? queueUpdateItem(userId, item, itemChanges) : null;
+  },
+  options
+);
+
+/**
+ * Deletes several items with their photos, offline if need be
+ * @param {string} userId - The owner
+ * @param {Array<import('./items').Item>} items - The items, as the user last saw them
+ * @param {Object} [options] - See runBulkItemAction
+ * @returns {Promise<BulkResult>}
+ */
+export const bulkDeleteItems = (userId, items, options) => runBulkItemAction(
+  userId,
+  items,
+  item => queueDeleteItem(userId, item),
+  options
+);
@@ -0,0 +1,119 @@
+// data/collections.js
+import { supabase } from '../lib/supabase';
+import { sanitizeString } from '../utils/inputValidation';
+import { ITEM_STATUS } from '../utils/wishlist';
+import { unwrap } from './errors';
+import { clearPageCache } from './pageCache';
+
+/**
+ * @typedef {Object} Collection
+ * @property {number} id
+ * @property {string} user_id
+ * @property {string} name
+ * @property {string|null} icon - Emoji shown next to the name
+ * @property {string} created_at
+ * @property {string|null} deleted_at - When it was moved to the trash
+ * @property {Array<number>} trashed_item_ids - Items taken out of it when it was trashed
+ * @property {number} [itemCount] - Present when fetched with counts
+ */
+
+/**
+ * Lists a user's collections
+ * @param {string} userId - The owner
+ * @param {Object} [options]
+ * @param {boolean} [options.withCounts=false] - Add `itemCount` to each collection
+ * @param {string} [options.orderBy='name'] - Sort column
+ * @param {boolean} [options.ascending] - Sort direction (defaults to A-Z for name, newest first otherwise)
+ * @param {boolean} [options.trashed=false] - List the collections in the trash instead
+ * @returns {Promise<Array<Collection>>}
+ */
+export const listCollections = async (userId, { withCounts = false, orderBy = 'name', ascending, trashed = false } = {}) => {
+  if (!userId) return [];
+
+  let query = supabase
+    .from('collections')
+    // PostgREST counts the embedded rows in the same request
+    .select(withCounts ? '*, items(count)' : '*')
+    .eq('user_id', userId);
+  query = trashed ? query.not('deleted_at', 'is', null) : query.is('deleted_at', null);
+  // Wishlist and trashed items aren't counted as part of a collection
+  if (withCounts) query = query.eq('items.status', ITEM_STATUS.OWNED).is('items.deleted_at', null);
+
+  const data = unwrap(
+    await query.order(orderBy, { ascending: ascending ?? orderBy === 'name' }),
+    'collections.listCollections'
+  ) || [];
+
+  if (!withCounts) return data;
+  return data.map(({ items, ...collection }) => ({
+    ...collection,
+    itemCount: items?.[0]?.count || 0,
+  }));
+};
+
+/**
+ * Fetches a single collection
+ * @param {number} collectionId - The collection ID
+ * @returns {Promise<Collection|null>}
+ */
+export const getCollection = async (collectionId) => unwrap(
+  await supabase.from('collections').select('*').eq('id', collectionId).maybeSingle(),
+  'collections.getCollection'
+);
+
+/**
+ * Creates a collection for the signed-in user (user_id defaults to auth.uid())
+ * @param {{name: string, icon?: string}} collection - Name and emoji icon
+ * @returns {Promise<Collection>} The new collection
+ */
+export const createCollection = async ({ name, icon }) => unwrap(
+  await supabase
+    .from('collections')
+    .insert([{ name: sanitizeString(name), icon }])
+    .select()
+    .single(),
+  'collections.createCollection'
+);
+
+/**
+ * Moves a collection to the trash. Its items are kept and become uncollected
+ * until it's restored.
+ * @param {number} collectionId - The collection ID
+ * @returns {Promise<void>}
+ */
+export const trashCollection = async (collectionId) => {
+  unwrap(
+    await supabase.rpc('trash_collection', { target_collection_id: collectionId }),
+    'collections.trashCollection'
+  );
+  clearPageCache();
+};
+
+/**
+ * Takes a collection out of the trash and puts back the items it had, unless
+ * they've been put in another collection since
+ * @param {number} collectionId - The collection ID
+ * @returns {Promise<void>}
+ */
+export const restoreCollection = async (collectionId) => {
+  unwrap(
+    await supabase.rpc('restore_collection', { target_collection_id: collectionId }),
+    'collections.restoreCollection'
+  );
+  clearPageCache();
+};
+
+/**
+ * Deletes a collection for good. Its items are kept and become uncollected.
+ * The app trashes collections instead (see trashCollection); this is for
+ * emptying the trash.
+ * @param {number} collectionId - The collection ID
+ * @returns {Promise<void>}
+ */
+export const deleteCollection = async (collectionId) => {
+  unwrap(
+    await supabase.from('collections').delete().eq('id', collectionId),
+    'collections.deleteCollection'
+  );
+  clearPageCache();
+};
@@ -0,0 +1,106 @@
+// data/copies.js
+import { supabase } from '../lib/supabase';
+import { sanitizeString } from '../utils/inputValidation';
+import { unwrap } from './errors';
+import { isLocalPhoto, uploadPhoto, removeStorageObjects, storagePathForImage } from './photos';
+
+/**
+ * One physical copy of an item. Copies are optional: an item's quantity can be
+ * higher than its copies on record, and the rest share the item's details.
+ * Adding a copy raises the item's quantity when needed and removing one lowers
+ * it (see 020_item_copies.sql).
+ * @typedef {Object} ItemCopy
+ * @property {number} id
+ * @property {number} item_id
+ * @property {string} user_id
+ * @property {string|null} condition - Null means the item's condition
+ * @property {number|null} value - In the item's currency; null means the item's value
+ * @property {string|null} grade - e.g. PSA 9
+ * @property {string|null} notes
+ * @property {Array<string>} photos - Signed URLs in the item-photos bucket
+ * @property {string} created_at
+ * @property {string} updated_at
+ */
+
+// Embed for item queries that need each copy's value and condition, e.g. statistics
+export const COPIES_EMBED = 'copies:item_copies(id, condition, value, grade)';
+
+const sanitizeCopyFields = (fields) => {
+  const { id, item_id, user_id, created_at, updated_at, ...sanitized } = fields;
+  if (sanitized.value !== undefined) {
+    const value = parseFloat(sanitized.value);
+    sanitized.value = Number.isNaN(value) ? null : value;
+  }
+  ['condition', 'grade', 'notes'].forEach(field => {
+    if (typeof sanitized[field] === 'string') sanitized[field] = sanitizeString(sanitized[field]).trim() || null;
+  });
+  return sanitized;
+};
+
+/**
+ * Lists an item's copies on record, oldest first
+ * @param {number} itemId - The item ID
+ * @returns {Promise<Array<ItemCopy>>}
+ */
+export const listCopies = async (itemId) => unwrap(
+  await supabase
+    .from('item_copies')
+    .select('*')
+    .eq('item_id', itemId)
+    .order('created_at', { ascending: true })
+    .order('id', { ascending: true }),
+  'copies.listCopies'
+) || [];
+
+/**
+ * Adds a copy to an item or updates one. Photos still on the device are
+ * uploaded first; photos dropped from the list are removed from storage.
+ * @param {number} itemId - The item ID
+ * @param {Partial<ItemCopy>} copy - With `id` to update an existing copy
+ * @param {ItemCopy} [previous] - The copy as loaded, to find removed photos
+ * @returns {Promise<ItemCopy>} The saved row
+ */
+export const saveCopy = async (itemId, copy, previous) => {
+  const photos = await Promise.all((copy.photos || []).map(uri => (
+    isLocalPhoto(uri) ? uploadPhoto(uri) : uri
+  )));
+  const fields = { ...sanitizeCopyFields(copy), photos };
+
+  const saved = copy.id
+    ? unwrap(
+      await supabase.from('item_copies').update(fields).eq('id', copy.id).select().single(),
+      'copies.saveCopy'
+    )
+    : unwrap(
+      await supabase.from('item_copies').insert([{ item_id: itemId, ...fields }]).select().single(),
+      'copies.saveCopy'
+    );
+
+  const removed = (previous?.photos || []).filter(url => !photos.includes(url));
+  await removeStorageObjects(removed.map(url => storagePathForImage({ url })));
+  return saved;
+};
+
+/**
+ * Removes a copy and its photos; the item's quantity goes down by one
+ * @param {ItemCopy} copy
+ * @returns {Promise<void>}
+ */
+export const deleteCopy = async (copy) => {
+  unwrap(await supabase.from('item_copies').delete().eq('id', copy.id), 'copies.deleteCopy');
+  await removeStorageObjects((copy.photos || []).map(url => storagePathForImage({ url })));
+};
+
+/**
+ * Object paths of the photos of all of an item's copies, e.g. before the item
+ * is deleted (the rows go with it)
+ * @param {number} itemId - The item ID
+ * @returns {Promise<Array<string>>}
+ */
+export const getCopyPhotoPaths = async (itemId) => {
+  const rows = unwrap(
+    await supabase.from('item_copies').select('photos').eq('item_id', itemId),
+    'copies.getCopyPhotoPaths'
+  ) || [];
+  return rows.flatMap(row => row.photos || []).map(url => storagePathForImage({ url }));
+};
@@ -0,0 +1,95 @@
+// data/customFields.js
+import { supabase } from '../lib/supabase';
+import { sanitizeString } from '../utils/inputValidation';
+import { fieldKeyFromLabel } from '../utils/fieldSchemas';
+import { unwrap } from './errors';
+
+/**
+ * An item field the user added. Values are kept in items.attributes under `key`,
+ * next to the built-in fields from utils/fieldSchemas.js.
+ * @typedef {Object} CustomField
+ * @property {number} id
+ * @property {string} user_id
+ * @property {string|null} category - Null for every category
+ * @property {string} key - Made from the label when the field is created
+ * @property {string} label
+ * @property {'text'|'number'|'year'|'select'} type
+ * @property {Array<string>} options - Choices for select fields
+ * @property {boolean} required
+ * @property {number} position - Order among the user's fields
+ * @property {string} created_at
+ * @property {string} updated_at
+ */
+
+const sanitizeOptions = (options) => [...new Set((options || []).map(sanitizeString).filter(Boolean))];
+
+/**
+ * Lists a user's custom fields in the order they're shown
+ * @param {string} userId - The owner
+ * @returns {Promise<Array<CustomField>>}
+ */
+export const listCustomFields = async (userId) => {
+  if (!userId) return [];
+  return unwrap(
+    await supabase
+      .from('custom_fields')
+      .select('*')
+      .eq('user_id', userId)
+      .order('position', { ascending: true })
+      .order('created_at', { ascending: true }),
+    'customFields.listCustomFields'
+  ) || [];
+};
+
+/**
+ * Adds a custom field for the signed-in user (user_id defaults to auth.uid()).
+ * The key comes from the label, so two fields with the same label in one
+ * category are rejected as duplicates.
+ * @param {{label: string, type: string, category?: string|null, options?: Array<string>, required?: boolean, position?: number}} field
+ * @returns {Promise<CustomField>} The new field
+ */
+export const createCustomField = async ({ label, type, category = null, options = [], required = false, position = 0 }) => unwrap(
+  await supabase
+    .from('custom_fields')
+    .insert([{
+      key: fieldKeyFromLabel(label),
+      label: sanitizeString(label),
+      type,
+      category,
+      options: type === 'select' ? sanitizeOptions(options) : [],
+      required,
+      position,
+    }])
+    .select()
+    .single(),
+  'customFields.createCustomField'
+);
+
+/**
+ * Changes a custom field. The key stays the same so saved values still match.
+ * @param {number} fieldId - The field ID
+ * @param {Partial<{label: string, options: Array<string>, required: boolean, position: number}>} changes
+ * @returns {Promise<CustomField>} The updated field
+ */
+export const updateCustomField = async (fieldId, changes) => {
+  const { id, key, user_id, created_at, updated_at, ...fields } = changes;
+  if (typeof fields.label === 'string') fields.label = sanitizeString(fields.label);
+  if (fields.options) fields.options = sanitizeOptions(fields.options);
+  return unwrap(
+    await supabase.from('custom_fields').update(fields).eq('id', fieldId).select().single(),
+    'customFields.updateCustomField'
+  );
+};
+
+/**
+ * Deletes a custom field. Values already saved on items are kept and shown
+ * under a label made from the key.
+ * @param {number} fieldId - The field ID
+ * @returns {Promise<void>}
+ */
+export const deleteCustomField = async (fieldId) => {
+  unwrap(
+    await supabase.from('custom_fields').delete().eq('id', fieldId),
+    'customFields.deleteCustomField'
+  );
+};
@@ -0,0 +1,210 @@
+// data/drafts.js
+// Items being added, kept on the device so nothing typed or picked is lost if
+// the app is closed mid-entry. A draft holds the Add form's fields and copies
+// of its photos in the app's documents folder - the picker's cache files can
+// be cleared before the item is saved.
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as FileSystem from 'expo-file-system';
+import { isLocalPhoto } from './photos';
+
+const DRAFTS_KEY_PREFIX = 'item_drafts:';
+const DRAFT_DIRECTORY = `${FileSystem.documentDirectory}drafts/`;
+
+/**
+ * @typedef {Object} ItemDraft
+ * @property {string} id
+ * @property {string|null} name - Given by the user; null shows the item name instead
+ * @property {Object} fields - The Add form's fields (see DRAFT_FIELDS)
+ * @property {Object<string, string>} copies - Picked file URI -> its copy in the draft's folder
+ * @property {string} createdAt
+ * @property {string} updatedAt
+ */
+
+// The parts of the Add form state a draft keeps; the rest (dropdowns, loaded
+// collections, saving and error flags) belongs to the screen
+export const DRAFT_FIELDS = [
+  'itemName',
+  'brand',
+  'value',
+  'quantity',
+  'currency',
+  'notes',
+  'selectedCategory',
+  'selectedCondition',
+  'selectedCollectionId',
+  'selectedLocationId',
+  'isShared',
+  'attributes',
+  'tags',
+  'status',
+  'wishlist',
+  'acquisition',
+  'identifiers',
+  'images',
+  'analyzedImageUri',
+];
+
+const draftsKey = (userId) => `${DRAFTS_KEY_PREFIX}${userId}`;
+const draftDirectory = (draftId) => `${DRAFT_DIRECTORY}${draftId}/`;
+
+const readDrafts = async (userId) => {
+  try {
+    const stored = await AsyncStorage.getItem(draftsKey(userId));
+    return stored ? JSON.parse(stored) : [];
+  } catch (error) {
+    console.error('Error reading drafts:', error);
+    return [];
+  }
+};
+
+const writeDrafts = async (userId, drafts) => {
+  await AsyncStorage.setItem(draftsKey(userId), JSON.stringify(drafts));
+};
+
+/**
+ * What to call a draft in lists
+ * @param {ItemDraft} draft
+ * @returns {string}
+ */
+export const draftTitle = (draft) => draft.name || draft.fields.itemName?.trim() || 'Untitled item';
+
+/**
+ * Whether the Add form has anything worth keeping as a draft
+ * @param {Object} fields - The Add form's fields
+ * @returns {boolean}
+ */
+export const hasDraftContent = (fields) => !!(
+  fields.itemName?.trim()
+  || fields.brand?.trim()
+  || fields.notes?.trim()
+  || fields.value
+  || fields.images?.length
+  || fields.identifiers?.length
+  || fields.tags?.length
+);
+
+/**
+ * Lists the user's drafts, most recently edited first
+ * @param {string} userId - The owner
+ * @returns {Promise<Array<ItemDraft>>}
+ */
+export const listDrafts = async (userId) => {
+  if (!userId) return [];
+  const drafts = await readDrafts(userId);
+  return drafts.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+};
+
+// Files picked outside the draft's folder are copied into it, once each
+const copyDraftFiles = async (draftId, uris, previousCopies) => {
+  const directory = draftDirectory(draftId);
+  await FileSystem.makeDirectoryAsync(directory, { intermediates: true }).catch(() => {});
+
+  const copies = {};
+  for (const [index, uri] of uris.entries()) {
+    if (!isLocalPhoto(uri) || uri.startsWith(directory)) continue;
+    if (previousCopies[uri]) {
+      copies[uri] = previousCopies[uri];
+      continue;
+    }
+    const extension = uri.split('?')[0].split('.').pop() || 'jpg';
+    const target = `${directory}${Date.now()}-${index}.${extension}`;
+    try {
+      await FileSystem.copyAsync({ from: uri, to: target });
+      copies[uri] = target;
+    } catch (error) {
+      console.error('Error copying a photo into a draft:', error);
+    }
+  }
+  return copies;
+};
+
+// Copies no longer used by the draft's fields
+const deleteUnusedFiles = async (draftId, keep) => {
+  const directory = draftDirectory(draftId);
+  try {
+    const files = await FileSystem.readDirectoryAsync(directory);
+    await Promise.all(files
+      .map(file => `${directory}${file}`)
+      .filter(uri => !keep.has(uri))
+      .map(uri => FileSystem.deleteAsync(uri, { idempotent: true }).catch(() => {})));
+  } catch (error) {
+    // No folder yet
+  }
+};
+
+/**
+ * Creates or updates a draft, copying its photos and receipt into the draft's
+ * folder. The draft's fields point at the copies, so it can be resumed after
+ * the originals are gone.
+ * @param {string} userId - The owner
+ * @param {Object} draft
+ * @param {string} [draft.id] - The draft to update; a new one is created if omitted
+ * @param {string|null} [draft.name] - Leaves the name alone if omitted
+ * @param {Object} draft.fields - The Add form's fields
+ * @returns {Promise<ItemDraft>} The saved draft
+ */
+export const saveDraft = async (userId, { id, name, fields }) => {
+  const drafts = await readDrafts(userId);
+  const now = new Date().toISOString();
+  const previous = drafts.find(draft => draft.id === id) || null;
+  const draftId = previous?.id || id || `draft-${Date.now()}`;
+
+  const kept = Object.fromEntries(DRAFT_FIELDS.filter(key => key in fields).map(key => [key, fields[key]]));
+  const receiptPath = kept.acquisition?.receipt_path;
+  const copies = await copyDraftFiles(
+    draftId,
+    [...(kept.images || []), receiptPath].filter(Boolean),
+    previous?.copies || {}
+  );
+  const toCopy = (uri) => copies[uri] || uri;
+
+  const saved = {
+    id: draftId,
+    name: name === undefined ? previous?.name || null : name,
+    fields: {
+      ...kept,
+      images: (kept.images || []).map(toCopy),
+      analyzedImageUri: kept.analyzedImageUri ? toCopy(kept.analyzedImageUri) : null,
+      ...(kept.acquisition && { acquisition: { ...kept.acquisition, receipt_path: receiptPath ? toCopy(receiptPath) : null } }),
+    },
+    copies,
+    createdAt: previous?.createdAt || now,
+    updatedAt: now,
+  };
+
+  // Re-read so a save that finished meanwhile isn't overwritten
+  const latest = await readDrafts(userId);
+  await writeDrafts(userId, [...latest.filter(draft => draft.id !== draftId), saved]);
+  await deleteUnusedFiles(draftId, new Set([
+    ...saved.fields.images,
+    saved.fields.acquisition?.receipt_path,
+    ...Object.values(copies),
+  ].filter(Boolean)));
+  return saved;
+};
+
+/**
+ * Renames a draft
+ * @param {string} userId - The owner
+ * @param {string} draftId - The draft ID
+ * @param {string} name - The new name
+ * @returns {Promise<void>}
+ */
+export const renameDraft = async (userId, draftId, name) => {
+  const drafts = await readDrafts(userId);
+  await writeDrafts(userId, drafts.map(draft => (
+    draft.id === draftId ? { ...draft, name: name.trim() || null, updatedAt: new Date().toISOString() } : draft
+  )));
+};
+
+/**
+ * Deletes a draft and its copied files
+ * @param {string} userId - The owner
+ * @param {string} draftId - The draft ID
+ * @returns {Promise<void>}
+ */
+export const deleteDraft = async (userId, draftId) => {
+  const drafts = await readDrafts(userId);
+  await writeDrafts(userId, drafts.filter(draft => draft.id !== draftId));
+  await FileSystem.deleteAsync(draftDirectory(draftId), { idempotent: true }).catch(() => {});
+};
@@ -0,0 +1,37 @@
+// data/errors.js
+import { handleError, categorizeError, ERROR_CATEGORIES } from '../utils/errorHandler';
+
+/**
+ * Turns a Supabase error into an Error carrying the category and user message
+ * from utils/errorHandler, so every repository function fails the same way.
+ * Nothing is shown to the user here - screens decide whether to toast.
+ *
+ * @param {Object} error - The Supabase/PostgREST error (or any thrown value)
+ * @param {string} context - Repository function name, e.g. 'items.getItem'
+ * @returns {Error} Error with `category`, `userMessage` and the original `code`
+ */
+export const toDataError = (error, context) => {
+  const category = categorizeError(error);
+  const resolvedCategory = category === ERROR_CATEGORIES.UNKNOWN ? ERROR_CATEGORIES.DATABASE : category;
+  const userMessage = handleError(error, `data/${context}`, resolvedCategory, null, false);
+
+  const dataError = error instanceof Error ? error : new Error(error?.message || 'Database request failed');
+  dataError.category = resolvedCategory;
+  dataError.userMessage = userMessage;
+  dataError.code = error?.code;
+  dataError.details = error?.details;
+  return dataError;
+};
+
+/**
+ * Returns `data` from a Supabase response, or throws a mapped error
+ * @param {{data: *, error: Object}} response - The Supabase query response
+ * @param {string} context - Repository function name for logging
+ * @returns {*} The response data
+ */
+export const unwrap = ({ data, error }, context) => {
+  if (error) {
+    throw toDataError(error, context);
+  }
+  return data;
+};
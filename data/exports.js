@@ -0,0 +1,43 @@
+// data/exports.js
+import Papa from 'papaparse';
+import { supabase } from '../lib/supabase';
+import { unwrap } from './errors';
+
+const EXPORT_BUCKET = 'user-data';
+
+// Export links are for sharing right away
+const EXPORT_URL_EXPIRY = 60 * 60 * 24; // 24 hours
+
+/** Item columns written to CSV exports, in column order */
+export const EXPORT_COLUMNS = [
+  'id', 'name', 'brand', 'category', 'collection_id', 'is_shared',
+  'notes', 'condition', 'value', 'currency', 'created_at',
+];
+
+/**
+ * Writes items to a CSV file in the user's exports folder and returns a link
+ * to it. Only EXPORT_COLUMNS are written, so full item rows can be passed.
+ * @param {string} userId - The owner; RLS requires the path to start with it
+ * @param {Array<Object>} items - The items to export
+ * @returns {Promise<{url: string, fileName: string}>} 24-hour signed URL and the file's name
+ */
+export const exportItemsCsv = async (userId, items) => {
+  const rows = items.map(item => Object.fromEntries(EXPORT_COLUMNS.map(column => [column, item[column] ?? null])));
+  const csv = Papa.unparse(rows, { header: true, newline: '\n', columns: EXPORT_COLUMNS });
+
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const fileName = `items-${timestamp}.csv`;
+  const path = `${userId}/exports/${fileName}`;
+
+  unwrap(
+    await supabase.storage
+      .from(EXPORT_BUCKET)
+      .upload(path, csv, { contentType: 'text/csv', cacheControl: '3600' }),
+    'exports.exportItemsCsv'
+  );
+  const signed = unwrap(
+    await supabase.storage.from(EXPORT_BUCKET).createSignedUrl(path, EXPORT_URL_EXPIRY),
+    'exports.exportItemsCsv'
+  );
+  return { url: signed.signedUrl, fileName };
+};
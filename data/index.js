@@ -0,0 +1,26 @@
+// data/index.js - Data access for items, collections, photos and notifications.
+// Screens go through these functions instead of querying Supabase directly,
+// so schema changes only touch this folder. Every function throws an Error
+// carrying `category` and `userMessage` (see data/errors.js).
+export * from './items';
+export * from './collections';
+export * from './photos';
+export * from './notifications';
+export * from './social';
+export * from './savedSearches';
+export * from './valueHistory';
+export * from './acquisitions';
+export * from './customFields';
+export * from './tags';
+export * from './copies';
+export * from './locations';
+export * from './loans';
+export * from './exports';
+export * from './bulkItems';
+export * from './trash';
+export * from './revisions';
+export * from './drafts';
+export * from './pageCache';
+export { toDataError } from './errors';
+export * from './offlineStore';
+export * from './syncQueue';
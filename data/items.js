@@ -0,0 +1,648 @@
+// data/items.js
+import { supabase } from '../lib/supabase';
+import { sanitizeString, sanitizeObject } from '../utils/inputValidation';
+import { normalizeCurrency } from '../utils/money';
+import { normalizeTags } from '../utils/tags';
+import { ITEM_STATUS } from '../utils/wishlist';
+import { unwrap } from './errors';
+import { getPhotoLinks, getPhotosForItems, deletePhotos, removeStorageObjects } from './photos';
+import { ACQUISITION_EMBED, getReceiptPath, removeReceipts } from './acquisitions';
+import { COPIES_EMBED, getCopyPhotoPaths } from './copies';
+import { clearPageCache } from './pageCache';
+
+/**
+ * @typedef {Object} Item
+ * @property {number} id
+ * @property {string} user_id
+ * @property {number|null} collection_id
+ * @property {number|null} location_id - Where it's kept (see data/locations.js); the owner's only
+ * @property {string} name
+ * @property {string|null} brand
+ * @property {string|null} category
+ * @property {string|null} condition
+ * @property {string|null} condition_details
+ * @property {Object|null} condition_analysis
+ * @property {number|null} value - Amount in `currency`
+ * @property {string} currency - ISO 4217 code (see utils/money.js)
+ * @property {'manual'|'ai'|'import'} value_source - How the current value was set
+ * @property {string|null} value_note - Note on the current value
+ * @property {string|null} notes
+ * @property {boolean} is_shared
+ * @property {Array<string>} identifiers - Normalized barcodes (GTIN, ISBN, ISSN)
+ * @property {Array<string>} tags - Normalized (see utils/tags.js)
+ * @property {Object} attributes - Category and custom field values by key (see utils/fieldSchemas.js)
+ * @property {'owned'|'wanted'} status - 'wanted' for wishlist items (see utils/wishlist.js)
+ * @property {number|null} target_price - Wishlist items: most the user wants to pay, in `currency`
+ * @property {number|null} priority - Wishlist items: 1 (low) to 3 (high)
+ * @property {string|null} acquired_at - When a wishlist item was marked as acquired
+ * @property {number} quantity - Copies owned (see utils/copies.js)
+ * @property {string|null} deleted_at - When it was moved to the trash (see data/trash.js)
+ * @property {string} created_at
+ * @property {string} updated_at
+ * @property {{name: string, icon: string}} [collections] - Present when fetched with the collection
+ * @property {import('./acquisitions').Acquisition|null} [acquisition] - Present when fetched with it; the owner's only
+ * @property {Array<string>} [photos] - Present when fetched with photos
+ * @property {Array<import('./copies').ItemCopy>} [copies] - Present when fetched with COPIES_EMBED
+ */
+
+// Items per page for paged lists
+export const PAGE_SIZE = 20;
+
+// Free-text columns that are sanitized before every write
+const TEXT_FIELDS = ['name', 'brand', 'category', 'condition', 'condition_details', 'notes', 'value_note'];
+
+// Maintained by the search trigger; never written by the app
+const GENERATED_FIELDS = ['search_vector', 'search_text'];
+
+const sanitizeItemFields = (fields) => {
+  const sanitized = { ...fields };
+  GENERATED_FIELDS.forEach(field => delete sanitized[field]);
+  TEXT_FIELDS.forEach(field => {
+    if (typeof sanitized[field] === 'string') {
+      sanitized[field] = sanitizeString(sanitized[field]);
+    }
+  });
+  if (sanitized.value !== undefined) {
+    const value = parseFloat(sanitized.value);
+    sanitized.value = Number.isNaN(value) ? null : value;
+    // Recorded in the value history with the new value; the database keeps the
+    // old source and note when the value doesn't actually change
+    if (sanitized.value_source === undefined) sanitized.value_source = 'manual';
+    if (sanitized.value_note === undefined) sanitized.value_note = null;
+  }
+  if (sanitized.target_price !== undefined) {
+    const targetPrice = parseFloat(sanitized.target_price);
+    sanitized.target_price = Number.isNaN(targetPrice) ? null : targetPrice;
+  }
+  if (sanitized.quantity !== undefined) {
+    sanitized.quantity = Math.max(parseInt(sanitized.quantity, 10) || 1, 1);
+  }
+  if (sanitized.currency !== undefined) {
+    sanitized.currency = normalizeCurrency(sanitized.currency);
+  }
+  if (sanitized.tags !== undefined) {
+    sanitized.tags = normalizeTags(sanitized.tags);
+  }
+  if (sanitized.attributes !== undefined) {
+    sanitized.attributes = sanitizeObject(sanitized.attributes || {});
+  }
+  if (sanitized.collection_id === '') {
+    sanitized.collection_id = null;
+  }
+  if (sanitized.location_id === '') {
+    sanitized.location_id = null;
+  }
+  return sanitized;
+};
+
+const withPhotoUrls = async (items) => {
+  if (!items || items.length === 0) return [];
+  const photosByItem = await getPhotosForItems(items.map(item => item.id));
+  return items.map(item => ({ ...item, photos: photosByItem[item.id] || [] }));
+};
+
+/**
+ * Fetches a single item
+ * @param {number} itemId - The item ID
+ * @param {Object} [options]
+ * @param {boolean} [options.withCollection=true] - Include the collection's name and icon
+ * @param {boolean} [options.withPhotos=false] - Include the photo URLs
+ * @param {boolean} [options.withAcquisition=true] - Include the purchase details (null unless you own the item)
+ * @param {boolean} [options.withCopies=false] - Include each copy's condition, value and grade
+ * @returns {Promise<Item|null>} The item, or null if it doesn't exist or isn't visible
+ */
+export const getItem = async (itemId, { withCollection = true, withPhotos = false, withAcquisition = true, withCopies = false } = {}) => {
+  const columns = ['*'];
+  if (withCollection) columns.push('collections(name, icon)');
+  if (withAcquisition) columns.push(ACQUISITION_EMBED);
+  if (withCopies) columns.push(COPIES_EMBED);
+  const item = unwrap(
+    await supabase
+      .from('items')
+      .select(columns.join(', '))
+      .eq('id', itemId)
+      .maybeSingle(),
+    'items.getItem'
+  );
+  if (!item || !withPhotos) return item;
+
+  const [withUrls] = await withPhotoUrls([item]);
+  return withUrls;
+};
+
+// Quotes a search term for a PostgREST or() filter (quotes and backslashes can't appear inside)
+const likePattern = (text) => `"%${text.replace(/["\\]/g, '')}%"`;
+
+// Quotes a value for a PostgREST or() filter, escaping quotes and backslashes
+const quoteValue = (value) => `"${String(value).replace(/["\\]/g, '\\$&')}"`;
+
+// Aliased embeds used only to filter on whether an item has photos, where
+// it's kept and whether it's lent out
+const PHOTO_CHECK = 'photo_check';
+const LOCATION_CHECK = 'location_check';
+const LOAN_CHECK = 'loan_check';
+
+/**
+ * Adds the embeds the hasPhotos, locationId and onLoan filters need to a column list
+ * @param {string} columns - Columns to select
+ * @param {Object} filters - See listItemsPage
+ * @returns {string}
+ */
+const selectColumns = (columns, { hasPhotos, locationId, onLoan } = {}) => {
+  const embeds = [columns];
+  if (hasPhotos === true) embeds.push(`${PHOTO_CHECK}:item_photos!inner(id)`);
+  if (hasPhotos === false) embeds.push(`${PHOTO_CHECK}:item_photos(id)`);
+  if (locationId !== undefined && locationId !== null) embeds.push(`${LOCATION_CHECK}:storage_locations!inner(path)`);
+  if (onLoan === true) embeds.push(`${LOAN_CHECK}:item_loans!inner(returned_at)`);
+  if (onLoan === false) embeds.push(`${LOAN_CHECK}:item_loans(returned_at)`);
+  return embeds.join(', ');
+};
+
+const withoutFilterEmbeds = (rows) => rows.map(({
+  [PHOTO_CHECK]: _photos,
+  [LOCATION_CHECK]: _location,
+  [LOAN_CHECK]: _loan,
+  ...row
+}) => row);
+
+/**
+ * Applies the shared list filters to an items query. Only owned items are
+ * included unless `status` says otherwise, and trashed items only with `trashed`.
+ * @param {Object} query - A Supabase query on items
+ * @param {Object} filters - See listItems
+ * @returns {Object} The filtered query
+ */
+const applyItemFilters = (query, {
+  status = ITEM_STATUS.OWNED,
+  userId,
+  collectionId,
+  excludeCollectionId,
+  shared,
+  ids,
+  category,
+  categories,
+  conditions,
+  search,
+  identifiers,
+  valueRanges,
+  createdAfter,
+  createdBefore,
+  brand,
+  hasPhotos,
+  tags,
+  locationId,
+  onLoan,
+  trashed = false,
+}) => {
+  let filtered = query;
+  filtered = trashed ? filtered.not('deleted_at', 'is', null) : filtered.is('deleted_at', null);
+  if (status) filtered = filtered.eq('status', status);
+  if (userId) filtered = filtered.eq('user_id', userId);
+  if (collectionId !== undefined) {
+    filtered = collectionId === null
+      ? filtered.is('collection_id', null)
+      : filtered.eq('collection_id', collectionId);
+  }
+  if (excludeCollectionId !== undefined && excludeCollectionId !== null) {
+    // Items without a collection are kept too
+    filtered = filtered.or(`collection_id.is.null,collection_id.neq.${excludeCollectionId}`);
+  }
+  if (shared !== undefined) filtered = filtered.eq('is_shared', shared);
+  if (ids) filtered = filtered.in('id', ids);
+  if (category) filtered = filtered.eq('category', category);
+  if (categories && categories.length > 0) filtered = filtered.in('category', categories);
+  if (conditions && conditions.length > 0) filtered = filtered.in('condition', conditions);
+  if (search && search.trim()) {
+    const pattern = likePattern(search.trim());
+    const matches = [`name.ilike.${pattern}`, `brand.ilike.${pattern}`];
+    // Barcode-like searches also match the normalized identifiers
+    if (identifiers && identifiers.length > 0) matches.push(`identifiers.ov.{${identifiers.join(',')}}`);
+    filtered = filtered.or(matches.join(','));
+  }
+  if (valueRanges && valueRanges.length > 0) {
+    // Values are stored in each item's own currency, so each currency gets its own bounds
+    const ranges = valueRanges.map(({ currency, min, max }) => {
+      const conditions = [`currency.eq.${currency}`];
+      if (min !== null && min !== undefined) conditions.push(`value.gte.${min}`);
+      if (max !== null && max !== undefined) conditions.push(`value.lte.${max}`);
+      return `and(${conditions.join(',')})`;
+    });
+    filtered = filtered.or(ranges.join(','));
+  }
+  if (createdAfter) filtered = filtered.gte('created_at', createdAfter);
+  if (createdBefore) filtered = filtered.lt('created_at', createdBefore);
+  if (brand && brand.trim()) filtered = filtered.ilike('brand', `%${brand.trim()}%`);
+  if (tags && tags.length > 0) filtered = filtered.contains('tags', tags);
+  // The embed from selectColumns is inner-joined for true; for false, keep rows where it's empty
+  if (hasPhotos === false) filtered = filtered.is(PHOTO_CHECK, null);
+  // Inner-joined too: the item's location has to be this one or inside it
+  if (locationId !== undefined && locationId !== null) filtered = filtered.contains(`${LOCATION_CHECK}.path`, [locationId]);
+  // Only active loans count; like hasPhotos, false keeps rows where the embed is empty
+  if (onLoan === true || onLoan === false) filtered = filtered.is(`${LOAN_CHECK}.returned_at`, null);
+  if (onLoan === false) filtered = filtered.is(LOAN_CHECK, null);
+  return filtered;
+};
+
+// Sort orders for paged lists. Ties are broken by id in the same direction;
+// empty values (no value set) always go last.
+export const ITEM_SORTS = {
+  newest: { column: 'created_at', ascending: false },
+  oldest: { column: 'created_at', ascending: true },
+  value_desc: { column: 'value', ascending: false },
+  value_asc: { column: 'value', ascending: true },
+  name_asc: { column: 'name', ascending: true },
+  updated: { column: 'updated_at', ascending: false },
+};
+
+/**
+ * Cursor pointing just after an item in a sort order
+ * @param {Item} item - The last item of a page
+ * @param {string} [sort='newest'] - An ITEM_SORTS key
+ * @returns {string}
+ */
+export const itemCursor = (item, sort = 'newest') => {
+  const { column } = ITEM_SORTS[sort] || ITEM_SORTS.newest;
+  return `${item[column] ?? ''}|${item.id}`;
+};
+
+const parseCursor = (cursor) => {
+  const separator = cursor.lastIndexOf('|');
+  return { value: cursor.slice(0, separator), id: cursor.slice(separator + 1) };
+};
+
+/**
+ * Whether an item comes after a cursor in newest-first order (ties on
+ * created_at are broken by id, highest first)
+ * @param {Item} item - The item
+ * @param {string} cursor - From itemCursor
+ * @returns {boolean}
+ */
+export const isAfterCursor = (item, cursor) => {
+  const { value: createdAt, id } = parseCursor(cursor);
+  const itemCreatedAt = item.created_at || '';
+  if (itemCreatedAt !== createdAt) return itemCreatedAt < createdAt;
+  const itemId = String(item.id);
+  return Number.isNaN(Number(itemId)) || Number.isNaN(Number(id))
+    ? itemId < id
+    : Number(itemId) < Number(id);
+};
+
+/**
+ * Lists items. Pass `userId` for "my items" - without it, RLS also returns
+ * other users' shared items.
+ * @param {Object} [options]
+ * @param {'owned'|'wanted'|null} [options.status='owned'] - Owned or wishlist items; null for both
+ * @param {string} [options.userId] - Only items owned by this user
+ * @param {number|null} [options.collectionId] - Only items in this collection (null for none)
+ * @param {number} [options.excludeCollectionId] - Leave out items in this collection
+ * @param {boolean} [options.shared] - Only shared (true) or private (false) items
+ * @param {Array<number>} [options.ids] - Only these items
+ * @param {number} [options.locationId] - Only items kept in this location or anywhere inside it
+ * @param {boolean} [options.onLoan] - Only items lent out (true) or at home (false)
+ * @param {boolean} [options.trashed=false] - Only items in the trash, instead of none of them
+ * @param {string} [options.columns='*'] - Columns to select
+ * @param {string} [options.orderBy='created_at'] - Sort column
+ * @param {boolean} [options.ascending=false] - Sort direction
+ * @param {number} [options.limit] - Maximum number of items
+ * @param {boolean} [options.withPhotos=false] - Add a `photos` array of URLs to each item
+ * @returns {Promise<Array<Item>>}
+ */
+export const listItems = async ({
+  columns = '*',
+  orderBy = 'created_at',
+  ascending = false,
+  limit,
+  withPhotos = false,
+  ...filters
+} = {}) => {
+  let query = applyItemFilters(supabase.from('items').select(selectColumns(columns, filters)), filters)
+    // Rows with an empty sort column (e.g. no value) go last either way
+    .order(orderBy, { ascending, nullsFirst: false });
+  if (limit) query = query.limit(limit);
+
+  const items = withoutFilterEmbeds(unwrap(await query, 'items.listItems') || []);
+  return withPhotos ? withPhotoUrls(items) : items;
+};
+
+/**
+ * Restricts a query to the rows after a cursor and orders it
+ * @param {Object} query - A Supabase query on items
+ * @param {string} sort - An ITEM_SORTS key
+ * @param {string|null} cursor - From itemCursor with the same sort
+ * @returns {Object} The query
+ */
+const applyKeyset = (query, sort, cursor) => {
+  const { column, ascending } = ITEM_SORTS[sort] || ITEM_SORTS.newest;
+  const op = ascending ? 'gt' : 'lt';
+  let paged = query;
+
+  if (cursor) {
+    const { value: after, id } = parseCursor(cursor);
+    if (Number.isNaN(Number(id))) {
+      // Cursors from the offline cache can end on an unsynced item
+      paged = paged[op](column, after);
+    } else if (after === '') {
+      // Already into the rows without a value
+      paged = paged.is(column, null)[op]('id', id);
+    } else {
+      paged = paged.or(
+        `${column}.${op}.${quoteValue(after)},and(${column}.eq.${quoteValue(after)},id.${op}.${id}),${column}.is.null`
+      );
+    }
+  }
+  return paged
+    .order(column, { ascending, nullsFirst: false })
+    .order('id', { ascending });
+};
+
+/**
+ * Lists one page of items. Pages are cut on (sort column, id) rather than
+ * offsets, so rows added while scrolling don't shift later pages.
+ * @param {Object} [options] - The filters listItems takes, plus:
+ * @param {string|null} [options.cursor] - nextCursor of the previous page; omit for the first page
+ * @param {number} [options.pageSize=PAGE_SIZE] - Items per page
+ * @param {string} [options.sort='newest'] - An ITEM_SORTS key
+ * @param {string} [options.columns='*'] - Columns to select (must include id and the sort column)
+ * @param {boolean} [options.withPhotos=false] - Add a `photos` array of URLs to each item
+ * @param {string} [options.category] - Only items in this category
+ * @param {Array<string>} [options.categories] - Only items in one of these categories
+ * @param {Array<string>} [options.conditions] - Only items in one of these conditions
+ * @param {string} [options.search] - Matches name or brand
+ * @param {Array<string>} [options.identifiers] - With `search`, also match these normalized barcodes
+ * @param {Array<{currency: string, min: number|null, max: number|null}>} [options.valueRanges] - Only
+ *   items whose value falls in the range for their currency; items in other currencies are left out
+ * @param {string} [options.createdAfter] - Only items added at or after this time (ISO)
+ * @param {string} [options.createdBefore] - Only items added before this time (ISO)
+ * @param {string} [options.brand] - Only items whose brand contains this
+ * @param {boolean} [options.hasPhotos] - Only items with (true) or without (false) photos
+ * @param {Array<string>} [options.tags] - Only items with all of these tags
+ * @param {number} [options.locationId] - Only items kept in this location or anywhere inside it
+ * @param {boolean} [options.onLoan] - Only items lent out (true) or at home (false)
+ * @returns {Promise<{items: Array<Item>, nextCursor: string|null}>} nextCursor is null on the last page
+ */
+export const listItemsPage = async ({
+  cursor = null,
+  pageSize = PAGE_SIZE,
+  sort = 'newest',
+  columns = '*',
+  withPhotos = false,
+  ...filters
+} = {}) => {
+  const query = applyKeyset(
+    applyItemFilters(supabase.from('items').select(selectColumns(columns, filters)), filters),
+    sort,
+    cursor
+  )
+    // One extra row tells us whether there's another page
+    .limit(pageSize + 1);
+
+  const rows = withoutFilterEmbeds(unwrap(await query, 'items.listItemsPage') || []);
+  const pageItems = rows.slice(0, pageSize);
+  const nextCursor = rows.length > pageSize ? itemCursor(pageItems[pageItems.length - 1], sort) : null;
+  return { items: withPhotos ? await withPhotoUrls(pageItems) : pageItems, nextCursor };
+};
+
+// Starts a search_items call; empty identifiers are left out so the RPC's default applies
+const searchRpc = (query, identifiers, options) => supabase.rpc(
+  'search_items',
+  {
+    search_query: query.trim(),
+    ...(identifiers && identifiers.length > 0 ? { identifier_terms: identifiers } : {}),
+  },
+  options
+);
+
+/**
+ * Full-text search. Each word of the query matches as a prefix across name,
+ * brand, notes, category and tags; close misspellings also match (trigram
+ * similarity). The search_items RPC finds the matches, best first; the usual
+ * filters and sorts are applied on top of it.
+ * @param {Object} options - The filters listItemsPage takes (except `search`), plus:
+ * @param {string} options.query - What the user typed
+ * @param {Array<string>} [options.identifiers] - Also match these normalized barcodes
+ * @param {string} [options.sort='relevance'] - 'relevance' or an ITEM_SORTS key
+ * @param {string|null} [options.cursor] - nextCursor of the previous page; omit for the first page
+ * @param {number} [options.pageSize=PAGE_SIZE] - Items per page
+ * @param {string} [options.columns='*'] - Columns to select
+ * @param {boolean} [options.withPhotos=false] - Add a `photos` array of URLs to each item
+ * @returns {Promise<{items: Array<Item>, nextCursor: string|null, total?: number}>} `total` is
+ *   counted with the first page; nextCursor is null on the last page
+ */
+export const searchItems = async ({
+  query,
+  identifiers,
+  sort = 'relevance',
+  cursor = null,
+  pageSize = PAGE_SIZE,
+  columns = '*',
+  withPhotos = false,
+  ...filters
+}) => {
+  if (!query || !query.trim()) return { items: [], nextCursor: null, total: 0 };
+
+  let request = applyItemFilters(
+    searchRpc(query, identifiers, cursor ? undefined : { count: 'exact' })
+      .select(selectColumns(columns, filters)),
+    filters
+  );
+
+  // Relevance isn't a column, so it pages by offset over the RPC's own order
+  const offset = sort === 'relevance' && cursor ? Number(cursor) : 0;
+  request = sort === 'relevance'
+    ? request.range(offset, offset + pageSize)
+    : applyKeyset(request, sort, cursor).limit(pageSize + 1);
+
+  const { data, count, error } = await request;
+  const rows = withoutFilterEmbeds(unwrap({ data, error }, 'items.searchItems') || []);
+  const pageItems = rows.slice(0, pageSize);
+  let nextCursor = null;
+  if (rows.length > pageSize) {
+    nextCursor = sort === 'relevance'
+      ? String(offset + pageSize)
+      : itemCursor(pageItems[pageItems.length - 1], sort);
+  }
+
+  return {
+    items: withPhotos ? await withPhotoUrls(pageItems) : pageItems,
+    nextCursor,
+    ...(cursor ? {} : { total: count || 0 }),
+  };
+};
+
+/**
+ * Counts items without fetching them
+ * @param {Object} [filters] - Same filters as listItemsPage, plus:
+ * @param {string} [filters.query] - Count searchItems matches instead
+ * @param {Array<string>} [filters.identifiers] - With `query`, also match these normalized barcodes
+ * @returns {Promise<number>}
+ */
+export const countItems = async ({ query, identifiers, ...filters } = {}) => {
+  const columns = selectColumns('id', filters);
+  const source = query && query.trim()
+    ? searchRpc(query, identifiers, { count: 'exact', head: true }).select(columns)
+    : supabase.from('items').select(columns, { count: 'exact', head: true });
+  const { count, error } = await applyItemFilters(source, filters);
+  unwrap({ data: null, error }, 'items.countItems');
+  return count || 0;
+};
+
+/**
+ * Finds the user's items carrying a barcode, newest first. Matches the normalized
+ * identifiers, or the "Barcode: ..." note older items were saved with.
+ * @param {string} userId - The owner
+ * @param {string} code - The barcode
+ * @param {Object} [options]
+ * @param {string} [options.columns='*'] - Columns to select
+ * @param {number} [options.limit=1] - Maximum number of items
+ * @returns {Promise<Array<Item>>}
+ */
+export const findItemsByBarcode = async (userId, code, { columns = '*', limit = 1 } = {}) => unwrap(
+  await supabase
+    .from('items')
+    .select(columns)
+    .eq('user_id', userId)
+    .is('deleted_at', null)
+    .or(`identifiers.cs.{${code}},notes.ilike."%Barcode: ${code}%"`)
+    .order('created_at', { ascending: false })
+    .limit(limit),
+  'items.findItemsByBarcode'
+) || [];
+
+/**
+ * Inserts a new item or updates an existing one. Text fields are sanitized here,
+ * so callers pass raw form values.
+ * Photos are attached separately with attachPhotos.
+ * @param {Partial<Item>} item - Column values; include `id` to update
+ * @param {Object} [options]
+ * @param {string} [options.expectedUpdatedAt] - Only update if the row still has this
+ *   updated_at, i.e. nobody else changed it since it was read
+ * @returns {Promise<Item|null>} The saved row, or null if expectedUpdatedAt didn't match
+ */
+export const saveItem = async (item, { expectedUpdatedAt } = {}) => {
+  const { id, collections, photos, acquisition, ...fields } = item;
+  const sanitized = sanitizeItemFields(fields);
+
+  let saved;
+  if (id) {
+    let query = supabase.from('items').update(sanitized).eq('id', id);
+    if (expectedUpdatedAt) query = query.eq('updated_at', expectedUpdatedAt);
+    saved = unwrap(await query.select().maybeSingle(), 'items.saveItem');
+  } else {
+    saved = unwrap(
+      await supabase.from('items').insert([{ identifiers: [], ...sanitized }]).select().single(),
+      'items.saveItem'
+    );
+  }
+  clearPageCache();
+  return saved;
+};
+
+/**
+ * Inserts several new items in one request
+ * @param {Array<Partial<Item>>} items - Column values for each item
+ * @returns {Promise<Array<Item>>} The saved rows, in the order they were given
+ */
+export const saveItems = async (items) => {
+  if (!items || items.length === 0) return [];
+
+  // Fetched-only fields (id, joined collection, photo URLs, acquisition) are never written
+  const rows = items.map(({ id, collections, photos, acquisition, ...fields }) => ({
+    identifiers: [],
+    ...sanitizeItemFields(fields),
+  }));
+  const data = unwrap(await supabase.from('items').insert(rows).select(), 'items.saveItems') || [];
+  if (data.length !== rows.length) {
+    throw new Error('Items were not saved properly');
+  }
+  clearPageCache();
+  return data;
+};
+
+/**
+ * Applies the same changes to several items
+ * @param {Array<number>} itemIds - The items to update
+ * @param {Partial<Item>} changes - Column values to set
+ * @returns {Promise<Array<Item>>} The updated rows
+ */
+export const updateItems = async (itemIds, changes) => {
+  if (!itemIds || itemIds.length === 0) return [];
+  const updated = unwrap(
+    await supabase.from('items').update(sanitizeItemFields(changes)).in('id', itemIds).select(),
+    'items.updateItems'
+  ) || [];
+  clearPageCache();
+  return updated;
+};
+
+/**
+ * Moves an item to the trash. Its photos and receipt are kept so it can be
+ * restored; they're removed when it's deleted for good.
+ * @param {number} itemId - The item ID
+ * @param {Object} [options]
+ * @param {string} [options.expectedUpdatedAt] - Only trash it if the row still has this updated_at
+ * @returns {Promise<Item|null>} The trashed row, or null if it's gone, already trashed or
+ *   expectedUpdatedAt didn't match
+ */
+export const trashItem = async (itemId, { expectedUpdatedAt } = {}) => {
+  let query = supabase
+    .from('items')
+    .update({ deleted_at: new Date().toISOString() })
+    .eq('id', itemId)
+    .is('deleted_at', null);
+  if (expectedUpdatedAt) query = query.eq('updated_at', expectedUpdatedAt);
+  const trashed = unwrap(await query.select().maybeSingle(), 'items.trashItem');
+  clearPageCache();
+  return trashed;
+};
+
+/**
+ * Takes an item out of the trash
+ * @param {number} itemId - The item ID
+ * @returns {Promise<Item|null>} The restored row, or null if it's no longer in the trash
+ */
+export const restoreItem = async (itemId) => {
+  const restored = unwrap(
+    await supabase
+      .from('items')
+      .update({ deleted_at: null })
+      .eq('id', itemId)
+      .not('deleted_at', 'is', null)
+      .select()
+      .maybeSingle(),
+    'items.restoreItem'
+  );
+  clearPageCache();
+  return restored;
+};
+
+/**
+ * Deletes an item for good, along with its photo records and stored photo
+ * files, its copies' photos included. The app trashes items instead (see
+ * trashItem); this is for emptying the trash.
+ * @param {number} itemId - The item ID
+ * @param {Object} [options]
+ * @param {string} [options.expectedUpdatedAt] - Only delete if the row still has this updated_at
+ * @returns {Promise<{deleted: boolean, removedPhotos: number}>}
+ */
+export const deleteItemCascade = async (itemId, { expectedUpdatedAt } = {}) => {
+  // Read the photos and receipt first - their rows go with the item
+  const [links, receiptPath, copyPhotoPaths] = await Promise.all([
+    getPhotoLinks(itemId),
+    getReceiptPath(itemId),
+    getCopyPhotoPaths(itemId),
+  ]);
+
+  let query = supabase.from('items').delete().eq('id', itemId);
+  if (expectedUpdatedAt) query = query.eq('updated_at', expectedUpdatedAt);
+  const deletedRows = unwrap(await query.select('id'), 'items.deleteItemCascade') || [];
+
+  if (deletedRows.length === 0) {
+    return { deleted: false, removedPhotos: 0 };
+  }
+  clearPageCache();
+
+  await deletePhotos(links);
+  await removeStorageObjects(copyPhotoPaths);
+  await removeReceipts([receiptPath]);
+  return { deleted: true, removedPhotos: links.length };
+};
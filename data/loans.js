@@ -0,0 +1,127 @@
+// data/loans.js
+import { supabase } from '../lib/supabase';
+import { sanitizeString } from '../utils/inputValidation';
+import { unwrap } from './errors';
+
+/**
+ * An item lent to someone. A loan is active until it's returned, and an item
+ * has at most one active loan (see 022_item_loans.sql). Loans are visible to
+ * the lender and to a linked borrower.
+ * @typedef {Object} ItemLoan
+ * @property {number} id
+ * @property {number} item_id
+ * @property {string} user_id - The lender
+ * @property {string} borrower_name
+ * @property {string|null} borrower_id - The borrower's account, when they use the app
+ * @property {string} lent_on - yyyy-MM-dd
+ * @property {string|null} due_on - yyyy-MM-dd; null for open-ended loans
+ * @property {string|null} returned_at - Null while the item is out
+ * @property {string|null} notes
+ * @property {string} created_at
+ * @property {string} updated_at
+ * @property {{id: number, name: string}} [item] - Present from listActiveLoans
+ */
+
+const sanitizeLoanFields = (fields) => {
+  const { id, item_id, user_id, created_at, updated_at, item, ...sanitized } = fields;
+  if (typeof sanitized.borrower_name === 'string') sanitized.borrower_name = sanitizeString(sanitized.borrower_name).trim();
+  if (typeof sanitized.notes === 'string') sanitized.notes = sanitizeString(sanitized.notes).trim() || null;
+  if (sanitized.due_on === '') sanitized.due_on = null;
+  return sanitized;
+};
+
+/**
+ * The loan an item is out on, if any
+ * @param {number} itemId - The item ID
+ * @returns {Promise<ItemLoan|null>}
+ */
+export const getActiveLoan = async (itemId) => unwrap(
+  await supabase
+    .from('item_loans')
+    .select('*')
+    .eq('item_id', itemId)
+    .is('returned_at', null)
+    .maybeSingle(),
+  'loans.getActiveLoan'
+);
+
+/**
+ * An item's loans, the latest first
+ * @param {number} itemId - The item ID
+ * @returns {Promise<Array<ItemLoan>>}
+ */
+export const listLoans = async (itemId) => unwrap(
+  await supabase
+    .from('item_loans')
+    .select('*')
+    .eq('item_id', itemId)
+    .order('lent_on', { ascending: false })
+    .order('id', { ascending: false }),
+  'loans.listLoans'
+) || [];
+
+/**
+ * Everything a user has lent out and not got back, soonest due first
+ * (open-ended loans last), with each item's name
+ * @param {string} userId - The lender
+ * @returns {Promise<Array<ItemLoan>>}
+ */
+export const listActiveLoans = async (userId) => {
+  if (!userId) return [];
+  return unwrap(
+    await supabase
+      .from('item_loans')
+      .select('*, item:items(id, name)')
+      .eq('user_id', userId)
+      .is('returned_at', null)
+      .order('due_on', { ascending: true, nullsFirst: false }),
+    'loans.listActiveLoans'
+  ) || [];
+};
+
+/**
+ * Lends an item. Fails with a unique violation (23505) if it's already out.
+ * @param {number} itemId - The item ID
+ * @param {{borrower_name: string, borrower_id?: string|null, lent_on?: string, due_on?: string|null, notes?: string}} loan
+ * @returns {Promise<ItemLoan>} The new loan
+ */
+export const lendItem = async (itemId, loan) => unwrap(
+  await supabase
+    .from('item_loans')
+    .insert([{ item_id: itemId, ...sanitizeLoanFields(loan) }])
+    .select()
+    .single(),
+  'loans.lendItem'
+);
+
+/**
+ * Changes a loan's borrower, dates or notes
+ * @param {number} loanId - The loan ID
+ * @param {Partial<ItemLoan>} changes
+ * @returns {Promise<ItemLoan>} The updated loan
+ */
+export const updateLoan = async (loanId, changes) => unwrap(
+  await supabase
+    .from('item_loans')
+    .update(sanitizeLoanFields(changes))
+    .eq('id', loanId)
+    .select()
+    .single(),
+  'loans.updateLoan'
+);
+
+/**
+ * Marks a loan as returned now; it stays in the item's loan history
+ * @param {number} loanId - The loan ID
+ * @returns {Promise<ItemLoan>} The updated loan
+ */
+export const returnLoan = (loanId) => updateLoan(loanId, { returned_at: new Date().toISOString() });
+
+/**
+ * Deletes a loan, e.g. one entered by mistake
+ * @param {number} loanId - The loan ID
+ * @returns {Promise<void>}
+ */
+export const deleteLoan = async (loanId) => {
+  unwrap(await supabase.from('item_loans').delete().eq('id', loanId), 'loans.deleteLoan');
+};
@@ -0,0 +1,90 @@
+// data/locations.js
+import { supabase } from '../lib/supabase';
+import { sanitizeString } from '../utils/inputValidation';
+import { unwrap } from './errors';
+import { clearPageCache } from './pageCache';
+
+/**
+ * Somewhere the user keeps items: a room, a cabinet in it, a box on its
+ * shelf... Only the owner can see their locations.
+ * @typedef {Object} StorageLocation
+ * @property {number} id
+ * @property {string} user_id
+ * @property {number|null} parent_id - The location it's inside; null at the top level
+ * @property {string} name - Unique among its siblings
+ * @property {string} kind - A LOCATION_KINDS value from utils/locations.js
+ * @property {string|null} notes
+ * @property {Array<number>} path - Ids from the top-level location down to this one
+ * @property {string} created_at
+ * @property {string} updated_at
+ */
+
+const sanitizeLocationFields = (fields) => {
+  const { id, user_id, path, created_at, updated_at, ...sanitized } = fields;
+  if (typeof sanitized.name === 'string') sanitized.name = sanitizeString(sanitized.name).trim();
+  if (typeof sanitized.notes === 'string') sanitized.notes = sanitizeString(sanitized.notes).trim() || null;
+  if (sanitized.parent_id === '') sanitized.parent_id = null;
+  return sanitized;
+};
+
+/**
+ * Lists a user's locations; utils/locations.js turns them into a tree
+ * @param {string} userId - The owner
+ * @returns {Promise<Array<StorageLocation>>}
+ */
+export const listLocations = async (userId) => {
+  if (!userId) return [];
+  return unwrap(
+    await supabase
+      .from('storage_locations')
+      .select('*')
+      .eq('user_id', userId)
+      .order('name', { ascending: true }),
+    'locations.listLocations'
+  ) || [];
+};
+
+/**
+ * Adds a location for the signed-in user (user_id defaults to auth.uid())
+ * @param {{name: string, kind?: string, parent_id?: number|null, notes?: string}} location
+ * @returns {Promise<StorageLocation>} The new location
+ */
+export const createLocation = async (location) => unwrap(
+  await supabase
+    .from('storage_locations')
+    .insert([sanitizeLocationFields(location)])
+    .select()
+    .single(),
+  'locations.createLocation'
+);
+
+/**
+ * Renames or moves a location. Moving it takes everything inside it along.
+ * @param {number} locationId - The location ID
+ * @param {Partial<StorageLocation>} changes
+ * @returns {Promise<StorageLocation>} The updated location
+ */
+export const updateLocation = async (locationId, changes) => unwrap(
+  await supabase
+    .from('storage_locations')
+    .update(sanitizeLocationFields(changes))
+    .eq('id', locationId)
+    .select()
+    .single(),
+  'locations.updateLocation'
+);
+
+/**
+ * Deletes a location and every location inside it. Their items are kept
+ * without a location.
+ * @param {number} locationId - The location ID
+ * @returns {Promise<void>}
+ */
+export const deleteLocation = async (locationId) => {
+  unwrap(
+    await supabase.from('storage_locations').delete().eq('id', locationId),
+    'locations.deleteLocation'
+  );
+  // Lists filtered by the location are stale now
+  clearPageCache();
+};
@@ -0,0 +1,55 @@
+// data/notifications.js
+import { supabase } from '../lib/supabase';
+import { unwrap } from './errors';
+
+/**
+ * @typedef {Object} Notification
+ * @property {number} id
+ * @property {string} user_id - The recipient
+ * @property {string} type - 'info', 'success', ...
+ * @property {string} title
+ * @property {string|null} message
+ * @property {boolean} read
+ * @property {string|null} action - What tapping it opens: feature, item, collection or post
+ * @property {Object} actionData - Parameters for the action (e.g. `itemId`)
+ * @property {string} created_at
+ */
+
+/**
+ * Lists a user's notifications, newest first
+ * @param {string} userId - The recipient
+ * @returns {Promise<Array<Notification>>}
+ */
+export const listNotifications = async (userId) => unwrap(
+  await supabase
+    .from('notifications')
+    .select('*')
+    .eq('user_id', userId)
+    .order('created_at', { ascending: false }),
+  'notifications.listNotifications'
+) || [];
+
+/**
+ * Marks notifications as read
+ * @param {Array<number>} notificationIds - The notifications to mark
+ * @returns {Promise<void>}
+ */
+export const markNotificationsRead = async (notificationIds) => {
+  if (!notificationIds || notificationIds.length === 0) return;
+  unwrap(
+    await supabase.from('notifications').update({ read: true }).in('id', notificationIds),
+    'notifications.markNotificationsRead'
+  );
+};
+
+/**
+ * Deletes a notification
+ * @param {number} notificationId - The notification ID
+ * @returns {Promise<void>}
+ */
+export const deleteNotification = async (notificationId) => {
+  unwrap(
+    await supabase.from('notifications').delete().eq('id', notificationId),
+    'notifications.deleteNotification'
+  );
+};
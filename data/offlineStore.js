@@ -0,0 +1,202 @@
+// data/offlineStore.js
+// Local mirror of the user's items and collections, persisted in AsyncStorage so
+// the item screens work without a connection. Changes waiting in the sync queue
+// are laid over the server data, so unsynced edits never disappear from view.
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { listItems, isAfterCursor, itemCursor } from './items';
+import { listCollections } from './collections';
+import { ACQUISITION_EMBED } from './acquisitions';
+import { ITEM_STATUS } from '../utils/wishlist';
+
+const STORE_KEY_PREFIX = 'offline_store:';
+
+/**
+ * @typedef {Object} OfflineStore
+ * @property {Object<string, import('./items').Item>} items - Item ID -> item (with `photos`, `collections` and `acquisition`)
+ * @property {Array<import('./collections').Collection>} collections
+ * @property {string|null} syncedAt - When the mirror was last refreshed from the server
+ */
+
+const emptyStore = () => ({ items: {}, collections: [], syncedAt: null });
+
+// Reads are frequent, so keep the parsed store in memory per user
+const memoryStores = new Map();
+
+/**
+ * Loads the user's store from memory or AsyncStorage
+ * @param {string} userId - The owner
+ * @returns {Promise<OfflineStore>}
+ */
+export const loadStore = async (userId) => {
+  if (!userId) return emptyStore();
+  if (memoryStores.has(userId)) return memoryStores.get(userId);
+
+  let store = emptyStore();
+  try {
+    const stored = await AsyncStorage.getItem(`${STORE_KEY_PREFIX}${userId}`);
+    if (stored) store = { ...store, ...JSON.parse(stored) };
+  } catch (error) {
+    console.error('Error reading offline store:', error);
+  }
+  memoryStores.set(userId, store);
+  return store;
+};
+
+/**
+ * Replaces the user's store in memory and AsyncStorage
+ * @param {string} userId - The owner
+ * @param {OfflineStore} store - The new store
+ * @returns {Promise<void>}
+ */
+const saveStore = async (userId, store) => {
+  memoryStores.set(userId, store);
+  try {
+    await AsyncStorage.setItem(`${STORE_KEY_PREFIX}${userId}`, JSON.stringify(store));
+  } catch (error) {
+    console.error('Error writing offline store:', error);
+  }
+};
+
+/**
+ * Applies a change to the user's store and persists it
+ * @param {string} userId - The owner
+ * @param {function(OfflineStore): OfflineStore} update - Returns the new store
+ * @returns {Promise<OfflineStore>}
+ */
+export const updateStore = async (userId, update) => {
+  const store = update(await loadStore(userId));
+  await saveStore(userId, store);
+  return store;
+};
+
+/**
+ * Applies a queued operation to a store, marking touched items as `pendingSync`
+ * @param {OfflineStore} store - The store to change
+ * @param {import('./syncQueue').SyncOperation} operation - The queued operation
+ * @returns {OfflineStore}
+ */
+export const applyOperation = (store, operation) => {
+  const items = { ...store.items };
+  const key = String(operation.itemId);
+
+  if (operation.type === 'delete') {
+    delete items[key];
+  } else {
+    const collection = store.collections.find(c => c.id === operation.changes.collection_id);
+    const base = items[key] || { id: operation.itemId, created_at: operation.queuedAt, photos: [] };
+    items[key] = {
+      ...base,
+      ...operation.changes,
+      ...(operation.photoUris ? { photos: operation.photoUris } : {}),
+      ...('collection_id' in operation.changes
+        ? { collections: collection ? { name: collection.name, icon: collection.icon } : null }
+        : {}),
+      pendingSync: true,
+    };
+  }
+  return { ...store, items };
+};
+
+/**
+ * Reloads the mirror from Supabase, then re-applies operations still waiting to sync
+ * @param {string} userId - The owner
+ * @param {Array<import('./syncQueue').SyncOperation>} pendingOperations - The user's sync queue
+ * @returns {Promise<OfflineStore>} Throws if the server can't be reached
+ */
+export const refreshStore = async (userId, pendingOperations = []) => {
+  const [items, collections] = await Promise.all([
+    // Wishlist items too; getCachedItems tells them apart
+    listItems({ userId, status: null, columns: `*, collections(name, icon), ${ACQUISITION_EMBED}`, withPhotos: true }),
+    listCollections(userId),
+  ]);
+
+  const fresh = {
+    items: Object.fromEntries(items.map(item => [String(item.id), item])),
+    collections,
+    syncedAt: new Date().toISOString(),
+  };
+  const store = pendingOperations.reduce(applyOperation, fresh);
+  await saveStore(userId, store);
+  return store;
+};
+
+/**
+ * Replaces one item in the mirror with its server copy (or removes it)
+ * @param {string} userId - The owner
+ * @param {string|number} itemId - The item ID
+ * @param {import('./items').Item|null} serverItem - Server copy, with `photos`; null if it's gone
+ * @returns {Promise<void>}
+ */
+export const putCachedItem = async (userId, itemId, serverItem) => {
+  // A trashed item leaves the mirror like a deleted one
+  const item = serverItem && !serverItem.deleted_at ? serverItem : null;
+  await updateStore(userId, (store) => {
+    const items = { ...store.items };
+    if (item) {
+      items[String(item.id)] = item;
+    }
+    if (!item || String(item.id) !== String(itemId)) {
+      // Also covers a local ID being replaced by the one Supabase assigned
+      delete items[String(itemId)];
+    }
+    return { ...store, items };
+  });
+};
+
+/**
+ * Saves a page of server items into the mirror, with queued changes laid over them
+ * @param {string} userId - The owner
+ * @param {Array<import('./items').Item>} serverItems - Items just fetched (with `photos`)
+ * @param {Array<import('./syncQueue').SyncOperation>} pendingOperations - The user's sync queue
+ * @returns {Promise<Array<import('./items').Item>>} The page as the user should see it
+ *   (pending edits applied, pending deletes left out)
+ */
+export const mergeCachedItems = async (userId, serverItems, pendingOperations = []) => {
+  const ids = new Set(serverItems.map(item => String(item.id)));
+  const store = await updateStore(userId, (current) => {
+    const items = { ...current.items };
+    serverItems.forEach((item) => {
+      items[String(item.id)] = item;
+    });
+    return pendingOperations
+      .filter(operation => ids.has(String(operation.itemId)))
+      .reduce(applyOperation, { ...current, items });
+  });
+  return serverItems.map(item => store.items[String(item.id)]).filter(Boolean);
+};
+
+/**
+ * Returns the cached items, newest first
+ * @param {string} userId - The owner
+ * @param {Object} [filters]
+ * @param {number} [filters.collectionId] - Only items in this collection
+ * @param {'owned'|'wanted'|null} [filters.status='owned'] - Owned or wishlist items; null for both
+ * @returns {Promise<Array<import('./items').Item>>}
+ */
+export const getCachedItems = async (userId, { collectionId, status = ITEM_STATUS.OWNED } = {}) => {
+  const store = await loadStore(userId);
+  return Object.values(store.items)
+    .filter(item => collectionId === undefined || item.collection_id === collectionId)
+    // Items cached before wishlists existed have no status
+    .filter(item => !status || (item.status || ITEM_STATUS.OWNED) === status)
+    // Same order as listItemsPage, so cursors work on cached items too
+    .sort((a, b) => (isAfterCursor(a, itemCursor(b)) ? 1 : -1));
+};
+
+/**
+ * Returns one cached item
+ * @param {string} userId - The owner
+ * @param {string|number} itemId - The item ID (local IDs are strings)
+ * @returns {Promise<import('./items').Item|null>}
+ */
+export const getCachedItem = async (userId, itemId) => {
+  const store = await loadStore(userId);
+  return store.items[String(itemId)] || null;
+};
+
+/**
+ * Returns the cached collections
+ * @param {string} userId - The owner
+ * @returns {Promise<Array<import('./collections').Collection>>}
+ */
+export const getCachedCollections = async (userId) => (await loadStore(userId)).collections;
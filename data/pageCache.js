@@ -0,0 +1,41 @@
+// data/pageCache.js
+// Pages of item lists kept between visits to a screen (see usePaginatedList).
+// The functions in this folder that write items clear it, so a list opened
+// after a change loads again instead of showing pages from before it.
+
+/**
+ * @typedef {Object} CachedPages
+ * @property {Array<Object>} items - Every item loaded so far
+ * @property {string|null} nextCursor
+ * @property {number|null} total
+ * @property {number} fetchedAt - When the first page was loaded, in ms
+ */
+
+// List key -> CachedPages
+const pages = new Map();
+
+/**
+ * The pages cached for a list
+ * @param {string} key - Identifies the list and its filters
+ * @returns {CachedPages|null}
+ */
+export const getCachedPages = (key) => pages.get(key) || null;
+
+/**
+ * Caches a list's pages
+ * @param {string} key - Identifies the list and its filters
+ * @param {CachedPages} entry
+ */
+export const setCachedPages = (key, entry) => {
+  pages.set(key, entry);
+};
+
+/**
+ * Forgets cached pages, e.g. after signing out or an item write
+ * @param {string} [keyPrefix] - Only forget lists whose key starts with this
+ */
+export const clearPageCache = (keyPrefix = '') => {
+  [...pages.keys()]
+    .filter(key => key.startsWith(keyPrefix))
+    .forEach(key => pages.delete(key));
+};
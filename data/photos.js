@@ -0,0 +1,281 @@
+// data/photos.js
+import { supabase } from '../lib/supabase';
+import { processImage } from '../utils/imageProcessingCache';
+import { normalizeImageUri } from '../utils/uriUtils';
+import { unwrap, toDataError } from './errors';
+
+export const PHOTO_BUCKET = 'item-photos';
+
+// Signed URLs are stored on the images row, so make them long-lived
+const SIGNED_URL_EXPIRY = 60 * 60 * 24 * 365; // 1 year
+
+/**
+ * @typedef {Object} PhotoLink
+ * @property {number} id - item_photos row ID
+ * @property {number} imageId - images row ID
+ * @property {string} url - Signed URL of the photo
+ * @property {string|null} storagePath - Object path inside the item-photos bucket
+ * @property {number} displayOrder - Position of the photo on the item
+ */
+
+/**
+ * Returns the object path inside the item-photos bucket for an images row.
+ * Older rows only have a URL, so fall back to the file name in it.
+ * @param {{storage_path?: string, url?: string}} image - An images row
+ * @returns {string|null}
+ */
+export const storagePathForImage = (image) => {
+  if (image?.storage_path) {
+    return image.storage_path.replace(new RegExp(`^${PHOTO_BUCKET}/`), '');
+  }
+  const fileName = image?.url?.split('?')[0].split('/').pop();
+  return fileName || null;
+};
+
+const toPhotoLink = (row) => ({
+  id: row.id,
+  imageId: row.image_id,
+  url: row.images?.url,
+  storagePath: storagePathForImage(row.images),
+  displayOrder: row.display_order,
+});
+
+/**
+ * Whether a photo URI still points at a file on the device (not yet uploaded)
+ * @param {string} uri - Photo URI or URL
+ * @returns {boolean}
+ */
+export const isLocalPhoto = (uri) => !!uri && !/^https?:\/\//.test(uri);
+
+/**
+ * Resizes a local photo and uploads it to the item-photos bucket
+ * @param {string} uri - Local file URI
+ * @returns {Promise<string>} Signed URL of the uploaded photo
+ */
+export const uploadPhoto = async (uri) => {
+  const normalizedUri = normalizeImageUri(uri);
+  const processedImage = await processImage(normalizedUri, {
+    resize: { width: 1200, height: 1200 },
+    quality: 0.8,
+  });
+
+  const fileExtension = normalizedUri.split('?')[0].split('.').pop() || 'jpg';
+  const fileName = `${Date.now()}.${fileExtension}`;
+
+  unwrap(
+    await supabase.storage
+      .from(PHOTO_BUCKET)
+      .upload(fileName, { uri: processedImage.uri, type: 'image/jpeg' }),
+    'photos.uploadPhoto'
+  );
+
+  const signed = unwrap(
+    await supabase.storage.from(PHOTO_BUCKET).createSignedUrl(fileName, SIGNED_URL_EXPIRY),
+    'photos.uploadPhoto'
+  );
+  return signed.signedUrl;
+};
+
+/**
+ * Fetches the photo links of an item in display order
+ * @param {number} itemId - The item ID
+ * @returns {Promise<Array<PhotoLink>>}
+ */
+export const getPhotoLinks = async (itemId) => {
+  const data = unwrap(
+    await supabase
+      .from('item_photos')
+      .select('id, image_id, display_order, images(id, url, storage_path)')
+      .eq('item_id', itemId)
+      .order('display_order', { ascending: true }),
+    'photos.getPhotoLinks'
+  );
+  return (data || []).map(toPhotoLink);
+};
+
+/**
+ * Fetches the photo URLs of an item in display order
+ * @param {number} itemId - The item ID
+ * @returns {Promise<Array<string>>}
+ */
+export const getItemPhotos = async (itemId) => {
+  const links = await getPhotoLinks(itemId);
+  return links.map(link => link.url).filter(Boolean);
+};
+
+/**
+ * Fetches photo URLs for several items with a single query
+ * @param {Array<number>} itemIds - The item IDs
+ * @returns {Promise<Object<number, Array<string>>>} Item ID -> photo URLs in display order
+ */
+export const getPhotosForItems = async (itemIds) => {
+  if (!itemIds || itemIds.length === 0) return {};
+
+  const data = unwrap(
+    await supabase
+      .from('item_photos')
+      .select('item_id, display_order, images(url)')
+      .in('item_id', itemIds)
+      .order('display_order', { ascending: true }),
+    'photos.getPhotosForItems'
+  );
+
+  const photosByItem = {};
+  itemIds.forEach(id => {
+    photosByItem[id] = [];
+  });
+  (data || []).forEach(photo => {
+    if (!photo.images?.url) return;
+    if (!photosByItem[photo.item_id]) {
+      photosByItem[photo.item_id] = [];
+    }
+    photosByItem[photo.item_id].push(photo.images.url);
+  });
+  return photosByItem;
+};
+
+/**
+ * Creates images rows for uploaded photos and links them to an item
+ * @param {number} itemId - The item ID
+ * @param {Array<{url: string, order: number}>} entries - Uploaded photo URLs with their display order
+ * @param {string} userId - The uploader
+ * @returns {Promise<{attached: number, failed: number}>}
+ */
+const linkUploadedPhotos = async (itemId, entries, userId) => {
+  const imageResults = await Promise.all(entries.map(async ({ url, order }) => {
+    const fileName = url.split('/').pop().split('?')[0];
+    const { data, error } = await supabase
+      .from('images')
+      .insert([{
+        url,
+        storage_path: `${PHOTO_BUCKET}/${fileName}`,
+        file_name: fileName,
+        file_type: fileName.toLowerCase().endsWith('.png') ? 'image/png' : 'image/jpeg',
+        created_by: userId,
+      }])
+      .select('id')
+      .single();
+
+    if (error) {
+      // One bad image shouldn't stop the rest from being linked
+      toDataError(error, 'photos.linkUploadedPhotos');
+      return null;
+    }
+    return { item_id: itemId, image_id: data.id, display_order: order };
+  }));
+
+  const rows = imageResults.filter(Boolean);
+  if (rows.length > 0) {
+    unwrap(await supabase.from('item_photos').insert(rows), 'photos.linkUploadedPhotos');
+  }
+
+  return { attached: rows.length, failed: entries.length - rows.length };
+};
+
+/**
+ * Attaches already uploaded photos to an item, after any photos it has
+ * @param {number} itemId - The item ID
+ * @param {Array<string>} photoUrls - URLs of photos uploaded to the item-photos bucket
+ * @param {string} userId - The uploader
+ * @param {Object} [options]
+ * @param {number} [options.startOrder] - Display order of the first photo (defaults to after the existing ones)
+ * @returns {Promise<{attached: number, failed: number}>} Images that couldn't be recorded are counted in `failed`;
+ *   a failure to link them to the item throws
+ */
+export const attachPhotos = async (itemId, photoUrls, userId, { startOrder } = {}) => {
+  if (!photoUrls || photoUrls.length === 0) return { attached: 0, failed: 0 };
+
+  let firstOrder = startOrder;
+  if (firstOrder === undefined) {
+    const existing = await getPhotoLinks(itemId);
+    firstOrder = existing.length > 0 ? existing[existing.length - 1].displayOrder + 1 : 0;
+  }
+
+  return linkUploadedPhotos(
+    itemId,
+    photoUrls.map((url, index) => ({ url, order: firstOrder + index })),
+    userId
+  );
+};
+
+/**
+ * Removes objects from the item-photos bucket in one request.
+ * Failures are logged rather than thrown - a leftover file shouldn't fail the caller.
+ * @param {Array<string>} paths - Object paths inside the bucket
+ * @returns {Promise<boolean>} Whether the objects were removed
+ */
+export const removeStorageObjects = async (paths) => {
+  const validPaths = (paths || []).filter(Boolean);
+  if (validPaths.length === 0) return true;
+
+  const { error } = await supabase.storage.from(PHOTO_BUCKET).remove(validPaths);
+  if (error) {
+    toDataError(error, 'photos.removeStorageObjects');
+    return false;
+  }
+  return true;
+};
+
+/**
+ * Deletes photo links together with their images rows and stored files
+ * @param {Array<PhotoLink>} links - Links returned by getPhotoLinks
+ * @returns {Promise<void>}
+ */
+export const deletePhotos = async (links) => {
+  if (!links || links.length === 0) return;
+
+  unwrap(
+    await supabase.from('item_photos').delete().in('id', links.map(link => link.id)),
+    'photos.deletePhotos'
+  );
+  unwrap(
+    await supabase.from('images').delete().in('id', links.map(link => link.imageId)),
+    'photos.deletePhotos'
+  );
+  await removeStorageObjects(links.map(link => link.storagePath));
+};
+
+/**
+ * Makes an item's photos match a list of URLs: photos missing from the list are
+ * deleted, new URLs are attached and everything is put in list order
+ * @param {number} itemId - The item ID
+ * @param {Array<string>} photoUrls - The full, ordered list of uploaded photo URLs
+ * @param {string} userId - The uploader of any new photos
+ * @returns {Promise<{attached: number, failed: number, removed: number}>}
+ */
+export const syncItemPhotos = async (itemId, photoUrls, userId) => {
+  const urls = photoUrls || [];
+  const links = await getPhotoLinks(itemId);
+
+  const removedLinks = links.filter(link => !urls.includes(link.url));
+  await deletePhotos(removedLinks);
+
+  const keptLinks = links.filter(link => urls.includes(link.url));
+  const reordered = keptLinks
+    .map(link => ({ link, order: urls.indexOf(link.url) }))
+    .filter(({ link, order }) => link.displayOrder !== order);
+
+  if (reordered.length > 0) {
+    unwrap(
+      await supabase
+        .from('item_photos')
+        .upsert(reordered.map(({ link, order }) => ({
+          id: link.id,
+          item_id: itemId,
+          image_id: link.imageId,
+          display_order: order,
+        }))),
+      'photos.syncItemPhotos'
+    );
+  }
+
+  const keptUrls = keptLinks.map(link => link.url);
+  const newEntries = urls
+    .map((url, order) => ({ url, order }))
+    .filter(({ url }) => !keptUrls.includes(url));
+  const { attached, failed } = newEntries.length > 0
+    ? await linkUploadedPhotos(itemId, newEntries, userId)
+    : { attached: 0, failed: 0 };
+
+  return { attached, failed, removed: removedLinks.length };
+};
@@ -0,0 +1,31 @@
+// data/revisions.js
+import { supabase } from '../lib/supabase';
+import { unwrap } from './errors';
+
+/**
+ * One saved change to an item. Rows are written by a database trigger
+ * whenever an item's fields are updated, so there's nothing to insert from
+ * the app.
+ * @typedef {Object} ItemRevision
+ * @property {number} id
+ * @property {number} item_id
+ * @property {string} user_id - The item's owner
+ * @property {string|null} changed_by - Who saved the change
+ * @property {Object<string, {from: *, to: *}>} changes - The fields that changed
+ * @property {string} created_at
+ */
+
+/**
+ * Lists an item's revisions, newest first
+ * @param {number} itemId - The item ID
+ * @returns {Promise<Array<ItemRevision>>}
+ */
+export const listItemRevisions = async (itemId) => unwrap(
+  await supabase
+    .from('item_revisions')
+    .select('*')
+    .eq('item_id', itemId)
+    .order('created_at', { ascending: false })
+    .order('id', { ascending: false }),
+  'revisions.listItemRevisions'
+) || [];
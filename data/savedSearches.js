@@ -0,0 +1,89 @@
+// data/savedSearches.js
+import { supabase } from '../lib/supabase';
+import { sanitizeString } from '../utils/inputValidation';
+import { unwrap } from './errors';
+import { clearPageCache } from './pageCache';
+
+/**
+ * A search saved as a "smart collection". Its items are whatever currently
+ * matches `filters`; nothing links the items to it.
+ * @typedef {Object} SavedSearch
+ * @property {number} id
+ * @property {string} user_id
+ * @property {string} name
+ * @property {string} icon - Emoji shown next to the name
+ * @property {string} filters - Encoded with encodeFilters (utils/searchFilters.js)
+ * @property {string} created_at
+ * @property {string} updated_at
+ */
+
+/**
+ * Lists a user's saved searches, oldest first
+ * @param {string} userId - The owner
+ * @returns {Promise<Array<SavedSearch>>}
+ */
+export const listSavedSearches = async (userId) => {
+  if (!userId) return [];
+  return unwrap(
+    await supabase
+      .from('saved_searches')
+      .select('*')
+      .eq('user_id', userId)
+      .order('created_at', { ascending: true }),
+    'savedSearches.listSavedSearches'
+  ) || [];
+};
+
+/**
+ * Fetches a single saved search
+ * @param {number} savedSearchId - The saved search ID
+ * @returns {Promise<SavedSearch|null>}
+ */
+export const getSavedSearch = async (savedSearchId) => unwrap(
+  await supabase.from('saved_searches').select('*').eq('id', savedSearchId).maybeSingle(),
+  'savedSearches.getSavedSearch'
+);
+
+/**
+ * Saves a search for the signed-in user (user_id defaults to auth.uid())
+ * @param {{name: string, icon?: string, filters: string}} search - Name, emoji and encoded filters
+ * @returns {Promise<SavedSearch>} The new saved search
+ */
+export const createSavedSearch = async ({ name, icon, filters }) => unwrap(
+  await supabase
+    .from('saved_searches')
+    .insert([{ name: sanitizeString(name), filters, ...(icon ? { icon } : {}) }])
+    .select()
+    .single(),
+  'savedSearches.createSavedSearch'
+);
+
+/**
+ * Renames a saved search or replaces its rule
+ * @param {number} savedSearchId - The saved search ID
+ * @param {Partial<{name: string, icon: string, filters: string}>} changes - Fields to set
+ * @returns {Promise<SavedSearch>} The updated saved search
+ */
+export const updateSavedSearch = async (savedSearchId, changes) => {
+  const fields = { ...changes };
+  if (typeof fields.name === 'string') fields.name = sanitizeString(fields.name);
+  const saved = unwrap(
+    await supabase.from('saved_searches').update(fields).eq('id', savedSearchId).select().single(),
+    'savedSearches.updateSavedSearch'
+  );
+  // The smart collection's pages were loaded with the old rule
+  clearPageCache(`smart:${savedSearchId}:`);
+  return saved;
+};
+
+/**
+ * Deletes a saved search. No items are touched.
+ * @param {number} savedSearchId - The saved search ID
+ * @returns {Promise<void>}
+ */
+export const deleteSavedSearch = async (savedSearchId) => {
+  unwrap(
+    await supabase.from('saved_searches').delete().eq('id', savedSearchId),
+    'savedSearches.deleteSavedSearch'
+  );
+};
@@ -0,0 +1,73 @@
+// data/social.js
+import { supabase } from '../lib/supabase';
+import { unwrap } from './errors';
+
+/**
+ * @typedef {Object} Profile
+ * @property {string} id - The user ID
+ * @property {string|null} username
+ * @property {string|null} avatar_url
+ */
+
+/**
+ * Which of the given items a user has liked
+ * @param {string} userId - The user
+ * @param {Array<number>} itemIds - Items to check
+ * @returns {Promise<Set<number>>} IDs of the liked items
+ */
+export const getLikedItemIds = async (userId, itemIds) => {
+  if (!userId || !itemIds || itemIds.length === 0) return new Set();
+
+  const data = unwrap(
+    await supabase
+      .from('likes')
+      .select('item_id')
+      .eq('user_id', userId)
+      .in('item_id', itemIds),
+    'social.getLikedItemIds'
+  );
+  return new Set((data || []).map(like => like.item_id));
+};
+
+/**
+ * Fetches several profiles in one query
+ * @param {Array<string>} userIds - User IDs (duplicates are fine)
+ * @returns {Promise<Object<string, Profile>>} User ID -> profile; missing profiles are left out
+ */
+export const getProfilesByIds = async (userIds) => {
+  const uniqueIds = [...new Set((userIds || []).filter(Boolean))];
+  if (uniqueIds.length === 0) return {};
+
+  const data = unwrap(
+    await supabase
+      .from('profiles')
+      .select('id, username, avatar_url')
+      .in('id', uniqueIds),
+    'social.getProfilesByIds'
+  );
+  return Object.fromEntries((data || []).map(profile => [profile.id, profile]));
+};
+
+/**
+ * Finds users by part of their username
+ * @param {string} query - What the user typed
+ * @param {Object} [options]
+ * @param {string} [options.excludeUserId] - Leave this user out, usually the signed-in one
+ * @param {number} [options.limit=20]
+ * @returns {Promise<Array<Profile>>}
+ */
+export const searchProfiles = async (query, { excludeUserId, limit = 20 } = {}) => {
+  const text = (query || '').trim();
+  if (!text) return [];
+
+  const data = unwrap(
+    await supabase
+      .from('profiles')
+      .select('id, username, avatar_url')
+      .ilike('username', `%${text.replace(/[%_\\]/g, '\\$&')}%`)
+      .order('username', { ascending: true })
+      .limit(limit),
+    'social.searchProfiles'
+  );
+  return (data || []).filter(profile => profile.id !== excludeUserId);
+};
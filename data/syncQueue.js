@@ -0,0 +1,543 @@
+// data/syncQueue.js
+// Item writes go through this queue so they work offline. Each operation is
+// applied to the local store straight away and replayed to Supabase in order
+// once the server can be reached. Updates and deletes carry the updated_at the
+// user started from; if the row changed on the server since, the operation is
+// parked as a conflict for the user to resolve instead of overwriting it.
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as FileSystem from 'expo-file-system';
+import { ERROR_CATEGORIES } from '../utils/errorHandler';
+import { getItem, saveItem, trashItem, listItemsPage, itemCursor, isAfterCursor, PAGE_SIZE } from './items';
+import { syncItemPhotos, uploadPhoto, isLocalPhoto } from './photos';
+import { saveAcquisition, uploadReceipt, isLocalReceipt, ACQUISITION_EMBED } from './acquisitions';
+import {
+  updateStore,
+  applyOperation,
+  putCachedItem,
+  refreshStore,
+  mergeCachedItems,
+  getCachedItems,
+} from './offlineStore';
+import { clearPageCache } from './pageCache';
+
+const QUEUE_KEY_PREFIX = 'sync_queue:';
+const CONFLICTS_KEY_PREFIX = 'sync_conflicts:';
+const PHOTO_DIRECTORY = `${FileSystem.documentDirectory}offline-photos/`;
+const LOCAL_ID_PREFIX = 'local-';
+
+/**
+ * @typedef {Object} SyncOperation
+ * @property {string} id - Operation ID
+ * @property {'create'|'update'|'delete'} type
+ * @property {string|number} itemId - Server ID, or a local ID for items created offline
+ * @property {Object} changes - Item columns to write (empty for deletes), plus `acquisition`
+ *   for the item's purchase details, which are saved to their own table
+ * @property {Array<string>|null} photoUris - Full photo list (local URIs or uploaded URLs), null if unchanged
+ * @property {string|null} baseUpdatedAt - updated_at of the row the change was made against
+ * @property {number|null} serverId - Set once a create has been inserted, so a retry doesn't insert twice
+ * @property {string} queuedAt
+ * @property {number} attempts
+ * @property {string|null} lastError
+ */
+
+/**
+ * @typedef {Object} SyncConflict
+ * @property {SyncOperation} operation - The local change that couldn't be applied
+ * @property {import('./items').Item|null} serverItem - The server's current copy (null if deleted)
+ * @property {string} reason - 'changed', 'deleted' or 'failed'
+ * @property {string} detectedAt
+ */
+
+const listeners = new Set();
+const flushing = new Map();
+// Operation being replayed right now - it must not be merged into
+const inFlight = new Set();
+// Local ID -> server ID for items created offline that have since synced
+const syncedIds = new Map();
+
+/**
+ * Whether an item ID was assigned on the device and hasn't been synced yet
+ * @param {string|number} itemId - The item ID
+ * @returns {boolean}
+ */
+export const isLocalId = (itemId) => String(itemId).startsWith(LOCAL_ID_PREFIX);
+
+/**
+ * Maps a local ID to the server ID once the item has synced
+ * @param {string|number} itemId - The item ID a screen was given
+ * @returns {string|number} The current ID of the item
+ */
+export const resolveItemId = (itemId) => syncedIds.get(String(itemId)) || itemId;
+
+const readList = async (key) => {
+  try {
+    const stored = await AsyncStorage.getItem(key);
+    return stored ? JSON.parse(stored) : [];
+  } catch (error) {
+    console.error(`Error reading ${key}:`, error);
+    return [];
+  }
+};
+
+const writeList = async (key, list) => {
+  try {
+    await AsyncStorage.setItem(key, JSON.stringify(list));
+  } catch (error) {
+    console.error(`Error writing ${key}:`, error);
+  }
+};
+
+/**
+ * Returns the operations waiting to be synced, oldest first
+ * @param {string} userId - The owner
+ * @returns {Promise<Array<SyncOperation>>}
+ */
+export const getQueue = (userId) => readList(`${QUEUE_KEY_PREFIX}${userId}`);
+
+/**
+ * Returns the changes that conflicted with the server
+ * @param {string} userId - The owner
+ * @returns {Promise<Array<SyncConflict>>}
+ */
+export const getConflicts = (userId) => readList(`${CONFLICTS_KEY_PREFIX}${userId}`);
+
+const saveQueue = (userId, queue) => writeList(`${QUEUE_KEY_PREFIX}${userId}`, queue);
+const saveConflicts = (userId, conflicts) => writeList(`${CONFLICTS_KEY_PREFIX}${userId}`, conflicts);
+
+const notify = async (userId) => {
+  const [queue, conflicts] = await Promise.all([getQueue(userId), getConflicts(userId)]);
+  listeners.forEach(listener => listener({ userId, pending: queue.length, conflicts }));
+};
+
+/**
+ * Subscribes to queue changes
+ * @param {function({userId: string, pending: number, conflicts: Array<SyncConflict>})} listener
+ * @returns {function} Unsubscribe
+ */
+export const subscribeToSync = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * Copies picked photos into the app's documents folder - the picker's cache
+ * files can be cleared before we get a connection to upload them
+ * @param {Array<string>} photoUris - Photo URIs and URLs
+ * @returns {Promise<Array<string>>} The same list with local files copied
+ */
+const persistLocalPhotos = async (photoUris) => {
+  if (!photoUris) return null;
+  await FileSystem.makeDirectoryAsync(PHOTO_DIRECTORY, { intermediates: true }).catch(() => {});
+
+  return Promise.all(photoUris.map(async (uri, index) => {
+    if (!isLocalPhoto(uri) || uri.startsWith(PHOTO_DIRECTORY)) return uri;
+    const extension = uri.split('?')[0].split('.').pop() || 'jpg';
+    const target = `${PHOTO_DIRECTORY}${Date.now()}-${index}.${extension}`;
+    try {
+      await FileSystem.copyAsync({ from: uri, to: target });
+      return target;
+    } catch (error) {
+      console.error('Error copying photo for offline sync:', error);
+      return uri;
+    }
+  }));
+};
+
+const deleteLocalPhotos = async (photoUris) => {
+  await Promise.all((photoUris || [])
+    .filter(uri => uri.startsWith(PHOTO_DIRECTORY))
+    .map(uri => FileSystem.deleteAsync(uri, { idempotent: true }).catch(() => {})));
+};
+
+// A receipt picked offline is copied like the photos
+const persistLocalReceipt = async (changes) => {
+  const receiptPath = changes.acquisition?.receipt_path;
+  if (!isLocalReceipt(receiptPath)) return changes;
+  const [copied] = await persistLocalPhotos([receiptPath]);
+  return { ...changes, acquisition: { ...changes.acquisition, receipt_path: copied } };
+};
+
+// Every copied file an operation holds: its photos and receipt
+const localFilesOf = (operation) => [
+  ...(operation.photoUris || []),
+  operation.changes?.acquisition?.receipt_path,
+].filter(Boolean);
+
+/**
+ * Adds an operation to the queue, folding it into an earlier one for the same
+ * item where possible (an edit to an unsynced new item just changes the create)
+ * @param {Array<SyncOperation>} queue - The current queue
+ * @param {SyncOperation} operation - The new operation
+ * @returns {Array<SyncOperation>} The new queue
+ */
+const coalesce = (queue, operation) => {
+  const index = queue.findIndex(queued => String(queued.itemId) === String(operation.itemId));
+  if (index === -1) return [...queue, operation];
+
+  const previous = queue[index];
+  if (inFlight.has(previous.id)) return [...queue, operation];
+  const rest = queue.filter((_, i) => i !== index);
+
+  if (operation.type === 'delete') {
+    // A new item that never reached the server can simply be forgotten
+    if (previous.type === 'create' && !previous.serverId) return rest;
+    return [...rest, { ...operation, itemId: previous.serverId || operation.itemId, baseUpdatedAt: previous.baseUpdatedAt }];
+  }
+
+  const merged = {
+    ...previous,
+    changes: { ...previous.changes, ...operation.changes },
+    photoUris: operation.photoUris || previous.photoUris,
+  };
+  return [...queue.slice(0, index), merged, ...queue.slice(index + 1)];
+};
+
+/**
+ * Queues an operation, applies it to the local store and tries to sync
+ * @param {string} userId - The owner
+ * @param {Omit<SyncOperation, 'id'|'queuedAt'|'attempts'|'lastError'>} operation
+ * @returns {Promise<{synced: boolean}>} Whether the queue was fully synced afterwards
+ */
+const enqueue = async (userId, operation) => {
+  const queued = {
+    ...operation,
+    id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    changes: await persistLocalReceipt(operation.changes),
+    photoUris: await persistLocalPhotos(operation.photoUris),
+    serverId: operation.serverId || null,
+    queuedAt: new Date().toISOString(),
+    attempts: 0,
+    lastError: null,
+  };
+
+  await saveQueue(userId, coalesce(await getQueue(userId), queued));
+  await updateStore(userId, store => applyOperation(store, queued));
+  // Lists opened from here on load again rather than show pages without the change
+  clearPageCache();
+  await notify(userId);
+
+  const { remaining } = await flushQueue(userId);
+  return { synced: remaining === 0 };
+};
+
+// Collection IDs come from pickers as strings
+const normalizeChanges = (changes) => {
+  const normalized = { ...changes };
+  if (typeof normalized.collection_id === 'string') {
+    normalized.collection_id = normalized.collection_id ? Number(normalized.collection_id) : null;
+  }
+  return normalized;
+};
+
+/**
+ * Creates an item, offline if need be
+ * @param {string} userId - The owner
+ * @param {Object} fields - Item columns
+ * @param {Array<string>} [photoUris] - Local photo URIs to upload
+ * @returns {Promise<{itemId: string|number, synced: boolean}>} The server ID, or a local ID if it hasn't synced yet
+ */
+export const queueCreateItem = async (userId, fields, photoUris = []) => {
+  const localId = `${LOCAL_ID_PREFIX}${Date.now()}`;
+  const { synced } = await enqueue(userId, {
+    type: 'create',
+    itemId: localId,
+    changes: { ...normalizeChanges(fields), user_id: userId },
+    photoUris,
+    baseUpdatedAt: null,
+  });
+  return { itemId: resolveItemId(localId), synced };
+};
+
+/**
+ * Updates an item, offline if need be
+ * @param {string} userId - The owner
+ * @param {import('./items').Item} item - The item as the user last saw it (for conflict detection)
+ * @param {Object} changes - Item columns to change
+ * @param {Array<string>|null} [photoUris] - The full new photo list, or null to leave photos alone
+ * @returns {Promise<{synced: boolean}>}
+ */
+export const queueUpdateItem = (userId, item, changes, photoUris = null) => {
+  const itemId = resolveItemId(item.id);
+  return enqueue(userId, {
+    // Edits to an item that hasn't reached the server yet fold into its create
+    type: isLocalId(itemId) ? 'create' : 'update',
+    itemId,
+    changes: normalizeChanges(changes),
+    photoUris,
+    baseUpdatedAt: item.updated_at || null,
+  });
+};
+
+/**
+ * Moves an item to the trash, offline if need be. Its photos are deleted
+ * with it when the trash is emptied.
+ * @param {string} userId - The owner
+ * @param {import('./items').Item} item - The item as the user last saw it
+ * @returns {Promise<{synced: boolean}>}
+ */
+export const queueDeleteItem = (userId, item) => enqueue(userId, {
+  type: 'delete',
+  itemId: resolveItemId(item.id),
+  changes: {},
+  photoUris: null,
+  baseUpdatedAt: item.updated_at || null,
+});
+
+const uploadLocalPhotos = async (operation, persist) => {
+  const uploaded = [];
+  for (const uri of operation.photoUris || []) {
+    uploaded.push(isLocalPhoto(uri) ? await uploadPhoto(uri) : uri);
+    // Save progress so a retry doesn't upload the same photo again
+    await persist({ ...operation, photoUris: [...uploaded, ...operation.photoUris.slice(uploaded.length)] });
+  }
+  return uploaded;
+};
+
+/**
+ * Saves the purchase details queued with an item, uploading a local receipt first
+ * @param {string} userId - The owner
+ * @param {number} itemId - The item's server ID
+ * @param {SyncOperation} operation - The operation, with photo progress already applied
+ * @param {function(SyncOperation): Promise<void>} persist - Saves progress on the operation
+ * @returns {Promise<void>}
+ */
+const syncAcquisition = async (userId, itemId, operation, persist) => {
+  const { acquisition } = operation.changes;
+  if (!acquisition) return;
+
+  let receiptPath = acquisition.receipt_path || null;
+  if (isLocalReceipt(receiptPath)) {
+    receiptPath = await uploadReceipt(receiptPath, userId);
+    // Save progress so a retry doesn't upload the receipt again
+    await persist({
+      ...operation,
+      changes: { ...operation.changes, acquisition: { ...acquisition, receipt_path: receiptPath } },
+    });
+  }
+  await saveAcquisition(itemId, { ...acquisition, receipt_path: receiptPath });
+};
+
+class SyncConflictError extends Error {
+  constructor(reason, serverItem) {
+    super(`Item ${reason} on the server`);
+    this.reason = reason;
+    this.serverItem = serverItem;
+  }
+}
+
+/**
+ * Replays one operation against Supabase
+ * @param {string} userId - The owner
+ * @param {SyncOperation} operation - The operation
+ * @param {function(SyncOperation): Promise<void>} persist - Saves progress on the operation
+ * @returns {Promise<import('./items').Item|null>} The server copy afterwards (null once deleted)
+ */
+const replay = async (userId, queuedOperation, persist) => {
+  // Operations queued while their item's create was syncing still use the local ID
+  const itemId = resolveItemId(queuedOperation.itemId);
+  const operation = { ...queuedOperation, itemId };
+
+  if (operation.type === 'create') {
+    let current = isLocalId(itemId) ? operation : { ...operation, serverId: operation.serverId || itemId };
+    if (current.serverId) {
+      // Inserted on an earlier attempt - later edits may have been folded in since
+      await saveItem({ id: current.serverId, ...current.changes });
+    } else {
+      const created = await saveItem(current.changes);
+      current = { ...current, serverId: created.id };
+      await persist(current);
+    }
+    const photoUrls = await uploadLocalPhotos(current, persist);
+    if (photoUrls.length > 0) {
+      await syncItemPhotos(current.serverId, photoUrls, userId);
+    }
+    await syncAcquisition(userId, current.serverId, { ...current, photoUris: photoUrls }, persist);
+    return getItem(current.serverId, { withPhotos: true });
+  }
+
+  if (operation.type === 'update') {
+    const updated = await saveItem(
+      { id: operation.itemId, ...operation.changes },
+      { expectedUpdatedAt: operation.baseUpdatedAt }
+    );
+    if (!updated) {
+      const serverItem = await getItem(operation.itemId, { withPhotos: true });
+      throw new SyncConflictError(serverItem ? 'changed' : 'deleted', serverItem);
+    }
+    let photoUrls = operation.photoUris;
+    if (operation.photoUris) {
+      photoUrls = await uploadLocalPhotos(operation, persist);
+      await syncItemPhotos(operation.itemId, photoUrls, userId);
+    }
+    await syncAcquisition(userId, operation.itemId, { ...operation, photoUris: photoUrls }, persist);
+    return getItem(operation.itemId, { withPhotos: true });
+  }
+
+  // Deletes go to the trash; photos stay until it's emptied
+  const trashed = await trashItem(operation.itemId, { expectedUpdatedAt: operation.baseUpdatedAt });
+  if (!trashed) {
+    const serverItem = await getItem(operation.itemId, { withPhotos: true });
+    // Already gone or trashed is what the user wanted anyway
+    if (serverItem && !serverItem.deleted_at) throw new SyncConflictError('changed', serverItem);
+  }
+  return null;
+};
+
+/**
+ * Replays queued operations in order until the queue is empty or the server
+ * can't be reached. Safe to call often - concurrent calls share one run.
+ * @param {string} userId - The owner
+ * @returns {Promise<{synced: number, remaining: number, conflicts: number}>}
+ */
+export const flushQueue = (userId) => {
+  if (!userId) return Promise.resolve({ synced: 0, remaining: 0, conflicts: 0 });
+  if (flushing.has(userId)) return flushing.get(userId);
+
+  const run = (async () => {
+    let synced = 0;
+    let newConflicts = 0;
+
+    while (true) {
+      const [operation] = await getQueue(userId);
+      if (!operation) break;
+
+      const persist = async (progress) => {
+        const queue = await getQueue(userId);
+        await saveQueue(userId, queue.map(queued => (queued.id === progress.id ? progress : queued)));
+      };
+
+      try {
+        inFlight.add(operation.id);
+        const serverItem = await replay(userId, operation, persist);
+        await saveQueue(userId, (await getQueue(userId)).filter(queued => queued.id !== operation.id));
+        if (operation.type === 'create' && serverItem) {
+          syncedIds.set(String(operation.itemId), serverItem.id);
+        }
+        await putCachedItem(userId, operation.itemId, serverItem);
+        await deleteLocalPhotos(localFilesOf(operation));
+        synced += 1;
+      } catch (error) {
+        // Includes progress saved during the attempt (server ID, uploaded photos)
+        const latest = (await getQueue(userId)).find(queued => queued.id === operation.id) || operation;
+
+        if (error.category === ERROR_CATEGORIES.NETWORK) {
+          // Still offline - try again later
+          await persist({ ...latest, attempts: latest.attempts + 1, lastError: error.message });
+          break;
+        }
+
+        const conflicts = await getConflicts(userId);
+        await saveConflicts(userId, [...conflicts, {
+          operation: { ...latest, lastError: error.message },
+          serverItem: error.serverItem || null,
+          reason: error instanceof SyncConflictError ? error.reason : 'failed',
+          detectedAt: new Date().toISOString(),
+        }]);
+        await saveQueue(userId, (await getQueue(userId)).filter(queued => queued.id !== operation.id));
+        newConflicts += 1;
+      } finally {
+        inFlight.delete(operation.id);
+      }
+    }
+
+    // Synced items have their server IDs and values now
+    if (synced > 0 || newConflicts > 0) clearPageCache();
+    const remaining = (await getQueue(userId)).length;
+    await notify(userId);
+    return { synced, remaining, conflicts: newConflicts };
+  })();
+
+  flushing.set(userId, run);
+  return run.finally(() => flushing.delete(userId));
+};
+
+/**
+ * Resolves a conflict by keeping either the local change or the server version
+ * @param {string} userId - The owner
+ * @param {string} operationId - The conflicting operation's ID
+ * @param {'local'|'server'} keep - Which version wins
+ * @returns {Promise<void>}
+ */
+export const resolveConflict = async (userId, operationId, keep) => {
+  const conflicts = await getConflicts(userId);
+  const conflict = conflicts.find(c => c.operation.id === operationId);
+  if (!conflict) return;
+
+  await saveConflicts(userId, conflicts.filter(c => c.operation.id !== operationId));
+  const { operation, serverItem } = conflict;
+
+  if (keep === 'server' || (operation.type !== 'create' && !serverItem)) {
+    await putCachedItem(userId, operation.itemId, serverItem);
+    await deleteLocalPhotos(localFilesOf(operation));
+    clearPageCache();
+    await notify(userId);
+    return;
+  }
+
+  // Re-queue against the server's current version so it applies this time
+  await enqueue(userId, {
+    type: operation.type,
+    itemId: operation.itemId,
+    changes: operation.changes,
+    photoUris: operation.photoUris,
+    baseUpdatedAt: serverItem?.updated_at || null,
+    serverId: operation.serverId,
+  });
+};
+
+/**
+ * Refreshes the local store from the server after syncing pending changes first.
+ * Offline, it resolves to the store as it is.
+ * @param {string} userId - The owner
+ * @returns {Promise<{online: boolean}>}
+ */
+export const syncAndRefresh = async (userId) => {
+  await flushQueue(userId);
+  try {
+    await refreshStore(userId, await getQueue(userId));
+    return { online: true };
+  } catch (error) {
+    if (error.category === ERROR_CATEGORIES.NETWORK) return { online: false };
+    throw error;
+  }
+};
+
+/**
+ * Loads one page of the user's items, newest first. Online, the page comes from
+ * Supabase and is saved to the local store with unsynced changes laid over it;
+ * offline, the page is cut from the store instead.
+ * @param {string} userId - The owner
+ * @param {Object} [options]
+ * @param {string|null} [options.cursor] - nextCursor of the previous page
+ * @param {number} [options.pageSize=PAGE_SIZE] - Items per page
+ * @returns {Promise<{items: Array<import('./items').Item>, nextCursor: string|null, offline: boolean}>}
+ */
+export const loadItemsPage = async (userId, { cursor = null, pageSize = PAGE_SIZE } = {}) => {
+  // Push waiting changes first so the server copy includes them
+  if (!cursor) await flushQueue(userId);
+
+  try {
+    const page = await listItemsPage({
+      userId,
+      cursor,
+      pageSize,
+      columns: `*, collections(name, icon), ${ACQUISITION_EMBED}`,
+      withPhotos: true,
+    });
+    const items = await mergeCachedItems(userId, page.items, await getQueue(userId));
+    // Items created offline aren't on the server yet - they're the newest, so lead the first page
+    const unsynced = cursor ? [] : (await getCachedItems(userId)).filter(item => isLocalId(item.id));
+    return { items: [...unsynced, ...items], nextCursor: page.nextCursor, offline: false };
+  } catch (error) {
+    if (error.category !== ERROR_CATEGORIES.NETWORK) throw error;
+
+    const cached = await getCachedItems(userId);
+    const remaining = cursor ? cached.filter(item => isAfterCursor(item, cursor)) : cached;
+    const items = remaining.slice(0, pageSize);
+    return {
+      items,
+      nextCursor: remaining.length > pageSize ? itemCursor(items[items.length - 1]) : null,
+      offline: true,
+    };
+  }
+};
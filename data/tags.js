@@ -0,0 +1,56 @@
+// data/tags.js
+import { supabase } from '../lib/supabase';
+import { normalizeTag, normalizeTags } from '../utils/tags';
+import { unwrap } from './errors';
+import { clearPageCache } from './pageCache';
+
+/**
+ * Lists the signed-in user's tags, most used first
+ * @returns {Promise<Array<{tag: string, count: number}>>}
+ */
+export const listTags = async () => (
+  unwrap(await supabase.rpc('user_tags'), 'tags.listTags') || []
+).map(row => ({ tag: row.tag, count: Number(row.item_count) }));
+
+/**
+ * Replaces several tags with one on all of the user's items. Items that had
+ * more than one of them end up with the target tag once.
+ * @param {Array<string>} sourceTags - The tags to replace
+ * @param {string} targetTag - The tag they become; normalized here
+ * @returns {Promise<number>} The number of items changed
+ */
+export const mergeTags = async (sourceTags, targetTag) => {
+  const target = normalizeTag(targetTag);
+  const sources = normalizeTags(sourceTags).filter(tag => tag !== target);
+  if (!target || sources.length === 0) return 0;
+  const changed = unwrap(
+    await supabase.rpc('merge_tags', { source_tags: sources, target_tag: target }),
+    'tags.mergeTags'
+  ) || 0;
+  clearPageCache();
+  return changed;
+};
+
+/**
+ * Renames a tag on all of the user's items. Renaming to a tag that already
+ * exists merges the two.
+ * @param {string} tag - The current name
+ * @param {string} newName - The new name; normalized here
+ * @returns {Promise<number>} The number of items changed
+ */
+export const renameTag = (tag, newName) => mergeTags([tag], newName);
+
+/**
+ * Removes tags from all of the user's items
+ * @param {Array<string>} tags - The tags to remove
+ * @returns {Promise<number>} The number of items changed
+ */
+export const deleteTags = async (tags) => {
+  if (!tags || tags.length === 0) return 0;
+  const changed = unwrap(
+    await supabase.rpc('delete_tags', { tag_list: tags }),
+    'tags.deleteTags'
+  ) || 0;
+  clearPageCache();
+  return changed;
+};
@@ -0,0 +1,104 @@
+// data/trash.js
+// Deleted items and collections are trashed first (trashItem, trashCollection)
+// and deleted for good from here: by the user, or by purgeExpiredTrash once
+// they've been in the trash longer than the user's retention period. An
+// item's stored photos are only removed when the item itself is.
+import { supabase } from '../lib/supabase';
+import { DEFAULT_TRASH_RETENTION_DAYS, purgeCutoff } from '../utils/trash';
+import { unwrap } from './errors';
+import { listItems, deleteItemCascade } from './items';
+import { listCollections, deleteCollection } from './collections';
+
+/**
+ * Reads how many days the user's trash is kept
+ * @param {string} userId - The owner
+ * @returns {Promise<number>} DEFAULT_TRASH_RETENTION_DAYS until they change it
+ */
+export const getTrashRetention = async (userId) => {
+  const settings = unwrap(
+    await supabase.from('user_settings').select('trash_retention_days').eq('user_id', userId).maybeSingle(),
+    'trash.getTrashRetention'
+  );
+  return settings?.trash_retention_days || DEFAULT_TRASH_RETENTION_DAYS;
+};
+
+/**
+ * Changes how many days the user's trash is kept
+ * @param {string} userId - The owner
+ * @param {number} days - 1 to 365
+ * @returns {Promise<void>}
+ */
+export const setTrashRetention = async (userId, days) => {
+  unwrap(
+    await supabase
+      .from('user_settings')
+      .upsert({ user_id: userId, trash_retention_days: days, updated_at: new Date().toISOString() }, { onConflict: 'user_id' }),
+    'trash.setTrashRetention'
+  );
+};
+
+/**
+ * Lists what's in the user's trash, most recently trashed first
+ * @param {string} userId - The owner
+ * @returns {Promise<{items: Array<import('./items').Item>, collections: Array<import('./collections').Collection>}>}
+ */
+export const listTrash = async (userId) => {
+  const [items, collections] = await Promise.all([
+    // Wishlist items too
+    listItems({ userId, status: null, trashed: true, orderBy: 'deleted_at', withPhotos: true }),
+    listCollections(userId, { trashed: true, orderBy: 'deleted_at', ascending: false }),
+  ]);
+  return { items, collections };
+};
+
+/**
+ * Deletes trashed items and collections for good, one by one so a failure
+ * leaves the rest deleted
+ * @param {string} userId - The owner
+ * @param {Object} [options]
+ * @param {Date} [options.trashedBefore] - Only what was trashed before this; everything if omitted
+ * @returns {Promise<{items: number, collections: number, failed: number}>} How many were deleted
+ */
+export const emptyTrash = async (userId, { trashedBefore } = {}) => {
+  const { items, collections } = await listTrash(userId);
+  const isDue = row => !trashedBefore || new Date(row.deleted_at) < trashedBefore;
+  const result = { items: 0, collections: 0, failed: 0 };
+
+  for (const item of items.filter(isDue)) {
+    try {
+      const { deleted } = await deleteItemCascade(item.id);
+      if (deleted) result.items += 1;
+    } catch (error) {
+      console.error(`Error deleting trashed item ${item.id}:`, error.message);
+      result.failed += 1;
+    }
+  }
+  for (const collection of collections.filter(isDue)) {
+    try {
+      await deleteCollection(collection.id);
+      result.collections += 1;
+    } catch (error) {
+      console.error(`Error deleting trashed collection ${collection.id}:`, error.message);
+      result.failed += 1;
+    }
+  }
+  return result;
+};
+
+/**
+ * Deletes what's been in the trash longer than the user's retention period.
+ * Runs after sign-in; failures are logged and left for the next run.
+ * @param {string} userId - The owner
+ * @returns {Promise<void>}
+ */
+export const purgeExpiredTrash = async (userId) => {
+  try {
+    const retentionDays = await getTrashRetention(userId);
+    const { items, collections, failed } = await emptyTrash(userId, { trashedBefore: purgeCutoff(retentionDays) });
+    if (items + collections + failed > 0) {
+      console.log(`Purged ${items} items and ${collections} collections from the trash (${failed} failed)`);
+    }
+  } catch (error) {
+    console.error('Error purging the trash:', error.message);
+  }
+};
@@ -0,0 +1,57 @@
+// data/valueHistory.js
+import { supabase } from '../lib/supabase';
+import { unwrap } from './errors';
+
+/**
+ * One value an item has had. Rows are written by a database trigger whenever
+ * items.value changes, so there's nothing to insert from the app.
+ * @typedef {Object} ValueHistoryEntry
+ * @property {number} id
+ * @property {number} item_id
+ * @property {string} user_id
+ * @property {number|null} value - Null when the value was cleared
+ * @property {string} currency - ISO 4217 code of the value
+ * @property {'manual'|'ai'|'import'} source - Where the value came from
+ * @property {string|null} note
+ * @property {string} recorded_at
+ */
+
+// Labels for ValueHistoryEntry.source
+export const VALUE_SOURCES = {
+  manual: 'Manual',
+  ai: 'AI estimate',
+  import: 'Import',
+};
+
+/**
+ * Lists an item's value changes, oldest first
+ * @param {number} itemId - The item ID
+ * @returns {Promise<Array<ValueHistoryEntry>>}
+ */
+export const listValueHistory = async (itemId) => unwrap(
+  await supabase
+    .from('item_value_history')
+    .select('*')
+    .eq('item_id', itemId)
+    .order('recorded_at', { ascending: true })
+    .order('id', { ascending: true }),
+  'valueHistory.listValueHistory'
+) || [];
+
+/**
+ * Lists every value change across a user's items, oldest first
+ * @param {string} userId - The owner
+ * @returns {Promise<Array<ValueHistoryEntry>>}
+ */
+export const listValueHistoryForUser = async (userId) => {
+  if (!userId) return [];
+  return unwrap(
+    await supabase
+      .from('item_value_history')
+      .select('item_id, value, currency, recorded_at')
+      .eq('user_id', userId)
+      .order('recorded_at', { ascending: true })
+      .order('id', { ascending: true }),
+    'valueHistory.listValueHistoryForUser'
+  ) || [];
+};
@@ -0,0 +1,34 @@
+// hooks/useActiveLoans.js
+import { useState, useEffect, useCallback } from 'react';
+import { listActiveLoans } from '../data';
+
+/**
+ * What the user has lent out, for loan badges in item lists. Offline or on
+ * error there are no loans, so lists just show no badges.
+ *
+ * @param {string|null} userId - The lender; nothing loads while null
+ * @returns {{loans: Array<import('../data/loans').ItemLoan>, loansByItem: Object<number, import('../data/loans').ItemLoan>, loading: boolean, reload: function(): Promise<void>}}
+ */
+export const useActiveLoans = (userId) => {
+  const [loans, setLoans] = useState([]);
+  const [loading, setLoading] = useState(!!userId);
+
+  const reload = useCallback(async () => {
+    if (!userId) return;
+    setLoading(true);
+    try {
+      setLoans(await listActiveLoans(userId));
+    } catch (error) {
+      console.error('Error loading loans:', error.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [userId]);
+
+  useEffect(() => {
+    reload();
+  }, [reload]);
+
+  const loansByItem = Object.fromEntries(loans.map(loan => [loan.item_id, loan]));
+  return { loans, loansByItem, loading, reload };
+};
@@ -0,0 +1,33 @@
+// hooks/useCustomFields.js
+import { useState, useEffect, useCallback } from 'react';
+import { listCustomFields } from '../data';
+
+/**
+ * The user's custom item fields. Offline or on error the list is empty, and
+ * forms keep any custom values an item already has (see normalizeAttributes).
+ *
+ * @param {string|null} userId - The owner; nothing loads while null
+ * @returns {{customFields: Array<import('../data/customFields').CustomField>, loading: boolean, reload: function(): Promise<void>}}
+ */
+export const useCustomFields = (userId) => {
+  const [customFields, setCustomFields] = useState([]);
+  const [loading, setLoading] = useState(!!userId);
+
+  const reload = useCallback(async () => {
+    if (!userId) return;
+    setLoading(true);
+    try {
+      setCustomFields(await listCustomFields(userId));
+    } catch (error) {
+      console.error('Error loading custom fields:', error.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [userId]);
+
+  useEffect(() => {
+    reload();
+  }, [reload]);
+
+  return { customFields, loading, reload };
+};
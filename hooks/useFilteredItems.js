@@ -0,0 +1,39 @@
+// hooks/useFilteredItems.js
+import { listItemsPage, searchItems, countItems } from '../data';
+import { usePaginatedList } from './usePaginatedList';
+import { encodeFilters, toItemQuery } from '../utils/searchFilters';
+
+/**
+ * Paged items matching search filters: full-text search when there's a query,
+ * the filters alone otherwise. Each filter combination is cached separately.
+ *
+ * @param {string} listName - Cache key prefix, e.g. 'search' or 'smart:12'
+ * @param {string|null} userId - The owner; nothing loads while null
+ * @param {import('../utils/searchFilters').SearchFilters} filters
+ * @param {Object} [options] - Passed to usePaginatedList, besides:
+ * @param {string} [options.currency] - The display currency the value filter is in
+ * @param {Object<string, number>} [options.rates] - Exchange rates to convert the value filter with
+ * @returns {ReturnType<typeof usePaginatedList>} `total` counts every match
+ */
+export const useFilteredItems = (listName, userId, filters, { currency, rates, ...options } = {}) => {
+  const encoded = encodeFilters(filters);
+  // The same value bounds match other items in another display currency
+  const key = userId ? `${listName}:${userId}:${encoded}:${currency || ''}` : null;
+
+  return usePaginatedList(
+    key,
+    async (cursor) => {
+      const itemQuery = { userId, ...toItemQuery(filters, { currency, rates }) };
+      if (itemQuery.query) {
+        return searchItems({ ...itemQuery, cursor, withPhotos: true });
+      }
+      const [page, count] = await Promise.all([
+        listItemsPage({ ...itemQuery, cursor, withPhotos: true }),
+        // The total only needs counting once per list
+        cursor ? null : countItems(itemQuery),
+      ]);
+      return { ...page, total: count };
+    },
+    options
+  );
+};
@@ -0,0 +1,33 @@
+// hooks/useLocations.js
+import { useState, useEffect, useCallback } from 'react';
+import { listLocations } from '../data';
+
+/**
+ * The user's storage locations. Offline or on error the list is empty, so
+ * pickers only offer "No location" and paths aren't shown.
+ *
+ * @param {string|null} userId - The owner; nothing loads while null
+ * @returns {{locations: Array<import('../data/locations').StorageLocation>, loading: boolean, reload: function(): Promise<void>}}
+ */
+export const useLocations = (userId) => {
+  const [locations, setLocations] = useState([]);
+  const [loading, setLoading] = useState(!!userId);
+
+  const reload = useCallback(async () => {
+    if (!userId) return;
+    setLoading(true);
+    try {
+      setLocations(await listLocations(userId));
+    } catch (error) {
+      console.error('Error loading locations:', error.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [userId]);
+
+  useEffect(() => {
+    reload();
+  }, [reload]);
+
+  return { locations, loading, reload };
+};
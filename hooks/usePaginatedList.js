@@ -0,0 +1,130 @@
+// hooks/usePaginatedList.js
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { getCachedPages, setCachedPages } from '../data';
+
+// How long loaded pages are reused when a list is opened again. Item writes
+// clear them sooner (see data/pageCache.js).
+const CACHE_MAX_AGE = 5 * 60 * 1000;
+
+/**
+ * Infinite-scroll state for a cursor-paginated list
+ *
+ * @param {string|null} key - Identifies the list and its filters; null while it can't load yet
+ * @param {function(string|null): Promise<{items: Array, nextCursor: string|null, total?: number}>} fetchPage -
+ *   Loads the page after a cursor (null for the first page)
+ * @param {Object} [options]
+ * @param {function(Error): void} [options.onError] - Called when a page fails to load
+ * @returns {{
+ *   items: Array, total: number|null, loading: boolean, loadingMore: boolean, refreshing: boolean,
+ *   hasMore: boolean, loadMore: function, refresh: function, setItems: function
+ * }}
+ */
+export const usePaginatedList = (key, fetchPage, { onError } = {}) => {
+  const cached = key ? getCachedPages(key) : null;
+  const [items, setItemsState] = useState(cached?.items || []);
+  const [nextCursor, setNextCursor] = useState(cached?.nextCursor || null);
+  const [total, setTotal] = useState(cached?.total ?? null);
+  const [loading, setLoading] = useState(!cached);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [refreshing, setRefreshing] = useState(false);
+
+  // The callbacks change every render; always call the latest ones
+  const fetchPageRef = useRef(fetchPage);
+  const onErrorRef = useRef(onError);
+  fetchPageRef.current = fetchPage;
+  onErrorRef.current = onError;
+  // Responses for an older key or an earlier refresh are dropped
+  const requestRef = useRef(0);
+
+  const loadFirstPage = useCallback(async ({ isRefresh = false } = {}) => {
+    if (!key) return;
+    const request = ++requestRef.current;
+    if (isRefresh) setRefreshing(true);
+    else setLoading(true);
+
+    try {
+      const page = await fetchPageRef.current(null);
+      if (request !== requestRef.current) return;
+      setItemsState(page.items);
+      setNextCursor(page.nextCursor);
+      setTotal(page.total ?? null);
+      setCachedPages(key, {
+        items: page.items,
+        nextCursor: page.nextCursor,
+        total: page.total ?? null,
+        fetchedAt: Date.now(),
+      });
+    } catch (error) {
+      if (request === requestRef.current && onErrorRef.current) onErrorRef.current(error);
+    } finally {
+      if (request === requestRef.current) {
+        setLoading(false);
+        setRefreshing(false);
+      }
+    }
+  }, [key]);
+
+  // Show the cached pages for this key if they're recent, otherwise start over
+  useEffect(() => {
+    if (!key) return;
+    const entry = getCachedPages(key);
+    if (entry && Date.now() - entry.fetchedAt < CACHE_MAX_AGE) {
+      requestRef.current += 1;
+      setItemsState(entry.items);
+      setNextCursor(entry.nextCursor);
+      setTotal(entry.total);
+      setLoading(false);
+      return;
+    }
+    setItemsState([]);
+    setNextCursor(null);
+    setTotal(null);
+    loadFirstPage();
+  }, [key, loadFirstPage]);
+
+  const loadMore = useCallback(async () => {
+    if (!key || !nextCursor || loading || loadingMore || refreshing) return;
+    const request = requestRef.current;
+    setLoadingMore(true);
+
+    try {
+      const page = await fetchPageRef.current(nextCursor);
+      if (request !== requestRef.current) return;
+      setItemsState((current) => {
+        const seen = new Set(current.map(item => String(item.id)));
+        const merged = [...current, ...page.items.filter(item => !seen.has(String(item.id)))];
+        setCachedPages(key, { ...getCachedPages(key), items: merged, nextCursor: page.nextCursor });
+        return merged;
+      });
+      setNextCursor(page.nextCursor);
+    } catch (error) {
+      if (request === requestRef.current && onErrorRef.current) onErrorRef.current(error);
+    } finally {
+      if (request === requestRef.current) setLoadingMore(false);
+    }
+  }, [key, nextCursor, loading, loadingMore, refreshing]);
+
+  const refresh = useCallback(() => loadFirstPage({ isRefresh: true }), [loadFirstPage]);
+
+  // Local edits (likes, deletes...) go into the cached pages too
+  const setItems = useCallback((update) => {
+    setItemsState((current) => {
+      const next = typeof update === 'function' ? update(current) : update;
+      const entry = key ? getCachedPages(key) : null;
+      if (entry) setCachedPages(key, { ...entry, items: next });
+      return next;
+    });
+  }, [key]);
+
+  return {
+    items,
+    total,
+    loading,
+    loadingMore,
+    refreshing,
+    hasMore: !!nextCursor,
+    loadMore,
+    refresh,
+    setItems,
+  };
+};
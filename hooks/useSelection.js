@@ -0,0 +1,39 @@
+// hooks/useSelection.js
+import { useState, useCallback } from 'react';
+
+/**
+ * Multi-select state for an item list. Selection mode starts with a long press
+ * on an item and ends when the last item is deselected or it's cleared.
+ *
+ * @returns {{
+ *   selecting: boolean, selectedIds: Array<string|number>, isSelected: function(string|number): boolean,
+ *   start: function(string|number): void, toggle: function(string|number): void,
+ *   selectAll: function(Array<string|number>): void, clear: function(): void
+ * }}
+ */
+export const useSelection = () => {
+  const [selectedIds, setSelectedIds] = useState([]);
+
+  const start = useCallback((id) => {
+    setSelectedIds(current => (current.includes(id) ? current : [...current, id]));
+  }, []);
+
+  const toggle = useCallback((id) => {
+    setSelectedIds(current => (current.includes(id)
+      ? current.filter(selected => selected !== id)
+      : [...current, id]));
+  }, []);
+
+  const selectAll = useCallback((ids) => setSelectedIds(ids), []);
+  const clear = useCallback(() => setSelectedIds([]), []);
+
+  return {
+    selecting: selectedIds.length > 0,
+    selectedIds,
+    isSelected: id => selectedIds.includes(id),
+    start,
+    toggle,
+    selectAll,
+    clear,
+  };
+};
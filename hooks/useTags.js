@@ -0,0 +1,33 @@
+// hooks/useTags.js
+import { useState, useEffect, useCallback } from 'react';
+import { listTags } from '../data';
+
+/**
+ * The signed-in user's tags with their item counts, most used first. Offline or
+ * on error the list is empty, so tag inputs just stop suggesting.
+ *
+ * @param {string|null} userId - The owner; nothing loads while null
+ * @returns {{tags: Array<{tag: string, count: number}>, loading: boolean, reload: function(): Promise<void>}}
+ */
+export const useTags = (userId) => {
+  const [tags, setTags] = useState([]);
+  const [loading, setLoading] = useState(!!userId);
+
+  const reload = useCallback(async () => {
+    if (!userId) return;
+    setLoading(true);
+    try {
+      setTags(await listTags());
+    } catch (error) {
+      console.error('Error loading tags:', error.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [userId]);
+
+  useEffect(() => {
+    reload();
+  }, [reload]);
+
+  return { tags, loading, reload };
+};
@@ -0,0 +1,313 @@
+// lib/barcodeLookup.js
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { findItemsByBarcode } from '../data';
+import { handleError, categorizeError } from '../utils/errorHandler';
+
+// Cache settings for lookup results
+const CACHE_KEY_PREFIX = 'barcode_lookup:';
+const CACHE_TTL = 30 * 24 * 60 * 60 * 1000; // 30 days for products we found
+const MISS_CACHE_TTL = 24 * 60 * 60 * 1000; // 1 day for barcodes nobody knew
+const REQUEST_TIMEOUT = 8000;
+
+/**
+ * @typedef {Object} BarcodeProduct
+ * @property {string} name - Product name/title
+ * @property {string} brand - Brand, manufacturer, author or publisher
+ * @property {string|null} category - One of the AddItem CATEGORIES, or null if unknown
+ * @property {string|null} imageUrl - Remote URL of a cover/product image
+ * @property {string} source - ID of the provider that matched
+ */
+
+/**
+ * @typedef {Object} BarcodeProvider
+ * @property {string} id - Unique provider ID, stored on results as `source`
+ * @property {string} name - Human readable provider name
+ * @property {(code: string) => boolean} supports - Whether this provider can look up the code
+ * @property {(code: string, context: Object) => Promise<BarcodeProduct|null>} lookup - Performs the lookup
+ * @property {boolean} [cacheable] - Whether results may be cached locally (defaults to true)
+ */
+
+// Keyword hints used to map free-form provider categories onto our own
+const CATEGORY_KEYWORDS = [
+  { category: 'Video Games', keywords: ['video game', 'nintendo', 'playstation', 'xbox', 'sega', 'console'] },
+  { category: 'Books & Comics', keywords: ['book', 'comic', 'manga', 'magazine', 'novel', 'graphic novel'] },
+  { category: 'Cards & Trading Cards', keywords: ['trading card', 'cards', 'tcg', 'pokemon', 'magic: the gathering'] },
+  { category: 'Music & Records', keywords: ['music', 'vinyl', 'record', 'cd', 'album', 'cassette'] },
+  { category: 'Action Figures & Toys', keywords: ['toy', 'action figure', 'figure', 'doll', 'lego', 'plush', 'funko'] },
+  { category: 'Models & Miniatures', keywords: ['model', 'miniature', 'diecast', 'die-cast', 'kit'] },
+  { category: 'Coins & Currency', keywords: ['coin', 'currency', 'banknote', 'bullion'] },
+  { category: 'Stamps', keywords: ['stamp', 'philatel'] },
+  { category: 'Autographs & Memorabilia', keywords: ['memorabilia', 'autograph', 'signed', 'sports'] },
+  { category: 'Antiques', keywords: ['antique', 'vintage'] },
+];
+
+/**
+ * Maps a free-form category string from a provider onto one of our categories
+ * @param {string} text - Category text from the provider
+ * @returns {string|null} - Matching category or null
+ */
+export const mapToCategory = (text) => {
+  if (!text) return null;
+  const lower = text.toLowerCase();
+  const match = CATEGORY_KEYWORDS.find(entry => entry.keywords.some(keyword => lower.includes(keyword)));
+  return match ? match.category : null;
+};
+
+// Only keep digits (and a trailing X for ISBN-10)
+const cleanCode = (code) => String(code || '').trim().toUpperCase().replace(/[^0-9X]/g, '');
+
+// ISBN-13 (Bookland EAN) or ISBN-10 codes
+const looksLikeIsbn = (code) => (
+  (code.length === 13 && (code.startsWith('978') || code.startsWith('979'))) ||
+  /^\d{9}[\dX]$/.test(code)
+);
+
+// UPC-A, UPC-E, EAN-8 and EAN-13 codes
+const looksLikeProductCode = (code) => /^\d+$/.test(code) && [8, 12, 13].includes(code.length);
+
+// fetch with a timeout so a slow provider can't block the whole chain
+const fetchJson = async (url) => {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), REQUEST_TIMEOUT);
+
+  try {
+    const response = await fetch(url, {
+      headers: { Accept: 'application/json' },
+      signal: controller.signal,
+    });
+
+    if (response.status === 404) {
+      return null;
+    }
+
+    if (!response.ok) {
+      throw new Error(`Lookup request failed with status ${response.status}`);
+    }
+
+    return await response.json();
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+/**
+ * Looks the barcode up in the user's own items by their stored identifiers
+ * @type {BarcodeProvider}
+ */
+export const pastScansProvider = {
+  id: 'past_scans',
+  name: 'Your past scans',
+  cacheable: false,
+  supports: () => true,
+  lookup: async (code, { userId } = {}) => {
+    if (!userId) return null;
+
+    const data = await findItemsByBarcode(userId, code, {
+      columns: 'id, name, brand, category, item_photos(display_order, images(url))',
+    });
+    if (data.length === 0) return null;
+
+    const item = data[0];
+    const photos = (item.item_photos || [])
+      .sort((a, b) => a.display_order - b.display_order)
+      .map(photo => photo.images?.url)
+      .filter(Boolean);
+
+    return {
+      name: item.name || '',
+      brand: item.brand || '',
+      category: item.category || null,
+      imageUrl: photos[0] || null,
+      source: 'past_scans',
+    };
+  },
+};
+
+/**
+ * Looks books up in the Open Library catalog by ISBN
+ * @type {BarcodeProvider}
+ */
+export const openLibraryProvider = {
+  id: 'open_library',
+  name: 'Open Library',
+  supports: looksLikeIsbn,
+  lookup: async (code) => {
+    const key = `ISBN:${code}`;
+    const data = await fetchJson(
+      `https://openlibrary.org/api/books?bibkeys=${encodeURIComponent(key)}&format=json&jscmd=data`
+    );
+    const book = data?.[key];
+    if (!book || !book.title) return null;
+
+    const authors = (book.authors || []).map(author => author.name).filter(Boolean);
+    const publishers = (book.publishers || []).map(publisher => publisher.name).filter(Boolean);
+
+    return {
+      name: book.subtitle ? `${book.title}: ${book.subtitle}` : book.title,
+      brand: authors.join(', ') || publishers[0] || '',
+      category: 'Books & Comics',
+      imageUrl: book.cover?.large || book.cover?.medium || null,
+      source: 'open_library',
+    };
+  },
+};
+
+/**
+ * Looks products up in the UPCitemdb UPC/EAN database
+ * @type {BarcodeProvider}
+ */
+export const upcItemDbProvider = {
+  id: 'upcitemdb',
+  name: 'UPCitemdb',
+  supports: looksLikeProductCode,
+  lookup: async (code) => {
+    const data = await fetchJson(`https://api.upcitemdb.com/prod/trial/lookup?upc=${encodeURIComponent(code)}`);
+    const product = data?.items?.[0];
+    if (!product || !product.title) return null;
+
+    return {
+      name: product.title,
+      brand: product.brand || '',
+      category: mapToCategory(product.category) || mapToCategory(product.title),
+      imageUrl: (product.images || []).find(url => url && url.startsWith('https://')) || null,
+      source: 'upcitemdb',
+    };
+  },
+};
+
+// Providers are tried in order until one returns a match
+let providers = [pastScansProvider, openLibraryProvider, upcItemDbProvider];
+
+/**
+ * Registers an additional lookup provider
+ * @param {BarcodeProvider} provider - The provider to add
+ * @param {number} [position] - Index to insert at (defaults to the end of the chain)
+ */
+export const registerBarcodeProvider = (provider, position = providers.length) => {
+  if (!provider?.id || typeof provider.lookup !== 'function') {
+    throw new Error('Barcode providers need an id and a lookup function');
+  }
+
+  const remaining = providers.filter(existing => existing.id !== provider.id);
+  remaining.splice(Math.min(position, remaining.length), 0, provider);
+  providers = remaining;
+};
+
+/**
+ * Removes a lookup provider from the chain
+ * @param {string} providerId - ID of the provider to remove
+ */
+export const unregisterBarcodeProvider = (providerId) => {
+  providers = providers.filter(provider => provider.id !== providerId);
+};
+
+/**
+ * Returns the current provider chain, in lookup order
+ * @returns {Array<BarcodeProvider>}
+ */
+export const getBarcodeProviders = () => [...providers];
+
+const readCache = async (code) => {
+  try {
+    const cached = await AsyncStorage.getItem(`${CACHE_KEY_PREFIX}${code}`);
+    if (!cached) return undefined;
+
+    const { product, expiresAt } = JSON.parse(cached);
+    if (expiresAt < Date.now()) {
+      await AsyncStorage.removeItem(`${CACHE_KEY_PREFIX}${code}`);
+      return undefined;
+    }
+
+    return product;
+  } catch (error) {
+    console.error('Error reading barcode cache:', error);
+    return undefined;
+  }
+};
+
+const writeCache = async (code, product) => {
+  try {
+    const ttl = product ? CACHE_TTL : MISS_CACHE_TTL;
+    await AsyncStorage.setItem(
+      `${CACHE_KEY_PREFIX}${code}`,
+      JSON.stringify({ product, expiresAt: Date.now() + ttl })
+    );
+  } catch (error) {
+    console.error('Error writing barcode cache:', error);
+  }
+};
+
+/**
+ * Looks up a scanned barcode through the provider chain
+ * The first provider that returns a match wins. Matches from cacheable providers
+ * (and misses from all of them) are cached locally.
+ * @param {string} barcode - The scanned barcode data
+ * @param {Object} options - Lookup options
+ * @param {string} options.userId - The current user's ID (used by the past scans provider)
+ * @param {boolean} options.skipCache - Ignore cached results
+ * @returns {Promise<BarcodeProduct|null>} - The product info or null if nobody knew the code
+ */
+export const lookupBarcode = async (barcode, { userId = null, skipCache = false } = {}) => {
+  const code = cleanCode(barcode);
+  if (!code) return null;
+
+  const applicable = providers.filter(provider => provider.supports(code));
+
+  // The user's own (uncached) providers always run first so edits are picked up
+  for (const provider of applicable.filter(p => p.cacheable === false)) {
+    try {
+      const product = await provider.lookup(code, { userId });
+      if (product) return product;
+    } catch (error) {
+      handleError(error, `barcodeLookup.${provider.id}`, categorizeError(error), null, false);
+    }
+  }
+
+  if (!skipCache) {
+    const cached = await readCache(code);
+    if (cached !== undefined) {
+      console.log(`Barcode ${code} served from cache`);
+      return cached;
+    }
+  }
+
+  let failures = 0;
+  const remote = applicable.filter(p => p.cacheable !== false);
+
+  for (const provider of remote) {
+    try {
+      console.log(`Looking up barcode ${code} with ${provider.name}`);
+      const product = await provider.lookup(code, { userId });
+      if (product) {
+        await writeCache(code, product);
+        return product;
+      }
+    } catch (error) {
+      failures++;
+      handleError(error, `barcodeLookup.${provider.id}`, categorizeError(error), null, false);
+    }
+  }
+
+  // Only remember a miss if every provider actually answered
+  if (failures === 0) {
+    await writeCache(code, null);
+  }
+
+  return null;
+};
+
+/**
+ * Clears all cached barcode lookups
+ * @returns {Promise<void>}
+ */
+export const clearBarcodeCache = async () => {
+  try {
+    const keys = await AsyncStorage.getAllKeys();
+    const lookupKeys = keys.filter(key => key.startsWith(CACHE_KEY_PREFIX));
+    if (lookupKeys.length > 0) {
+      await AsyncStorage.multiRemove(lookupKeys);
+    }
+  } catch (error) {
+    console.error('Error clearing barcode cache:', error);
+  }
+};
@@ -0,0 +1,50 @@
+// lib/loanReminders.js
+// Overdue loan reminders are local notifications, scheduled on this device
+// from the user's active loans. They're rebuilt from scratch whenever loans
+// may have changed (sign-in, lending, returns), so there's nothing to keep in
+// sync by hand.
+import { format, parseISO } from 'date-fns';
+import { listActiveLoans } from '../data';
+import { nextReminderDate } from '../utils/loans';
+import { scheduleLocalNotification, cancelLocalNotifications } from './notifications';
+
+// `data.type` of the reminders, for the notification response listener
+export const LOAN_REMINDER = 'loan_overdue';
+
+// iOS keeps at most 64 scheduled notifications per app
+const MAX_REMINDERS = 50;
+
+/**
+ * Replaces the scheduled overdue reminders with one per active loan that has a
+ * due date. Failures are logged; reminders are a convenience.
+ * @param {string} userId - The lender
+ * @returns {Promise<void>}
+ */
+export async function scheduleLoanReminders(userId) {
+  try {
+    const loans = await listActiveLoans(userId);
+    await cancelLocalNotifications(LOAN_REMINDER);
+
+    // Soonest due first, so the cap drops the furthest off
+    for (const loan of loans.slice(0, MAX_REMINDERS)) {
+      const date = nextReminderDate(loan);
+      if (!date) continue;
+      await scheduleLocalNotification({
+        title: `${loan.item?.name || 'An item'} is overdue`,
+        body: `${loan.borrower_name} was due to return it on ${format(parseISO(loan.due_on), 'MMM d, yyyy')}.`,
+        date,
+        data: { type: LOAN_REMINDER, itemId: loan.item_id, loanId: loan.id },
+      });
+    }
+  } catch (error) {
+    console.error('Error scheduling loan reminders:', error.message);
+  }
+}
+
+/**
+ * Cancels every overdue reminder, e.g. on sign-out
+ * @returns {Promise<void>}
+ */
+export function cancelLoanReminders() {
+  return cancelLocalNotifications(LOAN_REMINDER);
+}
@@ -189,3 +189,60 @@ export async function sendPushNotification(targetUserId, title, body, data = {})
     return false;
   }
 }
+
+/**
+ * Schedule a notification on this device, e.g. a reminder. Permission is asked
+ * for the first time; nothing is scheduled without it.
+ * @param {Object} notification
+ * @param {string} notification.title - Notification title
+ * @param {string} notification.body - Notification body
+ * @param {Date} notification.date - When it goes off
+ * @param {Object} [notification.data] - Additional data; `type` says what kind it is
+ * @returns {Promise<string|null>} The scheduled notification's ID, or null if it wasn't scheduled
+ */
+export async function scheduleLocalNotification({ title, body, date, data = {} }) {
+  if (!env.enableNotifications) return null;
+
+  try {
+    let { status, canAskAgain } = await Notifications.getPermissionsAsync();
+    if (status !== 'granted' && canAskAgain) {
+      ({ status } = await Notifications.requestPermissionsAsync());
+    }
+    if (status !== 'granted') return null;
+
+    if (Platform.OS === 'android') {
+      await Notifications.setNotificationChannelAsync('reminders', {
+        name: 'Reminders',
+        importance: Notifications.AndroidImportance.DEFAULT,
+      });
+    }
+
+    return await Notifications.scheduleNotificationAsync({
+      content: { title, body, data },
+      trigger: {
+        type: Notifications.SchedulableTriggerInputTypes.DATE,
+        date,
+        channelId: 'reminders',
+      },
+    });
+  } catch (error) {
+    console.error('Error scheduling notification:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Cancel this device's scheduled notifications of one kind
+ * @param {string} type - The `data.type` they were scheduled with
+ * @returns {Promise<void>}
+ */
+export async function cancelLocalNotifications(type) {
+  try {
+    const scheduled = await Notifications.getAllScheduledNotificationsAsync();
+    await Promise.all(scheduled
+      .filter(notification => notification.content.data?.type === type)
+      .map(notification => Notifications.cancelScheduledNotificationAsync(notification.identifier)));
+  } catch (error) {
+    console.error('Error cancelling notifications:', error.message);
+  }
+}
@@ -0,0 +1,76 @@
+// lib/realtime.js
+// Owns the app's Supabase Realtime channels. Screens subscribe to table changes
+// through here rather than opening channels themselves, so identical
+// subscriptions share one channel and everything can be closed on sign-out.
+import { supabase } from './supabase';
+
+// Subscription key -> { channel, handlers }
+const subscriptions = new Map();
+
+const subscriptionKey = ({ table, event, filter }) => `${table}:${event}:${filter || '*'}`;
+
+/**
+ * Listens for inserts, updates or deletes on a table.
+ * RLS applies, so only rows the user can read are delivered. For deletes,
+ * `payload.old` only carries the primary key.
+ *
+ * @param {Object} options
+ * @param {string} options.table - Table in the public schema
+ * @param {'INSERT'|'UPDATE'|'DELETE'|'*'} [options.event='*'] - Which changes to receive
+ * @param {string} [options.filter] - Row filter, e.g. `user_id=eq.${userId}` (not applied to deletes)
+ * @param {function(Object): void} handler - Called with the change payload (`eventType`, `new`, `old`)
+ * @returns {function} Unsubscribe
+ */
+export const subscribeToTable = ({ table, event = '*', filter }, handler) => {
+  const key = subscriptionKey({ table, event, filter });
+  let subscription = subscriptions.get(key);
+
+  if (!subscription) {
+    const handlers = new Set();
+    const channel = supabase
+      .channel(`realtime:${key}`)
+      .on(
+        'postgres_changes',
+        { event, schema: 'public', table, ...(filter ? { filter } : {}) },
+        (payload) => {
+          handlers.forEach((listener) => {
+            try {
+              listener(payload);
+            } catch (error) {
+              console.error(`Error handling realtime change on ${table}:`, error);
+            }
+          });
+        }
+      )
+      .subscribe((status, error) => {
+        if (status === 'CHANNEL_ERROR' || status === 'TIMED_OUT') {
+          console.error(`Realtime subscription to ${key} failed:`, error?.message || status);
+        }
+      });
+
+    subscription = { channel, handlers };
+    subscriptions.set(key, subscription);
+  }
+
+  subscription.handlers.add(handler);
+
+  return () => {
+    subscription.handlers.delete(handler);
+    // Close the channel once nobody is listening (unless it was already replaced)
+    if (subscription.handlers.size === 0 && subscriptions.get(key) === subscription) {
+      subscriptions.delete(key);
+      supabase.removeChannel(subscription.channel);
+    }
+  };
+};
+
+/**
+ * Closes every realtime channel - called on sign-out so the next user
+ * doesn't receive the previous user's changes
+ * @returns {Promise<void>}
+ */
+export const removeAllSubscriptions = async () => {
+  const open = [...subscriptions.values()];
+  subscriptions.clear();
+  await Promise.all(open.map(({ channel }) => supabase.removeChannel(channel)));
+};
@@ -11,6 +11,8 @@ import {
   Easing,
   Platform,
   Switch, // Added Switch here
+  ScrollView,
+  Alert,
 } from 'react-native';
 import * as ImagePicker from 'expo-image-picker';
 import DropDownPicker from 'react-native-dropdown-picker';
@@ -20,14 +22,29 @@ import Toast from 'react-native-toast-message';
 import { useTheme } from '../../context/ThemeContext';
 import { Typography, Button, Input } from '../../theme/styled';
 import { useAuth } from '../../context/AuthContext';
+import { useCurrency } from '../../context/CurrencyContext';
 import { handleError } from '../../utils/errorHandler';
 import ErrorDisplay from '../../components/ErrorDisplay';
 import UnifiedImagePicker from '../../components/UnifiedImagePicker';
+import CurrencyPicker from '../../components/CurrencyPicker';
+import AcquisitionFields, { validateAcquisition } from '../../components/AcquisitionFields';
+import AttributeFields from '../../components/AttributeFields';
+import TagInput from '../../components/TagInput';
+import LocationPicker from '../../components/LocationPicker';
+import WishlistFields from '../../components/WishlistFields';
+import SaveSearchModal from '../../components/SaveSearchModal';
+import { useCustomFields } from '../../hooks/useCustomFields';
+import { useTags } from '../../hooks/useTags';
+import { useLocations } from '../../hooks/useLocations';
+import { fieldsForCategory, validateAttributes, normalizeAttributes } from '../../utils/fieldSchemas';
+import { ITEM_STATUS, validateTargetPrice } from '../../utils/wishlist';
+import { validateQuantity } from '../../utils/copies';
+import { listDrafts, renameDraft, draftTitle, hasDraftContent, hasAcquisitionDetails } from '../../data';
 
 import { identifyItemWithGemini } from '../../utils/aiHelper';
 import { AddItemProvider, useAddItem } from './AddItemContext';
 import { ACTIONS } from './itemReducer';
-import { uploadImage } from './imageUtils';
+import { downloadRemoteImage } from './imageUtils';
 import { validateForm, handleSaveError } from './formUtils';
 import { fetchCollections, saveItem } from './apiUtils';
 import { handleAnalysisComplete } from './aiUtils';
@@ -35,6 +52,8 @@ import { normalizeImageUri } from '../../utils/uriUtils';
 import { CATEGORIES, CONDITIONS, MAX_PHOTOS } from './constants';
 import { styles } from './styles'; // Assuming styles.js has been updated with options screen styles
 import BarcodeScannerScreen from './BarcodeScannerScreen'; // Added import
+import DraftsList from './DraftsList';
+import { useDraftAutosave } from './draftUtils';
 
 // The main component wrapper that provides context
 const AddItemScreenWrapper = ({ navigation, route }) => {
@@ -50,18 +69,42 @@ const AddItemScreenContent = ({ navigation, route }) => {
   const { state, dispatch } = useAddItem();
   const { theme, isDarkMode } = useTheme();
   const { currentUser } = useAuth();
+  const { displayCurrency } = useCurrency();
 
   const [showOptionsScreen, setShowOptionsScreen] = useState(true);
+  const [showPurchaseDetails, setShowPurchaseDetails] = useState(false);
+  const [acquisitionErrors, setAcquisitionErrors] = useState({});
+  const [attributeErrors, setAttributeErrors] = useState({});
+  const [targetPriceError, setTargetPriceError] = useState(null);
+  const [quantityError, setQuantityError] = useState(null);
+  const { customFields } = useCustomFields(currentUser?.id);
+  const { tags: knownTags, reload: reloadTags } = useTags(currentUser?.id);
+  const { locations, reload: reloadLocations } = useLocations(currentUser?.id);
+  const [drafts, setDrafts] = useState([]);
+  // The draft being named, or 'current' to save the form as a named draft
+  const [namingDraft, setNamingDraft] = useState(null);
+  const resumeOffered = useRef(false);
+  // Everything typed or picked is kept as a draft until the item is saved
+  const { saveNow, discard, whenSaved } = useDraftAutosave(currentUser?.id, state, dispatch, !showOptionsScreen);
 
   const {
     itemName,
     brand,
     value,
+    quantity,
+    currency,
     notes,
     selectedCategory,
     selectedCondition,
     selectedCollectionId,
+    selectedLocationId,
     isShared,
+    acquisition,
+    attributes,
+    tags,
+    status,
+    wishlist,
+    identifiers,
     images,
     categoryOpen,
     conditionOpen,
@@ -74,6 +117,8 @@ const AddItemScreenContent = ({ navigation, route }) => {
     errorMessage,
   } = state;
 
+  const isWanted = status === ITEM_STATUS.WANTED;
+  const attributeFields = fieldsForCategory(selectedCategory, customFields);
   const categoryPickerItems = CATEGORIES.map(category => ({ label: category, value: category }));
   const conditionPickerItems = CONDITIONS.map(condition => ({ label: condition, value: condition }));
   const buttonScale = useRef(new Animated.Value(1)).current;
@@ -84,6 +129,34 @@ const AddItemScreenContent = ({ navigation, route }) => {
     }
   }, [currentUser]);
 
+  // Picks up locations added through "Manage Locations"
+  useEffect(() => navigation.addListener('focus', reloadLocations), [navigation, reloadLocations]);
+
+  // The drafts list is on the options screen; the form's draft is saved on the way back to it
+  useEffect(() => {
+    if (showOptionsScreen) whenSaved().then(loadDrafts);
+  }, [showOptionsScreen, currentUser?.id]);
+
+  // Offer to carry on with the last draft when the screen opens, e.g. after the app was closed mid-entry
+  useEffect(() => {
+    if (!currentUser?.id || resumeOffered.current) return;
+    resumeOffered.current = true;
+    // Opened from a scan or "Add to wishlist", which start a new item
+    if (route.params?.barcodeData || route.params?.wishlist) return;
+
+    listDrafts(currentUser.id).then(([latestDraft]) => {
+      if (!latestDraft) return;
+      Alert.alert(
+        'Resume Draft?',
+        `You didn't finish adding "${draftTitle(latestDraft)}". Pick up where you left off?`,
+        [
+          { text: 'Not Now', style: 'cancel' },
+          { text: 'Resume', onPress: () => resumeDraft(latestDraft) },
+        ]
+      );
+    });
+  }, [currentUser?.id]);
+
   // Handle barcode data when received from scanner
   useEffect(() => {
     if (route.params?.barcodeData) {
@@ -92,17 +165,31 @@ const AddItemScreenContent = ({ navigation, route }) => {
       
       // If we have product info from lookup, pre-fill the form
       if (route.params.productInfo) {
-        const { name, brand, category } = route.params.productInfo;
+        const { name, brand, category, imageUrl } = route.params.productInfo;
         dispatch({ type: ACTIONS.SET_ITEM_NAME, payload: name || '' });
         dispatch({ type: ACTIONS.SET_BRAND, payload: brand || '' });
         if (category && CATEGORIES.includes(category)) {
           dispatch({ type: ACTIONS.SET_CATEGORY, payload: category });
         }
+        
+        // Bring the cover image in as a local photo so it uploads like any other
+        if (imageUrl) {
+          downloadRemoteImage(imageUrl).then(localUri => {
+            if (localUri) {
+              dispatch({ type: ACTIONS.ADD_IMAGE, payload: localUri });
+            }
+          });
+        }
       }
       
-      // Store the barcode in notes
+      dispatch({ type: ACTIONS.SET_IDENTIFIERS, payload: route.params.identifiers || [] });
+      
+      // Store the barcode in notes, along with the issue number from a comic/periodical add-on
       const existingNotes = state.notes || '';
-      const barcodeNote = `Barcode: ${route.params.barcodeData}`;
+      const addOnInfo = route.params.addOnInfo;
+      const barcodeNote = addOnInfo?.kind === 'issue'
+        ? `Barcode: ${route.params.barcodeData}\nIssue: #${addOnInfo.issue}`
+        : `Barcode: ${route.params.barcodeData}`;
       dispatch({ 
         type: ACTIONS.SET_NOTES, 
         payload: existingNotes ? `${existingNotes}\n${barcodeNote}` : barcodeNote 
@@ -110,6 +197,67 @@ const AddItemScreenContent = ({ navigation, route }) => {
     }
   }, [route.params?.barcodeData]);
 
+  // "Add to wishlist" goes straight to a blank form in wishlist mode
+  useEffect(() => {
+    if (route.params?.wishlist) {
+      dispatch({ type: ACTIONS.RESET_FORM });
+      dispatch({ type: ACTIONS.SET_STATUS, payload: ITEM_STATUS.WANTED });
+      setShowOptionsScreen(false);
+      navigation.setParams({ wishlist: undefined });
+    }
+  }, [route.params?.wishlist]);
+
+  const loadDrafts = async () => {
+    if (!currentUser?.id) return;
+    setDrafts(await listDrafts(currentUser.id));
+  };
+
+  const resumeDraft = async (draft) => {
+    // Keep what's in the form now before replacing it
+    await saveNow();
+    dispatch({ type: ACTIONS.LOAD_DRAFT, payload: draft });
+    setShowPurchaseDetails(hasAcquisitionDetails(draft.fields.acquisition));
+    setShowOptionsScreen(false);
+  };
+
+  const handleDeleteDraft = (draft) => {
+    Alert.alert(
+      'Delete Draft?',
+      `"${draftTitle(draft)}" and its photos will be deleted from this device.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: async () => {
+            // The form still holds a draft it was showing; don't save it again
+            if (state.draftId === draft.id) dispatch({ type: ACTIONS.RESET_FORM });
+            await discard(draft.id);
+            loadDrafts();
+          },
+        },
+      ]
+    );
+  };
+
+  const handleNameDraft = async (name) => {
+    try {
+      if (namingDraft === 'current') {
+        await saveNow({ name });
+        Toast.show({ type: 'success', text1: 'Draft Saved', text2: `Find "${name}" under Drafts to finish it later.` });
+        dispatch({ type: ACTIONS.RESET_FORM });
+        setShowOptionsScreen(true);
+      } else {
+        await renameDraft(currentUser.id, namingDraft.id, name);
+        loadDrafts();
+      }
+    } catch (error) {
+      handleError(error, 'AddItemScreen.handleNameDraft');
+    } finally {
+      setNamingDraft(null);
+    }
+  };
+
   const loadCollections = async () => {
     dispatch({ type: ACTIONS.SET_LOADING, payload: true });
     try {
@@ -176,31 +324,75 @@ const AddItemScreenContent = ({ navigation, route }) => {
     animateButtonPress();
     if (!validateForm(state, dispatch)) return;
 
-    dispatch({ type: ACTIONS.SET_SAVING, payload: true });
-    try {
-      let uploadedImageUrls = [];
-      if (images.length > 0) {
-        const uploadPromises = images.map(uri => uploadImage(uri, currentUser.id));
-        uploadedImageUrls = await Promise.all(uploadPromises);
+    const fieldErrors = validateAttributes(attributeFields, attributes);
+    setAttributeErrors(fieldErrors);
+    if (Object.keys(fieldErrors).length > 0) {
+      Toast.show({ type: 'error', text1: 'Check Item Details', text2: Object.values(fieldErrors)[0], position: 'bottom' });
+      return;
+    }
+
+    if (isWanted) {
+      const priceCheck = validateTargetPrice(wishlist.targetPrice);
+      setTargetPriceError(priceCheck.success ? null : priceCheck.message);
+      if (!priceCheck.success) {
+        Toast.show({ type: 'error', text1: 'Check Wishlist Details', text2: priceCheck.message, position: 'bottom' });
+        return;
+      }
+    } else {
+      const quantityCheck = validateQuantity(quantity);
+      setQuantityError(quantityCheck.success ? null : quantityCheck.message);
+      if (!quantityCheck.success) {
+        Toast.show({ type: 'error', text1: 'Check Quantity', text2: quantityCheck.message, position: 'bottom' });
+        return;
+      }
+
+      const purchaseErrors = validateAcquisition(acquisition);
+      setAcquisitionErrors(purchaseErrors);
+      if (Object.keys(purchaseErrors).length > 0) {
+        setShowPurchaseDetails(true);
+        Toast.show({ type: 'error', text1: 'Check Purchase Details', text2: Object.values(purchaseErrors)[0], position: 'bottom' });
+        return;
       }
+    }
 
+    dispatch({ type: ACTIONS.SET_SAVING, payload: true });
+    try {
       const itemData = {
-        user_id: currentUser.id,
-        name: itemName,
-        category: selectedCategory,
-        condition: selectedCondition,
-        brand: brand,
-        estimated_value: parseFloat(value) || 0,
-        notes: notes,
-        images: uploadedImageUrls,
-        collection_id: selectedCollectionId,
-        is_shared: isShared,
+        itemName,
+        notes,
+        selectedCategory,
+        selectedCondition,
+        brand,
+        value,
+        quantity,
+        currency: currency || displayCurrency,
+        selectedCollectionId,
+        selectedLocationId,
+        userId: currentUser.id,
+        isShared,
+        identifiers,
+        attributes: normalizeAttributes(attributeFields, attributes),
+        tags,
+        status,
+        wishlist,
+        acquisition: { ...acquisition, currency: acquisition.currency || currency || displayCurrency },
       };
 
-      await saveItem(itemData);
-      Toast.show({ type: 'success', text1: 'Item Saved!', text2: `${itemName} has been added to your collection.` });
+      // Photos are uploaded by the sync queue, so saving works offline too
+      const { synced } = await saveItem(itemData, images.filter(Boolean), collections);
+      // The queue has its own copies of the photos now
+      if (state.draftId) discard(state.draftId);
+      if (synced) {
+        Toast.show({ type: 'success', text1: 'Item Saved!', text2: `${itemName} has been added to your ${isWanted ? 'wishlist' : 'collection'}.` });
+      }
       dispatch({ type: ACTIONS.RESET_FORM });
-      navigation.navigate('MyItems');
+      if (tags.length > 0) reloadTags();
+      if (isWanted) {
+        setShowOptionsScreen(true);
+        navigation.navigate('My Items', { screen: 'Wishlist' });
+      } else {
+        navigation.navigate('MyItems');
+      }
     } catch (error) {
       handleSaveError(error, dispatch);
     } finally {
@@ -220,7 +412,7 @@ const AddItemScreenContent = ({ navigation, route }) => {
           <View style={{ width: 40 }} /> {/* Spacer */}
         </View>
 
-        <View style={styles.optionsContainer}>
+        <ScrollView style={styles.optionsContainer} contentContainerStyle={styles.optionsContent}>
           <Typography.H3 style={[styles.optionsTitle, {color: theme.colors.text}]}>Choose how to add your item</Typography.H3>
 
           <TouchableOpacity style={[styles.optionButton, {backgroundColor: theme.colors.card}]} onPress={() => navigation.navigate('BarcodeScannerScreen')}>
@@ -232,6 +424,24 @@ const AddItemScreenContent = ({ navigation, route }) => {
             <Ionicons name="chevron-forward" size={24} color={theme.colors.textSecondary} />
           </TouchableOpacity>
 
+          <TouchableOpacity style={[styles.optionButton, {backgroundColor: theme.colors.card}]} onPress={() => navigation.navigate('BarcodeScannerScreen', { batch: true })}>
+            <Ionicons name="layers-outline" size={36} color={theme.colors.primary} style={styles.optionIcon} />
+            <View style={styles.optionTextContainer}>
+              <Typography.H3 style={[styles.optionTitle, {color: theme.colors.text}]}>Batch Scan</Typography.H3>
+              <Typography.Body style={[styles.optionDescription, {color: theme.colors.textSecondary}]}>Scan a shelf of items in one go and review them together</Typography.Body>
+            </View>
+            <Ionicons name="chevron-forward" size={24} color={theme.colors.textSecondary} />
+          </TouchableOpacity>
+
+          <TouchableOpacity style={[styles.optionButton, {backgroundColor: theme.colors.card}]} onPress={() => navigation.navigate('PhotoImport')}>
+            <Ionicons name="images-outline" size={36} color={theme.colors.primary} style={styles.optionIcon} />
+            <View style={styles.optionTextContainer}>
+              <Typography.H3 style={[styles.optionTitle, {color: theme.colors.text}]}>Import Photos</Typography.H3>
+              <Typography.Body style={[styles.optionDescription, {color: theme.colors.textSecondary}]}>Pick many photos at once and let AI turn them into items</Typography.Body>
+            </View>
+            <Ionicons name="chevron-forward" size={24} color={theme.colors.textSecondary} />
+          </TouchableOpacity>
+
           <TouchableOpacity style={[styles.optionButton, {backgroundColor: theme.colors.card}]} onPress={handleAIAnalysisOption}>
             <Ionicons name="sparkles-outline" size={36} color={theme.colors.primary} style={styles.optionIcon} />
             <View style={styles.optionTextContainer}>
@@ -249,7 +459,23 @@ const AddItemScreenContent = ({ navigation, route }) => {
             </View>
             <Ionicons name="chevron-forward" size={24} color={theme.colors.textSecondary} />
           </TouchableOpacity>
-        </View>
+
+          <TouchableOpacity style={[styles.optionButton, {backgroundColor: theme.colors.card}]} onPress={() => { dispatch({ type: ACTIONS.RESET_FORM }); dispatch({ type: ACTIONS.SET_STATUS, payload: ITEM_STATUS.WANTED }); setShowOptionsScreen(false); }}>
+            <Ionicons name="heart-outline" size={36} color={theme.colors.primary} style={styles.optionIcon} />
+            <View style={styles.optionTextContainer}>
+              <Typography.H3 style={[styles.optionTitle, {color: theme.colors.text}]}>Add to Wishlist</Typography.H3>
+              <Typography.Body style={[styles.optionDescription, {color: theme.colors.textSecondary}]}>Track something you're hunting for, with a target price</Typography.Body>
+            </View>
+            <Ionicons name="chevron-forward" size={24} color={theme.colors.textSecondary} />
+          </TouchableOpacity>
+
+          <DraftsList
+            drafts={drafts}
+            onResume={resumeDraft}
+            onRename={setNamingDraft}
+            onDelete={handleDeleteDraft}
+          />
+        </ScrollView>
       </View>
       {loading && (
         <View style={styles.loadingContainer}>
@@ -269,7 +495,15 @@ const AddItemScreenContent = ({ navigation, route }) => {
             <Ionicons name="arrow-back" size={24} color={theme.colors.text} />
           </TouchableOpacity>
           <Typography.H2 style={[styles.headerTitle, { color: theme.colors.text }]}>Add New Item Details</Typography.H2>
-          <View style={{ width: 40 }} /> {/* Spacer */}
+          <TouchableOpacity
+            style={styles.backButton}
+            onPress={() => setNamingDraft('current')}
+            disabled={!hasDraftContent(state)}
+            accessibilityLabel="Save as draft"
+            accessibilityRole="button"
+          >
+            <Ionicons name="bookmark-outline" size={24} color={hasDraftContent(state) ? theme.colors.text : theme.colors.textTertiary} />
+          </TouchableOpacity>
         </View>
 
         {hasError && <ErrorDisplay message={errorMessage} onDismiss={() => dispatch({ type: ACTIONS.CLEAR_ERROR })} />}
@@ -288,6 +522,27 @@ const AddItemScreenContent = ({ navigation, route }) => {
               <View style={styles.formSection}>
                 <Typography.H3 style={[styles.sectionTitle, {color: theme.colors.text}]}>Item Details</Typography.H3>
                 
+                <View style={styles.statusToggle}>
+                  {[
+                    { value: ITEM_STATUS.OWNED, label: 'I Own This', icon: 'checkmark-circle-outline' },
+                    { value: ITEM_STATUS.WANTED, label: 'On My Wishlist', icon: 'heart-outline' },
+                  ].map(option => {
+                    const isSelected = status === option.value;
+                    return (
+                      <TouchableOpacity
+                        key={option.value}
+                        style={[styles.statusOption, isSelected && { backgroundColor: theme.colors.primary }]}
+                        onPress={() => dispatch({ type: ACTIONS.SET_STATUS, payload: option.value })}
+                        accessibilityRole="button"
+                        accessibilityState={{ selected: isSelected }}
+                      >
+                        <Ionicons name={option.icon} size={16} color={isSelected ? 'white' : theme.colors.text} />
+                        <Typography.Label style={[styles.statusOptionText, { color: isSelected ? 'white' : theme.colors.text }]}>{option.label}</Typography.Label>
+                      </TouchableOpacity>
+                    );
+                  })}
+                </View>
+
                 <View style={styles.inputContainer}>
                   <Typography.Label style={[styles.inputLabel, {color: theme.colors.text}]}>Item Name*</Typography.Label>
                   <Input.Primary placeholder="Enter item name" value={itemName} onChangeText={text => dispatch({ type: ACTIONS.SET_ITEM_NAME, payload: text })} style={styles.input} />
@@ -299,8 +554,8 @@ const AddItemScreenContent = ({ navigation, route }) => {
                     open={categoryOpen}
                     value={selectedCategory}
                     items={categoryPickerItems}
-                    setOpen={open => dispatch({ type: ACTIONS.SET_CATEGORY_OPEN, payload: open })}
-                    setValue={val => dispatch({ type: ACTIONS.SET_SELECTED_CATEGORY, payload: val() })}
+                    setOpen={open => dispatch({ type: ACTIONS.SET_DROPDOWN_OPEN, payload: { dropdown: 'categoryOpen', isOpen: typeof open === 'function' ? open(categoryOpen) : open } })}
+                    setValue={val => dispatch({ type: ACTIONS.SET_CATEGORY, payload: val(selectedCategory) })}
                     listMode="SCROLLVIEW"
                     style={styles.dropdown}
                     containerStyle={styles.dropdownContainerStyle}
@@ -342,9 +597,74 @@ const AddItemScreenContent = ({ navigation, route }) => {
                   <Input.Primary placeholder="Enter brand or manufacturer" value={brand} onChangeText={text => dispatch({ type: ACTIONS.SET_BRAND, payload: text })} style={styles.input} />
                 </View>
 
+                {attributeFields.length > 0 && (
+                  <View style={styles.inputContainer}>
+                    <Typography.Label style={[styles.inputLabel, {color: theme.colors.text}]}>{selectedCategory ? `${selectedCategory} Details` : 'More Details'}</Typography.Label>
+                    <AttributeFields
+                      fields={attributeFields}
+                      values={attributes}
+                      onChange={(key, fieldValue) => dispatch({ type: ACTIONS.SET_ATTRIBUTE, payload: { key, value: fieldValue } })}
+                      errors={attributeErrors}
+                    />
+                  </View>
+                )}
+
                 <View style={styles.inputContainer}>
                   <Typography.Label style={[styles.inputLabel, {color: theme.colors.text}]}>Estimated Value</Typography.Label>
                   <Input.Primary placeholder="0.00" value={value} onChangeText={text => dispatch({ type: ACTIONS.SET_VALUE, payload: text })} keyboardType="numeric" style={styles.input} />
+                  <CurrencyPicker selected={currency || displayCurrency} onSelect={code => dispatch({ type: ACTIONS.SET_CURRENCY, payload: code })} />
+                </View>
+
+                {!isWanted && (
+                  <View style={styles.inputContainer}>
+                    <Typography.Label style={[styles.inputLabel, {color: theme.colors.text}]}>Quantity</Typography.Label>
+                    <Input.Primary placeholder="1" value={quantity} onChangeText={text => dispatch({ type: ACTIONS.SET_QUANTITY, payload: text.replace(/[^0-9]/g, '') })} keyboardType="number-pad" style={styles.input} />
+                    {quantityError && <Typography.BodySmall style={styles.errorText}>{quantityError}</Typography.BodySmall>}
+                  </View>
+                )}
+
+                {!isWanted && (
+                  <View style={styles.inputContainer}>
+                    <Typography.Label style={[styles.inputLabel, {color: theme.colors.text}]}>Storage Location (Optional)</Typography.Label>
+                    <LocationPicker
+                      locations={locations}
+                      selectedId={selectedLocationId}
+                      onSelect={locationId => dispatch({ type: ACTIONS.SET_LOCATION, payload: locationId })}
+                      onManage={() => navigation.navigate('My Items', { screen: 'Locations' })}
+                    />
+                  </View>
+                )}
+
+                {isWanted ? (
+                  <View style={styles.inputContainer}>
+                    <Typography.Label style={[styles.inputLabel, {color: theme.colors.text}]}>Wishlist Details</Typography.Label>
+                    <WishlistFields
+                      targetPrice={wishlist.targetPrice}
+                      priority={wishlist.priority}
+                      currency={currency || displayCurrency}
+                      onChange={fields => dispatch({ type: ACTIONS.SET_WISHLIST, payload: fields })}
+                      error={targetPriceError}
+                    />
+                  </View>
+                ) : (
+                  <View style={styles.inputContainer}>
+                    <TouchableOpacity style={styles.sectionToggle} onPress={() => setShowPurchaseDetails(!showPurchaseDetails)} accessibilityRole="button">
+                      <Typography.Label style={[styles.inputLabel, {color: theme.colors.text}]}>Purchase Details (Optional)</Typography.Label>
+                      <Ionicons name={showPurchaseDetails ? 'chevron-up' : 'chevron-down'} size={18} color={theme.colors.text} />
+                    </TouchableOpacity>
+                    {showPurchaseDetails && (
+                      <AcquisitionFields
+                        acquisition={{ ...acquisition, currency: acquisition.currency || currency || displayCurrency }}
+                        onChange={fields => dispatch({ type: ACTIONS.SET_ACQUISITION, payload: fields })}
+                        errors={acquisitionErrors}
+                      />
+                    )}
+                  </View>
+                )}
+
+                <View style={styles.inputContainer}>
+                  <Typography.Label style={[styles.inputLabel, {color: theme.colors.text}]}>Tags</Typography.Label>
+                  <TagInput tags={tags} onChange={newTags => dispatch({ type: ACTIONS.SET_TAGS, payload: newTags })} knownTags={knownTags} />
                 </View>
 
                 <View style={styles.inputContainer}>
@@ -376,12 +696,12 @@ const AddItemScreenContent = ({ navigation, route }) => {
                 
                  <View style={styles.switchContainer}>
                   <Typography.Label style={[styles.switchLabel, {color: theme.colors.text}]}>Share with Community</Typography.Label>
-                  <Switch trackColor={{ false: theme.colors.disabled, true: theme.colors.primary }} thumbColor={isDarkMode ? theme.colors.surface : theme.colors.surface } ios_backgroundColor={theme.colors.disabled} onValueChange={() => dispatch({ type: ACTIONS.TOGGLE_IS_SHARED })} value={isShared} />
+                  <Switch trackColor={{ false: theme.colors.disabled, true: theme.colors.primary }} thumbColor={isDarkMode ? theme.colors.surface : theme.colors.surface } ios_backgroundColor={theme.colors.disabled} onValueChange={() => dispatch({ type: ACTIONS.SET_IS_SHARED, payload: !isShared })} value={isShared} />
                 </View>
               </View>
 
               <Animated.View style={{ transform: [{ scale: buttonScale }] }}>
-                <Button.Primary title={saving ? 'Saving...' : 'Save Item'} onPress={handleSave} style={styles.saveButton} disabled={saving} />
+                <Button.Primary title={saving ? 'Saving...' : isWanted ? 'Add to Wishlist' : 'Save Item'} onPress={handleSave} style={styles.saveButton} disabled={saving} />
               </Animated.View>
             </View>
           )}
@@ -399,7 +719,20 @@ const AddItemScreenContent = ({ navigation, route }) => {
     </SafeAreaView>
   );
 
-  return showOptionsScreen ? renderOptionsScreen() : renderFormScreen();
+  return (
+    <>
+      {showOptionsScreen ? renderOptionsScreen() : renderFormScreen()}
+      <SaveSearchModal
+        visible={!!namingDraft}
+        title={namingDraft === 'current' ? 'Save Draft' : 'Name Draft'}
+        initialName={namingDraft === 'current' ? itemName : namingDraft?.name || namingDraft?.fields.itemName || ''}
+        placeholder="e.g. Flea market finds"
+        summary="Drafts are kept on this device until the item is saved."
+        onSave={handleNameDraft}
+        onCancel={() => setNamingDraft(null)}
+      />
+    </>
+  );
 };
 
 export default AddItemScreenWrapper;
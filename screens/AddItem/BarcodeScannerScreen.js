@@ -1,10 +1,16 @@
 import React, { useState, useEffect, useRef } from 'react';
-import { View, StyleSheet, Button, Linking, Platform, TouchableOpacity, ActivityIndicator, Alert, SafeAreaView, StatusBar } from 'react-native';
+import { View, StyleSheet, Button, Linking, Platform, TouchableOpacity, ActivityIndicator, Alert, SafeAreaView, StatusBar, ScrollView, Vibration } from 'react-native';
 import { CameraView, useCameraPermissions } from 'expo-camera';
 import { useNavigation, useRoute } from '@react-navigation/native';
 import { useTheme } from '@react-navigation/native';
 import { Ionicons } from '@expo/vector-icons';
 import { Typography } from '../../theme/styled';
+import { useAuth } from '../../context/AuthContext';
+import { lookupBarcode } from '../../lib/barcodeLookup';
+import { parseBarcode } from '../../utils/barcodeParser';
+
+// How long a rejected (misread) code is ignored before we complain about it again
+const REJECT_COOLDOWN = 2000;
 
 export default function BarcodeScannerScreen() {
   const [permission, requestPermission] = useCameraPermissions();
@@ -13,13 +19,27 @@ export default function BarcodeScannerScreen() {
   const [hasPermission, setHasPermission] = useState(null);
   const [flashMode, setFlashMode] = useState('off');
   const cameraRef = useRef(null);
+  // Codes already taken in this batch - a ref so repeated camera callbacks are dropped immediately
+  const seenCodesRef = useRef(new Set());
+  const lastRejectRef = useRef({ code: null, at: 0 });
+  const [rejectMessage, setRejectMessage] = useState(null);
   const navigation = useNavigation();
   const route = useRoute();
   const { colors } = useTheme();
+  const { user } = useAuth();
+  const [batchMode, setBatchMode] = useState(route.params?.batch === true);
+  const [batchScans, setBatchScans] = useState([]);
+  // Latest scans for handleReviewBatch, which reads them after awaiting lookups
+  const batchScansRef = useRef([]);
+  // Each batch scan's lookup, resolving to the changes it makes to the scan
+  const batchLookupsRef = useRef(new Map());
+  const [waitingForLookups, setWaitingForLookups] = useState(false);
   
   // Get the mode from route params (default to 'add' if not specified)
   // 'add' - Used in Add Item flow, returns data to previous screen
-  // 'lookup' - Used from Home screen, looks up product and navigates to Add screen
+  // 'lookup' - Used from Home screen, navigates across to the Add tab
+  // Both modes look the product up before handing over to the Add form
+  // Passing `batch: true` starts in continuous batch-scan mode
   const mode = route.params?.mode || 'add';
 
   useEffect(() => {
@@ -33,69 +53,147 @@ export default function BarcodeScannerScreen() {
     setFlashMode(current => (current === 'off' ? 'torch' : 'off'));
   };
 
-  // Mock product lookup function (similar to the original scanner)
-  // In a real app, this would connect to a product database API
-  const lookupBarcode = async (barcode) => {
-    setLoading(true);
-    console.log('Looking up barcode:', barcode);
+  useEffect(() => {
+    batchScansRef.current = batchScans;
+  }, [batchScans]);
+
+  const updateBatchScan = (code, changes) => {
+    setBatchScans(current => current.map(scan => (scan.code === code ? { ...scan, ...changes } : scan)));
+  };
+
+  // Misreads keep the camera running; the message is throttled so a code held
+  // in front of the camera doesn't flash continuously
+  const rejectScan = (parsed) => {
+    const now = Date.now();
+    if (lastRejectRef.current.code === parsed.code && now - lastRejectRef.current.at < REJECT_COOLDOWN) return;
     
-    // Simulate API delay
-    await new Promise(resolve => setTimeout(resolve, 1000));
+    lastRejectRef.current = { code: parsed.code, at: now };
+    console.log(`Rejected barcode ${parsed.code}: ${parsed.error}`);
+    setRejectMessage(`${parsed.error} - try again`);
+    setTimeout(() => setRejectMessage(null), REJECT_COOLDOWN);
+  };
+
+  // Batch mode keeps the camera running and looks codes up in the background
+  const handleBatchScan = async (parsed, type) => {
+    const code = parsed.code;
+    if (!code || seenCodesRef.current.has(code)) return;
+    
+    seenCodesRef.current.add(code);
+    Vibration.vibrate(50);
+    console.log(`Batch barcode scanned: Type: ${type}, Data: ${code}`);
+    setBatchScans(current => [{ code, type, identifiers: parsed.identifiers, status: 'looking', product: null }, ...current]);
+    
+    const lookup = lookupBarcode(parsed.lookupCode, { userId: user?.id })
+      .then(product => ({ status: product ? 'found' : 'not_found', product }))
+      .catch(error => {
+        console.error('Error looking up barcode:', error);
+        return { status: 'error' };
+      });
+    batchLookupsRef.current.set(code, lookup);
+    updateBatchScan(code, await lookup);
+  };
 
-    // Mock database with a few sample products
-    if (barcode === '9780201896831') {
-      return {
-        name: 'The Art of Computer Programming',
-        brand: 'Addison-Wesley',
-        category: 'Books',
-      };
-    } else if (barcode === '5449000131805') {
-      return {
-        name: 'Coca-Cola Classic',
-        brand: 'Coca-Cola',
-        category: 'Memorabilia',
-      };
+  const removeBatchScan = (code) => {
+    seenCodesRef.current.delete(code);
+    batchLookupsRef.current.delete(code);
+    setBatchScans(current => current.filter(scan => scan.code !== code));
+  };
+
+  const toggleBatchMode = () => {
+    if (batchMode && batchScans.length > 0) {
+      Alert.alert(
+        'Leave Batch Mode?',
+        `You have ${batchScans.length} scanned ${batchScans.length === 1 ? 'item' : 'items'} that will be discarded.`,
+        [
+          { text: 'Cancel', style: 'cancel' },
+          {
+            text: 'Discard',
+            style: 'destructive',
+            onPress: () => {
+              seenCodesRef.current.clear();
+              batchLookupsRef.current.clear();
+              setBatchScans([]);
+              setBatchMode(false);
+            },
+          },
+        ]
+      );
+      return;
     }
-    return null;
+    setScanned(false);
+    setBatchMode(current => !current);
   };
 
-  const handleBarCodeScanned = async ({ type, data }) => {
-    setScanned(true);
-    console.log(`Barcode scanned: Type: ${type}, Data: ${data}`);
+  // Review only once every lookup is done, so products still being looked up
+  // don't show as not found. The lookup results are applied here rather than
+  // read back from state, which may not have re-rendered yet.
+  const handleReviewBatch = async () => {
+    setWaitingForLookups(true);
+    const results = await Promise.all(
+      [...batchLookupsRef.current].map(async ([code, lookup]) => [code, await lookup])
+    );
+    setWaitingForLookups(false);
+
+    const changesByCode = new Map(results);
+    const scans = batchScansRef.current.map(scan => (
+      changesByCode.has(scan.code) ? { ...scan, ...changesByCode.get(scan.code) } : scan
+    ));
+    const params = { scans };
     
     if (mode === 'lookup') {
-      // Home screen flow - lookup product and navigate to Add
-      try {
-        setLoading(true);
-        Alert.alert(`Barcode Scanned!`, `Type: ${type}\nData: ${data}\n\nLooking up product...`);
-        
-        const productInfo = await lookupBarcode(data);
-        
-        if (productInfo) {
-          Alert.alert('Product Found!', `Name: ${productInfo.name}\nBrand: ${productInfo.brand}`);
-        } else {
-          Alert.alert('Product Not Found', 'No information found for this barcode.');
-        }
+      navigation.navigate('Add', { screen: 'BatchScanReview', params });
+    } else {
+      navigation.navigate('BatchScanReview', params);
+    }
+  };
 
-        // Navigate to Add screen with barcode data
-        navigation.navigate('AddMain', {
-          barcodeData: data,
-          productInfo: productInfo || null,
-        });
-      } catch (error) {
-        console.error('Error looking up barcode:', error);
-        Alert.alert('Error', 'Could not process barcode.');
-      } finally {
-        setLoading(false);
+  const handleBarCodeScanned = async ({ type, data }) => {
+    // Reject codes that fail their check digit rather than looking up a misread
+    const parsed = parseBarcode(data, type);
+    if (!parsed.valid) {
+      rejectScan(parsed);
+      return;
+    }
+    
+    if (batchMode) {
+      handleBatchScan(parsed, type);
+      return;
+    }
+    
+    setScanned(true);
+    console.log(`Barcode scanned: Type: ${type}, Data: ${parsed.code}`);
+    
+    let productInfo = null;
+    try {
+      // Run the barcode through the lookup provider chain
+      setLoading(true);
+      productInfo = await lookupBarcode(parsed.lookupCode, { userId: user?.id });
+      
+      if (productInfo) {
+        Alert.alert('Product Found!', `Name: ${productInfo.name}\nBrand: ${productInfo.brand || 'Unknown'}`);
+      } else {
+        Alert.alert('Product Not Found', 'No information found for this barcode. You can still fill in the details yourself.');
       }
+    } catch (error) {
+      console.error('Error looking up barcode:', error);
+      Alert.alert('Error', 'Could not look up this barcode.');
+    } finally {
+      setLoading(false);
+    }
+    
+    const params = {
+      barcodeData: parsed.code,
+      identifiers: parsed.identifiers,
+      addOnInfo: parsed.addOnInfo,
+      productInfo,
+    };
+    
+    if (mode === 'lookup') {
+      // Home screen flow - the Add form lives in another tab
+      navigation.navigate('Add', { screen: 'AddMain', params });
     } else {
-      // Add Item flow - return data to previous screen
-      Alert.alert(`Barcode Scanned!`, `Type: ${type}\nData: ${data}`);
-      
-      // Navigate back to the previous screen with the scanned data
-      navigation.navigate('AddMain', { 
-        barcodeData: data 
-      });
+      // Add Item flow - return data to the form
+      navigation.navigate('AddMain', params);
     }
   };
 
@@ -161,7 +259,7 @@ export default function BarcodeScannerScreen() {
     <View style={styles.container}>
       <CameraView
         ref={cameraRef}
-        onBarcodeScanned={scanned ? undefined : handleBarCodeScanned}
+        onBarcodeScanned={scanned && !batchMode ? undefined : handleBarCodeScanned}
         barcodeScannerSettings={{
           barcodeTypes: ["qr", "ean13", "ean8", "upc_a", "upc_e", "code39", "code93", "code128", "codabar", "itf", "pdf417", "aztec", "datamatrix"],
         }}
@@ -177,17 +275,25 @@ export default function BarcodeScannerScreen() {
         >
           <Ionicons name="close" size={28} color="#FFFFFF" />
         </TouchableOpacity>
-        <Typography.H3 style={styles.title}>Scan Barcode</Typography.H3>
-        <TouchableOpacity 
-          style={styles.buttonIcon}
-          onPress={toggleFlash}
-        >
-          <Ionicons 
-            name={flashMode === 'off' ? 'flash-off' : 'flash'} 
-            size={28} 
-            color="#FFFFFF" 
-          />
-        </TouchableOpacity>
+        <Typography.H3 style={styles.title}>{batchMode ? 'Batch Scan' : 'Scan Barcode'}</Typography.H3>
+        <View style={styles.topBarActions}>
+          <TouchableOpacity 
+            style={[styles.buttonIcon, batchMode && { backgroundColor: colors.primary }]}
+            onPress={toggleBatchMode}
+          >
+            <Ionicons name="layers" size={24} color="#FFFFFF" />
+          </TouchableOpacity>
+          <TouchableOpacity 
+            style={[styles.buttonIcon, { marginLeft: 8 }]}
+            onPress={toggleFlash}
+          >
+            <Ionicons 
+              name={flashMode === 'off' ? 'flash-off' : 'flash'} 
+              size={28} 
+              color="#FFFFFF" 
+            />
+          </TouchableOpacity>
+        </View>
       </SafeAreaView>
       
       {/* Viewfinder */}
@@ -198,11 +304,65 @@ export default function BarcodeScannerScreen() {
         <View style={styles.bottomRightCorner} />
       </View>
       
-      <Typography.BodySmall style={styles.helpText}>Align barcode within the frame to scan</Typography.BodySmall>
+      {rejectMessage && (
+        <View style={styles.rejectBanner}>
+          <Ionicons name="warning" size={18} color="#FFFFFF" style={{ marginRight: 6 }} />
+          <Typography.BodySmall style={styles.rejectText}>{rejectMessage}</Typography.BodySmall>
+        </View>
+      )}
+      
+      <Typography.BodySmall style={styles.helpText}>
+        {batchMode ? 'Keep scanning - each new barcode is added to the batch' : 'Align barcode within the frame to scan'}
+      </Typography.BodySmall>
       
       {/* Bottom Bar */}
       <SafeAreaView style={styles.bottomBar}>
-        {scanned ? (
+        {batchMode ? (
+          <View style={styles.batchPanel}>
+            {batchScans.length > 0 && (
+              <ScrollView style={styles.batchList} contentContainerStyle={{ paddingVertical: 4 }}>
+                {batchScans.map(scan => (
+                  <View key={scan.code} style={styles.batchRow}>
+                    {scan.status === 'looking' ? (
+                      <ActivityIndicator size="small" color="#FFFFFF" />
+                    ) : (
+                      <Ionicons
+                        name={scan.status === 'found' ? 'checkmark-circle' : 'help-circle'}
+                        size={20}
+                        color={scan.status === 'found' ? '#4CAF50' : '#FFC107'}
+                      />
+                    )}
+                    <View style={styles.batchRowText}>
+                      <Typography.Body style={styles.batchRowTitle} numberOfLines={1}>
+                        {scan.product?.name || (scan.status === 'looking' ? 'Looking up...' : 'Unknown product')}
+                      </Typography.Body>
+                      <Typography.BodySmall style={styles.batchRowCode}>{scan.code}</Typography.BodySmall>
+                    </View>
+                    <TouchableOpacity onPress={() => removeBatchScan(scan.code)}>
+                      <Ionicons name="close-circle" size={20} color="rgba(255, 255, 255, 0.7)" />
+                    </TouchableOpacity>
+                  </View>
+                ))}
+              </ScrollView>
+            )}
+            <TouchableOpacity 
+              style={[styles.button, { backgroundColor: colors.primary }, (batchScans.length === 0 || waitingForLookups) && { opacity: 0.5 }]}
+              onPress={handleReviewBatch}
+              disabled={batchScans.length === 0 || waitingForLookups}
+            >
+              {waitingForLookups ? (
+                <ActivityIndicator size="small" color="#FFFFFF" style={{ marginRight: 8 }} />
+              ) : (
+                <Ionicons name="list" size={20} color="#FFFFFF" style={{ marginRight: 8 }} />
+              )}
+              <Typography.Body style={styles.buttonText}>
+                {batchScans.length === 0
+                  ? 'Scan items to start'
+                  : waitingForLookups ? 'Finishing lookups...' : `Review (${batchScans.length})`}
+              </Typography.Body>
+            </TouchableOpacity>
+          </View>
+        ) : scanned ? (
           <TouchableOpacity 
             style={[styles.button, { backgroundColor: colors.primary }]}
             onPress={() => setScanned(false)}
@@ -255,6 +415,10 @@ const styles = StyleSheet.create({
     alignItems: 'center',
     zIndex: 10,
   },
+  topBarActions: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
   buttonIcon: {
     width: 44,
     height: 44,
@@ -334,6 +498,22 @@ const styles = StyleSheet.create({
     padding: 10,
     borderRadius: 20,
   },
+  rejectBanner: {
+    position: 'absolute',
+    top: '22%',
+    alignSelf: 'center',
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: 'rgba(231, 76, 60, 0.9)',
+    paddingVertical: 8,
+    paddingHorizontal: 14,
+    borderRadius: 20,
+    zIndex: 10,
+  },
+  rejectText: {
+    color: '#FFFFFF',
+    fontSize: 14,
+  },
   button: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -348,6 +528,35 @@ const styles = StyleSheet.create({
     fontSize: 16,
     fontWeight: '600',
   },
+  batchPanel: {
+    width: '100%',
+    alignItems: 'center',
+  },
+  batchList: {
+    width: '100%',
+    maxHeight: 180,
+    marginBottom: 12,
+    borderRadius: 12,
+    backgroundColor: 'rgba(0, 0, 0, 0.6)',
+  },
+  batchRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+  },
+  batchRowText: {
+    flex: 1,
+    marginHorizontal: 10,
+  },
+  batchRowTitle: {
+    color: '#FFFFFF',
+    fontSize: 14,
+  },
+  batchRowCode: {
+    color: 'rgba(255, 255, 255, 0.6)',
+    fontSize: 12,
+  },
   scanIndicator: {
     width: '100%',
     height: 4,
@@ -0,0 +1,305 @@
+import React, { useEffect, useState } from 'react';
+import {
+  View,
+  FlatList,
+  TextInput,
+  TouchableOpacity,
+  ActivityIndicator,
+  SafeAreaView,
+  Image,
+  Alert,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+
+import { useTheme } from '../../context/ThemeContext';
+import { useAuth } from '../../context/AuthContext';
+import { Typography, Button, createThemedStyles } from '../../theme/styled';
+import { handleError, ERROR_CATEGORIES } from '../../utils/errorHandler';
+import { fetchCollections, saveItemsBatch } from './apiUtils';
+import { uploadImage, downloadRemoteImage } from './imageUtils';
+
+// Builds an editable review entry from a scan made in batch mode
+const toReviewEntry = (scan) => ({
+  code: scan.code,
+  name: scan.product?.name || '',
+  brand: scan.product?.brand || '',
+  category: scan.product?.category || 'Other',
+  imageUrl: scan.product?.imageUrl || null,
+  identifiers: scan.identifiers || [scan.code],
+  found: !!scan.product,
+});
+
+export default function BatchScanReviewScreen({ navigation, route }) {
+  const { theme } = useTheme();
+  const { user } = useAuth();
+
+  const [entries, setEntries] = useState(() => (route.params?.scans || []).map(toReviewEntry));
+  const [collections, setCollections] = useState([]);
+  const [selectedCollectionId, setSelectedCollectionId] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [progress, setProgress] = useState('');
+
+  useEffect(() => {
+    if (!user?.id) return;
+
+    fetchCollections(user.id)
+      .then(setCollections)
+      .catch(error => handleError(error, 'BatchScanReviewScreen.loadCollections', ERROR_CATEGORIES.DATABASE, 'Could not load your collections'));
+  }, [user?.id]);
+
+  const updateEntry = (code, changes) => {
+    setEntries(current => current.map(entry => (entry.code === code ? { ...entry, ...changes } : entry)));
+  };
+
+  const removeEntry = (code) => {
+    setEntries(current => current.filter(entry => entry.code !== code));
+  };
+
+  // Product images are remote - copy them into our own storage before saving
+  const uploadCoverImage = async (imageUrl) => {
+    if (!imageUrl) return [];
+
+    const localUri = await downloadRemoteImage(imageUrl);
+    if (!localUri) return [];
+
+    const uploadedUrl = await uploadImage(localUri);
+    return uploadedUrl ? [uploadedUrl] : [];
+  };
+
+  const handleCreateAll = async () => {
+    if (!user?.id || entries.length === 0) return;
+
+    setSaving(true);
+    try {
+      const itemsData = [];
+      for (let index = 0; index < entries.length; index++) {
+        const entry = entries[index];
+        setProgress(`Preparing ${index + 1} of ${entries.length}...`);
+
+        itemsData.push({
+          itemName: entry.name.trim() || `Unknown item (${entry.code})`,
+          brand: entry.brand.trim(),
+          notes: `Barcode: ${entry.code}`,
+          selectedCategory: entry.category,
+          selectedCondition: null,
+          value: null,
+          selectedCollectionId,
+          userId: user.id,
+          isShared: false,
+          identifiers: entry.identifiers,
+          photoUrls: await uploadCoverImage(entry.imageUrl),
+        });
+      }
+
+      setProgress(`Creating ${itemsData.length} items...`);
+      await saveItemsBatch(itemsData, collections);
+
+      navigation.navigate('AddMain');
+    } catch (error) {
+      handleError(error, 'BatchScanReviewScreen.handleCreateAll', ERROR_CATEGORIES.DATABASE, 'Failed to create the scanned items. Please try again.');
+    } finally {
+      setSaving(false);
+      setProgress('');
+    }
+  };
+
+  const confirmDiscard = () => {
+    Alert.alert(
+      'Discard Batch?',
+      'None of the scanned items will be saved.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Discard', style: 'destructive', onPress: () => navigation.navigate('AddMain') },
+      ]
+    );
+  };
+
+  const renderEntry = ({ item: entry }) => (
+    <View style={[styles.entry, { backgroundColor: theme.colors.card }]}>
+      {entry.imageUrl ? (
+        <Image source={{ uri: entry.imageUrl }} style={styles.thumbnail} />
+      ) : (
+        <View style={[styles.thumbnail, styles.thumbnailPlaceholder, { backgroundColor: theme.colors.background }]}>
+          <Ionicons name="barcode-outline" size={24} color={theme.colors.textSecondary} />
+        </View>
+      )}
+      <View style={styles.entryFields}>
+        <TextInput
+          style={[styles.entryInput, { color: theme.colors.text, borderColor: theme.colors.divider }]}
+          value={entry.name}
+          onChangeText={text => updateEntry(entry.code, { name: text })}
+          placeholder="Item name"
+          placeholderTextColor={theme.colors.textSecondary}
+          editable={!saving}
+        />
+        <TextInput
+          style={[styles.entryInput, { color: theme.colors.text, borderColor: theme.colors.divider }]}
+          value={entry.brand}
+          onChangeText={text => updateEntry(entry.code, { brand: text })}
+          placeholder="Brand"
+          placeholderTextColor={theme.colors.textSecondary}
+          editable={!saving}
+        />
+        <Typography.Caption style={{ color: theme.colors.textSecondary }}>
+          {entry.code} · {entry.found ? entry.category : 'Not found - enter details'}
+        </Typography.Caption>
+      </View>
+      <TouchableOpacity onPress={() => removeEntry(entry.code)} disabled={saving} style={styles.removeButton}>
+        <Ionicons name="trash-outline" size={20} color={theme.colors.error} />
+      </TouchableOpacity>
+    </View>
+  );
+
+  const collectionOptions = [{ id: null, name: 'No collection' }, ...collections];
+
+  return (
+    <SafeAreaView style={[styles.safeArea, { backgroundColor: theme.colors.background }]}>
+      <View style={styles.header}>
+        <TouchableOpacity style={styles.backButton} onPress={() => navigation.goBack()} disabled={saving} accessibilityLabel="Back to scanner" accessibilityRole="button">
+          <Ionicons name="arrow-back" size={24} color={theme.colors.text} />
+        </TouchableOpacity>
+        <Typography.H2 style={[styles.headerTitle, { color: theme.colors.text }]}>Review Scans</Typography.H2>
+        <TouchableOpacity style={styles.backButton} onPress={confirmDiscard} disabled={saving} accessibilityLabel="Discard batch" accessibilityRole="button">
+          <Ionicons name="close" size={24} color={theme.colors.text} />
+        </TouchableOpacity>
+      </View>
+
+      <FlatList
+        data={entries}
+        keyExtractor={entry => entry.code}
+        renderItem={renderEntry}
+        contentContainerStyle={styles.listContent}
+        ListHeaderComponent={
+          <View style={styles.collectionSection}>
+            <Typography.Label style={{ color: theme.colors.text }}>Add all to collection</Typography.Label>
+            <View style={styles.collectionChips}>
+              {collectionOptions.map(collection => {
+                const selected = collection.id === selectedCollectionId;
+                return (
+                  <TouchableOpacity
+                    key={collection.id ?? 'none'}
+                    style={[
+                      styles.collectionChip,
+                      { borderColor: theme.colors.primary },
+                      selected && { backgroundColor: theme.colors.primary },
+                    ]}
+                    onPress={() => setSelectedCollectionId(collection.id)}
+                    disabled={saving}
+                  >
+                    <Typography.BodySmall style={{ color: selected ? '#FFFFFF' : theme.colors.text }}>
+                      {collection.name}
+                    </Typography.BodySmall>
+                  </TouchableOpacity>
+                );
+              })}
+            </View>
+          </View>
+        }
+        ListEmptyComponent={
+          <Typography.Body style={[styles.emptyText, { color: theme.colors.textSecondary }]}>
+            No scanned items left to add.
+          </Typography.Body>
+        }
+      />
+
+      <View style={[styles.footer, { borderTopColor: theme.colors.divider }]}>
+        {saving ? (
+          <View style={styles.progressRow}>
+            <ActivityIndicator size="small" color={theme.colors.primary} />
+            <Typography.Body style={[styles.progressText, { color: theme.colors.text }]}>{progress}</Typography.Body>
+          </View>
+        ) : (
+          <Button.Primary
+            title={`Create ${entries.length} ${entries.length === 1 ? 'Item' : 'Items'}`}
+            onPress={handleCreateAll}
+            disabled={entries.length === 0}
+          />
+        )}
+      </View>
+    </SafeAreaView>
+  );
+}
+
+const styles = createThemedStyles((theme) => ({
+  safeArea: {
+    flex: 1,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 16,
+  },
+  headerTitle: {
+    flex: 1,
+    textAlign: 'center',
+  },
+  backButton: {
+    padding: 8,
+  },
+  listContent: {
+    paddingHorizontal: 16,
+    paddingBottom: 24,
+  },
+  collectionSection: {
+    marginBottom: 16,
+  },
+  collectionChips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginTop: 8,
+  },
+  collectionChip: {
+    borderWidth: 1,
+    borderRadius: 16,
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  entry: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 12,
+    borderRadius: 12,
+    marginBottom: 12,
+  },
+  thumbnail: {
+    width: 56,
+    height: 56,
+    borderRadius: 8,
+  },
+  thumbnailPlaceholder: {
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  entryFields: {
+    flex: 1,
+    marginHorizontal: 12,
+  },
+  entryInput: {
+    borderBottomWidth: 1,
+    paddingVertical: 4,
+    marginBottom: 6,
+    fontSize: 15,
+  },
+  removeButton: {
+    padding: 4,
+  },
+  emptyText: {
+    textAlign: 'center',
+    marginTop: 40,
+  },
+  footer: {
+    padding: 16,
+    borderTopWidth: 1,
+  },
+  progressRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 12,
+  },
+  progressText: {
+    marginLeft: 12,
+  },
+}));
@@ -0,0 +1,104 @@
+import React from 'react';
+import { View, Image, TouchableOpacity } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { formatDistanceToNow, parseISO } from 'date-fns';
+import { useTheme } from '../../context/ThemeContext';
+import { Typography, createThemedStyles } from '../../theme/styled';
+import { draftTitle } from '../../data';
+import { ITEM_STATUS } from '../../utils/wishlist';
+
+/**
+ * Items started on the Add tab and not saved yet, most recently edited first
+ * @param {Object} props - Component props
+ * @param {Array<import('../../data/drafts').ItemDraft>} props.drafts
+ * @param {function(Object): void} props.onResume - Called with the draft to carry on with
+ * @param {function(Object): void} props.onRename - Called with the draft to name
+ * @param {function(Object): void} props.onDelete - Called with the draft to delete
+ */
+const DraftsList = ({ drafts, onResume, onRename, onDelete }) => {
+  const { theme } = useTheme();
+  if (drafts.length === 0) return null;
+
+  return (
+    <View style={styles.container}>
+      <Typography.H3 style={[styles.title, { color: theme.colors.text }]}>Drafts</Typography.H3>
+      {drafts.map(draft => {
+        const photo = draft.fields.images?.[0];
+        const isWanted = draft.fields.status === ITEM_STATUS.WANTED;
+        return (
+          <TouchableOpacity
+            key={draft.id}
+            style={[styles.row, { backgroundColor: theme.colors.card }]}
+            onPress={() => onResume(draft)}
+            accessibilityLabel={`Resume ${draftTitle(draft)}`}
+          >
+            {photo ? (
+              <Image source={{ uri: photo }} style={styles.thumbnail} />
+            ) : (
+              <View style={[styles.thumbnail, styles.placeholder, { backgroundColor: theme.colors.divider }]}>
+                <Ionicons name="document-text-outline" size={20} color={theme.colors.textSecondary} />
+              </View>
+            )}
+            <View style={styles.info}>
+              <Typography.Body style={{ color: theme.colors.text }} numberOfLines={1}>
+                {draftTitle(draft)}
+              </Typography.Body>
+              <Typography.Caption style={{ color: theme.colors.textSecondary }}>
+                {isWanted ? 'Wishlist · ' : ''}Edited {formatDistanceToNow(parseISO(draft.updatedAt), { addSuffix: true })}
+              </Typography.Caption>
+            </View>
+            <TouchableOpacity
+              style={styles.action}
+              onPress={() => onRename(draft)}
+              accessibilityLabel={`Name ${draftTitle(draft)}`}
+            >
+              <Ionicons name="pencil-outline" size={20} color={theme.colors.textSecondary} />
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={styles.action}
+              onPress={() => onDelete(draft)}
+              accessibilityLabel={`Delete ${draftTitle(draft)}`}
+            >
+              <Ionicons name="trash-outline" size={20} color={theme.colors.error} />
+            </TouchableOpacity>
+          </TouchableOpacity>
+        );
+      })}
+    </View>
+  );
+};
+
+const styles = createThemedStyles((theme) => ({
+  container: {
+    marginTop: 10,
+  },
+  title: {
+    marginBottom: 12,
+    fontWeight: '700',
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 12,
+    borderRadius: 12,
+    marginBottom: 10,
+  },
+  thumbnail: {
+    width: 44,
+    height: 44,
+    borderRadius: 6,
+  },
+  placeholder: {
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  info: {
+    flex: 1,
+    marginHorizontal: 12,
+  },
+  action: {
+    padding: 6,
+  },
+}));
+
+export default DraftsList;
@@ -0,0 +1,752 @@
+import React, { useEffect, useRef, useState } from 'react';
+import {
+  View,
+  FlatList,
+  TextInput,
+  TouchableOpacity,
+  ActivityIndicator,
+  SafeAreaView,
+  Image,
+  Alert,
+  Dimensions,
+} from 'react-native';
+import * as ImagePicker from 'expo-image-picker';
+import { Ionicons } from '@expo/vector-icons';
+import Toast from 'react-native-toast-message';
+
+import { useTheme } from '../../context/ThemeContext';
+import { useAuth } from '../../context/AuthContext';
+import { useCurrency } from '../../context/CurrencyContext';
+import { Typography, Button, createThemedStyles } from '../../theme/styled';
+import { handleError, ERROR_CATEGORIES } from '../../utils/errorHandler';
+import { analyzeCollectibleImage } from '../../utils/geminiImageAnalysis';
+import { ITEM_STATUS } from '../../utils/wishlist';
+import { fetchCollections, saveItem } from './apiUtils';
+import { MAX_PHOTOS } from './constants';
+import {
+  CAPTURE_GAP_OPTIONS,
+  DEFAULT_CAPTURE_GAP,
+  toImportPhoto,
+  groupByCaptureTime,
+  groupIndividually,
+  mergePhotos,
+  separatePhotos,
+  toImportedFields,
+} from './photoImportUtils';
+
+const { width } = Dimensions.get('window');
+const cardWidth = (width - 44) / 2; // 2 cards per row with padding
+
+const GROUP_MODES = {
+  TIME: 'time',
+  MANUAL: 'manual',
+};
+
+// Where each imported item is between its analysis and being saved
+const ENTRY_STATUS = {
+  QUEUED: 'queued',
+  ANALYZING: 'analyzing',
+  READY: 'ready',
+  ANALYSIS_FAILED: 'analysisFailed',
+  SAVING: 'saving',
+  SAVED: 'saved',
+  SAVE_FAILED: 'saveFailed',
+};
+
+// Items Save All picks up; one the analysis failed on still saves once it's named
+const SAVABLE_STATUSES = [ENTRY_STATUS.READY, ENTRY_STATUS.ANALYSIS_FAILED, ENTRY_STATUS.SAVE_FAILED];
+
+export default function PhotoImportScreen({ navigation }) {
+  const { theme } = useTheme();
+  const { user } = useAuth();
+  const { displayCurrency } = useCurrency();
+
+  const [photos, setPhotos] = useState([]);
+  const [groups, setGroups] = useState([]);
+  const [groupMode, setGroupMode] = useState(GROUP_MODES.TIME);
+  const [captureGap, setCaptureGap] = useState(DEFAULT_CAPTURE_GAP);
+  const [selectedPhotoIds, setSelectedPhotoIds] = useState(new Set());
+  const [reviewing, setReviewing] = useState(false);
+  const [entries, setEntries] = useState([]);
+  const [collections, setCollections] = useState([]);
+  const [selectedCollectionId, setSelectedCollectionId] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [progress, setProgress] = useState('');
+
+  // Saves and retries read the latest edits, not the ones they started with
+  const latestEntries = useRef(entries);
+  latestEntries.current = entries;
+  // Bumped to stop an analysis run when the review is left
+  const analysisRun = useRef(0);
+  const pickCount = useRef(0);
+
+  useEffect(() => {
+    if (!user?.id) return;
+
+    fetchCollections(user.id)
+      .then(setCollections)
+      .catch(error => handleError(error, 'PhotoImportScreen.loadCollections', ERROR_CATEGORIES.DATABASE, 'Could not load your collections'));
+  }, [user?.id]);
+
+  useEffect(() => {
+    pickPhotos();
+    return () => { analysisRun.current += 1; };
+  }, []);
+
+  const groupPhotos = (toGroup, mode = groupMode, gap = captureGap) => (
+    mode === GROUP_MODES.TIME ? groupByCaptureTime(toGroup, gap) : groupIndividually(toGroup)
+  );
+
+  // Picked photos are added as new items, leaving the groups made so far alone
+  const pickPhotos = async () => {
+    try {
+      const permissionResult = await ImagePicker.requestMediaLibraryPermissionsAsync();
+      if (permissionResult.granted === false) {
+        Toast.show({ type: 'error', text1: 'Permission Denied', text2: 'Photo library access is required!' });
+        if (photos.length === 0) navigation.goBack();
+        return;
+      }
+
+      const pickerResult = await ImagePicker.launchImageLibraryAsync({
+        mediaTypes: ImagePicker.MediaTypeOptions.Images,
+        allowsMultipleSelection: true,
+        orderedSelection: true,
+        exif: true,
+        quality: 0.8,
+      });
+
+      if (pickerResult.canceled || !pickerResult.assets || pickerResult.assets.length === 0) {
+        if (photos.length === 0) navigation.goBack();
+        return;
+      }
+
+      pickCount.current += 1;
+      const picked = pickerResult.assets.map((asset, index) => toImportPhoto(asset, `photo-${pickCount.current}-${index}`));
+      setPhotos(current => [...current, ...picked]);
+      setGroups(current => [...current, ...groupPhotos(picked)]);
+    } catch (error) {
+      handleError(error, 'PhotoImportScreen.pickPhotos', ERROR_CATEGORIES.PERMISSION, 'Could not open your photo library');
+    }
+  };
+
+  const changeGrouping = (mode, gap = captureGap) => {
+    setGroupMode(mode);
+    setCaptureGap(gap);
+    setGroups(groupPhotos(photos, mode, gap));
+    setSelectedPhotoIds(new Set());
+  };
+
+  const toggleSelected = (photoId) => {
+    setSelectedPhotoIds(current => {
+      const next = new Set(current);
+      if (next.has(photoId)) next.delete(photoId); else next.add(photoId);
+      return next;
+    });
+  };
+
+  const mergeSelected = () => {
+    if (selectedPhotoIds.size > MAX_PHOTOS) {
+      Toast.show({ type: 'error', text1: 'Too Many Photos', text2: `An item can have up to ${MAX_PHOTOS} photos.` });
+      return;
+    }
+    setGroups(current => mergePhotos(current, selectedPhotoIds));
+    setGroupMode(GROUP_MODES.MANUAL);
+    setSelectedPhotoIds(new Set());
+  };
+
+  const separateSelected = () => {
+    setGroups(current => separatePhotos(current, selectedPhotoIds));
+    setGroupMode(GROUP_MODES.MANUAL);
+    setSelectedPhotoIds(new Set());
+  };
+
+  const removeSelected = () => {
+    setPhotos(current => current.filter(photo => !selectedPhotoIds.has(photo.id)));
+    setGroups(current => current
+      .map(group => group.filter(photo => !selectedPhotoIds.has(photo.id)))
+      .filter(group => group.length > 0));
+    setSelectedPhotoIds(new Set());
+  };
+
+  const updateEntry = (id, changes) => {
+    setEntries(current => current.map(entry => (entry.id === id ? { ...entry, ...changes } : entry)));
+  };
+
+  const removeEntry = (id) => {
+    setEntries(current => current.filter(entry => entry.id !== id));
+  };
+
+  // Only the first photo is analyzed; the rest are usually other angles of the same item
+  const analyzeEntry = async (entry) => {
+    updateEntry(entry.id, { status: ENTRY_STATUS.ANALYZING, error: null });
+    try {
+      const analysis = await analyzeCollectibleImage(entry.photos[0]);
+      // The analyzer reports failures as a placeholder result carrying the error
+      if (analysis.error) throw new Error(analysis.error.message);
+
+      const fields = toImportedFields(analysis);
+      setEntries(current => current.map(existing => (existing.id === entry.id ? {
+        ...existing,
+        status: ENTRY_STATUS.READY,
+        // Anything typed while the analysis ran is kept
+        name: existing.name || fields.name,
+        brand: existing.brand || fields.brand,
+        notes: existing.notes || fields.notes,
+        category: fields.category,
+      } : existing)));
+    } catch (error) {
+      console.error('Error analyzing imported photo:', error);
+      updateEntry(entry.id, { status: ENTRY_STATUS.ANALYSIS_FAILED, error: error.message || 'Could not analyze this photo.' });
+    }
+  };
+
+  // Items are analyzed one at a time to stay within the AI service's limits
+  const startReview = async () => {
+    const run = ++analysisRun.current;
+    const queued = groups.map(group => ({
+      id: `${run}-${group[0].id}`,
+      photos: group.map(photo => photo.uri),
+      name: '',
+      brand: '',
+      notes: '',
+      category: 'Other',
+      status: ENTRY_STATUS.QUEUED,
+      error: null,
+    }));
+    setEntries(queued);
+    setReviewing(true);
+
+    for (const entry of queued) {
+      if (analysisRun.current !== run) return;
+      if (!latestEntries.current.some(existing => existing.id === entry.id)) continue;
+      await analyzeEntry(entry);
+    }
+  };
+
+  const leaveReview = () => {
+    analysisRun.current += 1;
+    setEntries([]);
+    setReviewing(false);
+  };
+
+  const saveEntry = async (id) => {
+    const entry = latestEntries.current.find(existing => existing.id === id);
+    if (!entry) return null;
+    if (!entry.name.trim()) {
+      updateEntry(id, { error: 'Add a name to save this item.' });
+      return null;
+    }
+
+    updateEntry(id, { status: ENTRY_STATUS.SAVING, error: null });
+    try {
+      const itemData = {
+        itemName: entry.name.trim(),
+        brand: entry.brand.trim(),
+        notes: entry.notes,
+        selectedCategory: entry.category,
+        selectedCondition: null,
+        value: null,
+        quantity: 1,
+        currency: displayCurrency,
+        selectedCollectionId,
+        selectedLocationId: null,
+        userId: user.id,
+        isShared: false,
+        identifiers: [],
+        attributes: {},
+        tags: [],
+        status: ITEM_STATUS.OWNED,
+      };
+      const result = await saveItem(itemData, entry.photos, collections, { silent: true });
+      updateEntry(id, { status: ENTRY_STATUS.SAVED });
+      return result;
+    } catch (error) {
+      console.error('Error saving imported item:', error);
+      updateEntry(id, { status: ENTRY_STATUS.SAVE_FAILED, error: 'Could not save this item.' });
+      return null;
+    }
+  };
+
+  const finish = () => {
+    navigation.popToTop();
+    navigation.navigate('My Items');
+  };
+
+  const handleSaveAll = async () => {
+    if (!user?.id) return;
+    const toSave = latestEntries.current.filter(entry => SAVABLE_STATUSES.includes(entry.status));
+    if (toSave.length === 0) return;
+
+    setSaving(true);
+    let saved = 0;
+    let offline = false;
+    for (const [index, entry] of toSave.entries()) {
+      setProgress(`Saving ${index + 1} of ${toSave.length}...`);
+      const result = await saveEntry(entry.id);
+      if (result) {
+        saved += 1;
+        offline = offline || !result.synced;
+      }
+    }
+    setSaving(false);
+    setProgress('');
+
+    const unsaved = toSave.length - saved;
+    if (unsaved > 0) {
+      Toast.show({
+        type: 'error',
+        text1: `${unsaved} ${unsaved === 1 ? 'Item' : 'Items'} Not Saved`,
+        text2: 'Fix or retry them below.',
+        position: 'bottom',
+      });
+      return;
+    }
+
+    Toast.show({
+      type: 'success',
+      text1: offline ? 'Saved Offline' : 'Success',
+      text2: offline
+        ? 'Items saved on this device and will sync when you\'re back online.'
+        : `${saved} ${saved === 1 ? 'item' : 'items'} added to your collection!`,
+      position: 'bottom',
+    });
+    finish();
+  };
+
+  const confirmDiscard = () => {
+    const anySaved = entries.some(entry => entry.status === ENTRY_STATUS.SAVED);
+    if (anySaved) {
+      finish();
+      return;
+    }
+    Alert.alert(
+      'Discard Import?',
+      'None of the picked photos will be added.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Discard', style: 'destructive', onPress: () => navigation.goBack() },
+      ]
+    );
+  };
+
+  const renderChip = (key, label, selected, onPress) => (
+    <TouchableOpacity
+      key={key}
+      style={[
+        styles.chip,
+        { borderColor: theme.colors.primary },
+        selected && { backgroundColor: theme.colors.primary },
+      ]}
+      onPress={onPress}
+      disabled={saving}
+    >
+      <Typography.BodySmall style={{ color: selected ? '#FFFFFF' : theme.colors.text }}>
+        {label}
+      </Typography.BodySmall>
+    </TouchableOpacity>
+  );
+
+  const renderGroup = ({ item: group, index }) => (
+    <View style={[styles.group, { backgroundColor: theme.colors.card }]}>
+      <Typography.Caption style={{ color: theme.colors.textSecondary }}>
+        Item {index + 1} · {group.length} {group.length === 1 ? 'photo' : 'photos'}
+      </Typography.Caption>
+      <View style={styles.groupPhotos}>
+        {group.map(photo => {
+          const selected = selectedPhotoIds.has(photo.id);
+          return (
+            <TouchableOpacity
+              key={photo.id}
+              onPress={() => toggleSelected(photo.id)}
+              accessibilityLabel={`${selected ? 'Deselect' : 'Select'} photo`}
+              accessibilityState={{ selected }}
+            >
+              <Image
+                source={{ uri: photo.uri }}
+                style={[styles.groupPhoto, selected && { borderColor: theme.colors.primary, borderWidth: 3 }]}
+              />
+              {selected && (
+                <Ionicons name="checkmark-circle" size={20} color={theme.colors.primary} style={styles.selectedIcon} />
+              )}
+            </TouchableOpacity>
+          );
+        })}
+      </View>
+    </View>
+  );
+
+  const renderGroupingHeader = () => {
+    const untimed = photos.filter(photo => photo.takenAt === null).length;
+    return (
+      <View style={styles.section}>
+        <Typography.Label style={{ color: theme.colors.text }}>Group photos into items</Typography.Label>
+        <View style={styles.chips}>
+          {renderChip('time', 'By capture time', groupMode === GROUP_MODES.TIME, () => changeGrouping(GROUP_MODES.TIME))}
+          {renderChip('manual', 'One per photo', groupMode === GROUP_MODES.MANUAL, () => changeGrouping(GROUP_MODES.MANUAL))}
+        </View>
+        {groupMode === GROUP_MODES.TIME && (
+          <>
+            <Typography.Caption style={{ color: theme.colors.textSecondary }}>Photos taken within</Typography.Caption>
+            <View style={styles.chips}>
+              {CAPTURE_GAP_OPTIONS.map(option => renderChip(
+                option.value,
+                option.label,
+                option.value === captureGap,
+                () => changeGrouping(GROUP_MODES.TIME, option.value)
+              ))}
+            </View>
+          </>
+        )}
+        <Typography.Caption style={{ color: theme.colors.textSecondary }}>
+          Select photos to group them as one item or separate them.
+          {groupMode === GROUP_MODES.TIME && untimed > 0
+            ? ` ${untimed} ${untimed === 1 ? 'photo has' : 'photos have'} no capture time and ${untimed === 1 ? 'is' : 'are'} kept apart.`
+            : ''}
+        </Typography.Caption>
+      </View>
+    );
+  };
+
+  const renderGroupingFooter = () => {
+    if (selectedPhotoIds.size > 0) {
+      return (
+        <View style={styles.footerRow}>
+          <Button.Secondary title="Group" onPress={mergeSelected} style={styles.footerButton} />
+          <Button.Secondary title="Separate" onPress={separateSelected} style={styles.footerButton} />
+          <TouchableOpacity onPress={removeSelected} style={styles.iconButton} accessibilityLabel="Remove selected photos" accessibilityRole="button">
+            <Ionicons name="trash-outline" size={22} color={theme.colors.error} />
+          </TouchableOpacity>
+        </View>
+      );
+    }
+    return (
+      <View style={styles.footerRow}>
+        <Button.Secondary title="Add Photos" onPress={pickPhotos} style={styles.footerButton} />
+        <Button.Primary
+          title={`Analyze ${groups.length} ${groups.length === 1 ? 'Item' : 'Items'}`}
+          onPress={startReview}
+          disabled={groups.length === 0}
+          style={styles.footerButton}
+        />
+      </View>
+    );
+  };
+
+  const renderStatus = (entry) => {
+    const retry = {
+      [ENTRY_STATUS.ANALYSIS_FAILED]: () => analyzeEntry(entry),
+      [ENTRY_STATUS.SAVE_FAILED]: () => saveEntry(entry.id),
+    }[entry.status];
+    const busy = entry.status === ENTRY_STATUS.ANALYZING || entry.status === ENTRY_STATUS.SAVING;
+    const { icon, label, color } = {
+      [ENTRY_STATUS.QUEUED]: { icon: 'time-outline', label: 'Waiting', color: theme.colors.textSecondary },
+      [ENTRY_STATUS.ANALYZING]: { label: 'Analyzing...', color: theme.colors.textSecondary },
+      [ENTRY_STATUS.READY]: { icon: 'sparkles-outline', label: 'Ready', color: theme.colors.primary },
+      [ENTRY_STATUS.ANALYSIS_FAILED]: { icon: 'alert-circle-outline', label: 'Not analyzed', color: theme.colors.error },
+      [ENTRY_STATUS.SAVING]: { label: 'Saving...', color: theme.colors.textSecondary },
+      [ENTRY_STATUS.SAVED]: { icon: 'checkmark-circle', label: 'Saved', color: theme.colors.success },
+      [ENTRY_STATUS.SAVE_FAILED]: { icon: 'alert-circle-outline', label: 'Not saved', color: theme.colors.error },
+    }[entry.status];
+
+    return (
+      <View style={styles.statusRow}>
+        {busy
+          ? <ActivityIndicator size="small" color={theme.colors.primary} />
+          : <Ionicons name={icon} size={16} color={color} />}
+        <Typography.Caption style={[styles.statusText, { color }]}>{label}</Typography.Caption>
+        {retry && (
+          <TouchableOpacity onPress={retry} disabled={saving} accessibilityRole="button" accessibilityLabel={`Retry ${entry.name || 'item'}`}>
+            <Typography.Caption style={[styles.retryText, { color: saving ? theme.colors.textTertiary : theme.colors.primary }]}>
+              Retry
+            </Typography.Caption>
+          </TouchableOpacity>
+        )}
+      </View>
+    );
+  };
+
+  const renderEntry = ({ item: entry }) => {
+    const locked = saving || entry.status === ENTRY_STATUS.SAVING || entry.status === ENTRY_STATUS.SAVED;
+    return (
+      <View style={[styles.card, { backgroundColor: theme.colors.card }]}>
+        <View>
+          <Image source={{ uri: entry.photos[0] }} style={styles.cardImage} />
+          {entry.photos.length > 1 && (
+            <View style={styles.photoCount}>
+              <Typography.Caption style={styles.photoCountText}>{entry.photos.length} photos</Typography.Caption>
+            </View>
+          )}
+          {!locked && (
+            <TouchableOpacity style={styles.removeButton} onPress={() => removeEntry(entry.id)} accessibilityLabel="Remove item" accessibilityRole="button">
+              <Ionicons name="close-circle" size={24} color="#FFFFFF" />
+            </TouchableOpacity>
+          )}
+        </View>
+        <View style={styles.cardFields}>
+          {renderStatus(entry)}
+          <TextInput
+            style={[styles.entryInput, { color: theme.colors.text, borderColor: theme.colors.divider }]}
+            value={entry.name}
+            onChangeText={text => updateEntry(entry.id, { name: text, error: null })}
+            placeholder="Item name"
+            placeholderTextColor={theme.colors.textSecondary}
+            editable={!locked}
+          />
+          <TextInput
+            style={[styles.entryInput, { color: theme.colors.text, borderColor: theme.colors.divider }]}
+            value={entry.brand}
+            onChangeText={text => updateEntry(entry.id, { brand: text })}
+            placeholder="Brand"
+            placeholderTextColor={theme.colors.textSecondary}
+            editable={!locked}
+          />
+          <Typography.Caption style={{ color: theme.colors.textSecondary }} numberOfLines={1}>
+            {entry.category}
+          </Typography.Caption>
+          {entry.error && (
+            <Typography.Caption style={{ color: theme.colors.error }} numberOfLines={2}>
+              {entry.error}
+            </Typography.Caption>
+          )}
+        </View>
+      </View>
+    );
+  };
+
+  const renderReviewFooter = () => {
+    const pending = entries.filter(entry => entry.status === ENTRY_STATUS.QUEUED || entry.status === ENTRY_STATUS.ANALYZING);
+    const savable = entries.filter(entry => SAVABLE_STATUSES.includes(entry.status));
+    if (saving || pending.length > 0) {
+      const analyzed = entries.length - pending.length;
+      return (
+        <View style={styles.progressRow}>
+          <ActivityIndicator size="small" color={theme.colors.primary} />
+          <Typography.Body style={[styles.progressText, { color: theme.colors.text }]}>
+            {saving ? progress : `Analyzing ${analyzed + 1} of ${entries.length}...`}
+          </Typography.Body>
+        </View>
+      );
+    }
+    if (savable.length === 0 && entries.some(entry => entry.status === ENTRY_STATUS.SAVED)) {
+      return <Button.Primary title="Done" onPress={finish} />;
+    }
+    return (
+      <Button.Primary
+        title={`Save ${savable.length} ${savable.length === 1 ? 'Item' : 'Items'}`}
+        onPress={handleSaveAll}
+        disabled={savable.length === 0}
+      />
+    );
+  };
+
+  const collectionOptions = [{ id: null, name: 'No collection' }, ...collections];
+  const anySaved = entries.some(entry => entry.status === ENTRY_STATUS.SAVED);
+
+  return (
+    <SafeAreaView style={[styles.safeArea, { backgroundColor: theme.colors.background }]}>
+      <View style={styles.header}>
+        <TouchableOpacity
+          style={styles.backButton}
+          onPress={reviewing && !anySaved ? leaveReview : confirmDiscard}
+          disabled={saving}
+          accessibilityLabel={reviewing && !anySaved ? 'Back to grouping' : 'Discard import'}
+          accessibilityRole="button"
+        >
+          <Ionicons name={reviewing && !anySaved ? 'arrow-back' : 'close'} size={24} color={theme.colors.text} />
+        </TouchableOpacity>
+        <Typography.H2 style={[styles.headerTitle, { color: theme.colors.text }]}>
+          {reviewing ? 'Review Items' : 'Import Photos'}
+        </Typography.H2>
+        <View style={{ width: 40 }} />
+      </View>
+
+      {reviewing ? (
+        <FlatList
+          key="review"
+          data={entries}
+          keyExtractor={entry => entry.id}
+          renderItem={renderEntry}
+          numColumns={2}
+          columnWrapperStyle={styles.columns}
+          contentContainerStyle={styles.listContent}
+          ListHeaderComponent={
+            <View style={styles.section}>
+              <Typography.Label style={{ color: theme.colors.text }}>Add all to collection</Typography.Label>
+              <View style={styles.chips}>
+                {collectionOptions.map(collection => renderChip(
+                  collection.id ?? 'none',
+                  collection.name,
+                  collection.id === selectedCollectionId,
+                  () => setSelectedCollectionId(collection.id)
+                ))}
+              </View>
+            </View>
+          }
+          ListEmptyComponent={
+            <Typography.Body style={[styles.emptyText, { color: theme.colors.textSecondary }]}>
+              No items left to add.
+            </Typography.Body>
+          }
+        />
+      ) : (
+        <FlatList
+          key="groups"
+          data={groups}
+          keyExtractor={group => group[0].id}
+          renderItem={renderGroup}
+          extraData={selectedPhotoIds}
+          contentContainerStyle={styles.listContent}
+          ListHeaderComponent={renderGroupingHeader()}
+          ListEmptyComponent={
+            <Typography.Body style={[styles.emptyText, { color: theme.colors.textSecondary }]}>
+              Pick photos to turn into items.
+            </Typography.Body>
+          }
+        />
+      )}
+
+      <View style={[styles.footer, { borderTopColor: theme.colors.divider }]}>
+        {reviewing ? renderReviewFooter() : renderGroupingFooter()}
+      </View>
+    </SafeAreaView>
+  );
+}
+
+const styles = createThemedStyles((theme) => ({
+  safeArea: {
+    flex: 1,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 16,
+  },
+  headerTitle: {
+    flex: 1,
+    textAlign: 'center',
+  },
+  backButton: {
+    padding: 8,
+  },
+  listContent: {
+    paddingHorizontal: 16,
+    paddingBottom: 24,
+  },
+  section: {
+    marginBottom: 16,
+  },
+  chips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginTop: 8,
+  },
+  chip: {
+    borderWidth: 1,
+    borderRadius: 16,
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  group: {
+    padding: 12,
+    borderRadius: 12,
+    marginBottom: 12,
+  },
+  groupPhotos: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginTop: 8,
+  },
+  groupPhoto: {
+    width: 56,
+    height: 56,
+    borderRadius: 8,
+    marginRight: 8,
+    marginBottom: 4,
+  },
+  selectedIcon: {
+    position: 'absolute',
+    top: 2,
+    right: 10,
+  },
+  columns: {
+    justifyContent: 'space-between',
+  },
+  card: {
+    width: cardWidth,
+    borderRadius: 12,
+    marginBottom: 12,
+    overflow: 'hidden',
+  },
+  cardImage: {
+    width: cardWidth,
+    height: cardWidth,
+  },
+  photoCount: {
+    position: 'absolute',
+    left: 6,
+    bottom: 6,
+    backgroundColor: 'rgba(0, 0, 0, 0.6)',
+    borderRadius: 8,
+    paddingHorizontal: 6,
+    paddingVertical: 2,
+  },
+  photoCountText: {
+    color: '#FFFFFF',
+  },
+  removeButton: {
+    position: 'absolute',
+    top: 4,
+    right: 4,
+  },
+  cardFields: {
+    padding: 8,
+  },
+  statusRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 4,
+  },
+  statusText: {
+    flex: 1,
+    marginLeft: 4,
+  },
+  retryText: {
+    fontWeight: theme.typography.fontWeight.bold,
+  },
+  entryInput: {
+    borderBottomWidth: 1,
+    paddingVertical: 4,
+    marginBottom: 6,
+    fontSize: 14,
+  },
+  emptyText: {
+    textAlign: 'center',
+    marginTop: 40,
+  },
+  footer: {
+    padding: 16,
+    borderTopWidth: 1,
+  },
+  footerRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  footerButton: {
+    flex: 1,
+    marginHorizontal: 4,
+  },
+  iconButton: {
+    padding: 8,
+  },
+  progressRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 12,
+  },
+  progressText: {
+    marginLeft: 12,
+  },
+}));
@@ -0,0 +1,75 @@
+import { useEffect, useRef, useCallback } from 'react';
+import { AppState } from 'react-native';
+import { saveDraft, deleteDraft, hasDraftContent, DRAFT_FIELDS } from '../../data';
+import { ACTIONS } from './itemReducer';
+
+// How long typing has to pause before the form is saved as a draft
+const AUTOSAVE_DELAY = 1500;
+
+/**
+ * Autosaves the Add form as a draft while it's being filled in: shortly after
+ * each change, when the app goes to the background and when the form is left.
+ * Saves run one after another, so a slow photo copy can't be overtaken.
+ *
+ * @param {string|null} userId - The owner; nothing is saved while null
+ * @param {Object} state - The AddItem reducer state
+ * @param {function} dispatch - The AddItem reducer dispatch (the draft ID is stored in state)
+ * @param {boolean} enabled - Whether the form is showing
+ * @returns {{saveNow: function(Object=): Promise<void>, discard: function(string): Promise<void>, whenSaved: function(): Promise<void>}}
+ *   saveNow saves straight away (optionally with a name), discard deletes a draft after pending
+ *   saves and whenSaved resolves once pending saves are done
+ */
+export const useDraftAutosave = (userId, state, dispatch, enabled) => {
+  const pending = useRef(Promise.resolve());
+  const latest = useRef(state);
+  latest.current = state;
+
+  const saveNow = useCallback(({ name } = {}) => {
+    const current = latest.current;
+    if (!userId || !hasDraftContent(current)) return pending.current;
+
+    let draftId = current.draftId;
+    if (!draftId) {
+      draftId = `draft-${Date.now()}`;
+      dispatch({ type: ACTIONS.SET_DRAFT_ID, payload: draftId });
+      latest.current = { ...current, draftId };
+    }
+    pending.current = pending.current
+      .then(() => saveDraft(userId, { id: draftId, name, fields: current }))
+      .then(() => {})
+      .catch(error => console.error('Error saving draft:', error));
+    return pending.current;
+  }, [userId, dispatch]);
+
+  const discard = useCallback((draftId) => {
+    pending.current = pending.current
+      .then(() => deleteDraft(userId, draftId))
+      .catch(error => console.error('Error deleting draft:', error));
+    return pending.current;
+  }, [userId]);
+
+  const fieldValues = DRAFT_FIELDS.map(key => state[key]);
+  useEffect(() => {
+    if (!enabled) return undefined;
+    const timer = setTimeout(saveNow, AUTOSAVE_DELAY);
+    return () => clearTimeout(timer);
+  }, [enabled, saveNow, ...fieldValues]);
+
+  // Leaving the form saves what the timer hasn't yet
+  useEffect(() => {
+    if (!enabled) saveNow();
+  }, [enabled, saveNow]);
+
+  // The app may not come back from the background
+  useEffect(() => {
+    if (!enabled) return undefined;
+    const subscription = AppState.addEventListener('change', (nextState) => {
+      if (nextState !== 'active') saveNow();
+    });
+    return () => subscription.remove();
+  }, [enabled, saveNow]);
+
+  const whenSaved = useCallback(() => pending.current, []);
+
+  return { saveNow, discard, whenSaved };
+};
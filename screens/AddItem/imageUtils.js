@@ -101,3 +101,31 @@ export const uploadImage = async (uri, analyzedImageUri) => {
     return null;
   }
 };
+
+/**
+ * Downloads a remote image (e.g. a product cover) into the cache directory
+ * so it can be treated like a locally picked photo
+ * @param {string} url - The remote image URL
+ * @returns {Promise<string|null>} - The local URI, or null if the download failed
+ */
+export const downloadRemoteImage = async (url) => {
+  try {
+    if (!url) return null;
+
+    const extension = url.split('?')[0].split('.').pop().toLowerCase();
+    const fileExtension = ['jpg', 'jpeg', 'png', 'webp'].includes(extension) ? extension : 'jpg';
+    const localUri = `${FileSystem.cacheDirectory}remote-${Date.now()}.${fileExtension}`;
+
+    const { uri, status } = await FileSystem.downloadAsync(url, localUri);
+    if (status !== 200) {
+      console.error(`Image download failed with status ${status}:`, url);
+      await FileSystem.deleteAsync(uri, { idempotent: true });
+      return null;
+    }
+
+    return normalizeImageUri(uri);
+  } catch (error) {
+    console.error('Error downloading remote image:', error);
+    return null;
+  }
+};
@@ -1,15 +1,25 @@
 import { normalizeImageUri, areImageUrisEqual } from '../../utils/uriUtils';
+import { ITEM_STATUS, DEFAULT_PRIORITY } from '../../utils/wishlist';
 
 // Action types
 export const ACTIONS = {
   SET_ITEM_NAME: 'SET_ITEM_NAME',
   SET_BRAND: 'SET_BRAND',
   SET_VALUE: 'SET_VALUE',
+  SET_QUANTITY: 'SET_QUANTITY',
+  SET_CURRENCY: 'SET_CURRENCY',
+  SET_ACQUISITION: 'SET_ACQUISITION',
+  SET_ATTRIBUTE: 'SET_ATTRIBUTE',
+  SET_TAGS: 'SET_TAGS',
+  SET_STATUS: 'SET_STATUS',
+  SET_WISHLIST: 'SET_WISHLIST',
   SET_NOTES: 'SET_NOTES',
   SET_CATEGORY: 'SET_CATEGORY',
   SET_CONDITION: 'SET_CONDITION',
   SET_COLLECTION: 'SET_COLLECTION',
+  SET_LOCATION: 'SET_LOCATION',
   SET_IS_SHARED: 'SET_IS_SHARED',
+  SET_IDENTIFIERS: 'SET_IDENTIFIERS',
   SET_IMAGES: 'SET_IMAGES',
   ADD_IMAGE: 'ADD_IMAGE',
   REMOVE_IMAGE: 'REMOVE_IMAGE',
@@ -22,6 +32,8 @@ export const ACTIONS = {
   SET_ANALYZED_IMAGE_URI: 'SET_ANALYZED_IMAGE_URI',
   SET_COLLECTIONS: 'SET_COLLECTIONS',
   SET_COLLECTION_ITEMS: 'SET_COLLECTION_ITEMS',
+  SET_DRAFT_ID: 'SET_DRAFT_ID',
+  LOAD_DRAFT: 'LOAD_DRAFT',
   RESET_FORM: 'RESET_FORM'
 };
 
@@ -31,12 +43,46 @@ export const initialState = {
   itemName: '',
   brand: '',
   value: '',
+  // Copies owned, as typed
+  quantity: '1',
+  // ISO 4217 code of the value; null until picked, which means the display currency
+  currency: null,
   notes: '',
   selectedCategory: null,
   selectedCondition: null,
   selectedCollectionId: null,
+  // Storage location (see utils/locations.js)
+  selectedLocationId: null,
   isShared: false,
   
+  // Category and custom field values as typed, keyed by field key
+  attributes: {},
+  
+  // Normalized tags (see utils/tags.js)
+  tags: [],
+  
+  // 'wanted' adds the item to the wishlist instead of the collection
+  status: ITEM_STATUS.OWNED,
+  
+  // Wishlist details, target price as typed
+  wishlist: {
+    targetPrice: '',
+    priority: DEFAULT_PRIORITY,
+  },
+  
+  // Purchase details, as typed; currency null means the item's currency
+  acquisition: {
+    purchase_price: '',
+    fees: '',
+    currency: null,
+    purchase_date: '',
+    source: '',
+    receipt_path: null,
+  },
+  
+  // Normalized barcode identifiers (GTIN, ISBN, ISSN...) from a scan
+  identifiers: [],
+  
   // Images
   images: [],
   analyzedImageUri: null,
@@ -57,7 +103,10 @@ export const initialState = {
   errorMessage: '',
   
   // AI analysis
-  aiAnalysisResult: null
+  aiAnalysisResult: null,
+  
+  // The draft this form autosaves to (see data/drafts.js); null until there's something to keep
+  draftId: null
 };
 
 // Reducer function
@@ -72,6 +121,27 @@ export const itemReducer = (state, action) => {
     case ACTIONS.SET_VALUE:
       return { ...state, value: action.payload };
       
+    case ACTIONS.SET_QUANTITY:
+      return { ...state, quantity: action.payload };
+      
+    case ACTIONS.SET_CURRENCY:
+      return { ...state, currency: action.payload };
+      
+    case ACTIONS.SET_ACQUISITION:
+      return { ...state, acquisition: { ...state.acquisition, ...action.payload } };
+      
+    case ACTIONS.SET_ATTRIBUTE:
+      return { ...state, attributes: { ...state.attributes, [action.payload.key]: action.payload.value } };
+      
+    case ACTIONS.SET_TAGS:
+      return { ...state, tags: action.payload || [] };
+      
+    case ACTIONS.SET_STATUS:
+      return { ...state, status: action.payload };
+      
+    case ACTIONS.SET_WISHLIST:
+      return { ...state, wishlist: { ...state.wishlist, ...action.payload } };
+      
     case ACTIONS.SET_NOTES:
       return { ...state, notes: action.payload };
       
@@ -84,9 +154,15 @@ export const itemReducer = (state, action) => {
     case ACTIONS.SET_COLLECTION:
       return { ...state, selectedCollectionId: action.payload };
       
+    case ACTIONS.SET_LOCATION:
+      return { ...state, selectedLocationId: action.payload };
+      
     case ACTIONS.SET_IS_SHARED:
       return { ...state, isShared: action.payload };
       
+    case ACTIONS.SET_IDENTIFIERS:
+      return { ...state, identifiers: action.payload || [] };
+      
     case ACTIONS.SET_IMAGES:
       return { ...state, images: action.payload };
       
@@ -170,6 +246,19 @@ export const itemReducer = (state, action) => {
     case ACTIONS.SET_COLLECTION_ITEMS:
       return { ...state, collectionItems: action.payload };
       
+    case ACTIONS.SET_DRAFT_ID:
+      return { ...state, draftId: action.payload };
+      
+    case ACTIONS.LOAD_DRAFT:
+      // A fresh form with the draft's fields; loaded collections are kept
+      return {
+        ...initialState,
+        ...action.payload.fields,
+        draftId: action.payload.id,
+        collections: state.collections,
+        collectionItems: state.collectionItems,
+      };
+      
     case ACTIONS.RESET_FORM:
       return initialState;
       
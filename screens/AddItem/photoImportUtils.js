@@ -0,0 +1,133 @@
+import { normalizeImageUri } from '../../utils/uriUtils';
+import { CATEGORIES, MAX_PHOTOS } from './constants';
+
+/**
+ * @typedef {Object} ImportPhoto
+ * @property {string} id
+ * @property {string} uri
+ * @property {number|null} takenAt - Capture time in ms, when the photo's EXIF has one
+ */
+
+// How far apart photos can be taken and still be grouped as one item
+export const CAPTURE_GAP_OPTIONS = [
+  { label: '30 sec', value: 30 * 1000 },
+  { label: '1 min', value: 60 * 1000 },
+  { label: '5 min', value: 5 * 60 * 1000 },
+];
+
+export const DEFAULT_CAPTURE_GAP = CAPTURE_GAP_OPTIONS[1].value;
+
+// The analyzer picks from its own short list of categories
+const ANALYSIS_CATEGORIES = {
+  'Action Figures': 'Action Figures & Toys',
+  'Vintage Toys': 'Action Figures & Toys',
+  Cards: 'Cards & Trading Cards',
+  Comics: 'Books & Comics',
+  Coins: 'Coins & Currency',
+  Stamps: 'Stamps',
+  'Vinyl Records': 'Music & Records',
+};
+
+// Placeholders the analyzer fills in when it can't tell
+const UNKNOWN_VALUES = ['Unknown', 'Unknown Item'];
+
+// EXIF dates look like "2024:05:01 14:03:22" in the camera's local time
+const parseExifDate = (value) => {
+  const match = typeof value === 'string' && value.match(/^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})/);
+  if (!match) return null;
+  const [, year, month, day, hour, minute, second] = match.map(Number);
+  const time = new Date(year, month - 1, day, hour, minute, second).getTime();
+  return Number.isNaN(time) ? null : time;
+};
+
+/**
+ * Builds an import photo from an image picker asset picked with `exif: true`
+ * @param {Object} asset - The picker asset
+ * @param {string} id - A unique ID for the photo
+ * @returns {ImportPhoto}
+ */
+export const toImportPhoto = (asset, id) => ({
+  id,
+  uri: normalizeImageUri(asset.uri),
+  takenAt: parseExifDate(asset.exif?.DateTimeOriginal) ?? parseExifDate(asset.exif?.DateTime),
+});
+
+/**
+ * Groups photos taken close together into one item each, up to MAX_PHOTOS per
+ * item. Photos without a capture time become items of their own, after the rest.
+ * @param {Array<ImportPhoto>} photos
+ * @param {number} gap - The longest time between two photos of the same item, in ms
+ * @returns {Array<Array<ImportPhoto>>}
+ */
+export const groupByCaptureTime = (photos, gap) => {
+  const timed = photos.filter(photo => photo.takenAt !== null).sort((a, b) => a.takenAt - b.takenAt);
+  const untimed = photos.filter(photo => photo.takenAt === null);
+
+  const groups = [];
+  timed.forEach((photo, index) => {
+    const current = groups[groups.length - 1];
+    const closeToPrevious = index > 0 && photo.takenAt - timed[index - 1].takenAt <= gap;
+    if (current && closeToPrevious && current.length < MAX_PHOTOS) {
+      current.push(photo);
+    } else {
+      groups.push([photo]);
+    }
+  });
+  return [...groups, ...untimed.map(photo => [photo])];
+};
+
+/**
+ * One item per photo, the starting point for grouping by hand
+ * @param {Array<ImportPhoto>} photos
+ * @returns {Array<Array<ImportPhoto>>}
+ */
+export const groupIndividually = (photos) => photos.map(photo => [photo]);
+
+/**
+ * Makes the given photos one item, in place of the first group holding any of them
+ * @param {Array<Array<ImportPhoto>>} groups
+ * @param {Set<string>} photoIds - At most MAX_PHOTOS
+ * @returns {Array<Array<ImportPhoto>>}
+ */
+export const mergePhotos = (groups, photoIds) => {
+  const merged = groups.flat().filter(photo => photoIds.has(photo.id));
+  const position = groups.findIndex(group => group.some(photo => photoIds.has(photo.id)));
+  if (position === -1) return groups;
+
+  const result = groups.map((group, index) => {
+    const rest = group.filter(photo => !photoIds.has(photo.id));
+    return index === position ? [merged, ...(rest.length > 0 ? [rest] : [])] : [rest];
+  });
+  return result.flat().filter(group => group.length > 0);
+};
+
+/**
+ * Makes each of the given photos an item of its own, right after the group it was in
+ * @param {Array<Array<ImportPhoto>>} groups
+ * @param {Set<string>} photoIds
+ * @returns {Array<Array<ImportPhoto>>}
+ */
+export const separatePhotos = (groups, photoIds) => groups.flatMap(group => {
+  const rest = group.filter(photo => !photoIds.has(photo.id));
+  const separated = group.filter(photo => photoIds.has(photo.id)).map(photo => [photo]);
+  return [...(rest.length > 0 ? [rest] : []), ...separated];
+});
+
+/**
+ * The item fields an analysis result fills in, leaving out the analyzer's placeholders
+ * @param {Object} analysis - The result of analyzeCollectibleImage
+ * @returns {{name: string, brand: string, notes: string, category: string}}
+ */
+export const toImportedFields = (analysis) => {
+  const known = (value) => (value && !UNKNOWN_VALUES.includes(value.trim()) ? value.trim() : '');
+  const category = CATEGORIES.includes(analysis.category)
+    ? analysis.category
+    : ANALYSIS_CATEGORIES[analysis.category] || 'Other';
+
+  return {
+    name: known(analysis.name),
+    brand: known(analysis.brand),
+    notes: known(analysis.description),
+    category,
+  };
+};
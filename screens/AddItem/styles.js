@@ -33,7 +33,10 @@ export const styles = createThemedStyles((theme) => ({
   // Options screen styles
   optionsContainer: {
     flex: 1,
+  },
+  optionsContent: {
     padding: 20,
+    paddingBottom: 100,
   },
   optionsTitle: {
     textAlign: 'center',
@@ -150,6 +153,29 @@ export const styles = createThemedStyles((theme) => ({
     justifyContent: 'center',
     alignItems: 'center',
   },
+  sectionToggle: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+  },
+  statusToggle: {
+    flexDirection: 'row',
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: theme.colors.border,
+    overflow: 'hidden',
+    marginBottom: 16,
+  },
+  statusOption: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 10,
+  },
+  statusOptionText: {
+    marginLeft: 6,
+  },
   switchContainer: {
     flexDirection: 'row',
     alignItems: 'center',
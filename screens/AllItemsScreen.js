@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useRef, useEffect } from 'react';
 import {
   StyleSheet,
   Text,
@@ -15,8 +15,14 @@ import {
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import Toast from 'react-native-toast-message';
-import { supabase } from '../lib/supabase';
-import { fetchPhotosForItems } from './AddItem/apiUtils';
+import { loadItemsPage } from '../data';
+import { usePaginatedList } from '../hooks/usePaginatedList';
+import OfflineBanner from '../components/OfflineBanner';
+import LoanBadge from '../components/LoanBadge';
+import SelectionMark from '../components/SelectionMark';
+import BulkActionBar from '../components/BulkActionBar';
+import { useActiveLoans } from '../hooks/useActiveLoans';
+import { useSelection } from '../hooks/useSelection';
 import { useTheme } from '../context/ThemeContext';
 import { useAuth } from '../context/AuthContext';
 import { Typography, Button, Card, Layout, createThemedStyles } from '../theme/styled';
@@ -26,73 +32,64 @@ const numColumns = 2;
 const itemWidth = (width - 40) / numColumns;
 
 const AllItemsScreen = ({ navigation }) => {
-  const [items, setItems] = useState([]);
-  const [loading, setLoading] = useState(true);
-  const [refreshing, setRefreshing] = useState(false);
+  const [offline, setOffline] = useState(false);
   const { theme, isDarkMode } = useTheme();
   const { user } = useAuth();
-  
-  // Fetch items when component mounts
-  useEffect(() => {
-    fetchItems();
-  }, []);
+  const { loansByItem, reload: reloadLoans } = useActiveLoans(user?.id);
+  // Long-pressing an item starts selecting items for bulk actions
+  const selection = useSelection();
 
-  // Function to fetch all items from Supabase
-  const fetchItems = async () => {
-    try {
-      setLoading(true);
-      console.log('Fetching all items for user');
-      
-      // First fetch the items
-      const { data, error } = await supabase
-        .from('items')
-        .select('*')
-        .order('created_at', { ascending: false });
-      
-      if (error) {
-        throw error;
-      }
-      
-      console.log(`Fetched ${data.length} total items`);
-      
-      if (data.length > 0) {
-        // Get all item IDs
-        const itemIds = data.map(item => item.id);
-        
-        // Fetch photos for all items in a single request
-        const photosByItem = await fetchPhotosForItems(itemIds);
-        
-        // Add photos to each item
-        const itemsWithPhotos = data.map(item => ({
-          ...item,
-          photos: photosByItem[item.id] || []
-        }));
-        
-        setItems(itemsWithPhotos);
-      } else {
-        setItems(data);
-      }
-    } catch (error) {
-      console.error('Error fetching items:', error.message);
-      Toast.show({
-        type: 'error',
-        text1: 'Error',
-        text2: 'Failed to load items. Please try again.',
-      });
-    } finally {
-      setLoading(false);
-      setRefreshing(false);
-    }
-  };
+  // Loans change on ItemDetail, so pick them up on the way back
+  useEffect(() => navigation.addListener('focus', reloadLoans), [navigation, reloadLoans]);
   
+  // Items load a page at a time; pages already loaded are kept when navigating back
+  const {
+    items,
+    loading,
+    loadingMore,
+    refreshing,
+    loadMore,
+    refresh,
+  } = usePaginatedList(
+    user ? `allItems:${user.id}` : null,
+    async (cursor) => {
+      // Comes from the offline store when the server can't be reached
+      const page = await loadItemsPage(user.id, { cursor });
+      console.log(`Loaded ${page.items.length} items${page.offline ? ' from the offline store' : ''}`);
+      setOffline(page.offline);
+      return page;
+    },
+    {
+      onError: (error) => {
+        console.error('Error fetching items:', error.message);
+        Toast.show({
+          type: 'error',
+          text1: 'Error',
+          text2: 'Failed to load items. Please try again.',
+        });
+      },
+    }
+  );
+
   // Function to handle refresh
   const handleRefresh = () => {
-    setRefreshing(true);
-    fetchItems();
+    refresh();
+  };
+
+
+  // Function to reload after a bulk action
+  const handleBulkDone = () => {
+    selection.clear();
+    refresh();
+    reloadLoans();
   };
 
   // Function to handle item tap
   const handleItemTap = (itemId) => {
+    if (selection.selecting) {
+      selection.toggle(itemId);
+      return;
+    }
     console.log(`Item tapped: ${itemId}`);
     navigation.navigate('ItemDetail', { itemId });
   };
@@ -111,11 +108,17 @@ const AllItemsScreen = ({ navigation }) => {
     
     // Get collection name if available
     const collectionName = item.collection_name || 'No Collection';
+    const selected = selection.isSelected(item.id);
     
     return (
       <TouchableOpacity
-        style={[styles.itemCard, { backgroundColor: isDarkMode ? '#121212' : theme.colors.cardBackground }]}
+        style={[
+          styles.itemCard,
+          { backgroundColor: isDarkMode ? '#121212' : theme.colors.cardBackground },
+          selected && { borderWidth: 2, borderColor: theme.colors.primary },
+        ]}
         onPress={() => handleItemTap(item.id)}
+        onLongPress={() => selection.start(item.id)}
         activeOpacity={0.7}
       >
         <View style={styles.imageContainer}>
@@ -124,6 +127,7 @@ const AllItemsScreen = ({ navigation }) => {
             style={styles.itemImage}
             resizeMode="cover"
           />
+          {selection.selecting && <SelectionMark selected={selected} />}
         </View>
         
         <View style={styles.itemInfo}>
@@ -134,10 +138,15 @@ const AllItemsScreen = ({ navigation }) => {
             {item.name}
           </Text>
           
+          <LoanBadge loan={loansByItem[item.id]} style={styles.loanBadge} />
+          
           <View style={styles.itemMeta}>
             <Text style={[styles.itemCategory, { color: isDarkMode ? '#BBBBBB' : theme.colors.textSecondary }]}>
               {item.category}
             </Text>
+            {item.pendingSync && (
+              <Ionicons name="cloud-upload-outline" size={14} color={theme.colors.textSecondary} />
+            )}
           </View>
         </View>
       </TouchableOpacity>
@@ -182,11 +191,14 @@ const AllItemsScreen = ({ navigation }) => {
         />
       </View>
 
+      <OfflineBanner offline={offline} />
+
       {/* Items Grid */}
       <FlatList
         data={items}
         renderItem={renderItem}
         keyExtractor={(item) => item.id.toString()}
+        extraData={selection.selectedIds}
         numColumns={numColumns}
         contentContainerStyle={items.length === 0 && styles.emptyList}
         columnWrapperStyle={styles.columnWrapper}
@@ -199,6 +211,11 @@ const AllItemsScreen = ({ navigation }) => {
           />
         }
         ListEmptyComponent={!loading ? renderEmptyState : null}
+        onEndReached={loadMore}
+        onEndReachedThreshold={0.5}
+        ListFooterComponent={loadingMore ? (
+          <ActivityIndicator style={styles.footerLoader} color={theme.colors.primary} />
+        ) : null}
         ListHeaderComponent={loading && items.length === 0 ? (
           <View style={styles.loadingContainer}>
             <ActivityIndicator size="large" color={theme.colors.primary} />
@@ -208,6 +225,16 @@ const AllItemsScreen = ({ navigation }) => {
           </View>
         ) : null}
       />
+
+      {selection.selecting && (
+        <BulkActionBar
+          userId={user.id}
+          items={items.filter(item => selection.isSelected(item.id))}
+          onSelectAll={() => selection.selectAll(items.map(item => item.id))}
+          onClear={selection.clear}
+          onDone={handleBulkDone}
+        />
+      )}
     </SafeAreaView>
   );
 };
@@ -217,6 +244,9 @@ const styles = createThemedStyles((theme) => ({
     flex: 1,
     backgroundColor: theme.colors.background,
   },
+  footerLoader: {
+    marginVertical: 16,
+  },
   header: {
     flexDirection: 'row',
     justifyContent: 'space-between',
@@ -273,6 +303,9 @@ const styles = createThemedStyles((theme) => ({
     marginBottom: 4,
     color: theme.colors.text,
   },
+  loanBadge: {
+    marginBottom: 4,
+  },
   itemMeta: {
     flexDirection: 'row',
     justifyContent: 'space-between',
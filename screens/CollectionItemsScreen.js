@@ -17,9 +17,15 @@ import {
 import { Swipeable } from 'react-native-gesture-handler';
 import { Ionicons } from '@expo/vector-icons';
 import Toast from 'react-native-toast-message';
-import { supabase } from '../lib/supabase';
-import { fetchPhotosForItems } from './AddItem/apiUtils';
+import { getCachedItems, syncAndRefresh, queueDeleteItem } from '../data';
+import OfflineBanner from '../components/OfflineBanner';
+import LoanBadge from '../components/LoanBadge';
+import SelectionMark from '../components/SelectionMark';
+import BulkActionBar from '../components/BulkActionBar';
+import { useActiveLoans } from '../hooks/useActiveLoans';
+import { useSelection } from '../hooks/useSelection';
 import { useTheme } from '../context/ThemeContext';
+import { useAuth } from '../context/AuthContext';
 import { Typography, Button, Card, Layout, createThemedStyles } from '../theme/styled';
 
 const { width } = Dimensions.get('window');
@@ -33,7 +39,15 @@ const CollectionItemsScreen = ({ route, navigation }) => {
   const [loading, setLoading] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
   const [deletingItemId, setDeletingItemId] = useState(null);
+  const [offline, setOffline] = useState(false);
   const { theme, isDarkMode } = useTheme();
+  const { user } = useAuth();
+  const { loansByItem, reload: reloadLoans } = useActiveLoans(user?.id);
+  // Long-pressing an item starts selecting items for bulk actions
+  const selection = useSelection();
+
+  // Loans change on ItemDetail, so pick them up on the way back
+  useEffect(() => navigation.addListener('focus', reloadLoans), [navigation, reloadLoans]);
   
   // Reference to track open swipeable items
   const swipeableRefs = useRef({});
@@ -50,42 +64,24 @@ const CollectionItemsScreen = ({ route, navigation }) => {
     });
   }, [collectionId]);
 
-  // Function to fetch items from Supabase
+  // Function to load the collection's items: cached copy first, then a refresh from Supabase
   const fetchItems = async () => {
     try {
       setLoading(true);
       console.log(`Fetching items for collection ID: ${collectionId}`);
       
-      // First fetch the items
-      const { data, error } = await supabase
-        .from('items')
-        .select('*')
-        .eq('collection_id', collectionId)
-        .order('created_at', { ascending: false });
-      
-      if (error) {
-        throw error;
+      const cachedItems = await getCachedItems(user.id, { collectionId });
+      if (cachedItems.length > 0) {
+        setItems(cachedItems);
+        setLoading(false);
       }
       
-      console.log(`Fetched ${data.length} items for collection`);
+      const { online } = await syncAndRefresh(user.id);
+      setOffline(!online);
       
-      if (data.length > 0) {
-        // Get all item IDs
-        const itemIds = data.map(item => item.id);
-        
-        // Fetch photos for all items in a single request
-        const photosByItem = await fetchPhotosForItems(itemIds);
-        
-        // Add photos to each item
-        const itemsWithPhotos = data.map(item => ({
-          ...item,
-          photos: photosByItem[item.id] || []
-        }));
-        
-        setItems(itemsWithPhotos);
-      } else {
-        setItems(data);
-      }
+      const data = await getCachedItems(user.id, { collectionId });
+      console.log(`Loaded ${data.length} items for collection`);
+      setItems(data);
     } catch (error) {
       console.error('Error fetching items:', error.message);
       Toast.show({
@@ -107,50 +103,27 @@ const CollectionItemsScreen = ({ route, navigation }) => {
   
   // Function to handle item tap
   const handleItemTap = (item) => {
+    if (selection.selecting) {
+      selection.toggle(item.id);
+      return;
+    }
     console.log(`Item tapped: ${item.name}`);
     navigation.navigate('ItemDetail', { itemId: item.id });
   };
+
+  // Function to reload after a bulk action - moved or deleted items leave the list
+  const handleBulkDone = () => {
+    selection.clear();
+    fetchItems();
+    reloadLoans();
+  };
   
   // Function to delete an item
-  // Helper function to delete images from storage
-  const deleteImagesFromStorage = async (imageUrls) => {
-    if (!imageUrls || !imageUrls.length) return;
-    
-    console.log('Cleaning up associated images:', imageUrls.length);
-    
-    try {
-      // Extract filenames from the image URLs
-      const fileNames = imageUrls.map(url => {
-        // Handle both signed and public URLs
-        // Extract the filename from the URL path
-        const urlParts = url.split('/');
-        return urlParts[urlParts.length - 1].split('?')[0]; // Remove query parameters if present
-      });
-      
-      console.log('Deleting image files:', fileNames);
-      
-      // Delete each file from storage
-      for (const fileName of fileNames) {
-        const { error } = await supabase.storage
-          .from('item-photos')
-          .remove([fileName]);
-          
-        if (error) {
-          console.error(`Error deleting image ${fileName}:`, error);
-        } else {
-          console.log(`Successfully deleted image: ${fileName}`);
-        }
-      }
-    } catch (error) {
-      console.error('Error cleaning up images:', error);
-      // We don't throw here to avoid interrupting the item deletion flow
-    }
-  };
-
-  const deleteItem = async (itemId, itemName) => {
+  const deleteItem = async (item) => {
+    const { id: itemId, name: itemName } = item;
     Alert.alert(
       'Delete Item',
-      `Are you sure you want to delete "${itemName}"?`,
+      `Move "${itemName}" to the Trash? You can restore it from Settings > Trash.`,
       [
         {
           text: 'Cancel',
@@ -164,70 +137,18 @@ const CollectionItemsScreen = ({ route, navigation }) => {
               setDeletingItemId(itemId);
               console.log(`Deleting item with ID: ${itemId}`);
               
-              // First, get the image IDs associated with this item from the item_photos table
-              const { data: photoData, error: photoFetchError } = await supabase
-                .from('item_photos')
-                .select('image_id')
-                .eq('item_id', itemId);
-              
-              if (photoFetchError) {
-                console.error('Error fetching item photos for cleanup:', photoFetchError);
-                // Continue with deletion even if we can't get the photos
-              }
-              
-              // If we have associated images, get their URLs from the images table
-              let imageUrls = [];
-              if (photoData && photoData.length > 0) {
-                // Extract the image_ids
-                const imageIds = photoData.map(photo => photo.image_id);
-                
-                // Fetch the image URLs from the images table
-                const { data: imageData, error: imageFetchError } = await supabase
-                  .from('images')
-                  .select('image_url')
-                  .in('id', imageIds);
-                
-                if (imageFetchError) {
-                  console.error('Error fetching image details for cleanup:', imageFetchError);
-                } else if (imageData && imageData.length > 0) {
-                  // Extract the image URLs
-                  imageUrls = imageData.map(img => img.image_url).filter(url => url);
-                }
-              }
-              
-              // Clean up the associated images if we have them
-              if (imageUrls.length > 0) {
-                await deleteImagesFromStorage(imageUrls);
-              }
-              
-              // Delete the item_photos records (the links between items and images)
-              const { error: photoDeleteError } = await supabase
-                .from('item_photos')
-                .delete()
-                .eq('item_id', itemId);
-              
-              if (photoDeleteError) {
-                console.error('Error deleting item_photos records:', photoDeleteError);
-                // Continue with item deletion even if photo link deletion fails
-              }
-              
-              // Finally, delete the item from the database
-              const { error } = await supabase
-                .from('items')
-                .delete()
-                .eq('id', itemId);
-              
-              if (error) {
-                throw error;
-              }
+              // Trashed on the server now, or once the device is back online
+              const { synced } = await queueDeleteItem(user.id, item);
               
               // Remove the item from state
-              setItems(items.filter(item => item.id !== itemId));
+              setItems(current => current.filter(i => i.id !== itemId));
               
               Toast.show({
                 type: 'success',
                 text1: 'Item Deleted',
-                text2: `${itemName} and its images have been deleted.`,
+                text2: synced
+                  ? `${itemName} has been moved to the Trash.`
+                  : `${itemName} will be moved to the Trash when you're back online.`,
               });
             } catch (error) {
               console.error('Error deleting item:', error.message);
@@ -260,7 +181,7 @@ const CollectionItemsScreen = ({ route, navigation }) => {
     return (
       <TouchableOpacity
         style={styles.deleteAction}
-        onPress={() => deleteItem(item.id, item.name)}
+        onPress={() => deleteItem(item)}
       >
         {deletingItemId === item.id ? (
           <ActivityIndicator size="small" color="#fff" />
@@ -346,17 +267,27 @@ const CollectionItemsScreen = ({ route, navigation }) => {
       }
     };
     
+    const selected = selection.isSelected(item.id);
+    
     return (
       <Swipeable
         ref={setSwipeableRef}
         renderRightActions={() => renderRightActions(item)}
         onSwipeableOpen={safeCloseOthers}
         overshootRight={false}
+        enabled={!selection.selecting}
       >
-        <View style={[styles.itemCard, { backgroundColor: theme.colors.surface }]}>
+        <View
+          style={[
+            styles.itemCard,
+            { backgroundColor: theme.colors.surface },
+            selected && { borderWidth: 2, borderColor: theme.colors.primary },
+          ]}
+        >
           <TouchableOpacity
             style={{ flex: 1 }}
             onPress={() => handleItemTap(item)}
+            onLongPress={() => selection.start(item.id)}
             activeOpacity={0.8}
           >
             <Image 
@@ -368,8 +299,12 @@ const CollectionItemsScreen = ({ route, navigation }) => {
               <Text style={[styles.itemName, { color: theme.colors.text }]} numberOfLines={1}>
                 {item.name}
               </Text>
+              <LoanBadge loan={loansByItem[item.id]} style={styles.loanBadge} />
               <Text style={[styles.itemCategory, { color: theme.colors.textSecondary }]} numberOfLines={1}>
-                {item.category || 'Uncategorized'}
+                {item.pendingSync && (
+                  <Ionicons name="cloud-upload-outline" size={12} color={theme.colors.textSecondary} />
+                )}
+                {item.pendingSync ? ' ' : ''}{item.category || 'Uncategorized'}
               </Text>
               {item.brand && (
                 <Text style={[styles.itemBrand, { color: theme.colors.textSecondary }]} numberOfLines={1}>
@@ -377,14 +312,18 @@ const CollectionItemsScreen = ({ route, navigation }) => {
                 </Text>
               )}
             </View>
-            <View style={[styles.menuButton, { backgroundColor: isDarkMode ? 'rgba(30, 30, 30, 0.8)' : 'rgba(255, 255, 255, 0.8)' }]}>
-              <TouchableOpacity
-                onPress={() => deleteItem(item.id, item.name)}
-                hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}
-              >
-                <Ionicons name="ellipsis-vertical" size={16} color={theme.colors.textSecondary} />
-              </TouchableOpacity>
-            </View>
+            {selection.selecting ? (
+              <SelectionMark selected={selected} />
+            ) : (
+              <View style={[styles.menuButton, { backgroundColor: isDarkMode ? 'rgba(30, 30, 30, 0.8)' : 'rgba(255, 255, 255, 0.8)' }]}>
+                <TouchableOpacity
+                  onPress={() => deleteItem(item)}
+                  hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}
+                >
+                  <Ionicons name="ellipsis-vertical" size={16} color={theme.colors.textSecondary} />
+                </TouchableOpacity>
+              </View>
+            )}
           </TouchableOpacity>
         </View>
       </Swipeable>
@@ -435,11 +374,14 @@ const CollectionItemsScreen = ({ route, navigation }) => {
         </TouchableOpacity>
       </View>
       
+      <OfflineBanner offline={offline} />
+      
       {/* Items Grid */}
       <FlatList
         data={items}
         renderItem={renderItem}
         keyExtractor={(item) => item.id.toString()}
+        extraData={selection.selectedIds}
         numColumns={numColumns}
         contentContainerStyle={[styles.gridContainer, { backgroundColor: theme.colors.background }]}
         ListEmptyComponent={renderEmptyState}
@@ -449,13 +391,23 @@ const CollectionItemsScreen = ({ route, navigation }) => {
         columnWrapperStyle={styles.columnWrapper}
       />
 
-      {/* Floating Add Button for Mobile UX */}
-      <TouchableOpacity 
-        style={[styles.floatingButton, { backgroundColor: theme.colors.primary }]}
-        onPress={handleAddItem}
-      >
-        <Ionicons name="add" size={24} color="#fff" />
-      </TouchableOpacity>
+      {/* Bulk actions replace the add button while selecting */}
+      {selection.selecting ? (
+        <BulkActionBar
+          userId={user.id}
+          items={items.filter(item => selection.isSelected(item.id))}
+          onSelectAll={() => selection.selectAll(items.map(item => item.id))}
+          onClear={selection.clear}
+          onDone={handleBulkDone}
+        />
+      ) : (
+        <TouchableOpacity 
+          style={[styles.floatingButton, { backgroundColor: theme.colors.primary }]}
+          onPress={handleAddItem}
+        >
+          <Ionicons name="add" size={24} color="#fff" />
+        </TouchableOpacity>
+      )}
     </SafeAreaView>
   );
 };
@@ -525,6 +477,9 @@ const styles = createThemedStyles((theme) => ({
     fontWeight: '600',
     marginBottom: 4,
   },
+  loanBadge: {
+    marginBottom: 4,
+  },
   itemCategory: {
     fontSize: 12,
     marginBottom: 4,
@@ -17,7 +17,21 @@ import {
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import Toast from 'react-native-toast-message';
-import { supabase } from '../lib/supabase';
+import {
+  listCollections,
+  createCollection,
+  trashCollection,
+  listSavedSearches,
+  deleteSavedSearch,
+  countItems,
+} from '../data';
+import { DEFAULT_FILTERS, decodeFilters, encodeFilters, summarizeFilters, toItemQuery } from '../utils/searchFilters';
+import { ITEM_STATUS } from '../utils/wishlist';
+import { isOverdue } from '../utils/loans';
+import { useAuth } from '../context/AuthContext';
+import { useCurrency } from '../context/CurrencyContext';
+import { useLocations } from '../hooks/useLocations';
+import { useActiveLoans } from '../hooks/useActiveLoans';
 
 // Import theme and styled components
 import { useTheme } from '../context/ThemeContext'; // Import theme context
@@ -34,7 +48,13 @@ const screenWidth = Dimensions.get('window').width;
 
 function CollectionsScreen({ navigation }) {
   const { theme, isDarkMode } = useTheme(); // Get current theme from context
+  const { user } = useAuth();
+  const { displayCurrency, rates } = useCurrency();
   const [collections, setCollections] = useState([]);
+  const [smartCollections, setSmartCollections] = useState([]);
+  const [wishlistCount, setWishlistCount] = useState(null);
+  const { locations, reload: reloadLocations } = useLocations(user?.id || null);
+  const { loans, reload: reloadLoans } = useActiveLoans(user?.id || null);
   const [loading, setLoading] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
   const [modalVisible, setModalVisible] = useState(false);
@@ -49,6 +69,54 @@ function CollectionsScreen({ navigation }) {
     fetchCollections();
   }, []);
 
+  // Smart collection, wishlist, location and loan counts are recomputed every time the screen is shown
+  useEffect(() => {
+    const unsubscribe = navigation.addListener('focus', () => {
+      fetchSmartCollections();
+      fetchWishlistCount();
+      reloadLocations();
+      reloadLoans();
+    });
+    return unsubscribe;
+  }, [navigation]);
+
+  // Function to fetch saved searches and count what currently matches each one
+  const fetchSmartCollections = async () => {
+    if (!user) return;
+    try {
+      const savedSearches = await listSavedSearches(user.id);
+      const withCounts = await Promise.all(savedSearches.map(async (savedSearch) => {
+        const filters = decodeFilters(savedSearch.filters);
+        try {
+          const itemCount = await countItems({ userId: user.id, ...toItemQuery(filters, { currency: displayCurrency, rates }) });
+          return { ...savedSearch, filters, itemCount };
+        } catch (error) {
+          console.error(`Error counting smart collection ${savedSearch.id}:`, error.message);
+          return { ...savedSearch, filters, itemCount: null };
+        }
+      }));
+      setSmartCollections(withCounts);
+    } catch (error) {
+      handleError(
+        error,
+        'CollectionsScreen.fetchSmartCollections',
+        error.category || ERROR_CATEGORIES.DATABASE,
+        'Unable to load your smart collections.'
+      );
+    }
+  };
+
+  // Only a count here; the list itself is on the Wishlist screen
+  const fetchWishlistCount = async () => {
+    if (!user) return;
+    try {
+      setWishlistCount(await countItems({ userId: user.id, status: ITEM_STATUS.WANTED }));
+    } catch (error) {
+      console.error('Error counting wishlist items:', error.message);
+      setWishlistCount(null);
+    }
+  };
+
   // Function to fetch collections from Supabase
   const fetchCollections = async () => {
     try {
@@ -58,32 +126,12 @@ function CollectionsScreen({ navigation }) {
       setLoading(true);
       console.log('Fetching collections from Supabase...');
       
-      // Fetch collections for the current user
-      const { data: collectionsData, error: collectionsError } = await supabase
-        .from('collections')
-        .select('*')
-        .order('created_at', { ascending: false });
-
-      if (collectionsError) {
-        throw collectionsError;
-      }
-
-      console.log(`Fetched ${collectionsData.length} collections`);
-
-      // For each collection, count the number of items
-      const collectionsWithCounts = await Promise.all(collectionsData.map(async (collection) => {
-        const { count, error: countError } = await supabase
-          .from('items')
-          .select('id', { count: 'exact', head: true })
-          .eq('collection_id', collection.id);
-
-        if (countError) {
-          console.error('Error counting items:', countError);
-          return { ...collection, itemCount: 0 };
-        }
-
-        return { ...collection, itemCount: count || 0 };
-      }));
+      // Fetch collections for the current user, with item counts in the same request
+      const collectionsWithCounts = await listCollections(user?.id, {
+        withCounts: true,
+        orderBy: 'created_at',
+      });
+      console.log(`Fetched ${collectionsWithCounts.length} collections`);
 
       setCollections(collectionsWithCounts);
     } catch (error) {
@@ -91,7 +139,7 @@ function CollectionsScreen({ navigation }) {
       handleError(
         error,
         'CollectionsScreen.fetchCollections',
-        ERROR_CATEGORIES.DATABASE,
+        error.category || ERROR_CATEGORIES.DATABASE,
         'Unable to load your collections. Please try again.'
       );
       
@@ -111,6 +159,10 @@ function CollectionsScreen({ navigation }) {
   const handleRefresh = () => {
     setRefreshing(true);
     fetchCollections();
+    fetchSmartCollections();
+    fetchWishlistCount();
+    reloadLocations();
+    reloadLoans();
   };
 
   // Function to handle collection tap
@@ -142,7 +194,7 @@ function CollectionsScreen({ navigation }) {
     
     Alert.alert(
       'Delete Collection',
-      `Are you sure you want to delete the collection '${collection.name}'? This will NOT delete the items in the collection.`,
+      `Move the collection '${collection.name}' to the Trash? Its items are kept, and go back in it if you restore it.`,
       [
         {
           text: 'Cancel',
@@ -170,15 +222,8 @@ function CollectionsScreen({ navigation }) {
     
     setLoading(true);
     try {
-      // Delete the collection from the database
-      const { error } = await supabase
-        .from('collections')
-        .delete()
-        .eq('id', collectionId);
-      
-      if (error) {
-        throw error;
-      }
+      // Trash the collection (its items are kept, outside any collection)
+      await trashCollection(collectionId);
       
       // Update the UI by removing the deleted collection
       setCollections(collections.filter(c => c.id !== collectionId));
@@ -186,7 +231,7 @@ function CollectionsScreen({ navigation }) {
       Toast.show({
         type: 'success',
         text1: 'Success',
-        text2: `'${collectionName}' has been deleted.`,
+        text2: `'${collectionName}' has been moved to the Trash.`,
       });
     } catch (error) {
       console.error('Error deleting collection:', error);
@@ -200,6 +245,34 @@ function CollectionsScreen({ navigation }) {
     }
   };
 
+  // Function to confirm and delete a smart collection (its items are untouched)
+  const handleDeleteSmartCollection = (smartCollection) => {
+    Alert.alert(
+      'Delete Smart Collection',
+      `Delete '${smartCollection.name}'? Your items are not affected.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await deleteSavedSearch(smartCollection.id);
+              setSmartCollections(current => current.filter(s => s.id !== smartCollection.id));
+            } catch (error) {
+              handleError(
+                error,
+                'CollectionsScreen.handleDeleteSmartCollection',
+                error.category || ERROR_CATEGORIES.DATABASE,
+                'Failed to delete smart collection. Please try again.'
+              );
+            }
+          },
+        },
+      ]
+    );
+  };
+
   // Function to create a new collection
   const handleCreateCollection = async () => {
     // Validate input
@@ -221,25 +294,12 @@ function CollectionsScreen({ navigation }) {
       console.log('Creating new collection:', { name: newCollectionName, icon: selectedIcon });
       
       // Insert the new collection into Supabase
-      const { data, error } = await supabase
-        .from('collections')
-        .insert([
-          {
-            name: newCollectionName,
-            icon: selectedIcon,
-            // user_id is automatically set by RLS policy
-          },
-        ])
-        .select();
+      const created = await createCollection({ name: newCollectionName, icon: selectedIcon });
 
-      if (error) {
-        throw error;
-      }
-
-      console.log('Collection created successfully:', data);
+      console.log('Collection created successfully:', created);
       
       // Add the new collection to the state with a count of 0 items
-      const newCollection = { ...data[0], itemCount: 0 };
+      const newCollection = { ...created, itemCount: 0 };
       setCollections([newCollection, ...collections]);
       
       // Reset form and close modal
@@ -257,7 +317,7 @@ function CollectionsScreen({ navigation }) {
       handleError(
         error,
         'CollectionsScreen.handleCreateCollection',
-        ERROR_CATEGORIES.DATABASE,
+        error.category || ERROR_CATEGORIES.DATABASE,
         'Unable to create collection. Please try again.'
       );
       
@@ -297,6 +357,66 @@ function CollectionsScreen({ navigation }) {
     </Card.Interactive>
   );
 
+  // Render the Wishlist card under All Items
+  const renderWishlistCard = () => (
+    <Card.Interactive
+      style={[styles.allItemsCard, styles.wishlistCard, { backgroundColor: theme.colors.surface, borderColor: theme.colors.primary }]}
+      onPress={() => navigation.navigate('Wishlist')}
+    >
+      <View style={styles.allItemsContent}>
+        <Ionicons name="heart-outline" size={24} color={theme.colors.primary} />
+        <View style={styles.allItemsTextContainer}>
+          <Typography.Label style={[styles.allItemsTitle, { color: theme.colors.text }]}>Wishlist</Typography.Label>
+          <Typography.BodySmall style={[styles.allItemsSubtitle, { color: theme.colors.textSecondary }]}>
+            {wishlistCount ? `${wishlistCount} ${wishlistCount === 1 ? 'item' : 'items'} you're looking for` : 'Track items you want to find'}
+          </Typography.BodySmall>
+        </View>
+        <Ionicons name="chevron-forward" size={20} color={theme.colors.textSecondary} />
+      </View>
+    </Card.Interactive>
+  );
+
+  // Render the Storage Locations card under the Wishlist
+  const renderLocationsCard = () => (
+    <Card.Interactive
+      style={[styles.allItemsCard, styles.wishlistCard, { backgroundColor: theme.colors.surface, borderColor: theme.colors.primary }]}
+      onPress={() => navigation.navigate('Locations')}
+    >
+      <View style={styles.allItemsContent}>
+        <Ionicons name="cube-outline" size={24} color={theme.colors.primary} />
+        <View style={styles.allItemsTextContainer}>
+          <Typography.Label style={[styles.allItemsTitle, { color: theme.colors.text }]}>Storage Locations</Typography.Label>
+          <Typography.BodySmall style={[styles.allItemsSubtitle, { color: theme.colors.textSecondary }]}>
+            {locations.length > 0 ? `${locations.length} ${locations.length === 1 ? 'place' : 'places'} you keep things` : 'Track which box or shelf each item is in'}
+          </Typography.BodySmall>
+        </View>
+        <Ionicons name="chevron-forward" size={20} color={theme.colors.textSecondary} />
+      </View>
+    </Card.Interactive>
+  );
+
+  // Render the On Loan card under Storage Locations, while anything is lent out
+  const renderLoansCard = () => {
+    const overdueCount = loans.filter(loan => isOverdue(loan)).length;
+    return (
+      <Card.Interactive
+        style={[styles.allItemsCard, styles.wishlistCard, { backgroundColor: theme.colors.surface, borderColor: overdueCount > 0 ? theme.colors.error : theme.colors.primary }]}
+        onPress={() => navigation.navigate('Search', { filters: encodeFilters({ ...DEFAULT_FILTERS, onLoan: true }) })}
+      >
+        <View style={styles.allItemsContent}>
+          <Ionicons name="swap-horizontal-outline" size={24} color={overdueCount > 0 ? theme.colors.error : theme.colors.primary} />
+          <View style={styles.allItemsTextContainer}>
+            <Typography.Label style={[styles.allItemsTitle, { color: theme.colors.text }]}>On Loan</Typography.Label>
+            <Typography.BodySmall style={[styles.allItemsSubtitle, { color: theme.colors.textSecondary }]}>
+              {`${loans.length} ${loans.length === 1 ? 'item' : 'items'} lent out`}{overdueCount > 0 ? ` · ${overdueCount} overdue` : ''}
+            </Typography.BodySmall>
+          </View>
+          <Ionicons name="chevron-forward" size={20} color={theme.colors.textSecondary} />
+        </View>
+      </Card.Interactive>
+    );
+  };
+
   // Render a collection card
   const renderCollectionCard = ({ item }) => (
     <Card.Interactive
@@ -318,6 +438,40 @@ function CollectionsScreen({ navigation }) {
     </Card.Interactive>
   );
 
+  // Render a smart collection card - same shape as a collection, with its rule instead of a fixed list
+  const renderSmartCollectionCard = (smartCollection) => (
+    <Card.Interactive
+      key={smartCollection.id}
+      style={[styles.card, styles.smartCard, { backgroundColor: theme.colors.background }]}
+      onPress={() => navigation.navigate('SmartCollection', {
+        savedSearchId: smartCollection.id,
+        name: smartCollection.name,
+        icon: smartCollection.icon,
+      })}
+    >
+      <View style={[styles.smartBadge, { backgroundColor: theme.colors.primary + '20' }]}>
+        <Ionicons name="flash" size={12} color={theme.colors.primary} />
+      </View>
+      <Text style={styles.cardIcon}>{smartCollection.icon}</Text>
+      <Typography.Label style={[styles.cardName, { color: isDarkMode ? '#FFFFFF' : theme.colors.text }]} numberOfLines={2}>{smartCollection.name}</Typography.Label>
+      <Typography.Caption style={[styles.smartRule, { color: isDarkMode ? '#BBBBBB' : theme.colors.textSecondary }]} numberOfLines={2}>
+        {summarizeFilters(smartCollection.filters, { collections, locations, currency: displayCurrency })}
+      </Typography.Caption>
+      <View style={styles.cardFooter}>
+        <Typography.BodySmall style={[styles.cardCount, { color: isDarkMode ? '#E0E0E0' : theme.colors.textSecondary }]}>
+          {smartCollection.itemCount === null ? '–' : smartCollection.itemCount} items
+        </Typography.BodySmall>
+        <TouchableOpacity
+          style={styles.deleteButton}
+          onPress={() => handleDeleteSmartCollection(smartCollection)}
+          hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}
+        >
+          <Ionicons name="trash-outline" size={16} color={theme.colors.error} />
+        </TouchableOpacity>
+      </View>
+    </Card.Interactive>
+  );
+
   // Render an emoji option for selection
   const renderEmojiOption = (emoji) => (
     <TouchableOpacity
@@ -402,8 +556,23 @@ function CollectionsScreen({ navigation }) {
             {/* All Items Card */}
             <View style={styles.allItemsContainer}>
               {renderAllItemsCard()}
+              {renderWishlistCard()}
+              {renderLocationsCard()}
+              {loans.length > 0 && renderLoansCard()}
             </View>
             
+            {/* Smart Collections - saved searches */}
+            {smartCollections.length > 0 && (
+              <>
+                <View style={styles.sectionTitleContainer}>
+                  <Typography.H3 style={{ color: isDarkMode ? '#FFFFFF' : theme.colors.text }}>Smart Collections</Typography.H3>
+                </View>
+                <View style={styles.smartGrid}>
+                  {smartCollections.map(renderSmartCollectionCard)}
+                </View>
+              </>
+            )}
+
             {/* Section Title */}
             <View style={styles.sectionTitleContainer}>
               <Typography.H3 style={{ color: isDarkMode ? '#FFFFFF' : theme.colors.text }}>Collections</Typography.H3>
@@ -507,6 +676,9 @@ const styles = createThemedStyles((theme) => ({
     marginBottom: 8,
     backgroundColor: theme.colors.primary,
   },
+  wishlistCard: {
+    borderWidth: 1,
+  },
   allItemsContent: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -565,6 +737,25 @@ const styles = createThemedStyles((theme) => ({
   cardCount: {
     textAlign: 'center',
   },
+  smartGrid: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'space-between',
+  },
+  smartCard: {
+    marginBottom: theme.spacing.lg,
+  },
+  smartBadge: {
+    position: 'absolute',
+    top: theme.spacing.sm,
+    right: theme.spacing.sm,
+    padding: theme.spacing.xs,
+    borderRadius: theme.borderRadius.round,
+  },
+  smartRule: {
+    textAlign: 'center',
+    marginBottom: theme.spacing.xs,
+  },
   emptyContainer: {
     flex: 1,
     alignItems: 'center',
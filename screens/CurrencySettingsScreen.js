@@ -0,0 +1,210 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Text,
+  View,
+  TextInput,
+  TouchableOpacity,
+  ScrollView,
+  Alert,
+  StatusBar,
+  SafeAreaView,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import Toast from 'react-native-toast-message';
+import { useTheme } from '../context/ThemeContext';
+import { useCurrency } from '../context/CurrencyContext';
+import CurrencyPicker from '../components/CurrencyPicker';
+import { createThemedStyles } from '../theme/styled';
+import { CURRENCIES, DEFAULT_CURRENCY } from '../utils/money';
+
+const rateText = (rate) => (rate ? String(rate) : '');
+
+// Display currency and the exchange-rate table totals are converted with.
+// Both stay on this device; rates are whatever the user last entered.
+const CurrencySettingsScreen = ({ navigation }) => {
+  const { theme, isDarkMode } = useTheme();
+  const { displayCurrency, rates, setDisplayCurrency, setExchangeRate, resetExchangeRates } = useCurrency();
+  // Rates as typed, applied when editing ends
+  const [drafts, setDrafts] = useState({});
+
+  useEffect(() => {
+    setDrafts(Object.fromEntries(CURRENCIES.map(c => [c.code, rateText(rates[c.code])])));
+  }, [rates]);
+
+  const applyRate = (code) => {
+    const rate = parseFloat((drafts[code] || '').replace(',', '.'));
+    if (!(rate > 0)) {
+      Toast.show({
+        type: 'error',
+        text1: 'Invalid Rate',
+        text2: 'Exchange rates must be greater than zero.',
+      });
+      setDrafts(current => ({ ...current, [code]: rateText(rates[code]) }));
+      return;
+    }
+    if (rate !== rates[code]) setExchangeRate(code, rate);
+  };
+
+  const handleReset = () => {
+    Alert.alert(
+      'Reset Exchange Rates',
+      'Replace your rates with the built-in defaults?',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Reset', style: 'destructive', onPress: resetExchangeRates },
+      ]
+    );
+  };
+
+  return (
+    <SafeAreaView style={[styles.safeArea, { backgroundColor: theme.colors.background }]}>
+      <StatusBar barStyle={isDarkMode ? 'light-content' : 'dark-content'} backgroundColor={theme.colors.background} />
+
+      <View style={[styles.header, { backgroundColor: theme.colors.surface, borderBottomColor: theme.colors.divider }]}>
+        <TouchableOpacity style={styles.headerButton} onPress={() => navigation.goBack()}>
+          <Ionicons name="arrow-back" size={24} color={theme.colors.text} />
+        </TouchableOpacity>
+        <Text style={[styles.headerTitle, { color: theme.colors.text }]}>Currency</Text>
+        <View style={styles.headerSpacer} />
+      </View>
+
+      <ScrollView contentContainerStyle={styles.content} keyboardShouldPersistTaps="handled">
+        <View style={[styles.section, { backgroundColor: theme.colors.card }]}>
+          <Text style={[styles.sectionTitle, { color: theme.colors.text }]}>Display Currency</Text>
+          <Text style={[styles.sectionDescription, { color: theme.colors.textSecondary }]}>
+            Totals and statistics are shown in this currency. Each item keeps the currency its value was entered in.
+          </Text>
+          <CurrencyPicker selected={displayCurrency} onSelect={setDisplayCurrency} style={styles.picker} />
+        </View>
+
+        <View style={[styles.section, { backgroundColor: theme.colors.card }]}>
+          <Text style={[styles.sectionTitle, { color: theme.colors.text }]}>Exchange Rates</Text>
+          <Text style={[styles.sectionDescription, { color: theme.colors.textSecondary }]}>
+            How much of each currency one {DEFAULT_CURRENCY} buys. Rates aren't updated automatically.
+          </Text>
+
+          {CURRENCIES.filter(c => c.code !== DEFAULT_CURRENCY).map(currency => (
+            <View key={currency.code} style={[styles.rateRow, { borderTopColor: theme.colors.divider }]}>
+              <View style={styles.rateInfo}>
+                <Text style={[styles.rateCode, { color: theme.colors.text }]}>{currency.code}</Text>
+                <Text style={[styles.rateName, { color: theme.colors.textSecondary }]}>{currency.name}</Text>
+              </View>
+              <Text style={[styles.rateLabel, { color: theme.colors.textSecondary }]}>1 {DEFAULT_CURRENCY} =</Text>
+              <TextInput
+                style={[styles.rateInput, {
+                  backgroundColor: theme.colors.inputBackground,
+                  color: theme.colors.inputText,
+                  borderColor: theme.colors.inputBorder,
+                }]}
+                value={drafts[currency.code] || ''}
+                onChangeText={(text) => setDrafts(current => ({ ...current, [currency.code]: text }))}
+                onEndEditing={() => applyRate(currency.code)}
+                keyboardType="decimal-pad"
+                accessibilityLabel={`${currency.name} per ${DEFAULT_CURRENCY}`}
+              />
+            </View>
+          ))}
+
+          <TouchableOpacity style={[styles.resetButton, { borderTopColor: theme.colors.divider }]} onPress={handleReset}>
+            <Text style={[styles.resetText, { color: theme.colors.error }]}>Reset to Defaults</Text>
+          </TouchableOpacity>
+        </View>
+      </ScrollView>
+    </SafeAreaView>
+  );
+};
+
+const styles = createThemedStyles((theme) => ({
+  safeArea: {
+    flex: 1,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+  },
+  headerButton: {
+    padding: 4,
+  },
+  headerTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+  },
+  headerSpacer: {
+    width: 32,
+  },
+  content: {
+    paddingVertical: 16,
+  },
+  section: {
+    marginHorizontal: 16,
+    marginBottom: 16,
+    borderRadius: 12,
+    overflow: 'hidden',
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+    elevation: 2,
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    paddingHorizontal: 16,
+    paddingTop: 12,
+  },
+  sectionDescription: {
+    fontSize: 12,
+    paddingHorizontal: 16,
+    marginTop: 4,
+    marginBottom: 12,
+  },
+  picker: {
+    paddingHorizontal: 16,
+    paddingBottom: 12,
+  },
+  rateRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 10,
+    paddingHorizontal: 16,
+    borderTopWidth: 1,
+  },
+  rateInfo: {
+    flex: 1,
+  },
+  rateCode: {
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  rateName: {
+    fontSize: 12,
+  },
+  rateLabel: {
+    fontSize: 14,
+    marginRight: 8,
+  },
+  rateInput: {
+    width: 90,
+    borderWidth: 1,
+    borderRadius: 8,
+    paddingHorizontal: 8,
+    paddingVertical: 6,
+    fontSize: 14,
+    textAlign: 'right',
+  },
+  resetButton: {
+    paddingVertical: 12,
+    alignItems: 'center',
+    borderTopWidth: 1,
+  },
+  resetText: {
+    fontSize: 14,
+    fontWeight: '600',
+  },
+}));
+
+export default CurrencySettingsScreen;
@@ -0,0 +1,377 @@
+import React, { useState } from 'react';
+import {
+  Text,
+  View,
+  TextInput,
+  TouchableOpacity,
+  ScrollView,
+  Alert,
+  Switch,
+  StatusBar,
+  SafeAreaView,
+  ActivityIndicator,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import Toast from 'react-native-toast-message';
+import { useTheme } from '../context/ThemeContext';
+import { useAuth } from '../context/AuthContext';
+import { useCustomFields } from '../hooks/useCustomFields';
+import { createCustomField, deleteCustomField } from '../data';
+import { createThemedStyles } from '../theme/styled';
+import { handleError, ERROR_CATEGORIES } from '../utils/errorHandler';
+import { validateLength } from '../utils/inputValidation';
+import { FIELD_TYPES, fieldKeyFromLabel, fieldsForCategory } from '../utils/fieldSchemas';
+import { CATEGORIES } from './AddItem/constants';
+
+const typeLabel = (type) => FIELD_TYPES.find(t => t.key === type)?.label || type;
+
+// Fields the user adds to the item forms, on top of each category's built-in ones.
+// Values are stored in items.attributes, so deleting a field keeps them.
+const CustomFieldsScreen = ({ navigation }) => {
+  const { theme, isDarkMode } = useTheme();
+  const { user } = useAuth();
+  const { customFields, loading, reload } = useCustomFields(user?.id);
+
+  const [label, setLabel] = useState('');
+  const [type, setType] = useState('text');
+  const [category, setCategory] = useState(null);
+  const [optionsText, setOptionsText] = useState('');
+  const [required, setRequired] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  const inputStyle = [styles.input, {
+    backgroundColor: theme.colors.inputBackground,
+    color: theme.colors.inputText,
+    borderColor: theme.colors.inputBorder,
+  }];
+
+  const showInvalid = (message) => Toast.show({ type: 'error', text1: 'Invalid Field', text2: message });
+
+  const handleAdd = async () => {
+    const labelValidation = validateLength(label.trim(), 1, 40);
+    if (!labelValidation.success) {
+      showInvalid(labelValidation.message);
+      return;
+    }
+    const key = fieldKeyFromLabel(label);
+    if (!key) {
+      showInvalid('Field names need at least one letter or number.');
+      return;
+    }
+    // Built-in fields already cover this name for the category
+    if (fieldsForCategory(category).some(field => field.key === key)) {
+      showInvalid(`${category || 'A category'} already has a ${label.trim()} field.`);
+      return;
+    }
+    const options = optionsText.split(',').map(option => option.trim()).filter(Boolean);
+    if (type === 'select' && options.length < 2) {
+      showInvalid('Enter at least two choices, separated by commas.');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      await createCustomField({
+        label: label.trim(),
+        type,
+        category,
+        options,
+        required,
+        position: customFields.length,
+      });
+      setLabel('');
+      setOptionsText('');
+      setRequired(false);
+      await reload();
+      Toast.show({ type: 'success', text1: 'Field Added', text2: `${label.trim()} now appears on your item forms.` });
+    } catch (error) {
+      handleError(
+        error,
+        'CustomFieldsScreen.handleAdd',
+        error.category || ERROR_CATEGORIES.DATABASE,
+        error.category === ERROR_CATEGORIES.VALIDATION
+          ? 'You already have a field with this name for that category.'
+          : 'Unable to add the field. Please try again.'
+      );
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = (field) => {
+    Alert.alert(
+      'Delete Field',
+      `Remove '${field.label}' from your item forms? Values already saved on items are kept.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await deleteCustomField(field.id);
+              await reload();
+            } catch (error) {
+              handleError(
+                error,
+                'CustomFieldsScreen.handleDelete',
+                error.category || ERROR_CATEGORIES.DATABASE,
+                'Unable to delete the field. Please try again.'
+              );
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const renderChip = (key, text, isSelected, onPress) => (
+    <TouchableOpacity
+      key={key}
+      style={[
+        styles.chip,
+        { backgroundColor: theme.colors.surface, borderColor: theme.colors.divider },
+        isSelected && { backgroundColor: theme.colors.primary + '20', borderColor: theme.colors.primary },
+      ]}
+      onPress={onPress}
+      accessibilityState={{ selected: isSelected }}
+    >
+      <Text style={[styles.chipText, { color: isSelected ? theme.colors.primary : theme.colors.textSecondary }]}>{text}</Text>
+    </TouchableOpacity>
+  );
+
+  return (
+    <SafeAreaView style={[styles.safeArea, { backgroundColor: theme.colors.background }]}>
+      <StatusBar barStyle={isDarkMode ? 'light-content' : 'dark-content'} backgroundColor={theme.colors.background} />
+
+      <View style={[styles.header, { backgroundColor: theme.colors.surface, borderBottomColor: theme.colors.divider }]}>
+        <TouchableOpacity style={styles.headerButton} onPress={() => navigation.goBack()}>
+          <Ionicons name="arrow-back" size={24} color={theme.colors.text} />
+        </TouchableOpacity>
+        <Text style={[styles.headerTitle, { color: theme.colors.text }]}>Custom Fields</Text>
+        <View style={styles.headerSpacer} />
+      </View>
+
+      <ScrollView contentContainerStyle={styles.content} keyboardShouldPersistTaps="handled">
+        <View style={[styles.section, { backgroundColor: theme.colors.card }]}>
+          <Text style={[styles.sectionTitle, { color: theme.colors.text }]}>Your Fields</Text>
+          <Text style={[styles.sectionDescription, { color: theme.colors.textSecondary }]}>
+            Shown on the add and edit forms after each category's own fields.
+          </Text>
+
+          {loading ? (
+            <ActivityIndicator color={theme.colors.primary} style={styles.loader} />
+          ) : customFields.length === 0 ? (
+            <Text style={[styles.emptyText, { color: theme.colors.textSecondary }]}>You haven't added any fields yet.</Text>
+          ) : (
+            customFields.map(field => (
+              <View key={field.id} style={[styles.fieldRow, { borderTopColor: theme.colors.divider }]}>
+                <View style={styles.fieldInfo}>
+                  <Text style={[styles.fieldLabel, { color: theme.colors.text }]}>
+                    {field.label}{field.required ? ' *' : ''}
+                  </Text>
+                  <Text style={[styles.fieldMeta, { color: theme.colors.textSecondary }]}>
+                    {typeLabel(field.type)} · {field.category || 'All categories'}
+                    {field.type === 'select' ? ` · ${field.options.join(', ')}` : ''}
+                  </Text>
+                </View>
+                <TouchableOpacity onPress={() => handleDelete(field)} accessibilityLabel={`Delete ${field.label}`}>
+                  <Ionicons name="trash-outline" size={20} color={theme.colors.error} />
+                </TouchableOpacity>
+              </View>
+            ))
+          )}
+        </View>
+
+        <View style={[styles.section, { backgroundColor: theme.colors.card }]}>
+          <Text style={[styles.sectionTitle, { color: theme.colors.text }]}>Add a Field</Text>
+
+          <View style={styles.formGroup}>
+            <Text style={[styles.formLabel, { color: theme.colors.text }]}>Name</Text>
+            <TextInput
+              style={inputStyle}
+              placeholder="e.g., Print Run"
+              value={label}
+              onChangeText={setLabel}
+              maxLength={40}
+              placeholderTextColor={theme.colors.inputPlaceholder}
+            />
+          </View>
+
+          <View style={styles.formGroup}>
+            <Text style={[styles.formLabel, { color: theme.colors.text }]}>Type</Text>
+            <View style={styles.chipRow}>
+              {FIELD_TYPES.map(fieldType => renderChip(fieldType.key, fieldType.label, type === fieldType.key, () => setType(fieldType.key)))}
+            </View>
+          </View>
+
+          {type === 'select' && (
+            <View style={styles.formGroup}>
+              <Text style={[styles.formLabel, { color: theme.colors.text }]}>Choices</Text>
+              <TextInput
+                style={inputStyle}
+                placeholder="Separated by commas, e.g., Gold, Silver, Bronze"
+                value={optionsText}
+                onChangeText={setOptionsText}
+                placeholderTextColor={theme.colors.inputPlaceholder}
+              />
+            </View>
+          )}
+
+          <View style={styles.formGroup}>
+            <Text style={[styles.formLabel, { color: theme.colors.text }]}>Category</Text>
+            <ScrollView horizontal showsHorizontalScrollIndicator={false} keyboardShouldPersistTaps="handled">
+              {renderChip('all', 'All categories', category === null, () => setCategory(null))}
+              {CATEGORIES.map(name => renderChip(name, name, category === name, () => setCategory(name)))}
+            </ScrollView>
+          </View>
+
+          <View style={[styles.formGroup, styles.switchRow]}>
+            <Text style={[styles.formLabel, { color: theme.colors.text }]}>Required</Text>
+            <Switch
+              trackColor={{ false: '#767577', true: theme.colors.primary }}
+              thumbColor="#f4f3f4"
+              ios_backgroundColor="#767577"
+              onValueChange={setRequired}
+              value={required}
+            />
+          </View>
+
+          <TouchableOpacity
+            style={[styles.addButton, { backgroundColor: theme.colors.primary }]}
+            onPress={handleAdd}
+            disabled={saving}
+          >
+            {saving ? <ActivityIndicator color="white" /> : <Text style={styles.addButtonText}>Add Field</Text>}
+          </TouchableOpacity>
+        </View>
+      </ScrollView>
+    </SafeAreaView>
+  );
+};
+
+const styles = createThemedStyles((theme) => ({
+  safeArea: {
+    flex: 1,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+  },
+  headerButton: {
+    padding: 4,
+  },
+  headerTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+  },
+  headerSpacer: {
+    width: 32,
+  },
+  content: {
+    paddingVertical: 16,
+  },
+  section: {
+    marginHorizontal: 16,
+    marginBottom: 16,
+    borderRadius: 12,
+    overflow: 'hidden',
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+    elevation: 2,
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    paddingHorizontal: 16,
+    paddingTop: 12,
+    paddingBottom: 4,
+  },
+  sectionDescription: {
+    fontSize: 12,
+    paddingHorizontal: 16,
+    marginBottom: 12,
+  },
+  loader: {
+    marginVertical: 16,
+  },
+  emptyText: {
+    fontSize: 14,
+    paddingHorizontal: 16,
+    paddingBottom: 16,
+  },
+  fieldRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 10,
+    paddingHorizontal: 16,
+    borderTopWidth: 1,
+  },
+  fieldInfo: {
+    flex: 1,
+    marginRight: 12,
+  },
+  fieldLabel: {
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  fieldMeta: {
+    fontSize: 12,
+    marginTop: 2,
+  },
+  formGroup: {
+    paddingHorizontal: 16,
+    marginTop: 12,
+  },
+  formLabel: {
+    fontSize: 14,
+    fontWeight: '500',
+    marginBottom: 6,
+  },
+  input: {
+    height: 44,
+    borderWidth: 1,
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    fontSize: 16,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    borderWidth: 1,
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  chipText: {
+    fontSize: 13,
+  },
+  switchRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+  },
+  addButton: {
+    margin: 16,
+    paddingVertical: 12,
+    borderRadius: 8,
+    alignItems: 'center',
+  },
+  addButtonText: {
+    color: 'white',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+}));
+
+export default CustomFieldsScreen;
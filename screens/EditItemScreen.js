@@ -17,17 +17,40 @@ import {
 } from 'react-native';
 import DropDownPicker from 'react-native-dropdown-picker';
 import * as ImagePicker from 'expo-image-picker';
-import * as ImageManipulator from 'expo-image-manipulator';
 import { Ionicons } from '@expo/vector-icons';
 import Toast from 'react-native-toast-message';
-import { supabase } from '../lib/supabase';
+import { format } from 'date-fns';
+import {
+  getItem,
+  getCachedItem,
+  getCachedCollections,
+  resolveItemId,
+  isLocalId,
+  queueUpdateItem,
+  listCollections,
+  hasAcquisitionDetails,
+} from '../data';
 import { useAuth } from '../context/AuthContext';
 import { useTheme } from '../context/ThemeContext';
-import { sanitizeString, validateLength, validateNumber, sanitizeObject } from '../utils/inputValidation';
+import { validateLength, validateNumber } from '../utils/inputValidation';
 import { handleError, ERROR_CATEGORIES } from '../utils/errorHandler';
 import ErrorDisplay from '../components/ErrorDisplay';
+import CurrencyPicker from '../components/CurrencyPicker';
+import AcquisitionFields, { acquisitionFormValues, validateAcquisition } from '../components/AcquisitionFields';
+import AttributeFields from '../components/AttributeFields';
+import TagInput from '../components/TagInput';
+import LocationPicker from '../components/LocationPicker';
+import WishlistFields from '../components/WishlistFields';
+import { useCustomFields } from '../hooks/useCustomFields';
+import { useTags } from '../hooks/useTags';
+import { useLocations } from '../hooks/useLocations';
+import { fieldsForCategory, validateAttributes, normalizeAttributes, attributeFormValues } from '../utils/fieldSchemas';
+import { DEFAULT_CURRENCY, normalizeCurrency, currencySymbol } from '../utils/money';
+import { ITEM_STATUS, DEFAULT_PRIORITY, isWanted, validateTargetPrice } from '../utils/wishlist';
+import { itemQuantity, validateQuantity } from '../utils/copies';
+import { undoChanges } from '../utils/revisions';
+import { CATEGORIES } from './AddItem/constants';
 
-const CATEGORIES = ['Diecast', 'Sports Cards', 'Memorabilia', 'Custom', 'Other'];
 const CONDITIONS = ['Mint', 'Used', 'Damaged'];
 const MAX_PHOTOS = 5;
 const { width } = Dimensions.get('window');
@@ -37,16 +60,17 @@ function EditItemScreen({ route, navigation }) {
   // Get theme context
   const { theme, isDarkMode } = useTheme();
   
-  // Get item details from route params
-  const { itemId } = route.params;
+  // Get item details from route params (items created offline have a local ID until they sync)
+  const itemId = resolveItemId(route.params.itemId);
+  // Marking a wishlist item as acquired turns it into an owned item, purchase details and all
+  const isAcquiring = !!route.params.acquire;
   
   // State variables
   const [itemName, setItemName] = useState('');
-  const [selectedCategory, setSelectedCategory] = useState(CATEGORIES[0]);
+  const [selectedCategory, setSelectedCategory] = useState('Other');
   const [selectedCondition, setSelectedCondition] = useState(CONDITIONS[0]); // Default to Mint
   const [brand, setBrand] = useState('');
   const [images, setImages] = useState([]);
-  const [originalImages, setOriginalImages] = useState([]);
   const [loading, setLoading] = useState(false);
   const [loadingItem, setLoadingItem] = useState(true);
   const [collections, setCollections] = useState([]);
@@ -54,9 +78,24 @@ function EditItemScreen({ route, navigation }) {
   const [loadingCollections, setLoadingCollections] = useState(true);
   const [isShared, setIsShared] = useState(false);
   const [value, setValue] = useState('0.00'); // Add state for value
+  const [quantity, setQuantity] = useState('1'); // Copies owned
+  const [locationId, setLocationId] = useState(null); // Storage location
+  const [currency, setCurrency] = useState(DEFAULT_CURRENCY);
+  const [valueNote, setValueNote] = useState(''); // Saved to the value history with a new value
   const [notes, setNotes] = useState(''); // Add state for notes
+  const [acquisition, setAcquisition] = useState(acquisitionFormValues(null, DEFAULT_CURRENCY)); // Purchase details
+  const [attributes, setAttributes] = useState({}); // Category and custom field values
+  const [attributeErrors, setAttributeErrors] = useState({});
+  const [tags, setTags] = useState([]);
+  const [targetPrice, setTargetPrice] = useState(''); // Wishlist items only
+  const [priority, setPriority] = useState(DEFAULT_PRIORITY);
+  const [loadedItem, setLoadedItem] = useState(null); // The item as loaded, for conflict detection
   const [errors, setErrors] = useState({}); // Add state for errors
   const { user } = useAuth();
+  const { customFields } = useCustomFields(user?.id);
+  const { tags: knownTags } = useTags(user?.id);
+  const { locations } = useLocations(user?.id);
+  const attributeFields = fieldsForCategory(selectedCategory, customFields);
 
   // Add error state variables
   const [hasError, setHasError] = useState(false);
@@ -68,7 +107,9 @@ function EditItemScreen({ route, navigation }) {
   const [collectionOpen, setCollectionOpen] = useState(false);
 
   // Convert categories and conditions to the format needed by DropDownPicker
-  const categoryItems = CATEGORIES.map(category => ({ label: category, value: category }));
+  // Items saved with a category from before the current list keep it as an option
+  const categoryItems = [...CATEGORIES, ...(CATEGORIES.includes(selectedCategory) ? [] : [selectedCategory])]
+    .map(category => ({ label: category, value: category }));
   const conditionItems = CONDITIONS.map(condition => ({ label: condition, value: condition }));
 
   // Fetch item data and collections when component mounts
@@ -78,45 +119,42 @@ function EditItemScreen({ route, navigation }) {
     fetchCollections();
   }, []);
 
-  // Function to fetch photos for the item from the item_photos table
-  const fetchItemPhotos = async (itemId) => {
-    try {
-      console.log(`Fetching photos for item ID: ${itemId}`);
-      
-      const { data, error } = await supabase
-        .from('item_photos')
-        .select('image_id, display_order, images(url)')
-        .eq('item_id', itemId)
-        .order('display_order', { ascending: true });
-      
-      if (error) {
-        console.error('Error fetching item photos:', error);
-        return;
-      }
-      
-      if (data && data.length > 0) {
-        console.log(`Fetched ${data.length} photos for item`);
-        
-        // Extract just the photo URLs
-        const photoUrls = data.map(photo => photo.images?.url).filter(url => url);
-        console.log('Photo URLs:', photoUrls);
-        
-        // Set both the current images and original images
-        setImages(photoUrls);
-        setOriginalImages(photoUrls);
-      } else {
-        console.log('No photos found for this item');
-        setImages([]);
-        setOriginalImages([]);
-      }
-    } catch (error) {
-      console.error('Error in fetchItemPhotos:', error);
-    } finally {
-      setLoadingItem(false);
+  // Fill the form from an item
+  const populateForm = (data) => {
+    setLoadedItem(data);
+    setItemName(data.name || '');
+    setSelectedCategory(data.category || 'Other');
+    setBrand(data.brand || '');
+    setSelectedCollectionId(data.collection_id ? String(data.collection_id) : ''); // Convert to string
+    setIsShared(data.is_shared || false);
+    setSelectedCondition(data.condition || CONDITIONS[0]); // Set condition from data
+    setValue(data.value ? data.value.toString() : '0.00'); // Set value from data
+    setQuantity(String(itemQuantity(data)));
+    setLocationId(data.location_id || null);
+    setCurrency(normalizeCurrency(data.currency));
+    setValueNote('');
+    setNotes(data.notes || ''); // Set notes from data
+    setAcquisition(acquisitionFormValues(data.acquisition, normalizeCurrency(data.currency)));
+    setAttributes(attributeFormValues(data.attributes));
+    setTags(data.tags || []);
+    setTargetPrice(data.target_price != null ? data.target_price.toString() : '');
+    setPriority(data.priority || DEFAULT_PRIORITY);
+    setImages(data.photos || []);
+
+    // What was paid is usually close to the target, and today's the day it was bought
+    if (isAcquiring && isWanted(data) && !data.acquisition) {
+      setAcquisition(current => ({
+        ...current,
+        purchase_price: data.target_price != null ? data.target_price.toString() : '',
+        purchase_date: format(new Date(), 'yyyy-MM-dd'),
+      }));
     }
   };
 
-  // Function to fetch the item details from Supabase
+  // Still on the wishlist once saved
+  const staysWanted = isWanted(loadedItem) && !isAcquiring;
+
+  // Function to fetch the item details, from the offline cache if it has unsynced changes or we're offline
   const fetchItemDetails = async () => {
     try {
       // Reset error state
@@ -125,30 +163,19 @@ function EditItemScreen({ route, navigation }) {
       setLoadingItem(true);
       console.log(`Fetching item details for ID: ${itemId}`);
       
-      const { data, error } = await supabase
-        .from('items')
-        .select('*')
-        .eq('id', itemId)
-        .single();
-
-      if (error) {
-        throw error;
+      const cachedItem = await getCachedItem(user.id, itemId);
+      let data = cachedItem;
+      if (!cachedItem?.pendingSync && !isLocalId(itemId)) {
+        try {
+          data = await getItem(itemId, { withCollection: false, withPhotos: true, withCopies: true });
+        } catch (error) {
+          if (!cachedItem || error.category !== ERROR_CATEGORIES.NETWORK) throw error;
+        }
       }
 
       if (data) {
         console.log('Item details fetched:', data);
-        // Populate form with item data
-        setItemName(data.name || '');
-        setSelectedCategory(data.category || CATEGORIES[0]);
-        setBrand(data.brand || '');
-        setSelectedCollectionId(data.collection_id ? String(data.collection_id) : ''); // Convert to string
-        setIsShared(data.is_shared || false);
-        setSelectedCondition(data.condition || CONDITIONS[0]); // Set condition from data
-        setValue(data.value ? data.value.toString() : '0.00'); // Set value from data
-        setNotes(data.notes || ''); // Set notes from data
-        
-        // Fetch photos from item_photos table
-        fetchItemPhotos(itemId);
+        populateForm(data);
       } else {
         // Use our error handling utility
         handleError(
@@ -167,7 +194,7 @@ function EditItemScreen({ route, navigation }) {
       handleError(
         error,
         'EditItemScreen.fetchItemDetails',
-        ERROR_CATEGORIES.DATABASE,
+        error.category || ERROR_CATEGORIES.DATABASE,
         'Unable to load item details. Please try again.'
       );
       
@@ -188,13 +215,13 @@ function EditItemScreen({ route, navigation }) {
       setLoadingCollections(true);
       console.log('Fetching collections for dropdown...');
       
-      const { data, error } = await supabase
-        .from('collections')
-        .select('id, name, icon')
-        .order('name');
-
-      if (error) {
-        throw error;
+      let data;
+      try {
+        data = await listCollections(user.id);
+      } catch (error) {
+        // Offline - fall back to the collections we last saw
+        if (error.category !== ERROR_CATEGORIES.NETWORK) throw error;
+        data = await getCachedCollections(user.id);
       }
 
       console.log(`Fetched ${data.length} collections for dropdown`);
@@ -204,7 +231,7 @@ function EditItemScreen({ route, navigation }) {
       handleError(
         error,
         'EditItemScreen.fetchCollections',
-        ERROR_CATEGORIES.DATABASE,
+        error.category || ERROR_CATEGORIES.DATABASE,
         'Unable to load collections. Please try again.'
       );
       
@@ -345,8 +372,30 @@ function EditItemScreen({ route, navigation }) {
       }
     }
     
+    // Can't go below the copies on record - they're removed from the item's page
+    if (!staysWanted) {
+      const quantityValidation = validateQuantity(quantity, loadedItem?.copies?.length || 1);
+      if (!quantityValidation.success) {
+        newErrors.quantity = quantityValidation.message;
+      }
+    }
+    
+    // Validate purchase details, or the target price of a wishlist item
+    if (staysWanted) {
+      const priceValidation = validateTargetPrice(targetPrice);
+      if (!priceValidation.success) {
+        newErrors.target_price = priceValidation.message;
+      }
+    } else {
+      Object.assign(newErrors, validateAcquisition(acquisition));
+    }
+    
+    // Validate category and custom fields (kept apart - their keys are user-defined)
+    const fieldErrors = validateAttributes(attributeFields, attributes);
+    setAttributeErrors(fieldErrors);
+    
     setErrors(newErrors);
-    return Object.keys(newErrors).length === 0; // Return true if no errors
+    return Object.keys(newErrors).length === 0 && Object.keys(fieldErrors).length === 0; // Return true if no errors
   };
 
   const handleSaveChanges = async () => {
@@ -365,68 +414,58 @@ function EditItemScreen({ route, navigation }) {
     setLoading(true);
 
     try {
-      // Process any new images (those that don't start with http)
-      let processedImages = [];
-      for (const imageUri of images) {
-        if (imageUri.startsWith('http')) {
-          // This is already a stored image, keep as is
-          processedImages.push(imageUri);
-        } else {
-          // This is a new image, upload it
-          const uploadedUrl = await uploadImage(imageUri);
-          if (uploadedUrl) {
-            processedImages.push(uploadedUrl);
-          }
-        }
-      }
-      
-      // Sanitize all text inputs before saving to database
-      const sanitizedData = {
-        name: sanitizeString(itemName),
-        category: sanitizeString(selectedCategory),
-        condition: sanitizeString(selectedCondition),
-        brand: sanitizeString(brand),
-        collection_id: selectedCollectionId,
+      // Text fields are sanitized by the data layer. New photos are uploaded and the
+      // item's photos made to match the edited list when the change syncs.
+      const changes = {
+        name: itemName,
+        category: selectedCategory,
+        condition: selectedCondition,
+        brand,
+        collection_id: selectedCollectionId || null,
         is_shared: isShared,
-        value: value ? parseFloat(value) : 0,
-        notes: sanitizeString(notes)
-        // Removed 'photos' field - it doesn't exist in the items table
+        value: value || 0,
+        currency,
+        value_note: valueNote,
+        notes,
+        attributes: normalizeAttributes(attributeFields, attributes),
+        tags,
+        ...(staysWanted ? {
+          target_price: targetPrice || null,
+          priority,
+        } : {
+          quantity: parseInt(quantity, 10) || 1,
+          location_id: locationId || null,
+          // Only written when there's something to save or clear
+          ...((hasAcquisitionDetails(acquisition) || loadedItem.acquisition) && { acquisition }),
+        }),
+        // The same row becomes the owned item, so it keeps its photos, history and likes
+        ...(isAcquiring && isWanted(loadedItem) && {
+          status: ITEM_STATUS.OWNED,
+          acquired_at: new Date().toISOString(),
+        }),
       };
+      const { synced } = await queueUpdateItem(user.id, loadedItem, changes, images);
+      console.log(`Item update queued (synced: ${synced})`);
       
-      console.log('Sanitized data ready for update:', sanitizedData);
-
-      // Update the item in the database
-      const { data, error } = await supabase
-        .from('items')
-        .update(sanitizedData)
-        .eq('id', itemId)
-        .select();
-
-      if (error) {
-        throw error;
-      } else {
-        console.log('Item updated successfully:', data);
-        
-        // Now handle the photos separately
-        if (processedImages.length > 0) {
-          await updateItemPhotos(itemId, processedImages, originalImages);
-        }
-        
-        Toast.show({
-          type: 'success',
-          text1: 'Item Updated!',
-          text2: `${itemName} has been updated successfully.`,
-        });
-        
-        // Navigate back to the detail screen
-        navigation.goBack();
-      }
+      // Undo puts the fields back; photos and purchase details stay as saved
+      const undo = undoChanges(loadedItem, changes);
+      Toast.show({
+        type: Object.keys(undo).length > 0 ? 'undo' : 'success',
+        props: { onUndo: () => undoSave(undo) },
+        text1: synced ? (isAcquiring ? 'Item Acquired!' : 'Item Updated!') : 'Saved Offline',
+        text2: synced
+          ? (isAcquiring ? `${itemName} has moved from your wishlist to your collection.` : `${itemName} has been updated successfully.`)
+          : `${itemName} will sync when you're back online.`,
+      });
+      
+      // Navigate back to the detail screen
+      navigation.goBack();
     } catch (error) {
       // Use our error handling utility
       handleError(
         error,
         'EditItemScreen.handleSaveChanges',
-        ERROR_CATEGORIES.DATABASE,
+        error.category || ERROR_CATEGORIES.DATABASE,
         'Unable to update item. Please try again.'
       );
       
@@ -438,234 +477,31 @@ function EditItemScreen({ route, navigation }) {
     }
   };
 
-  const handleCancel = () => {
-    navigation.goBack();
-  };
-
-  // Function to update item photos in the database
-  const updateItemPhotos = async (itemId, newPhotoUrls, originalPhotoUrls) => {
+  // Runs from the toast after this screen has closed, against the item as it
+  // was saved (with the server's updated_at once it synced)
+  const undoSave = async (undo) => {
     try {
-      console.log(`Updating photos for item ${itemId}`);
-      console.log(`New photos: ${newPhotoUrls.length}, Original photos: ${originalPhotoUrls.length}`);
-      
-      // Identify which photos are new (need to be added) and which are removed (need to be deleted)
-      const addedPhotos = newPhotoUrls.filter(url => !url.startsWith('http') || !originalPhotoUrls.includes(url));
-      const keptPhotos = newPhotoUrls.filter(url => url.startsWith('http') && originalPhotoUrls.includes(url));
-      const removedPhotos = originalPhotoUrls.filter(url => !newPhotoUrls.includes(url));
-      
-      console.log(`Photos to add: ${addedPhotos.length}, Photos to keep: ${keptPhotos.length}, Photos to remove: ${removedPhotos.length}`);
-      
-      // Step 1: Handle removed photos - delete from item_photos table
-      if (removedPhotos.length > 0) {
-        // First, get the image_ids for the removed photos
-        for (const photoUrl of removedPhotos) {
-          // Extract filename from URL to help identify the image
-          const fileName = photoUrl.split('/').pop().split('?')[0];
-          
-          // Find the image record
-          const { data: imageData, error: imageError } = await supabase
-            .from('images')
-            .select('id')
-            .eq('file_name', fileName)
-            .limit(1);
-          
-          if (imageError) {
-            console.error('Error finding image to remove:', imageError);
-            continue;
-          }
-          
-          if (imageData && imageData.length > 0) {
-            const imageId = imageData[0].id;
-            
-            // Delete the relationship in item_photos
-            const { error: deleteError } = await supabase
-              .from('item_photos')
-              .delete()
-              .eq('item_id', itemId)
-              .eq('image_id', imageId);
-            
-            if (deleteError) {
-              console.error('Error removing photo relationship:', deleteError);
-            } else {
-              console.log(`Successfully removed photo relationship for image ${imageId}`);
-            }
-          }
-        }
-      }
-      
-      // Step 2: Handle added photos - add to images table and item_photos table
-      if (addedPhotos.length > 0) {
-        // First, create entries in the images table and get their IDs
-        const imageInsertPromises = addedPhotos.map(async (url) => {
-          // If it's a local URI, it needs to be uploaded first
-          if (!url.startsWith('http')) {
-            const uploadedUrl = await uploadImage(url);
-            if (!uploadedUrl) return { url, image_id: null };
-            url = uploadedUrl;
-          }
-          
-          // Extract filename from URL
-          const fileName = url.split('/').pop().split('?')[0];
-          
-          // Insert into images table
-          const { data: imageData, error: imageError } = await supabase
-            .from('images')
-            .insert([
-              {
-                url: url,
-                storage_path: `item-photos/${fileName}`,
-                file_name: fileName,
-                file_type: fileName.toLowerCase().endsWith('.png') ? 'image/png' : 'image/jpeg',
-                created_by: user.id
-              }
-            ])
-            .select();
-          
-          if (imageError) {
-            console.error('Error saving image:', imageError);
-            return { url, image_id: null };
-          }
-          
-          return { url, image_id: imageData[0].id };
-        });
-        
-        const imageResults = await Promise.all(imageInsertPromises);
-        
-        // Get the current highest display_order for this item
-        const { data: currentPhotos, error: orderError } = await supabase
-          .from('item_photos')
-          .select('display_order')
-          .eq('item_id', itemId)
-          .order('display_order', { ascending: false })
-          .limit(1);
-        
-        let startOrder = 0;
-        if (!orderError && currentPhotos && currentPhotos.length > 0) {
-          startOrder = currentPhotos[0].display_order + 1;
-        }
-        
-        // Prepare photo data for batch insert
-        const photoData = imageResults.map((result, index) => ({
-          item_id: itemId,
-          image_id: result.image_id,
-          display_order: startOrder + index
-        }));
-        
-        // Filter out any failed image inserts
-        const validPhotoData = photoData.filter(data => data.image_id !== null);
-        
-        if (validPhotoData.length > 0) {
-          const { data: photoInsertData, error: photoError } = await supabase
-            .from('item_photos')
-            .insert(validPhotoData)
-            .select();
-          
-          if (photoError) {
-            console.error('Error saving photos:', photoError);
-            // We don't throw here to avoid losing the item update if photos fail
-            Toast.show({
-              type: 'error',
-              text1: 'Warning',
-              text2: 'Some photos may not have been saved properly',
-              position: 'bottom',
-            });
-          } else {
-            console.log('Photos saved successfully:', photoInsertData);
-          }
-        }
-      }
-      
-      return true;
-    } catch (error) {
-      console.error('Error updating photos:', error);
+      const savedItem = await getCachedItem(user.id, loadedItem.id);
+      const { synced } = await queueUpdateItem(user.id, savedItem || loadedItem, undo);
       Toast.show({
-        type: 'error',
-        text1: 'Warning',
-        text2: 'Some photos may not have been updated properly',
-        position: 'bottom',
+        type: 'success',
+        text1: 'Change Undone',
+        text2: synced ? `${loadedItem.name} is back to how it was.` : 'The undo will sync when you\'re back online.',
       });
-      return false;
-    }
-  };
-
-  // Function to upload avatar to storage
-  const uploadImage = async (uri) => {
-    try {
-      if (!uri) return null;
-      
-      setLoading(true);
-      console.log('Uploading image to item-photos bucket...');
-      
-      // Resize and compress the image before uploading
-      console.log('Optimizing image before upload...');
-      
-      // Define optimal image dimensions and compression
-      const MAX_WIDTH = 1200;  // Max width in pixels
-      const MAX_HEIGHT = 1200; // Max height in pixels
-      const COMPRESSION = 0.8; // 80% quality (good balance between quality and file size)
-      
-      // Process the image with ImageManipulator
-      const processedImage = await ImageManipulator.manipulateAsync(
-        uri,
-        [{ resize: { width: MAX_WIDTH, height: MAX_HEIGHT } }], // Resize while maintaining aspect ratio
-        {
-          compress: COMPRESSION,
-          format: ImageManipulator.SaveFormat.JPEG
-        }
-      );
-      
-      console.log('Image optimized successfully');
-      
-      // Use the optimized image URI for upload
-      const optimizedUri = processedImage.uri;
-      
-      // Convert optimized image to blob
-      const response = await fetch(optimizedUri);
-      const blob = await response.blob();
-      
-      // Generate a unique filename - always use jpg extension since we converted to JPEG
-      const fileName = `${user.id}-${Date.now()}.jpg`;
-      const filePath = `${fileName}`;
-      
-      // Upload to Supabase Storage
-      const { data, error } = await supabase.storage
-        .from('item-photos')
-        .upload(filePath, blob, {
-          contentType: 'image/jpeg', // Always JPEG since we converted the image
-          upsert: true,
-        });
-      
-      if (error) throw error;
-      
-      // Get a signed URL (secure, requires authentication)
-      const { data: urlData, error: signedUrlError } = await supabase.storage
-        .from('item-photos')
-        .createSignedUrl(filePath, 60 * 60 * 24 * 365); // Valid for 1 year
-      
-      if (signedUrlError || !urlData || !urlData.signedUrl) {
-        console.error('Failed to get signed URL:', signedUrlError);
-        throw new Error('Failed to get secure URL for image');
-      }
-      
-      console.log('Image uploaded successfully:', urlData.signedUrl);
-      return urlData.signedUrl;
     } catch (error) {
-      // Use our error handling utility
       handleError(
         error,
-        'EditItemScreen.uploadImage',
-        ERROR_CATEGORIES.STORAGE,
-        'Unable to upload image. Please try again.'
+        'EditItemScreen.undoSave',
+        error.category || ERROR_CATEGORIES.DATABASE,
+        'Unable to undo the change. Please try again.'
       );
-      
-      // We don't set global error state here since this is part of a larger operation
-      // Instead, we just return null to indicate the upload failed
-      return null;
-    } finally {
-      setLoading(false);
     }
   };
 
+  const handleCancel = () => {
+    navigation.goBack();
+  };
+
   if (loadingItem) {
     return (
       <SafeAreaView style={[styles.safeArea, { backgroundColor: theme.colors.background }]}>
@@ -715,13 +551,16 @@ function EditItemScreen({ route, navigation }) {
         barStyle={isDarkMode ? 'light-content' : 'dark-content'}
         backgroundColor={theme.colors.background}
       />
-      <ScrollView contentContainerStyle={[styles.container, { backgroundColor: theme.colors.background }]}>
+      <ScrollView
+        contentContainerStyle={[styles.container, { backgroundColor: theme.colors.background }]}
+        keyboardShouldPersistTaps="handled"
+      >
         {/* Header with back button */}
         <View style={[styles.header, { borderBottomColor: theme.colors.divider }]}>
           <TouchableOpacity onPress={handleCancel} style={styles.headerButton}>
             <Ionicons name="arrow-back" size={24} color={theme.colors.text} />
           </TouchableOpacity>
-          <Text style={[styles.headerTitle, { color: theme.colors.text }]}>Edit Item</Text>
+          <Text style={[styles.headerTitle, { color: theme.colors.text }]}>{isAcquiring ? 'Mark as Acquired' : 'Edit Item'}</Text>
           <View style={{ width: 24 }} />
         </View>
 
@@ -853,7 +692,7 @@ function EditItemScreen({ route, navigation }) {
 
         {/* Value */}
         <View style={styles.inputGroup}>
-          <Text style={[styles.label, { color: theme.colors.text }]}>Value ($)</Text>
+          <Text style={[styles.label, { color: theme.colors.text }]}>Value ({currencySymbol(currency)})</Text>
           <TextInput
             style={[styles.input, { 
               backgroundColor: theme.colors.inputBackground, 
@@ -871,9 +710,107 @@ function EditItemScreen({ route, navigation }) {
             keyboardType="decimal-pad"
             placeholderTextColor={theme.colors.inputPlaceholder}
           />
+          <CurrencyPicker selected={currency} onSelect={setCurrency} style={styles.currencyPicker} />
           {errors.value && <Text style={styles.errorText}>{errors.value}</Text>}
         </View>
 
+        {/* Quantity - a wishlist item is one thing to find */}
+        {!staysWanted && (
+          <View style={styles.inputGroup}>
+            <Text style={[styles.label, { color: theme.colors.text }]}>Quantity</Text>
+            <TextInput
+              style={[styles.input, { 
+                backgroundColor: theme.colors.inputBackground, 
+                color: theme.colors.inputText,
+                borderColor: theme.colors.inputBorder
+              }]}
+              placeholder="1"
+              value={quantity}
+              onChangeText={(text) => setQuantity(text.replace(/[^0-9]/g, ''))}
+              keyboardType="number-pad"
+              placeholderTextColor={theme.colors.inputPlaceholder}
+            />
+            {errors.quantity && <Text style={styles.errorText}>{errors.quantity}</Text>}
+          </View>
+        )}
+
+        {/* Storage location - only for things the user has */}
+        {!staysWanted && (
+          <View style={styles.inputGroup}>
+            <Text style={[styles.label, { color: theme.colors.text }]}>Storage Location</Text>
+            <LocationPicker locations={locations} selectedId={locationId} onSelect={setLocationId} />
+          </View>
+        )}
+
+        {/* Value note - only asked for when the value changes */}
+        {loadedItem && (
+          (parseFloat(value) || 0) !== (parseFloat(loadedItem.value) || 0)
+          || currency !== normalizeCurrency(loadedItem.currency)
+        ) && (
+          <View style={styles.inputGroup}>
+            <Text style={[styles.label, { color: theme.colors.text }]}>Value Note (optional)</Text>
+            <TextInput
+              style={[styles.input, { 
+                backgroundColor: theme.colors.inputBackground, 
+                color: theme.colors.inputText,
+                borderColor: theme.colors.inputBorder
+              }]}
+              placeholder="e.g., Recent eBay sold listing"
+              value={valueNote}
+              onChangeText={setValueNote}
+              maxLength={200}
+              placeholderTextColor={theme.colors.inputPlaceholder}
+            />
+          </View>
+        )}
+
+        {/* Category and custom fields */}
+        {attributeFields.length > 0 && (
+          <View style={styles.inputGroup}>
+            <Text style={[styles.label, { color: theme.colors.text }]}>
+              {selectedCategory ? `${selectedCategory} Details` : 'More Details'}
+            </Text>
+            <AttributeFields
+              fields={attributeFields}
+              values={attributes}
+              onChange={(key, fieldValue) => setAttributes(current => ({ ...current, [key]: fieldValue }))}
+              errors={attributeErrors}
+            />
+          </View>
+        )}
+
+        {/* Wishlist details, or purchase details once it's owned */}
+        {staysWanted ? (
+          <View style={styles.inputGroup}>
+            <Text style={[styles.label, { color: theme.colors.text }]}>Wishlist Details</Text>
+            <WishlistFields
+              targetPrice={targetPrice}
+              priority={priority}
+              currency={currency}
+              onChange={fields => {
+                if (fields.targetPrice !== undefined) setTargetPrice(fields.targetPrice);
+                if (fields.priority !== undefined) setPriority(fields.priority);
+              }}
+              error={errors.target_price}
+            />
+          </View>
+        ) : (
+          <View style={styles.inputGroup}>
+            <Text style={[styles.label, { color: theme.colors.text }]}>Purchase Details</Text>
+            <AcquisitionFields
+              acquisition={acquisition}
+              onChange={fields => setAcquisition(current => ({ ...current, ...fields }))}
+              errors={errors}
+            />
+          </View>
+        )}
+
+        {/* Tags */}
+        <View style={styles.inputGroup}>
+          <Text style={[styles.label, { color: theme.colors.text }]}>Tags</Text>
+          <TagInput tags={tags} onChange={setTags} knownTags={knownTags} />
+        </View>
+
         {/* Notes */}
         <View style={styles.inputGroup}>
           <Text style={[styles.label, { color: theme.colors.text }]}>Notes</Text>
@@ -957,7 +894,7 @@ function EditItemScreen({ route, navigation }) {
           {loading ? (
             <ActivityIndicator color="white" />
           ) : (
-            <Text style={[styles.saveButtonText, { color: 'white' }]}>Save Changes</Text>
+            <Text style={[styles.saveButtonText, { color: 'white' }]}>{isAcquiring ? 'Mark as Acquired' : 'Save Changes'}</Text>
           )}
         </TouchableOpacity>
 
@@ -1166,6 +1103,9 @@ const styles = StyleSheet.create({
     color: 'red',
     marginTop: 5,
   },
+  currencyPicker: {
+    marginTop: 8,
+  },
   errorContainer: {
     padding: 20,
     alignItems: 'center',
@@ -17,6 +17,9 @@ import {
 import { Ionicons } from '@expo/vector-icons';
 import Toast from 'react-native-toast-message';
 import { supabase } from '../lib/supabase';
+import { subscribeToTable } from '../lib/realtime';
+import { listItems, listItemsPage, getLikedItemIds, getProfilesByIds } from '../data';
+import { usePaginatedList } from '../hooks/usePaginatedList';
 import { useAuth } from '../context/AuthContext';
 import { useTheme } from '../context/ThemeContext';
 import { RFPercentage } from 'react-native-responsive-fontsize';
@@ -30,6 +33,24 @@ const { width } = Dimensions.get('window');
 const numColumns = width > 768 ? 4 : 3; // 4 columns on tablets, 3 on phones
 const itemSize = (width - (numColumns + 1) * 8) / numColumns; // Account for margins
 
+// Post columns, with like and comment IDs embedded so they come in the same query
+const POST_COLUMNS = 'id, name, category, brand, created_at, user_id, collection_id, likes(id), comments(id)';
+const DEFAULT_AVATAR = 'https://via.placeholder.com/150';
+
+// Realtime changes often come in bursts, so recount at most this often
+const COUNT_REFRESH_DELAY = 500;
+// Realtime `in` filters take at most this many values
+const REALTIME_FILTER_LIMIT = 100;
+
+// Counts from the likes(id) and comments(id) embeds. The IDs are kept to tell
+// which realtime deletes belong to the posts on screen.
+const reactionFields = ({ likes, comments }) => ({
+  likeCount: likes?.length || 0,
+  commentCount: comments?.length || 0,
+  likeIds: (likes || []).map(like => like.id),
+  commentIds: (comments || []).map(comment => comment.id),
+});
+
 // Simple Shimmer placeholder component (no animation for now)
 const Shimmer = ({ width, height, style }) => {
   const { theme } = useTheme();
@@ -41,19 +62,105 @@ const Shimmer = ({ width, height, style }) => {
 function FeedScreen({ navigation }) {
   const { user } = useAuth();
   const { theme, isDarkMode } = useTheme();
-  const [refreshing, setRefreshing] = useState(false);
-  const [loading, setLoading] = useState(true);
-  const [posts, setPosts] = useState([]);
-  const [likedPosts, setLikedPosts] = useState({});
   const [likingInProgress, setLikingInProgress] = useState({});
   
   // Animation values for like button
   const likeAnimations = useRef({});
+  // Latest posts for the realtime handlers, which outlive a render
+  const postsRef = useRef([]);
+  const countRefreshTimer = useRef(null);
   
-  // Fetch shared items when component mounts
+  // Shared items load a page at a time; the loaded pages are kept when navigating back
+  const {
+    items: posts,
+    setItems: setPosts,
+    loading,
+    loadingMore,
+    refreshing,
+    loadMore,
+    refresh,
+  } = usePaginatedList(
+    user ? `feed:${user.id}` : null,
+    (cursor) => fetchSharedItemsPage(cursor),
+    {
+      onError: (error) => {
+        console.error('Error fetching shared items:', error.message);
+        Toast.show({
+          type: 'error',
+          text1: 'Error',
+          text2: 'Failed to load social feed. Please try again.',
+        });
+      },
+    }
+  );
+
   useEffect(() => {
-    fetchSharedItems();
-  }, []);
+    postsRef.current = posts;
+  }, [posts]);
+
+  // Resubscribe only when the set of posts changes, not on every count update
+  const postIdsKey = posts.map(post => post.id).join(',');
+
+  // Keep like and comment counts live for the posts on screen. New likes and
+  // comments are filtered by post; deletes can't be filtered and only carry
+  // their own ID, so they're matched against the IDs loaded with the posts.
+  useEffect(() => {
+    if (!postIdsKey) return undefined;
+
+    const scheduleCountRefresh = () => {
+      clearTimeout(countRefreshTimer.current);
+      countRefreshTimer.current = setTimeout(refreshCounts, COUNT_REFRESH_DELAY);
+    };
+    const postIds = postIdsKey.split(',');
+    const chunks = [];
+    for (let i = 0; i < postIds.length; i += REALTIME_FILTER_LIMIT) {
+      chunks.push(postIds.slice(i, i + REALTIME_FILTER_LIMIT));
+    }
+
+    const unsubscribers = ['likes', 'comments'].flatMap(table => chunks.map(chunk => subscribeToTable(
+      { table, event: 'INSERT', filter: `item_id=in.(${chunk.join(',')})` },
+      scheduleCountRefresh
+    )));
+    unsubscribers.push(
+      subscribeToTable({ table: 'likes', event: 'DELETE' }, ({ old }) => {
+        if (postsRef.current.some(post => post.likeIds.includes(old.id))) scheduleCountRefresh();
+      }),
+      subscribeToTable({ table: 'comments', event: 'DELETE' }, ({ old }) => {
+        if (postsRef.current.some(post => post.commentIds.includes(old.id))) scheduleCountRefresh();
+      })
+    );
+
+    return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+  }, [user?.id, postIdsKey]);
+
+  useEffect(() => () => clearTimeout(countRefreshTimer.current), []);
+
+  // Recount likes and comments for the loaded posts in two queries
+  const refreshCounts = async () => {
+    const postIds = postsRef.current.map(post => post.id);
+    if (postIds.length === 0) return;
+
+    try {
+      const [counts, likedIds] = await Promise.all([
+        listItems({ ids: postIds, columns: 'id, likes(id), comments(id)' }),
+        getLikedItemIds(user?.id, postIds),
+      ]);
+      const countsById = Object.fromEntries(counts.map(row => [row.id, row]));
+
+      setPosts(current => current.map((post) => {
+        const row = countsById[post.id];
+        if (!row) return post;
+        return {
+          ...post,
+          ...reactionFields(row),
+          // Picks up likes made on the user's other devices
+          isLiked: likedIds.has(post.id),
+        };
+      }));
+    } catch (error) {
+      console.error('Error refreshing feed counts:', error.message);
+    }
+  };
   
   // Initialize like animations for new posts
   useEffect(() => {
@@ -65,155 +172,40 @@ function FeedScreen({ navigation }) {
     });
   }, [posts]);
   
-  // Function to fetch shared items from Supabase
-  const fetchSharedItems = async () => {
-    try {
-      setLoading(true);
-      console.log('Fetching shared items from Supabase...');
-      
-      // Fetch items that are shared
-      const { data: sharedItems, error: itemsError } = await supabase
-        .from('items')
-        .select(`
-          id,
-          name,
-          category,
-          brand,
-          created_at,
-          user_id,
-          collection_id
-        `)
-        .eq('is_shared', true)
-        .order('created_at', { ascending: false });
-      
-      if (itemsError) {
-        throw itemsError;
-      }
-      
-      console.log(`Fetched ${sharedItems.length} shared items`);
-      
-      // Fetch photos for each item
-      const itemsWithPhotos = await Promise.all(sharedItems.map(async (item) => {
-        // Get photos from item_photos and images tables
-        const { data: photoData, error: photoError } = await supabase
-          .from('item_photos')
-          .select(`
-            image_id,
-            images:image_id(url)
-          `)
-          .eq('item_id', item.id);
-        
-        if (photoError) {
-          console.error(`Error fetching photos for item ${item.id}:`, photoError);
-          return { ...item, photos: [] };
-        }
-        
-        // Extract photo URLs from the joined data
-        const photos = photoData.map(photo => photo.images?.url || null).filter(Boolean);
-        
-        return {
-          ...item,
-          photos: photos
-        };
-      }));
-      
-      // Fetch like counts, comment counts, and user info for each item
-      const postsWithDetails = await Promise.all(itemsWithPhotos.map(async (item) => {
-        // Get like count
-        const { count: likeCount, error: likeCountError } = await supabase
-          .from('likes')
-          .select('id', { count: 'exact', head: true })
-          .eq('item_id', item.id);
-        
-        if (likeCountError) {
-          console.error(`Error fetching like count for item ${item.id}:`, likeCountError);
-          return { ...item, likeCount: 0, commentCount: 0 };
-        }
-        
-        // Get comment count
-        const { count: commentCount, error: commentCountError } = await supabase
-          .from('comments')
-          .select('id', { count: 'exact', head: true })
-          .eq('item_id', item.id);
-        
-        if (commentCountError) {
-          console.error(`Error fetching comment count for item ${item.id}:`, commentCountError);
-          return { ...item, likeCount: likeCount || 0, commentCount: 0 };
-        }
-        
-        // Get user profile info
-        const { data: userProfile, error: userProfileError } = await supabase
-          .from('profiles')
-          .select('username, avatar_url')
-          .eq('id', item.user_id)
-          .single();
-        
-        // If profile not found, try to get basic info from auth.users
-        let username = 'Unknown User';
-        let avatarUrl = 'https://via.placeholder.com/150';
-        
-        if (userProfileError) {
-          console.log(`Profile not found for user ${item.user_id}, fetching from auth`);
-          
-          // Try to get user info from auth.users
-          const { data: userData, error: userError } = await supabase.auth
-            .admin.getUserById(item.user_id);
-          
-          if (!userError && userData) {
-            username = userData.user.user_metadata?.full_name || userData.user.email.split('@')[0];
-            avatarUrl = userData.user.user_metadata?.avatar_url || 'https://via.placeholder.com/150';
-          }
-        } else if (userProfile) {
-          username = userProfile.username || 'User';
-          avatarUrl = userProfile.avatar_url || 'https://via.placeholder.com/150';
-        }
-        
-        // Check if current user has liked this post
-        const { data: userLike, error: userLikeError } = await supabase
-          .from('likes')
-          .select('id')
-          .eq('item_id', item.id)
-          .eq('user_id', user?.id)
-          .maybeSingle();
-        
-        if (userLikeError) {
-          console.error(`Error checking if user liked item ${item.id}:`, userLikeError);
-        }
-        
-        // Update liked posts state
-        setLikedPosts(prev => ({
-          ...prev,
-          [item.id]: !!userLike
-        }));
-        
-        return {
-          ...item,
-          likeCount: likeCount || 0,
-          commentCount: commentCount || 0,
-          isLiked: !!userLike,
-          username,
-          avatarUrl
-        };
-      }));
-      
-      setPosts(postsWithDetails);
-    } catch (error) {
-      console.error('Error fetching shared items:', error.message);
-      Toast.show({
-        type: 'error',
-        text1: 'Error',
-        text2: 'Failed to load social feed. Please try again.',
-      });
-    } finally {
-      setLoading(false);
-      setRefreshing(false);
-    }
+  // Fetch a page of shared items with one query per related table
+  const fetchSharedItemsPage = async (cursor) => {
+    console.log('Fetching shared items from Supabase...');
+    
+    const page = await listItemsPage({
+      shared: true,
+      columns: POST_COLUMNS,
+      withPhotos: true,
+      cursor,
+    });
+    console.log(`Fetched ${page.items.length} shared items`);
+    
+    const [likedIds, profiles] = await Promise.all([
+      getLikedItemIds(user?.id, page.items.map(item => item.id)),
+      getProfilesByIds(page.items.map(item => item.user_id)),
+    ]);
+    
+    const postsWithDetails = page.items.map(({ likes, comments, ...item }) => {
+      const profile = profiles[item.user_id];
+      return {
+        ...item,
+        ...reactionFields({ likes, comments }),
+        isLiked: likedIds.has(item.id),
+        username: profile ? profile.username || 'User' : 'Unknown User',
+        avatarUrl: profile?.avatar_url || DEFAULT_AVATAR,
+      };
+    });
+    
+    return { items: postsWithDetails, nextCursor: page.nextCursor };
   };
   
   // Function to handle refresh
   const handleRefresh = () => {
-    setRefreshing(true);
-    fetchSharedItems();
+    refresh();
   };
   
   // Function to handle post tap
@@ -264,26 +256,23 @@ function FeedScreen({ navigation }) {
     try {
       setLikingInProgress(prev => ({ ...prev, [postId]: true }));
       
-      const isCurrentlyLiked = likedPosts[postId];
+      // Find the post in our state
+      const post = posts.find(p => p.id === postId);
+      if (!post) {
+        throw new Error('Post not found');
+      }
+      
+      const isCurrentlyLiked = post.isLiked;
       console.log(`${isCurrentlyLiked ? 'Unliking' : 'Liking'} post ${postId}`);
       
       // Optimistically update UI
-      setLikedPosts(prev => ({
-        ...prev,
-        [postId]: !isCurrentlyLiked
-      }));
+      setPosts(prev => prev.map(p => (p.id === postId ? { ...p, isLiked: !isCurrentlyLiked } : p)));
       
       // Animate heart if liking
       if (!isCurrentlyLiked) {
         animateLike(postId);
       }
       
-      // Find the post in our state
-      const post = posts.find(p => p.id === postId);
-      if (!post) {
-        throw new Error('Post not found');
-      }
-      
       if (isCurrentlyLiked) {
         // Unlike: Delete the like from the database
         const { error } = await supabase
@@ -342,10 +331,7 @@ function FeedScreen({ navigation }) {
       console.error('Error handling like:', error.message);
       
       // Revert optimistic update on error
-      setLikedPosts(prev => ({
-        ...prev,
-        [postId]: !likedPosts[postId]
-      }));
+      setPosts(prev => prev.map(p => (p.id === postId ? { ...p, isLiked: !p.isLiked } : p)));
       
       Toast.show({
         type: 'error',
@@ -425,9 +411,9 @@ function FeedScreen({ navigation }) {
             >
               <Animated.View style={{ transform: [{ scale: scaleAnimation }] }}>
                 <Ionicons 
-                  name={likedPosts[item.id] ? "heart" : "heart-outline"} 
+                  name={item.isLiked ? "heart" : "heart-outline"} 
                   size={16} 
-                  color={likedPosts[item.id] ? "#ed4956" : "#FFFFFF"} 
+                  color={item.isLiked ? "#ed4956" : "#FFFFFF"} 
                 />
               </Animated.View>
               <Text style={[styles.statText, { color: '#FFFFFF' }]}>{item.likeCount}</Text>
@@ -474,6 +460,11 @@ function FeedScreen({ navigation }) {
             progressBackgroundColor={isDarkMode ? '#000000' : theme.colors.background}
           />
         }
+        onEndReached={loadMore}
+        onEndReachedThreshold={0.5}
+        ListFooterComponent={loadingMore ? (
+          <ActivityIndicator style={styles.footerLoader} color={theme.colors.primary} />
+        ) : null}
         ListEmptyComponent={
           !loading && (
             <View style={[styles.emptyContainer, { backgroundColor: isDarkMode ? '#000000' : theme.colors.background }]}>
@@ -492,6 +483,9 @@ const styles = createThemedStyles((theme) => ({
     flex: 1,
     backgroundColor: theme.colors.background,
   },
+  footerLoader: {
+    marginVertical: 16,
+  },
   header: {
     paddingVertical: 12,
     paddingHorizontal: 16,
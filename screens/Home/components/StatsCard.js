@@ -3,11 +3,29 @@ import { View, StyleSheet, TouchableOpacity } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import { LinearGradient } from 'expo-linear-gradient';
 import { useTheme } from '../../../context/ThemeContext';
+import { useCurrency } from '../../../context/CurrencyContext';
 import { Typography, Card, createThemedStyles } from '../../../theme/styled';
 import Shimmer from './Shimmer';
 
+// Groups listed per breakdown
+const TOP_GROUPS = 3;
+
 const StatsCard = ({ stats, loading, navigation }) => {
   const { theme } = useTheme();
+  const { formatDisplay } = useCurrency();
+
+  // The most valuable few groups, white on the card's gradient
+  const renderBreakdown = (title, groups) => (
+    <View style={styles.breakdownColumn}>
+      <Typography.Caption style={styles.breakdownTitle}>{title}</Typography.Caption>
+      {groups.slice(0, TOP_GROUPS).map(group => (
+        <View key={group.name} style={styles.breakdownRow}>
+          <Typography.BodySmall style={styles.breakdownName} numberOfLines={1}>{group.name}</Typography.BodySmall>
+          <Typography.BodySmall style={styles.breakdownAmount}>{formatDisplay(group.amount)}</Typography.BodySmall>
+        </View>
+      ))}
+    </View>
+  );
 
   // Render skeleton for stats card when loading
   if (loading) {
@@ -30,8 +48,13 @@ const StatsCard = ({ stats, loading, navigation }) => {
             </View>
             <View style={styles.statDivider} />
             <View style={styles.statItem}>
-              <Shimmer width={120} height={24} style={{ marginBottom: 6, borderRadius: 4 }} />
-              <Shimmer width={80} height={16} style={{ borderRadius: 4 }} />
+              <Shimmer width={70} height={24} style={{ marginBottom: 6, borderRadius: 4 }} />
+              <Shimmer width={70} height={16} style={{ borderRadius: 4 }} />
+            </View>
+            <View style={styles.statDivider} />
+            <View style={styles.statItem}>
+              <Shimmer width={70} height={24} style={{ marginBottom: 6, borderRadius: 4 }} />
+              <Shimmer width={70} height={16} style={{ borderRadius: 4 }} />
             </View>
           </View>
         </LinearGradient>
@@ -63,10 +86,21 @@ const StatsCard = ({ stats, loading, navigation }) => {
           </View>
           <View style={styles.statDivider} />
           <View style={styles.statItem}>
-            <Typography.H3 style={[styles.statHighlight, { color: '#FFFFFF' }]}>{stats.mostValuable}</Typography.H3>
+            <Typography.H3 style={[styles.statHighlight, { color: '#FFFFFF' }]} numberOfLines={1}>{formatDisplay(stats.totalValue)}</Typography.H3>
+            <Typography.BodySmall style={{ color: 'rgba(255, 255, 255, 0.8)' }}>Total Value</Typography.BodySmall>
+          </View>
+          <View style={styles.statDivider} />
+          <View style={styles.statItem}>
+            <Typography.H3 style={[styles.statHighlight, { color: '#FFFFFF' }]} numberOfLines={1}>{stats.mostValuable}</Typography.H3>
             <Typography.BodySmall style={{ color: 'rgba(255, 255, 255, 0.8)' }}>Most Valuable</Typography.BodySmall>
           </View>
         </View>
+        {stats.totalValue > 0 && (
+          <View style={styles.breakdownRowContainer}>
+            {renderBreakdown('By Collection', stats.topCollections)}
+            {renderBreakdown('By Category', stats.topCategories)}
+          </View>
+        )}
       </LinearGradient>
     </Card.Primary>
   );
@@ -121,6 +155,35 @@ const styles = createThemedStyles((theme) => ({
     fontWeight: theme.typography.fontWeight.bold,
     marginBottom: theme.spacing.xs,
   },
+  breakdownRowContainer: {
+    flexDirection: 'row',
+    marginTop: theme.spacing.lg,
+    paddingTop: theme.spacing.md,
+    borderTopWidth: 1,
+    borderTopColor: 'rgba(255, 255, 255, 0.3)',
+  },
+  breakdownColumn: {
+    flex: 1,
+    marginHorizontal: theme.spacing.xs,
+  },
+  breakdownTitle: {
+    color: 'rgba(255, 255, 255, 0.8)',
+    marginBottom: theme.spacing.xs,
+  },
+  breakdownRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: 2,
+  },
+  breakdownName: {
+    flex: 1,
+    color: '#FFFFFF',
+    marginRight: theme.spacing.xs,
+  },
+  breakdownAmount: {
+    color: '#FFFFFF',
+    fontWeight: theme.typography.fontWeight.bold,
+  },
 }));
 
 export default StatsCard;
@@ -1,18 +1,24 @@
-import { useState, useEffect, useRef } from 'react';
-import { supabase } from '../../../lib/supabase';
+import { useState, useEffect, useRef, useMemo } from 'react';
 import Toast from 'react-native-toast-message';
-import { fetchPhotosForItems } from '../../AddItem/apiUtils';
+import { listItems, COPIES_EMBED } from '../../../data';
+import { useNotifications } from '../../../context/NotificationsContext';
+import { useCurrency } from '../../../context/CurrencyContext';
+import { itemMoney, holdingMoney, convertAmount } from '../../../utils/money';
+import { itemQuantity } from '../../../utils/copies';
+
+// Just what the value stats need
+const VALUE_COLUMNS = `name, value, currency, condition, quantity, category, collections(name, icon), ${COPIES_EMBED}`;
 
 export const useHomeData = (user) => {
   const [recentItems, setRecentItems] = useState([]);
   const [loading, setLoading] = useState(true);
-  const [stats, setStats] = useState({
-    totalItems: 0,
-    mostValuable: 'None',
-  });
+  const [totalItems, setTotalItems] = useState(0);
+  // Every item's value; totals are worked out in the display currency below
+  const [valueItems, setValueItems] = useState([]);
+  const { displayCurrency, rates, totalOf, breakdownOf } = useCurrency();
   const [showNotifications, setShowNotifications] = useState(false);
-  const [notifications, setNotifications] = useState([]);
-  const [unreadCount, setUnreadCount] = useState(0);
+  // Shared with the notifications screen so the badge and popup stay in step
+  const { notifications, unreadCount, refreshNotifications, markAsRead } = useNotifications();
   const notificationRef = useRef(null);
   const [notificationPosition, setNotificationPosition] = useState({ top: 0, right: 0 });
 
@@ -28,113 +34,36 @@ export const useHomeData = (user) => {
         return;
       }
 
-      // Query the 3 most recent items from the items table for the current user
-      const { data, error } = await supabase
-        .from('items')
-        .select('*') // Select all columns
-        .eq('user_id', user.id) // Filter by user_id
-        .order('created_at', { ascending: false }) // Order by created_at in descending order
-        .limit(3); // Limit to 3 items
-      
-      if (error) {
-        console.error('Error fetching recent items:', error);
-        Toast.show({
-          type: 'error',
-          text1: 'Error',
-          text2: 'Could not load recent items',
-        });
-        return;
-      }
-      
-      console.log('Recent items fetched successfully:', data);
-      
-      // If we have items, fetch their photos
-      if (data && data.length > 0) {
-        // Get all item IDs
-        const itemIds = data.map(item => item.id);
-        
-        // Fetch photos for all items in a single request
-        const photosByItem = await fetchPhotosForItems(itemIds);
-        
-        // Add photos to each item
-        const itemsWithPhotos = data.map(item => ({
-          ...item,
-          photos: photosByItem[item.id] || []
-        }));
-        
-        console.log('Added photos to recent items');
-        setRecentItems(itemsWithPhotos);
-      } else {
-        setRecentItems([]);
-      }
+      // The 3 most recent items for the current user, with their photos
+      const data = await listItems({ userId: user.id, limit: 3, withPhotos: true });
+      console.log(`Fetched ${data.length} recent items`);
+      setRecentItems(data);
     } catch (error) {
       console.error('Exception fetching recent items:', error.message);
       Toast.show({
         type: 'error',
         text1: 'Error',
-        text2: 'An unexpected error occurred',
+        text2: 'Could not load recent items',
       });
     } finally {
       setLoading(false);
     }
   };
 
-  // Fetch notifications
+  // Reload notifications (kept live by NotificationsProvider between refreshes)
   const fetchNotifications = async () => {
-    try {
-      console.log('Fetching notifications from Supabase...');
-      
-      if (!user || !user.id) {
-        console.log('User not available, skipping fetchNotifications');
-        setNotifications([]); // Clear notifications if no user
-        setUnreadCount(0);
-        return;
-      }
+    if (!user || !user.id) {
+      console.log('User not available, skipping fetchNotifications');
+      return;
+    }
 
-      // Query notifications from the notifications table for the current user
-      const { data, error } = await supabase
-        .from('notifications')
-        .select('*')
-        .eq('user_id', user.id) // Filter by user_id
-        .order('created_at', { ascending: false });
-      
-      if (error) {
-        console.error('Error fetching notifications:', error);
-        Toast.show({
-          type: 'error',
-          text1: 'Error',
-          text2: 'Could not load notifications',
-        });
-        return;
-      }
-      
-      // If no notifications found, create a welcome notification for new users
-      if ((!data || data.length === 0) && user) { // Check user here again to be safe
-        const defaultNotifications = [
-          {
-            id: 'welcome-1',
-            title: 'Welcome!',
-            message: 'Welcome to CollectibleTracker! Start by adding your first item.',
-            type: 'success',
-            read: false,
-            created_at: new Date().toISOString(),
-            action: 'add',
-            actionData: {},
-          }
-        ];
-        setNotifications(defaultNotifications);
-        setUnreadCount(1);
-      } else {
-        console.log('Notifications fetched successfully:', data);
-        setNotifications(data || []); // Ensure data is not null
-        setUnreadCount(data ? data.filter(notification => !notification.read).length : 0);
-      }
+    try {
+      await refreshNotifications();
     } catch (error) {
-      console.error('Exception fetching notifications:', error.message);
       Toast.show({
         type: 'error',
         text1: 'Error',
-        text2: 'An unexpected error occurred',
+        text2: 'Could not load notifications',
       });
     }
   };
@@ -146,104 +75,32 @@ export const useHomeData = (user) => {
       
       if (!user || !user.id) {
         console.log('User not available, skipping fetchCollectionStats');
-        setStats({ totalItems: 0, mostValuable: 'None' }); // Clear stats if no user
+        setTotalItems(0); // Clear stats if no user
+        setValueItems([]);
         return;
       }
 
-      // Query the total number of items from the items table for the current user
-      const { count: totalItemsCount, error: totalItemsError } = await supabase
-        .from('items')
-        .select('*', { count: 'exact', head: true }) // Using head:true to only get count
-        .eq('user_id', user.id); // Filter by user_id
+      const valueItemsData = await listItems({ userId: user.id, columns: VALUE_COLUMNS });
+      // Every copy counts, not just every catalog entry
+      const totalItemsCount = valueItemsData.reduce((total, item) => total + itemQuantity(item), 0);
       
-      if (totalItemsError) {
-        console.error('Error fetching total items:', totalItemsError);
-        Toast.show({
-          type: 'error',
-          text1: 'Error',
-          text2: 'Could not load collection stats',
-        });
-        return;
-      }
-      
-      // Query the most valuable item from the items table for the current user
-      const { data: mostValuableItemData, error: mostValuableItemError } = await supabase
-        .from('items')
-        .select('name')
-        .eq('user_id', user.id) // Filter by user_id
-        .order('value', { ascending: false })
-        .limit(1);
-      
-      if (mostValuableItemError) {
-        console.error('Error fetching most valuable item:', mostValuableItemError);
-        Toast.show({
-          type: 'error',
-          text1: 'Error',
-          text2: 'Could not load collection stats',
-        });
-        return;
-      }
-      
-      console.log('Collection stats fetched successfully:', totalItemsCount, mostValuableItemData);
-      setStats({
-        totalItems: totalItemsCount || 0,
-        mostValuable: mostValuableItemData && mostValuableItemData.length > 0 ? mostValuableItemData[0].name : 'None',
-      });
+      console.log('Collection stats fetched successfully:', totalItemsCount, valueItemsData.length);
+      setTotalItems(totalItemsCount);
+      setValueItems(valueItemsData);
     } catch (error) {
       console.error('Exception fetching collection stats:', error.message);
       Toast.show({
         type: 'error',
         text1: 'Error',
-        text2: 'An unexpected error occurred',
+        text2: 'Could not load collection stats',
       });
     }
   };
 
-  // Mark notification as read
-  const markNotificationAsRead = async (id) => {
-    try {
-      // Update the notification in the database
-      if (id && id.startsWith && id.startsWith('welcome-')) {
-        // For default welcome notifications that aren't in the database yet
-        const updatedNotifications = notifications.map(notification => 
-          notification.id === id ? { ...notification, read: true } : notification
-        );
-        setNotifications(updatedNotifications);
-        setUnreadCount(updatedNotifications.filter(notification => !notification.read).length);
-      } else {
-        // For notifications stored in the database
-        // Validate UUID format before sending to the database
-        if (!id || typeof id !== 'string') {
-          console.error('Error marking notification as read: Invalid ID format', id);
-          return;
-        }
-
-        const { error } = await supabase
-          .from('notifications')
-          .update({ read: true })
-          .eq('id', id);
-        
-        if (error) {
-          console.error('Error marking notification as read:', error);
-          return;
-        }
-        
-        // Update local state
-        const updatedNotifications = notifications.map(notification => 
-          notification.id === id ? { ...notification, read: true } : notification
-        );
-        setNotifications(updatedNotifications);
-        setUnreadCount(updatedNotifications.filter(notification => !notification.read).length);
-      }
-    } catch (error) {
-      console.error('Exception marking notification as read:', error.message);
-    }
-  };
-
   // Handle notification action
   const handleNotificationAction = (notification) => {
     // Mark notification as read
-    markNotificationAsRead(notification.id);
+    markAsRead(notification.id);
     
     // Close the notifications popup
     setShowNotifications(false);
@@ -275,13 +132,34 @@ export const useHomeData = (user) => {
     } else {
       // Clear data when user logs out or is not present
       setRecentItems([]);
-      setNotifications([]);
-      setUnreadCount(0);
-      setStats({ totalItems: 0, mostValuable: 'None' });
+      setTotalItems(0);
+      setValueItems([]);
       setLoading(false); // Not loading if not authenticated
     }
   }, [user]);
 
+  // Values can be in different currencies, so the most valuable item is found after converting
+  const stats = useMemo(() => {
+    const inDisplayCurrency = (item) => {
+      const { amount, currency } = itemMoney(item);
+      return convertAmount(amount, currency, displayCurrency, rates) ?? 0;
+    };
+    const mostValuable = valueItems.reduce(
+      (best, item) => (!best || inDisplayCurrency(item) > inDisplayCurrency(best) ? item : best),
+      null
+    );
+
+    return {
+      totalItems,
+      totalValue: totalOf(valueItems.map(holdingMoney)).amount,
+      mostValuable: mostValuable && inDisplayCurrency(mostValuable) > 0 ? mostValuable.name : 'None',
+      topCollections: breakdownOf(valueItems, item => (
+        item.collections ? `${item.collections.icon || ''} ${item.collections.name}`.trim() : 'No Collection'
+      )),
+      topCategories: breakdownOf(valueItems, item => item.category || 'Uncategorized'),
+    };
+  }, [totalItems, valueItems, displayCurrency, rates, totalOf, breakdownOf]);
+
   return {
     recentItems,
     stats,
@@ -295,6 +173,6 @@ export const useHomeData = (user) => {
     setNotificationPosition,
     fetchData,
     handleNotificationAction,
-    markNotificationAsRead
+    markNotificationAsRead: markAsRead
   };
 };
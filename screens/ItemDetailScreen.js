@@ -15,13 +15,38 @@ import {
 import { Ionicons } from '@expo/vector-icons';
 import Toast from 'react-native-toast-message';
 import * as SecureStore from 'expo-secure-store';
-import { supabase } from '../lib/supabase';
+import {
+  getItem,
+  getCachedItem,
+  putCachedItem,
+  resolveItemId,
+  isLocalId,
+  queueUpdateItem,
+  queueDeleteItem,
+  subscribeToSync,
+  hasAcquisitionDetails,
+} from '../data';
 import { useIsFocused } from '@react-navigation/native';
 import { useTheme } from '../context/ThemeContext';
 import { useAuth } from '../context/AuthContext';
+import { useSync } from '../context/SyncContext';
 import CommentList from '../components/CommentList';
 import ConditionAnalysisDisplay from '../components/ConditionAnalysisDisplay';
+import ValueHistoryCard from '../components/ValueHistoryCard';
+import RevisionHistoryCard from '../components/RevisionHistoryCard';
+import PurchaseDetailsCard from '../components/PurchaseDetailsCard';
+import WishlistCard from '../components/WishlistCard';
+import CopiesCard from '../components/CopiesCard';
+import LoanCard from '../components/LoanCard';
+import { useCustomFields } from '../hooks/useCustomFields';
+import { useLocations } from '../hooks/useLocations';
+import { fieldsForCategory, attributeRows } from '../utils/fieldSchemas';
 import { analyzeItemCondition } from '../utils/geminiImageAnalysis';
+import { formatMoney, normalizeCurrency } from '../utils/money';
+import { DEFAULT_FILTERS, encodeFilters } from '../utils/searchFilters';
+import { isWanted } from '../utils/wishlist';
+import { itemQuantity } from '../utils/copies';
+import { locationPath } from '../utils/locations';
 
 // Import styled components
 import { Typography, Button, Card, Layout, createThemedStyles } from '../theme/styled';
@@ -33,9 +58,15 @@ import ErrorDisplay from '../components/ErrorDisplay';
 const AI_FEATURES_ENABLED_STORAGE = 'ai_features_enabled';
 
 function ItemDetailScreen({ route, navigation }) {
-  const { itemId } = route.params;
   const { theme, isDarkMode } = useTheme();
   const { user } = useAuth();
+  // Labels for the user's own fields; other owners' fields are labelled from their keys
+  const { customFields } = useCustomFields(user?.id);
+  // Locations are private, so only the owner's items show one
+  const { locations } = useLocations(user?.id);
+  const { conflicts, resolveConflict } = useSync();
+  // Items created offline are opened with a local ID until they sync
+  const itemId = resolveItemId(route.params.itemId);
   const [item, setItem] = useState(null);
   const [loading, setLoading] = useState(true);
   const [deleting, setDeleting] = useState(false);
@@ -61,6 +92,12 @@ function ItemDetailScreen({ route, navigation }) {
     }
   }, [isFocused]);
 
+  // Picks up changes saved while this screen is showing, like an Undo tapped
+  // on the toast after editing, once they reach the server
+  useEffect(() => subscribeToSync((update) => {
+    if (user && update.userId === user.id && update.pending === 0) refreshItem();
+  }), [user?.id, itemId]);
+
   // Load AI features preference from secure storage
   const loadAiSettings = async () => {
     try {
@@ -73,38 +110,29 @@ function ItemDetailScreen({ route, navigation }) {
     }
   };
 
-  // Fetch photos for the item from the item_photos table
-  const fetchItemPhotos = async (itemId) => {
-    try {
-      console.log(`Fetching photos for item ID: ${itemId}`);
-      
-      const { data, error } = await supabase
-        .from('item_photos')
-        .select('image_id, display_order, images(url)')
-        .eq('item_id', itemId)
-        .order('display_order', { ascending: true });
-      
-      if (error) {
-        console.error('Error fetching item photos:', error);
-      } else if (data && data.length > 0) {
-        console.log(`Fetched ${data.length} photos for item`);
-        
-        // Extract just the photo URLs
-        const photoUrls = data.map(photo => photo.images?.url);
-        setItemPhotos(photoUrls);
-        
-        // If there's condition analysis data, try to find the analyzed image
-        if (data[0] && data[0].images?.url) {
-          // For now, we'll assume the first photo was analyzed
-          // In a more complete solution, we would store which photo was analyzed
-          setAnalyzedImageUri(data[0].images.url);
-        }
-      } else {
-        console.log('No photos found for this item');
-        setItemPhotos([]);
-      }
-    } catch (error) {
-      console.error('Error in fetchItemPhotos:', error);
+  // Search covers the user's own items, and only some stacks have it
+  const canSearchTags = !!user && item?.user_id === user.id
+    && navigation.getState().routeNames.includes('Search');
+
+  const itemLocation = item?.location_id && item.user_id === user?.id
+    ? locationPath(locations, item.location_id)
+    : null;
+  const canOpenLocation = navigation.getState().routeNames.includes('LocationItems');
+
+  // Opens Search filtered to one tag
+  const openTagSearch = (tag) => {
+    navigation.navigate('Search', { filters: encodeFilters({ ...DEFAULT_FILTERS, tags: [tag] }) });
+  };
+
+  // Show the item's photos (already ordered by display_order)
+  const showItemPhotos = (photoUrls) => {
+    setItemPhotos(photoUrls);
+    
+    // If there's condition analysis data, try to find the analyzed image
+    if (photoUrls.length > 0) {
+      // For now, we'll assume the first photo was analyzed
+      // In a more complete solution, we would store which photo was analyzed
+      setAnalyzedImageUri(photoUrls[0]);
     }
   };
 
@@ -132,18 +160,28 @@ function ItemDetailScreen({ route, navigation }) {
         return;
       }
       
-      // First check if the item exists before using .single()
-      const { data: checkData, error: checkError } = await supabase
-        .from('items')
-        .select('id')
-        .eq('id', itemId);
-        
-      if (checkError) {
-        throw checkError;
+      // Show the offline copy first for the user's own items
+      const cachedItem = user ? await getCachedItem(user.id, itemId) : null;
+      if (cachedItem) {
+        setItem(cachedItem);
+        showItemPhotos(cachedItem.photos || []);
+        setLoading(false);
+      }
+      
+      // Nothing to fetch for an item that hasn't reached the server yet
+      if (isLocalId(itemId) && cachedItem) return;
+      
+      let data;
+      try {
+        data = await getItem(itemId, { withPhotos: true });
+      } catch (error) {
+        // Offline - the cached copy is the best we have
+        if (cachedItem && error.category === ERROR_CATEGORIES.NETWORK) return;
+        throw error;
       }
       
-      // If no items found with this ID, handle it gracefully
-      if (!checkData || checkData.length === 0) {
+      // If no item was found with this ID, handle it gracefully
+      if (!data) {
         // Use a more user-friendly approach instead of console.error
         setHasError(true);
         setErrorMessage('This item could not be found. It may have been deleted.');
@@ -161,46 +199,23 @@ function ItemDetailScreen({ route, navigation }) {
         }, 1500);
         return;
       }
-      
-      // Now we know the item exists, get the full details
-      const { data, error } = await supabase
-        .from('items')
-        .select(`
-          *,
-          collections(name, icon)
-        `)
-        .eq('id', itemId)
-        .single();
-
-      if (error) {
-        throw error;
-      }
 
-      if (data) {
-        console.log('Item details fetched:', data);
-        setItem(data);
-        
-        // Fetch photos for this item from the item_photos table
-        fetchItemPhotos(itemId);
-      } else {
-        // Use our error handling utility
-        handleError(
-          new Error('Item not found'),
-          'ItemDetailScreen.fetchItemDetails',
-          ERROR_CATEGORIES.DATABASE,
-          'This item could not be found.'
-        );
-        
-        // Update error state for UI
-        setHasError(true);
-        setErrorMessage('This item could not be found.');
+      console.log('Item details fetched:', data);
+      
+      // Unsynced local edits are newer than what the server has
+      if (cachedItem?.pendingSync) return;
+      
+      setItem(data);
+      showItemPhotos(data.photos);
+      if (user && data.user_id === user.id) {
+        await putCachedItem(user.id, itemId, data);
       }
     } catch (error) {
       // Use our error handling utility
       handleError(
         error,
         'ItemDetailScreen.fetchItemDetails',
-        ERROR_CATEGORIES.DATABASE,
+        error.category || ERROR_CATEGORIES.DATABASE,
         'Unable to load item details. Please try again.'
       );
       
@@ -212,6 +227,23 @@ function ItemDetailScreen({ route, navigation }) {
     }
   };
 
+  // Adding or removing a copy changes the quantity on the server; reload the
+  // item without the full-screen spinner
+  const refreshItem = async () => {
+    try {
+      const data = await getItem(itemId, { withPhotos: true });
+      // Unsynced local edits are newer than what the server has
+      const cachedItem = user ? await getCachedItem(user.id, itemId) : null;
+      if (!data || cachedItem?.pendingSync) return;
+      setItem(data);
+      if (user && data.user_id === user.id) {
+        await putCachedItem(user.id, itemId, data);
+      }
+    } catch (error) {
+      console.error('Error refreshing item:', error.message);
+    }
+  };
+
   const handleBackPress = () => {
     navigation.goBack();
   };
@@ -220,10 +252,15 @@ function ItemDetailScreen({ route, navigation }) {
     navigation.navigate('EditItem', { itemId: item?.id });
   };
 
+  // Editing in acquire mode turns the wishlist item into an owned one
+  const handleAcquirePress = () => {
+    navigation.navigate('EditItem', { itemId: item?.id, acquire: true });
+  };
+
   const handleDeletePress = () => {
     Alert.alert(
       'Confirm Delete',
-      'Are you sure you want to delete this item?',
+      'Move this item to the Trash? You can restore it from Settings > Trash.',
       [
         {
           text: 'Cancel',
@@ -238,37 +275,7 @@ function ItemDetailScreen({ route, navigation }) {
     );
   };
 
-  // Helper function to delete images from storage
-  const deleteImagesFromStorage = async (imageUrls) => {
-    if (!imageUrls || !imageUrls.length) return;
-    
-    console.log('Cleaning up associated images:', imageUrls.length);
-    try {
-      for (const imageUrl of imageUrls) {
-        // Extract the file name from the URL
-        const fileName = imageUrl.split('/').pop();
-        if (!fileName) continue;
-        
-        console.log(`Attempting to delete image: ${fileName}`);
-        
-        const { error } = await supabase.storage
-          .from('item-photos')
-          .remove([fileName]);
-          
-        if (error) {
-          console.error(`Error deleting image ${fileName}:`, error);
-        } else {
-          console.log(`Successfully deleted image: ${fileName}`);
-        }
-      }
-    } catch (error) {
-      console.error('Error cleaning up images:', error);
-      // We don't throw here to avoid interrupting the item deletion flow
-      // Just log the error and continue
-    }
-  };
-  
-  // Delete the item and associated images
+  // Move the item to the trash; its images are kept until the trash is emptied
   const deleteItem = async () => {
     try {
       // Reset error state
@@ -277,46 +284,15 @@ function ItemDetailScreen({ route, navigation }) {
       setDeleting(true);
       console.log(`Deleting item with ID: ${itemId}`);
       
-      // First, get the photos from our local state or fetch them if needed
-      let photosToDelete = itemPhotos;
-      
-      if (!photosToDelete || photosToDelete.length === 0) {
-        // Try to fetch photos from the item_photos table if we don't have them locally
-        console.log('Fetching photos for deletion...');
-        const { data: photoData, error: photoError } = await supabase
-          .from('item_photos')
-          .select('image_id, images(url)')
-          .eq('item_id', itemId);
-        
-        if (photoError) {
-          console.error('Error fetching photos for deletion:', photoError);
-        } else if (photoData && photoData.length > 0) {
-          photosToDelete = photoData.map(photo => photo.images?.url);
-          console.log(`Found ${photosToDelete.length} photos to delete`);
-        }
-      }
-      
-      // Delete the item from the database
-      // This will automatically delete related photos from item_photos table due to CASCADE constraint
-      const { error } = await supabase
-        .from('items')
-        .delete()
-        .eq('id', itemId);
-
-      if (error) {
-        throw error;
-      }
-      
-      // Clean up the associated images from storage if we have them
-      if (photosToDelete && photosToDelete.length > 0) {
-        console.log(`Deleting ${photosToDelete.length} photos from storage`);
-        await deleteImagesFromStorage(photosToDelete);
-      }
+      // Trashed on the server now, or once the device is back online
+      const { synced } = await queueDeleteItem(user.id, item);
       
       Toast.show({
         type: 'success',
         text1: 'Item Deleted',
-        text2: 'Item and associated images successfully deleted',
+        text2: synced
+          ? 'Item moved to the Trash'
+          : 'The item will be moved to the Trash when you\'re back online',
       });
       navigation.goBack();
     } catch (error) {
@@ -324,7 +300,7 @@ function ItemDetailScreen({ route, navigation }) {
       handleError(
         error,
         'ItemDetailScreen.deleteItem',
-        ERROR_CATEGORIES.DATABASE,
+        error.category || ERROR_CATEGORIES.DATABASE,
         'Unable to delete item. Please try again.'
       );
       
@@ -397,22 +373,15 @@ function ItemDetailScreen({ route, navigation }) {
   // Save condition analysis to the database
   const saveConditionAnalysis = async (analysisData) => {
     try {
-      const { error } = await supabase
-        .from('items')
-        .update({
-          condition: analysisData.conditionRating,
-          condition_details: analysisData.conditionDetails,
-          condition_analysis: analysisData,
-          // updated_at field removed - column doesn't exist in the database schema
-        })
-        .eq('id', itemId);
-      
-      if (error) {
-        throw error;
-      }
+      await queueUpdateItem(user.id, item, {
+        condition: analysisData.conditionRating,
+        condition_details: analysisData.conditionDetails,
+        condition_analysis: analysisData,
+      });
       
-      // Update local item data
-      setItem(prev => ({
+      // Update local item data (the cached copy carries the new updated_at once synced)
+      const savedItem = await getCachedItem(user.id, itemId);
+      setItem(prev => savedItem || ({
         ...prev,
         condition: analysisData.conditionRating,
         condition_details: analysisData.conditionDetails,
@@ -424,6 +393,35 @@ function ItemDetailScreen({ route, navigation }) {
     }
   };
 
+  // An offline change to this item that clashed with the server copy
+  const itemConflict = conflicts.find(
+    conflict => String(resolveItemId(conflict.operation.itemId)) === String(itemId)
+  );
+  
+  const conflictMessages = {
+    changed: 'This item was changed on another device while your edits were waiting to sync.',
+    deleted: 'This item was deleted on another device while your edits were waiting to sync.',
+    failed: 'Your offline changes to this item could not be saved.',
+  };
+  
+  const handleResolveConflict = async (keep) => {
+    try {
+      await resolveConflict(itemConflict.operation.id, keep);
+      if (keep === 'server' && itemConflict.reason === 'deleted') {
+        navigation.goBack();
+        return;
+      }
+      fetchItemDetails();
+    } catch (error) {
+      handleError(
+        error,
+        'ItemDetailScreen.handleResolveConflict',
+        error.category || ERROR_CATEGORIES.DATABASE,
+        'Unable to resolve the sync conflict. Please try again.'
+      );
+    }
+  };
+
   if (loading) {
     return (
       <SafeAreaView style={[styles.safeArea, { backgroundColor: theme.colors.background }]}>
@@ -512,6 +510,33 @@ function ItemDetailScreen({ route, navigation }) {
           />
         )}
 
+        {/* Sync Conflict */}
+        {itemConflict && (
+          <View style={[styles.conflictContainer, { backgroundColor: theme.colors.surface }]}>
+            <Layout.Row style={styles.conflictHeader}>
+              <Ionicons name="git-compare-outline" size={20} color={theme.colors.error} />
+              <Typography.Label style={[styles.conflictTitle, { color: theme.colors.text }]}>
+                Sync Conflict
+              </Typography.Label>
+            </Layout.Row>
+            <Typography.BodySmall style={{ color: theme.colors.textSecondary }}>
+              {conflictMessages[itemConflict.reason] || conflictMessages.failed}
+            </Typography.BodySmall>
+            <Layout.Row style={styles.conflictActions}>
+              <Button.Secondary
+                title="Use server version"
+                onPress={() => handleResolveConflict('server')}
+                style={styles.conflictButton}
+              />
+              <Button.Primary
+                title={itemConflict.reason === 'failed' ? 'Try again' : 'Keep mine'}
+                onPress={() => handleResolveConflict('local')}
+                style={styles.conflictButton}
+              />
+            </Layout.Row>
+          </View>
+        )}
+
         <ScrollView 
           style={[styles.scrollView, { backgroundColor: theme.colors.background }]}
           showsVerticalScrollIndicator={false}
@@ -612,15 +637,58 @@ function ItemDetailScreen({ route, navigation }) {
               </Typography.Body>
             </Layout.Row>
             
+            {item && attributeRows(
+              fieldsForCategory(item.category, item.user_id === user?.id ? customFields : []),
+              item.attributes
+            ).map(row => (
+              <Layout.Row key={row.key} style={styles.detailRow}>
+                <Typography.Label style={[styles.detailLabel, { color: theme.colors.textSecondary }]}>
+                  {row.label}:
+                </Typography.Label>
+                <Typography.Body style={[styles.detailValue, { color: theme.colors.text }]}>
+                  {row.value}
+                </Typography.Body>
+              </Layout.Row>
+            ))}
+            
             <Layout.Row style={styles.detailRow}>
               <Typography.Label style={[styles.detailLabel, { color: theme.colors.textSecondary }]}>
                 Value:
               </Typography.Label>
               <Typography.Body style={[styles.detailValue, { color: theme.colors.text }]}>
-                ${parseFloat(item?.value || 0).toFixed(2)}
+                {formatMoney(item?.value, item?.currency)}
               </Typography.Body>
             </Layout.Row>
             
+            {item && itemQuantity(item) > 1 && (
+              <Layout.Row style={styles.detailRow}>
+                <Typography.Label style={[styles.detailLabel, { color: theme.colors.textSecondary }]}>
+                  Quantity:
+                </Typography.Label>
+                <Typography.Body style={[styles.detailValue, { color: theme.colors.text }]}>
+                  {itemQuantity(item)}
+                </Typography.Body>
+              </Layout.Row>
+            )}
+            
+            {itemLocation && (
+              <Layout.Row style={styles.detailRow}>
+                <Typography.Label style={[styles.detailLabel, { color: theme.colors.textSecondary }]}>
+                  Location:
+                </Typography.Label>
+                <TouchableOpacity
+                  style={styles.detailValue}
+                  onPress={() => navigation.navigate('LocationItems', { locationId: item.location_id })}
+                  disabled={!canOpenLocation}
+                  accessibilityLabel={canOpenLocation ? `Show what else is in ${itemLocation}` : itemLocation}
+                >
+                  <Typography.Body style={{ color: canOpenLocation ? theme.colors.primary : theme.colors.text }}>
+                    {itemLocation}
+                  </Typography.Body>
+                </TouchableOpacity>
+              </Layout.Row>
+            )}
+            
             <Layout.Row style={styles.detailRow}>
               <Typography.Label style={[styles.detailLabel, { color: theme.colors.textSecondary }]}>
                 Shared:
@@ -644,6 +712,23 @@ function ItemDetailScreen({ route, navigation }) {
               </View>
             </Layout.Row>
             
+            {item?.tags?.length > 0 && (
+              <View style={styles.tagRow}>
+                {item.tags.map(tag => (
+                  <TouchableOpacity
+                    key={tag}
+                    style={[styles.tagChip, { backgroundColor: theme.colors.primary + '20', borderColor: theme.colors.primary }]}
+                    onPress={() => openTagSearch(tag)}
+                    disabled={!canSearchTags}
+                    accessibilityLabel={canSearchTags ? `Show items tagged ${tag}` : tag}
+                  >
+                    <Ionicons name="pricetag-outline" size={12} color={theme.colors.primary} style={styles.tagIcon} />
+                    <Typography.Caption style={{ color: theme.colors.primary }}>{tag}</Typography.Caption>
+                  </TouchableOpacity>
+                ))}
+              </View>
+            )}
+            
             {item?.notes && (
               <View style={[styles.notesContainer, { backgroundColor: theme.colors.surface }]}>
                 <Typography.Label style={[styles.notesLabel, { color: theme.colors.textSecondary }]}>
@@ -656,6 +741,48 @@ function ItemDetailScreen({ route, navigation }) {
             )}
           </Card.Primary>
           
+          {/* Wishlist - what the user's hunting for, or when an owned item was acquired */}
+          {item && (isWanted(item) || item.acquired_at) && (
+            <WishlistCard
+              item={item}
+              onAcquire={user && user.id === item.user_id ? handleAcquirePress : undefined}
+            />
+          )}
+          
+          {/* Purchase Details - only ever loaded for the owner */}
+          {user && item && user.id === item.user_id && hasAcquisitionDetails(item.acquisition) && (
+            <PurchaseDetailsCard item={item} />
+          )}
+          
+          {/* Copies - kept online only, so not for items still waiting to sync */}
+          {item && !isWanted(item) && !isLocalId(item.id) && (itemQuantity(item) > 1 || (user && user.id === item.user_id)) && (
+            <CopiesCard
+              item={item}
+              isOwner={!!user && user.id === item.user_id}
+              onChange={refreshItem}
+            />
+          )}
+          
+          {/* Loan - who has it now; loans are kept online only like copies */}
+          {item && !isWanted(item) && !isLocalId(item.id) && user && (
+            <LoanCard item={item} userId={user.id} />
+          )}
+          
+          {/* Value History - recorded by the server, so not for items still waiting to sync */}
+          {item && !isLocalId(item.id) && (
+            <ValueHistoryCard itemId={item.id} value={item.value} currency={normalizeCurrency(item.currency)} />
+          )}
+          
+          {/* History - every saved change, revertible by the owner; recorded by the server like value history */}
+          {item && !isLocalId(item.id) && user && user.id === item.user_id && (
+            <RevisionHistoryCard
+              item={item}
+              userId={user.id}
+              locations={locations}
+              onChange={fetchItemDetails}
+            />
+          )}
+          
           {/* Condition Analysis Section */}
           {item?.condition_analysis ? (
             <ConditionAnalysisDisplay 
@@ -792,6 +919,24 @@ const styles = createThemedStyles((theme) => ({
     paddingVertical: 4,
     borderRadius: 12,
   },
+  tagRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginTop: 12,
+  },
+  tagChip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 10,
+    paddingVertical: 4,
+    borderRadius: 16,
+    borderWidth: 1,
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  tagIcon: {
+    marginRight: 4,
+  },
   notesContainer: {
     marginTop: 16,
     padding: 12,
@@ -828,6 +973,27 @@ const styles = createThemedStyles((theme) => ({
     backgroundColor: theme.colors.errorBackground || 'rgba(255, 59, 48, 0.1)',
     borderRadius: 8,
   },
+  conflictContainer: {
+    margin: theme.spacing.md,
+    padding: theme.spacing.md,
+    borderRadius: 8,
+    borderLeftWidth: 4,
+    borderLeftColor: theme.colors.error,
+  },
+  conflictHeader: {
+    alignItems: 'center',
+    marginBottom: theme.spacing.xs,
+  },
+  conflictTitle: {
+    marginLeft: theme.spacing.sm,
+  },
+  conflictActions: {
+    justifyContent: 'flex-end',
+    marginTop: theme.spacing.sm,
+  },
+  conflictButton: {
+    marginLeft: theme.spacing.sm,
+  },
   errorText: {
     textAlign: 'center',
   },
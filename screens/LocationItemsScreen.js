@@ -0,0 +1,324 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Text,
+  View,
+  FlatList,
+  TouchableOpacity,
+  Image,
+  StatusBar,
+  SafeAreaView,
+} from 'react-native';
+import { useIsFocused } from '@react-navigation/native';
+import { Ionicons } from '@expo/vector-icons';
+import { listItems } from '../data';
+import { useTheme } from '../context/ThemeContext';
+import { useAuth } from '../context/AuthContext';
+import { useLocations } from '../hooks/useLocations';
+import { useActiveLoans } from '../hooks/useActiveLoans';
+import { useSelection } from '../hooks/useSelection';
+import { createThemedStyles } from '../theme/styled';
+import { handleError, ERROR_CATEGORIES } from '../utils/errorHandler';
+import { itemQuantity } from '../utils/copies';
+import { locationIcon, locationPath } from '../utils/locations';
+import LoanBadge from '../components/LoanBadge';
+import SelectionMark from '../components/SelectionMark';
+import BulkActionBar from '../components/BulkActionBar';
+
+// What's in a box (or room, or binder): the locations directly inside it, then
+// every item kept in it or anywhere further in
+const LocationItemsScreen = ({ navigation, route }) => {
+  const { theme, isDarkMode } = useTheme();
+  const { user } = useAuth();
+  const isFocused = useIsFocused();
+  const { locationId } = route.params;
+  const { locations, reload: reloadLocations } = useLocations(user?.id);
+  const { loansByItem, reload: reloadLoans } = useActiveLoans(user?.id);
+  const [items, setItems] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+  // Long-pressing an item starts selecting items for bulk actions
+  const selection = useSelection();
+
+  const location = locations.find(row => row.id === locationId);
+  const children = locations
+    .filter(row => row.parent_id === locationId)
+    .sort((a, b) => a.name.localeCompare(b.name));
+  const copies = items.reduce((total, item) => total + itemQuantity(item), 0);
+
+  // Items may have been moved in or out, or lent, while away
+  useEffect(() => {
+    if (isFocused && user) {
+      fetchItems();
+      reloadLocations();
+      reloadLoans();
+    }
+  }, [isFocused, user, locationId]);
+
+  const fetchItems = async () => {
+    try {
+      setItems(await listItems({ userId: user.id, locationId, withPhotos: true, orderBy: 'name', ascending: true }));
+    } catch (error) {
+      handleError(
+        error,
+        'LocationItemsScreen.fetchItems',
+        error.category || ERROR_CATEGORIES.DATABASE,
+        'Unable to load what\'s in this location. Please try again.'
+      );
+    } finally {
+      setLoading(false);
+      setRefreshing(false);
+    }
+  };
+
+  const handleRefresh = () => {
+    setRefreshing(true);
+    fetchItems();
+    reloadLocations();
+    reloadLoans();
+  };
+
+  const handleBulkDone = () => {
+    selection.clear();
+    fetchItems();
+    reloadLoans();
+  };
+
+  const renderHeader = () => (
+    <View>
+      {!!location?.notes && (
+        <Text style={[styles.notes, { color: theme.colors.textSecondary }]}>{location.notes}</Text>
+      )}
+
+      {children.length > 0 && (
+        <View style={[styles.section, { backgroundColor: theme.colors.surface }]}>
+          <Text style={[styles.sectionTitle, { color: theme.colors.text }]}>Inside</Text>
+          {children.map(child => (
+            <TouchableOpacity
+              key={child.id}
+              style={[styles.childRow, { borderTopColor: theme.colors.divider }]}
+              onPress={() => navigation.push('LocationItems', { locationId: child.id })}
+            >
+              <Ionicons name={locationIcon(child.kind)} size={20} color={theme.colors.primary} />
+              <Text style={[styles.childName, { color: theme.colors.text }]} numberOfLines={1}>{child.name}</Text>
+              <Ionicons name="chevron-forward" size={18} color={theme.colors.textSecondary} />
+            </TouchableOpacity>
+          ))}
+        </View>
+      )}
+
+      <Text style={[styles.countText, { color: theme.colors.textSecondary }]}>
+        {copies === 1 ? '1 item' : `${copies} items`}{children.length > 0 ? ' here and inside' : ''}
+      </Text>
+    </View>
+  );
+
+  const renderItem = ({ item }) => (
+    <TouchableOpacity
+      style={[
+        styles.itemRow,
+        { backgroundColor: theme.colors.surface },
+        selection.isSelected(item.id) && { borderWidth: 2, borderColor: theme.colors.primary },
+      ]}
+      onPress={() => (selection.selecting
+        ? selection.toggle(item.id)
+        : navigation.navigate('ItemDetail', { itemId: item.id }))}
+      onLongPress={() => selection.start(item.id)}
+      activeOpacity={0.8}
+    >
+      {item.photos?.length > 0 ? (
+        <Image source={{ uri: item.photos[0] }} style={styles.itemImage} resizeMode="cover" />
+      ) : (
+        <View style={[styles.itemImage, styles.imagePlaceholder, { backgroundColor: theme.colors.divider }]}>
+          <Ionicons name="image-outline" size={22} color={theme.colors.textSecondary} />
+        </View>
+      )}
+      <View style={styles.itemDetails}>
+        <Text style={[styles.itemName, { color: theme.colors.text }]} numberOfLines={1}>
+          {item.name}{itemQuantity(item) > 1 ? ` ×${itemQuantity(item)}` : ''}
+        </Text>
+        {/* Items further in show where exactly */}
+        {item.location_id !== locationId && (
+          <Text style={[styles.itemMeta, { color: theme.colors.textSecondary }]} numberOfLines={1}>
+            {locationPath(locations, item.location_id)}
+          </Text>
+        )}
+        {/* Not in the box right now */}
+        <LoanBadge loan={loansByItem[item.id]} style={styles.loanBadge} />
+      </View>
+      {selection.selecting && (
+        <SelectionMark selected={selection.isSelected(item.id)} style={styles.selectionMark} />
+      )}
+    </TouchableOpacity>
+  );
+
+  return (
+    <SafeAreaView style={[styles.safeArea, { backgroundColor: theme.colors.background }]}>
+      <StatusBar barStyle={isDarkMode ? 'light-content' : 'dark-content'} backgroundColor={theme.colors.background} />
+
+      <View style={[styles.header, { backgroundColor: theme.colors.surface, borderBottomColor: theme.colors.divider }]}>
+        <TouchableOpacity style={styles.headerButton} onPress={() => navigation.goBack()}>
+          <Ionicons name="arrow-back" size={24} color={theme.colors.text} />
+        </TouchableOpacity>
+        <View style={styles.headerTitleContainer}>
+          <Text style={[styles.headerTitle, { color: theme.colors.text }]} numberOfLines={1}>
+            {location?.name || 'Location'}
+          </Text>
+          {location?.parent_id && (
+            <Text style={[styles.headerSubtitle, { color: theme.colors.textSecondary }]} numberOfLines={1}>
+              {locationPath(locations, location.parent_id)}
+            </Text>
+          )}
+        </View>
+        <TouchableOpacity
+          style={styles.headerButton}
+          onPress={() => navigation.navigate('Locations', { addInside: locationId })}
+          accessibilityLabel="Add a location inside this one"
+        >
+          <Ionicons name="add" size={24} color={theme.colors.primary} />
+        </TouchableOpacity>
+      </View>
+
+      <FlatList
+        data={items}
+        renderItem={renderItem}
+        keyExtractor={(item) => item.id.toString()}
+        extraData={selection.selectedIds}
+        contentContainerStyle={styles.listContainer}
+        ListHeaderComponent={renderHeader}
+        ListEmptyComponent={
+          <Text style={[styles.emptyText, { color: theme.colors.textSecondary }]}>
+            {loading ? 'Loading...' : 'Nothing is kept here yet. Pick this location when adding or editing an item.'}
+          </Text>
+        }
+        refreshing={refreshing}
+        onRefresh={handleRefresh}
+        showsVerticalScrollIndicator={false}
+      />
+
+      {selection.selecting && (
+        <BulkActionBar
+          userId={user.id}
+          items={items.filter(item => selection.isSelected(item.id))}
+          onSelectAll={() => selection.selectAll(items.map(item => item.id))}
+          onClear={selection.clear}
+          onDone={handleBulkDone}
+        />
+      )}
+    </SafeAreaView>
+  );
+};
+
+const styles = createThemedStyles((theme) => ({
+  safeArea: {
+    flex: 1,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+  },
+  headerButton: {
+    padding: 4,
+  },
+  headerTitleContainer: {
+    flex: 1,
+    alignItems: 'center',
+    marginHorizontal: 8,
+  },
+  headerTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+  },
+  headerSubtitle: {
+    fontSize: 12,
+    marginTop: 2,
+  },
+  listContainer: {
+    padding: 16,
+    flexGrow: 1,
+  },
+  notes: {
+    fontSize: 14,
+    marginBottom: 12,
+  },
+  section: {
+    borderRadius: 12,
+    marginBottom: 16,
+    overflow: 'hidden',
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+  },
+  childRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 12,
+    paddingHorizontal: 16,
+    borderTopWidth: 1,
+  },
+  childName: {
+    flex: 1,
+    fontSize: 16,
+    marginLeft: 12,
+  },
+  countText: {
+    fontSize: 13,
+    marginBottom: 8,
+  },
+  itemRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderRadius: 12,
+    padding: 12,
+    marginBottom: 12,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 3,
+    elevation: 3,
+  },
+  itemImage: {
+    width: 56,
+    height: 56,
+    borderRadius: 8,
+  },
+  // In line at the end of the row rather than over the photo
+  selectionMark: {
+    position: 'relative',
+    top: 0,
+    left: 0,
+    marginLeft: 8,
+  },
+  imagePlaceholder: {
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  itemDetails: {
+    flex: 1,
+    marginLeft: 12,
+  },
+  itemName: {
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  itemMeta: {
+    fontSize: 13,
+    marginTop: 4,
+  },
+  loanBadge: {
+    marginTop: 4,
+  },
+  emptyText: {
+    fontSize: 14,
+    textAlign: 'center',
+    marginTop: 32,
+  },
+}));
+
+export default LocationItemsScreen;
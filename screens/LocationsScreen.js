@@ -0,0 +1,445 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Text,
+  View,
+  TextInput,
+  TouchableOpacity,
+  FlatList,
+  Modal,
+  ScrollView,
+  Alert,
+  StatusBar,
+  SafeAreaView,
+  ActivityIndicator,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import Toast from 'react-native-toast-message';
+import { useTheme } from '../context/ThemeContext';
+import { useAuth } from '../context/AuthContext';
+import { useLocations } from '../hooks/useLocations';
+import { createLocation, updateLocation, deleteLocation } from '../data';
+import LocationPicker from '../components/LocationPicker';
+import { createThemedStyles } from '../theme/styled';
+import { handleError, ERROR_CATEGORIES } from '../utils/errorHandler';
+import {
+  LOCATION_KINDS,
+  MAX_LOCATION_DEPTH,
+  flattenLocationTree,
+  locationIcon,
+  descendantIds,
+  validateLocationName,
+} from '../utils/locations';
+
+const EMPTY_FORM = { name: '', kind: 'box', parent_id: null, notes: '' };
+
+// Rooms, cabinets, boxes and slots, nested. Tap a location to see what's in
+// it; the pencil edits, moves or deletes it.
+const LocationsScreen = ({ navigation, route }) => {
+  const { theme, isDarkMode } = useTheme();
+  const { user } = useAuth();
+  const { locations, loading, reload } = useLocations(user?.id);
+
+  const [editing, setEditing] = useState(null); // The location being edited; null when adding
+  const [editorVisible, setEditorVisible] = useState(false);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [nameError, setNameError] = useState(null);
+  const [working, setWorking] = useState(false);
+
+  // Opened from a location's contents to add something inside it
+  useEffect(() => {
+    if (route.params?.addInside) {
+      openEditor(null, route.params.addInside);
+      navigation.setParams({ addInside: undefined });
+    }
+  }, [route.params?.addInside]);
+
+  const openEditor = (location, parentId = null) => {
+    setEditing(location);
+    setForm(location
+      ? { name: location.name, kind: location.kind, parent_id: location.parent_id, notes: location.notes || '' }
+      : { ...EMPTY_FORM, parent_id: parentId });
+    setNameError(null);
+    setEditorVisible(true);
+  };
+
+  const update = (fields) => setForm(current => ({ ...current, ...fields }));
+
+  const handleSave = async () => {
+    const nameCheck = validateLocationName(form.name);
+    if (!nameCheck.success) {
+      setNameError(nameCheck.message);
+      return;
+    }
+    const parent = locations.find(location => location.id === form.parent_id);
+    if (parent && (parent.path || []).length >= MAX_LOCATION_DEPTH) {
+      setNameError(`Locations can only be nested ${MAX_LOCATION_DEPTH} deep.`);
+      return;
+    }
+
+    setWorking(true);
+    try {
+      if (editing) {
+        await updateLocation(editing.id, form);
+      } else {
+        await createLocation(form);
+      }
+      setEditorVisible(false);
+      await reload();
+      Toast.show({ type: 'success', text1: editing ? 'Location Updated' : 'Location Added', text2: form.name.trim() });
+    } catch (error) {
+      // Names only have to be unique among the locations next to each other
+      const message = error.code === '23505'
+        ? 'There is already a location with this name here.'
+        : 'Unable to save the location. Please try again.';
+      handleError(error, 'LocationsScreen.handleSave', error.category || ERROR_CATEGORIES.DATABASE, message);
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleDelete = () => {
+    const nested = descendantIds(locations, editing.id).length;
+    Alert.alert(
+      'Delete Location',
+      nested > 0
+        ? `Delete '${editing.name}' and the ${nested} ${nested === 1 ? 'location' : 'locations'} inside it? Items kept there won't have a location any more.`
+        : `Delete '${editing.name}'? Items kept there won't have a location any more.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: async () => {
+            setWorking(true);
+            try {
+              await deleteLocation(editing.id);
+              setEditorVisible(false);
+              await reload();
+              Toast.show({ type: 'success', text1: 'Location Deleted' });
+            } catch (error) {
+              handleError(
+                error,
+                'LocationsScreen.handleDelete',
+                error.category || ERROR_CATEGORIES.DATABASE,
+                'Unable to delete the location. Please try again.'
+              );
+            } finally {
+              setWorking(false);
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const renderLocation = ({ item: { location, depth } }) => (
+    <TouchableOpacity
+      style={[styles.locationRow, { paddingLeft: 16 + depth * 20, borderTopColor: theme.colors.divider }]}
+      onPress={() => navigation.navigate('LocationItems', { locationId: location.id })}
+    >
+      <Ionicons name={locationIcon(location.kind)} size={20} color={theme.colors.primary} />
+      <View style={styles.locationText}>
+        <Text style={[styles.locationName, { color: theme.colors.text }]} numberOfLines={1}>{location.name}</Text>
+        {!!location.notes && (
+          <Text style={[styles.locationNotes, { color: theme.colors.textSecondary }]} numberOfLines={1}>
+            {location.notes}
+          </Text>
+        )}
+      </View>
+      <TouchableOpacity
+        onPress={() => openEditor(location)}
+        hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}
+        accessibilityLabel={`Edit ${location.name}`}
+      >
+        <Ionicons name="create-outline" size={20} color={theme.colors.textSecondary} />
+      </TouchableOpacity>
+    </TouchableOpacity>
+  );
+
+  const renderEmptyState = () => (
+    <View style={styles.emptyContainer}>
+      {loading ? (
+        <ActivityIndicator color={theme.colors.primary} />
+      ) : (
+        <>
+          <Ionicons name="cube-outline" size={60} color={theme.colors.divider} />
+          <Text style={[styles.emptyText, { color: theme.colors.textSecondary }]}>No storage locations yet.</Text>
+          <Text style={[styles.emptySubtext, { color: theme.colors.textSecondary }]}>
+            Tap + to add a room, then the cabinets, boxes and slots inside it.
+          </Text>
+        </>
+      )}
+    </View>
+  );
+
+  return (
+    <SafeAreaView style={[styles.safeArea, { backgroundColor: theme.colors.background }]}>
+      <StatusBar barStyle={isDarkMode ? 'light-content' : 'dark-content'} backgroundColor={theme.colors.background} />
+
+      <View style={[styles.header, { backgroundColor: theme.colors.surface, borderBottomColor: theme.colors.divider }]}>
+        <TouchableOpacity style={styles.headerButton} onPress={() => navigation.goBack()}>
+          <Ionicons name="arrow-back" size={24} color={theme.colors.text} />
+        </TouchableOpacity>
+        <Text style={[styles.headerTitle, { color: theme.colors.text }]}>Storage Locations</Text>
+        <TouchableOpacity style={styles.headerButton} onPress={() => openEditor(null)} accessibilityLabel="Add location">
+          <Ionicons name="add" size={24} color={theme.colors.primary} />
+        </TouchableOpacity>
+      </View>
+
+      <FlatList
+        data={flattenLocationTree(locations)}
+        renderItem={renderLocation}
+        keyExtractor={({ location }) => String(location.id)}
+        contentContainerStyle={styles.listContainer}
+        ListEmptyComponent={renderEmptyState}
+        refreshing={false}
+        onRefresh={reload}
+      />
+
+      <Modal animationType="slide" transparent visible={editorVisible} onRequestClose={() => setEditorVisible(false)}>
+        <View style={styles.overlay}>
+          <View style={[styles.editor, { backgroundColor: theme.colors.background }]}>
+            <ScrollView keyboardShouldPersistTaps="handled">
+              <Text style={[styles.editorTitle, { color: theme.colors.text }]}>
+                {editing ? 'Edit Location' : 'Add Location'}
+              </Text>
+
+              <Text style={[styles.label, { color: theme.colors.text }]}>Name</Text>
+              <TextInput
+                style={[styles.input, {
+                  backgroundColor: theme.colors.inputBackground,
+                  color: theme.colors.inputText,
+                  borderColor: theme.colors.inputBorder,
+                }]}
+                placeholder="e.g., Box 3"
+                value={form.name}
+                onChangeText={name => update({ name })}
+                maxLength={60}
+                placeholderTextColor={theme.colors.inputPlaceholder}
+              />
+              {nameError && <Text style={[styles.errorText, { color: theme.colors.error }]}>{nameError}</Text>}
+
+              <Text style={[styles.label, { color: theme.colors.text }]}>Kind</Text>
+              <View style={styles.chipRow}>
+                {LOCATION_KINDS.map(option => {
+                  const isSelected = option.value === form.kind;
+                  return (
+                    <TouchableOpacity
+                      key={option.value}
+                      style={[
+                        styles.chip,
+                        { backgroundColor: theme.colors.surface, borderColor: theme.colors.divider },
+                        isSelected && { backgroundColor: theme.colors.primary + '20', borderColor: theme.colors.primary },
+                      ]}
+                      onPress={() => update({ kind: option.value })}
+                      accessibilityState={{ selected: isSelected }}
+                    >
+                      <Ionicons name={option.icon} size={14} color={isSelected ? theme.colors.primary : theme.colors.textSecondary} />
+                      <Text style={[styles.chipText, { color: isSelected ? theme.colors.primary : theme.colors.textSecondary }]}>
+                        {option.label}
+                      </Text>
+                    </TouchableOpacity>
+                  );
+                })}
+              </View>
+
+              <Text style={[styles.label, { color: theme.colors.text }]}>Inside</Text>
+              <LocationPicker
+                locations={locations}
+                selectedId={form.parent_id}
+                onSelect={parent_id => update({ parent_id })}
+                noneLabel="Nothing (top level)"
+                // Can't move a location into itself or anything inside it
+                disabledIds={editing ? [editing.id, ...descendantIds(locations, editing.id)] : []}
+              />
+
+              <Text style={[styles.label, { color: theme.colors.text }]}>Notes</Text>
+              <TextInput
+                style={[styles.input, styles.notesInput, {
+                  backgroundColor: theme.colors.inputBackground,
+                  color: theme.colors.inputText,
+                  borderColor: theme.colors.inputBorder,
+                }]}
+                placeholder="e.g., Top shelf, left side"
+                value={form.notes}
+                onChangeText={notes => update({ notes })}
+                maxLength={200}
+                multiline
+                placeholderTextColor={theme.colors.inputPlaceholder}
+              />
+
+              <View style={styles.actionRow}>
+                <TouchableOpacity
+                  style={[styles.actionButton, { backgroundColor: theme.colors.primary }]}
+                  onPress={handleSave}
+                  disabled={working}
+                >
+                  {working ? (
+                    <ActivityIndicator color="white" />
+                  ) : (
+                    <Text style={styles.actionButtonText}>Save</Text>
+                  )}
+                </TouchableOpacity>
+                {editing && (
+                  <TouchableOpacity
+                    style={[styles.actionButton, styles.actionButtonSpacing, { backgroundColor: theme.colors.error }]}
+                    onPress={handleDelete}
+                    disabled={working}
+                  >
+                    <Text style={styles.actionButtonText}>Delete</Text>
+                  </TouchableOpacity>
+                )}
+              </View>
+              <TouchableOpacity style={styles.cancelButton} onPress={() => setEditorVisible(false)} disabled={working}>
+                <Text style={[styles.cancelText, { color: theme.colors.textSecondary }]}>Cancel</Text>
+              </TouchableOpacity>
+            </ScrollView>
+          </View>
+        </View>
+      </Modal>
+    </SafeAreaView>
+  );
+};
+
+const styles = createThemedStyles((theme) => ({
+  safeArea: {
+    flex: 1,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+  },
+  headerButton: {
+    padding: 4,
+  },
+  headerTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+  },
+  listContainer: {
+    paddingVertical: 8,
+    flexGrow: 1,
+  },
+  locationRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 12,
+    paddingRight: 16,
+    borderTopWidth: 1,
+  },
+  locationText: {
+    flex: 1,
+    marginLeft: 12,
+  },
+  locationName: {
+    fontSize: 16,
+  },
+  locationNotes: {
+    fontSize: 12,
+    marginTop: 2,
+  },
+  emptyContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 20,
+    marginTop: 50,
+  },
+  emptyText: {
+    fontSize: 16,
+    textAlign: 'center',
+    marginTop: 16,
+  },
+  emptySubtext: {
+    fontSize: 14,
+    textAlign: 'center',
+    marginTop: 8,
+  },
+  overlay: {
+    flex: 1,
+    justifyContent: 'center',
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    padding: 20,
+  },
+  editor: {
+    borderRadius: 16,
+    padding: 20,
+    maxHeight: '90%',
+  },
+  editorTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    marginBottom: 4,
+  },
+  label: {
+    fontSize: 14,
+    fontWeight: '500',
+    marginTop: 12,
+    marginBottom: 6,
+  },
+  input: {
+    height: 44,
+    borderWidth: 1,
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    fontSize: 16,
+  },
+  notesInput: {
+    height: 72,
+    paddingTop: 10,
+    textAlignVertical: 'top',
+  },
+  errorText: {
+    fontSize: 12,
+    marginTop: 4,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  chip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    borderWidth: 1,
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  chipText: {
+    fontSize: 13,
+    marginLeft: 4,
+  },
+  actionRow: {
+    flexDirection: 'row',
+    marginTop: 20,
+  },
+  actionButton: {
+    flex: 1,
+    paddingVertical: 12,
+    borderRadius: 8,
+    alignItems: 'center',
+  },
+  actionButtonSpacing: {
+    marginLeft: 12,
+  },
+  actionButtonText: {
+    color: 'white',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  cancelButton: {
+    alignItems: 'center',
+    paddingVertical: 12,
+  },
+  cancelText: {
+    fontSize: 16,
+  },
+}));
+
+export default LocationsScreen;
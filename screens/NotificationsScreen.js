@@ -11,40 +11,35 @@ import {
   StatusBar,
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
-import { supabase } from '../lib/supabase';
 import { useAuth } from '../context/AuthContext';
+import { useNotifications } from '../context/NotificationsContext';
 import { useTheme } from '../context/ThemeContext';
 import Toast from 'react-native-toast-message';
 import { Typography, createThemedStyles } from '../theme/styled';
 
 const NotificationsScreen = ({ navigation, route }) => {
-  const [notifications, setNotifications] = useState([]);
   const [loading, setLoading] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
   const { user } = useAuth();
   const { theme, isDarkMode } = useTheme();
+  // Shared with the Home header and popup, and updated live
+  const {
+    notifications,
+    refreshNotifications,
+    markAsRead,
+    markAllAsRead: markAllNotificationsAsRead,
+    deleteNotification: deleteNotificationRecord,
+  } = useNotifications();
   
   // Check if we need to highlight a specific notification
   const highlightId = route.params?.highlightId;
 
-  // Fetch notifications from the database
+  // Reload notifications from the database
   const fetchNotifications = async () => {
     try {
-      setLoading(true);
       console.log('Fetching notifications for user:', user.id);
-      
-      const { data, error } = await supabase
-        .from('notifications')
-        .select('*')
-        .eq('user_id', user.id)
-        .order('created_at', { ascending: false });
-      
-      if (error) throw error;
-      
-      console.log(`Fetched ${data.length} notifications`);
-      setNotifications(data || []);
+      await refreshNotifications();
     } catch (error) {
-      console.error('Error fetching notifications:', error.message);
       Toast.show({
         type: 'error',
         text1: 'Error',
@@ -75,49 +70,13 @@ const NotificationsScreen = ({ navigation, route }) => {
     fetchNotifications();
   };
 
-  const markAsRead = async (id) => {
-    try {
-      console.log(`Marking notification ${id} as read`);
-      
-      // Update the database
-      const { error } = await supabase
-        .from('notifications')
-        .update({ read: true })
-        .eq('id', id);
-      
-      if (error) throw error;
-      
-      // Update local state
-      setNotifications(notifications.map(notification => 
-        notification.id === id ? { ...notification, read: true } : notification
-      ));
-    } catch (error) {
-      console.error('Error marking notification as read:', error.message);
-      // No need to show a toast for this minor error
-    }
-  };
-
   const markAllAsRead = async () => {
     try {
       console.log('Marking all notifications as read');
       
-      // Get all unread notification IDs
-      const unreadIds = notifications
-        .filter(notification => !notification.read)
-        .map(notification => notification.id);
-      
-      if (unreadIds.length === 0) return; // Nothing to update
+      if (!notifications.some(notification => !notification.read)) return; // Nothing to update
       
-      // Update the database
-      const { error } = await supabase
-        .from('notifications')
-        .update({ read: true })
-        .in('id', unreadIds);
-      
-      if (error) throw error;
-      
-      // Update local state
-      setNotifications(notifications.map(notification => ({ ...notification, read: true })));
+      await markAllNotificationsAsRead();
       
       Toast.show({
         type: 'success',
@@ -138,16 +97,7 @@ const NotificationsScreen = ({ navigation, route }) => {
     try {
       console.log(`Deleting notification ${id}`);
       
-      // Delete from the database
-      const { error } = await supabase
-        .from('notifications')
-        .delete()
-        .eq('id', id);
-      
-      if (error) throw error;
-      
-      // Update local state
-      setNotifications(notifications.filter(notification => notification.id !== id));
+      await deleteNotificationRecord(id);
       
       Toast.show({
         type: 'success',
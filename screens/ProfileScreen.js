@@ -16,6 +16,7 @@ import { Ionicons } from '@expo/vector-icons';
 import { useIsFocused } from '@react-navigation/native';
 import Toast from 'react-native-toast-message';
 import { supabase } from '../lib/supabase';
+import { listItems, countItems } from '../data';
 import { useAuth } from '../context/AuthContext';
 import { useTheme } from '../context/ThemeContext';
 import { createThemedStyles } from '../theme/styled';
@@ -133,15 +134,10 @@ const ProfileScreen = ({ navigation }) => {
   // Fetch total items count
   const fetchTotalItems = async (userId) => {
     try {
-      const { count, error } = await supabase
-        .from('items')
-        .select('*', { count: 'exact', head: true })
-        .eq('user_id', userId);
-      
-      if (error) throw error;
+      const count = await countItems({ userId });
       
       console.log(`Total items count: ${count}`);
-      setTotalItems(count || 0);
+      setTotalItems(count);
     } catch (error) {
       // Use our error handling utility
       handleError(
@@ -159,49 +155,16 @@ const ProfileScreen = ({ navigation }) => {
   // Fetch user's shared posts
   const fetchUserPosts = async (userId) => {
     try {
-      // First get the shared items
-      const { data: items, error } = await supabase
-        .from('items')
-        .select('id, name, category, created_at')
-        .eq('user_id', userId)
-        .eq('is_shared', true)
-        .order('created_at', { ascending: false });
-      
-      if (error) throw error;
+      // Shared items with their photos, shown as a grid of first photos
+      const items = await listItems({
+        userId,
+        shared: true,
+        columns: 'id, name, category, created_at',
+        withPhotos: true,
+      });
       
       console.log(`Fetched ${items.length} shared items`);
-      
-      if (items && items.length > 0) {
-        // Now fetch the photos for each item
-        const itemsWithPhotos = await Promise.all(
-          items.map(async (item) => {
-            // Get photos from item_photos table
-            const { data: photoData, error: photoError } = await supabase
-              .from('item_photos')
-              .select('image_id, images(url)')
-              .eq('item_id', item.id)
-              .order('display_order', { ascending: true })
-              .limit(1); // Just get the first photo for the grid
-            
-            if (photoError) {
-              console.error(`Error fetching photos for item ${item.id}:`, photoError);
-              return { ...item, photoUrl: null };
-            }
-            
-            // Extract the photo URL if available
-            const photoUrl = photoData && photoData.length > 0 && photoData[0].images ? 
-              photoData[0].images.url : null;
-              
-            console.log(`Item ${item.id} photo URL: ${photoUrl}`);
-            
-            return { ...item, photoUrl };
-          })
-        );
-        
-        setPosts(itemsWithPhotos);
-      } else {
-        setPosts([]);
-      }
+      setPosts(items.map(({ photos, ...item }) => ({ ...item, photoUrl: photos[0] || null })));
     } catch (error) {
       // Use our error handling utility
       handleError(
@@ -232,16 +195,11 @@ const ProfileScreen = ({ navigation }) => {
         const itemIds = likedItemIds.map(like => like.item_id);
         
         // Then fetch the actual items
-        const { data: items, error: itemsError } = await supabase
-          .from('items')
-          .select('*')
-          .in('id', itemIds)
-          .order('created_at', { ascending: false });
-        
-        if (itemsError) throw itemsError;
+        // Liked wishlist items too
+        const items = await listItems({ ids: itemIds, status: null });
         
         console.log(`Fetched ${items.length} liked items`);
-        setLikedItems(items || []);
+        setLikedItems(items);
       } else {
         setLikedItems([]);
       }
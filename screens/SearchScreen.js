@@ -12,15 +12,35 @@ import {
   SafeAreaView,
   StatusBar,
   ActivityIndicator,
-  ScrollView,
   Animated,
   Platform,
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import { Picker } from '@react-native-picker/picker';
-import { supabase } from '../lib/supabase';
-import { fetchPhotosForItems } from './AddItem/apiUtils';
+import { listCollections, createSavedSearch, updateSavedSearch } from '../data';
+import { useFilteredItems } from '../hooks/useFilteredItems';
+import { useTags } from '../hooks/useTags';
+import { useLocations } from '../hooks/useLocations';
+import { useActiveLoans } from '../hooks/useActiveLoans';
+import { useSelection } from '../hooks/useSelection';
+import HighlightedText, { searchTerms } from '../components/HighlightedText';
+import FilterChips from '../components/FilterChips';
+import SearchFilterPanel from '../components/SearchFilterPanel';
+import SaveSearchModal from '../components/SaveSearchModal';
+import LoanBadge from '../components/LoanBadge';
+import SelectionMark from '../components/SelectionMark';
+import BulkActionBar from '../components/BulkActionBar';
+import {
+  DEFAULT_FILTERS,
+  decodeFilters,
+  encodeFilters,
+  describeFilters,
+  removeFilter,
+  summarizeFilters,
+} from '../utils/searchFilters';
+import { handleError, ERROR_CATEGORIES } from '../utils/errorHandler';
 import { useAuth } from '../context/AuthContext';
+import { useCurrency } from '../context/CurrencyContext';
 import Toast from 'react-native-toast-message';
 import { RFPercentage } from 'react-native-responsive-fontsize';
 import { LinearGradient } from 'expo-linear-gradient';
@@ -35,110 +55,88 @@ const { width } = Dimensions.get('window');
 const numColumns = width > 768 ? 4 : 3; // More columns on larger screens
 const tileSize = (width - (numColumns + 1) * 12) / numColumns; // Account for padding
 
-// Define categories and conditions
-const CATEGORIES = ['All', 'Diecast', 'Sports Cards', 'Memorabilia', 'Custom', 'Other'];
-const CONDITIONS = ['Mint', 'Used', 'Damaged'];
+// Wait for a pause in typing before searching
+const SEARCH_DEBOUNCE = 300;
 
-const SearchScreen = ({ navigation }) => {
+const SearchScreen = ({ navigation, route }) => {
   const { user } = useAuth();
+  const { displayCurrency, rates } = useCurrency();
   const { theme, isDarkMode } = useTheme();
-  const [searchQuery, setSearchQuery] = useState('');
-  const [selectedCategory, setSelectedCategory] = useState('All');
-  const [selectedConditions, setSelectedConditions] = useState([]);
-  const [items, setItems] = useState([]);
-  const [filteredItems, setFilteredItems] = useState([]);
-  const [loading, setLoading] = useState(true);
-  const [refreshing, setRefreshing] = useState(false);
+  // All filters live in one encodable object, kept in the route params so
+  // navigating back (or opening a saved search) restores them
+  const [filters, setFilters] = useState(() => decodeFilters(route.params?.filters));
+  const [searchQuery, setSearchQuery] = useState(filters.query);
+  const [collections, setCollections] = useState([]);
+  const { tags, reload: reloadTags } = useTags(user?.id || null);
+  const { locations } = useLocations(user?.id || null);
+  const { loansByItem, reload: reloadLoans } = useActiveLoans(user?.id);
   const [showFilters, setShowFilters] = useState(false);
+  const [saveModalVisible, setSaveModalVisible] = useState(false);
+  const [savingSearch, setSavingSearch] = useState(false);
+  // Long-pressing a result starts selecting items for bulk actions
+  const selection = useSelection();
+  const encodedFilters = encodeFilters(filters);
+  // Set when opened from a smart collection to edit its rule
+  const savedSearch = route.params?.savedSearch || null;
   
   // Animation values
   const filterHeight = useRef(new Animated.Value(0)).current;
   const filterOpacity = useRef(new Animated.Value(0)).current;
   const searchInputFocus = useRef(new Animated.Value(0)).current;
 
-  // Fetch all items when component mounts
   useEffect(() => {
-    fetchItems();
-  }, []);
+    const timer = setTimeout(() => {
+      const query = searchQuery.trim();
+      setFilters(current => (current.query === query ? current : { ...current, query }));
+    }, SEARCH_DEBOUNCE);
+    return () => clearTimeout(timer);
+  }, [searchQuery]);
 
-  // Filter items when search query, category, or conditions change
   useEffect(() => {
-    filterItems();
-  }, [searchQuery, selectedCategory, selectedConditions, items]);
+    if (route.params?.filters !== encodedFilters) navigation.setParams({ filters: encodedFilters });
+  }, [encodedFilters]);
 
-  // Function to fetch items from Supabase
-  const fetchItems = async () => {
-    try {
-      setLoading(true);
-      console.log('Fetching items from Supabase...');
-      
-      // First fetch the items
-      const { data, error } = await supabase
-        .from('items')
-        .select('*')
-        .order('created_at', { ascending: false });
-      
-      if (error) {
-        throw error;
-      }
-      
-      console.log(`Fetched ${data.length} items successfully`);
-      
-      if (data.length > 0) {
-        // Get all item IDs
-        const itemIds = data.map(item => item.id);
-        
-        // Fetch photos for all items in a single request
-        const photosByItem = await fetchPhotosForItems(itemIds);
-        
-        // Add photos to each item
-        const itemsWithPhotos = data.map(item => ({
-          ...item,
-          photos: photosByItem[item.id] || []
-        }));
-        
-        setItems(itemsWithPhotos);
-      } else {
-        setItems(data || []);
-      }
-    } catch (error) {
-      console.error('Error fetching items:', error.message);
-      Toast.show({
-        type: 'error',
-        text1: 'Error',
-        text2: 'Failed to load items. Please try again.',
-      });
-    } finally {
-      setLoading(false);
-      setRefreshing(false);
-    }
-  };
+  // Loans change on ItemDetail, so pick them up on the way back
+  useEffect(() => navigation.addListener('focus', reloadLoans), [navigation, reloadLoans]);
 
-  // Function to filter items based on search query, category, and conditions
-  const filterItems = () => {
-    let filtered = [...items];
-    
-    // Filter by search query (case-insensitive)
-    if (searchQuery.trim()) {
-      filtered = filtered.filter(item => 
-        item.name.toLowerCase().includes(searchQuery.toLowerCase()) ||
-        (item.brand && item.brand.toLowerCase().includes(searchQuery.toLowerCase()))
-      );
-    }
-    
-    // Filter by category
-    if (selectedCategory !== 'All') {
-      filtered = filtered.filter(item => item.category === selectedCategory);
-    }
-    
-    // Filter by conditions
-    if (selectedConditions.length > 0) {
-      filtered = filtered.filter(item => selectedConditions.includes(item.condition));
+  // Opening Search again with other filters (e.g. a saved search) replaces the current ones
+  useEffect(() => {
+    const incoming = route.params?.filters;
+    if (incoming === undefined || incoming === encodedFilters) return;
+    const decoded = decodeFilters(incoming);
+    setFilters(decoded);
+    setSearchQuery(decoded.query);
+  }, [route.params?.filters]);
+
+  useEffect(() => {
+    if (!user) return;
+    listCollections(user.id)
+      .then(setCollections)
+      .catch(error => console.error('Error loading collections for filters:', error.message));
+  }, [user]);
+
+  const highlightTerms = searchTerms(filters.query);
+  const filterChips = describeFilters(filters, { collections, locations, currency: displayCurrency });
+
+  // Filtering happens in the query, so only matching items are fetched. Results
+  // load a page at a time; each search's pages are kept when navigating back.
+  const { items: filteredItems, total, loading, loadingMore, loadMore, refresh } = useFilteredItems(
+    'search',
+    user?.id || null,
+    filters,
+    {
+      currency: displayCurrency,
+      rates,
+      onError: (error) => {
+        console.error('Error fetching items:', error.message);
+        Toast.show({
+          type: 'error',
+          text1: 'Error',
+          text2: 'Failed to load items. Please try again.',
+        });
+      },
     }
-    
-    console.log(`Filtering: Query='${searchQuery}', Category='${selectedCategory}', Conditions=[${selectedConditions.join(', ')}], Results=${filtered.length}`);
-    setFilteredItems(filtered);
-  };
+  );
 
   // Toggle filter section visibility
   const toggleFilters = () => {
@@ -164,29 +162,64 @@ const SearchScreen = ({ navigation }) => {
     navigation.goBack();
   };
 
-  // Handler for category change
-  const handleCategoryChange = (itemValue) => {
-    setSelectedCategory(itemValue);
-    console.log(`Category changed: ${itemValue}`);
-  };
-
-  // Handler for condition toggle
-  const toggleCondition = (condition) => {
-    setSelectedConditions(prevSelected => {
-      if (prevSelected.includes(condition)) {
-        return prevSelected.filter(c => c !== condition);
+  // Saves the current query and filters as a smart collection, or updates the
+  // one being edited
+  const handleSaveSearch = async (name) => {
+    try {
+      setSavingSearch(true);
+      if (savedSearch) {
+        await updateSavedSearch(savedSearch.id, { name, filters: encodedFilters });
       } else {
-        return [...prevSelected, condition];
+        await createSavedSearch({ name, filters: encodedFilters });
       }
-    });
+      setSaveModalVisible(false);
+      Toast.show({
+        type: 'success',
+        text1: savedSearch ? 'Smart Collection Updated' : 'Smart Collection Saved',
+        text2: `${name} is in your Collections.`,
+      });
+      if (savedSearch) navigation.goBack();
+    } catch (error) {
+      handleError(
+        error,
+        'SearchScreen.handleSaveSearch',
+        error.category || ERROR_CATEGORIES.DATABASE,
+        'Unable to save this search. Please try again.'
+      );
+    } finally {
+      setSavingSearch(false);
+    }
+  };
+
+  // Clears everything, including the search text
+  const clearAll = () => {
+    setSearchQuery('');
+    setFilters(DEFAULT_FILTERS);
+  };
+
+  // Removing a chip clears just that filter; the query has no chip
+  const handleRemoveChip = (key) => {
+    setFilters(current => removeFilter(current, key));
   };
 
   // Handler for item tap
   const handleItemTap = (item) => {
+    if (selection.selecting) {
+      selection.toggle(item.id);
+      return;
+    }
     console.log(`Item tapped: ${item.name}, ID: ${item.id}`);
     navigation.navigate('ItemDetail', { itemId: item.id });
   };
 
+  // Edited items may no longer match, and tags may have been added
+  const handleBulkDone = () => {
+    selection.clear();
+    refresh();
+    reloadLoans();
+    reloadTags();
+  };
+
   // Handler for search input focus
   const handleSearchFocus = (focused) => {
     Animated.timing(searchInputFocus, {
@@ -208,11 +241,17 @@ const SearchScreen = ({ navigation }) => {
       item.condition === 'Mint' ? theme.colors.success :
       item.condition === 'Used' ? theme.colors.warning :
       theme.colors.error;
+    const selected = selection.isSelected(item.id);
 
     return (
       <TouchableOpacity 
-        style={[styles.resultItem, { backgroundColor: isDarkMode ? '#111111' : theme.colors.card }]}
+        style={[
+          styles.resultItem,
+          { backgroundColor: isDarkMode ? '#111111' : theme.colors.card },
+          selected && { borderWidth: 2, borderColor: theme.colors.primary },
+        ]}
         onPress={() => handleItemTap(item)}
+        onLongPress={() => selection.start(item.id)}
         activeOpacity={0.7}
       >
         <Image 
@@ -224,12 +263,27 @@ const SearchScreen = ({ navigation }) => {
           colors={['transparent', 'rgba(0,0,0,0.7)']}
           style={styles.imageGradient}
         />
+        <LoanBadge loan={loansByItem[item.id]} style={[styles.loanBadge, { backgroundColor: theme.colors.surface }]} />
+        {selection.selecting && <SelectionMark selected={selected} style={styles.selectionMark} />}
         <View style={styles.resultInfo}>
-          <Typography.Label style={[styles.resultName, { color: '#FFFFFF' }]} numberOfLines={1}>{item.name}</Typography.Label>
+          <HighlightedText
+            TextComponent={Typography.Label}
+            text={item.name}
+            terms={highlightTerms}
+            style={[styles.resultName, { color: '#FFFFFF' }]}
+            highlightStyle={styles.resultNameHighlight}
+            numberOfLines={1}
+          />
           <View style={styles.resultMeta}>
             <View style={styles.categoryContainer}>
               <Ionicons name="pricetag-outline" size={12} color="#FFFFFF" style={styles.metaIcon} />
-              <Typography.Caption style={[styles.resultCategory, { color: '#FFFFFF' }]}>{item.category}</Typography.Caption>
+              <HighlightedText
+                TextComponent={Typography.Caption}
+                text={item.category}
+                terms={highlightTerms}
+                style={[styles.resultCategory, { color: '#FFFFFF' }]}
+                highlightStyle={styles.resultNameHighlight}
+              />
             </View>
             <View style={[styles.conditionBadge, { backgroundColor: conditionColor }]}>
               <Typography.Caption style={[styles.conditionText, { color: '#FFFFFF' }]}>{item.condition}</Typography.Caption>
@@ -252,11 +306,7 @@ const SearchScreen = ({ navigation }) => {
         <Typography.BodySmall style={[styles.emptyStateSubText, { color: isDarkMode ? '#E0E0E0' : theme.colors.textSecondary }]}>Try adjusting your search or filters.</Typography.BodySmall>
         <Button.Primary 
           title="Clear Filters"
-          onPress={() => {
-            setSearchQuery('');
-            setSelectedCategory('All');
-            setSelectedConditions([]);
-          }}
+          onPress={clearAll}
           style={styles.clearFiltersButton}
         />
       </LinearGradient>
@@ -274,7 +324,7 @@ const SearchScreen = ({ navigation }) => {
   // Calculate filter section height based on animation value
   const filterMaxHeight = filterHeight.interpolate({
     inputRange: [0, 1],
-    outputRange: [0, 200], // Adjust based on your filter section height
+    outputRange: [0, 420], // The panel scrolls inside this
   });
 
   // Calculate search input width based on focus
@@ -296,14 +346,29 @@ const SearchScreen = ({ navigation }) => {
           <TouchableOpacity onPress={handleBackTap} style={[styles.backButton, { backgroundColor: isDarkMode ? '#000000' : theme.colors.surface }]}>
             <Ionicons name="arrow-back" size={24} color={isDarkMode ? '#FFFFFF' : theme.colors.text} />
           </TouchableOpacity>
-          <Typography.H3 style={[styles.headerTitle, { color: isDarkMode ? '#FFFFFF' : theme.colors.text }]}>Search</Typography.H3>
-          <TouchableOpacity style={[styles.filterToggleButton, { backgroundColor: isDarkMode ? '#000000' : theme.colors.surface }]} onPress={toggleFilters}>
-            <Ionicons 
-              name={showFilters ? "options" : "options-outline"} 
-              size={24} 
-              color={showFilters ? theme.colors.primary : (isDarkMode ? '#FFFFFF' : theme.colors.text)} 
-            />
-          </TouchableOpacity>
+          <Typography.H3 style={[styles.headerTitle, { color: isDarkMode ? '#FFFFFF' : theme.colors.text }]}>
+            {savedSearch ? savedSearch.name : 'Search'}
+          </Typography.H3>
+          <View style={styles.headerActions}>
+            <TouchableOpacity
+              style={[styles.filterToggleButton, { backgroundColor: isDarkMode ? '#000000' : theme.colors.surface }]}
+              onPress={() => setSaveModalVisible(true)}
+              accessibilityLabel={savedSearch ? 'Update smart collection' : 'Save as smart collection'}
+            >
+              <Ionicons
+                name={savedSearch ? 'bookmark' : 'bookmark-outline'}
+                size={24}
+                color={savedSearch ? theme.colors.primary : (isDarkMode ? '#FFFFFF' : theme.colors.text)}
+              />
+            </TouchableOpacity>
+            <TouchableOpacity style={[styles.filterToggleButton, styles.headerActionSpacing, { backgroundColor: isDarkMode ? '#000000' : theme.colors.surface }]} onPress={toggleFilters}>
+              <Ionicons 
+                name={showFilters ? "options" : "options-outline"} 
+                size={24} 
+                color={showFilters ? theme.colors.primary : (isDarkMode ? '#FFFFFF' : theme.colors.text)} 
+              />
+            </TouchableOpacity>
+          </View>
         </View>
 
         {/* Search Bar */}
@@ -342,98 +407,23 @@ const SearchScreen = ({ navigation }) => {
             backgroundColor: isDarkMode ? '#000000' : 'transparent',
           }]}
         >
-          {/* Category Selection */}
-          <View style={styles.filterSection}>
-            <Typography.Label style={[styles.filterLabel, { color: isDarkMode ? '#FFFFFF' : theme.colors.text }]}>Category</Typography.Label>
-            <ScrollView 
-              horizontal 
-              showsHorizontalScrollIndicator={false}
-              contentContainerStyle={styles.categoryChipsContainer}
-            >
-              {CATEGORIES.map((category) => (
-                <TouchableOpacity
-                  key={category}
-                  style={[
-                    styles.categoryChip, 
-                    selectedCategory === category && styles.categoryChipSelected,
-                    { backgroundColor: isDarkMode ? '#111111' : theme.colors.surface }
-                  ]}
-                  onPress={() => handleCategoryChange(category)}
-                >
-                  <Typography.Caption 
-                    style={[
-                      styles.categoryChipText, 
-                      selectedCategory === category && styles.categoryChipTextSelected,
-                      { color: selectedCategory === category ? theme.colors.primary : (isDarkMode ? '#E0E0E0' : theme.colors.textSecondary) }
-                    ]}
-                  >
-                    {category}
-                  </Typography.Caption>
-                </TouchableOpacity>
-              ))}
-            </ScrollView>
-          </View>
-          
-          {/* Condition Selection */}
-          <View style={styles.filterSection}>
-            <Typography.Label style={[styles.filterLabel, { color: isDarkMode ? '#FFFFFF' : theme.colors.text }]}>Condition</Typography.Label>
-            <View style={styles.conditionsContainer}>
-              {CONDITIONS.map((condition) => {
-                const isSelected = selectedConditions.includes(condition);
-                const conditionColor = 
-                  condition === 'Mint' ? theme.colors.success :
-                  condition === 'Used' ? theme.colors.warning :
-                  theme.colors.error;
-                  
-                return (
-                  <TouchableOpacity
-                    key={condition}
-                    style={[
-                      styles.conditionChip, 
-                      isSelected && { backgroundColor: conditionColor + '20' },
-                      { backgroundColor: isDarkMode ? (isSelected ? conditionColor + '20' : '#111111') : (isSelected ? conditionColor + '20' : theme.colors.surface) }
-                    ]}
-                    onPress={() => toggleCondition(condition)}
-                  >
-                    <View style={[styles.checkbox, isSelected && { backgroundColor: conditionColor, borderColor: conditionColor }]}>
-                      {isSelected && (
-                        <Ionicons name="checkmark" size={14} color={theme.colors.textLight} />
-                      )}
-                    </View>
-                    <Typography.Caption style={[styles.checkboxLabel, { color: isDarkMode ? '#FFFFFF' : theme.colors.text }]}>{condition}</Typography.Caption>
-                  </TouchableOpacity>
-                );
-              })}
-            </View>
-          </View>
-
-          {/* Active Filters Summary */}
-          {(selectedCategory !== 'All' || selectedConditions.length > 0) && (
-            <View style={[styles.activeFiltersContainer, { borderTopColor: isDarkMode ? '#222222' : theme.colors.divider }]}>
-              <Typography.Caption style={[styles.activeFiltersLabel, { color: isDarkMode ? '#E0E0E0' : theme.colors.textSecondary }]}>
-                Active Filters: 
-                {selectedCategory !== 'All' && ` ${selectedCategory}`}
-                {selectedConditions.length > 0 && ` • ${selectedConditions.join(', ')}`}
-              </Typography.Caption>
-              <TouchableOpacity 
-                onPress={() => {
-                  setSelectedCategory('All');
-                  setSelectedConditions([]);
-                }}
-                style={styles.clearFiltersLink}
-              >
-                <Typography.Caption style={styles.clearFiltersText}>Clear All</Typography.Caption>
-              </TouchableOpacity>
-            </View>
-          )}
+          <SearchFilterPanel filters={filters} onChange={setFilters} collections={collections} tags={tags} locations={locations} />
         </Animated.View>
+
+        {/* Active filters - tap one to remove it */}
+        <FilterChips
+          chips={filterChips}
+          onRemove={handleRemoveChip}
+          onClearAll={() => setFilters({ ...DEFAULT_FILTERS, query: filters.query })}
+          style={styles.activeFilters}
+        />
       </LinearGradient>
 
       {/* Results Count */}
       {!loading && (
         <View style={[styles.resultsCountContainer, { backgroundColor: isDarkMode ? '#000000' : theme.colors.background, borderBottomColor: isDarkMode ? '#222222' : theme.colors.divider }]}>
           <Typography.BodySmall style={[styles.resultsCount, { color: isDarkMode ? '#E0E0E0' : theme.colors.textSecondary }]}>
-            {filteredItems.length} {filteredItems.length === 1 ? 'item' : 'items'} found
+            {total ?? filteredItems.length} {(total ?? filteredItems.length) === 1 ? 'item' : 'items'} found
           </Typography.BodySmall>
         </View>
       )}
@@ -446,6 +436,7 @@ const SearchScreen = ({ navigation }) => {
           data={filteredItems}
           renderItem={renderResultItem}
           keyExtractor={(item) => item.id.toString()}
+          extraData={selection.selectedIds}
           numColumns={numColumns}
           contentContainerStyle={[filteredItems.length === 0 ? styles.emptyListContainer : styles.gridContainer, { backgroundColor: isDarkMode ? '#000000' : theme.colors.background }]}
           style={{ backgroundColor: isDarkMode ? '#000000' : theme.colors.background }}
@@ -454,8 +445,33 @@ const SearchScreen = ({ navigation }) => {
           initialNumToRender={12}
           maxToRenderPerBatch={20}
           windowSize={21}
+          onEndReached={loadMore}
+          onEndReachedThreshold={0.5}
+          ListFooterComponent={loadingMore ? (
+            <ActivityIndicator style={styles.footerLoader} color={theme.colors.primary} />
+          ) : null}
         />
       )}
+
+      {selection.selecting && (
+        <BulkActionBar
+          userId={user.id}
+          items={filteredItems.filter(item => selection.isSelected(item.id))}
+          onSelectAll={() => selection.selectAll(filteredItems.map(item => item.id))}
+          onClear={selection.clear}
+          onDone={handleBulkDone}
+        />
+      )}
+
+      <SaveSearchModal
+        visible={saveModalVisible}
+        title={savedSearch ? 'Update Smart Collection' : 'Save as Smart Collection'}
+        initialName={savedSearch ? savedSearch.name : filters.query}
+        summary={summarizeFilters(filters, { collections, locations, currency: displayCurrency })}
+        saving={savingSearch}
+        onSave={handleSaveSearch}
+        onCancel={() => setSaveModalVisible(false)}
+      />
     </SafeAreaView>
   );
 };
@@ -465,6 +481,9 @@ const styles = createThemedStyles((theme) => ({
     flex: 1,
     backgroundColor: theme.colors.background,
   },
+  footerLoader: {
+    marginVertical: 16,
+  },
   headerGradient: {
     width: '100%',
     ...Platform.select({
@@ -495,6 +514,13 @@ const styles = createThemedStyles((theme) => ({
   headerTitle: {
     fontWeight: theme.typography.fontWeight.semibold,
   },
+  headerActions: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  headerActionSpacing: {
+    marginLeft: theme.spacing.sm,
+  },
   filterToggleButton: {
     padding: theme.spacing.xs,
     borderRadius: theme.borderRadius.round,
@@ -540,85 +566,12 @@ const styles = createThemedStyles((theme) => ({
     ...theme.shadows.sm,
   },
   filtersContainer: {
-    paddingHorizontal: theme.spacing.lg,
-    paddingBottom: theme.spacing.md,
-  },
-  filterSection: {
-    marginBottom: theme.spacing.md,
-  },
-  filterLabel: {
-    marginBottom: theme.spacing.sm,
-    color: theme.colors.text,
-  },
-  categoryChipsContainer: {
-    paddingVertical: theme.spacing.xs,
-  },
-  categoryChip: {
-    paddingHorizontal: theme.spacing.md,
-    paddingVertical: theme.spacing.xs,
-    borderRadius: theme.borderRadius.lg,
-    backgroundColor: theme.colors.surface,
-    marginRight: theme.spacing.sm,
-    borderWidth: 1,
-    borderColor: theme.colors.divider,
-  },
-  categoryChipSelected: {
-    backgroundColor: theme.colors.primary + '20',
-    borderColor: theme.colors.primary,
-  },
-  categoryChipText: {
-    color: theme.colors.textSecondary,
-  },
-  categoryChipTextSelected: {
-    color: theme.colors.primary,
-    fontWeight: theme.typography.fontWeight.medium,
-  },
-  conditionsContainer: {
-    flexDirection: 'row',
-    flexWrap: 'wrap',
+    paddingBottom: theme.spacing.sm,
   },
-  conditionChip: {
-    flexDirection: 'row',
-    alignItems: 'center',
-    paddingHorizontal: theme.spacing.md,
-    paddingVertical: theme.spacing.xs,
-    borderRadius: theme.borderRadius.lg,
-    marginRight: theme.spacing.md,
+  activeFilters: {
+    flexGrow: 0,
     marginBottom: theme.spacing.sm,
   },
-  checkbox: {
-    width: 18,
-    height: 18,
-    borderRadius: theme.borderRadius.sm,
-    borderWidth: 1,
-    borderColor: theme.colors.divider,
-    justifyContent: 'center',
-    alignItems: 'center',
-    marginRight: theme.spacing.xs,
-    backgroundColor: theme.colors.surface,
-  },
-  checkboxLabel: {
-    color: theme.colors.text,
-  },
-  activeFiltersContainer: {
-    flexDirection: 'row',
-    justifyContent: 'space-between',
-    alignItems: 'center',
-    paddingVertical: theme.spacing.sm,
-    borderTopWidth: 1,
-    borderTopColor: theme.colors.divider,
-  },
-  activeFiltersLabel: {
-    color: theme.colors.textSecondary,
-    flex: 1,
-  },
-  clearFiltersLink: {
-    padding: theme.spacing.xs,
-  },
-  clearFiltersText: {
-    color: theme.colors.primary,
-    fontWeight: theme.typography.fontWeight.medium,
-  },
   resultsCountContainer: {
     paddingHorizontal: theme.spacing.lg,
     paddingVertical: theme.spacing.sm,
@@ -659,6 +612,17 @@ const styles = createThemedStyles((theme) => ({
     right: 0,
     height: '50%',
   },
+  loanBadge: {
+    position: 'absolute',
+    top: 6,
+    left: 6,
+  },
+  // The loan badge has the top left corner
+  selectionMark: {
+    top: 6,
+    left: 'auto',
+    right: 6,
+  },
   resultInfo: {
     position: 'absolute',
     bottom: 0,
@@ -674,6 +638,11 @@ const styles = createThemedStyles((theme) => ({
     textShadowOffset: { width: 0, height: 1 },
     textShadowRadius: 2,
   },
+  resultNameHighlight: {
+    color: '#FFFFFF',
+    fontWeight: theme.typography.fontWeight.bold,
+    textDecorationLine: 'underline',
+  },
   resultMeta: {
     flexDirection: 'row',
     justifyContent: 'space-between',
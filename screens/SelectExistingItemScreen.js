@@ -13,7 +13,7 @@ import {
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import Toast from 'react-native-toast-message';
-import { supabase } from '../lib/supabase';
+import { listItems, updateItems } from '../data';
 import { useTheme } from '../context/ThemeContext';
 import { useAuth } from '../context/AuthContext';
 import { Typography, Button, Card, Layout, createThemedStyles } from '../theme/styled';
@@ -37,32 +37,8 @@ function SelectExistingItemScreen({ route, navigation }) {
       setLoading(true);
       console.log(`Fetching items not in collection ID: ${collectionId}`);
       
-      // First get all items in the collection to exclude them
-      const { data: collectionItems, error: collectionError } = await supabase
-        .from('items')
-        .select('id')
-        .eq('collection_id', collectionId);
-      
-      if (collectionError) throw collectionError;
-      
-      // Get the IDs of items already in the collection
-      const existingItemIds = collectionItems.map(item => item.id);
-      console.log(`Found ${existingItemIds.length} items already in collection`);
-      
-      // Now fetch all user's items that are not in this collection
-      let query = supabase
-        .from('items')
-        .select('*')
-        .eq('user_id', user.id);
-      
-      // Only add the not-in filter if there are existing items
-      if (existingItemIds.length > 0) {
-        query = query.not('id', 'in', `(${existingItemIds.join(',')})`);
-      }
-      
-      const { data, error } = await query;
-      
-      if (error) throw error;
+      // All of the user's items that are not in this collection
+      const data = await listItems({ userId: user.id, excludeCollectionId: collectionId });
       
       console.log(`Fetched ${data.length} available items`);
       setItems(data);
@@ -103,12 +79,7 @@ function SelectExistingItemScreen({ route, navigation }) {
       console.log(`Adding ${selectedItems.length} items to collection ${collectionId}`);
       
       // Update all selected items to be part of this collection
-      const { error } = await supabase
-        .from('items')
-        .update({ collection_id: collectionId })
-        .in('id', selectedItems);
-      
-      if (error) throw error;
+      await updateItems(selectedItems, { collection_id: collectionId });
       
       Toast.show({
         type: 'success',
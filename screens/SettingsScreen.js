@@ -19,17 +19,21 @@ import { Ionicons } from '@expo/vector-icons';
 import Toast from 'react-native-toast-message';
 import { useAuth } from '../context/AuthContext';
 import { useTheme } from '../context/ThemeContext';
+import { useCurrency } from '../context/CurrencyContext';
 import { supabase } from '../lib/supabase';
+import { listItems, saveItems, exportItemsCsv, EXPORT_COLUMNS } from '../data';
 import * as DocumentPicker from 'expo-document-picker';
 import * as FileSystem from 'expo-file-system';
 import Papa from 'papaparse';
 import { logExportData } from '../lib/analytics';
 import TwoFactorSetup from '../components/TwoFactorSetup';
 import { getMFAFactors, unenrollMFA } from '../utils/mfaUtils';
+import { normalizeCurrency } from '../utils/money';
 
 const SettingsScreen = ({ navigation, route }) => {
   // Get theme context
   const { theme, isDarkMode, toggleTheme } = useTheme();
+  const { displayCurrency } = useCurrency();
   
   const [loggingOut, setLoggingOut] = useState(false);
   const [exportingData, setExportingData] = useState(false);
@@ -155,12 +159,10 @@ const SettingsScreen = ({ navigation, route }) => {
       console.log('Exporting data to CSV...');
 
       // Fetch all user items from Supabase
-      const { data: items, error } = await supabase
-        .from('items')
-        .select('id, name, brand, category, collection_id, is_shared, notes, condition, value, created_at')
-        .eq('user_id', user.id);
-
-      if (error) throw error;
+      const items = await listItems({
+        userId: user.id,
+        columns: EXPORT_COLUMNS.join(', '),
+      });
 
       if (!items || items.length === 0) {
         Toast.show({
@@ -174,50 +176,8 @@ const SettingsScreen = ({ navigation, route }) => {
 
       console.log(`Found ${items.length} items to export`);
 
-      // Convert items to CSV using PapaParse
-      const csv = Papa.unparse(items, {
-        header: true,
-        newline: '\n',
-      });
-
-      // Generate a timestamp for the filename
-      const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-      const fileName = `items-${timestamp}.csv`;
-      const filePath = `${FileSystem.documentDirectory}${fileName}`;
-
-      // Write the CSV to a temporary file
-      await FileSystem.writeAsStringAsync(filePath, csv);
-
-      // Upload the file to Supabase Storage
-      // Important: The first folder must be the user's ID to comply with RLS policies
-      const uploadPath = `${user.id}/exports/${fileName}`;
-      const fileContents = await FileSystem.readAsStringAsync(filePath);
-      
-      console.log(`Uploading file to ${uploadPath}`);
-      
-      const { data: uploadData, error: uploadError } = await supabase
-        .storage
-        .from('user-data')
-        .upload(uploadPath, fileContents, {
-          contentType: 'text/csv',
-          cacheControl: '3600',
-        });
-
-      if (uploadError) throw uploadError;
-
-      // Get a signed URL for the file (secure, requires authentication)
-      console.log('Getting signed URL for path:', uploadPath);
-      const { data: signedUrlData, error: signedUrlError } = await supabase
-        .storage
-        .from('user-data')
-        .createSignedUrl(uploadPath, 60 * 60 * 24); // Valid for 24 hours for export data
-      
-      if (signedUrlError) {
-        console.error('Failed to get signed URL for export data:', signedUrlError);
-        throw new Error('Failed to create secure download link');
-      }
-
-      const secureUrl = signedUrlData?.signedUrl;
+      // Upload the CSV to the user's folder and get a signed link to it
+      const { url: secureUrl } = await exportItemsCsv(user.id, items);
 
       // Share the file URL
       try {
@@ -245,9 +205,6 @@ const SettingsScreen = ({ navigation, route }) => {
         });
       }
 
-      // Clean up the temporary file
-      await FileSystem.deleteAsync(filePath);
-
     } catch (error) {
       console.error('Export error:', error);
       Toast.show({
@@ -330,6 +287,14 @@ const SettingsScreen = ({ navigation, route }) => {
                 parsedItem.is_shared = parsedItem.is_shared.toLowerCase() === 'true';
               }
 
+              // Files exported before items had a currency are in dollars
+              parsedItem.currency = normalizeCurrency(parsedItem.currency);
+
+              // Imported values are marked as such in the value history
+              if (parsedItem.value !== undefined && parsedItem.value !== '') {
+                parsedItem.value_source = 'import';
+              }
+
               // Remove id field to let Supabase generate new IDs
               delete parsedItem.id;
 
@@ -337,12 +302,7 @@ const SettingsScreen = ({ navigation, route }) => {
             });
 
             // Insert the items into Supabase
-            const { data: insertedData, error: insertError } = await supabase
-              .from('items')
-              .insert(itemsToInsert)
-              .select();
-
-            if (insertError) throw insertError;
+            const insertedData = await saveItems(itemsToInsert);
 
             Toast.show({
               type: 'success',
@@ -596,6 +556,22 @@ const SettingsScreen = ({ navigation, route }) => {
               accessibilityState={{ checked: isDarkMode }}
             />
           </View>
+
+          <TouchableOpacity 
+            style={styles.settingRow} 
+            onPress={() => navigation.navigate('CurrencySettings')}
+          >
+            <View style={styles.settingInfo}>
+              <Ionicons name="cash-outline" size={22} color={theme.colors.primary} />
+              <View style={styles.settingTextContainer}>
+                <Text style={[styles.settingText, { color: theme.colors.text }]}>Currency</Text>
+                <Text style={[styles.settingDescription, { color: theme.colors.textSecondary }]}>
+                  Showing totals in {displayCurrency} · Edit exchange rates
+                </Text>
+              </View>
+            </View>
+            <Ionicons name="chevron-forward" size={20} color={theme.colors.textSecondary} />
+          </TouchableOpacity>
         </View>
 
         {/* Notifications Section */}
@@ -644,6 +620,54 @@ const SettingsScreen = ({ navigation, route }) => {
         <View style={[styles.section, { backgroundColor: theme.colors.card }]}>
           <Text style={[styles.sectionTitle, { color: theme.colors.text }]}>Data Management</Text>
           
+          <TouchableOpacity 
+            style={styles.settingRow} 
+            onPress={() => navigation.navigate('CustomFields')}
+          >
+            <View style={styles.settingInfo}>
+              <Ionicons name="list-outline" size={22} color={theme.colors.primary} />
+              <View style={styles.settingTextContainer}>
+                <Text style={[styles.settingText, { color: theme.colors.text }]}>Custom Fields</Text>
+                <Text style={[styles.settingDescription, { color: theme.colors.textSecondary }]}>
+                  Add your own fields to the item forms
+                </Text>
+              </View>
+            </View>
+            <Ionicons name="chevron-forward" size={20} color={theme.colors.textSecondary} />
+          </TouchableOpacity>
+          
+          <TouchableOpacity 
+            style={styles.settingRow} 
+            onPress={() => navigation.navigate('Tags')}
+          >
+            <View style={styles.settingInfo}>
+              <Ionicons name="pricetags-outline" size={22} color={theme.colors.primary} />
+              <View style={styles.settingTextContainer}>
+                <Text style={[styles.settingText, { color: theme.colors.text }]}>Tags</Text>
+                <Text style={[styles.settingDescription, { color: theme.colors.textSecondary }]}>
+                  Rename, merge or delete the tags on your items
+                </Text>
+              </View>
+            </View>
+            <Ionicons name="chevron-forward" size={20} color={theme.colors.textSecondary} />
+          </TouchableOpacity>
+
+          <TouchableOpacity 
+            style={styles.settingRow} 
+            onPress={() => navigation.navigate('Trash')}
+          >
+            <View style={styles.settingInfo}>
+              <Ionicons name="trash-outline" size={22} color={theme.colors.primary} />
+              <View style={styles.settingTextContainer}>
+                <Text style={[styles.settingText, { color: theme.colors.text }]}>Trash</Text>
+                <Text style={[styles.settingDescription, { color: theme.colors.textSecondary }]}>
+                  Restore deleted items and collections
+                </Text>
+              </View>
+            </View>
+            <Ionicons name="chevron-forward" size={20} color={theme.colors.textSecondary} />
+          </TouchableOpacity>
+
           <TouchableOpacity 
             style={styles.settingRow} 
             onPress={handleExportData}
@@ -0,0 +1,385 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Text,
+  View,
+  FlatList,
+  TouchableOpacity,
+  Image,
+  ActivityIndicator,
+  Alert,
+  Dimensions,
+  StatusBar,
+  SafeAreaView,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import Toast from 'react-native-toast-message';
+import { getSavedSearch, deleteSavedSearch, listCollections } from '../data';
+import { useFilteredItems } from '../hooks/useFilteredItems';
+import { useLocations } from '../hooks/useLocations';
+import { useActiveLoans } from '../hooks/useActiveLoans';
+import { useSelection } from '../hooks/useSelection';
+import LoanBadge from '../components/LoanBadge';
+import SelectionMark from '../components/SelectionMark';
+import BulkActionBar from '../components/BulkActionBar';
+import { decodeFilters, summarizeFilters } from '../utils/searchFilters';
+import { handleError, ERROR_CATEGORIES } from '../utils/errorHandler';
+import { useTheme } from '../context/ThemeContext';
+import { useAuth } from '../context/AuthContext';
+import { useCurrency } from '../context/CurrencyContext';
+import { createThemedStyles } from '../theme/styled';
+
+const { width } = Dimensions.get('window');
+const numColumns = 2;
+const itemWidth = (width - 40) / numColumns;
+
+// A saved search shown like a collection. Its items are whatever matches the
+// rule right now, so there's nothing to add or remove here - edit the rule instead.
+const SmartCollectionScreen = ({ route, navigation }) => {
+  const { savedSearchId, name: initialName, icon: initialIcon } = route.params;
+  const { theme, isDarkMode } = useTheme();
+  const { user } = useAuth();
+  const { displayCurrency, rates } = useCurrency();
+  const { locations } = useLocations(user?.id || null);
+  const { loansByItem, reload: reloadLoans } = useActiveLoans(user?.id);
+  const [savedSearch, setSavedSearch] = useState(null);
+  const [collections, setCollections] = useState([]);
+  // Long-pressing an item starts selecting items for bulk actions
+  const selection = useSelection();
+
+  // Re-read the rule whenever the screen is shown, so edits made in Search apply
+  useEffect(() => {
+    const loadSavedSearch = async () => {
+      try {
+        const found = await getSavedSearch(savedSearchId);
+        if (!found) {
+          Toast.show({
+            type: 'error',
+            text1: 'Not Found',
+            text2: 'This smart collection no longer exists.',
+          });
+          navigation.goBack();
+          return;
+        }
+        setSavedSearch(found);
+      } catch (error) {
+        handleError(
+          error,
+          'SmartCollectionScreen.loadSavedSearch',
+          error.category || ERROR_CATEGORIES.DATABASE,
+          'Unable to load this smart collection.'
+        );
+      }
+    };
+
+    const unsubscribe = navigation.addListener('focus', loadSavedSearch);
+    return unsubscribe;
+  }, [navigation, savedSearchId]);
+
+  // Loans change on ItemDetail, so pick them up on the way back
+  useEffect(() => navigation.addListener('focus', reloadLoans), [navigation, reloadLoans]);
+
+  useEffect(() => {
+    if (!user) return;
+    listCollections(user.id)
+      .then(setCollections)
+      .catch(error => console.error('Error loading collections:', error.message));
+  }, [user]);
+
+  const filters = savedSearch ? decodeFilters(savedSearch.filters) : null;
+  const { items, total, loading, loadingMore, refreshing, loadMore, refresh } = useFilteredItems(
+    `smart:${savedSearchId}`,
+    savedSearch && user ? user.id : null,
+    filters || decodeFilters(''),
+    {
+      currency: displayCurrency,
+      rates,
+      onError: (error) => {
+        console.error('Error fetching smart collection items:', error.message);
+        Toast.show({
+          type: 'error',
+          text1: 'Error',
+          text2: 'Failed to load items. Please try again.',
+        });
+      },
+    }
+  );
+
+  const name = savedSearch?.name || initialName;
+  const icon = savedSearch?.icon || initialIcon || '🔎';
+
+  // Opens the rule in Search, where it can be changed and saved back
+  const handleEditRule = () => {
+    if (!savedSearch) return;
+    navigation.navigate('Search', {
+      filters: savedSearch.filters,
+      savedSearch: { id: savedSearch.id, name: savedSearch.name },
+    });
+  };
+
+  const handleDelete = () => {
+    Alert.alert(
+      'Delete Smart Collection',
+      `Delete '${name}'? Your items are not affected.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await deleteSavedSearch(savedSearchId);
+              Toast.show({
+                type: 'success',
+                text1: 'Deleted',
+                text2: `'${name}' has been deleted.`,
+              });
+              navigation.goBack();
+            } catch (error) {
+              handleError(
+                error,
+                'SmartCollectionScreen.handleDelete',
+                error.category || ERROR_CATEGORIES.DATABASE,
+                'Failed to delete smart collection. Please try again.'
+              );
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  // Items edited in bulk may stop matching the rule, so reload the matches
+  const handleBulkDone = () => {
+    selection.clear();
+    refresh();
+    reloadLoans();
+  };
+
+  const renderItem = ({ item }) => {
+    const photoUrl = item.photos && item.photos.length > 0
+      ? item.photos[0]
+      : 'https://via.placeholder.com/150/CCCCCC/888888?text=No+Image';
+    const selected = selection.isSelected(item.id);
+
+    return (
+      <TouchableOpacity
+        style={[
+          styles.itemCard,
+          { backgroundColor: theme.colors.surface },
+          selected && { borderWidth: 2, borderColor: theme.colors.primary },
+        ]}
+        onPress={() => (selection.selecting
+          ? selection.toggle(item.id)
+          : navigation.navigate('ItemDetail', { itemId: item.id }))}
+        onLongPress={() => selection.start(item.id)}
+        activeOpacity={0.8}
+      >
+        <Image source={{ uri: photoUrl }} style={styles.itemImage} resizeMode="cover" />
+        {selection.selecting && <SelectionMark selected={selected} />}
+        <View style={styles.itemDetails}>
+          <Text style={[styles.itemName, { color: theme.colors.text }]} numberOfLines={1}>
+            {item.name}
+          </Text>
+          <LoanBadge loan={loansByItem[item.id]} style={styles.loanBadge} />
+          <Text style={[styles.itemCategory, { color: theme.colors.textSecondary }]} numberOfLines={1}>
+            {item.category || 'Uncategorized'}
+          </Text>
+          {item.brand && (
+            <Text style={[styles.itemBrand, { color: theme.colors.textSecondary }]} numberOfLines={1}>
+              Brand: {item.brand}
+            </Text>
+          )}
+        </View>
+      </TouchableOpacity>
+    );
+  };
+
+  const renderEmptyState = () => (
+    <View style={styles.emptyContainer}>
+      <Ionicons name="funnel-outline" size={60} color={theme.colors.divider} />
+      <Text style={[styles.emptyText, { color: theme.colors.textSecondary }]}>
+        {loading || !savedSearch ? 'Loading items...' : 'No items match this smart collection yet.'}
+      </Text>
+      {!loading && savedSearch && (
+        <Text style={[styles.emptySubtext, { color: theme.colors.textSecondary }]}>
+          Items show up here as soon as they match. Tap the filter button to change the rule.
+        </Text>
+      )}
+    </View>
+  );
+
+  return (
+    <SafeAreaView style={[styles.safeArea, { backgroundColor: theme.colors.background }]}>
+      <StatusBar barStyle={isDarkMode ? 'light-content' : 'dark-content'} backgroundColor={theme.colors.background} />
+
+      {/* Header */}
+      <View style={[styles.header, { backgroundColor: theme.colors.surface, borderBottomColor: theme.colors.divider }]}>
+        <TouchableOpacity style={styles.headerButton} onPress={() => navigation.goBack()}>
+          <Ionicons name="arrow-back" size={24} color={theme.colors.text} />
+        </TouchableOpacity>
+
+        <View style={styles.headerTitle}>
+          <Text style={styles.collectionIcon}>{icon}</Text>
+          <Text style={[styles.collectionName, { color: theme.colors.text }]} numberOfLines={1}>
+            {name}
+          </Text>
+        </View>
+
+        <TouchableOpacity style={styles.headerButton} onPress={handleEditRule} accessibilityLabel="Edit rule">
+          <Ionicons name="options-outline" size={22} color={theme.colors.primary} />
+        </TouchableOpacity>
+        <TouchableOpacity style={styles.headerButton} onPress={handleDelete} accessibilityLabel="Delete smart collection">
+          <Ionicons name="trash-outline" size={22} color={theme.colors.error} />
+        </TouchableOpacity>
+      </View>
+
+      {/* The rule and how many items match it */}
+      {filters && (
+        <View style={[styles.ruleBar, { borderBottomColor: theme.colors.divider }]}>
+          <Ionicons name="flash-outline" size={14} color={theme.colors.textSecondary} />
+          <Text style={[styles.ruleText, { color: theme.colors.textSecondary }]} numberOfLines={2}>
+            {summarizeFilters(filters, { collections, locations, currency: displayCurrency })}
+            {total !== null ? ` · ${total} ${total === 1 ? 'item' : 'items'}` : ''}
+          </Text>
+        </View>
+      )}
+
+      <FlatList
+        data={items}
+        renderItem={renderItem}
+        keyExtractor={(item) => item.id.toString()}
+        extraData={selection.selectedIds}
+        numColumns={numColumns}
+        contentContainerStyle={[styles.gridContainer, { backgroundColor: theme.colors.background }]}
+        columnWrapperStyle={styles.columnWrapper}
+        ListEmptyComponent={renderEmptyState}
+        refreshing={refreshing}
+        onRefresh={refresh}
+        onEndReached={loadMore}
+        onEndReachedThreshold={0.5}
+        showsVerticalScrollIndicator={false}
+        ListFooterComponent={loadingMore ? (
+          <ActivityIndicator style={styles.footerLoader} color={theme.colors.primary} />
+        ) : null}
+      />
+
+      {selection.selecting && (
+        <BulkActionBar
+          userId={user.id}
+          items={items.filter(item => selection.isSelected(item.id))}
+          onSelectAll={() => selection.selectAll(items.map(item => item.id))}
+          onClear={selection.clear}
+          onDone={handleBulkDone}
+        />
+      )}
+    </SafeAreaView>
+  );
+};
+
+const styles = createThemedStyles((theme) => ({
+  safeArea: {
+    flex: 1,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+  },
+  headerButton: {
+    padding: 4,
+    marginLeft: 4,
+  },
+  headerTitle: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginLeft: 8,
+  },
+  collectionIcon: {
+    fontSize: 22,
+    marginRight: 8,
+  },
+  collectionName: {
+    fontSize: 18,
+    fontWeight: '600',
+  },
+  ruleBar: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+  },
+  ruleText: {
+    flex: 1,
+    fontSize: 12,
+    marginLeft: 6,
+  },
+  gridContainer: {
+    padding: 10,
+    flexGrow: 1,
+  },
+  columnWrapper: {
+    justifyContent: 'space-between',
+  },
+  footerLoader: {
+    marginVertical: 16,
+  },
+  itemCard: {
+    borderRadius: 12,
+    marginBottom: 16,
+    width: itemWidth,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 3,
+    elevation: 3,
+  },
+  itemImage: {
+    width: '100%',
+    height: itemWidth,
+    borderTopLeftRadius: 12,
+    borderTopRightRadius: 12,
+    backgroundColor: '#f0f0f0',
+  },
+  itemDetails: {
+    padding: 12,
+  },
+  itemName: {
+    fontSize: 14,
+    fontWeight: '600',
+    marginBottom: 4,
+  },
+  loanBadge: {
+    marginBottom: 4,
+  },
+  itemCategory: {
+    fontSize: 12,
+    marginBottom: 4,
+  },
+  itemBrand: {
+    fontSize: 12,
+  },
+  emptyContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 20,
+    marginTop: 50,
+  },
+  emptyText: {
+    fontSize: 16,
+    textAlign: 'center',
+    marginTop: 16,
+  },
+  emptySubtext: {
+    fontSize: 14,
+    textAlign: 'center',
+    marginTop: 8,
+  },
+}));
+
+export default SmartCollectionScreen;
@@ -14,11 +14,18 @@ import {
 import { Ionicons } from '@expo/vector-icons';
 import { useTheme } from '../context/ThemeContext';
 import { useAuth } from '../context/AuthContext';
-import { supabase } from '../lib/supabase';
+import { useCurrency } from '../context/CurrencyContext';
+import { listItems, listValueHistoryForUser, ACQUISITION_EMBED, COPIES_EMBED } from '../data';
 import { createThemedStyles } from '../theme/styled';
 import { Typography } from '../theme/styled';
 import Toast from 'react-native-toast-message';
 import { checkDependencies } from '../utils/dependencyChecker';
+import { totalValueTimeline, toValueChartData } from '../utils/valueTimeline';
+import { format, parseISO, startOfMonth, subMonths } from 'date-fns';
+import { holdingMoney, convertAmount, currencySymbol, acquisitionCost, unrealizedGain, gainBreakdown } from '../utils/money';
+import ValueBreakdownList from '../components/ValueBreakdownList';
+import GainLossList from '../components/GainLossList';
+import { itemQuantity, expandCopies } from '../utils/copies';
 
 // For charts
 import { PieChart, BarChart, LineChart } from 'react-native-chart-kit';
@@ -32,21 +39,36 @@ console.log('StatisticsScreen: Loading dependencies');
 const { width } = Dimensions.get('window');
 const chartWidth = width - 40;
 
+// Months shown in the spending chart, ending with the current one
+const SPENDING_MONTHS = 6;
+// Items listed in the per-item gain/loss card
+const MAX_ITEM_GAINS = 10;
+
 const StatisticsScreen = ({ navigation }) => {
   const { theme, isDarkMode } = useTheme();
   const { user } = useAuth();
+  const { displayCurrency, rates, totalOf, breakdownOf, formatDisplay } = useCurrency();
   const [loading, setLoading] = useState(true);
   const [stats, setStats] = useState({
     totalItems: 0,
     totalValue: 0,
+    missingRates: [],
+    collectionValues: [],
+    categoryValues: [],
     categoryBreakdown: [],
     conditionBreakdown: [],
     acquisitionTimeline: [],
+    valueTimeline: [],
+    gainSummary: null,
+    itemGains: [],
+    collectionGains: [],
+    spendingTimeline: null,
   });
 
+  // Totals are in the display currency, so recalculate when it or the rates change
   useEffect(() => {
     fetchStatistics();
-  }, []);
+  }, [displayCurrency, rates]);
 
   const fetchStatistics = async () => {
     try {
@@ -57,18 +79,16 @@ const StatisticsScreen = ({ navigation }) => {
         throw new Error('User not authenticated');
       }
 
-      // Fetch all items for the current user
-      const { data: items, error } = await supabase
-        .from('items')
-        .select('*')
-        .eq('user_id', user.id);
-      
-      if (error) throw error;
+      // Fetch all items and their value changes for the current user
+      const [items, valueHistory] = await Promise.all([
+        listItems({ userId: user.id, columns: `*, collections(name, icon), ${ACQUISITION_EMBED}, ${COPIES_EMBED}` }),
+        listValueHistoryForUser(user.id),
+      ]);
       
       console.log(`Fetched ${items.length} items for statistics`);
       
       // Process the data for statistics
-      processStatistics(items);
+      processStatistics(items, valueHistory);
       
     } catch (error) {
       console.error('Error fetching statistics:', error.message);
@@ -82,15 +102,18 @@ const StatisticsScreen = ({ navigation }) => {
     }
   };
 
-  const processStatistics = (items) => {
-    // Calculate total items
-    const totalItems = items.length;
+  const processStatistics = (items, valueHistory) => {
+    // Calculate total items, counting every copy
+    const totalItems = items.reduce((total, item) => total + itemQuantity(item), 0);
+    
+    // Total value in the display currency; items in a currency without a rate are left out
+    const { amount: totalValue, missingRates } = totalOf(items.map(holdingMoney));
     
-    // Calculate total estimated value
-    const totalValue = items.reduce((sum, item) => {
-      const value = parseFloat(item.estimated_value) || 0;
-      return sum + value;
-    }, 0);
+    // Value per collection and per category
+    const collectionValues = breakdownOf(items, item => (
+      item.collections ? `${item.collections.icon || ''} ${item.collections.name}`.trim() : 'No Collection'
+    ));
+    const categoryValues = breakdownOf(items, item => item.category || 'Uncategorized');
     
     // Category breakdown
     const categoryMap = {};
@@ -99,7 +122,7 @@ const StatisticsScreen = ({ navigation }) => {
       if (!categoryMap[category]) {
         categoryMap[category] = 0;
       }
-      categoryMap[category]++;
+      categoryMap[category] += itemQuantity(item);
     });
     
     const categoryBreakdown = Object.keys(categoryMap).map(category => ({
@@ -110,10 +133,10 @@ const StatisticsScreen = ({ navigation }) => {
       legendFontSize: 12,
     }));
     
-    // Condition breakdown
+    // Condition breakdown - copies on record can differ from the item's condition
     const conditionMap = {};
-    items.forEach(item => {
-      const condition = item.condition || 'Unknown';
+    items.flatMap(expandCopies).forEach(copy => {
+      const condition = copy.condition || 'Unknown';
       if (!conditionMap[condition]) {
         conditionMap[condition] = 0;
       }
@@ -161,12 +184,65 @@ const StatisticsScreen = ({ navigation }) => {
       }],
     };
     
+    // Total collection value after each day's value changes, in the display currency
+    const valueTimeline = totalValueTimeline(valueHistory.map(entry => ({
+      ...entry,
+      value: entry.value === null
+        ? null
+        : convertAmount(parseFloat(entry.value), entry.currency, displayCurrency, rates),
+    })));
+    
+    // Unrealized gain/loss on items with both a cost and a value, in the display currency
+    const itemGains = items
+      .map(item => ({ item, gain: unrealizedGain(item, displayCurrency, rates) }))
+      .filter(({ gain }) => gain)
+      .map(({ item, gain }) => ({ key: item.id, name: item.name, ...gain }))
+      .sort((a, b) => b.gain - a.gain);
+    const gainSummary = itemGains.length === 0 ? null : itemGains.reduce((summary, row) => ({
+      ...summary,
+      cost: summary.cost + row.cost,
+      value: summary.value + row.value,
+      gain: summary.gain + row.gain,
+    }), { count: itemGains.length, cost: 0, value: 0, gain: 0 });
+    const collectionGains = gainBreakdown(items, item => (
+      item.collections ? `${item.collections.icon || ''} ${item.collections.name}`.trim() : 'No Collection'
+    ), displayCurrency, rates);
+    
+    // Spending per month by purchase date (or the date added, when none was entered)
+    const spendingMonths = Array.from({ length: SPENDING_MONTHS }, (_, index) => (
+      startOfMonth(subMonths(new Date(), SPENDING_MONTHS - 1 - index))
+    ));
+    const spendingMap = {};
+    items.forEach(item => {
+      const cost = acquisitionCost(item.acquisition);
+      const date = item.acquisition?.purchase_date || item.created_at;
+      if (!cost || !date) return;
+      const amount = convertAmount(cost.amount, cost.currency, displayCurrency, rates);
+      if (amount === null) return;
+      const month = format(parseISO(date), 'yyyy-MM');
+      spendingMap[month] = (spendingMap[month] || 0) + amount;
+    });
+    const spendingTimeline = Object.keys(spendingMap).length === 0 ? null : {
+      labels: spendingMonths.map(month => format(month, 'MMM')),
+      datasets: [{
+        data: spendingMonths.map(month => Math.round(spendingMap[format(month, 'yyyy-MM')] || 0)),
+      }],
+    };
+    
     setStats({
       totalItems,
       totalValue,
+      missingRates,
+      collectionValues,
+      categoryValues,
       categoryBreakdown,
       conditionBreakdown,
       acquisitionTimeline,
+      valueTimeline,
+      gainSummary,
+      itemGains,
+      collectionGains,
+      spendingTimeline,
     });
   };
 
@@ -261,11 +337,60 @@ const StatisticsScreen = ({ navigation }) => {
           
           <View style={[styles.summaryCard, { backgroundColor: isDarkMode ? '#111111' : theme.colors.card }]}>
             <Ionicons name="cash-outline" size={24} color={theme.colors.success} />
-            <Text style={[styles.summaryValue, { color: isDarkMode ? '#FFFFFF' : theme.colors.text }]}>${stats.totalValue.toFixed(2)}</Text>
+            <Text style={[styles.summaryValue, { color: isDarkMode ? '#FFFFFF' : theme.colors.text }]}>{formatDisplay(stats.totalValue)}</Text>
             <Text style={[styles.summaryLabel, { color: isDarkMode ? '#E0E0E0' : theme.colors.textSecondary }]}>Est. Value</Text>
           </View>
         </View>
         
+        {stats.missingRates.length > 0 && (
+          <TouchableOpacity
+            style={[styles.rateWarning, { backgroundColor: isDarkMode ? '#111111' : theme.colors.card }]}
+            onPress={() => navigation.navigate('CurrencySettings')}
+          >
+            <Ionicons name="alert-circle-outline" size={18} color={theme.colors.warning} />
+            <Text style={[styles.rateWarningText, { color: isDarkMode ? '#E0E0E0' : theme.colors.textSecondary }]}>
+              No exchange rate for {stats.missingRates.join(', ')}. Those items aren't included in the totals.
+            </Text>
+          </TouchableOpacity>
+        )}
+        
+        {/* Value Breakdowns */}
+        {stats.collectionValues.length > 0 && (
+          <View style={styles.chartContainer}>
+            <Typography.H3 style={[styles.chartTitle, { color: isDarkMode ? '#FFFFFF' : theme.colors.text }]}>Value by Collection</Typography.H3>
+            <ValueBreakdownList groups={stats.collectionValues} />
+          </View>
+        )}
+        
+        {stats.categoryValues.length > 0 && (
+          <View style={styles.chartContainer}>
+            <Typography.H3 style={[styles.chartTitle, { color: isDarkMode ? '#FFFFFF' : theme.colors.text }]}>Value by Category</Typography.H3>
+            <ValueBreakdownList groups={stats.categoryValues} color={theme.colors.success} />
+          </View>
+        )}
+        
+        {/* Unrealized Gain/Loss */}
+        {stats.gainSummary && (
+          <View style={styles.chartContainer}>
+            <Typography.H3 style={[styles.chartTitle, { color: isDarkMode ? '#FFFFFF' : theme.colors.text }]}>Unrealized Gain/Loss</Typography.H3>
+            <View style={styles.gainSummary}>
+              <Text style={[styles.gainTotal, { color: stats.gainSummary.gain < 0 ? theme.colors.error : theme.colors.success }]}>
+                {stats.gainSummary.gain < 0 ? '-' : '+'}{formatDisplay(Math.abs(stats.gainSummary.gain))}
+              </Text>
+              <Text style={[styles.gainCaption, { color: isDarkMode ? '#E0E0E0' : theme.colors.textSecondary }]}>
+                Cost {formatDisplay(stats.gainSummary.cost)} · Now worth {formatDisplay(stats.gainSummary.value)}
+              </Text>
+              <Text style={[styles.gainCaption, { color: isDarkMode ? '#E0E0E0' : theme.colors.textSecondary }]}>
+                {stats.gainSummary.count} of {stats.totalItems} items have a purchase price and value
+              </Text>
+            </View>
+            <Text style={[styles.gainSubtitle, { color: isDarkMode ? '#FFFFFF' : theme.colors.text }]}>By Collection</Text>
+            <GainLossList rows={stats.collectionGains} />
+            <Text style={[styles.gainSubtitle, { color: isDarkMode ? '#FFFFFF' : theme.colors.text }]}>By Item</Text>
+            <GainLossList rows={stats.itemGains} limit={MAX_ITEM_GAINS} />
+          </View>
+        )}
+        
         {/* Category Breakdown */}
         {stats.categoryBreakdown.length > 0 ? (
           <View style={styles.chartContainer}>
@@ -335,6 +460,61 @@ const StatisticsScreen = ({ navigation }) => {
             <Text style={[styles.emptyChartText, { color: isDarkMode ? '#E0E0E0' : theme.colors.textSecondary }]}>No timeline data available</Text>
           </View>
         )}
+        
+        {/* Spending Per Month */}
+        {stats.spendingTimeline ? (
+          <View style={styles.chartContainer}>
+            <Typography.H3 style={[styles.chartTitle, { color: isDarkMode ? '#FFFFFF' : theme.colors.text }]}>Spending Per Month</Typography.H3>
+            <BarChart
+              data={stats.spendingTimeline}
+              width={chartWidth}
+              height={220}
+              yAxisLabel={currencySymbol(displayCurrency)}
+              chartConfig={{
+                ...chartConfig,
+                color: (opacity = 1) => theme.colors.warning,
+                fillShadowGradient: theme.colors.warning,
+                fillShadowGradientOpacity: 1,
+              }}
+              fromZero
+              style={{
+                borderRadius: 16,
+              }}
+            />
+          </View>
+        ) : (
+          <View style={[styles.emptyChart, { backgroundColor: isDarkMode ? '#111111' : theme.colors.card }]}>
+            <Ionicons name="wallet-outline" size={40} color={isDarkMode ? '#444444' : theme.colors.divider} />
+            <Text style={[styles.emptyChartText, { color: isDarkMode ? '#E0E0E0' : theme.colors.textSecondary }]}>Add purchase prices to your items to see your spending</Text>
+          </View>
+        )}
+        
+        {/* Value Over Time - a line needs at least two points */}
+        {stats.valueTimeline.length > 1 ? (
+          <View style={styles.chartContainer}>
+            <Typography.H3 style={[styles.chartTitle, { color: isDarkMode ? '#FFFFFF' : theme.colors.text }]}>Total Value Over Time</Typography.H3>
+            <LineChart
+              data={toValueChartData(stats.valueTimeline, { color: () => theme.colors.success })}
+              width={chartWidth}
+              height={220}
+              yAxisLabel={currencySymbol(displayCurrency)}
+              chartConfig={{
+                ...chartConfig,
+                fillShadowGradient: theme.colors.success,
+                fillShadowGradientOpacity: 0.2,
+              }}
+              verticalLabelRotation={30}
+              style={{
+                borderRadius: 16,
+              }}
+            />
+          </View>
+        ) : (
+          <View style={[styles.emptyChart, { backgroundColor: isDarkMode ? '#111111' : theme.colors.card }]}>
+            <Ionicons name="cash-outline" size={40} color={isDarkMode ? '#444444' : theme.colors.divider} />
+            <Text style={[styles.emptyChartText, { color: isDarkMode ? '#E0E0E0' : theme.colors.textSecondary }]}>Value history appears once your items' values change</Text>
+          </View>
+        )}
       </ScrollView>
     </SafeAreaView>
   );
@@ -446,6 +626,37 @@ const styles = createThemedStyles((theme) => ({
       },
     }),
   },
+  rateWarning: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginHorizontal: 16,
+    padding: 12,
+    borderRadius: 12,
+  },
+  rateWarningText: {
+    flex: 1,
+    marginLeft: 8,
+    fontSize: 13,
+  },
+  gainSummary: {
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  gainTotal: {
+    fontSize: 24,
+    fontWeight: 'bold',
+  },
+  gainCaption: {
+    fontSize: 13,
+    marginTop: 4,
+    textAlign: 'center',
+  },
+  gainSubtitle: {
+    fontSize: 15,
+    fontWeight: '600',
+    marginTop: 16,
+    marginBottom: 4,
+  },
   emptyChartText: {
     marginTop: 10,
     fontSize: 14,
@@ -0,0 +1,313 @@
+import React, { useState } from 'react';
+import {
+  Text,
+  View,
+  TextInput,
+  TouchableOpacity,
+  ScrollView,
+  Alert,
+  StatusBar,
+  SafeAreaView,
+  ActivityIndicator,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import Toast from 'react-native-toast-message';
+import { useTheme } from '../context/ThemeContext';
+import { useAuth } from '../context/AuthContext';
+import { useTags } from '../hooks/useTags';
+import { renameTag, mergeTags, deleteTags } from '../data';
+import { createThemedStyles } from '../theme/styled';
+import { handleError, ERROR_CATEGORIES } from '../utils/errorHandler';
+import { normalizeTag } from '../utils/tags';
+
+const itemCount = (count) => `${count} ${count === 1 ? 'item' : 'items'}`;
+
+// Renames, merges and deletes tags across all of the user's items. Pick one tag
+// to rename it, or several to merge them into one.
+const TagsScreen = ({ navigation }) => {
+  const { theme, isDarkMode } = useTheme();
+  const { user } = useAuth();
+  const { tags, loading, reload } = useTags(user?.id);
+
+  const [selected, setSelected] = useState([]);
+  const [newName, setNewName] = useState('');
+  const [working, setWorking] = useState(false);
+
+  const isMerge = selected.length > 1;
+
+  const toggleTag = (tag) => {
+    const next = selected.includes(tag) ? selected.filter(t => t !== tag) : [...selected, tag];
+    setSelected(next);
+    // Renaming starts from the current name
+    setNewName(next.length === 1 ? next[0] : '');
+  };
+
+  const finish = async (title, message) => {
+    setSelected([]);
+    setNewName('');
+    await reload();
+    Toast.show({ type: 'success', text1: title, text2: message });
+  };
+
+  const handleRenameOrMerge = async () => {
+    const target = normalizeTag(newName);
+    if (!target) {
+      Toast.show({ type: 'error', text1: 'Invalid Tag', text2: 'Tags need at least one letter or number.' });
+      return;
+    }
+    if (!isMerge && target === selected[0]) return;
+
+    setWorking(true);
+    try {
+      const changed = isMerge ? await mergeTags(selected, target) : await renameTag(selected[0], target);
+      await finish(
+        isMerge ? 'Tags Merged' : 'Tag Renamed',
+        `${itemCount(changed)} now tagged ${target}.`
+      );
+    } catch (error) {
+      handleError(
+        error,
+        'TagsScreen.handleRenameOrMerge',
+        error.category || ERROR_CATEGORIES.DATABASE,
+        isMerge ? 'Unable to merge the tags. Please try again.' : 'Unable to rename the tag. Please try again.'
+      );
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleDelete = () => {
+    const label = isMerge ? `these ${selected.length} tags` : `'${selected[0]}'`;
+    Alert.alert(
+      isMerge ? 'Delete Tags' : 'Delete Tag',
+      `Remove ${label} from all of your items? The items themselves are kept.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: async () => {
+            setWorking(true);
+            try {
+              const changed = await deleteTags(selected);
+              await finish(isMerge ? 'Tags Deleted' : 'Tag Deleted', `Removed from ${itemCount(changed)}.`);
+            } catch (error) {
+              handleError(
+                error,
+                'TagsScreen.handleDelete',
+                error.category || ERROR_CATEGORIES.DATABASE,
+                'Unable to delete. Please try again.'
+              );
+            } finally {
+              setWorking(false);
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  return (
+    <SafeAreaView style={[styles.safeArea, { backgroundColor: theme.colors.background }]}>
+      <StatusBar barStyle={isDarkMode ? 'light-content' : 'dark-content'} backgroundColor={theme.colors.background} />
+
+      <View style={[styles.header, { backgroundColor: theme.colors.surface, borderBottomColor: theme.colors.divider }]}>
+        <TouchableOpacity style={styles.headerButton} onPress={() => navigation.goBack()}>
+          <Ionicons name="arrow-back" size={24} color={theme.colors.text} />
+        </TouchableOpacity>
+        <Text style={[styles.headerTitle, { color: theme.colors.text }]}>Tags</Text>
+        <View style={styles.headerSpacer} />
+      </View>
+
+      <ScrollView contentContainerStyle={styles.content} keyboardShouldPersistTaps="handled">
+        <View style={[styles.section, { backgroundColor: theme.colors.card }]}>
+          <Text style={[styles.sectionTitle, { color: theme.colors.text }]}>Your Tags</Text>
+          <Text style={[styles.sectionDescription, { color: theme.colors.textSecondary }]}>
+            Select a tag to rename or delete it, or several to merge them.
+          </Text>
+
+          {loading ? (
+            <ActivityIndicator color={theme.colors.primary} style={styles.loader} />
+          ) : tags.length === 0 ? (
+            <Text style={[styles.emptyText, { color: theme.colors.textSecondary }]}>
+              You haven't tagged any items yet. Add tags when adding or editing an item.
+            </Text>
+          ) : (
+            tags.map(({ tag, count }) => {
+              const isSelected = selected.includes(tag);
+              return (
+                <TouchableOpacity
+                  key={tag}
+                  style={[styles.tagRow, { borderTopColor: theme.colors.divider }]}
+                  onPress={() => toggleTag(tag)}
+                  accessibilityState={{ selected: isSelected }}
+                >
+                  <Ionicons
+                    name={isSelected ? 'checkbox' : 'square-outline'}
+                    size={22}
+                    color={isSelected ? theme.colors.primary : theme.colors.textSecondary}
+                  />
+                  <Text style={[styles.tagName, { color: theme.colors.text }]}>{tag}</Text>
+                  <Text style={[styles.tagCount, { color: theme.colors.textSecondary }]}>{itemCount(count)}</Text>
+                </TouchableOpacity>
+              );
+            })
+          )}
+        </View>
+
+        {selected.length > 0 && (
+          <View style={[styles.section, { backgroundColor: theme.colors.card }]}>
+            <Text style={[styles.sectionTitle, { color: theme.colors.text }]}>
+              {isMerge ? `Merge ${selected.length} Tags` : `Rename '${selected[0]}'`}
+            </Text>
+            <Text style={[styles.sectionDescription, { color: theme.colors.textSecondary }]}>
+              {isMerge
+                ? 'Items with any of these tags get the new one instead.'
+                : 'Renaming to a tag you already use merges the two.'}
+            </Text>
+
+            <View style={styles.formGroup}>
+              <TextInput
+                style={[styles.input, {
+                  backgroundColor: theme.colors.inputBackground,
+                  color: theme.colors.inputText,
+                  borderColor: theme.colors.inputBorder,
+                }]}
+                placeholder={isMerge ? 'Merge into, e.g., vintage' : 'New name'}
+                value={newName}
+                onChangeText={setNewName}
+                autoCapitalize="none"
+                autoCorrect={false}
+                placeholderTextColor={theme.colors.inputPlaceholder}
+              />
+            </View>
+
+            <View style={styles.actionRow}>
+              <TouchableOpacity
+                style={[styles.actionButton, { backgroundColor: theme.colors.primary }]}
+                onPress={handleRenameOrMerge}
+                disabled={working}
+              >
+                {working ? (
+                  <ActivityIndicator color="white" />
+                ) : (
+                  <Text style={styles.actionButtonText}>{isMerge ? 'Merge' : 'Rename'}</Text>
+                )}
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={[styles.actionButton, styles.actionButtonSpacing, { backgroundColor: theme.colors.error }]}
+                onPress={handleDelete}
+                disabled={working}
+              >
+                <Text style={styles.actionButtonText}>Delete</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        )}
+      </ScrollView>
+    </SafeAreaView>
+  );
+};
+
+const styles = createThemedStyles((theme) => ({
+  safeArea: {
+    flex: 1,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+  },
+  headerButton: {
+    padding: 4,
+  },
+  headerTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+  },
+  headerSpacer: {
+    width: 32,
+  },
+  content: {
+    paddingVertical: 16,
+  },
+  section: {
+    marginHorizontal: 16,
+    marginBottom: 16,
+    borderRadius: 12,
+    overflow: 'hidden',
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+    elevation: 2,
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    paddingHorizontal: 16,
+    paddingTop: 12,
+    paddingBottom: 4,
+  },
+  sectionDescription: {
+    fontSize: 12,
+    paddingHorizontal: 16,
+    marginBottom: 12,
+  },
+  loader: {
+    marginVertical: 16,
+  },
+  emptyText: {
+    fontSize: 14,
+    paddingHorizontal: 16,
+    paddingBottom: 16,
+  },
+  tagRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 10,
+    paddingHorizontal: 16,
+    borderTopWidth: 1,
+  },
+  tagName: {
+    flex: 1,
+    fontSize: 16,
+    marginLeft: 12,
+  },
+  tagCount: {
+    fontSize: 12,
+  },
+  formGroup: {
+    paddingHorizontal: 16,
+  },
+  input: {
+    height: 44,
+    borderWidth: 1,
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    fontSize: 16,
+  },
+  actionRow: {
+    flexDirection: 'row',
+    margin: 16,
+  },
+  actionButton: {
+    flex: 1,
+    paddingVertical: 12,
+    borderRadius: 8,
+    alignItems: 'center',
+  },
+  actionButtonSpacing: {
+    marginLeft: 12,
+  },
+  actionButtonText: {
+    color: 'white',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+}));
+
+export default TagsScreen;
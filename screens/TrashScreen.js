@@ -0,0 +1,424 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Text,
+  View,
+  Image,
+  TouchableOpacity,
+  ScrollView,
+  Alert,
+  StatusBar,
+  SafeAreaView,
+  ActivityIndicator,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import Toast from 'react-native-toast-message';
+import { useTheme } from '../context/ThemeContext';
+import { useAuth } from '../context/AuthContext';
+import {
+  listTrash,
+  emptyTrash,
+  getTrashRetention,
+  setTrashRetention,
+  restoreItem,
+  restoreCollection,
+  deleteItemCascade,
+  deleteCollection,
+  syncAndRefresh,
+} from '../data';
+import { createThemedStyles } from '../theme/styled';
+import { handleError, ERROR_CATEGORIES } from '../utils/errorHandler';
+import {
+  DEFAULT_TRASH_RETENTION_DAYS,
+  TRASH_RETENTION_OPTIONS,
+  describePurge,
+  retentionLabel,
+} from '../utils/trash';
+
+// Deleted items and collections, kept for the user's retention period. Each can
+// be restored or deleted for good; deleting an item for good removes its photos.
+const TrashScreen = ({ navigation }) => {
+  const { theme, isDarkMode } = useTheme();
+  const { user } = useAuth();
+
+  const [items, setItems] = useState([]);
+  const [collections, setCollections] = useState([]);
+  const [retentionDays, setRetentionDays] = useState(DEFAULT_TRASH_RETENTION_DAYS);
+  const [loading, setLoading] = useState(true);
+  // 'all' while emptying the trash, otherwise the key of the row being worked on
+  const [working, setWorking] = useState(null);
+
+  const load = useCallback(async () => {
+    if (!user) return;
+    try {
+      const [trash, days] = await Promise.all([listTrash(user.id), getTrashRetention(user.id)]);
+      setItems(trash.items);
+      setCollections(trash.collections);
+      setRetentionDays(days);
+    } catch (error) {
+      handleError(
+        error,
+        'TrashScreen.load',
+        error.category || ERROR_CATEGORIES.DATABASE,
+        'Unable to load the trash. Please try again.'
+      );
+    } finally {
+      setLoading(false);
+    }
+  }, [user?.id]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const isEmpty = items.length === 0 && collections.length === 0;
+
+  // Restored rows show up in lists again, which need to reload
+  const handleRestore = async (kind, row) => {
+    setWorking(`${kind}:${row.id}`);
+    try {
+      if (kind === 'item') {
+        await restoreItem(row.id);
+        setItems(current => current.filter(i => i.id !== row.id));
+      } else {
+        await restoreCollection(row.id);
+        setCollections(current => current.filter(c => c.id !== row.id));
+      }
+      syncAndRefresh(user.id);
+      Toast.show({ type: 'success', text1: 'Restored', text2: `'${row.name}' has been restored.` });
+    } catch (error) {
+      handleError(
+        error,
+        'TrashScreen.handleRestore',
+        error.category || ERROR_CATEGORIES.DATABASE,
+        'Unable to restore. Please try again.'
+      );
+    } finally {
+      setWorking(null);
+    }
+  };
+
+  const handleDeleteForever = (kind, row) => {
+    Alert.alert(
+      'Delete Forever',
+      kind === 'item'
+        ? `Delete '${row.name}' and its photos? This cannot be undone.`
+        : `Delete the collection '${row.name}'? Its items are kept. This cannot be undone.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: async () => {
+            setWorking(`${kind}:${row.id}`);
+            try {
+              if (kind === 'item') {
+                await deleteItemCascade(row.id);
+                setItems(current => current.filter(i => i.id !== row.id));
+              } else {
+                await deleteCollection(row.id);
+                setCollections(current => current.filter(c => c.id !== row.id));
+              }
+            } catch (error) {
+              handleError(
+                error,
+                'TrashScreen.handleDeleteForever',
+                error.category || ERROR_CATEGORIES.DATABASE,
+                'Unable to delete. Please try again.'
+              );
+            } finally {
+              setWorking(null);
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const handleEmptyTrash = () => {
+    Alert.alert(
+      'Empty Trash',
+      'Delete everything in the trash, including the photos of these items? This cannot be undone.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Empty Trash',
+          style: 'destructive',
+          onPress: async () => {
+            setWorking('all');
+            try {
+              const { failed } = await emptyTrash(user.id);
+              if (failed > 0) {
+                Toast.show({
+                  type: 'error',
+                  text1: 'Trash Not Emptied',
+                  text2: `${failed} could not be deleted. Please try again.`,
+                });
+              }
+              await load();
+            } catch (error) {
+              handleError(
+                error,
+                'TrashScreen.handleEmptyTrash',
+                error.category || ERROR_CATEGORIES.DATABASE,
+                'Unable to empty the trash. Please try again.'
+              );
+            } finally {
+              setWorking(null);
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const handleRetentionPress = () => {
+    Alert.alert(
+      'Keep Deleted Items For',
+      'Items and collections are deleted for good once they have been in the trash this long.',
+      [
+        ...TRASH_RETENTION_OPTIONS.map(days => ({
+          text: retentionLabel(days),
+          onPress: async () => {
+            const previous = retentionDays;
+            setRetentionDays(days);
+            try {
+              await setTrashRetention(user.id, days);
+            } catch (error) {
+              setRetentionDays(previous);
+              handleError(
+                error,
+                'TrashScreen.handleRetentionPress',
+                error.category || ERROR_CATEGORIES.DATABASE,
+                'Unable to save the setting. Please try again.'
+              );
+            }
+          },
+        })),
+        { text: 'Cancel', style: 'cancel' },
+      ]
+    );
+  };
+
+  const renderRow = (kind, row) => {
+    const key = `${kind}:${row.id}`;
+    const busy = working === key || working === 'all';
+    return (
+      <View key={key} style={[styles.row, { borderTopColor: theme.colors.divider }]}>
+        {kind === 'item' ? (
+          row.photos?.length > 0 ? (
+            <Image source={{ uri: row.photos[0] }} style={styles.thumbnail} />
+          ) : (
+            <View style={[styles.thumbnail, styles.placeholder, { backgroundColor: theme.colors.divider }]}>
+              <Ionicons name="image-outline" size={20} color={theme.colors.textSecondary} />
+            </View>
+          )
+        ) : (
+          <View style={[styles.thumbnail, styles.placeholder, { backgroundColor: theme.colors.divider }]}>
+            <Text style={styles.collectionIcon}>{row.icon || '📁'}</Text>
+          </View>
+        )}
+
+        <View style={styles.rowInfo}>
+          <Text style={[styles.rowName, { color: theme.colors.text }]} numberOfLines={1}>{row.name}</Text>
+          <Text style={[styles.rowMeta, { color: theme.colors.textSecondary }]}>
+            {describePurge(row.deleted_at, retentionDays)}
+          </Text>
+        </View>
+
+        {busy ? (
+          <ActivityIndicator color={theme.colors.primary} />
+        ) : (
+          <>
+            <TouchableOpacity
+              style={styles.rowButton}
+              onPress={() => handleRestore(kind, row)}
+              disabled={working !== null}
+              accessibilityLabel={`Restore ${row.name}`}
+            >
+              <Ionicons name="arrow-undo-outline" size={22} color={theme.colors.primary} />
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={styles.rowButton}
+              onPress={() => handleDeleteForever(kind, row)}
+              disabled={working !== null}
+              accessibilityLabel={`Delete ${row.name} forever`}
+            >
+              <Ionicons name="trash-outline" size={22} color={theme.colors.error} />
+            </TouchableOpacity>
+          </>
+        )}
+      </View>
+    );
+  };
+
+  return (
+    <SafeAreaView style={[styles.safeArea, { backgroundColor: theme.colors.background }]}>
+      <StatusBar barStyle={isDarkMode ? 'light-content' : 'dark-content'} backgroundColor={theme.colors.background} />
+
+      <View style={[styles.header, { backgroundColor: theme.colors.surface, borderBottomColor: theme.colors.divider }]}>
+        <TouchableOpacity style={styles.headerButton} onPress={() => navigation.goBack()}>
+          <Ionicons name="arrow-back" size={24} color={theme.colors.text} />
+        </TouchableOpacity>
+        <Text style={[styles.headerTitle, { color: theme.colors.text }]}>Trash</Text>
+        <TouchableOpacity
+          style={styles.headerButton}
+          onPress={handleEmptyTrash}
+          disabled={isEmpty || working !== null}
+        >
+          <Text style={[styles.headerAction, { color: isEmpty ? theme.colors.textTertiary : theme.colors.error }]}>
+            Empty
+          </Text>
+        </TouchableOpacity>
+      </View>
+
+      <ScrollView contentContainerStyle={styles.content}>
+        <TouchableOpacity
+          style={[styles.section, styles.retentionRow, { backgroundColor: theme.colors.card }]}
+          onPress={handleRetentionPress}
+        >
+          <Ionicons name="time-outline" size={22} color={theme.colors.primary} />
+          <View style={styles.rowInfo}>
+            <Text style={[styles.rowName, { color: theme.colors.text }]}>Keep Deleted Items For</Text>
+            <Text style={[styles.rowMeta, { color: theme.colors.textSecondary }]}>
+              {retentionLabel(retentionDays)}, then they're deleted for good
+            </Text>
+          </View>
+          <Ionicons name="chevron-forward" size={20} color={theme.colors.textSecondary} />
+        </TouchableOpacity>
+
+        {loading ? (
+          <ActivityIndicator color={theme.colors.primary} style={styles.loader} />
+        ) : isEmpty ? (
+          <View style={styles.emptyContainer}>
+            <Ionicons name="trash-outline" size={48} color={theme.colors.textSecondary} />
+            <Text style={[styles.emptyText, { color: theme.colors.textSecondary }]}>
+              The trash is empty. Deleted items and collections are kept here until they're deleted for good.
+            </Text>
+          </View>
+        ) : (
+          <>
+            {items.length > 0 && (
+              <View style={[styles.section, { backgroundColor: theme.colors.card }]}>
+                <Text style={[styles.sectionTitle, { color: theme.colors.text }]}>Items</Text>
+                {items.map(item => renderRow('item', item))}
+              </View>
+            )}
+            {collections.length > 0 && (
+              <View style={[styles.section, { backgroundColor: theme.colors.card }]}>
+                <Text style={[styles.sectionTitle, { color: theme.colors.text }]}>Collections</Text>
+                <Text style={[styles.sectionDescription, { color: theme.colors.textSecondary }]}>
+                  Restoring a collection puts its items back in it.
+                </Text>
+                {collections.map(collection => renderRow('collection', collection))}
+              </View>
+            )}
+          </>
+        )}
+      </ScrollView>
+    </SafeAreaView>
+  );
+};
+
+const styles = createThemedStyles((theme) => ({
+  safeArea: {
+    flex: 1,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+  },
+  headerButton: {
+    padding: 4,
+  },
+  headerTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+  },
+  headerAction: {
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  content: {
+    paddingVertical: 16,
+  },
+  section: {
+    marginHorizontal: 16,
+    marginBottom: 16,
+    borderRadius: 12,
+    overflow: 'hidden',
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+    elevation: 2,
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    paddingHorizontal: 16,
+    paddingTop: 12,
+    paddingBottom: 8,
+  },
+  sectionDescription: {
+    fontSize: 12,
+    paddingHorizontal: 16,
+    marginBottom: 8,
+  },
+  retentionRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 16,
+  },
+  loader: {
+    marginVertical: 16,
+  },
+  emptyContainer: {
+    alignItems: 'center',
+    padding: 32,
+  },
+  emptyText: {
+    fontSize: 14,
+    marginTop: 12,
+    textAlign: 'center',
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 10,
+    paddingHorizontal: 16,
+    borderTopWidth: 1,
+  },
+  thumbnail: {
+    width: 44,
+    height: 44,
+    borderRadius: 6,
+  },
+  placeholder: {
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  collectionIcon: {
+    fontSize: 22,
+  },
+  rowInfo: {
+    flex: 1,
+    marginHorizontal: 12,
+  },
+  rowName: {
+    fontSize: 16,
+  },
+  rowMeta: {
+    fontSize: 12,
+    marginTop: 2,
+  },
+  rowButton: {
+    padding: 6,
+    marginLeft: 4,
+  },
+}));
+
+export default TrashScreen;
@@ -13,10 +13,18 @@ import {
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import { supabase } from '../lib/supabase';
+import { listItems, countItems } from '../data';
 import { useAuth } from '../context/AuthContext';
 import { useTheme } from '../context/ThemeContext';
 import Toast from 'react-native-toast-message';
 import { Typography, createThemedStyles } from '../theme/styled';
+import { formatMoney } from '../utils/money';
+import { ITEM_STATUS, sortWishlist, priorityLabel } from '../utils/wishlist';
+
+const TABS = [
+  { key: 'posts', label: 'Posts', icon: 'grid' },
+  { key: 'wishlist', label: 'Wishlist', icon: 'heart' },
+];
 
 // Simple Shimmer placeholder component (no animation for now)
 const Shimmer = ({ width, height, style }) => {
@@ -29,6 +37,7 @@ const ViewProfileScreen = ({ navigation, route }) => {
   const { userId } = route.params; // Get the user ID from route params
   const [userProfile, setUserProfile] = useState(null);
   const [posts, setPosts] = useState([]);
+  const [wishlist, setWishlist] = useState([]);
   const [totalItems, setTotalItems] = useState(0);
   const [followerCount, setFollowerCount] = useState(0);
   const [followingCount, setFollowingCount] = useState(0);
@@ -76,6 +85,9 @@ const ViewProfileScreen = ({ navigation, route }) => {
         // Fetch posts (shared items)
         await fetchUserPosts(userId);
         
+        // Fetch the wishlist items they've chosen to share
+        await fetchUserWishlist(userId);
+        
         // Fetch follower and following counts
         await fetchFollowerCount(userId);
         await fetchFollowingCount(userId);
@@ -101,14 +113,8 @@ const ViewProfileScreen = ({ navigation, route }) => {
   // Fetch total items count
   const fetchTotalItems = async (userId) => {
     try {
-      const { count, error } = await supabase
-        .from('items')
-        .select('*', { count: 'exact', head: true })
-        .eq('user_id', userId);
-      
-      if (error) throw error;
-      
-      setTotalItems(count || 0);
+      const count = await countItems({ userId });
+      setTotalItems(count);
     } catch (error) {
       console.error('Error fetching total items:', error.message);
     }
@@ -117,22 +123,25 @@ const ViewProfileScreen = ({ navigation, route }) => {
   // Fetch user's shared posts
   const fetchUserPosts = async (userId) => {
     try {
-      const { data, error } = await supabase
-        .from('items')
-        .select('*')
-        .eq('user_id', userId)
-        .eq('is_shared', true)
-        .order('created_at', { ascending: false });
-      
-      if (error) throw error;
+      const data = await listItems({ userId, shared: true });
       
       console.log(`Fetched ${data.length} shared items`);
-      setPosts(data || []);
+      setPosts(data);
     } catch (error) {
       console.error('Error fetching shared items:', error.message);
     }
   };
 
+  // Fetch user's shared wishlist items
+  const fetchUserWishlist = async (userId) => {
+    try {
+      const data = await listItems({ userId, shared: true, status: ITEM_STATUS.WANTED, withPhotos: true });
+      setWishlist(sortWishlist(data));
+    } catch (error) {
+      console.error('Error fetching shared wishlist:', error.message);
+    }
+  };
+
   // Fetch follower count
   const fetchFollowerCount = async (userId) => {
     try {
@@ -280,6 +289,32 @@ const ViewProfileScreen = ({ navigation, route }) => {
     </TouchableOpacity>
   );
 
+  // Render a wishlist item
+  const renderWishlistItem = ({ item }) => (
+    <TouchableOpacity 
+      style={[styles.wishlistItem, { borderBottomColor: isDarkMode ? '#222222' : theme.colors.divider }]}
+      onPress={() => navigation.navigate('ItemDetail', { itemId: item.id })}
+    >
+      <Image 
+        source={{ uri: item.photos && item.photos[0] ? item.photos[0] : 'https://via.placeholder.com/150' }}
+        style={styles.wishlistImage}
+        resizeMode="cover"
+      />
+      <View style={styles.wishlistDetails}>
+        <Text style={[styles.wishlistName, { color: isDarkMode ? '#FFFFFF' : theme.colors.text }]} numberOfLines={1}>
+          {item.name}
+        </Text>
+        <Text style={[styles.wishlistMeta, { color: isDarkMode ? '#E0E0E0' : theme.colors.textSecondary }]} numberOfLines={1}>
+          {priorityLabel(item.priority)} priority
+          {item.target_price != null ? ` · Target ${formatMoney(item.target_price, item.currency)}` : ''}
+        </Text>
+      </View>
+      <Ionicons name="chevron-forward" size={18} color={isDarkMode ? '#E0E0E0' : theme.colors.textSecondary} />
+    </TouchableOpacity>
+  );
+
+  const isWishlistTab = activeTab === 'wishlist';
+
   // Show loading indicator while fetching data
   if (loading && !refreshing) {
     return (
@@ -354,32 +389,34 @@ const ViewProfileScreen = ({ navigation, route }) => {
       
       {/* Tabs section */}
       <View style={[styles.tabsContainer, { backgroundColor: isDarkMode ? '#000000' : theme.colors.background, borderBottomColor: isDarkMode ? '#222222' : theme.colors.divider }]}>
-        <TouchableOpacity 
-          style={[
-            styles.tab, 
-            { backgroundColor: isDarkMode ? '#000000' : theme.colors.background },
-            activeTab === 'posts' && { borderBottomWidth: 2, borderBottomColor: theme.colors.primary }
-          ]}
-          onPress={() => setActiveTab('posts')}
-        >
-          <Ionicons 
-            name={activeTab === 'posts' ? 'grid' : 'grid-outline'} 
-            size={22} 
-            color={activeTab === 'posts' ? theme.colors.primary : (isDarkMode ? '#E0E0E0' : theme.colors.textSecondary)} 
-          />
-          <Text style={[
-            styles.tabText, 
-            { color: activeTab === 'posts' ? theme.colors.primary : (isDarkMode ? '#E0E0E0' : theme.colors.textSecondary) }
-          ]}>Posts</Text>
-        </TouchableOpacity>
+        {TABS.map(tab => {
+          const isActive = activeTab === tab.key;
+          const color = isActive ? theme.colors.primary : (isDarkMode ? '#E0E0E0' : theme.colors.textSecondary);
+          return (
+            <TouchableOpacity 
+              key={tab.key}
+              style={[
+                styles.tab, 
+                { backgroundColor: isDarkMode ? '#000000' : theme.colors.background },
+                isActive && { borderBottomWidth: 2, borderBottomColor: theme.colors.primary }
+              ]}
+              onPress={() => setActiveTab(tab.key)}
+            >
+              <Ionicons name={isActive ? tab.icon : `${tab.icon}-outline`} size={22} color={color} />
+              <Text style={[styles.tabText, { color }]}>{tab.label}</Text>
+            </TouchableOpacity>
+          );
+        })}
       </View>
       
       {/* Content section */}
       <FlatList
-        data={posts}
-        renderItem={renderPostItem}
+        // numColumns can't change on the fly, so each tab gets its own list
+        key={activeTab}
+        data={isWishlistTab ? wishlist : posts}
+        renderItem={isWishlistTab ? renderWishlistItem : renderPostItem}
         keyExtractor={(item) => item.id.toString()}
-        numColumns={3}
+        numColumns={isWishlistTab ? 1 : 3}
         contentContainerStyle={styles.contentContainer}
         showsVerticalScrollIndicator={false}
         refreshControl={
@@ -391,9 +428,9 @@ const ViewProfileScreen = ({ navigation, route }) => {
         }
         ListEmptyComponent={
           <View style={styles.emptyContainer}>
-            <Ionicons name="images-outline" size={48} color={isDarkMode ? '#444444' : '#CCCCCC'} />
+            <Ionicons name={isWishlistTab ? 'heart-outline' : 'images-outline'} size={48} color={isDarkMode ? '#444444' : '#CCCCCC'} />
             <Text style={[styles.emptyText, { color: isDarkMode ? '#AAAAAA' : theme.colors.textSecondary }]}>
-              No posts yet
+              {isWishlistTab ? 'No shared wishlist items' : 'No posts yet'}
             </Text>
           </View>
         }
@@ -501,6 +538,30 @@ const styles = createThemedStyles((theme) => ({
     width: '100%',
     height: '100%',
   },
+  wishlistItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+  },
+  wishlistImage: {
+    width: 48,
+    height: 48,
+    borderRadius: 6,
+  },
+  wishlistDetails: {
+    flex: 1,
+    marginLeft: 12,
+  },
+  wishlistName: {
+    fontSize: 15,
+    fontWeight: '600',
+  },
+  wishlistMeta: {
+    fontSize: 12,
+    marginTop: 2,
+  },
   emptyContainer: {
     alignItems: 'center',
     justifyContent: 'center',
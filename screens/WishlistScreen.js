@@ -0,0 +1,254 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Text,
+  View,
+  FlatList,
+  TouchableOpacity,
+  Image,
+  StatusBar,
+  SafeAreaView,
+} from 'react-native';
+import { useIsFocused } from '@react-navigation/native';
+import { Ionicons } from '@expo/vector-icons';
+import { getCachedItems, syncAndRefresh } from '../data';
+import OfflineBanner from '../components/OfflineBanner';
+import { useTheme } from '../context/ThemeContext';
+import { useAuth } from '../context/AuthContext';
+import { createThemedStyles } from '../theme/styled';
+import { handleError, ERROR_CATEGORIES } from '../utils/errorHandler';
+import { formatMoney } from '../utils/money';
+import { ITEM_STATUS, sortWishlist, priorityLabel } from '../utils/wishlist';
+
+// The things the user is hunting for, highest priority first. Acquiring one
+// moves it to the collection.
+const WishlistScreen = ({ navigation }) => {
+  const { theme, isDarkMode } = useTheme();
+  const { user } = useAuth();
+  const isFocused = useIsFocused();
+  const [items, setItems] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+  const [offline, setOffline] = useState(false);
+
+  // Reloaded on focus, so items just acquired or added drop in or out
+  useEffect(() => {
+    if (isFocused && user) fetchItems();
+  }, [isFocused, user]);
+
+  // Cached copy first, then a refresh from Supabase
+  const fetchItems = async () => {
+    try {
+      const cachedItems = await getCachedItems(user.id, { status: ITEM_STATUS.WANTED });
+      if (cachedItems.length > 0) {
+        setItems(sortWishlist(cachedItems));
+        setLoading(false);
+      }
+
+      const { online } = await syncAndRefresh(user.id);
+      setOffline(!online);
+
+      setItems(sortWishlist(await getCachedItems(user.id, { status: ITEM_STATUS.WANTED })));
+    } catch (error) {
+      handleError(
+        error,
+        'WishlistScreen.fetchItems',
+        error.category || ERROR_CATEGORIES.DATABASE,
+        'Unable to load your wishlist. Please try again.'
+      );
+    } finally {
+      setLoading(false);
+      setRefreshing(false);
+    }
+  };
+
+  const handleRefresh = () => {
+    setRefreshing(true);
+    fetchItems();
+  };
+
+  const handleAdd = () => {
+    navigation.navigate('Add', { screen: 'AddMain', params: { wishlist: true } });
+  };
+
+  const renderItem = ({ item }) => (
+    <TouchableOpacity
+      style={[styles.itemRow, { backgroundColor: theme.colors.surface }]}
+      onPress={() => navigation.navigate('ItemDetail', { itemId: item.id })}
+      activeOpacity={0.8}
+    >
+      {item.photos?.length > 0 ? (
+        <Image source={{ uri: item.photos[0] }} style={styles.itemImage} resizeMode="cover" />
+      ) : (
+        <View style={[styles.itemImage, styles.imagePlaceholder, { backgroundColor: theme.colors.divider }]}>
+          <Ionicons name="heart-outline" size={24} color={theme.colors.textSecondary} />
+        </View>
+      )}
+
+      <View style={styles.itemDetails}>
+        <Text style={[styles.itemName, { color: theme.colors.text }]} numberOfLines={1}>
+          {item.pendingSync && <Ionicons name="cloud-upload-outline" size={14} color={theme.colors.textSecondary} />}
+          {item.pendingSync ? ' ' : ''}{item.name}
+        </Text>
+        <Text style={[styles.itemMeta, { color: theme.colors.textSecondary }]} numberOfLines={1}>
+          {item.target_price != null && item.target_price !== ''
+            ? `Target ${formatMoney(item.target_price, item.currency)}`
+            : 'No target price'}
+          {item.category ? ` · ${item.category}` : ''}
+        </Text>
+        <View style={[styles.priorityBadge, { borderColor: theme.colors.primary }]}>
+          <Text style={[styles.priorityText, { color: theme.colors.primary }]}>{priorityLabel(item.priority)}</Text>
+        </View>
+      </View>
+
+      <TouchableOpacity
+        style={styles.acquireButton}
+        onPress={() => navigation.navigate('EditItem', { itemId: item.id, acquire: true })}
+        hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}
+        accessibilityLabel={`Mark ${item.name} as acquired`}
+      >
+        <Ionicons name="checkmark-circle-outline" size={26} color={theme.colors.success} />
+        <Text style={[styles.acquireText, { color: theme.colors.success }]}>Got it</Text>
+      </TouchableOpacity>
+    </TouchableOpacity>
+  );
+
+  const renderEmptyState = () => (
+    <View style={styles.emptyContainer}>
+      <Ionicons name="heart-outline" size={60} color={theme.colors.divider} />
+      <Text style={[styles.emptyText, { color: theme.colors.textSecondary }]}>
+        {loading ? 'Loading wishlist...' : 'Your wishlist is empty.'}
+      </Text>
+      {!loading && (
+        <Text style={[styles.emptySubtext, { color: theme.colors.textSecondary }]}>
+          Tap + to add something you're looking for.
+        </Text>
+      )}
+    </View>
+  );
+
+  return (
+    <SafeAreaView style={[styles.safeArea, { backgroundColor: theme.colors.background }]}>
+      <StatusBar barStyle={isDarkMode ? 'light-content' : 'dark-content'} backgroundColor={theme.colors.background} />
+
+      <View style={[styles.header, { backgroundColor: theme.colors.surface, borderBottomColor: theme.colors.divider }]}>
+        <TouchableOpacity style={styles.headerButton} onPress={() => navigation.goBack()}>
+          <Ionicons name="arrow-back" size={24} color={theme.colors.text} />
+        </TouchableOpacity>
+        <Text style={[styles.headerTitle, { color: theme.colors.text }]}>Wishlist</Text>
+        <TouchableOpacity style={styles.headerButton} onPress={handleAdd} accessibilityLabel="Add to wishlist">
+          <Ionicons name="add" size={24} color={theme.colors.primary} />
+        </TouchableOpacity>
+      </View>
+
+      <OfflineBanner offline={offline} />
+
+      <FlatList
+        data={items}
+        renderItem={renderItem}
+        keyExtractor={(item) => item.id.toString()}
+        contentContainerStyle={styles.listContainer}
+        ListEmptyComponent={renderEmptyState}
+        refreshing={refreshing}
+        onRefresh={handleRefresh}
+        showsVerticalScrollIndicator={false}
+      />
+    </SafeAreaView>
+  );
+};
+
+const styles = createThemedStyles((theme) => ({
+  safeArea: {
+    flex: 1,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+  },
+  headerButton: {
+    padding: 4,
+  },
+  headerTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+  },
+  listContainer: {
+    padding: 16,
+    flexGrow: 1,
+  },
+  itemRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderRadius: 12,
+    padding: 12,
+    marginBottom: 12,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 3,
+    elevation: 3,
+  },
+  itemImage: {
+    width: 64,
+    height: 64,
+    borderRadius: 8,
+  },
+  imagePlaceholder: {
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  itemDetails: {
+    flex: 1,
+    marginLeft: 12,
+  },
+  itemName: {
+    fontSize: 16,
+    fontWeight: '600',
+    marginBottom: 4,
+  },
+  itemMeta: {
+    fontSize: 13,
+    marginBottom: 6,
+  },
+  priorityBadge: {
+    alignSelf: 'flex-start',
+    borderWidth: 1,
+    borderRadius: 10,
+    paddingHorizontal: 8,
+    paddingVertical: 2,
+  },
+  priorityText: {
+    fontSize: 11,
+    fontWeight: '600',
+  },
+  acquireButton: {
+    alignItems: 'center',
+    marginLeft: 8,
+  },
+  acquireText: {
+    fontSize: 11,
+    marginTop: 2,
+  },
+  emptyContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 20,
+    marginTop: 50,
+  },
+  emptyText: {
+    fontSize: 16,
+    textAlign: 'center',
+    marginTop: 16,
+  },
+  emptySubtext: {
+    fontSize: 14,
+    textAlign: 'center',
+    marginTop: 8,
+  },
+}));
+
+export default WishlistScreen;
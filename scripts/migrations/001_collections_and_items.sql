@@ -0,0 +1,136 @@
+-- Collections and items
+-- Replaces scripts/create_collections_table.sql and scripts/create_items_table.sql
+
+CREATE TABLE IF NOT EXISTS public.collections (
+    id bigint GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    user_id uuid REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL DEFAULT auth.uid(),
+    name text NOT NULL,
+    icon text NOT NULL,
+    created_at timestamp with time zone DEFAULT timezone('utc'::text, now()) NOT NULL
+);
+
+COMMENT ON TABLE public.collections IS 'Stores user collections for organizing items.';
+COMMENT ON COLUMN public.collections.user_id IS 'Links to the authenticated user who owns the collection.';
+COMMENT ON COLUMN public.collections.name IS 'Name of the collection.';
+COMMENT ON COLUMN public.collections.icon IS 'Emoji icon representing the collection.';
+
+CREATE TABLE IF NOT EXISTS public.items (
+    id bigint GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    user_id uuid REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL DEFAULT auth.uid(),
+    name text NOT NULL,
+    brand text,
+    category text,
+    created_at timestamp with time zone DEFAULT timezone('utc'::text, now()) NOT NULL
+);
+
+-- Columns added after the original table script (ADD COLUMN IF NOT EXISTS keeps old databases working)
+ALTER TABLE public.items ADD COLUMN IF NOT EXISTS collection_id bigint REFERENCES public.collections(id) ON DELETE SET NULL;
+ALTER TABLE public.items ADD COLUMN IF NOT EXISTS value numeric(12, 2);
+ALTER TABLE public.items ADD COLUMN IF NOT EXISTS condition text;
+ALTER TABLE public.items ADD COLUMN IF NOT EXISTS notes text;
+ALTER TABLE public.items ADD COLUMN IF NOT EXISTS is_shared boolean NOT NULL DEFAULT false;
+ALTER TABLE public.items ADD COLUMN IF NOT EXISTS condition_details text;
+ALTER TABLE public.items ADD COLUMN IF NOT EXISTS condition_analysis jsonb;
+ALTER TABLE public.items ADD COLUMN IF NOT EXISTS identifiers text[] NOT NULL DEFAULT '{}';
+
+COMMENT ON TABLE public.items IS 'Stores collectible items added by users.';
+COMMENT ON COLUMN public.items.user_id IS 'Links to the authenticated user who owns the item.';
+COMMENT ON COLUMN public.items.collection_id IS 'Links to the collection this item belongs to.';
+COMMENT ON COLUMN public.items.value IS 'Estimated value of the item.';
+COMMENT ON COLUMN public.items.is_shared IS 'Whether the item is visible to other users in the feed.';
+COMMENT ON COLUMN public.items.condition_analysis IS 'Raw result of the AI condition analysis.';
+COMMENT ON COLUMN public.items.identifiers IS 'Normalized barcode identifiers (GTIN, UPC, ISBN-10/13, ISSN, add-on codes).';
+
+CREATE INDEX IF NOT EXISTS collections_user_id_idx ON public.collections (user_id);
+CREATE INDEX IF NOT EXISTS items_user_id_created_at_idx ON public.items (user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS items_collection_id_idx ON public.items (collection_id);
+CREATE INDEX IF NOT EXISTS items_shared_created_at_idx ON public.items (created_at DESC) WHERE is_shared;
+CREATE INDEX IF NOT EXISTS items_identifiers_idx ON public.items USING GIN (identifiers);
+
+-- Enable Row Level Security (RLS)
+ALTER TABLE public.collections ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.items ENABLE ROW LEVEL SECURITY;
+
+-- Collections are private to their owner
+DROP POLICY IF EXISTS "Allow individual read access" ON public.collections;
+CREATE POLICY "Allow individual read access"
+ON public.collections
+FOR SELECT
+USING (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Allow individual insert access" ON public.collections;
+CREATE POLICY "Allow individual insert access"
+ON public.collections
+FOR INSERT
+WITH CHECK (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Allow individual update access" ON public.collections;
+CREATE POLICY "Allow individual update access"
+ON public.collections
+FOR UPDATE
+USING (auth.uid() = user_id)
+WITH CHECK (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Allow individual delete access" ON public.collections;
+CREATE POLICY "Allow individual delete access"
+ON public.collections
+FOR DELETE
+USING (auth.uid() = user_id);
+
+-- Items are private to their owner, except shared items which everyone signed in can see
+DROP POLICY IF EXISTS "Allow individual read access" ON public.items;
+CREATE POLICY "Allow individual read access"
+ON public.items
+FOR SELECT
+USING (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Allow read access to shared items" ON public.items;
+CREATE POLICY "Allow read access to shared items"
+ON public.items
+FOR SELECT
+TO authenticated
+USING (is_shared);
+
+DROP POLICY IF EXISTS "Allow individual insert access" ON public.items;
+CREATE POLICY "Allow individual insert access"
+ON public.items
+FOR INSERT
+WITH CHECK (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Allow individual update access" ON public.items;
+CREATE POLICY "Allow individual update access"
+ON public.items
+FOR UPDATE
+USING (auth.uid() = user_id)
+WITH CHECK (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Allow individual delete access" ON public.items;
+CREATE POLICY "Allow individual delete access"
+ON public.items
+FOR DELETE
+USING (auth.uid() = user_id);
+
+-- Used by policies on child tables: can the current user see this item?
+CREATE OR REPLACE FUNCTION public.can_view_item(target_item_id bigint)
+RETURNS boolean
+LANGUAGE sql STABLE SECURITY DEFINER
+SET search_path = public
+AS $$
+    SELECT EXISTS (
+        SELECT 1 FROM public.items
+        WHERE id = target_item_id
+          AND (user_id = auth.uid() OR is_shared)
+    );
+$$;
+
+CREATE OR REPLACE FUNCTION public.owns_item(target_item_id bigint)
+RETURNS boolean
+LANGUAGE sql STABLE SECURITY DEFINER
+SET search_path = public
+AS $$
+    SELECT EXISTS (
+        SELECT 1 FROM public.items
+        WHERE id = target_item_id
+          AND user_id = auth.uid()
+    );
+$$;
@@ -0,0 +1,97 @@
+-- Uploaded images and their link to items
+
+CREATE TABLE IF NOT EXISTS public.images (
+    id bigint GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    url text NOT NULL,
+    storage_path text,
+    file_name text,
+    file_type text,
+    created_by uuid REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL DEFAULT auth.uid(),
+    created_at timestamp with time zone DEFAULT timezone('utc'::text, now()) NOT NULL
+);
+
+COMMENT ON TABLE public.images IS 'Image files uploaded to the item-photos storage bucket.';
+COMMENT ON COLUMN public.images.storage_path IS 'Path of the object inside storage, e.g. item-photos/<file>.';
+
+CREATE TABLE IF NOT EXISTS public.item_photos (
+    id bigint GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    item_id bigint REFERENCES public.items(id) ON DELETE CASCADE NOT NULL,
+    image_id bigint REFERENCES public.images(id) ON DELETE CASCADE NOT NULL,
+    display_order integer NOT NULL DEFAULT 0,
+    created_at timestamp with time zone DEFAULT timezone('utc'::text, now()) NOT NULL
+);
+
+COMMENT ON TABLE public.item_photos IS 'Ordered photos of an item.';
+
+CREATE INDEX IF NOT EXISTS images_created_by_idx ON public.images (created_by);
+CREATE INDEX IF NOT EXISTS images_file_name_idx ON public.images (file_name);
+CREATE INDEX IF NOT EXISTS item_photos_item_id_idx ON public.item_photos (item_id, display_order);
+CREATE INDEX IF NOT EXISTS item_photos_image_id_idx ON public.item_photos (image_id);
+
+ALTER TABLE public.images ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.item_photos ENABLE ROW LEVEL SECURITY;
+
+-- Images: the uploader has full access; others can see images of items they can see
+DROP POLICY IF EXISTS "Allow uploader read access" ON public.images;
+CREATE POLICY "Allow uploader read access"
+ON public.images
+FOR SELECT
+USING (auth.uid() = created_by);
+
+DROP POLICY IF EXISTS "Allow read access to images of visible items" ON public.images;
+CREATE POLICY "Allow read access to images of visible items"
+ON public.images
+FOR SELECT
+TO authenticated
+USING (
+    EXISTS (
+        SELECT 1 FROM public.item_photos
+        WHERE item_photos.image_id = images.id
+          AND public.can_view_item(item_photos.item_id)
+    )
+);
+
+DROP POLICY IF EXISTS "Allow uploader insert access" ON public.images;
+CREATE POLICY "Allow uploader insert access"
+ON public.images
+FOR INSERT
+WITH CHECK (auth.uid() = created_by);
+
+DROP POLICY IF EXISTS "Allow uploader update access" ON public.images;
+CREATE POLICY "Allow uploader update access"
+ON public.images
+FOR UPDATE
+USING (auth.uid() = created_by)
+WITH CHECK (auth.uid() = created_by);
+
+DROP POLICY IF EXISTS "Allow uploader delete access" ON public.images;
+CREATE POLICY "Allow uploader delete access"
+ON public.images
+FOR DELETE
+USING (auth.uid() = created_by);
+
+-- Item photos follow the visibility of their item; only the item owner can change them
+DROP POLICY IF EXISTS "Allow read access to photos of visible items" ON public.item_photos;
+CREATE POLICY "Allow read access to photos of visible items"
+ON public.item_photos
+FOR SELECT
+USING (public.can_view_item(item_id));
+
+DROP POLICY IF EXISTS "Allow item owner insert access" ON public.item_photos;
+CREATE POLICY "Allow item owner insert access"
+ON public.item_photos
+FOR INSERT
+WITH CHECK (public.owns_item(item_id));
+
+DROP POLICY IF EXISTS "Allow item owner update access" ON public.item_photos;
+CREATE POLICY "Allow item owner update access"
+ON public.item_photos
+FOR UPDATE
+USING (public.owns_item(item_id))
+WITH CHECK (public.owns_item(item_id));
+
+DROP POLICY IF EXISTS "Allow item owner delete access" ON public.item_photos;
+CREATE POLICY "Allow item owner delete access"
+ON public.item_photos
+FOR DELETE
+USING (public.owns_item(item_id));
@@ -0,0 +1,39 @@
+-- Public user profiles
+
+CREATE TABLE IF NOT EXISTS public.profiles (
+    id uuid PRIMARY KEY REFERENCES auth.users(id) ON DELETE CASCADE,
+    username text UNIQUE,
+    first_name text,
+    last_name text,
+    display_name text,
+    bio text,
+    avatar_url text,
+    created_at timestamp with time zone DEFAULT timezone('utc'::text, now()) NOT NULL,
+    updated_at timestamp with time zone DEFAULT timezone('utc'::text, now()) NOT NULL
+);
+
+COMMENT ON TABLE public.profiles IS 'Public profile information for each user.';
+COMMENT ON COLUMN public.profiles.id IS 'Same as the auth.users ID.';
+
+ALTER TABLE public.profiles ENABLE ROW LEVEL SECURITY;
+
+-- Profiles are visible to everyone signed in (user search, feed authors, comments)
+DROP POLICY IF EXISTS "Allow authenticated read access" ON public.profiles;
+CREATE POLICY "Allow authenticated read access"
+ON public.profiles
+FOR SELECT
+TO authenticated
+USING (true);
+
+DROP POLICY IF EXISTS "Allow individual insert access" ON public.profiles;
+CREATE POLICY "Allow individual insert access"
+ON public.profiles
+FOR INSERT
+WITH CHECK (auth.uid() = id);
+
+DROP POLICY IF EXISTS "Allow individual update access" ON public.profiles;
+CREATE POLICY "Allow individual update access"
+ON public.profiles
+FOR UPDATE
+USING (auth.uid() = id)
+WITH CHECK (auth.uid() = id);
@@ -0,0 +1,152 @@
+-- Comments, likes, followers and in-app notifications
+
+CREATE TABLE IF NOT EXISTS public.comments (
+    id bigint GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    item_id bigint REFERENCES public.items(id) ON DELETE CASCADE NOT NULL,
+    user_id uuid NOT NULL DEFAULT auth.uid(),
+    text text NOT NULL CHECK (char_length(text) BETWEEN 1 AND 1000),
+    created_at timestamp with time zone DEFAULT timezone('utc'::text, now()) NOT NULL,
+    -- Named so the app can embed the author with profiles!comments_profiles_fkey(...)
+    CONSTRAINT comments_profiles_fkey FOREIGN KEY (user_id) REFERENCES public.profiles(id) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS public.likes (
+    id bigint GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    item_id bigint REFERENCES public.items(id) ON DELETE CASCADE NOT NULL,
+    user_id uuid REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL DEFAULT auth.uid(),
+    created_at timestamp with time zone DEFAULT timezone('utc'::text, now()) NOT NULL,
+    UNIQUE (item_id, user_id)
+);
+
+CREATE TABLE IF NOT EXISTS public.followers (
+    id bigint GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    -- The user being followed
+    user_id uuid REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+    -- The user doing the following
+    follower_id uuid REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL DEFAULT auth.uid(),
+    created_at timestamp with time zone DEFAULT timezone('utc'::text, now()) NOT NULL,
+    UNIQUE (user_id, follower_id),
+    CHECK (user_id <> follower_id)
+);
+
+CREATE TABLE IF NOT EXISTS public.notifications (
+    id bigint GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    user_id uuid REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+    type text NOT NULL DEFAULT 'info',
+    title text NOT NULL,
+    message text,
+    read boolean NOT NULL DEFAULT false,
+    action text,
+    -- camelCase because the app reads notification.actionData straight from select('*')
+    "actionData" jsonb NOT NULL DEFAULT '{}'::jsonb,
+    created_at timestamp with time zone DEFAULT timezone('utc'::text, now()) NOT NULL
+);
+
+COMMENT ON TABLE public.comments IS 'Comments on shared items.';
+COMMENT ON TABLE public.likes IS 'One row per user liking an item.';
+COMMENT ON TABLE public.followers IS 'follower_id follows user_id.';
+COMMENT ON TABLE public.notifications IS 'In-app notifications shown in the notifications screen and popup.';
+COMMENT ON COLUMN public.notifications.action IS 'What tapping the notification opens: feature, item, collection or post.';
+
+CREATE INDEX IF NOT EXISTS comments_item_id_idx ON public.comments (item_id, created_at);
+CREATE INDEX IF NOT EXISTS likes_user_id_idx ON public.likes (user_id);
+CREATE INDEX IF NOT EXISTS followers_follower_id_idx ON public.followers (follower_id);
+CREATE INDEX IF NOT EXISTS notifications_user_id_created_at_idx ON public.notifications (user_id, created_at DESC);
+
+ALTER TABLE public.comments ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.likes ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.followers ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.notifications ENABLE ROW LEVEL SECURITY;
+
+-- Comments: visible with their item; authors manage their own
+DROP POLICY IF EXISTS "Allow read access to comments on visible items" ON public.comments;
+CREATE POLICY "Allow read access to comments on visible items"
+ON public.comments
+FOR SELECT
+USING (public.can_view_item(item_id));
+
+DROP POLICY IF EXISTS "Allow individual insert access" ON public.comments;
+CREATE POLICY "Allow individual insert access"
+ON public.comments
+FOR INSERT
+WITH CHECK (auth.uid() = user_id AND public.can_view_item(item_id));
+
+DROP POLICY IF EXISTS "Allow individual update access" ON public.comments;
+CREATE POLICY "Allow individual update access"
+ON public.comments
+FOR UPDATE
+USING (auth.uid() = user_id)
+WITH CHECK (auth.uid() = user_id);
+
+-- Authors can delete their comments, item owners can remove comments on their items
+DROP POLICY IF EXISTS "Allow author or item owner delete access" ON public.comments;
+CREATE POLICY "Allow author or item owner delete access"
+ON public.comments
+FOR DELETE
+USING (auth.uid() = user_id OR public.owns_item(item_id));
+
+-- Likes: visible with their item; users manage their own
+DROP POLICY IF EXISTS "Allow read access to likes on visible items" ON public.likes;
+CREATE POLICY "Allow read access to likes on visible items"
+ON public.likes
+FOR SELECT
+USING (auth.uid() = user_id OR public.can_view_item(item_id));
+
+DROP POLICY IF EXISTS "Allow individual insert access" ON public.likes;
+CREATE POLICY "Allow individual insert access"
+ON public.likes
+FOR INSERT
+WITH CHECK (auth.uid() = user_id AND public.can_view_item(item_id));
+
+DROP POLICY IF EXISTS "Allow individual delete access" ON public.likes;
+CREATE POLICY "Allow individual delete access"
+ON public.likes
+FOR DELETE
+USING (auth.uid() = user_id);
+
+-- Followers: public to signed-in users (follower counts); users manage who they follow
+DROP POLICY IF EXISTS "Allow authenticated read access" ON public.followers;
+CREATE POLICY "Allow authenticated read access"
+ON public.followers
+FOR SELECT
+TO authenticated
+USING (true);
+
+DROP POLICY IF EXISTS "Allow individual insert access" ON public.followers;
+CREATE POLICY "Allow individual insert access"
+ON public.followers
+FOR INSERT
+WITH CHECK (auth.uid() = follower_id);
+
+DROP POLICY IF EXISTS "Allow individual delete access" ON public.followers;
+CREATE POLICY "Allow individual delete access"
+ON public.followers
+FOR DELETE
+USING (auth.uid() = follower_id);
+
+-- Notifications: private to the recipient; any signed-in user may notify another
+DROP POLICY IF EXISTS "Allow individual read access" ON public.notifications;
+CREATE POLICY "Allow individual read access"
+ON public.notifications
+FOR SELECT
+USING (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Allow authenticated insert access" ON public.notifications;
+CREATE POLICY "Allow authenticated insert access"
+ON public.notifications
+FOR INSERT
+TO authenticated
+WITH CHECK (auth.uid() IS NOT NULL);
+
+DROP POLICY IF EXISTS "Allow individual update access" ON public.notifications;
+CREATE POLICY "Allow individual update access"
+ON public.notifications
+FOR UPDATE
+USING (auth.uid() = user_id)
+WITH CHECK (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Allow individual delete access" ON public.notifications;
+CREATE POLICY "Allow individual delete access"
+ON public.notifications
+FOR DELETE
+USING (auth.uid() = user_id);
@@ -0,0 +1,38 @@
+-- Feedback on AI item analysis
+
+CREATE TABLE IF NOT EXISTS public.ai_feedback (
+    id bigint GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    user_id uuid REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL DEFAULT auth.uid(),
+    item_id bigint REFERENCES public.items(id) ON DELETE CASCADE NOT NULL,
+    photo_id bigint REFERENCES public.item_photos(id) ON DELETE SET NULL,
+    rating boolean NOT NULL,
+    feedback_text text,
+    ai_model_used text,
+    analysis_data jsonb,
+    created_at timestamp with time zone DEFAULT timezone('utc'::text, now()) NOT NULL
+);
+
+COMMENT ON TABLE public.ai_feedback IS 'Thumbs up/down feedback on AI analysis results.';
+COMMENT ON COLUMN public.ai_feedback.rating IS 'true for helpful, false for not helpful.';
+
+CREATE INDEX IF NOT EXISTS ai_feedback_user_id_created_at_idx ON public.ai_feedback (user_id, created_at DESC);
+
+ALTER TABLE public.ai_feedback ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Allow individual read access" ON public.ai_feedback;
+CREATE POLICY "Allow individual read access"
+ON public.ai_feedback
+FOR SELECT
+USING (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Allow individual insert access" ON public.ai_feedback;
+CREATE POLICY "Allow individual insert access"
+ON public.ai_feedback
+FOR INSERT
+WITH CHECK (auth.uid() = user_id AND public.owns_item(item_id));
+
+DROP POLICY IF EXISTS "Allow individual delete access" ON public.ai_feedback;
+CREATE POLICY "Allow individual delete access"
+ON public.ai_feedback
+FOR DELETE
+USING (auth.uid() = user_id);
@@ -0,0 +1,69 @@
+-- Per-user settings and push notification tokens
+
+CREATE TABLE IF NOT EXISTS public.user_settings (
+    id bigint GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    user_id uuid REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL UNIQUE DEFAULT auth.uid(),
+    theme_preference text CHECK (theme_preference IN ('light', 'dark', 'system')),
+    created_at timestamp with time zone DEFAULT timezone('utc'::text, now()) NOT NULL,
+    updated_at timestamp with time zone DEFAULT timezone('utc'::text, now()) NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS public.user_tokens (
+    id bigint GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    user_id uuid REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL DEFAULT auth.uid(),
+    push_token text NOT NULL,
+    created_at timestamp with time zone DEFAULT timezone('utc'::text, now()) NOT NULL,
+    UNIQUE (user_id, push_token)
+);
+
+COMMENT ON TABLE public.user_settings IS 'App preferences synced across devices.';
+COMMENT ON TABLE public.user_tokens IS 'Expo push tokens registered by each user''s devices.';
+
+ALTER TABLE public.user_settings ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.user_tokens ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Allow individual read access" ON public.user_settings;
+CREATE POLICY "Allow individual read access"
+ON public.user_settings
+FOR SELECT
+USING (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Allow individual insert access" ON public.user_settings;
+CREATE POLICY "Allow individual insert access"
+ON public.user_settings
+FOR INSERT
+WITH CHECK (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Allow individual update access" ON public.user_settings;
+CREATE POLICY "Allow individual update access"
+ON public.user_settings
+FOR UPDATE
+USING (auth.uid() = user_id)
+WITH CHECK (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Allow individual delete access" ON public.user_settings;
+CREATE POLICY "Allow individual delete access"
+ON public.user_settings
+FOR DELETE
+USING (auth.uid() = user_id);
+
+-- The app sends pushes client-side (lib/notifications.js), so signed-in users
+-- need to read other users' tokens; only the owner can add or remove them
+DROP POLICY IF EXISTS "Allow authenticated read access" ON public.user_tokens;
+CREATE POLICY "Allow authenticated read access"
+ON public.user_tokens
+FOR SELECT
+TO authenticated
+USING (true);
+
+DROP POLICY IF EXISTS "Allow individual insert access" ON public.user_tokens;
+CREATE POLICY "Allow individual insert access"
+ON public.user_tokens
+FOR INSERT
+WITH CHECK (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Allow individual delete access" ON public.user_tokens;
+CREATE POLICY "Allow individual delete access"
+ON public.user_tokens
+FOR DELETE
+USING (auth.uid() = user_id);
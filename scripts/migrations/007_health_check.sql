@@ -0,0 +1,22 @@
+-- Table polled by checkConnection() in lib/supabase.js
+
+CREATE TABLE IF NOT EXISTS public.health_check (
+    id integer PRIMARY KEY DEFAULT 1 CHECK (id = 1),
+    status text NOT NULL DEFAULT 'ok',
+    updated_at timestamp with time zone DEFAULT timezone('utc'::text, now()) NOT NULL
+);
+
+COMMENT ON TABLE public.health_check IS 'Single row read by the app to verify the database is reachable.';
+
+INSERT INTO public.health_check (id, status) VALUES (1, 'ok')
+ON CONFLICT (id) DO NOTHING;
+
+ALTER TABLE public.health_check ENABLE ROW LEVEL SECURITY;
+
+-- Readable before sign-in, never writable through the API
+DROP POLICY IF EXISTS "Allow public read access" ON public.health_check;
+CREATE POLICY "Allow public read access"
+ON public.health_check
+FOR SELECT
+TO anon, authenticated
+USING (true);
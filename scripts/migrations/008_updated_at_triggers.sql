@@ -0,0 +1,34 @@
+-- Keep updated_at current on every update
+
+CREATE OR REPLACE FUNCTION public.set_updated_at()
+RETURNS trigger
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    NEW.updated_at = timezone('utc'::text, now());
+    RETURN NEW;
+END;
+$$;
+
+ALTER TABLE public.items ADD COLUMN IF NOT EXISTS updated_at timestamp with time zone DEFAULT timezone('utc'::text, now()) NOT NULL;
+ALTER TABLE public.collections ADD COLUMN IF NOT EXISTS updated_at timestamp with time zone DEFAULT timezone('utc'::text, now()) NOT NULL;
+
+DROP TRIGGER IF EXISTS set_updated_at ON public.items;
+CREATE TRIGGER set_updated_at
+BEFORE UPDATE ON public.items
+FOR EACH ROW EXECUTE FUNCTION public.set_updated_at();
+
+DROP TRIGGER IF EXISTS set_updated_at ON public.collections;
+CREATE TRIGGER set_updated_at
+BEFORE UPDATE ON public.collections
+FOR EACH ROW EXECUTE FUNCTION public.set_updated_at();
+
+DROP TRIGGER IF EXISTS set_updated_at ON public.profiles;
+CREATE TRIGGER set_updated_at
+BEFORE UPDATE ON public.profiles
+FOR EACH ROW EXECUTE FUNCTION public.set_updated_at();
+
+DROP TRIGGER IF EXISTS set_updated_at ON public.user_settings;
+CREATE TRIGGER set_updated_at
+BEFORE UPDATE ON public.user_settings
+FOR EACH ROW EXECUTE FUNCTION public.set_updated_at();
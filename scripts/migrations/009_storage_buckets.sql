@@ -0,0 +1,50 @@
+-- Storage buckets used by the app
+-- Only applies where the Supabase storage schema exists; plain Postgres skips it.
+
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_namespace WHERE nspname = 'storage') THEN
+        RAISE NOTICE 'storage schema not found, skipping bucket setup';
+        RETURN;
+    END IF;
+
+    -- Item photos are private and served through signed URLs
+    INSERT INTO storage.buckets (id, name, public)
+    VALUES ('item-photos', 'item-photos', false)
+    ON CONFLICT (id) DO NOTHING;
+
+    -- Avatars are uploaded to profiles/avatars/* and served through public URLs
+    INSERT INTO storage.buckets (id, name, public)
+    VALUES ('profiles', 'profiles', true)
+    ON CONFLICT (id) DO NOTHING;
+
+    DROP POLICY IF EXISTS "Item photos are readable by signed-in users" ON storage.objects;
+    CREATE POLICY "Item photos are readable by signed-in users"
+    ON storage.objects
+    FOR SELECT
+    TO authenticated
+    USING (bucket_id = 'item-photos');
+
+    DROP POLICY IF EXISTS "Users can upload item photos" ON storage.objects;
+    CREATE POLICY "Users can upload item photos"
+    ON storage.objects
+    FOR INSERT
+    TO authenticated
+    WITH CHECK (bucket_id = 'item-photos' AND owner = auth.uid());
+
+    DROP POLICY IF EXISTS "Users can delete their item photos" ON storage.objects;
+    CREATE POLICY "Users can delete their item photos"
+    ON storage.objects
+    FOR DELETE
+    TO authenticated
+    USING (bucket_id = 'item-photos' AND owner = auth.uid());
+
+    DROP POLICY IF EXISTS "Users can manage their avatars" ON storage.objects;
+    CREATE POLICY "Users can manage their avatars"
+    ON storage.objects
+    FOR ALL
+    TO authenticated
+    USING (bucket_id = 'profiles' AND owner = auth.uid())
+    WITH CHECK (bucket_id = 'profiles' AND owner = auth.uid());
+END
+$$;
@@ -0,0 +1,22 @@
+-- Publish the tables the app listens to over Supabase Realtime
+-- Only applies where the supabase_realtime publication exists; plain Postgres skips it.
+
+DO $$
+DECLARE
+    realtime_table text;
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_publication WHERE pubname = 'supabase_realtime') THEN
+        RAISE NOTICE 'supabase_realtime publication not found, skipping realtime setup';
+        RETURN;
+    END IF;
+
+    FOREACH realtime_table IN ARRAY ARRAY['notifications', 'likes', 'comments'] LOOP
+        IF NOT EXISTS (
+            SELECT 1 FROM pg_publication_tables
+            WHERE pubname = 'supabase_realtime' AND schemaname = 'public' AND tablename = realtime_table
+        ) THEN
+            EXECUTE format('ALTER PUBLICATION supabase_realtime ADD TABLE public.%I', realtime_table);
+        END IF;
+    END LOOP;
+END
+$$;
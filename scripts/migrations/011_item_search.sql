@@ -0,0 +1,84 @@
+-- Full-text search over items, with trigram matching for typos
+
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+-- Free-form labels; searched alongside the other text columns
+ALTER TABLE public.items ADD COLUMN IF NOT EXISTS tags text[] NOT NULL DEFAULT '{}';
+-- Maintained by the items_search_update trigger below
+ALTER TABLE public.items ADD COLUMN IF NOT EXISTS search_vector tsvector;
+ALTER TABLE public.items ADD COLUMN IF NOT EXISTS search_text text;
+
+COMMENT ON COLUMN public.items.tags IS 'User-defined tags.';
+COMMENT ON COLUMN public.items.search_vector IS 'Weighted full-text document: name, tags and identifiers (A), brand (B), category (C), notes (D).';
+COMMENT ON COLUMN public.items.search_text IS 'Lowercased name, brand, category and tags for trigram (typo-tolerant) matching.';
+
+-- 'simple' rather than a language config: names and brands shouldn't be stemmed
+CREATE OR REPLACE FUNCTION public.items_search_update()
+RETURNS trigger
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    NEW.search_vector :=
+        setweight(to_tsvector('simple', coalesce(NEW.name, '')), 'A') ||
+        setweight(to_tsvector('simple', array_to_string(NEW.tags, ' ') || ' ' || array_to_string(NEW.identifiers, ' ')), 'A') ||
+        setweight(to_tsvector('simple', coalesce(NEW.brand, '')), 'B') ||
+        setweight(to_tsvector('simple', coalesce(NEW.category, '')), 'C') ||
+        setweight(to_tsvector('simple', coalesce(NEW.notes, '')), 'D');
+    NEW.search_text := lower(concat_ws(' ', NEW.name, NEW.brand, NEW.category, array_to_string(NEW.tags, ' ')));
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS items_search_update ON public.items;
+CREATE TRIGGER items_search_update
+BEFORE INSERT OR UPDATE OF name, brand, category, notes, tags, identifiers ON public.items
+FOR EACH ROW EXECUTE FUNCTION public.items_search_update();
+
+-- Backfill existing rows without touching updated_at (offline edits compare against it)
+ALTER TABLE public.items DISABLE TRIGGER set_updated_at;
+UPDATE public.items SET name = name WHERE search_vector IS NULL;
+ALTER TABLE public.items ENABLE TRIGGER set_updated_at;
+
+CREATE INDEX IF NOT EXISTS items_search_vector_idx ON public.items USING gin (search_vector);
+CREATE INDEX IF NOT EXISTS items_search_text_trgm_idx ON public.items USING gin (search_text gin_trgm_ops);
+
+-- Ranked search. Every word must match, each as a prefix ("pok car" finds
+-- "Pokemon card"); failing that, the query may be a close misspelling of a
+-- word in the name, brand, category or tags. Returns whole item rows, best
+-- match first, so callers can filter, sort and page the results like any
+-- items query. Runs as the caller, so RLS decides which items can be found.
+CREATE OR REPLACE FUNCTION public.search_items(
+    search_query text,
+    identifier_terms text[] DEFAULT NULL
+)
+RETURNS SETOF public.items
+LANGUAGE sql STABLE
+SET search_path = public, extensions
+AS $$
+    WITH query AS (
+        SELECT
+            (
+                SELECT to_tsquery('simple', string_agg(quote_literal(word) || ':*', ' & '))
+                FROM regexp_split_to_table(lower(search_query), '[^[:alnum:]]+') AS word
+                WHERE word <> ''
+            ) AS terms,
+            lower(trim(search_query)) AS phrase
+    )
+    SELECT items.*
+    FROM public.items, query
+    WHERE query.phrase <> ''
+      AND (
+          items.search_vector @@ query.terms
+          OR query.phrase <% items.search_text
+          OR items.identifiers && identifier_terms
+      )
+    ORDER BY
+        coalesce(ts_rank(items.search_vector, query.terms), 0)
+        + word_similarity(query.phrase, items.search_text)
+        + CASE WHEN items.identifiers && identifier_terms THEN 1 ELSE 0 END DESC,
+        items.id DESC;
+$$;
+
+COMMENT ON FUNCTION public.search_items IS 'Items the caller can see matching a full-text or trigram search, best match first.';
+
+GRANT EXECUTE ON FUNCTION public.search_items TO authenticated;
@@ -0,0 +1,43 @@
+-- An earlier draft of 011 created search_items with its own filter and paging
+-- arguments; 011 now creates this final version directly. Databases that ran
+-- the draft get the old overload dropped and the final version created here,
+-- so every database ends up with exactly one search_items whichever way it got
+-- here, and 011 and this file can both be run again safely.
+
+DROP FUNCTION IF EXISTS public.search_items(text, uuid, text, text[], text[], real, bigint, integer);
+
+CREATE OR REPLACE FUNCTION public.search_items(
+    search_query text,
+    identifier_terms text[] DEFAULT NULL
+)
+RETURNS SETOF public.items
+LANGUAGE sql STABLE
+SET search_path = public, extensions
+AS $$
+    WITH query AS (
+        SELECT
+            (
+                SELECT to_tsquery('simple', string_agg(quote_literal(word) || ':*', ' & '))
+                FROM regexp_split_to_table(lower(search_query), '[^[:alnum:]]+') AS word
+                WHERE word <> ''
+            ) AS terms,
+            lower(trim(search_query)) AS phrase
+    )
+    SELECT items.*
+    FROM public.items, query
+    WHERE query.phrase <> ''
+      AND (
+          items.search_vector @@ query.terms
+          OR query.phrase <% items.search_text
+          OR items.identifiers && identifier_terms
+      )
+    ORDER BY
+        coalesce(ts_rank(items.search_vector, query.terms), 0)
+        + word_similarity(query.phrase, items.search_text)
+        + CASE WHEN items.identifiers && identifier_terms THEN 1 ELSE 0 END DESC,
+        items.id DESC;
+$$;
+
+COMMENT ON FUNCTION public.search_items IS 'Items the caller can see matching a full-text or trigram search, best match first.';
+
+GRANT EXECUTE ON FUNCTION public.search_items TO authenticated;
@@ -0,0 +1,48 @@
+-- Saved searches, shown as smart collections
+
+CREATE TABLE IF NOT EXISTS public.saved_searches (
+    id bigint GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    user_id uuid REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL DEFAULT auth.uid(),
+    name text NOT NULL,
+    icon text NOT NULL DEFAULT '🔎',
+    filters text NOT NULL DEFAULT '',
+    created_at timestamp with time zone DEFAULT timezone('utc'::text, now()) NOT NULL,
+    updated_at timestamp with time zone DEFAULT timezone('utc'::text, now()) NOT NULL
+);
+
+COMMENT ON TABLE public.saved_searches IS 'Named search rules; their items are whatever matches the rule, not a stored list.';
+COMMENT ON COLUMN public.saved_searches.filters IS 'Query and filters as encoded by utils/searchFilters.js (e.g. q=mustang&min=10).';
+
+CREATE INDEX IF NOT EXISTS saved_searches_user_id_idx ON public.saved_searches (user_id);
+
+ALTER TABLE public.saved_searches ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Allow individual read access" ON public.saved_searches;
+CREATE POLICY "Allow individual read access"
+ON public.saved_searches
+FOR SELECT
+USING (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Allow individual insert access" ON public.saved_searches;
+CREATE POLICY "Allow individual insert access"
+ON public.saved_searches
+FOR INSERT
+WITH CHECK (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Allow individual update access" ON public.saved_searches;
+CREATE POLICY "Allow individual update access"
+ON public.saved_searches
+FOR UPDATE
+USING (auth.uid() = user_id)
+WITH CHECK (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Allow individual delete access" ON public.saved_searches;
+CREATE POLICY "Allow individual delete access"
+ON public.saved_searches
+FOR DELETE
+USING (auth.uid() = user_id);
+
+DROP TRIGGER IF EXISTS set_updated_at ON public.saved_searches;
+CREATE TRIGGER set_updated_at
+BEFORE UPDATE ON public.saved_searches
+FOR EACH ROW EXECUTE FUNCTION public.set_updated_at();
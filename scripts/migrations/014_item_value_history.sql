@@ -0,0 +1,114 @@
+-- Value history: every change to items.value is recorded with where it came from
+
+-- Where the current value came from, and an optional note; copied into the
+-- history row when the value changes
+ALTER TABLE public.items ADD COLUMN IF NOT EXISTS value_source text NOT NULL DEFAULT 'manual';
+ALTER TABLE public.items ADD COLUMN IF NOT EXISTS value_note text;
+
+ALTER TABLE public.items DROP CONSTRAINT IF EXISTS items_value_source_check;
+ALTER TABLE public.items ADD CONSTRAINT items_value_source_check
+    CHECK (value_source IN ('manual', 'ai', 'import'));
+
+COMMENT ON COLUMN public.items.value_source IS 'How the current value was set: manual, ai (AI estimate) or import.';
+COMMENT ON COLUMN public.items.value_note IS 'Note on the current value, e.g. where the price was seen.';
+
+CREATE TABLE IF NOT EXISTS public.item_value_history (
+    id bigint GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    item_id bigint REFERENCES public.items(id) ON DELETE CASCADE NOT NULL,
+    user_id uuid REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL DEFAULT auth.uid(),
+    value numeric(12, 2),
+    source text NOT NULL DEFAULT 'manual' CHECK (source IN ('manual', 'ai', 'import')),
+    note text,
+    recorded_at timestamp with time zone DEFAULT timezone('utc'::text, now()) NOT NULL
+);
+
+COMMENT ON TABLE public.item_value_history IS 'Every value an item has had. Written by the record_item_value trigger.';
+COMMENT ON COLUMN public.item_value_history.value IS 'The new value; null when the value was cleared.';
+
+CREATE INDEX IF NOT EXISTS item_value_history_item_id_idx ON public.item_value_history (item_id, recorded_at);
+CREATE INDEX IF NOT EXISTS item_value_history_user_id_idx ON public.item_value_history (user_id, recorded_at);
+
+ALTER TABLE public.item_value_history ENABLE ROW LEVEL SECURITY;
+
+-- Readable with the item: by the owner, and by everyone when it's shared
+DROP POLICY IF EXISTS "Allow read access with the item" ON public.item_value_history;
+CREATE POLICY "Allow read access with the item"
+ON public.item_value_history
+FOR SELECT
+USING (
+    auth.uid() = user_id
+    OR EXISTS (
+        SELECT 1 FROM public.items
+        WHERE items.id = item_value_history.item_id AND items.is_shared
+    )
+);
+
+DROP POLICY IF EXISTS "Allow individual insert access" ON public.item_value_history;
+CREATE POLICY "Allow individual insert access"
+ON public.item_value_history
+FOR INSERT
+WITH CHECK (
+    auth.uid() = user_id
+    AND EXISTS (
+        SELECT 1 FROM public.items
+        WHERE items.id = item_value_history.item_id AND items.user_id = auth.uid()
+    )
+);
+
+DROP POLICY IF EXISTS "Allow individual delete access" ON public.item_value_history;
+CREATE POLICY "Allow individual delete access"
+ON public.item_value_history
+FOR DELETE
+USING (auth.uid() = user_id);
+
+-- An update that leaves the value alone keeps its source and note, so saving
+-- an unrelated edit doesn't relabel an AI estimate as manual
+CREATE OR REPLACE FUNCTION public.keep_item_value_source()
+RETURNS trigger
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    IF NEW.value IS NOT DISTINCT FROM OLD.value THEN
+        NEW.value_source := OLD.value_source;
+        NEW.value_note := OLD.value_note;
+    END IF;
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS keep_item_value_source ON public.items;
+CREATE TRIGGER keep_item_value_source
+BEFORE UPDATE ON public.items
+FOR EACH ROW EXECUTE FUNCTION public.keep_item_value_source();
+
+CREATE OR REPLACE FUNCTION public.record_item_value()
+RETURNS trigger
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    IF TG_OP = 'INSERT' AND NEW.value IS NULL THEN
+        RETURN NULL;
+    END IF;
+    IF TG_OP = 'UPDATE' AND NEW.value IS NOT DISTINCT FROM OLD.value THEN
+        RETURN NULL;
+    END IF;
+
+    INSERT INTO public.item_value_history (item_id, user_id, value, source, note)
+    VALUES (NEW.id, NEW.user_id, NEW.value, NEW.value_source, NEW.value_note);
+    RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS record_item_value ON public.items;
+CREATE TRIGGER record_item_value
+AFTER INSERT OR UPDATE OF value ON public.items
+FOR EACH ROW EXECUTE FUNCTION public.record_item_value();
+
+-- Start the history of existing items at their current value, dated when the item was added
+INSERT INTO public.item_value_history (item_id, user_id, value, source, note, recorded_at)
+SELECT items.id, items.user_id, items.value, 'manual', 'Value before history was kept', items.created_at
+FROM public.items
+WHERE items.value IS NOT NULL
+  AND NOT EXISTS (
+      SELECT 1 FROM public.item_value_history history WHERE history.item_id = items.id
+  );
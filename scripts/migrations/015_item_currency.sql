@@ -0,0 +1,52 @@
+-- Money model: an item's value is an amount in a currency (ISO 4217 code)
+
+ALTER TABLE public.items ADD COLUMN IF NOT EXISTS currency text NOT NULL DEFAULT 'USD';
+
+ALTER TABLE public.items DROP CONSTRAINT IF EXISTS items_currency_check;
+ALTER TABLE public.items ADD CONSTRAINT items_currency_check CHECK (currency ~ '^[A-Z]{3}$');
+
+COMMENT ON COLUMN public.items.currency IS 'ISO 4217 code of the currency items.value is in.';
+
+-- Every value so far was entered as dollars
+ALTER TABLE public.item_value_history ADD COLUMN IF NOT EXISTS currency text NOT NULL DEFAULT 'USD';
+
+ALTER TABLE public.item_value_history DROP CONSTRAINT IF EXISTS item_value_history_currency_check;
+ALTER TABLE public.item_value_history ADD CONSTRAINT item_value_history_currency_check
+    CHECK (currency ~ '^[A-Z]{3}$');
+
+-- A new currency is a new value, so it gets its own history row and source
+CREATE OR REPLACE FUNCTION public.keep_item_value_source()
+RETURNS trigger
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    IF NEW.value IS NOT DISTINCT FROM OLD.value AND NEW.currency = OLD.currency THEN
+        NEW.value_source := OLD.value_source;
+        NEW.value_note := OLD.value_note;
+    END IF;
+    RETURN NEW;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.record_item_value()
+RETURNS trigger
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    IF TG_OP = 'INSERT' AND NEW.value IS NULL THEN
+        RETURN NULL;
+    END IF;
+    IF TG_OP = 'UPDATE' AND NEW.value IS NOT DISTINCT FROM OLD.value AND NEW.currency = OLD.currency THEN
+        RETURN NULL;
+    END IF;
+
+    INSERT INTO public.item_value_history (item_id, user_id, value, currency, source, note)
+    VALUES (NEW.id, NEW.user_id, NEW.value, NEW.currency, NEW.value_source, NEW.value_note);
+    RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS record_item_value ON public.items;
+CREATE TRIGGER record_item_value
+AFTER INSERT OR UPDATE OF value, currency ON public.items
+FOR EACH ROW EXECUTE FUNCTION public.record_item_value();
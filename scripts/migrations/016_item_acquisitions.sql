@@ -0,0 +1,83 @@
+-- Acquisition details: what an item cost, when and where it was bought.
+-- Kept out of items so other users never see them on shared items.
+
+CREATE TABLE IF NOT EXISTS public.item_acquisitions (
+    item_id bigint PRIMARY KEY REFERENCES public.items(id) ON DELETE CASCADE,
+    user_id uuid REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL DEFAULT auth.uid(),
+    purchase_price numeric(12, 2) CHECK (purchase_price >= 0),
+    fees numeric(12, 2) CHECK (fees >= 0),
+    currency text NOT NULL DEFAULT 'USD' CHECK (currency ~ '^[A-Z]{3}$'),
+    purchase_date date,
+    source text,
+    receipt_path text,
+    created_at timestamp with time zone DEFAULT timezone('utc'::text, now()) NOT NULL,
+    updated_at timestamp with time zone DEFAULT timezone('utc'::text, now()) NOT NULL
+);
+
+COMMENT ON TABLE public.item_acquisitions IS 'Purchase details of an item, visible to its owner only.';
+COMMENT ON COLUMN public.item_acquisitions.fees IS 'Shipping, buyer''s premium and other costs on top of the price.';
+COMMENT ON COLUMN public.item_acquisitions.currency IS 'ISO 4217 code of purchase_price and fees.';
+COMMENT ON COLUMN public.item_acquisitions.source IS 'Seller, shop or site the item was bought from.';
+COMMENT ON COLUMN public.item_acquisitions.receipt_path IS 'Object path of the receipt photo in the receipts bucket.';
+
+CREATE INDEX IF NOT EXISTS item_acquisitions_user_id_idx ON public.item_acquisitions (user_id, purchase_date);
+
+ALTER TABLE public.item_acquisitions ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Allow individual read access" ON public.item_acquisitions;
+CREATE POLICY "Allow individual read access"
+ON public.item_acquisitions
+FOR SELECT
+USING (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Allow individual insert access" ON public.item_acquisitions;
+CREATE POLICY "Allow individual insert access"
+ON public.item_acquisitions
+FOR INSERT
+WITH CHECK (
+    auth.uid() = user_id
+    AND EXISTS (
+        SELECT 1 FROM public.items
+        WHERE items.id = item_acquisitions.item_id AND items.user_id = auth.uid()
+    )
+);
+
+DROP POLICY IF EXISTS "Allow individual update access" ON public.item_acquisitions;
+CREATE POLICY "Allow individual update access"
+ON public.item_acquisitions
+FOR UPDATE
+USING (auth.uid() = user_id)
+WITH CHECK (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Allow individual delete access" ON public.item_acquisitions;
+CREATE POLICY "Allow individual delete access"
+ON public.item_acquisitions
+FOR DELETE
+USING (auth.uid() = user_id);
+
+DROP TRIGGER IF EXISTS set_updated_at ON public.item_acquisitions;
+CREATE TRIGGER set_updated_at
+BEFORE UPDATE ON public.item_acquisitions
+FOR EACH ROW EXECUTE FUNCTION public.set_updated_at();
+
+-- Receipt photos: private, stored under <user id>/ and readable by their owner only
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_namespace WHERE nspname = 'storage') THEN
+        RAISE NOTICE 'storage schema not found, skipping receipts bucket setup';
+        RETURN;
+    END IF;
+
+    INSERT INTO storage.buckets (id, name, public)
+    VALUES ('receipts', 'receipts', false)
+    ON CONFLICT (id) DO NOTHING;
+
+    DROP POLICY IF EXISTS "Users can manage their receipts" ON storage.objects;
+    CREATE POLICY "Users can manage their receipts"
+    ON storage.objects
+    FOR ALL
+    TO authenticated
+    USING (bucket_id = 'receipts' AND owner = auth.uid())
+    WITH CHECK (bucket_id = 'receipts' AND owner = auth.uid());
+END
+$$;
@@ -0,0 +1,95 @@
+-- Category-specific item details (set, grade, mint mark...) and user-defined fields
+
+-- Field key -> value, shaped by the field schemas in utils/fieldSchemas.js
+ALTER TABLE public.items ADD COLUMN IF NOT EXISTS attributes jsonb NOT NULL DEFAULT '{}'::jsonb;
+
+ALTER TABLE public.items DROP CONSTRAINT IF EXISTS items_attributes_check;
+ALTER TABLE public.items ADD CONSTRAINT items_attributes_check CHECK (jsonb_typeof(attributes) = 'object');
+
+COMMENT ON COLUMN public.items.attributes IS 'Category and custom field values keyed by field key, e.g. {"set": "Base Set", "grade": 9}.';
+COMMENT ON COLUMN public.items.search_vector IS 'Weighted full-text document: name, tags and identifiers (A), brand and attributes (B), category (C), notes (D).';
+COMMENT ON COLUMN public.items.search_text IS 'Lowercased name, brand, category, tags and attribute values for trigram (typo-tolerant) matching.';
+
+-- Containment lookups, e.g. attributes @> '{"mint_mark": "D"}'
+CREATE INDEX IF NOT EXISTS items_attributes_idx ON public.items USING gin (attributes jsonb_path_ops);
+
+-- Attribute values are searched along with the brand
+CREATE OR REPLACE FUNCTION public.items_search_update()
+RETURNS trigger
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    attribute_text text := coalesce(
+        (SELECT string_agg(value, ' ') FROM jsonb_each_text(NEW.attributes)),
+        ''
+    );
+BEGIN
+    NEW.search_vector :=
+        setweight(to_tsvector('simple', coalesce(NEW.name, '')), 'A') ||
+        setweight(to_tsvector('simple', array_to_string(NEW.tags, ' ') || ' ' || array_to_string(NEW.identifiers, ' ')), 'A') ||
+        setweight(to_tsvector('simple', coalesce(NEW.brand, '') || ' ' || attribute_text), 'B') ||
+        setweight(to_tsvector('simple', coalesce(NEW.category, '')), 'C') ||
+        setweight(to_tsvector('simple', coalesce(NEW.notes, '')), 'D');
+    NEW.search_text := lower(concat_ws(' ', NEW.name, NEW.brand, NEW.category, array_to_string(NEW.tags, ' '), attribute_text));
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS items_search_update ON public.items;
+CREATE TRIGGER items_search_update
+BEFORE INSERT OR UPDATE OF name, brand, category, notes, tags, identifiers, attributes ON public.items
+FOR EACH ROW EXECUTE FUNCTION public.items_search_update();
+
+-- Fields users add on top of the built-in ones, for one category or all of them
+CREATE TABLE IF NOT EXISTS public.custom_fields (
+    id bigint GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    user_id uuid REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL DEFAULT auth.uid(),
+    category text,
+    key text NOT NULL CHECK (key ~ '^[a-z][a-z0-9_]{0,39}$'),
+    label text NOT NULL CHECK (char_length(label) BETWEEN 1 AND 40),
+    type text NOT NULL DEFAULT 'text' CHECK (type IN ('text', 'number', 'year', 'select')),
+    options text[] NOT NULL DEFAULT '{}',
+    required boolean NOT NULL DEFAULT false,
+    position integer NOT NULL DEFAULT 0,
+    created_at timestamp with time zone DEFAULT timezone('utc'::text, now()) NOT NULL,
+    updated_at timestamp with time zone DEFAULT timezone('utc'::text, now()) NOT NULL,
+    UNIQUE NULLS NOT DISTINCT (user_id, category, key)
+);
+
+COMMENT ON TABLE public.custom_fields IS 'User-defined item fields; values are stored in items.attributes under key.';
+COMMENT ON COLUMN public.custom_fields.category IS 'Category the field applies to; null for every category.';
+COMMENT ON COLUMN public.custom_fields.options IS 'Choices for select fields.';
+
+CREATE INDEX IF NOT EXISTS custom_fields_user_id_idx ON public.custom_fields (user_id);
+
+ALTER TABLE public.custom_fields ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Allow individual read access" ON public.custom_fields;
+CREATE POLICY "Allow individual read access"
+ON public.custom_fields
+FOR SELECT
+USING (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Allow individual insert access" ON public.custom_fields;
+CREATE POLICY "Allow individual insert access"
+ON public.custom_fields
+FOR INSERT
+WITH CHECK (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Allow individual update access" ON public.custom_fields;
+CREATE POLICY "Allow individual update access"
+ON public.custom_fields
+FOR UPDATE
+USING (auth.uid() = user_id)
+WITH CHECK (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Allow individual delete access" ON public.custom_fields;
+CREATE POLICY "Allow individual delete access"
+ON public.custom_fields
+FOR DELETE
+USING (auth.uid() = user_id);
+
+DROP TRIGGER IF EXISTS set_updated_at ON public.custom_fields;
+CREATE TRIGGER set_updated_at
+BEFORE UPDATE ON public.custom_fields
+FOR EACH ROW EXECUTE FUNCTION public.set_updated_at();
@@ -0,0 +1,73 @@
+-- Tag lookups and renaming, merging and deleting tags across all of a user's items.
+-- Tags are stored normalized by the app (see utils/tags.js): trimmed and lowercase.
+
+-- Containment filters, e.g. tags @> '{vintage,boxed}'
+CREATE INDEX IF NOT EXISTS items_tags_idx ON public.items USING gin (tags);
+
+-- The caller's tags with the number of items carrying each, most used first
+CREATE OR REPLACE FUNCTION public.user_tags()
+RETURNS TABLE (tag text, item_count bigint)
+LANGUAGE sql STABLE
+AS $$
+    SELECT item_tag, count(*)
+    FROM public.items, unnest(items.tags) AS item_tag
+    WHERE items.user_id = auth.uid()
+    GROUP BY item_tag
+    ORDER BY count(*) DESC, item_tag;
+$$;
+
+COMMENT ON FUNCTION public.user_tags IS 'The caller''s tags and how many of their items carry each.';
+
+-- Replaces source_tags with target_tag on every item of the caller's that has
+-- any of them, keeping each item's tag order and dropping duplicates. Renaming
+-- a tag is merging it alone into the new name.
+CREATE OR REPLACE FUNCTION public.merge_tags(source_tags text[], target_tag text)
+RETURNS integer
+LANGUAGE sql
+AS $$
+    WITH changed AS (
+        UPDATE public.items
+        SET tags = ARRAY(
+            SELECT renamed.tag
+            FROM (
+                SELECT CASE WHEN item_tag = ANY(source_tags) THEN target_tag ELSE item_tag END AS tag, position
+                FROM unnest(items.tags) WITH ORDINALITY AS existing(item_tag, position)
+            ) AS renamed
+            GROUP BY renamed.tag
+            ORDER BY min(renamed.position)
+        )
+        WHERE items.user_id = auth.uid()
+          AND items.tags && source_tags
+          AND coalesce(trim(target_tag), '') <> ''
+        RETURNING items.id
+    )
+    SELECT count(*)::integer FROM changed;
+$$;
+
+COMMENT ON FUNCTION public.merge_tags IS 'Renames or merges tags across the caller''s items; returns the number of items changed.';
+
+-- Removes tags from every item of the caller's
+CREATE OR REPLACE FUNCTION public.delete_tags(tag_list text[])
+RETURNS integer
+LANGUAGE sql
+AS $$
+    WITH changed AS (
+        UPDATE public.items
+        SET tags = ARRAY(
+            SELECT item_tag
+            FROM unnest(items.tags) WITH ORDINALITY AS existing(item_tag, position)
+            WHERE NOT item_tag = ANY(tag_list)
+            ORDER BY position
+        )
+        WHERE items.user_id = auth.uid()
+          AND items.tags && tag_list
+        RETURNING items.id
+    )
+    SELECT count(*)::integer FROM changed;
+$$;
+
+COMMENT ON FUNCTION public.delete_tags IS 'Removes tags from the caller''s items; returns the number of items changed.';
+
+GRANT EXECUTE ON FUNCTION public.user_tags TO authenticated;
+GRANT EXECUTE ON FUNCTION public.merge_tags TO authenticated;
+GRANT EXECUTE ON FUNCTION public.delete_tags TO authenticated;
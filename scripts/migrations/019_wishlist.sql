@@ -0,0 +1,25 @@
+-- Wishlist items: things the user is hunting for, kept in items with status 'wanted'.
+-- Marking one as acquired flips it to 'owned' in place, so its photos, value
+-- history, comments and likes stay with it.
+
+ALTER TABLE public.items ADD COLUMN IF NOT EXISTS status text NOT NULL DEFAULT 'owned';
+ALTER TABLE public.items ADD COLUMN IF NOT EXISTS target_price numeric;
+ALTER TABLE public.items ADD COLUMN IF NOT EXISTS priority smallint;
+ALTER TABLE public.items ADD COLUMN IF NOT EXISTS acquired_at timestamp with time zone;
+
+ALTER TABLE public.items DROP CONSTRAINT IF EXISTS items_status_check;
+ALTER TABLE public.items ADD CONSTRAINT items_status_check CHECK (status IN ('owned', 'wanted'));
+
+ALTER TABLE public.items DROP CONSTRAINT IF EXISTS items_target_price_check;
+ALTER TABLE public.items ADD CONSTRAINT items_target_price_check CHECK (target_price IS NULL OR target_price >= 0);
+
+ALTER TABLE public.items DROP CONSTRAINT IF EXISTS items_priority_check;
+ALTER TABLE public.items ADD CONSTRAINT items_priority_check CHECK (priority IS NULL OR priority BETWEEN 1 AND 3);
+
+COMMENT ON COLUMN public.items.status IS 'owned, or wanted for wishlist items.';
+COMMENT ON COLUMN public.items.target_price IS 'Most the user wants to pay for a wishlist item, in currency.';
+COMMENT ON COLUMN public.items.priority IS 'Wishlist priority: 1 low, 2 medium, 3 high.';
+COMMENT ON COLUMN public.items.acquired_at IS 'When a wishlist item was marked as acquired; null for items added as owned.';
+
+-- Every list filters on status
+CREATE INDEX IF NOT EXISTS items_user_id_status_idx ON public.items (user_id, status);
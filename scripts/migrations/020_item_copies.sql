@@ -0,0 +1,126 @@
+-- Quantity and copies: one catalog entry in items for several copies of the
+-- same thing. quantity is how many the user owns; item_copies describes
+-- individual copies (condition, value, grade, photos). Copies without a row
+-- share the item's own condition and value.
+
+ALTER TABLE public.items ADD COLUMN IF NOT EXISTS quantity integer NOT NULL DEFAULT 1;
+
+ALTER TABLE public.items DROP CONSTRAINT IF EXISTS items_quantity_check;
+ALTER TABLE public.items ADD CONSTRAINT items_quantity_check CHECK (quantity >= 1);
+
+COMMENT ON COLUMN public.items.quantity IS 'How many copies the user owns; never fewer than its item_copies rows.';
+
+CREATE TABLE IF NOT EXISTS public.item_copies (
+    id bigint GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    item_id bigint REFERENCES public.items(id) ON DELETE CASCADE NOT NULL,
+    user_id uuid REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL DEFAULT auth.uid(),
+    condition text,
+    value numeric(12, 2) CHECK (value >= 0),
+    grade text,
+    notes text,
+    photos text[] NOT NULL DEFAULT '{}',
+    created_at timestamp with time zone DEFAULT timezone('utc'::text, now()) NOT NULL,
+    updated_at timestamp with time zone DEFAULT timezone('utc'::text, now()) NOT NULL
+);
+
+COMMENT ON TABLE public.item_copies IS 'Individual copies of an item, each with its own condition, value and grade.';
+COMMENT ON COLUMN public.item_copies.condition IS 'Null means the item''s condition.';
+COMMENT ON COLUMN public.item_copies.value IS 'In the item''s currency; null means the item''s value.';
+COMMENT ON COLUMN public.item_copies.grade IS 'Grading service and grade, e.g. PSA 9.';
+COMMENT ON COLUMN public.item_copies.photos IS 'Signed URLs of the copy''s photos in the item-photos bucket.';
+
+CREATE INDEX IF NOT EXISTS item_copies_item_id_idx ON public.item_copies (item_id, created_at);
+
+ALTER TABLE public.item_copies ENABLE ROW LEVEL SECURITY;
+
+-- Readable with the item: by the owner, and by everyone when it's shared
+DROP POLICY IF EXISTS "Allow read access with the item" ON public.item_copies;
+CREATE POLICY "Allow read access with the item"
+ON public.item_copies
+FOR SELECT
+USING (
+    auth.uid() = user_id
+    OR EXISTS (
+        SELECT 1 FROM public.items
+        WHERE items.id = item_copies.item_id AND items.is_shared
+    )
+);
+
+DROP POLICY IF EXISTS "Allow individual insert access" ON public.item_copies;
+CREATE POLICY "Allow individual insert access"
+ON public.item_copies
+FOR INSERT
+WITH CHECK (
+    auth.uid() = user_id
+    AND EXISTS (
+        SELECT 1 FROM public.items
+        WHERE items.id = item_copies.item_id AND items.user_id = auth.uid()
+    )
+);
+
+DROP POLICY IF EXISTS "Allow individual update access" ON public.item_copies;
+CREATE POLICY "Allow individual update access"
+ON public.item_copies
+FOR UPDATE
+USING (auth.uid() = user_id)
+WITH CHECK (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Allow individual delete access" ON public.item_copies;
+CREATE POLICY "Allow individual delete access"
+ON public.item_copies
+FOR DELETE
+USING (auth.uid() = user_id);
+
+DROP TRIGGER IF EXISTS set_updated_at ON public.item_copies;
+CREATE TRIGGER set_updated_at
+BEFORE UPDATE ON public.item_copies
+FOR EACH ROW EXECUTE FUNCTION public.set_updated_at();
+
+-- quantity can't drop below the copies on record
+CREATE OR REPLACE FUNCTION public.clamp_item_quantity()
+RETURNS trigger
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    NEW.quantity := greatest(
+        NEW.quantity,
+        (SELECT count(*) FROM public.item_copies WHERE item_copies.item_id = NEW.id)
+    );
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS clamp_item_quantity ON public.items;
+CREATE TRIGGER clamp_item_quantity
+BEFORE UPDATE OF quantity ON public.items
+FOR EACH ROW EXECUTE FUNCTION public.clamp_item_quantity();
+
+-- Recording another copy raises quantity when it's needed; removing a copy
+-- means the user has one fewer
+CREATE OR REPLACE FUNCTION public.track_item_copies()
+RETURNS trigger
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    IF TG_OP = 'INSERT' THEN
+        UPDATE public.items
+        SET quantity = greatest(
+            quantity,
+            (SELECT count(*) FROM public.item_copies WHERE item_copies.item_id = NEW.item_id)
+        )
+        WHERE id = NEW.item_id;
+        RETURN NEW;
+    END IF;
+
+    -- Nothing to update when the copy went with its item
+    UPDATE public.items
+    SET quantity = greatest(quantity - 1, 1)
+    WHERE id = OLD.item_id;
+    RETURN OLD;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS track_item_copies ON public.item_copies;
+CREATE TRIGGER track_item_copies
+AFTER INSERT OR DELETE ON public.item_copies
+FOR EACH ROW EXECUTE FUNCTION public.track_item_copies();
@@ -0,0 +1,137 @@
+-- Storage locations: where the user keeps things (room -> cabinet -> box -> slot).
+-- Locations nest through parent_id; path holds the ids from the top-level
+-- location down to the row itself, so "this box and everything inside it" is
+-- a containment lookup (path @> ARRAY[box_id]).
+
+CREATE TABLE IF NOT EXISTS public.storage_locations (
+    id bigint GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    user_id uuid REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL DEFAULT auth.uid(),
+    parent_id bigint REFERENCES public.storage_locations(id) ON DELETE CASCADE,
+    name text NOT NULL CHECK (char_length(name) BETWEEN 1 AND 60),
+    kind text NOT NULL DEFAULT 'other' CHECK (kind IN ('room', 'cabinet', 'shelf', 'box', 'binder', 'page', 'slot', 'other')),
+    notes text,
+    path bigint[] NOT NULL DEFAULT '{}' CHECK (cardinality(path) <= 6),
+    created_at timestamp with time zone DEFAULT timezone('utc'::text, now()) NOT NULL,
+    updated_at timestamp with time zone DEFAULT timezone('utc'::text, now()) NOT NULL,
+    UNIQUE NULLS NOT DISTINCT (user_id, parent_id, name)
+);
+
+COMMENT ON TABLE public.storage_locations IS 'Where items are kept; nested through parent_id. Deleting a location deletes the locations inside it.';
+COMMENT ON COLUMN public.storage_locations.kind IS 'room, cabinet, shelf, box, binder, page, slot or other; only used for icons and labels.';
+COMMENT ON COLUMN public.storage_locations.path IS 'Ids from the top-level location down to this one; maintained by triggers.';
+
+CREATE INDEX IF NOT EXISTS storage_locations_user_id_idx ON public.storage_locations (user_id);
+CREATE INDEX IF NOT EXISTS storage_locations_path_idx ON public.storage_locations USING gin (path);
+
+ALTER TABLE public.storage_locations ENABLE ROW LEVEL SECURITY;
+
+-- Private to the owner, even for shared items
+DROP POLICY IF EXISTS "Allow individual read access" ON public.storage_locations;
+CREATE POLICY "Allow individual read access"
+ON public.storage_locations
+FOR SELECT
+USING (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Allow individual insert access" ON public.storage_locations;
+CREATE POLICY "Allow individual insert access"
+ON public.storage_locations
+FOR INSERT
+WITH CHECK (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Allow individual update access" ON public.storage_locations;
+CREATE POLICY "Allow individual update access"
+ON public.storage_locations
+FOR UPDATE
+USING (auth.uid() = user_id)
+WITH CHECK (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Allow individual delete access" ON public.storage_locations;
+CREATE POLICY "Allow individual delete access"
+ON public.storage_locations
+FOR DELETE
+USING (auth.uid() = user_id);
+
+DROP TRIGGER IF EXISTS set_updated_at ON public.storage_locations;
+CREATE TRIGGER set_updated_at
+BEFORE UPDATE ON public.storage_locations
+FOR EACH ROW EXECUTE FUNCTION public.set_updated_at();
+
+-- A location's path is its parent's plus itself. The parent has to be the
+-- owner's and can't be the location itself or anywhere inside it.
+CREATE OR REPLACE FUNCTION public.storage_locations_set_path()
+RETURNS trigger
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    parent record;
+BEGIN
+    IF NEW.parent_id IS NULL THEN
+        NEW.path := ARRAY[NEW.id];
+        RETURN NEW;
+    END IF;
+
+    SELECT path, user_id INTO parent FROM public.storage_locations WHERE id = NEW.parent_id;
+    IF NOT FOUND OR parent.user_id <> NEW.user_id THEN
+        RAISE EXCEPTION 'Parent location not found' USING ERRCODE = 'foreign_key_violation';
+    END IF;
+    IF NEW.id = ANY(parent.path) THEN
+        RAISE EXCEPTION 'A location can''t be moved inside itself' USING ERRCODE = 'check_violation';
+    END IF;
+
+    NEW.path := parent.path || NEW.id;
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS storage_locations_set_path ON public.storage_locations;
+CREATE TRIGGER storage_locations_set_path
+BEFORE INSERT OR UPDATE OF parent_id ON public.storage_locations
+FOR EACH ROW EXECUTE FUNCTION public.storage_locations_set_path();
+
+-- Moving a location moves everything inside it
+CREATE OR REPLACE FUNCTION public.storage_locations_move_children()
+RETURNS trigger
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    UPDATE public.storage_locations
+    SET path = NEW.path || path[array_position(path, NEW.id) + 1:]
+    WHERE path @> ARRAY[NEW.id] AND id <> NEW.id;
+    RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS storage_locations_move_children ON public.storage_locations;
+CREATE TRIGGER storage_locations_move_children
+AFTER UPDATE OF parent_id ON public.storage_locations
+FOR EACH ROW
+WHEN (OLD.parent_id IS DISTINCT FROM NEW.parent_id)
+EXECUTE FUNCTION public.storage_locations_move_children();
+
+-- Items in a deleted location just lose their location
+ALTER TABLE public.items ADD COLUMN IF NOT EXISTS location_id bigint REFERENCES public.storage_locations(id) ON DELETE SET NULL;
+
+COMMENT ON COLUMN public.items.location_id IS 'Where the item is kept; only visible to its owner.';
+
+CREATE INDEX IF NOT EXISTS items_location_id_idx ON public.items (location_id);
+
+-- Items can only be put in their owner's locations
+CREATE OR REPLACE FUNCTION public.items_check_location()
+RETURNS trigger
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    IF NEW.location_id IS NOT NULL AND NOT EXISTS (
+        SELECT 1 FROM public.storage_locations
+        WHERE id = NEW.location_id AND user_id = NEW.user_id
+    ) THEN
+        RAISE EXCEPTION 'Location not found' USING ERRCODE = 'foreign_key_violation';
+    END IF;
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS items_check_location ON public.items;
+CREATE TRIGGER items_check_location
+BEFORE INSERT OR UPDATE OF location_id ON public.items
+FOR EACH ROW EXECUTE FUNCTION public.items_check_location();
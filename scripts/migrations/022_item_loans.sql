@@ -0,0 +1,75 @@
+-- Loans: items the user has lent out, to a friend or for an exhibition. A loan
+-- is active until returned_at is set, and an item has at most one active loan.
+-- The borrower is a name, optionally linked to an app user who can then see
+-- the loan too.
+
+CREATE TABLE IF NOT EXISTS public.item_loans (
+    id bigint GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    item_id bigint REFERENCES public.items(id) ON DELETE CASCADE NOT NULL,
+    user_id uuid REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL DEFAULT auth.uid(),
+    borrower_name text NOT NULL CHECK (char_length(borrower_name) BETWEEN 1 AND 100),
+    borrower_id uuid REFERENCES auth.users(id) ON DELETE SET NULL,
+    lent_on date NOT NULL DEFAULT current_date,
+    due_on date,
+    returned_at timestamp with time zone,
+    notes text,
+    created_at timestamp with time zone DEFAULT timezone('utc'::text, now()) NOT NULL,
+    updated_at timestamp with time zone DEFAULT timezone('utc'::text, now()) NOT NULL,
+    CONSTRAINT item_loans_due_after_lent CHECK (due_on IS NULL OR due_on >= lent_on),
+    CONSTRAINT item_loans_not_to_self CHECK (borrower_id IS DISTINCT FROM user_id)
+);
+
+COMMENT ON TABLE public.item_loans IS 'Items lent out; a loan is active until returned_at is set.';
+COMMENT ON COLUMN public.item_loans.user_id IS 'The lender, who owns the item.';
+COMMENT ON COLUMN public.item_loans.borrower_name IS 'Who has the item; for a linked app user, their name when it was lent.';
+COMMENT ON COLUMN public.item_loans.borrower_id IS 'The borrower''s account, when they use the app.';
+COMMENT ON COLUMN public.item_loans.due_on IS 'When it should be back; null for open-ended loans.';
+
+CREATE INDEX IF NOT EXISTS item_loans_item_id_idx ON public.item_loans (item_id, lent_on DESC);
+CREATE INDEX IF NOT EXISTS item_loans_user_id_idx ON public.item_loans (user_id) WHERE returned_at IS NULL;
+CREATE INDEX IF NOT EXISTS item_loans_borrower_id_idx ON public.item_loans (borrower_id) WHERE borrower_id IS NOT NULL;
+
+-- An item can only be in one place
+CREATE UNIQUE INDEX IF NOT EXISTS item_loans_one_active_idx ON public.item_loans (item_id) WHERE returned_at IS NULL;
+
+ALTER TABLE public.item_loans ENABLE ROW LEVEL SECURITY;
+
+-- The lender, and a linked borrower
+DROP POLICY IF EXISTS "Allow individual read access" ON public.item_loans;
+CREATE POLICY "Allow individual read access"
+ON public.item_loans
+FOR SELECT
+USING (auth.uid() = user_id OR auth.uid() = borrower_id);
+
+-- Only owned items are lent; wishlist items aren't the user's yet
+DROP POLICY IF EXISTS "Allow individual insert access" ON public.item_loans;
+CREATE POLICY "Allow individual insert access"
+ON public.item_loans
+FOR INSERT
+WITH CHECK (
+    auth.uid() = user_id
+    AND EXISTS (
+        SELECT 1 FROM public.items
+        WHERE items.id = item_loans.item_id
+          AND items.user_id = auth.uid()
+          AND items.status = 'owned'
+    )
+);
+
+DROP POLICY IF EXISTS "Allow individual update access" ON public.item_loans;
+CREATE POLICY "Allow individual update access"
+ON public.item_loans
+FOR UPDATE
+USING (auth.uid() = user_id)
+WITH CHECK (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Allow individual delete access" ON public.item_loans;
+CREATE POLICY "Allow individual delete access"
+ON public.item_loans
+FOR DELETE
+USING (auth.uid() = user_id);
+
+DROP TRIGGER IF EXISTS set_updated_at ON public.item_loans;
+CREATE TRIGGER set_updated_at
+BEFORE UPDATE ON public.item_loans
+FOR EACH ROW EXECUTE FUNCTION public.set_updated_at();
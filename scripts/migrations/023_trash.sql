@@ -0,0 +1,114 @@
+-- Trash: deleting an item or collection sets deleted_at instead of removing
+-- the row, so it can be restored. Trashed rows are purged for good by the app
+-- once they're older than the user's retention period; an item's photos stay
+-- in storage until then, as the app removes them together with the row.
+
+ALTER TABLE public.items ADD COLUMN IF NOT EXISTS deleted_at timestamp with time zone;
+ALTER TABLE public.collections ADD COLUMN IF NOT EXISTS deleted_at timestamp with time zone;
+ALTER TABLE public.collections ADD COLUMN IF NOT EXISTS trashed_item_ids bigint[] NOT NULL DEFAULT '{}';
+ALTER TABLE public.user_settings ADD COLUMN IF NOT EXISTS trash_retention_days integer NOT NULL DEFAULT 30
+    CHECK (trash_retention_days BETWEEN 1 AND 365);
+
+COMMENT ON COLUMN public.items.deleted_at IS 'When the item was moved to the trash; null for items in use.';
+COMMENT ON COLUMN public.collections.deleted_at IS 'When the collection was moved to the trash; null for collections in use.';
+COMMENT ON COLUMN public.collections.trashed_item_ids IS 'Items taken out of the collection when it was trashed, put back on restore.';
+COMMENT ON COLUMN public.user_settings.trash_retention_days IS 'Days trashed items and collections are kept before they are deleted for good.';
+
+CREATE INDEX IF NOT EXISTS items_trash_idx ON public.items (user_id, deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS collections_trash_idx ON public.collections (user_id, deleted_at) WHERE deleted_at IS NOT NULL;
+
+-- Other users stop seeing a shared item once it's trashed
+DROP POLICY IF EXISTS "Allow read access to shared items" ON public.items;
+CREATE POLICY "Allow read access to shared items"
+ON public.items
+FOR SELECT
+TO authenticated
+USING (is_shared AND deleted_at IS NULL);
+
+CREATE OR REPLACE FUNCTION public.can_view_item(target_item_id bigint)
+RETURNS boolean
+LANGUAGE sql STABLE SECURITY DEFINER
+SET search_path = public
+AS $$
+    SELECT EXISTS (
+        SELECT 1 FROM public.items
+        WHERE id = target_item_id
+          AND (user_id = auth.uid() OR (is_shared AND deleted_at IS NULL))
+    );
+$$;
+
+-- Tag counts leave out trashed items
+CREATE OR REPLACE FUNCTION public.user_tags()
+RETURNS TABLE (tag text, item_count bigint)
+LANGUAGE sql STABLE
+AS $$
+    SELECT item_tag, count(*)
+    FROM public.items, unnest(items.tags) AS item_tag
+    WHERE items.user_id = auth.uid()
+      AND items.deleted_at IS NULL
+    GROUP BY item_tag
+    ORDER BY count(*) DESC, item_tag;
+$$;
+
+-- Trashing a collection keeps its items, like deleting it always has: they
+-- leave the collection, and the collection remembers them for a restore
+CREATE OR REPLACE FUNCTION public.trash_collection(target_collection_id bigint)
+RETURNS void
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    released bigint[];
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM public.collections
+        WHERE id = target_collection_id AND user_id = auth.uid() AND deleted_at IS NULL
+    ) THEN
+        RAISE EXCEPTION 'Collection not found' USING ERRCODE = 'no_data_found';
+    END IF;
+
+    WITH moved AS (
+        UPDATE public.items
+        SET collection_id = NULL
+        WHERE collection_id = target_collection_id AND user_id = auth.uid()
+        RETURNING id
+    )
+    SELECT coalesce(array_agg(id), '{}') INTO released FROM moved;
+
+    UPDATE public.collections
+    SET deleted_at = now(), trashed_item_ids = released
+    WHERE id = target_collection_id;
+END;
+$$;
+
+COMMENT ON FUNCTION public.trash_collection IS 'Moves one of the caller''s collections to the trash, taking its items out of it.';
+
+-- Items that have since been put in another collection stay there
+CREATE OR REPLACE FUNCTION public.restore_collection(target_collection_id bigint)
+RETURNS void
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    released bigint[];
+BEGIN
+    SELECT trashed_item_ids INTO released
+    FROM public.collections
+    WHERE id = target_collection_id AND user_id = auth.uid() AND deleted_at IS NOT NULL;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Collection not found' USING ERRCODE = 'no_data_found';
+    END IF;
+
+    UPDATE public.collections
+    SET deleted_at = NULL, trashed_item_ids = '{}'
+    WHERE id = target_collection_id;
+
+    UPDATE public.items
+    SET collection_id = target_collection_id
+    WHERE id = ANY(released) AND user_id = auth.uid() AND collection_id IS NULL;
+END;
+$$;
+
+COMMENT ON FUNCTION public.restore_collection IS 'Takes one of the caller''s collections out of the trash and puts its items back in it.';
+
+GRANT EXECUTE ON FUNCTION public.trash_collection TO authenticated;
+GRANT EXECUTE ON FUNCTION public.restore_collection TO authenticated;
@@ -0,0 +1,78 @@
+-- Revision log: every update to an item's fields is recorded as a diff of the
+-- fields that changed, with who changed them, so edits can be reviewed and reverted
+
+CREATE TABLE IF NOT EXISTS public.item_revisions (
+    id bigint GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    item_id bigint REFERENCES public.items(id) ON DELETE CASCADE NOT NULL,
+    user_id uuid REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+    changed_by uuid REFERENCES auth.users(id) ON DELETE SET NULL DEFAULT auth.uid(),
+    changes jsonb NOT NULL,
+    created_at timestamp with time zone DEFAULT timezone('utc'::text, now()) NOT NULL
+);
+
+COMMENT ON TABLE public.item_revisions IS 'Every change to an item''s fields. Written by the record_item_revision trigger.';
+COMMENT ON COLUMN public.item_revisions.user_id IS 'The item''s owner.';
+COMMENT ON COLUMN public.item_revisions.changed_by IS 'Who saved the change; null once their account is deleted.';
+COMMENT ON COLUMN public.item_revisions.changes IS 'The fields that changed: {"name": {"from": "Old", "to": "New"}, ...}.';
+
+CREATE INDEX IF NOT EXISTS item_revisions_item_id_idx ON public.item_revisions (item_id, created_at);
+
+ALTER TABLE public.item_revisions ENABLE ROW LEVEL SECURITY;
+
+-- Only the owner sees an item's history, shared or not
+DROP POLICY IF EXISTS "Allow individual read access" ON public.item_revisions;
+CREATE POLICY "Allow individual read access"
+ON public.item_revisions
+FOR SELECT
+USING (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Allow individual insert access" ON public.item_revisions;
+CREATE POLICY "Allow individual insert access"
+ON public.item_revisions
+FOR INSERT
+WITH CHECK (
+    auth.uid() = user_id
+    AND EXISTS (
+        SELECT 1 FROM public.items
+        WHERE items.id = item_revisions.item_id AND items.user_id = auth.uid()
+    )
+);
+
+-- The fields users edit. Bookkeeping columns (updated_at, search_vector,
+-- value_source), the AI condition analysis and deleted_at (the trash has its
+-- own screen) aren't tracked.
+CREATE OR REPLACE FUNCTION public.record_item_revision()
+RETURNS trigger
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    old_row jsonb := to_jsonb(OLD);
+    new_row jsonb := to_jsonb(NEW);
+    field text;
+    diff jsonb := '{}'::jsonb;
+BEGIN
+    FOREACH field IN ARRAY ARRAY[
+        'name', 'brand', 'category', 'condition', 'condition_details', 'notes',
+        'collection_id', 'location_id', 'is_shared', 'value', 'currency', 'value_note',
+        'tags', 'identifiers', 'attributes', 'quantity',
+        'status', 'target_price', 'priority', 'acquired_at'
+    ] LOOP
+        IF old_row -> field IS DISTINCT FROM new_row -> field THEN
+            diff := diff || jsonb_build_object(field, jsonb_build_object('from', old_row -> field, 'to', new_row -> field));
+        END IF;
+    END LOOP;
+
+    IF diff = '{}'::jsonb THEN
+        RETURN NULL;
+    END IF;
+
+    INSERT INTO public.item_revisions (item_id, user_id, changes)
+    VALUES (NEW.id, NEW.user_id, diff);
+    RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS record_item_revision ON public.items;
+CREATE TRIGGER record_item_revision
+AFTER UPDATE ON public.items
+FOR EACH ROW EXECUTE FUNCTION public.record_item_revision();
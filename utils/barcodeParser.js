@@ -0,0 +1,402 @@
+// barcodeParser.js - Symbology-aware parsing and check-digit validation for product barcodes
+
+// Product symbologies we know how to validate
+export const SYMBOLOGIES = {
+  EAN_13: 'ean13',
+  EAN_8: 'ean8',
+  UPC_A: 'upc_a',
+  UPC_E: 'upc_e',
+  ISBN_10: 'isbn10',
+  ISSN: 'issn',
+  OTHER: 'other',
+};
+
+/**
+ * @typedef {Object} AddOnInfo
+ * @property {'price'|'issue'} kind - What the supplemental code encodes
+ * @property {string} [currency] - Currency of the suggested retail price (books)
+ * @property {number|null} [amount] - Suggested retail price, null when not printed
+ * @property {number} [issue] - Issue number (comics and periodicals)
+ * @property {number} [variant] - Cover variant (comics)
+ * @property {number} [printing] - Printing number (comics)
+ */
+
+/**
+ * @typedef {Object} ParsedBarcode
+ * @property {boolean} valid - Whether the code passed check-digit validation
+ * @property {string|null} error - Why the code was rejected
+ * @property {string} symbology - One of SYMBOLOGIES
+ * @property {string} code - The main code as scanned, digits only
+ * @property {string} lookupCode - The code to send to product lookups
+ * @property {string|null} gtin - GTIN-13 (or GTIN-8) form of the code
+ * @property {string|null} isbn13 - ISBN-13 if this is a book
+ * @property {string|null} isbn10 - ISBN-10 if one exists (978 prefix only)
+ * @property {string|null} issn - ISSN (8 characters, no hyphen) for serials
+ * @property {string|null} addOn - 2 or 5 digit supplemental code
+ * @property {AddOnInfo|null} addOnInfo - Decoded supplemental code
+ * @property {Array<string>} identifiers - Every normalized form, for storage and search
+ */
+
+// Currencies used by the first digit of 5-digit book price add-ons
+const BOOK_PRICE_CURRENCIES = {
+  '0': 'GBP',
+  '1': 'GBP',
+  '3': 'AUD',
+  '4': 'NZD',
+  '5': 'USD',
+  '6': 'CAD',
+};
+
+const onlyDigits = (value) => /^\d+$/.test(value);
+
+/**
+ * Calculates the GS1 mod-10 check digit used by EAN/UPC codes
+ * @param {string} digits - The code without its check digit
+ * @returns {number} - The check digit
+ */
+export const gtinCheckDigit = (digits) => {
+  let sum = 0;
+  // Weights alternate 3,1,3,1... starting from the rightmost data digit
+  for (let i = digits.length - 1, weight = 3; i >= 0; i--, weight = 4 - weight) {
+    sum += Number(digits[i]) * weight;
+  }
+  return (10 - (sum % 10)) % 10;
+};
+
+/**
+ * Validates an EAN-8, UPC-A or EAN-13 code
+ * @param {string} code - The full code including check digit
+ * @returns {boolean}
+ */
+export const isValidGtin = (code) => (
+  typeof code === 'string' &&
+  onlyDigits(code) &&
+  [8, 12, 13, 14].includes(code.length) &&
+  gtinCheckDigit(code.slice(0, -1)) === Number(code.slice(-1))
+);
+
+/**
+ * Calculates the mod-11 ISBN-10 check character
+ * @param {string} digits - The first 9 digits
+ * @returns {string} - '0'-'9' or 'X'
+ */
+export const isbn10CheckDigit = (digits) => {
+  let sum = 0;
+  for (let i = 0; i < 9; i++) {
+    sum += Number(digits[i]) * (10 - i);
+  }
+  const check = (11 - (sum % 11)) % 11;
+  return check === 10 ? 'X' : String(check);
+};
+
+/**
+ * Validates an ISBN-10
+ * @param {string} isbn - 10 characters, hyphens already removed
+ * @returns {boolean}
+ */
+export const isValidIsbn10 = (isbn) => (
+  /^\d{9}[\dX]$/.test(isbn) && isbn10CheckDigit(isbn.slice(0, 9)) === isbn[9]
+);
+
+/**
+ * Converts an ISBN-10 into its 978-prefixed ISBN-13
+ * @param {string} isbn10 - A valid ISBN-10
+ * @returns {string}
+ */
+export const isbn10ToIsbn13 = (isbn10) => {
+  const body = `978${isbn10.slice(0, 9)}`;
+  return `${body}${gtinCheckDigit(body)}`;
+};
+
+/**
+ * Converts an ISBN-13 back to ISBN-10
+ * Only 978 ISBNs have an ISBN-10 form; 979 ones return null
+ * @param {string} isbn13 - A valid ISBN-13
+ * @returns {string|null}
+ */
+export const isbn13ToIsbn10 = (isbn13) => {
+  if (!isbn13.startsWith('978')) return null;
+  const body = isbn13.slice(3, 12);
+  return `${body}${isbn10CheckDigit(body)}`;
+};
+
+/**
+ * Calculates the mod-11 ISSN check character
+ * @param {string} digits - The first 7 digits
+ * @returns {string} - '0'-'9' or 'X'
+ */
+export const issnCheckDigit = (digits) => {
+  let sum = 0;
+  for (let i = 0; i < 7; i++) {
+    sum += Number(digits[i]) * (8 - i);
+  }
+  const check = (11 - (sum % 11)) % 11;
+  return check === 10 ? 'X' : String(check);
+};
+
+/**
+ * Validates an ISSN
+ * @param {string} issn - 8 characters, hyphen already removed
+ * @returns {boolean}
+ */
+export const isValidIssn = (issn) => (
+  /^\d{7}[\dX]$/.test(issn) && issnCheckDigit(issn.slice(0, 7)) === issn[7]
+);
+
+/**
+ * Formats an ISSN for display (1234-5679)
+ * @param {string} issn - 8 character ISSN
+ * @returns {string}
+ */
+export const formatIssn = (issn) => `${issn.slice(0, 4)}-${issn.slice(4)}`;
+
+/**
+ * Expands a zero-suppressed UPC-E code to UPC-A
+ * @param {string} upcE - 8 digit UPC-E (number system, 6 data digits, check digit)
+ * @returns {string|null} - The 12 digit UPC-A, or null if the code can't be UPC-E
+ */
+export const expandUpcE = (upcE) => {
+  if (!/^[01]\d{7}$/.test(upcE)) return null;
+
+  const numberSystem = upcE[0];
+  const d = upcE.slice(1, 7);
+  const check = upcE[7];
+  const last = Number(d[5]);
+
+  let body;
+  if (last <= 2) {
+    body = `${d[0]}${d[1]}${d[5]}0000${d[2]}${d[3]}${d[4]}`;
+  } else if (last === 3) {
+    body = `${d[0]}${d[1]}${d[2]}00000${d[3]}${d[4]}`;
+  } else if (last === 4) {
+    body = `${d[0]}${d[1]}${d[2]}${d[3]}00000${d[4]}`;
+  } else {
+    body = `${d[0]}${d[1]}${d[2]}${d[3]}${d[4]}0000${d[5]}`;
+  }
+
+  return `${numberSystem}${body}${check}`;
+};
+
+/**
+ * Decodes a supplemental add-on code
+ * 5-digit add-ons on books carry the suggested retail price; on comics (and
+ * other UPC-A periodicals) they carry issue, cover variant and printing.
+ * 2-digit add-ons carry the issue number of a periodical.
+ * @param {string} addOn - The 2 or 5 digit add-on
+ * @param {boolean} isBook - Whether the main code is an ISBN
+ * @returns {AddOnInfo|null}
+ */
+export const parseAddOn = (addOn, isBook) => {
+  if (!addOn || !onlyDigits(addOn)) return null;
+
+  if (addOn.length === 2) {
+    return { kind: 'issue', issue: Number(addOn) };
+  }
+
+  if (addOn.length !== 5) return null;
+
+  if (isBook) {
+    // 90000 means no price; 99xxx codes are reserved for internal use
+    const noPrice = addOn === '90000' || addOn.startsWith('99');
+    return {
+      kind: 'price',
+      currency: BOOK_PRICE_CURRENCIES[addOn[0]] || null,
+      amount: noPrice || !BOOK_PRICE_CURRENCIES[addOn[0]] ? null : Number(addOn.slice(1)) / 100,
+    };
+  }
+
+  return {
+    kind: 'issue',
+    issue: Number(addOn.slice(0, 3)),
+    variant: Number(addOn[3]),
+    printing: Number(addOn[4]),
+  };
+};
+
+// Maps camera barcode types (Android and iOS spell them differently) onto our symbologies
+const normalizeType = (type) => {
+  if (!type) return null;
+  const compact = String(type).toLowerCase().replace(/[^a-z0-9]/g, '');
+  if (compact.endsWith('ean13')) return SYMBOLOGIES.EAN_13;
+  if (compact.endsWith('ean8')) return SYMBOLOGIES.EAN_8;
+  if (compact.endsWith('upca')) return SYMBOLOGIES.UPC_A;
+  if (compact.endsWith('upce')) return SYMBOLOGIES.UPC_E;
+  return SYMBOLOGIES.OTHER;
+};
+
+// Splits a scanned product code into its main part and a 2/5 digit add-on
+const splitAddOn = (raw) => {
+  const separated = raw.match(/^(\d{8,13})[\s-]+(\d{2}|\d{5})$/);
+  if (separated) {
+    return { main: separated[1], addOn: separated[2] };
+  }
+
+  const digits = raw.replace(/[\s-]/g, '');
+  const mainLengths = { 14: 12, 15: 13, 17: 12, 18: 13 };
+  const mainLength = mainLengths[digits.length];
+  if (onlyDigits(digits) && mainLength) {
+    return { main: digits.slice(0, mainLength), addOn: digits.slice(mainLength) };
+  }
+
+  return { main: digits, addOn: null };
+};
+
+const uniqueIdentifiers = (values) => [...new Set(values.filter(Boolean))];
+
+const invalid = (symbology, code, error) => ({
+  valid: false,
+  error,
+  symbology,
+  code,
+  lookupCode: code,
+  gtin: null,
+  isbn13: null,
+  isbn10: null,
+  issn: null,
+  addOn: null,
+  addOnInfo: null,
+  identifiers: [],
+});
+
+// Builds the result for a code whose check digit has already been verified
+const buildGtinResult = (symbology, code, gtin, addOn) => {
+  const isBook = gtin.length === 13 && (gtin.startsWith('978') || gtin.startsWith('979'));
+  const isSerial = gtin.length === 13 && gtin.startsWith('977');
+  const upcA = gtin.length === 13 && gtin.startsWith('0') ? gtin.slice(1) : null;
+
+  const isbn13 = isBook ? gtin : null;
+  const isbn10 = isBook ? isbn13ToIsbn10(gtin) : null;
+  const issn = isSerial ? `${gtin.slice(3, 10)}${issnCheckDigit(gtin.slice(3, 10))}` : null;
+  const lookupCode = upcA || gtin;
+
+  return {
+    valid: true,
+    error: null,
+    symbology,
+    code,
+    lookupCode,
+    gtin,
+    isbn13,
+    isbn10,
+    issn,
+    addOn: addOn || null,
+    addOnInfo: parseAddOn(addOn, isBook),
+    identifiers: uniqueIdentifiers([
+      gtin,
+      code,
+      upcA,
+      isbn10,
+      issn,
+      addOn ? `${lookupCode}${addOn}` : null,
+    ]),
+  };
+};
+
+// Parses ISBN-10 and ISSN codes typed or encoded as text. A bare 8 character
+// code is an ISSN when it ends in X, or when it isn't a valid EAN-8 but is a
+// valid ISSN; otherwise it's left for the EAN-8 check.
+const parseTextIdentifier = (raw) => {
+  const upper = raw.toUpperCase().trim();
+  const compact = upper.replace(/^IS[BS]N(-1[03])?:?/, '').replace(/[\s-]/g, '');
+  const isBareIssn = /^\d{7}X$/.test(upper)
+    || (/^\d{8}$/.test(upper) && !isValidGtin(upper) && isValidIssn(upper));
+  const isIssn = upper.startsWith('ISSN') || /^\d{4}-\d{3}[\dX]$/.test(upper) || isBareIssn;
+
+  if (isIssn && /^\d{7}[\dX]$/.test(compact)) {
+    if (!isValidIssn(compact)) return invalid(SYMBOLOGIES.ISSN, compact, 'Invalid ISSN check digit');
+    return {
+      ...invalid(SYMBOLOGIES.ISSN, compact, null),
+      valid: true,
+      issn: compact,
+      identifiers: [compact],
+    };
+  }
+
+  if (/^\d{9}[\dX]$/.test(compact)) {
+    if (!isValidIsbn10(compact)) return invalid(SYMBOLOGIES.ISBN_10, compact, 'Invalid ISBN-10 check digit');
+    const isbn13 = isbn10ToIsbn13(compact);
+    return {
+      ...buildGtinResult(SYMBOLOGIES.ISBN_10, compact, isbn13, null),
+      lookupCode: isbn13,
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Parses and validates a scanned or typed barcode
+ * Product symbologies (EAN/UPC) must pass their check digit; anything else
+ * (QR codes, Code 128, ...) is passed through as-is.
+ * @param {string} data - The scanned data
+ * @param {string} [type] - The barcode type reported by the camera
+ * @returns {ParsedBarcode}
+ */
+export const parseBarcode = (data, type) => {
+  const raw = String(data || '').trim();
+  if (!raw) return invalid(SYMBOLOGIES.OTHER, '', 'Empty barcode');
+
+  const symbology = normalizeType(type);
+
+  // Non-product codes carry arbitrary data - only ISBN/ISSN text gets special treatment
+  if (symbology === SYMBOLOGIES.OTHER) {
+    const textResult = parseTextIdentifier(raw);
+    if (textResult?.valid) return textResult;
+    return {
+      ...invalid(SYMBOLOGIES.OTHER, raw, null),
+      valid: true,
+      identifiers: [raw],
+    };
+  }
+
+  // Typed codes have no symbology - ISBN-10 and ISSN only ever show up this way
+  if (!symbology) {
+    const textResult = parseTextIdentifier(raw);
+    if (textResult) return textResult;
+  }
+
+  const { main, addOn } = splitAddOn(raw);
+  if (!onlyDigits(main)) {
+    return invalid(SYMBOLOGIES.OTHER, main, 'Unrecognized barcode format');
+  }
+
+  // Some scanners report UPC-E already expanded to its 12 digit UPC-A form
+  if (symbology === SYMBOLOGIES.UPC_E && main.length === 12) {
+    if (!isValidGtin(main)) return invalid(SYMBOLOGIES.UPC_E, main, 'Invalid UPC-E check digit');
+    return buildGtinResult(SYMBOLOGIES.UPC_E, main, `0${main}`, addOn);
+  }
+
+  if (symbology === SYMBOLOGIES.UPC_E) {
+    const upcA = expandUpcE(main);
+    if (!upcA || !isValidGtin(upcA)) return invalid(SYMBOLOGIES.UPC_E, main, 'Invalid UPC-E check digit');
+    return buildGtinResult(SYMBOLOGIES.UPC_E, main, `0${upcA}`, addOn);
+  }
+
+  switch (main.length) {
+    case 8:
+      if (!isValidGtin(main)) return invalid(SYMBOLOGIES.EAN_8, main, 'Invalid EAN-8 check digit');
+      return buildGtinResult(SYMBOLOGIES.EAN_8, main, main, addOn);
+    case 12:
+      if (!isValidGtin(main)) return invalid(SYMBOLOGIES.UPC_A, main, 'Invalid UPC-A check digit');
+      return buildGtinResult(SYMBOLOGIES.UPC_A, main, `0${main}`, addOn);
+    case 13:
+      if (!isValidGtin(main)) return invalid(SYMBOLOGIES.EAN_13, main, 'Invalid EAN-13 check digit');
+      return buildGtinResult(symbology === SYMBOLOGIES.UPC_A ? SYMBOLOGIES.UPC_A : SYMBOLOGIES.EAN_13, main, main, addOn);
+    default:
+      return invalid(SYMBOLOGIES.OTHER, main, `Unexpected length for a product barcode (${main.length} digits)`);
+  }
+};
+
+/**
+ * Normalizes a search query so it can be matched against stored identifiers
+ * Hyphens and spaces are dropped, and ISBN-10s are also matched as ISBN-13s.
+ * @param {string} query - The search query
+ * @returns {Array<string>} - Identifier forms to look for (empty if the query isn't code-like)
+ */
+export const identifierSearchTerms = (query) => {
+  const compact = String(query || '').toUpperCase().replace(/[\s-]/g, '').replace(/^IS[BS]N:?/, '');
+  if (!/^\d{6,}X?$/.test(compact)) return [];
+
+  const parsed = parseBarcode(compact);
+  return uniqueIdentifiers([compact, ...(parsed.valid ? parsed.identifiers : [])]);
+};
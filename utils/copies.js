@@ -0,0 +1,85 @@
+// utils/copies.js - Item quantity and the copies behind it
+import { validateNumber } from './inputValidation';
+
+export const MAX_QUANTITY = 9999;
+export const MAX_COPY_PHOTOS = 3;
+
+// Amounts are numbers from the server but strings while they're being typed
+const hasAmount = (amount) => amount !== null && amount !== undefined && amount !== '';
+
+/**
+ * How many copies of an item the user owns. Items saved before quantities
+ * existed count as one.
+ * @param {{quantity?: number|string, copies?: Array<Object>}} item
+ * @returns {number}
+ */
+export const itemQuantity = (item) => Math.max(
+  parseInt(item?.quantity, 10) || 1,
+  item?.copies?.length || 0
+);
+
+/**
+ * One entry per copy owned. Copies on record keep their own condition and value
+ * where they have one; the rest take the item's.
+ * @param {Object} item - Item with `value`, `condition`, `quantity` and optionally `copies`
+ * @returns {Array<{condition: string|null, value: number}>}
+ */
+export const expandCopies = (item) => {
+  const itemValue = parseFloat(item.value) || 0;
+  const recorded = (item.copies || []).map(copy => ({
+    condition: copy.condition || item.condition || null,
+    value: hasAmount(copy.value) ? parseFloat(copy.value) || 0 : itemValue,
+  }));
+  const untracked = Array.from(
+    { length: itemQuantity(item) - recorded.length },
+    () => ({ condition: item.condition || null, value: itemValue })
+  );
+  return [...recorded, ...untracked];
+};
+
+/**
+ * Short description of a copy for lists, e.g. "Near Mint · PSA 9"
+ * @param {Object} copy - An item_copies row
+ * @param {string|null} [fallbackCondition] - The item's condition
+ * @returns {string}
+ */
+export const describeCopy = (copy, fallbackCondition = null) => (
+  [copy.condition || fallbackCondition, copy.grade].filter(Boolean).join(' · ') || 'No details'
+);
+
+/**
+ * Checks a quantity as typed
+ * @param {string} text
+ * @param {number} [minimum=1] - Copies already on record
+ * @returns {{success: boolean, message?: string}}
+ */
+export const validateQuantity = (text, minimum = 1) => {
+  if (!/^\d+$/.test(String(text).trim())) {
+    return { success: false, message: 'Enter a whole number' };
+  }
+  const quantity = parseInt(text, 10);
+  if (quantity < Math.max(minimum, 1)) {
+    return {
+      success: false,
+      message: minimum > 1 ? `${minimum} copies are on record; remove one to lower the quantity` : 'Quantity must be at least 1',
+    };
+  }
+  if (quantity > MAX_QUANTITY) {
+    return { success: false, message: `Quantity can be at most ${MAX_QUANTITY}` };
+  }
+  return { success: true };
+};
+
+/**
+ * Checks a copy's fields as typed
+ * @param {{value?: string}} copy
+ * @returns {Object<string, string>} Field -> error message; empty when valid
+ */
+export const validateCopy = (copy) => {
+  const errors = {};
+  if (hasAmount(copy.value)) {
+    const check = validateNumber(copy.value, 0, 1000000);
+    if (!check.success) errors.value = check.message;
+  }
+  return errors;
+};
@@ -11,6 +11,18 @@ export const ERROR_CATEGORIES = {
   UNKNOWN: 'unknown'
 };
 
+// Postgres / PostgREST error codes returned by Supabase queries
+const DATABASE_ERROR_CODES = {
+  '42501': ERROR_CATEGORIES.PERMISSION, // insufficient privilege (row level security)
+  '23502': ERROR_CATEGORIES.VALIDATION, // not null violation
+  '23503': ERROR_CATEGORIES.VALIDATION, // foreign key violation
+  '23505': ERROR_CATEGORIES.VALIDATION, // unique violation
+  '23514': ERROR_CATEGORIES.VALIDATION, // check violation
+  '22P02': ERROR_CATEGORIES.VALIDATION, // invalid text representation
+  'PGRST116': ERROR_CATEGORIES.DATABASE, // .single() matched no rows
+  'PGRST301': ERROR_CATEGORIES.AUTH, // JWT expired or invalid
+};
+
 // User-friendly messages by category
 const USER_MESSAGES = {
   [ERROR_CATEGORIES.NETWORK]: 'Network connection issue. Please check your internet and try again.',
@@ -67,6 +79,11 @@ export function categorizeError(error) {
   const errorMessage = error?.message?.toLowerCase() || '';
   const errorCode = error?.code || '';
   
+  // Errors coming straight from Postgres carry a specific code
+  if (DATABASE_ERROR_CODES[errorCode]) {
+    return DATABASE_ERROR_CODES[errorCode];
+  }
+  
   // Network errors
   if (
     errorMessage.includes('network') ||
@@ -0,0 +1,260 @@
+// utils/fieldSchemas.js - Per-category item fields, stored in items.attributes
+import { validateForm, validateLength, validateNumber, validatePattern } from './inputValidation';
+
+/**
+ * One form field. Values are saved in items.attributes under `key`.
+ * @typedef {Object} FieldDefinition
+ * @property {string} key - Lowercase snake_case, unique within a category
+ * @property {string} label
+ * @property {'text'|'number'|'year'|'select'} type
+ * @property {Array<string>} [options] - Choices for select fields
+ * @property {string} [placeholder]
+ * @property {boolean} [required]
+ * @property {number} [min] - Number fields
+ * @property {number} [max] - Number fields
+ * @property {number} [maxLength] - Text fields; defaults to TEXT_MAX_LENGTH
+ * @property {boolean} [custom] - Defined by the user rather than built in
+ */
+
+export const FIELD_TYPES = [
+  { key: 'text', label: 'Text' },
+  { key: 'number', label: 'Number' },
+  { key: 'year', label: 'Year' },
+  { key: 'select', label: 'Choice' },
+];
+
+const TEXT_MAX_LENGTH = 100;
+const YEAR_FIELD = { key: 'year', label: 'Year', type: 'year', placeholder: 'e.g., 1999' };
+
+// Keyed by the categories in screens/AddItem/constants.js. Option values avoid
+// characters the data layer escapes (<>"'/), so they still match once saved.
+const CATEGORY_FIELD_SCHEMAS = {
+  'Cards & Trading Cards': [
+    { key: 'set', label: 'Set', type: 'text', placeholder: 'e.g., Base Set' },
+    { key: 'card_number', label: 'Card Number', type: 'text', placeholder: 'e.g., 4' },
+    YEAR_FIELD,
+    { key: 'grading_company', label: 'Grading Company', type: 'select', options: ['Raw', 'PSA', 'BGS', 'CGC', 'SGC'] },
+    { key: 'grade', label: 'Grade', type: 'number', min: 1, max: 10, placeholder: 'e.g., 9.5' },
+  ],
+  'Coins & Currency': [
+    YEAR_FIELD,
+    { key: 'mint_mark', label: 'Mint Mark', type: 'select', options: ['None', 'P', 'D', 'S', 'W', 'O', 'CC'] },
+    { key: 'denomination', label: 'Denomination', type: 'text', placeholder: 'e.g., Half Dollar' },
+    { key: 'country', label: 'Country', type: 'text' },
+    { key: 'grade', label: 'Grade', type: 'text', placeholder: 'e.g., MS-65' },
+  ],
+  'Music & Records': [
+    { key: 'record_label', label: 'Label', type: 'text', placeholder: 'e.g., Blue Note' },
+    { key: 'catalog_number', label: 'Catalog Number', type: 'text', placeholder: 'e.g., BLP 1577' },
+    { key: 'format', label: 'Format', type: 'select', options: ['LP', 'EP', '7-inch Single', '12-inch Single', 'CD', 'Cassette'] },
+    { key: 'pressing', label: 'Pressing', type: 'text', placeholder: 'e.g., 1st US pressing' },
+    YEAR_FIELD,
+  ],
+  'Books & Comics': [
+    { key: 'publisher', label: 'Publisher', type: 'text' },
+    { key: 'issue_number', label: 'Issue Number', type: 'text', placeholder: 'e.g., 129' },
+    { key: 'edition', label: 'Edition / Printing', type: 'text', placeholder: 'e.g., First printing' },
+    YEAR_FIELD,
+  ],
+  'Video Games': [
+    { key: 'platform', label: 'Platform', type: 'text', placeholder: 'e.g., SNES' },
+    { key: 'region', label: 'Region', type: 'select', options: ['NTSC-U', 'PAL', 'NTSC-J', 'Region Free'] },
+    { key: 'completeness', label: 'Completeness', type: 'select', options: ['Loose', 'Complete in Box', 'New Sealed'] },
+    YEAR_FIELD,
+  ],
+  'Stamps': [
+    { key: 'country', label: 'Country', type: 'text' },
+    { key: 'catalog_number', label: 'Catalog Number', type: 'text', placeholder: 'e.g., Scott 65' },
+    { key: 'denomination', label: 'Denomination', type: 'text' },
+    YEAR_FIELD,
+  ],
+  'Action Figures & Toys': [
+    { key: 'series', label: 'Line / Series', type: 'text' },
+    { key: 'packaging', label: 'Packaging', type: 'select', options: ['Loose', 'Boxed', 'Sealed'] },
+    YEAR_FIELD,
+  ],
+  'Autographs & Memorabilia': [
+    { key: 'signed_by', label: 'Signed By', type: 'text' },
+    { key: 'authentication', label: 'Authentication', type: 'text', placeholder: 'e.g., PSA DNA certificate number' },
+    YEAR_FIELD,
+  ],
+  'Models & Miniatures': [
+    { key: 'scale', label: 'Scale', type: 'select', options: ['1:12', '1:18', '1:24', '1:43', '1:64', '1:87'] },
+    { key: 'series', label: 'Series', type: 'text' },
+    YEAR_FIELD,
+  ],
+  'Antiques': [
+    { key: 'era', label: 'Era / Period', type: 'text', placeholder: 'e.g., Victorian' },
+    { key: 'origin', label: 'Origin', type: 'text' },
+    { key: 'material', label: 'Material', type: 'text' },
+  ],
+};
+
+const BUILT_IN_KEYS = new Set(
+  Object.values(CATEGORY_FIELD_SCHEMAS).flatMap(fields => fields.map(field => field.key))
+);
+
+// Categories from the older, shorter list, and the current ones they became
+const CATEGORY_ALIASES = {
+  'Sports Cards': 'Cards & Trading Cards',
+  'Diecast': 'Models & Miniatures',
+  'Memorabilia': 'Autographs & Memorabilia',
+};
+
+/**
+ * The current category for one from the older list; others are returned as-is
+ * @param {string|null} category
+ * @returns {string|null}
+ */
+export const resolveCategory = (category) => CATEGORY_ALIASES[category] || category;
+
+/**
+ * A category with the older names that became it, e.g. for filtering items
+ * saved before the list changed
+ * @param {string} category - A current category
+ * @returns {Array<string>}
+ */
+export const categoryWithAliases = (category) => [
+  category,
+  ...Object.keys(CATEGORY_ALIASES).filter(alias => CATEGORY_ALIASES[alias] === category),
+];
+
+/**
+ * A user-defined field as a FieldDefinition
+ * @param {Object} customField - A custom_fields row
+ * @returns {FieldDefinition}
+ */
+export const toFieldDefinition = (customField) => ({
+  key: customField.key,
+  label: customField.label,
+  type: customField.type,
+  options: customField.options || [],
+  required: customField.required,
+  custom: true,
+});
+
+/**
+ * The fields shown for a category: its built-in ones, then the user's own
+ * @param {string|null} category
+ * @param {Array<Object>} [customFields] - The user's custom_fields rows
+ * @returns {Array<FieldDefinition>}
+ */
+export const fieldsForCategory = (category, customFields = []) => {
+  const resolved = resolveCategory(category);
+  const builtIn = CATEGORY_FIELD_SCHEMAS[resolved] || [];
+  const builtInKeys = new Set(builtIn.map(field => field.key));
+  const custom = customFields
+    .filter(field => !field.category || field.category === resolved)
+    .filter(field => !builtInKeys.has(field.key))
+    .sort((a, b) => a.position - b.position)
+    .map(toFieldDefinition);
+  return [...builtIn, ...custom];
+};
+
+/**
+ * A field key from a label, e.g. 'Print Run' -> 'print_run'
+ * @param {string} label
+ * @returns {string} Empty when the label has no letters or digits
+ */
+export const fieldKeyFromLabel = (label) => {
+  const key = (label || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+  // Keys start with a letter, e.g. '2nd Owner' -> 'field_2nd_owner'
+  return (/^\d/.test(key) ? `field_${key}` : key).slice(0, 40);
+};
+
+const isEmpty = (value) => value === null || value === undefined || String(value).trim() === '';
+
+const fieldRule = (field) => (value) => {
+  if (isEmpty(value)) {
+    return field.required ? { success: false, message: `${field.label} is required` } : { success: true };
+  }
+  switch (field.type) {
+    case 'number':
+      return validateNumber(value, field.min ?? 0, field.max ?? Number.MAX_SAFE_INTEGER);
+    case 'year': {
+      const format = validatePattern(String(value), /^\d{4}$/, 'Enter a four-digit year');
+      if (!format.success) return format;
+      return validateNumber(value, 1000, new Date().getFullYear() + 1);
+    }
+    case 'select':
+      return field.options.includes(value)
+        ? { success: true }
+        : { success: false, message: `Choose one of: ${field.options.join(', ')}` };
+    default:
+      return validateLength(String(value), 1, field.maxLength || TEXT_MAX_LENGTH);
+  }
+};
+
+/**
+ * Checks attribute values against their fields
+ * @param {Array<FieldDefinition>} fields
+ * @param {Object} attributes - Field key -> value as entered
+ * @returns {Object<string, string>} Field key -> error message; empty when valid
+ */
+export const validateAttributes = (fields, attributes) => {
+  const rules = Object.fromEntries(fields.map(field => [field.key, fieldRule(field)]));
+  return validateForm(attributes || {}, rules).errors;
+};
+
+/**
+ * Attribute values ready to save: trimmed, numbers parsed and blanks left out.
+ * Built-in fields that don't apply (e.g. after the category changed) are
+ * dropped; values of custom fields that aren't in `fields` - deleted, or not
+ * loaded while offline - are kept.
+ * @param {Array<FieldDefinition>} fields
+ * @param {Object} attributes - Field key -> value as entered
+ * @returns {Object}
+ */
+export const normalizeAttributes = (fields, attributes) => {
+  const values = attributes || {};
+  const normalized = {};
+  Object.keys(values).forEach(key => {
+    if (!BUILT_IN_KEYS.has(key) && !isEmpty(values[key])) normalized[key] = values[key];
+  });
+  fields.forEach(field => {
+    const value = values[field.key];
+    if (isEmpty(value)) {
+      delete normalized[field.key];
+      return;
+    }
+    normalized[field.key] = field.type === 'number' || field.type === 'year'
+      ? Number(value)
+      : String(value).trim();
+  });
+  return normalized;
+};
+
+/**
+ * Attribute values as form text, for editing
+ * @param {Object|null} attributes - As saved
+ * @returns {Object<string, string>}
+ */
+export const attributeFormValues = (attributes) => Object.fromEntries(
+  Object.entries(attributes || {}).map(([key, value]) => [key, String(value)])
+);
+
+/**
+ * Labelled attribute values for display, in field order. Values saved under a
+ * field that no longer exists are listed last with a label made from the key.
+ * @param {Array<FieldDefinition>} fields
+ * @param {Object|null} attributes
+ * @returns {Array<{key: string, label: string, value: string}>}
+ */
+export const attributeRows = (fields, attributes) => {
+  const values = attributes || {};
+  const known = fields
+    .filter(field => !isEmpty(values[field.key]))
+    .map(field => ({ key: field.key, label: field.label, value: String(values[field.key]) }));
+  const knownKeys = new Set(fields.map(field => field.key));
+  const other = Object.keys(values)
+    .filter(key => !knownKeys.has(key) && !isEmpty(values[key]))
+    .map(key => ({
+      key,
+      label: key.split('_').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' '),
+      value: String(values[key]),
+    }));
+  return [...known, ...other];
+};
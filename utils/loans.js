@@ -0,0 +1,114 @@
+// utils/loans.js - Loan status, due dates and the loan form
+import { addDays, differenceInCalendarDays, format, isAfter, isValid, parseISO, setHours, startOfDay } from 'date-fns';
+import { validateLength } from './inputValidation';
+
+// Overdue reminders go off at this hour, local time
+export const LOAN_REMINDER_HOUR = 9;
+
+const today = (now) => format(now, 'yyyy-MM-dd');
+
+/**
+ * Whether a loan is still out
+ * @param {Object|null} loan
+ * @returns {boolean}
+ */
+export const isActiveLoan = (loan) => !!loan && !loan.returned_at;
+
+/**
+ * Whether an active loan is past its due date. The due day itself isn't overdue.
+ * @param {Object|null} loan
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+export const isOverdue = (loan, now = new Date()) => (
+  isActiveLoan(loan) && !!loan.due_on && loan.due_on < today(now)
+);
+
+/**
+ * Badge text for an item's active loan
+ * @param {Object|null} loan
+ * @param {Date} [now]
+ * @returns {string|null} 'On loan', 'Overdue', or null when the item is home
+ */
+export const loanStatusLabel = (loan, now = new Date()) => {
+  if (!isActiveLoan(loan)) return null;
+  return isOverdue(loan, now) ? 'Overdue' : 'On loan';
+};
+
+/**
+ * When a loan is due, in words: "Due in 3 days", "Due today", "2 days overdue"
+ * @param {Object} loan
+ * @param {Date} [now]
+ * @returns {string|null} Null for open-ended or returned loans
+ */
+export const describeDue = (loan, now = new Date()) => {
+  if (!isActiveLoan(loan) || !loan.due_on) return null;
+  const days = differenceInCalendarDays(parseISO(loan.due_on), now);
+  if (days === 0) return 'Due today';
+  if (days === 1) return 'Due tomorrow';
+  if (days > 1) return `Due in ${days} days`;
+  return days === -1 ? '1 day overdue' : `${-days} days overdue`;
+};
+
+/**
+ * When to remind the user about a loan: the morning after it's due, or the
+ * next morning if that has passed, so an overdue loan nags once a day as long
+ * as reminders are rescheduled
+ * @param {Object} loan
+ * @param {Date} [now]
+ * @returns {Date|null} Null when the loan is returned or open-ended
+ */
+export const nextReminderDate = (loan, now = new Date()) => {
+  if (!isActiveLoan(loan) || !loan.due_on) return null;
+  const firstReminder = setHours(addDays(parseISO(loan.due_on), 1), LOAN_REMINDER_HOUR);
+  if (isAfter(firstReminder, now)) return firstReminder;
+  const thisMorning = setHours(startOfDay(now), LOAN_REMINDER_HOUR);
+  return isAfter(thisMorning, now) ? thisMorning : addDays(thisMorning, 1);
+};
+
+/**
+ * Form values for a loan; new loans start today
+ * @param {Object|null} loan
+ * @param {Date} [now]
+ * @returns {{borrower_name: string, borrower_id: string|null, lent_on: string, due_on: string, notes: string}}
+ */
+export const loanFormValues = (loan, now = new Date()) => ({
+  borrower_name: loan?.borrower_name || '',
+  borrower_id: loan?.borrower_id || null,
+  lent_on: loan?.lent_on || today(now),
+  due_on: loan?.due_on || '',
+  notes: loan?.notes || '',
+});
+
+const parseDate = (text) => {
+  const date = parseISO(text);
+  return /^\d{4}-\d{2}-\d{2}$/.test(text) && isValid(date) ? date : null;
+};
+
+/**
+ * Checks the loan form
+ * @param {Object} form - From loanFormValues
+ * @param {Date} [now]
+ * @returns {Object<string, string>} Error message by field; empty when valid
+ */
+export const validateLoan = (form, now = new Date()) => {
+  const errors = {};
+  const borrower = validateLength((form.borrower_name || '').trim(), 1, 100);
+  if (!borrower.success) errors.borrower_name = 'Enter who has the item (up to 100 characters)';
+
+  const lentOn = parseDate(form.lent_on || '');
+  if (!lentOn) {
+    errors.lent_on = 'Use the format YYYY-MM-DD';
+  } else if (form.lent_on > today(now)) {
+    errors.lent_on = 'The loan can\'t start in the future';
+  }
+
+  if (form.due_on) {
+    if (!parseDate(form.due_on)) {
+      errors.due_on = 'Use the format YYYY-MM-DD';
+    } else if (lentOn && form.due_on < form.lent_on) {
+      errors.due_on = 'The due date can\'t be before the loan starts';
+    }
+  }
+  return errors;
+};
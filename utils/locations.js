@@ -0,0 +1,81 @@
+// utils/locations.js - Storage location kinds and the location tree
+import { validateLength } from './inputValidation';
+
+// Deepest nesting the database allows (storage_locations.path)
+export const MAX_LOCATION_DEPTH = 6;
+
+// Kinds are only for icons and labels; any kind can go inside any other
+export const LOCATION_KINDS = [
+  { value: 'room', label: 'Room', icon: 'home-outline' },
+  { value: 'cabinet', label: 'Cabinet', icon: 'file-tray-stacked-outline' },
+  { value: 'shelf', label: 'Shelf', icon: 'reorder-four-outline' },
+  { value: 'box', label: 'Box', icon: 'cube-outline' },
+  { value: 'binder', label: 'Binder', icon: 'book-outline' },
+  { value: 'page', label: 'Page', icon: 'document-outline' },
+  { value: 'slot', label: 'Slot', icon: 'grid-outline' },
+  { value: 'other', label: 'Other', icon: 'location-outline' },
+];
+
+/**
+ * The Ionicons name for a location kind
+ * @param {string} kind
+ * @returns {string}
+ */
+export const locationIcon = (kind) => (
+  (LOCATION_KINDS.find(option => option.value === kind) || LOCATION_KINDS[LOCATION_KINDS.length - 1]).icon
+);
+
+/**
+ * Locations in tree order - each one followed by what's inside it, siblings by
+ * name - with their depth, for indented lists and pickers
+ * @param {Array<Object>} locations - storage_locations rows
+ * @returns {Array<{location: Object, depth: number}>}
+ */
+export const flattenLocationTree = (locations) => {
+  const childrenOf = {};
+  locations.forEach(location => {
+    const key = location.parent_id ?? 'root';
+    (childrenOf[key] = childrenOf[key] || []).push(location);
+  });
+  Object.values(childrenOf).forEach(children => children.sort((a, b) => a.name.localeCompare(b.name)));
+
+  const rows = [];
+  const visit = (key, depth) => (childrenOf[key] || []).forEach(location => {
+    rows.push({ location, depth });
+    visit(location.id, depth + 1);
+  });
+  visit('root', 0);
+  return rows;
+};
+
+/**
+ * A location's full name, e.g. "Garage › Cabinet A › Box 3"
+ * @param {Array<Object>} locations - The user's locations
+ * @param {number|null} locationId
+ * @returns {string|null} Null when the location isn't in the list
+ */
+export const locationPath = (locations, locationId) => {
+  const location = locations.find(row => row.id === locationId);
+  if (!location) return null;
+  const names = (location.path?.length ? location.path : [location.id])
+    .map(id => locations.find(row => row.id === id)?.name)
+    .filter(Boolean);
+  return names.join(' › ');
+};
+
+/**
+ * Ids of the locations inside a location, at any depth
+ * @param {Array<Object>} locations - The user's locations
+ * @param {number} locationId
+ * @returns {Array<number>}
+ */
+export const descendantIds = (locations, locationId) => locations
+  .filter(row => row.id !== locationId && (row.path || []).includes(locationId))
+  .map(row => row.id);
+
+/**
+ * Checks a location name as typed
+ * @param {string} name
+ * @returns {{success: boolean, message?: string}}
+ */
+export const validateLocationName = (name) => validateLength((name || '').trim(), 1, 60);
@@ -0,0 +1,214 @@
+// utils/money.js - Money model: an amount with an ISO 4217 currency code
+import { itemQuantity, expandCopies } from './copies';
+
+/**
+ * @typedef {Object} Money
+ * @property {number} amount
+ * @property {string} currency - ISO 4217 code, e.g. 'USD'
+ */
+
+// Currency of values saved before items had one, and the default display currency
+export const DEFAULT_CURRENCY = 'USD';
+
+export const CURRENCIES = [
+  { code: 'USD', symbol: '$', name: 'US Dollar' },
+  { code: 'EUR', symbol: '€', name: 'Euro' },
+  { code: 'GBP', symbol: '£', name: 'British Pound' },
+  { code: 'JPY', symbol: '¥', name: 'Japanese Yen' },
+  { code: 'CAD', symbol: 'CA$', name: 'Canadian Dollar' },
+  { code: 'AUD', symbol: 'A$', name: 'Australian Dollar' },
+  { code: 'CHF', symbol: 'CHF', name: 'Swiss Franc' },
+  { code: 'MXN', symbol: 'MX$', name: 'Mexican Peso' },
+];
+
+/**
+ * Starting exchange-rate table: units of each currency per one DEFAULT_CURRENCY.
+ * Only a rough guide - users keep their own table up to date in Settings.
+ */
+export const DEFAULT_EXCHANGE_RATES = {
+  USD: 1,
+  EUR: 0.92,
+  GBP: 0.79,
+  JPY: 150,
+  CAD: 1.36,
+  AUD: 1.52,
+  CHF: 0.88,
+  MXN: 18,
+};
+
+/**
+ * Upper-cases a currency code, falling back to DEFAULT_CURRENCY when it isn't one
+ * @param {string} [code]
+ * @returns {string}
+ */
+export const normalizeCurrency = (code) => {
+  const normalized = typeof code === 'string' ? code.trim().toUpperCase() : '';
+  return /^[A-Z]{3}$/.test(normalized) ? normalized : DEFAULT_CURRENCY;
+};
+
+/**
+ * The symbol shown next to amounts, e.g. in input labels
+ * @param {string} code
+ * @returns {string}
+ */
+export const currencySymbol = (code) => {
+  const currency = CURRENCIES.find(c => c.code === code);
+  return currency ? currency.symbol : code;
+};
+
+/**
+ * An item's value as Money; a missing value counts as 0
+ * @param {{value: number|string|null, currency?: string}} item
+ * @returns {Money}
+ */
+export const itemMoney = (item) => ({
+  amount: parseFloat(item.value) || 0,
+  currency: normalizeCurrency(item.currency),
+});
+
+/**
+ * What all the copies of an item are worth together, as Money. Copies with a
+ * value of their own count at that; the rest at the item's value.
+ * @param {Object} item - Item with `value`, `currency`, `quantity` and optionally `copies`
+ * @returns {Money}
+ */
+export const holdingMoney = (item) => ({
+  amount: expandCopies(item).reduce((total, copy) => total + copy.value, 0),
+  currency: normalizeCurrency(item.currency),
+});
+
+/**
+ * Converts an amount between currencies through the rate table
+ * @param {number} amount
+ * @param {string} from - Currency the amount is in
+ * @param {string} to - Currency wanted
+ * @param {Object<string, number>} rates - Units per one DEFAULT_CURRENCY
+ * @returns {number|null} The converted amount, or null when a rate is missing
+ */
+export const convertAmount = (amount, from, to, rates) => {
+  if (from === to) return amount;
+  const fromRate = rates[from];
+  const toRate = rates[to];
+  if (!fromRate || !toRate) return null;
+  return (amount / fromRate) * toRate;
+};
+
+/**
+ * Sums amounts in mixed currencies into one
+ * @param {Array<Money>} moneys
+ * @param {string} currency - Currency of the total
+ * @param {Object<string, number>} rates - See convertAmount
+ * @returns {Money & {missingRates: Array<string>}} Amounts without a rate are left out and their currencies listed
+ */
+export const sumMoney = (moneys, currency, rates) => {
+  const missingRates = new Set();
+  const amount = moneys.reduce((total, money) => {
+    const converted = convertAmount(money.amount, money.currency, currency, rates);
+    if (converted === null) {
+      missingRates.add(money.currency);
+      return total;
+    }
+    return total + converted;
+  }, 0);
+  return { amount, currency, missingRates: [...missingRates] };
+};
+
+/**
+ * Formats an amount for display, e.g. `$1,234.50` or `¥1,235`
+ * @param {number|string|null} amount
+ * @param {string} [currency=DEFAULT_CURRENCY]
+ * @returns {string}
+ */
+export const formatMoney = (amount, currency = DEFAULT_CURRENCY) => {
+  const value = parseFloat(amount) || 0;
+  const code = normalizeCurrency(currency);
+  try {
+    return new Intl.NumberFormat(undefined, { style: 'currency', currency: code }).format(value);
+  } catch (error) {
+    // Engines without Intl currency support
+    return `${currencySymbol(code)}${value.toFixed(2)}`;
+  }
+};
+
+/**
+ * Items grouped (e.g. by category) with each group's total, most valuable first.
+ * Counts and totals include every copy of an item.
+ * @param {Array<Object>} items - Items with `value` and `currency`, and `quantity` and `copies` when known
+ * @param {function(Object): string} groupOf - The group name for an item
+ * @param {string} currency - Currency of the totals
+ * @param {Object<string, number>} rates - See convertAmount
+ * @returns {Array<{name: string, count: number, amount: number, currency: string, missingRates: Array<string>}>}
+ */
+export const valueBreakdown = (items, groupOf, currency, rates) => {
+  const groups = {};
+  items.forEach(item => {
+    const name = groupOf(item);
+    if (!groups[name]) groups[name] = [];
+    groups[name].push(item);
+  });
+  return Object.entries(groups)
+    .map(([name, groupItems]) => ({
+      name,
+      count: groupItems.reduce((total, item) => total + itemQuantity(item), 0),
+      ...sumMoney(groupItems.map(holdingMoney), currency, rates),
+    }))
+    .sort((a, b) => b.amount - a.amount);
+};
+
+/**
+ * What an item cost to acquire - purchase price plus fees - as Money
+ * @param {{purchase_price: number|string|null, fees: number|string|null, currency?: string}|null} acquisition
+ * @returns {Money|null} Null when no price or fees were recorded
+ */
+export const acquisitionCost = (acquisition) => {
+  if (!acquisition) return null;
+  const price = parseFloat(acquisition.purchase_price);
+  const fees = parseFloat(acquisition.fees);
+  if (Number.isNaN(price) && Number.isNaN(fees)) return null;
+  return {
+    amount: (Number.isNaN(price) ? 0 : price) + (Number.isNaN(fees) ? 0 : fees),
+    currency: normalizeCurrency(acquisition.currency),
+  };
+};
+
+/**
+ * An item's unrealized gain: its current value less what it cost
+ * @param {Object} item - Item with `value`, `currency` and `acquisition`
+ * @param {string} currency - Currency of the result
+ * @param {Object<string, number>} rates - See convertAmount
+ * @returns {{cost: number, value: number, gain: number, currency: string}|null} Null when the
+ *   cost or value is unknown, or can't be converted
+ */
+export const unrealizedGain = (item, currency, rates) => {
+  const cost = acquisitionCost(item.acquisition);
+  if (!cost || item.value === null || item.value === undefined || item.value === '') return null;
+  const value = itemMoney(item);
+  const costAmount = convertAmount(cost.amount, cost.currency, currency, rates);
+  const valueAmount = convertAmount(value.amount, value.currency, currency, rates);
+  if (costAmount === null || valueAmount === null) return null;
+  return { cost: costAmount, value: valueAmount, gain: valueAmount - costAmount, currency };
+};
+
+/**
+ * Unrealized gains summed per group, biggest gain first. Only items with both a
+ * cost and a value are counted.
+ * @param {Array<Object>} items - Items with `value`, `currency` and `acquisition`
+ * @param {function(Object): string} groupOf - The group name for an item
+ * @param {string} currency - Currency of the totals
+ * @param {Object<string, number>} rates - See convertAmount
+ * @returns {Array<{name: string, count: number, cost: number, value: number, gain: number, currency: string}>}
+ */
+export const gainBreakdown = (items, groupOf, currency, rates) => {
+  const groups = {};
+  items.forEach(item => {
+    const gain = unrealizedGain(item, currency, rates);
+    if (!gain) return;
+    const name = groupOf(item);
+    if (!groups[name]) groups[name] = { name, count: 0, cost: 0, value: 0, gain: 0, currency };
+    groups[name].count += 1;
+    groups[name].cost += gain.cost;
+    groups[name].value += gain.value;
+    groups[name].gain += gain.gain;
+  });
+  return Object.values(groups).sort((a, b) => b.gain - a.gain);
+};
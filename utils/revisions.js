@@ -0,0 +1,112 @@
+// utils/revisions.js - Describing, undoing and reverting item revisions
+import { format, parseISO } from 'date-fns';
+import { formatMoney } from './money';
+import { ITEM_STATUS, priorityLabel } from './wishlist';
+import { locationPath } from './locations';
+import { attributeRows } from './fieldSchemas';
+
+// The fields the revision log tracks (see 024_item_revisions.sql), as they're
+// named on the item forms
+export const REVISION_FIELDS = {
+  name: 'Name',
+  brand: 'Brand',
+  category: 'Category',
+  condition: 'Condition',
+  condition_details: 'Condition details',
+  notes: 'Notes',
+  collection_id: 'Collection',
+  location_id: 'Location',
+  is_shared: 'Sharing',
+  value: 'Value',
+  currency: 'Currency',
+  value_note: 'Value note',
+  tags: 'Tags',
+  identifiers: 'Barcodes',
+  attributes: 'Details',
+  quantity: 'Quantity',
+  status: 'Status',
+  target_price: 'Target price',
+  priority: 'Priority',
+  acquired_at: 'Acquired',
+};
+
+const isBlank = (value) => (
+  value === null
+  || value === undefined
+  || value === ''
+  || (Array.isArray(value) && value.length === 0)
+  || (typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length === 0)
+);
+
+/**
+ * A field's value in a revision, in words
+ * @param {string} field - A key of REVISION_FIELDS
+ * @param {*} value - The value as stored
+ * @param {Object} [context]
+ * @param {Array<Object>} [context.collections] - The user's collections, to name collection_id
+ * @param {Array<Object>} [context.locations] - The user's locations, to name location_id
+ * @param {string} [context.currency] - Currency of value and target_price
+ * @returns {string}
+ */
+export const describeRevisionValue = (field, value, { collections = [], locations = [], currency } = {}) => {
+  if (field === 'is_shared') return value ? 'Shared' : 'Private';
+  if (isBlank(value)) return 'None';
+
+  switch (field) {
+    case 'collection_id':
+      return collections.find(collection => collection.id === value)?.name || 'A deleted collection';
+    case 'location_id':
+      return locationPath(locations, value) || 'A deleted location';
+    case 'value':
+    case 'target_price':
+      return formatMoney(value, currency);
+    case 'status':
+      return value === ITEM_STATUS.WANTED ? 'Wishlist' : 'Owned';
+    case 'priority':
+      return priorityLabel(value);
+    case 'acquired_at':
+      return format(parseISO(value), 'MMM d, yyyy');
+    case 'attributes':
+      return attributeRows([], value).map(row => `${row.label}: ${row.value}`).join(', ');
+    default:
+      return Array.isArray(value) ? value.join(', ') : String(value);
+  }
+};
+
+/**
+ * The tracked fields a revision changed, in form order
+ * @param {import('../data/revisions').ItemRevision} revision
+ * @returns {Array<{field: string, label: string, from: *, to: *}>}
+ */
+export const revisionFields = (revision) => Object.keys(REVISION_FIELDS)
+  .filter(field => revision.changes?.[field])
+  .map(field => ({ field, label: REVISION_FIELDS[field], ...revision.changes[field] }));
+
+/**
+ * The changes that take an item back to how it was right after a revision,
+ * undoing every revision saved since
+ * @param {Array<import('../data/revisions').ItemRevision>} revisions - The item's revisions, newest first
+ * @param {number|null} revisionId - The revision to go back to; null for the item as it was added
+ * @returns {Object} Item columns to save; empty if the revision is the latest
+ */
+export const revertChanges = (revisions, revisionId) => {
+  const changes = {};
+  for (const revision of revisions) {
+    if (revision.id === revisionId) break;
+    // Older revisions overwrite newer ones, leaving each field's earliest "from"
+    revisionFields(revision).forEach(({ field, from }) => {
+      changes[field] = from;
+    });
+  }
+  return changes;
+};
+
+/**
+ * The changes that undo a save, from the item as it was before it
+ * @param {Object} before - The item before the save
+ * @param {Object} saved - The columns that were saved
+ * @returns {Object} Item columns to save; only tracked fields that changed
+ */
+export const undoChanges = (before, saved) => Object.keys(REVISION_FIELDS)
+  .filter(field => field in saved && JSON.stringify(saved[field] ?? null) !== JSON.stringify(before[field] ?? null))
+  .reduce((changes, field) => ({ ...changes, [field]: before[field] ?? null }), {});
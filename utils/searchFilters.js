@@ -0,0 +1,309 @@
+// utils/searchFilters.js - Search filter state, its string encoding and its chips
+import { format, isValid, parseISO } from 'date-fns';
+import { identifierSearchTerms } from './barcodeParser';
+import { normalizeTags } from './tags';
+import { locationPath } from './locations';
+import { resolveCategory, categoryWithAliases } from './fieldSchemas';
+import { DEFAULT_CURRENCY, DEFAULT_EXCHANGE_RATES, convertAmount, formatMoney } from './money';
+
+export const CONDITIONS = ['Mint', 'Used', 'Damaged'];
+
+// Sort keys are the ones data/items.js understands; 'relevance' only applies with a query
+export const SORT_OPTIONS = [
+  { key: 'relevance', label: 'Best match' },
+  { key: 'newest', label: 'Newest' },
+  { key: 'oldest', label: 'Oldest' },
+  { key: 'value_desc', label: 'Value: high to low' },
+  { key: 'value_asc', label: 'Value: low to high' },
+  { key: 'name_asc', label: 'Name A–Z' },
+  { key: 'updated', label: 'Recently edited' },
+];
+
+/**
+ * @typedef {Object} SearchFilters
+ * @property {string} query - Full-text query
+ * @property {string|null} category
+ * @property {Array<string>} conditions - Any of these
+ * @property {number|null} minValue
+ * @property {number|null} maxValue
+ * @property {string|null} addedAfter - yyyy-MM-dd, inclusive
+ * @property {string|null} addedBefore - yyyy-MM-dd, inclusive
+ * @property {number|null} collectionId
+ * @property {number|null} locationId - Items in this storage location or anywhere inside it
+ * @property {boolean|null} shared - true for shared only, false for private only
+ * @property {boolean|null} hasPhotos
+ * @property {boolean|null} onLoan - true for items lent out, false for items at home
+ * @property {string} brand - Part of the brand name
+ * @property {Array<string>} tags - All of these
+ * @property {string|null} sort - A SORT_OPTIONS key; null for the default
+ */
+
+/** @type {SearchFilters} */
+export const DEFAULT_FILTERS = {
+  query: '',
+  category: null,
+  conditions: [],
+  minValue: null,
+  maxValue: null,
+  addedAfter: null,
+  addedBefore: null,
+  collectionId: null,
+  locationId: null,
+  shared: null,
+  hasPhotos: null,
+  onLoan: null,
+  brand: '',
+  tags: [],
+  sort: null,
+};
+
+// Encoded parameter name for each filter, in encoding order
+const PARAMS = {
+  query: 'q',
+  category: 'category',
+  conditions: 'condition',
+  minValue: 'min',
+  maxValue: 'max',
+  addedAfter: 'from',
+  addedBefore: 'to',
+  collectionId: 'collection',
+  locationId: 'location',
+  shared: 'shared',
+  hasPhotos: 'photos',
+  onLoan: 'loan',
+  brand: 'brand',
+  tags: 'tag',
+  sort: 'sort',
+};
+
+/**
+ * Parses a yyyy-MM-dd date the user typed
+ * @param {string} text - The date text
+ * @returns {string|null} The normalized date, or null if it isn't a valid date
+ */
+export const parseFilterDate = (text) => {
+  const date = parseISO((text || '').trim());
+  return isValid(date) ? format(date, 'yyyy-MM-dd') : null;
+};
+
+const parseNumber = (text) => {
+  if (text === null || text === undefined || String(text).trim() === '') return null;
+  const number = Number(text);
+  return Number.isFinite(number) ? number : null;
+};
+
+const parseBoolean = (text) => {
+  if (text === 'true') return true;
+  if (text === 'false') return false;
+  return null;
+};
+
+/**
+ * The sort that applies when none was picked: best match for a query, newest otherwise
+ * @param {SearchFilters} filters
+ * @returns {string} A SORT_OPTIONS key
+ */
+export const effectiveSort = (filters) => {
+  if (filters.sort && (filters.sort !== 'relevance' || filters.query)) return filters.sort;
+  return filters.query ? 'relevance' : 'newest';
+};
+
+/**
+ * Encodes filters as a short query string (e.g. `q=mustang&min=10&sort=value_desc`).
+ * Defaults are left out and the order is fixed, so equal filters encode equally.
+ * @param {SearchFilters} filters
+ * @returns {string}
+ */
+export const encodeFilters = (filters) => Object.entries(PARAMS)
+  .map(([field, param]) => {
+    const value = filters[field];
+    if (value === null || value === undefined || value === '') return null;
+    if (Array.isArray(value)) {
+      if (value.length === 0) return null;
+      return `${param}=${[...value].sort().map(encodeURIComponent).join(',')}`;
+    }
+    return `${param}=${encodeURIComponent(String(value))}`;
+  })
+  .filter(Boolean)
+  .join('&');
+
+/**
+ * Reverses encodeFilters. Unknown or malformed values fall back to the defaults.
+ * @param {string} [encoded]
+ * @returns {SearchFilters}
+ */
+export const decodeFilters = (encoded) => {
+  const raw = {};
+  (encoded || '').split('&').filter(Boolean).forEach((pair) => {
+    const separator = pair.indexOf('=');
+    if (separator < 0) return;
+    raw[pair.slice(0, separator)] = pair.slice(separator + 1);
+  });
+  const text = (param) => (raw[param] !== undefined ? decodeURIComponent(raw[param]) : null);
+
+  const conditions = raw[PARAMS.conditions]
+    ? raw[PARAMS.conditions].split(',').map(decodeURIComponent).filter(c => CONDITIONS.includes(c))
+    : [];
+  const sort = text(PARAMS.sort);
+
+  return {
+    ...DEFAULT_FILTERS,
+    query: text(PARAMS.query) || '',
+    // Searches saved with an older category name use the current one
+    category: resolveCategory(text(PARAMS.category)),
+    conditions,
+    minValue: parseNumber(text(PARAMS.minValue)),
+    maxValue: parseNumber(text(PARAMS.maxValue)),
+    addedAfter: parseFilterDate(text(PARAMS.addedAfter)),
+    addedBefore: parseFilterDate(text(PARAMS.addedBefore)),
+    collectionId: parseNumber(text(PARAMS.collectionId)),
+    locationId: parseNumber(text(PARAMS.locationId)),
+    shared: parseBoolean(text(PARAMS.shared)),
+    hasPhotos: parseBoolean(text(PARAMS.hasPhotos)),
+    onLoan: parseBoolean(text(PARAMS.onLoan)),
+    brand: text(PARAMS.brand) || '',
+    tags: raw[PARAMS.tags] ? normalizeTags(raw[PARAMS.tags].split(',').map(decodeURIComponent)) : [],
+    sort: SORT_OPTIONS.some(option => option.key === sort) ? sort : null,
+  };
+};
+
+// The value bounds are in the display currency; items keep their value in their
+// own, so each currency in the rate table gets the bounds converted to it.
+// Currencies without a rate can't be compared and are left out.
+const toValueRanges = (filters, currency, rates) => {
+  const codes = [...new Set([currency, ...Object.keys(rates)])];
+  return codes
+    .map(code => ({
+      currency: code,
+      min: filters.minValue === null ? null : convertAmount(filters.minValue, currency, code, rates),
+      max: filters.maxValue === null ? null : convertAmount(filters.maxValue, currency, code, rates),
+    }))
+    .filter(range => (filters.minValue === null || range.min !== null)
+      && (filters.maxValue === null || range.max !== null));
+};
+
+/**
+ * Converts filters to the options searchItems and countItems take (listItemsPage
+ * takes them too, ignoring the query)
+ * @param {SearchFilters} filters
+ * @param {Object} [options]
+ * @param {string} [options.currency=DEFAULT_CURRENCY] - The display currency the value bounds are in
+ * @param {Object<string, number>} [options.rates=DEFAULT_EXCHANGE_RATES] - See utils/money.js convertAmount
+ * @returns {Object}
+ */
+export const toItemQuery = (filters, { currency = DEFAULT_CURRENCY, rates = DEFAULT_EXCHANGE_RATES } = {}) => ({
+  query: filters.query || undefined,
+  // Barcode-like queries (ISBNs, UPCs...) also match the item's stored identifiers
+  identifiers: filters.query ? identifierSearchTerms(filters.query) : undefined,
+  // Items saved under the older name of the category match too
+  categories: filters.category ? categoryWithAliases(filters.category) : undefined,
+  conditions: filters.conditions,
+  valueRanges: filters.minValue !== null || filters.maxValue !== null
+    ? toValueRanges(filters, currency, rates)
+    : undefined,
+  createdAfter: filters.addedAfter ? parseISO(filters.addedAfter).toISOString() : undefined,
+  // The "to" day is included, so stop at the start of the next one
+  createdBefore: filters.addedBefore
+    ? new Date(parseISO(filters.addedBefore).getTime() + 24 * 60 * 60 * 1000).toISOString()
+    : undefined,
+  collectionId: filters.collectionId ?? undefined,
+  locationId: filters.locationId ?? undefined,
+  shared: filters.shared ?? undefined,
+  hasPhotos: filters.hasPhotos ?? undefined,
+  onLoan: filters.onLoan ?? undefined,
+  brand: filters.brand.trim() || undefined,
+  tags: filters.tags.length > 0 ? filters.tags : undefined,
+  sort: effectiveSort(filters),
+});
+
+/**
+ * One removable chip per active filter (each condition and tag gets its own)
+ * @param {SearchFilters} filters
+ * @param {Object} [options]
+ * @param {Array<{id: number, name: string}>} [options.collections] - For collection names
+ * @param {Array<Object>} [options.locations] - For location names
+ * @param {string} [options.currency=DEFAULT_CURRENCY] - The display currency the value bounds are in
+ * @returns {Array<{key: string, label: string}>}
+ */
+export const describeFilters = (filters, { collections = [], locations = [], currency = DEFAULT_CURRENCY } = {}) => {
+  const chips = [];
+  if (filters.category) chips.push({ key: 'category', label: filters.category });
+  filters.conditions.forEach(condition => chips.push({ key: `condition:${condition}`, label: condition }));
+  if (filters.minValue !== null && filters.maxValue !== null) {
+    chips.push({
+      key: 'value',
+      label: `${formatMoney(filters.minValue, currency)}–${formatMoney(filters.maxValue, currency)}`,
+    });
+  } else if (filters.minValue !== null) {
+    chips.push({ key: 'value', label: `≥ ${formatMoney(filters.minValue, currency)}` });
+  } else if (filters.maxValue !== null) {
+    chips.push({ key: 'value', label: `≤ ${formatMoney(filters.maxValue, currency)}` });
+  }
+  if (filters.addedAfter || filters.addedBefore) {
+    const label = filters.addedAfter && filters.addedBefore
+      ? `Added ${filters.addedAfter} – ${filters.addedBefore}`
+      : filters.addedAfter ? `Added since ${filters.addedAfter}` : `Added before ${filters.addedBefore}`;
+    chips.push({ key: 'added', label });
+  }
+  if (filters.collectionId !== null) {
+    const collection = collections.find(c => c.id === filters.collectionId);
+    chips.push({ key: 'collectionId', label: collection ? collection.name : 'Collection' });
+  }
+  if (filters.locationId !== null) {
+    chips.push({ key: 'locationId', label: locationPath(locations, filters.locationId) || 'Location' });
+  }
+  if (filters.shared !== null) chips.push({ key: 'shared', label: filters.shared ? 'Shared' : 'Private' });
+  if (filters.hasPhotos !== null) {
+    chips.push({ key: 'hasPhotos', label: filters.hasPhotos ? 'With photos' : 'Without photos' });
+  }
+  if (filters.onLoan !== null) chips.push({ key: 'onLoan', label: filters.onLoan ? 'On loan' : 'Not on loan' });
+  if (filters.brand.trim()) chips.push({ key: 'brand', label: `Brand: ${filters.brand.trim()}` });
+  filters.tags.forEach(tag => chips.push({ key: `tag:${tag}`, label: `#${tag}` }));
+  if (filters.sort && filters.sort !== effectiveSort({ ...filters, sort: null })) {
+    const option = SORT_OPTIONS.find(o => o.key === filters.sort);
+    chips.push({ key: 'sort', label: `Sort: ${option ? option.label : filters.sort}` });
+  }
+  return chips;
+};
+
+/**
+ * Clears the filter behind a chip from describeFilters. Chip keys are either
+ * 'value', 'added', 'condition:<name>', 'tag:<name>' or a SearchFilters field.
+ * @param {SearchFilters} filters
+ * @param {string} key - The chip key
+ * @returns {SearchFilters}
+ */
+export const removeFilter = (filters, key) => {
+  if (key.startsWith('condition:')) {
+    const condition = key.slice('condition:'.length);
+    return { ...filters, conditions: filters.conditions.filter(c => c !== condition) };
+  }
+  if (key.startsWith('tag:')) {
+    const tag = key.slice('tag:'.length);
+    return { ...filters, tags: filters.tags.filter(t => t !== tag) };
+  }
+  switch (key) {
+    case 'value':
+      return { ...filters, minValue: null, maxValue: null };
+    case 'added':
+      return { ...filters, addedAfter: null, addedBefore: null };
+    default:
+      if (!(key in DEFAULT_FILTERS)) {
+        console.warn(`removeFilter: unknown filter chip "${key}"`);
+        return filters;
+      }
+      return { ...filters, [key]: DEFAULT_FILTERS[key] };
+  }
+};
+
+/**
+ * One-line description of a search, e.g. `"mustang" · Diecast · Mint`
+ * @param {SearchFilters} filters
+ * @param {Object} [options] - See describeFilters
+ * @returns {string}
+ */
+export const summarizeFilters = (filters, options) => {
+  const parts = describeFilters(filters, options).map(chip => chip.label);
+  if (filters.query) parts.unshift(`"${filters.query}"`);
+  return parts.length > 0 ? parts.join(' · ') : 'All items';
+};
@@ -0,0 +1,45 @@
+// utils/tags.js - Normalizing and suggesting item tags
+
+export const TAG_MAX_LENGTH = 30;
+export const MAX_TAGS_PER_ITEM = 20;
+
+/**
+ * A tag as it's stored: trimmed, single-spaced and lowercase, so 'Vintage' and
+ * ' vintage ' are the same tag. A leading '#' is dropped, as are characters that
+ * would need escaping in array filters or HTML (<>"'/\,{}).
+ * @param {string} text - The tag as typed
+ * @returns {string} Empty when nothing usable is left
+ */
+export const normalizeTag = (text) => (text || '')
+  .replace(/[<>"'/\\,{}]/g, '')
+  .replace(/\s+/g, ' ')
+  .trim()
+  .replace(/^#+\s*/, '')
+  .toLowerCase()
+  .slice(0, TAG_MAX_LENGTH)
+  .trim();
+
+/**
+ * Normalized tags without blanks or duplicates, in their original order
+ * @param {Array<string>} tags
+ * @returns {Array<string>}
+ */
+export const normalizeTags = (tags) => [...new Set((tags || []).map(normalizeTag).filter(Boolean))];
+
+/**
+ * Known tags to offer while typing: those starting with the text first, then
+ * those containing it, most used first within each group
+ * @param {Array<{tag: string, count: number}>} knownTags - From listTags, most used first
+ * @param {string} text - What has been typed so far
+ * @param {Array<string>} [exclude] - Tags already chosen
+ * @param {number} [limit=6]
+ * @returns {Array<string>}
+ */
+export const suggestTags = (knownTags, text, exclude = [], limit = 6) => {
+  const typed = normalizeTag(text);
+  if (!typed) return [];
+  const available = knownTags.map(known => known.tag).filter(tag => tag !== typed && !exclude.includes(tag));
+  const prefixed = available.filter(tag => tag.startsWith(typed));
+  const containing = available.filter(tag => !tag.startsWith(typed) && tag.includes(typed));
+  return [...prefixed, ...containing].slice(0, limit);
+};
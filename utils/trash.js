@@ -0,0 +1,37 @@
+// utils/trash.js - How long trashed items are kept
+import { addDays, differenceInCalendarDays, parseISO } from 'date-fns';
+
+export const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
+// Choices offered in Settings; the database allows 1 to 365
+export const TRASH_RETENTION_OPTIONS = [7, 30, 90, 365];
+
+/**
+ * When trashed rows older than the retention period were deleted
+ * @param {number} retentionDays - The user's retention period
+ * @param {Date} [now]
+ * @returns {Date} Rows trashed before this are due to be purged
+ */
+export const purgeCutoff = (retentionDays, now = new Date()) => addDays(now, -retentionDays);
+
+/**
+ * How long until a trashed item or collection is deleted for good, in words:
+ * "Deleted in 12 days", "Deleted tomorrow", "Deleted soon"
+ * @param {string} deletedAt - When it was trashed (ISO)
+ * @param {number} retentionDays - The user's retention period
+ * @param {Date} [now]
+ * @returns {string}
+ */
+export const describePurge = (deletedAt, retentionDays, now = new Date()) => {
+  const days = differenceInCalendarDays(addDays(parseISO(deletedAt), retentionDays), now);
+  if (days <= 0) return 'Deleted soon';
+  if (days === 1) return 'Deleted tomorrow';
+  return `Deleted in ${days} days`;
+};
+
+/**
+ * Retention period label: "7 days", "1 year"
+ * @param {number} days
+ * @returns {string}
+ */
+export const retentionLabel = (days) => (days === 365 ? '1 year' : `${days} ${days === 1 ? 'day' : 'days'}`);
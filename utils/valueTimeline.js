@@ -0,0 +1,64 @@
+// utils/valueTimeline.js - Turns value history rows into chart points
+import { format, parseISO } from 'date-fns';
+
+/**
+ * @typedef {Object} ValuePoint
+ * @property {string} date - ISO timestamp of the change
+ * @property {number} value
+ */
+
+/**
+ * An item's value after each change; a cleared value counts as 0
+ * @param {Array<{value: number|null, recorded_at: string}>} history - Oldest first
+ * @returns {Array<ValuePoint>}
+ */
+export const itemValueTimeline = (history) => history.map(entry => ({
+  date: entry.recorded_at,
+  value: parseFloat(entry.value) || 0,
+}));
+
+/**
+ * The sum of every item's latest value after each change, one point per day
+ * @param {Array<{item_id: number, value: number|null, recorded_at: string}>} history - Oldest first, across items
+ * @returns {Array<ValuePoint>}
+ */
+export const totalValueTimeline = (history) => {
+  const latest = {};
+  let total = 0;
+  const points = [];
+  history.forEach(entry => {
+    const value = parseFloat(entry.value) || 0;
+    total += value - (latest[entry.item_id] || 0);
+    latest[entry.item_id] = value;
+
+    const point = { date: entry.recorded_at, value: Math.round(total * 100) / 100 };
+    const last = points[points.length - 1];
+    // Changes on the same day collapse into the day's closing total
+    if (last && last.date.slice(0, 10) === point.date.slice(0, 10)) {
+      points[points.length - 1] = point;
+    } else {
+      points.push(point);
+    }
+  });
+  return points;
+};
+
+/**
+ * LineChart data for a timeline, keeping the most recent points so labels stay readable
+ * @param {Array<ValuePoint>} points
+ * @param {Object} [options]
+ * @param {number} [options.maxPoints=8]
+ * @param {function(number): string} [options.color] - Dataset line color
+ * @returns {{labels: Array<string>, datasets: Array<Object>}}
+ */
+export const toValueChartData = (points, { maxPoints = 8, color } = {}) => {
+  const recent = points.slice(-maxPoints);
+  return {
+    labels: recent.map(point => format(parseISO(point.date), 'M/d/yy')),
+    datasets: [{
+      data: recent.map(point => point.value),
+      ...(color ? { color } : {}),
+      strokeWidth: 2,
+    }],
+  };
+};
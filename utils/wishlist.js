@@ -0,0 +1,49 @@
+// utils/wishlist.js - Wishlist item state, priorities and ordering
+import { validateNumber } from './inputValidation';
+
+export const ITEM_STATUS = {
+  OWNED: 'owned',
+  WANTED: 'wanted',
+};
+
+// Highest first, as they're offered on the forms
+export const PRIORITIES = [
+  { value: 3, label: 'High' },
+  { value: 2, label: 'Medium' },
+  { value: 1, label: 'Low' },
+];
+
+export const DEFAULT_PRIORITY = 2;
+
+/**
+ * Whether an item is on the wishlist rather than owned
+ * @param {Object|null} item
+ * @returns {boolean}
+ */
+export const isWanted = (item) => item?.status === ITEM_STATUS.WANTED;
+
+/**
+ * @param {number|null} priority - 1 to 3
+ * @returns {string}
+ */
+export const priorityLabel = (priority) => PRIORITIES.find(p => p.value === priority)?.label || 'None';
+
+/**
+ * Wishlist items in the order they're shown: highest priority first, then newest
+ * @param {Array<Object>} items
+ * @returns {Array<Object>} A new array
+ */
+export const sortWishlist = (items) => [...items].sort((a, b) => (
+  (b.priority || 0) - (a.priority || 0) || String(b.created_at || '').localeCompare(String(a.created_at || ''))
+));
+
+/**
+ * Checks a target price as typed; it's optional
+ * @param {string} text
+ * @returns {{success: boolean, message?: string}}
+ */
+export const validateTargetPrice = (text) => (
+  text === null || text === undefined || String(text).trim() === ''
+    ? { success: true }
+    : validateNumber(text, 0, 1000000)
+);